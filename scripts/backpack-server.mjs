@@ -0,0 +1,395 @@
+// A small reference backpack server that speaks the protocol documented in src/lib/backpack-api.js.
+// It has no dependencies and stores everything in a folder, so a school or team can run a shared backpack on
+// its own network. It is not intended to be exposed to the Internet.
+//
+// Usage: node scripts/backpack-server.mjs [port]
+// Then choose "Shared backpack settings…" in the backpack and enter http://<this computer>:8602/<backpack name>
+//
+// Environment variables:
+//   BACKPACK_DIR          Folder to store items in. Defaults to ./backpack-data
+//   BACKPACK_TOKEN        If set, every request must include this token
+//   BACKPACK_AUTH_HEADER  Header that contains the token. Defaults to x-token
+
+import http from 'http';
+import nodeCrypto from 'crypto';
+import fs from 'fs/promises';
+import path from 'path';
+
+const PORT = +process.argv[2] || +process.env.PORT || 8602;
+const DATA_DIR = path.resolve(process.env.BACKPACK_DIR || 'backpack-data');
+const ASSET_DIR = path.join(DATA_DIR, 'assets');
+const BACKPACK_DIR = path.join(DATA_DIR, 'backpacks');
+const TOKEN = process.env.BACKPACK_TOKEN || '';
+const AUTH_HEADER = (process.env.BACKPACK_AUTH_HEADER || 'x-token').toLowerCase();
+
+// Sprites with many costumes and sounds can be large, and base64 adds another third.
+const MAX_REQUEST_SIZE = 50 * 1024 * 1024;
+const MAX_ITEMS = 10000;
+const MAX_LIMIT = 100;
+const MAX_NAME_LENGTH = 200;
+
+const USERNAME_RE = /^[a-zA-Z0-9_-]{1,40}$/;
+const ID_RE = /^\d+$/;
+const ASSET_RE = /^[a-f0-9]{32}\.[a-z0-9]+$/;
+
+const TYPES = new Set(['costume', 'sound', 'script', 'sprite']);
+
+// Items are saved with the same extensions that Scratch's backpack server uses.
+const EXTENSIONS = {
+    'image/svg+xml': 'svg',
+    'image/png': 'png',
+    'image/jpeg': 'jpg',
+    'audio/x-wav': 'wav',
+    'audio/wav': 'wav',
+    'audio/mp3': 'mp3',
+    'audio/mpeg': 'mp3',
+    'application/json': 'json',
+    'application/zip': 'zip'
+};
+
+const CONTENT_TYPES = {
+    svg: 'image/svg+xml',
+    png: 'image/png',
+    jpg: 'image/jpeg',
+    wav: 'audio/wav',
+    mp3: 'audio/mpeg',
+    json: 'application/json',
+    zip: 'application/zip'
+};
+
+class HTTPError extends Error {
+    constructor (status, message) {
+        super(message);
+        this.status = status;
+    }
+}
+
+/**
+ * @typedef Item
+ * @property {string} id
+ * @property {string} type
+ * @property {string} mime
+ * @property {string} name
+ * @property {string} body File name of the body, relative to the server
+ * @property {string} thumbnail File name of the thumbnail, relative to the server
+ */
+
+/**
+ * @typedef Backpack
+ * @property {number} nextId
+ * @property {Item[]} items Oldest first
+ */
+
+/** @type {Map<string, Backpack>} */
+const backpacks = new Map();
+
+/** @type {Map<string, Promise>} */
+const queues = new Map();
+
+/**
+ * Run a function after every earlier change to the same backpack has finished, so that two requests at once
+ * can't overwrite each other's items.
+ * @param {string} username Name of the backpack
+ * @param {function(): Promise} fn Function to run
+ * @returns {Promise} Result of fn
+ */
+const enqueue = (username, fn) => {
+    const previous = queues.get(username) || Promise.resolve();
+    const result = previous.then(fn);
+    const next = result.catch(() => {});
+    queues.set(username, next);
+    next.then(() => {
+        if (queues.get(username) === next) {
+            queues.delete(username);
+        }
+    });
+    return result;
+};
+
+/**
+ * @param {string} file Path to write
+ * @param {Buffer|string} data Contents
+ */
+const writeFileAtomic = async (file, data) => {
+    // Requests can write the same asset at the same time, so each write needs its own temporary file
+    const temporary = `${file}.${process.pid}.${nodeCrypto.randomBytes(8).toString('hex')}.tmp`;
+    await fs.writeFile(temporary, data);
+    await fs.rename(temporary, file);
+};
+
+/**
+ * @param {string} username Name of the backpack
+ * @returns {Promise<Backpack>} The backpack, which is empty if it doesn't exist yet
+ */
+const readBackpack = async username => {
+    if (backpacks.has(username)) {
+        return backpacks.get(username);
+    }
+    let backpack;
+    try {
+        backpack = JSON.parse(await fs.readFile(path.join(BACKPACK_DIR, `${username}.json`), 'utf-8'));
+    } catch (e) {
+        if (e.code !== 'ENOENT') {
+            throw e;
+        }
+        backpack = {
+            nextId: 1,
+            items: []
+        };
+    }
+    backpacks.set(username, backpack);
+    return backpack;
+};
+
+/**
+ * @param {string} username Name of the backpack
+ * @param {Backpack} backpack New contents
+ */
+const writeBackpack = async (username, backpack) => {
+    await writeFileAtomic(path.join(BACKPACK_DIR, `${username}.json`), JSON.stringify(backpack));
+    backpacks.set(username, backpack);
+};
+
+/**
+ * Assets are content-addressed, so identical costumes and sounds are only stored once.
+ * @param {string} base64 Base64-encoded data
+ * @param {string} extension File extension
+ * @returns {Promise<string>} File name relative to the server
+ */
+const writeAsset = async (base64, extension) => {
+    const data = Buffer.from(base64, 'base64');
+    const md5 = nodeCrypto.createHash('md5')
+        .update(data)
+        .digest('hex');
+    const name = `${md5}.${extension}`;
+    const file = path.join(ASSET_DIR, name);
+    try {
+        await fs.access(file);
+    } catch (e) {
+        await writeFileAtomic(file, data);
+    }
+    return name;
+};
+
+/**
+ * @param {http.IncomingMessage} req Request
+ * @returns {Promise<unknown>} Parsed JSON body
+ */
+const readJSON = req => new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+    req.on('data', chunk => {
+        size += chunk.length;
+        if (size > MAX_REQUEST_SIZE) {
+            reject(new HTTPError(413, 'Request too large'));
+            req.destroy();
+            return;
+        }
+        chunks.push(chunk);
+    });
+    req.on('end', () => {
+        try {
+            resolve(JSON.parse(Buffer.concat(chunks).toString('utf-8')));
+        } catch (e) {
+            reject(new HTTPError(400, 'Invalid JSON'));
+        }
+    });
+    req.on('error', reject);
+});
+
+/**
+ * @param {unknown} name Possibly invalid name
+ * @returns {string} Valid name
+ */
+const parseName = name => {
+    if (typeof name !== 'string') {
+        throw new HTTPError(400, 'Invalid name');
+    }
+    return name.slice(0, MAX_NAME_LENGTH);
+};
+
+const listItems = async (username, searchParams) => {
+    const limit = Math.min(Math.max(Math.floor(+searchParams.get('limit')) || 20, 0), MAX_LIMIT);
+    const offset = Math.max(Math.floor(+searchParams.get('offset')) || 0, 0);
+    const backpack = await readBackpack(username);
+    return backpack.items
+        .slice()
+        .reverse()
+        .slice(offset, offset + limit);
+};
+
+const createItem = async (username, data) => {
+    if (!data || typeof data !== 'object') {
+        throw new HTTPError(400, 'Invalid item');
+    }
+    const {type, mime, body, thumbnail} = data;
+    const name = parseName(data.name);
+    if (!TYPES.has(type)) {
+        throw new HTTPError(400, 'Invalid type');
+    }
+    if (!Object.prototype.hasOwnProperty.call(EXTENSIONS, mime)) {
+        throw new HTTPError(400, 'Invalid mime');
+    }
+    if (typeof body !== 'string' || typeof thumbnail !== 'string') {
+        throw new HTTPError(400, 'Invalid body or thumbnail');
+    }
+    const bodyName = await writeAsset(body, EXTENSIONS[mime]);
+    const thumbnailName = await writeAsset(thumbnail, 'jpg');
+    return enqueue(username, async () => {
+        const backpack = await readBackpack(username);
+        if (backpack.items.length >= MAX_ITEMS) {
+            throw new HTTPError(507, 'Backpack is full');
+        }
+        const item = {
+            id: `${backpack.nextId}`,
+            type,
+            mime,
+            name,
+            body: bodyName,
+            thumbnail: thumbnailName
+        };
+        await writeBackpack(username, {
+            nextId: backpack.nextId + 1,
+            items: [...backpack.items, item]
+        });
+        console.log(`${username}: added ${type} ${item.id}`);
+        return item;
+    });
+};
+
+const renameItem = (username, id, data) => {
+    const name = parseName(data && data.name);
+    return enqueue(username, async () => {
+        const backpack = await readBackpack(username);
+        const existing = backpack.items.find(i => i.id === id);
+        if (!existing) {
+            throw new HTTPError(404, 'Item not found');
+        }
+        const item = {
+            ...existing,
+            name
+        };
+        await writeBackpack(username, {
+            ...backpack,
+            items: backpack.items.map(i => (i.id === id ? item : i))
+        });
+        return item;
+    });
+};
+
+// Assets are left on disk because other items, or other backpacks, may still use them.
+const deleteItem = (username, id) => enqueue(username, async () => {
+    const backpack = await readBackpack(username);
+    if (!backpack.items.some(i => i.id === id)) {
+        throw new HTTPError(404, 'Item not found');
+    }
+    await writeBackpack(username, {
+        ...backpack,
+        items: backpack.items.filter(i => i.id !== id)
+    });
+    console.log(`${username}: deleted ${id}`);
+    return {ok: true};
+});
+
+const serveAsset = async (res, name) => {
+    let data;
+    try {
+        data = await fs.readFile(path.join(ASSET_DIR, name));
+    } catch (e) {
+        throw new HTTPError(404, 'Asset not found');
+    }
+    const extension = name.split('.').pop();
+    res.writeHead(200, {
+        'Content-Type': CONTENT_TYPES[extension] || 'application/octet-stream',
+        // Names are based on the content, so they never change
+        'Cache-Control': 'public, max-age=31536000, immutable'
+    });
+    res.end(data);
+};
+
+const handleRequest = async (req, res) => {
+    const url = new URL(req.url, 'http://localhost');
+    const parts = url.pathname.split('/').filter(i => i);
+
+    if (req.method === 'OPTIONS') {
+        res.writeHead(204, {
+            'Access-Control-Allow-Methods': 'GET, POST, PUT, DELETE, OPTIONS',
+            'Access-Control-Allow-Headers': `Content-Type, ${AUTH_HEADER}`,
+            'Access-Control-Max-Age': '600'
+        });
+        res.end();
+        return;
+    }
+
+    if (parts.length === 1 && ASSET_RE.test(parts[0])) {
+        if (req.method !== 'GET') {
+            throw new HTTPError(405, 'Method not allowed');
+        }
+        await serveAsset(res, parts[0]);
+        return;
+    }
+
+    const username = parts[0];
+    if (parts.length < 1 || parts.length > 2 || !USERNAME_RE.test(username)) {
+        throw new HTTPError(404, 'Not found');
+    }
+    if (TOKEN && req.headers[AUTH_HEADER] !== TOKEN) {
+        throw new HTTPError(401, 'Invalid token');
+    }
+
+    let result;
+    if (parts.length === 1) {
+        if (req.method === 'GET') {
+            result = await listItems(username, url.searchParams);
+        } else if (req.method === 'POST') {
+            result = await createItem(username, await readJSON(req));
+        } else {
+            throw new HTTPError(405, 'Method not allowed');
+        }
+    } else {
+        const id = parts[1];
+        if (!ID_RE.test(id)) {
+            throw new HTTPError(404, 'Not found');
+        }
+        if (req.method === 'PUT') {
+            result = await renameItem(username, id, await readJSON(req));
+        } else if (req.method === 'DELETE') {
+            result = await deleteItem(username, id);
+        } else {
+            throw new HTTPError(405, 'Method not allowed');
+        }
+    }
+
+    res.writeHead(200, {
+        'Content-Type': 'application/json'
+    });
+    res.end(JSON.stringify(result));
+};
+
+const server = http.createServer((req, res) => {
+    // The GUI is usually served from a different origin
+    res.setHeader('Access-Control-Allow-Origin', '*');
+    handleRequest(req, res).catch(error => {
+        const status = error instanceof HTTPError ? error.status : 500;
+        if (status === 500) {
+            console.error(error);
+        }
+        if (!res.headersSent) {
+            res.writeHead(status, {
+                'Content-Type': 'application/json'
+            });
+        }
+        res.end(JSON.stringify({error: error.message}));
+    });
+});
+
+await fs.mkdir(ASSET_DIR, {recursive: true});
+await fs.mkdir(BACKPACK_DIR, {recursive: true});
+
+server.listen(PORT, () => {
+    console.log(`Backpack server listening on http://localhost:${PORT}`);
+    console.log(`Storing items in ${DATA_DIR}`);
+    if (TOKEN) {
+        console.log(`Requests must include the token in the ${AUTH_HEADER} header`);
+    }
+});
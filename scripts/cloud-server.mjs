@@ -0,0 +1,387 @@
+// A small reference cloud variable server that speaks the same protocol as src/lib/cloud-provider.js.
+// It keeps everything in memory and has no dependencies, so it's useful for testing multiplayer projects
+// offline. It is not intended to be exposed to the Internet.
+//
+// Usage: node scripts/cloud-server.mjs [port]
+// Then open the GUI with ?cloud_host=ws://localhost:9080
+
+import http from 'http';
+import nodeCrypto from 'crypto';
+
+const PORT = +process.argv[2] || +process.env.PORT || 9080;
+
+// Limits similar to the ones enforced by real cloud variable servers.
+const MAX_MESSAGE_SIZE = 1024 * 1024;
+const MAX_VALUE_LENGTH = 100000;
+const MAX_VARIABLES = 128;
+const MAX_USERNAME_LENGTH = 20;
+const CLOUD_PREFIX = '☁ ';
+
+// Close codes understood by the GUI.
+const CLOSE_GENERIC = 4000;
+const CLOSE_USERNAME_ERROR = 4002;
+const CLOSE_PROTOCOL_ERROR = 1002;
+const CLOSE_TOO_BIG = 1009;
+
+const WEBSOCKET_GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
+
+const OPCODE_CONTINUATION = 0x0;
+const OPCODE_TEXT = 0x1;
+const OPCODE_CLOSE = 0x8;
+const OPCODE_PING = 0x9;
+const OPCODE_PONG = 0xa;
+
+/**
+ * @typedef Room
+ * @property {Map<string, string|number>} variables
+ * @property {Set<Client>} clients
+ */
+
+/** @type {Map<string, Room>} */
+const rooms = new Map();
+
+/**
+ * @param {number} opcode Frame opcode
+ * @param {Buffer} payload Frame payload
+ * @returns {Buffer} An unmasked frame, as sent by servers
+ */
+const encodeFrame = (opcode, payload) => {
+    let header;
+    if (payload.length < 126) {
+        header = Buffer.alloc(2);
+        header[1] = payload.length;
+    } else if (payload.length < 65536) {
+        header = Buffer.alloc(4);
+        header[1] = 126;
+        header.writeUInt16BE(payload.length, 2);
+    } else {
+        header = Buffer.alloc(10);
+        header[1] = 127;
+        header.writeUInt32BE(Math.floor(payload.length / 0x100000000), 2);
+        header.writeUInt32BE(payload.length % 0x100000000, 6);
+    }
+    header[0] = 0x80 | opcode;
+    return Buffer.concat([header, payload]);
+};
+
+/**
+ * @param {unknown} username Username from the handshake
+ * @returns {boolean} True if the username is acceptable
+ */
+const isValidUsername = username => (
+    typeof username === 'string' &&
+    username.length > 0 &&
+    username.length <= MAX_USERNAME_LENGTH &&
+    /^[a-zA-Z0-9_-]+$/.test(username)
+);
+
+/**
+ * @param {unknown} name Variable name
+ * @returns {boolean} True if the name is a cloud variable name
+ */
+const isValidName = name => typeof name === 'string' && name.startsWith(CLOUD_PREFIX);
+
+/**
+ * @param {unknown} value Variable value
+ * @returns {boolean} True if the value can be stored
+ */
+const isValidValue = value => (
+    (typeof value === 'number' && Number.isFinite(value)) ||
+    (typeof value === 'string' && value.length <= MAX_VALUE_LENGTH)
+);
+
+class Client {
+    /**
+     * @param {net.Socket} socket Upgraded socket
+     */
+    constructor (socket) {
+        this.socket = socket;
+        this.buffer = Buffer.alloc(0);
+        /** @type {Buffer[]} */
+        this.fragments = [];
+        /** @type {Room|null} */
+        this.room = null;
+        this.roomId = null;
+        this.username = null;
+        this.closed = false;
+
+        socket.on('data', data => this.handleData(data));
+        socket.on('close', () => this.handleClose());
+        socket.on('error', () => this.handleClose());
+    }
+
+    handleData (data) {
+        this.buffer = Buffer.concat([this.buffer, data]);
+        while (!this.closed) {
+            const frame = this.readFrame();
+            if (!frame) {
+                break;
+            }
+            this.handleFrame(frame);
+        }
+    }
+
+    /**
+     * @returns {{fin: boolean, opcode: number, payload: Buffer}|null} The next complete frame, if any
+     */
+    readFrame () {
+        const buffer = this.buffer;
+        if (buffer.length < 2) {
+            return null;
+        }
+        const fin = (buffer[0] & 0x80) !== 0;
+        const opcode = buffer[0] & 0x0f;
+        const masked = (buffer[1] & 0x80) !== 0;
+        let length = buffer[1] & 0x7f;
+        let offset = 2;
+        if (length === 126) {
+            if (buffer.length < 4) return null;
+            length = buffer.readUInt16BE(2);
+            offset = 4;
+        } else if (length === 127) {
+            if (buffer.length < 10) return null;
+            length = (buffer.readUInt32BE(2) * 0x100000000) + buffer.readUInt32BE(6);
+            offset = 10;
+        }
+        if (!masked) {
+            // Clients are required to mask every frame.
+            this.close(CLOSE_PROTOCOL_ERROR);
+            return null;
+        }
+        if (length > MAX_MESSAGE_SIZE) {
+            this.close(CLOSE_TOO_BIG);
+            return null;
+        }
+        if (buffer.length < offset + 4 + length) {
+            return null;
+        }
+        const mask = buffer.subarray(offset, offset + 4);
+        const payload = Buffer.from(buffer.subarray(offset + 4, offset + 4 + length));
+        for (let i = 0; i < payload.length; i++) {
+            payload[i] ^= mask[i % 4];
+        }
+        this.buffer = buffer.subarray(offset + 4 + length);
+        return {fin, opcode, payload};
+    }
+
+    handleFrame ({fin, opcode, payload}) {
+        switch (opcode) {
+        case OPCODE_TEXT:
+        case OPCODE_CONTINUATION: {
+            this.fragments.push(payload);
+            if (!fin) {
+                const totalLength = this.fragments.reduce((a, b) => a + b.length, 0);
+                if (totalLength > MAX_MESSAGE_SIZE) {
+                    this.close(CLOSE_TOO_BIG);
+                }
+                return;
+            }
+            const text = Buffer.concat(this.fragments).toString('utf-8');
+            this.fragments = [];
+            this.handleText(text);
+            break;
+        }
+        case OPCODE_PING:
+            this.socket.write(encodeFrame(OPCODE_PONG, payload));
+            break;
+        case OPCODE_PONG:
+            break;
+        case OPCODE_CLOSE:
+            this.close(1000);
+            break;
+        default:
+            // Binary frames aren't part of the protocol.
+            this.close(CLOSE_PROTOCOL_ERROR);
+            break;
+        }
+    }
+
+    handleText (text) {
+        // Multiple messages can be sent at once, newline separated
+        for (const line of text.split('\n')) {
+            if (!line) {
+                continue;
+            }
+            let message;
+            try {
+                message = JSON.parse(line);
+            } catch (e) {
+                this.close(CLOSE_GENERIC);
+                return;
+            }
+            if (!message || typeof message !== 'object') {
+                this.close(CLOSE_GENERIC);
+                return;
+            }
+            this.handleMessage(message);
+            if (this.closed) {
+                return;
+            }
+        }
+    }
+
+    handleMessage (message) {
+        if (message.method === 'handshake') {
+            this.handleHandshake(message);
+            return;
+        }
+
+        if (!this.room) {
+            // Everything else requires a handshake first.
+            this.close(CLOSE_GENERIC);
+            return;
+        }
+
+        const variables = this.room.variables;
+        switch (message.method) {
+        case 'create':
+        case 'set':
+            if (!isValidName(message.name) || !isValidValue(message.value)) {
+                return;
+            }
+            if (!variables.has(message.name) && variables.size >= MAX_VARIABLES) {
+                return;
+            }
+            variables.set(message.name, message.value);
+            this.broadcast({
+                method: 'set',
+                name: message.name,
+                value: message.value
+            });
+            break;
+        case 'rename':
+            if (!isValidName(message.new_name) || !variables.has(message.name)) {
+                return;
+            }
+            variables.set(message.new_name, variables.get(message.name));
+            variables.delete(message.name);
+            break;
+        case 'delete':
+            variables.delete(message.name);
+            break;
+        }
+    }
+
+    handleHandshake (message) {
+        if (this.room) {
+            return;
+        }
+        if (!isValidUsername(message.user)) {
+            this.close(CLOSE_USERNAME_ERROR);
+            return;
+        }
+        const roomId = `${message.project_id}`;
+        if (typeof message.project_id === 'undefined' || !roomId) {
+            this.close(CLOSE_GENERIC);
+            return;
+        }
+
+        let room = rooms.get(roomId);
+        if (!room) {
+            room = {
+                variables: new Map(),
+                clients: new Set()
+            };
+            rooms.set(roomId, room);
+        }
+        room.clients.add(this);
+        this.room = room;
+        this.roomId = roomId;
+        this.username = message.user;
+        console.log(`${this.username} joined ${roomId} (${room.clients.size} connected)`);
+
+        const existing = [];
+        for (const [name, value] of room.variables) {
+            existing.push(JSON.stringify({
+                method: 'set',
+                name,
+                value
+            }));
+        }
+        if (existing.length) {
+            this.send(existing.join('\n'));
+        }
+    }
+
+    /**
+     * Send a message to every other client in the same room.
+     * @param {object} message Message to send
+     */
+    broadcast (message) {
+        const text = JSON.stringify(message);
+        for (const client of this.room.clients) {
+            if (client !== this) {
+                client.send(text);
+            }
+        }
+    }
+
+    /**
+     * @param {string} text Text to send
+     */
+    send (text) {
+        if (!this.closed) {
+            this.socket.write(encodeFrame(OPCODE_TEXT, Buffer.from(text, 'utf-8')));
+        }
+    }
+
+    /**
+     * @param {number} code Close code
+     */
+    close (code) {
+        if (this.closed) {
+            return;
+        }
+        const payload = Buffer.alloc(2);
+        payload.writeUInt16BE(code, 0);
+        this.socket.end(encodeFrame(OPCODE_CLOSE, payload));
+        this.handleClose();
+    }
+
+    handleClose () {
+        if (this.closed) {
+            return;
+        }
+        this.closed = true;
+        if (this.room) {
+            this.room.clients.delete(this);
+            console.log(`${this.username} left ${this.roomId} (${this.room.clients.size} connected)`);
+            if (this.room.clients.size === 0) {
+                rooms.delete(this.roomId);
+            }
+            this.room = null;
+        }
+    }
+}
+
+const server = http.createServer((req, res) => {
+    res.writeHead(426, {
+        'Content-Type': 'text/plain'
+    });
+    res.end('This is a cloud variable server. Connect to it using a WebSocket.\n');
+});
+
+server.on('upgrade', (req, socket) => {
+    const key = req.headers['sec-websocket-key'];
+    if (`${req.headers.upgrade}`.toLowerCase() !== 'websocket' || !key) {
+        socket.end('HTTP/1.1 400 Bad Request\r\n\r\n');
+        return;
+    }
+    const accept = nodeCrypto.createHash('sha1')
+        .update(`${key}${WEBSOCKET_GUID}`)
+        .digest('base64');
+    socket.write([
+        'HTTP/1.1 101 Switching Protocols',
+        'Upgrade: websocket',
+        'Connection: Upgrade',
+        `Sec-WebSocket-Accept: ${accept}`,
+        '',
+        ''
+    ].join('\r\n'));
+    // eslint-disable-next-line no-new
+    new Client(socket);
+});
+
+server.listen(PORT, () => {
+    console.log(`Cloud variable server listening on ws://localhost:${PORT}`);
+});
@@ -9,10 +9,13 @@ import _asset5 from "!url-loader!./icons/error.svg";
 import _asset6 from "!url-loader!./icons/logs.svg";
 import _asset7 from "!url-loader!./icons/performance.svg";
 import _asset8 from "!url-loader!./icons/play.svg";
-import _asset9 from "!url-loader!./icons/step.svg";
-import _asset10 from "!url-loader!./icons/subthread.svg";
-import _asset11 from "!url-loader!./icons/threads.svg";
-import _asset12 from "!url-loader!./icons/warning.svg";
+import _asset9 from "!url-loader!./icons/step-out.svg";
+import _asset10 from "!url-loader!./icons/step-over.svg";
+import _asset11 from "!url-loader!./icons/step.svg";
+import _asset12 from "!url-loader!./icons/subthread.svg";
+import _asset13 from "!url-loader!./icons/threads.svg";
+import _asset14 from "!url-loader!./icons/warning.svg";
+import _asset15 from "!url-loader!./icons/watches.svg";
 export const resources = {
   "userscript.js": _js,
   "style.css": _css,
@@ -24,8 +27,11 @@ export const resources = {
   "icons/logs.svg": _asset6,
   "icons/performance.svg": _asset7,
   "icons/play.svg": _asset8,
-  "icons/step.svg": _asset9,
-  "icons/subthread.svg": _asset10,
-  "icons/threads.svg": _asset11,
-  "icons/warning.svg": _asset12,
+  "icons/step-out.svg": _asset9,
+  "icons/step-over.svg": _asset10,
+  "icons/step.svg": _asset11,
+  "icons/subthread.svg": _asset12,
+  "icons/threads.svg": _asset13,
+  "icons/warning.svg": _asset14,
+  "icons/watches.svg": _asset15,
 };
@@ -9,6 +9,9 @@ const STATUS_DONE = 4;
 
 const REACT_INTERNAL_PREFIX = "__reactInternalInstance$";
 
+// TW: Step over and step out use this much of each frame, like the sequencer does when it isn't paused.
+const STEP_WORK_TIME = 0.75;
+
 let vm;
 
 let paused = false;
@@ -16,6 +19,9 @@ let pausedThreadState = new WeakMap();
 let pauseNewThreads = false;
 
 let steppingThread = null;
+let stepsInterrupted = false;
+// TW: The step over or step out that is in progress, if any
+let steppingUntil = null;
 
 const eventTarget = new EventTarget();
 
@@ -112,6 +118,8 @@ export const setPaused = (_paused) => {
 
   // Don't check didChange as new threads could've started that we need to pause.
   if (paused) {
+    // TW: Breakpoints hit during step over or step out should stop them
+    stepsInterrupted = true;
     audioContextStateChange = audioContextStateChange.then(() => {
       return vm.runtime.audioEngine.audioContext.suspend();
     });
@@ -141,6 +149,7 @@ export const setPaused = (_paused) => {
       }
     }
     pausedThreadState = new WeakMap();
+    steppingUntil = null;
 
     const lastSteppedThread = steppingThread;
     // This must happen after the "change" event is fired to fix https://github.com/ScratchAddons/ScratchAddons/issues/4281
@@ -309,7 +318,7 @@ const findNewSteppingThread = (startingIndex) => {
   return null;
 };
 
-export const singleStep = () => {
+const stepOnce = () => {
   if (steppingThread) {
     const pauseState = pausedThreadState.get(steppingThread);
     // We can assume pauseState is defined as any single stepping threads must already be paused.
@@ -371,10 +380,73 @@ export const singleStep = () => {
 
     pauseNewThreads = false;
   }
+};
+
+export const singleStep = () => {
+  steppingUntil = null;
+  stepOnce();
+  eventTarget.dispatchEvent(new CustomEvent("step"));
+};
+
+const getBlock = (thread, blockId) => thread.target.blocks.getBlock(blockId) || vm.runtime.flyoutBlocks.getBlock(blockId);
+
+// TW: Step over and step out keep stepping until the thread is back to the given stack depth. The stepping
+// happens a frame at a time from the sequencer so that the editor stays responsive, and an infinite loop
+// can be stopped by resuming or by stepping again.
+const stepUntilStackDepth = (thread, depth) => {
+  steppingUntil = {
+    thread,
+    depth,
+  };
+};
 
+const continueSteppingUntilStackDepth = () => {
+  const { thread, depth } = steppingUntil;
+  const startTime = performance.now();
+  const workTime = vm.runtime.currentStepTime * STEP_WORK_TIME;
+  stepsInterrupted = false;
+  do {
+    stepOnce();
+    if (
+      stepsInterrupted ||
+      thread.status === STATUS_DONE ||
+      (steppingThread === thread && thread.stack.length <= depth)
+    ) {
+      steppingUntil = null;
+      break;
+    }
+  } while (performance.now() - startTime < workTime);
   eventTarget.dispatchEvent(new CustomEvent("step"));
 };
 
+// TW: Runs a custom block call as if it were one block. Other blocks are stepped normally.
+export const stepOver = () => {
+  const thread = steppingThread;
+  const block = thread && getBlock(thread, thread.peekStack());
+  if (!block || block.opcode !== "procedures_call") {
+    singleStep();
+    return;
+  }
+  stepUntilStackDepth(thread, thread.stack.length);
+};
+
+// TW: Runs the rest of the custom block that the thread is in.
+export const stepOut = () => {
+  const thread = steppingThread;
+  if (thread) {
+    // The call block stays on the stack while the custom block runs. The top of the stack is
+    // skipped because that call hasn't run yet.
+    for (let i = thread.stack.length - 2; i >= 0; i--) {
+      const block = getBlock(thread, thread.stack[i]);
+      if (block && block.opcode === "procedures_call") {
+        stepUntilStackDepth(thread, i + 1);
+        return;
+      }
+    }
+  }
+  singleStep();
+};
+
 export const setup = (addon) => {
   if (vm) {
     return;
@@ -388,6 +460,9 @@ export const setup = (addon) => {
       for (const thread of this.runtime.threads) {
         ensurePausedThreadIsStillPaused(thread);
       }
+      if (steppingUntil) {
+        continueSteppingUntilStackDepth();
+      }
     }
     return originalStepThreads.call(this);
   };
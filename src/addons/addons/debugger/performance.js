@@ -1,5 +1,6 @@
 import { onPauseChanged, isPaused } from "./module.js";
 import "../../libraries/thirdparty/cs/chart.min.js";
+import createProfilerView from "./profiler.js";
 
 export default async function createPerformanceTab({ debug, addon, console, msg }) {
   const vm = addon.tab.traps.vm;
@@ -159,6 +160,10 @@ export default async function createPerformanceTab({ debug, addon, console, msg
   content.appendChild(clonesElements.title);
   content.appendChild(clonesElements.canvas);
 
+  // TW: Profiler
+  const profilerView = createProfilerView({ debug, addon, msg, vm });
+  content.appendChild(profilerView.element);
+
   let pauseTime = 0;
   onPauseChanged((paused) => {
     if (paused) {
@@ -175,15 +180,17 @@ export default async function createPerformanceTab({ debug, addon, console, msg
   let isVisible = false;
   const show = () => {
     isVisible = true;
+    profilerView.show();
   };
   const hide = () => {
     isVisible = false;
+    profilerView.hide();
   };
 
   return {
     tab,
     content,
-    buttons: [],
+    buttons: profilerView.buttons,
     show,
     hide,
   };
@@ -0,0 +1,553 @@
+// TW: Profiler for the performance tab. While recording, each time a thread is stepped, the time is
+// charged to its script, or to the custom block it is running. Compiled custom blocks are measured
+// by wrapping the functions in thread.procedures. Interpreted threads don't call anything that
+// we can wrap, so their time is charged to the custom blocks on their stack when the step started.
+
+const GeneratorFunction = function* () {}.constructor;
+
+const MAX_ROWS = 100;
+
+const now = () => performance.now();
+
+const removeAllChildren = (element) => {
+  while (element.firstChild) {
+    element.removeChild(element.firstChild);
+  }
+};
+
+const getOriginalTarget = (target) => (target.isOriginal ? target : target.sprite.clones[0]);
+
+// Compiled custom blocks are stored with a prefix that says whether they run without screen refresh.
+const getProcedureCodeFromVariant = (variant) =>
+  variant.charAt(0) === "W" || variant.charAt(0) === "Z" ? variant.substring(1) : variant;
+
+export class Profiler {
+  constructor(vm) {
+    this.vm = vm;
+    this.recording = false;
+    this.activeState = null;
+    this.lastTime = 0;
+    // Persist across clear() so threads are never wrapped twice
+    this.wrappedThreads = new WeakMap();
+    this.clear();
+    this._install();
+  }
+
+  clear() {
+    this.scripts = new Map();
+    this.procedures = new Map();
+    this.threadStates = new WeakMap();
+    this.frames = 0;
+    this.frameTime = 0;
+  }
+
+  start() {
+    this.recording = true;
+  }
+
+  stop() {
+    this.recording = false;
+    this.activeState = null;
+    for (const thread of this.vm.runtime.threads) {
+      const originalProcedures = this.wrappedThreads.get(thread);
+      if (originalProcedures) {
+        thread.procedures = originalProcedures;
+        this.wrappedThreads.delete(thread);
+      }
+    }
+  }
+
+  _install() {
+    const profiler = this;
+    const runtime = this.vm.runtime;
+
+    const originalStep = runtime._step;
+    runtime._step = function (...args) {
+      if (!profiler.recording) {
+        return originalStep.apply(this, args);
+      }
+      const start = now();
+      try {
+        return originalStep.apply(this, args);
+      } finally {
+        profiler.frames++;
+        profiler.frameTime += now() - start;
+      }
+    };
+
+    const originalStepThread = runtime.sequencer.stepThread;
+    runtime.sequencer.stepThread = function (thread) {
+      if (!profiler.recording || thread.updateMonitor) {
+        return originalStepThread.call(this, thread);
+      }
+      const state = profiler._beforeStepThread(thread);
+      try {
+        return originalStepThread.call(this, thread);
+      } finally {
+        profiler._afterStepThread(state);
+      }
+    };
+
+    const originalStepToProcedure = runtime.sequencer.stepToProcedure;
+    runtime.sequencer.stepToProcedure = function (thread, procedureCode) {
+      if (profiler.recording) {
+        profiler._getProcedureEntry(thread.target, procedureCode).count++;
+      }
+      return originalStepToProcedure.call(this, thread, procedureCode);
+    };
+  }
+
+  _getScriptEntry(thread) {
+    const original = getOriginalTarget(thread.target);
+    const key = `${original.id}/${thread.topBlock}`;
+    let entry = this.scripts.get(key);
+    if (!entry) {
+      entry = {
+        key,
+        targetId: original.id,
+        targetName: original.getName(),
+        blockId: thread.topBlock,
+        self: 0,
+        total: 0,
+        count: 0,
+      };
+      this.scripts.set(key, entry);
+    }
+    return entry;
+  }
+
+  _getProcedureEntry(target, procedureCode) {
+    const original = getOriginalTarget(target);
+    const key = `${original.id}/${procedureCode}`;
+    let entry = this.procedures.get(key);
+    if (!entry) {
+      entry = {
+        key,
+        targetId: original.id,
+        targetName: original.getName(),
+        blockId: original.blocks.getProcedureDefinition(procedureCode),
+        self: 0,
+        total: 0,
+        count: 0,
+      };
+      this.procedures.set(key, entry);
+    }
+    return entry;
+  }
+
+  _getThreadState(thread) {
+    let state = this.threadStates.get(thread);
+    if (!state) {
+      state = {
+        thread,
+        script: this._getScriptEntry(thread),
+        stack: [],
+        depths: new Map(),
+        clock: 0,
+      };
+      this.threadStates.set(thread, state);
+    }
+    if (thread.isCompiled && thread.procedures && !this.wrappedThreads.has(thread)) {
+      this._wrapProcedures(thread);
+    }
+    return state;
+  }
+
+  _wrapProcedures(thread) {
+    const originalProcedures = thread.procedures;
+    const wrappedProcedures = {};
+    for (const variant of Object.keys(originalProcedures)) {
+      wrappedProcedures[variant] = this._wrapProcedure(
+        thread,
+        getProcedureCodeFromVariant(variant),
+        originalProcedures[variant]
+      );
+    }
+    this.wrappedThreads.set(thread, originalProcedures);
+    thread.procedures = wrappedProcedures;
+  }
+
+  _wrapProcedure(thread, procedureCode, fn) {
+    const profiler = this;
+    if (fn instanceof GeneratorFunction) {
+      return function* (...args) {
+        const frame = profiler._enterProcedure(thread, procedureCode);
+        try {
+          return yield* fn.apply(this, args);
+        } finally {
+          profiler._exitProcedure(frame);
+        }
+      };
+    }
+    return function (...args) {
+      const frame = profiler._enterProcedure(thread, procedureCode);
+      try {
+        return fn.apply(this, args);
+      } finally {
+        profiler._exitProcedure(frame);
+      }
+    };
+  }
+
+  // Gives the time since the last event to whatever is at the top of the active thread's stack.
+  _charge(time) {
+    const state = this.activeState;
+    const elapsed = time - this.lastTime;
+    this.lastTime = time;
+    state.clock += elapsed;
+    const top = state.stack.length ? state.stack[state.stack.length - 1].entry : state.script;
+    top.self += elapsed;
+  }
+
+  _enterProcedure(thread, procedureCode) {
+    const state = this.activeState;
+    if (!this.recording || !state || state.thread !== thread) {
+      return null;
+    }
+    this._charge(now());
+    const entry = this._getProcedureEntry(thread.target, procedureCode);
+    entry.count++;
+    // Recursive calls shouldn't add to the total time more than once
+    const depth = state.depths.get(entry) || 0;
+    state.depths.set(entry, depth + 1);
+    const frame = {
+      entry,
+      clock: state.clock,
+    };
+    state.stack.push(frame);
+    return frame;
+  }
+
+  _exitProcedure(frame) {
+    const state = this.activeState;
+    // Recording may have been stopped or cleared while the custom block was running
+    if (!frame || !state || state.stack[state.stack.length - 1] !== frame) {
+      return;
+    }
+    this._charge(now());
+    state.stack.pop();
+    const depth = state.depths.get(frame.entry) - 1;
+    state.depths.set(frame.entry, depth);
+    if (depth === 0) {
+      frame.entry.total += state.clock - frame.clock;
+    }
+  }
+
+  _getInterpretedProcedures(thread) {
+    const entries = [];
+    // The call block stays on the stack while the custom block runs. The top of the stack hasn't run yet.
+    for (let i = 0; i < thread.stack.length - 1; i++) {
+      const block =
+        thread.target.blocks.getBlock(thread.stack[i]) || this.vm.runtime.flyoutBlocks.getBlock(thread.stack[i]);
+      if (block && block.opcode === "procedures_call") {
+        const entry = this._getProcedureEntry(thread.target, block.mutation.proccode);
+        if (!entries.includes(entry)) {
+          entries.push(entry);
+        }
+      }
+    }
+    return entries;
+  }
+
+  _beforeStepThread(thread) {
+    const state = this._getThreadState(thread);
+    const interpretedProcedures = thread.isCompiled ? null : this._getInterpretedProcedures(thread);
+    if (interpretedProcedures) {
+      state.stack = interpretedProcedures.map((entry) => ({ entry, clock: state.clock }));
+    }
+    this.activeState = state;
+    this.lastTime = now();
+    return {
+      state,
+      clock: state.clock,
+      interpretedProcedures,
+    };
+  }
+
+  _afterStepThread({ state, clock, interpretedProcedures }) {
+    // Recording may have been stopped or cleared by a block in this thread
+    if (this.activeState !== state) {
+      return;
+    }
+    this._charge(now());
+    const elapsed = state.clock - clock;
+    state.script.total += elapsed;
+    state.script.count++;
+    if (interpretedProcedures) {
+      for (const entry of interpretedProcedures) {
+        entry.total += elapsed;
+      }
+      state.stack = [];
+    }
+    this.activeState = null;
+  }
+
+  getScripts() {
+    return Array.from(this.scripts.values());
+  }
+
+  getProcedures() {
+    return Array.from(this.procedures.values());
+  }
+
+  getTargets() {
+    const targets = new Map();
+    for (const script of this.scripts.values()) {
+      let entry = targets.get(script.targetId);
+      if (!entry) {
+        entry = {
+          key: script.targetId,
+          targetId: script.targetId,
+          targetName: script.targetName,
+          blockId: null,
+          self: 0,
+          total: 0,
+          count: 0,
+        };
+        targets.set(script.targetId, entry);
+      }
+      entry.self += script.total;
+      entry.total += script.total;
+      entry.count += script.count;
+    }
+    return Array.from(targets.values());
+  }
+}
+
+// Texts are message IDs
+const VIEWS = [
+  {
+    id: "targets",
+    text: "profiler-view-targets",
+    countLabel: "profiler-steps",
+    getRows: (profiler) => profiler.getTargets(),
+  },
+  {
+    id: "scripts",
+    text: "profiler-view-scripts",
+    countLabel: "profiler-steps",
+    getRows: (profiler) => profiler.getScripts(),
+  },
+  {
+    id: "procedures",
+    text: "profiler-view-procedures",
+    countLabel: "profiler-calls",
+    getRows: (profiler) => profiler.getProcedures(),
+  },
+];
+
+const COLUMNS = [
+  {
+    id: "name",
+    text: "profiler-name",
+  },
+  {
+    id: "self",
+    text: "profiler-self",
+  },
+  {
+    id: "total",
+    text: "profiler-total",
+  },
+  {
+    id: "percent",
+    text: "profiler-percent",
+  },
+  {
+    id: "count",
+    text: null,
+  },
+];
+
+export default function createProfilerView({ debug, addon, msg, vm }) {
+  const profiler = new Profiler(vm);
+
+  let view = VIEWS[0];
+  let sortColumn = "total";
+  let sortAscending = false;
+  let isVisible = false;
+  let updateInterval = null;
+
+  const root = Object.assign(document.createElement("div"), {
+    className: "sa-debugger-profiler",
+  });
+  const title = Object.assign(document.createElement("h2"), {
+    textContent: msg("profiler"),
+  });
+  const summary = Object.assign(document.createElement("p"), {
+    className: "sa-debugger-profiler-summary",
+  });
+  const viewButtons = Object.assign(document.createElement("div"), {
+    className: "sa-debugger-profiler-views",
+  });
+  const table = Object.assign(document.createElement("table"), {
+    className: "sa-debugger-profiler-table",
+  });
+  const tableHead = document.createElement("thead");
+  const tableBody = document.createElement("tbody");
+  table.append(tableHead, tableBody);
+  root.append(title, summary, viewButtons, table);
+
+  for (const v of VIEWS) {
+    const button = Object.assign(document.createElement("button"), {
+      className: "sa-debugger-profiler-view",
+      textContent: msg(v.text),
+    });
+    button.dataset.view = v.id;
+    button.addEventListener("click", () => {
+      view = v;
+      render();
+    });
+    viewButtons.appendChild(button);
+  }
+
+  const getSortValue = (row, column) => {
+    if (column === "name") {
+      return row.targetName.toLowerCase();
+    }
+    if (column === "percent") {
+      return row.total;
+    }
+    return row[column];
+  };
+
+  const formatTime = (ms) => ms.toFixed(1);
+
+  const createNameCell = (row) => {
+    const cell = document.createElement("td");
+    cell.className = "sa-debugger-profiler-name";
+    if (row.blockId) {
+      const preview = debug.createBlockPreview(row.targetId, row.blockId);
+      if (preview) {
+        cell.appendChild(preview);
+      }
+      // Block links use the find bar's utilities to scroll the script into view
+      cell.appendChild(debug.createBlockLink(debug.getTargetInfoById(row.targetId), row.blockId));
+    } else {
+      cell.textContent = row.targetName;
+    }
+    return cell;
+  };
+
+  const renderHead = () => {
+    removeAllChildren(tableHead);
+    const tr = document.createElement("tr");
+    for (const column of COLUMNS) {
+      const th = document.createElement("th");
+      th.textContent = msg(column.text || view.countLabel);
+      if (column.id === sortColumn) {
+        th.textContent += sortAscending ? " ▲" : " ▼";
+      }
+      th.addEventListener("click", () => {
+        if (sortColumn === column.id) {
+          sortAscending = !sortAscending;
+        } else {
+          sortColumn = column.id;
+          // Names read best A to Z, numbers are most useful largest first
+          sortAscending = column.id === "name";
+        }
+        render();
+      });
+      tr.appendChild(th);
+    }
+    tableHead.appendChild(tr);
+  };
+
+  const renderBody = () => {
+    removeAllChildren(tableBody);
+    const rows = view.getRows(profiler).sort((a, b) => {
+      const aValue = getSortValue(a, sortColumn);
+      const bValue = getSortValue(b, sortColumn);
+      const result = aValue < bValue ? -1 : aValue > bValue ? 1 : 0;
+      return sortAscending ? result : -result;
+    });
+    for (const row of rows.slice(0, MAX_ROWS)) {
+      const tr = document.createElement("tr");
+      tr.appendChild(createNameCell(row));
+      const percent = profiler.frameTime ? (row.total / profiler.frameTime) * 100 : 0;
+      for (const text of [formatTime(row.self), formatTime(row.total), `${percent.toFixed(1)}%`, `${row.count}`]) {
+        const td = document.createElement("td");
+        td.textContent = text;
+        tr.appendChild(td);
+      }
+      tableBody.appendChild(tr);
+    }
+  };
+
+  const render = () => {
+    if (!isVisible) {
+      return;
+    }
+    for (const button of viewButtons.children) {
+      button.classList.toggle("sa-debugger-profiler-view-selected", button.dataset.view === view.id);
+    }
+    if (profiler.frames === 0) {
+      summary.textContent = profiler.recording ? msg("profiler-recording") : msg("profiler-empty");
+    } else {
+      summary.textContent = msg("profiler-summary", {
+        frames: profiler.frames,
+        average: formatTime(profiler.frameTime / profiler.frames),
+      });
+    }
+    renderHead();
+    renderBody();
+  };
+
+  const startUpdating = () => {
+    if (updateInterval === null && isVisible && profiler.recording) {
+      updateInterval = setInterval(render, 1000);
+    }
+  };
+  const stopUpdating = () => {
+    if (updateInterval !== null) {
+      clearInterval(updateInterval);
+      updateInterval = null;
+    }
+  };
+
+  const recordButton = debug.createHeaderButton({
+    text: msg("profiler-record"),
+    icon: addon.self.getResource("/icons/play.svg") /* rewritten by pull.js */,
+    description: msg("profiler-record-desc"),
+  });
+  const updateRecordButton = () => {
+    recordButton.text.textContent = profiler.recording ? msg("profiler-stop") : msg("profiler-record");
+  };
+  recordButton.element.addEventListener("click", () => {
+    if (profiler.recording) {
+      profiler.stop();
+      stopUpdating();
+    } else {
+      profiler.start();
+      startUpdating();
+    }
+    updateRecordButton();
+    render();
+  });
+
+  const clearButton = debug.createHeaderButton({
+    text: msg("clear"),
+    icon: addon.self.getResource("/icons/delete.svg") /* rewritten by pull.js */,
+  });
+  clearButton.element.addEventListener("click", () => {
+    profiler.clear();
+    render();
+  });
+
+  const show = () => {
+    isVisible = true;
+    render();
+    startUpdating();
+  };
+  const hide = () => {
+    isVisible = false;
+    stopUpdating();
+  };
+
+  return {
+    element: root,
+    buttons: [recordButton, clearButton],
+    show,
+    hide,
+  };
+}
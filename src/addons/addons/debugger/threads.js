@@ -1,4 +1,4 @@
-import { onPauseChanged, isPaused, singleStep, onSingleStep, getRunningThread } from "./module.js";
+import { onPauseChanged, isPaused, onSingleStep, getRunningThread } from "./module.js";
 import LogView from "./log-view.js";
 import Highlighter from "../editor-stepping/highlighter.js";
 
@@ -215,21 +215,9 @@ export default async function createThreadsTab({ debug, addon, console, msg }) {
     }
   });
 
-  const stepButton = debug.createHeaderButton({
-    text: msg("step"),
-    icon: addon.self.getResource("/icons/step.svg") /* rewritten by pull.js */,
-    description: msg("step-desc"),
-  });
-  stepButton.element.addEventListener("click", () => {
-    singleStep();
-  });
+  const stepButtons = debug.createStepButtons();
 
-  const handlePauseChanged = (paused) => {
-    stepButton.element.style.display = paused ? "" : "none";
-    updateContent();
-  };
-  handlePauseChanged(isPaused());
-  onPauseChanged(handlePauseChanged);
+  onPauseChanged(updateContent);
 
   onSingleStep(() => {
     updateContent();
@@ -269,7 +257,7 @@ export default async function createThreadsTab({ debug, addon, console, msg }) {
   return {
     tab,
     content: logView.outerElement,
-    buttons: [stepButton],
+    buttons: stepButtons,
     show,
     hide,
   };
@@ -1,7 +1,8 @@
-import { isPaused, setPaused, onPauseChanged, setup } from "./module.js";
+import { isPaused, setPaused, onPauseChanged, singleStep, stepOver, stepOut, setup } from "./module.js";
 import createLogsTab from "./logs.js";
 import createThreadsTab from "./threads.js";
 import createPerformanceTab from "./performance.js";
+import createWatchesTab from "./watches.js";
 import Utils from "../find-bar/blockly/Utils.js";
 import addSmallStageClass from "../../libraries/common/cs/small-stage.js";
 
@@ -11,6 +12,20 @@ const removeAllChildren = (element) => {
   }
 };
 
+// Same as Cast.toBoolean() from scratch-vm
+const toBoolean = (value) => {
+  if (typeof value === "boolean") {
+    return value;
+  }
+  if (typeof value === "string") {
+    if (value === "" || value === "0" || value.toLowerCase() === "false") {
+      return false;
+    }
+    return true;
+  }
+  return Boolean(value);
+};
+
 export default async function ({ addon, console, msg }) {
   setup(addon);
 
@@ -41,6 +56,16 @@ export default async function ({ addon, console, msg }) {
     displayName: msg("block-breakpoint"),
     callback: pause,
   });
+  // TW: Conditional breakpoint
+  addon.tab.addBlock("\u200B\u200Bbreakpoint\u200B\u200B %b", {
+    args: ["condition"],
+    displayName: msg("block-breakpoint-if"),
+    callback: ({ condition }, thread) => {
+      if (toBoolean(condition)) {
+        pause(null, thread);
+      }
+    },
+  });
   addon.tab.addBlock("\u200B\u200Blog\u200B\u200B %s", {
     args: ["content"],
     displayName: msg("block-log"),
@@ -231,6 +256,43 @@ export default async function ({ addon, console, msg }) {
   });
   closeButton.element.addEventListener("click", () => setInterfaceVisible(false));
 
+  // TW: Step, step over, and step out buttons for tabs that are useful while paused
+  const createStepButtons = () => {
+    const stepButton = createHeaderButton({
+      text: msg("step"),
+      icon: addon.self.getResource("/icons/step.svg") /* rewritten by pull.js */,
+      description: msg("step-desc"),
+    });
+    stepButton.element.addEventListener("click", () => {
+      singleStep();
+    });
+    const stepOverButton = createHeaderButton({
+      text: "",
+      icon: addon.self.getResource("/icons/step-over.svg") /* rewritten by pull.js */,
+      description: msg("step-over-desc"),
+    });
+    stepOverButton.element.addEventListener("click", () => {
+      stepOver();
+    });
+    const stepOutButton = createHeaderButton({
+      text: "",
+      icon: addon.self.getResource("/icons/step-out.svg") /* rewritten by pull.js */,
+      description: msg("step-out-desc"),
+    });
+    stepOutButton.element.addEventListener("click", () => {
+      stepOut();
+    });
+    const buttons = [stepButton, stepOverButton, stepOutButton];
+    const updateVisibility = (paused) => {
+      for (const button of buttons) {
+        button.element.style.display = paused ? "" : "none";
+      }
+    };
+    updateVisibility(isPaused());
+    onPauseChanged(updateVisibility);
+    return buttons;
+  };
+
   const originalStep = vm.runtime._step;
   const afterStepCallbacks = [];
   vm.runtime._step = function (...args) {
@@ -506,12 +568,15 @@ export default async function ({ addon, console, msg }) {
     debug: {
       createHeaderButton,
       createHeaderTab,
+      createStepButtons,
       setHasUnreadMessage,
       addAfterStepCallback,
       getBlock,
       getTargetInfoById,
       createBlockLink,
       createBlockPreview,
+      logMessage,
+      pause: (thread) => pause(null, thread),
     },
     addon,
     msg,
@@ -520,7 +585,8 @@ export default async function ({ addon, console, msg }) {
   logsTab = await createLogsTab(api);
   const threadsTab = await createThreadsTab(api);
   const performanceTab = await createPerformanceTab(api);
-  const allTabs = [logsTab, threadsTab, performanceTab];
+  const watchesTab = await createWatchesTab(api);
+  const allTabs = [logsTab, threadsTab, watchesTab, performanceTab];
 
   for (const message of messagesLoggedBeforeLogsTabLoaded) {
     logsTab.addLog(...message);
@@ -0,0 +1,100 @@
+// Blocks that change a variable or list. Any other block that refers to a variable or list reads it.
+const WRITE_OPCODES = new Set([
+  "data_setvariableto",
+  "data_changevariableby",
+  "data_addtolist",
+  "data_deleteoflist",
+  "data_deletealloflist",
+  "data_insertatlist",
+  "data_replaceitemoflist",
+]);
+
+const createUsage = () => ({
+  reads: 0,
+  writes: 0,
+});
+
+/**
+ * Walk every block in the project to find out how each variable and list is used.
+ * Clones share blocks with their original sprite, so only original targets are checked.
+ * @param {VirtualMachine} vm
+ * @returns {Map<string, {reads: number, writes: number}>} Map of variable ID to usage. Variables that are
+ * never used are not in the map.
+ */
+export const getVariableUsage = (vm) => {
+  const usage = new Map();
+  const getUsage = (id) => {
+    let result = usage.get(id);
+    if (!result) {
+      result = createUsage();
+      usage.set(id, result);
+    }
+    return result;
+  };
+
+  // The "of" sensing block reads variables from other sprites by name instead of by ID.
+  const readByName = new Map();
+
+  for (const target of vm.runtime.targets) {
+    if (!target.isOriginal) continue;
+    const blocks = target.blocks._blocks;
+    for (const block of Object.values(blocks)) {
+      const field = block.fields.VARIABLE || block.fields.LIST;
+      if (field && field.id) {
+        const variableUsage = getUsage(field.id);
+        if (WRITE_OPCODES.has(block.opcode)) {
+          variableUsage.writes++;
+        } else {
+          variableUsage.reads++;
+        }
+      } else if (block.opcode === "sensing_of" && block.fields.PROPERTY) {
+        const name = block.fields.PROPERTY.value;
+        readByName.set(name, (readByName.get(name) || 0) + 1);
+      }
+    }
+  }
+
+  if (readByName.size > 0) {
+    for (const target of vm.runtime.targets) {
+      if (!target.isOriginal) continue;
+      for (const variable of Object.values(target.variables)) {
+        const count = readByName.get(variable.name);
+        if (count && variable.type === "") {
+          getUsage(variable.id).reads += count;
+        }
+      }
+    }
+  }
+
+  // A visible monitor counts as reading the variable since the user can see it on the stage.
+  for (const monitor of vm.runtime._monitorState.values()) {
+    if (monitor.get("visible")) {
+      let id = monitor.get("id");
+      // Monitors of sprite-local variables are prefixed with the sprite's ID
+      const targetId = monitor.get("targetId");
+      if (targetId && id.startsWith(`${targetId}_`)) {
+        id = id.substring(targetId.length + 1);
+      }
+      getUsage(id).reads++;
+    }
+  }
+
+  return usage;
+};
+
+/**
+ * @param {{reads: number, writes: number}|undefined} usage From getVariableUsage()
+ * @returns {"unused"|"never-read"|"never-written"|null} Message key for the warning to show, if any
+ */
+export const getUsageWarning = (usage) => {
+  if (!usage || (usage.reads === 0 && usage.writes === 0)) {
+    return "unused";
+  }
+  if (usage.reads === 0) {
+    return "never-read";
+  }
+  if (usage.writes === 0) {
+    return "never-written";
+  }
+  return null;
+};
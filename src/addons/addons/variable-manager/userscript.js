@@ -1,10 +1,59 @@
+import downloadBlob from "../../libraries/common/cs/download-blob.js";
+import VariableHistory from "./history.js";
+import { getVariableUsage, getUsageWarning } from "./usage.js";
+
+// Longest value shown in the watch bar and the history of a variable
+const MAX_PREVIEW_LENGTH = 100;
+
+const SPRITE_FILTER_CURRENT = "current";
+const SPRITE_FILTER_ALL = "all";
+const SCOPE_ALL = "all";
+const SCOPE_LOCAL = "local";
+const SCOPE_GLOBAL = "global";
+
+const isVariableOrList = (variable) => variable.type === "" || variable.type === "list";
+
+const isNumber = (value) =>
+  typeof value === "number" || (typeof value === "string" && value.trim() !== "" && !isNaN(Number(value)));
+
+const isBoolean = (value) => typeof value === "boolean" || value === "true" || value === "false";
+
+const getPreview = (value) => {
+  const text = Array.isArray(value) ? `[${value.join(", ")}]` : `${value}`;
+  if (text.length > MAX_PREVIEW_LENGTH) {
+    return `${text.substring(0, MAX_PREVIEW_LENGTH)}…`;
+  }
+  return text;
+};
+
 export default async function ({ addon, console, msg }) {
   const vm = addon.tab.traps.vm;
 
-  let localVariables = [];
-  let globalVariables = [];
+  /** @type {WrappedVariable[]} */
+  let allVariables = [];
+  let sections = [];
   let preventUpdate = false;
 
+  const history = new VariableHistory();
+  /** @type {Set<string>} Keys from VariableHistory.getKey() of variables shown in the watch bar */
+  const pinned = new Set();
+  /** @type {Set<string>} Keys of variables selected for bulk editing */
+  const selected = new Set();
+  /** @type {Set<string>} Keys of variables whose history is expanded */
+  const expandedHistory = new Set();
+
+  const getVariableByKey = (key) => {
+    const [targetId, variableId] = key.split("/");
+    const target = vm.runtime.getTargetById(targetId);
+    if (!target || !Object.prototype.hasOwnProperty.call(target.variables, variableId)) {
+      return null;
+    }
+    return {
+      target,
+      variable: target.variables[variableId],
+    };
+  };
+
   const manager = document.createElement("div");
   manager.classList.add(addon.tab.scratchClass("asset-panel_wrapper"), "sa-var-manager");
 
@@ -13,35 +62,82 @@ export default async function ({ addon, console, msg }) {
   searchBox.className = addon.tab.scratchClass("input_input-form", { others: "sa-var-manager-searchbox" });
 
   searchBox.addEventListener("input", (e) => {
-    for (const variable of localVariables) {
-      variable.handleSearch(searchBox.value);
-    }
-    for (const variable of globalVariables) {
+    for (const variable of allVariables) {
       variable.handleSearch(searchBox.value);
     }
     updateHeadingVisibility();
   });
 
-  manager.appendChild(searchBox);
-
-  const localVars = document.createElement("div");
-  const localHeading = document.createElement("span");
-  const localList = document.createElement("table");
-  localHeading.className = "sa-var-manager-heading";
-  localHeading.innerText = msg("for-this-sprite");
-  localVars.appendChild(localHeading);
-  localVars.appendChild(localList);
-
-  const globalVars = document.createElement("div");
-  const globalHeading = document.createElement("span");
-  const globalList = document.createElement("table");
-  globalHeading.className = "sa-var-manager-heading";
-  globalHeading.innerText = msg("for-all-sprites");
-  globalVars.appendChild(globalHeading);
-  globalVars.appendChild(globalList);
+  const spriteFilter = document.createElement("select");
+  spriteFilter.className = "sa-var-manager-filter";
+  spriteFilter.title = msg("filter-sprite");
+  spriteFilter.addEventListener("change", () => fullReload());
+
+  const scopeFilter = document.createElement("select");
+  scopeFilter.className = "sa-var-manager-filter";
+  scopeFilter.title = msg("filter-scope");
+  for (const [value, text] of [
+    [SCOPE_ALL, msg("scope-all")],
+    [SCOPE_LOCAL, msg("scope-local")],
+    [SCOPE_GLOBAL, msg("scope-global")],
+  ]) {
+    scopeFilter.appendChild(Object.assign(document.createElement("option"), { value, textContent: text }));
+  }
+  scopeFilter.addEventListener("change", () => fullReload());
+
+  const exportButton = document.createElement("button");
+  exportButton.className = "sa-var-manager-button";
+  exportButton.textContent = msg("export-json");
+  exportButton.addEventListener("click", () => exportJSON());
+
+  const toolbar = document.createElement("div");
+  toolbar.className = "sa-var-manager-toolbar";
+  toolbar.append(searchBox, spriteFilter, scopeFilter, exportButton);
+  manager.appendChild(toolbar);
+
+  const watchBar = document.createElement("div");
+  watchBar.className = "sa-var-manager-watch-bar";
+  manager.appendChild(watchBar);
+
+  const bulkBar = document.createElement("div");
+  bulkBar.className = "sa-var-manager-bulk-bar";
+  const bulkCount = document.createElement("span");
+  const bulkValue = document.createElement("input");
+  bulkValue.className = addon.tab.scratchClass("input_input-form", { others: "sa-var-manager-bulk-value" });
+  bulkValue.placeholder = msg("bulk-value");
+  const bulkSetButton = document.createElement("button");
+  bulkSetButton.className = "sa-var-manager-button";
+  bulkSetButton.textContent = msg("bulk-set");
+  bulkSetButton.addEventListener("click", () => setSelectedValues(bulkValue.value));
+  bulkValue.addEventListener("keydown", (e) => {
+    if (e.key === "Enter") setSelectedValues(bulkValue.value);
+  });
+  const selectAllButton = document.createElement("button");
+  selectAllButton.className = "sa-var-manager-button";
+  selectAllButton.textContent = msg("select-all");
+  selectAllButton.addEventListener("click", () => {
+    for (const variable of allVariables) {
+      if (variable.row.style.display !== "none") {
+        variable.setSelected(true);
+      }
+    }
+    updateBulkBar();
+  });
+  const clearSelectionButton = document.createElement("button");
+  clearSelectionButton.className = "sa-var-manager-button";
+  clearSelectionButton.textContent = msg("clear-selection");
+  clearSelectionButton.addEventListener("click", () => {
+    for (const variable of allVariables) {
+      variable.setSelected(false);
+    }
+    selected.clear();
+    updateBulkBar();
+  });
+  bulkBar.append(bulkCount, bulkValue, bulkSetButton, selectAllButton, clearSelectionButton);
+  manager.appendChild(bulkBar);
 
-  manager.appendChild(localVars);
-  manager.appendChild(globalVars);
+  const sectionContainer = document.createElement("div");
+  manager.appendChild(sectionContainer);
 
   const varTab = document.createElement("li");
   addon.tab.displayNoneWhileDisabled(varTab, { display: "flex" });
@@ -61,10 +157,137 @@ export default async function ({ addon, console, msg }) {
 
   function updateHeadingVisibility() {
     // used to hide the headings if there are no variables
-    let filteredLocals = localVariables.filter((v) => v.row.style.display !== "none");
-    let filteredGlobals = globalVariables.filter((v) => v.row.style.display !== "none");
-    localHeading.style.display = filteredLocals.length === 0 ? "none" : "";
-    globalHeading.style.display = filteredGlobals.length === 0 ? "none" : "";
+    for (const section of sections) {
+      const filtered = section.variables.filter((v) => v.row.style.display !== "none");
+      section.heading.style.display = filtered.length === 0 ? "none" : "";
+    }
+  }
+
+  function updateBulkBar() {
+    bulkBar.style.display = selected.size === 0 ? "none" : "";
+    bulkCount.textContent = msg("selected", { count: selected.size });
+  }
+
+  function setSelectedValues(value) {
+    for (const key of selected) {
+      const found = getVariableByKey(key);
+      if (!found) continue;
+      const { target, variable } = found;
+      vm.setVariableValue(target.id, variable.id, variable.type === "list" ? value.split("\n") : value);
+    }
+    for (const variable of allVariables) {
+      variable.updateValue(true);
+    }
+  }
+
+  function renderWatchBar() {
+    while (watchBar.firstChild) {
+      watchBar.removeChild(watchBar.firstChild);
+    }
+    for (const key of pinned) {
+      const found = getVariableByKey(key);
+      if (!found) {
+        // Sprite or variable was deleted
+        pinned.delete(key);
+        continue;
+      }
+      const { target, variable } = found;
+      const item = document.createElement("span");
+      item.className = "sa-var-manager-watch";
+      item.dataset.key = key;
+      const name = document.createElement("span");
+      name.className = "sa-var-manager-watch-name";
+      name.textContent = target.isStage ? variable.name : `${target.getName()}: ${variable.name}`;
+      const value = document.createElement("span");
+      value.className = "sa-var-manager-watch-value";
+      const unpin = document.createElement("button");
+      unpin.className = "sa-var-manager-watch-unpin";
+      unpin.textContent = "×";
+      unpin.title = msg("unpin");
+      unpin.addEventListener("click", () => {
+        setPinned(key, false);
+      });
+      item.append(name, value, unpin);
+      watchBar.appendChild(item);
+    }
+    watchBar.style.display = pinned.size === 0 ? "none" : "";
+    updateWatchBar();
+  }
+
+  function updateWatchBar() {
+    for (const item of watchBar.children) {
+      const found = getVariableByKey(item.dataset.key);
+      if (!found) continue;
+      const preview = getPreview(found.variable.value);
+      const value = item.querySelector(".sa-var-manager-watch-value");
+      if (value.textContent !== preview) {
+        value.textContent = preview;
+      }
+    }
+  }
+
+  function setPinned(key, isPinned) {
+    if (isPinned) {
+      pinned.add(key);
+    } else {
+      pinned.delete(key);
+    }
+    for (const variable of allVariables) {
+      if (variable.key === key) {
+        variable.updatePinButton();
+      }
+    }
+    renderWatchBar();
+  }
+
+  function exportJSON() {
+    const getData = (target) => {
+      const data = {
+        variables: {},
+        lists: {},
+      };
+      for (const variable of Object.values(target.variables)) {
+        if (variable.type === "") {
+          data.variables[variable.name] = variable.value;
+        } else if (variable.type === "list") {
+          data.lists[variable.name] = variable.value;
+        }
+      }
+      return data;
+    };
+    const result = {
+      stage: getData(vm.runtime.getTargetForStage()),
+      sprites: {},
+    };
+    for (const target of vm.runtime.targets) {
+      if (target.isOriginal && !target.isStage) {
+        result.sprites[target.getName()] = getData(target);
+      }
+    }
+    const json = JSON.stringify(result, null, 2);
+    downloadBlob("variables.json", new Blob([json], { type: "application/json" }));
+  }
+
+  function getTypeHint(variable) {
+    let text;
+    let type;
+    if (variable.type === "list") {
+      type = "list";
+      text = msg("type-list", { length: variable.value.length });
+    } else if (isNumber(variable.value)) {
+      type = "number";
+      text = msg("type-number");
+    } else if (isBoolean(variable.value)) {
+      type = "boolean";
+      text = msg("type-boolean");
+    } else {
+      type = "text";
+      text = msg("type-text");
+    }
+    if (variable.isCloud) {
+      text = `${text}, ${msg("type-cloud")}`;
+    }
+    return { type, text };
   }
 
   const rowToVariableMap = new WeakMap();
@@ -81,17 +304,29 @@ export default async function ({ addon, console, msg }) {
   );
 
   class WrappedVariable {
-    constructor(scratchVariable, target) {
+    constructor(scratchVariable, target, usage) {
       this.scratchVariable = scratchVariable;
       this.target = target;
+      this.key = VariableHistory.getKey(target, scratchVariable);
+      this.usageWarning = getUsageWarning(usage);
       this.visible = false;
       this.ignoreTooBig = false;
+      this.historyVersion = null;
       this.buildDOM();
     }
 
     updateValue(force) {
       if (!this.visible && !force) return;
 
+      const typeHint = getTypeHint(this.scratchVariable);
+      if (this.typeHint.textContent !== typeHint.text) {
+        this.typeHint.textContent = typeHint.text;
+        this.typeHint.dataset.type = typeHint.type;
+      }
+      if (expandedHistory.has(this.key)) {
+        this.updateHistory();
+      }
+
       let newValue;
       let maxSafeLength;
       if (this.scratchVariable.type === "list") {
@@ -124,6 +359,68 @@ export default async function ({ addon, console, msg }) {
       } else {
         this.row.style.display = "none"; // set the entire row as hidden
       }
+      this.historyRow.style.display = this.row.style.display === "none" || !expandedHistory.has(this.key) ? "none" : "";
+    }
+
+    setSelected(isSelected) {
+      this.selectInput.checked = isSelected;
+      if (isSelected) {
+        selected.add(this.key);
+      } else {
+        selected.delete(this.key);
+      }
+    }
+
+    updatePinButton() {
+      const isPinned = pinned.has(this.key);
+      this.pinButton.dataset.active = isPinned;
+      this.pinButton.textContent = isPinned ? msg("unpin") : msg("pin");
+    }
+
+    toggleHistory() {
+      if (expandedHistory.has(this.key)) {
+        expandedHistory.delete(this.key);
+        this.historyRow.style.display = "none";
+      } else {
+        expandedHistory.add(this.key);
+        this.historyRow.style.display = "";
+        this.historyVersion = null;
+        this.updateHistory();
+      }
+      this.historyButton.dataset.active = expandedHistory.has(this.key);
+    }
+
+    updateHistory() {
+      const entries = history.getEntries(this.key);
+      const last = entries[entries.length - 1];
+      // The number of entries stops changing once the limit is reached, so also check the newest entry
+      const version = last ? `${entries.length}/${last.time}` : "";
+      if (version === this.historyVersion) return;
+      this.historyVersion = version;
+
+      while (this.historyList.firstChild) {
+        this.historyList.removeChild(this.historyList.firstChild);
+      }
+      if (entries.length === 0) {
+        this.historyList.appendChild(
+          Object.assign(document.createElement("li"), {
+            className: "sa-var-manager-history-empty",
+            textContent: msg("no-history"),
+          })
+        );
+        return;
+      }
+      for (let i = entries.length - 1; i >= 0; i--) {
+        const entry = entries[i];
+        const item = document.createElement("li");
+        const time = document.createElement("span");
+        time.className = "sa-var-manager-history-time";
+        time.textContent = new Date(entry.time).toLocaleTimeString();
+        const value = document.createElement("span");
+        value.textContent = getPreview(entry.value);
+        item.append(time, value);
+        this.historyList.appendChild(item);
+      }
     }
 
     resizeInputIfList() {
@@ -149,6 +446,31 @@ export default async function ({ addon, console, msg }) {
 
       const row = document.createElement("tr");
       this.row = row;
+
+      const historyRow = document.createElement("tr");
+      historyRow.className = "sa-var-manager-history-row";
+      const historyCell = document.createElement("td");
+      historyCell.colSpan = 4;
+      const historyList = document.createElement("ol");
+      historyList.className = "sa-var-manager-history";
+      historyCell.appendChild(historyList);
+      historyRow.appendChild(historyCell);
+      this.historyRow = historyRow;
+      this.historyList = historyList;
+
+      const selectCell = document.createElement("td");
+      selectCell.className = "sa-var-manager-select";
+      const selectInput = document.createElement("input");
+      selectInput.type = "checkbox";
+      selectInput.title = msg("select");
+      selectInput.checked = selected.has(this.key);
+      selectInput.addEventListener("change", () => {
+        this.setSelected(selectInput.checked);
+        updateBulkBar();
+      });
+      this.selectInput = selectInput;
+      selectCell.appendChild(selectInput);
+
       const labelCell = document.createElement("td");
       labelCell.className = "sa-var-manager-name";
 
@@ -178,21 +500,32 @@ export default async function ({ addon, console, msg }) {
           }
         }
 
+        // Variables of sprites other than the one being edited aren't in the workspace
+        const inWorkspace = this.target.isStage || this.target === vm.editingTarget;
+
         let nameAlreadyUsed = false;
         if (this.target.isStage) {
           // Global variables must not conflict with any global variables or local variables in any sprite.
           const existingNames = vm.runtime.getAllVarNamesOfType(this.scratchVariable.type);
           nameAlreadyUsed = existingNames.includes(newName);
-        } else {
+        } else if (inWorkspace) {
           // Local variables must not conflict with any global variables or local variables in this sprite.
           nameAlreadyUsed = !!workspace.getVariable(newName, this.scratchVariable.type);
+        } else {
+          nameAlreadyUsed = !!this.target.lookupVariableByNameAndType(newName, this.scratchVariable.type);
         }
 
         const isEmpty = !newName.trim();
         if (isEmpty || nameAlreadyUsed) {
           label.value = this.scratchVariable.name;
         } else {
-          workspace.renameVariableById(this.scratchVariable.id, newName);
+          if (inWorkspace) {
+            workspace.renameVariableById(this.scratchVariable.id, newName);
+          } else {
+            this.target.renameVariable(this.scratchVariable.id, newName);
+            vm.runtime.emitProjectChanged();
+          }
+          renderWatchBar();
           // Only update the input's value when we need to to avoid resetting undo history.
           if (label.value !== newName) {
             label.value = newName;
@@ -215,6 +548,21 @@ export default async function ({ addon, console, msg }) {
       });
       labelCell.appendChild(label);
 
+      const hints = document.createElement("div");
+      hints.className = "sa-var-manager-hints";
+      const typeHint = document.createElement("span");
+      typeHint.className = "sa-var-manager-type";
+      this.typeHint = typeHint;
+      hints.appendChild(typeHint);
+      if (this.usageWarning) {
+        const warning = document.createElement("span");
+        warning.className = "sa-var-manager-warning";
+        warning.textContent = msg(this.usageWarning);
+        warning.title = msg(`${this.usageWarning}-description`);
+        hints.appendChild(warning);
+      }
+      labelCell.appendChild(hints);
+
       rowToVariableMap.set(row, this);
       observer.observe(row);
 
@@ -245,16 +593,23 @@ export default async function ({ addon, console, msg }) {
         this.input.addEventListener("input", () => this.resizeInputIfList(), false);
       }
 
-      const onInputOut = (e) => {
-        e.preventDefault();
+      const setValueFromInput = () => {
         if (this.scratchVariable.type === "list") {
           vm.setVariableValue(this.target.id, this.scratchVariable.id, input.value.split("\n"));
         } else {
           vm.setVariableValue(this.target.id, this.scratchVariable.id, input.value);
         }
+      };
+
+      const onInputOut = (e) => {
+        e.preventDefault();
+        setValueFromInput();
         input.blur();
       };
 
+      // Scripts see the new value while it's being typed
+      input.addEventListener("input", setValueFromInput);
+
       input.addEventListener("keydown", (e) => {
         if (e.target.nodeName === "INPUT" && e.key === "Enter") e.target.blur();
       });
@@ -272,8 +627,28 @@ export default async function ({ addon, console, msg }) {
 
       valueCell.appendChild(input);
       valueCell.appendChild(tooBigElement);
+
+      const actionsCell = document.createElement("td");
+      actionsCell.className = "sa-var-manager-actions";
+      const pinButton = document.createElement("button");
+      pinButton.className = "sa-var-manager-action";
+      pinButton.addEventListener("click", () => {
+        setPinned(this.key, !pinned.has(this.key));
+      });
+      this.pinButton = pinButton;
+      this.updatePinButton();
+      const historyButton = document.createElement("button");
+      historyButton.className = "sa-var-manager-action";
+      historyButton.textContent = msg("history");
+      historyButton.dataset.active = expandedHistory.has(this.key);
+      historyButton.addEventListener("click", () => this.toggleHistory());
+      this.historyButton = historyButton;
+      actionsCell.append(pinButton, historyButton);
+
+      row.appendChild(selectCell);
       row.appendChild(labelCell);
       row.appendChild(valueCell);
+      row.appendChild(actionsCell);
 
       this.handleSearch(searchBox.value);
     }
@@ -284,48 +659,115 @@ export default async function ({ addon, console, msg }) {
 
     const editingTarget = vm.runtime.getEditingTarget();
     const stage = vm.runtime.getTargetForStage();
-    localVariables = editingTarget.isStage
-      ? []
-      : Object.values(editingTarget.variables)
-          .filter((i) => i.type === "" || i.type === "list")
-          .map((i) => new WrappedVariable(i, editingTarget));
-    globalVariables = Object.values(stage.variables)
-      .filter((i) => i.type === "" || i.type === "list")
-      .map((i) => new WrappedVariable(i, stage));
+    const sprites = vm.runtime.targets.filter((target) => target.isOriginal && !target.isStage);
+    updateSpriteFilter(sprites);
+
+    let localTargets;
+    if (spriteFilter.value === SPRITE_FILTER_ALL) {
+      localTargets = sprites;
+    } else if (spriteFilter.value === SPRITE_FILTER_CURRENT) {
+      localTargets = editingTarget.isStage ? [] : [editingTarget];
+    } else {
+      localTargets = sprites.filter((target) => target.id === spriteFilter.value);
+    }
+
+    const usage = getVariableUsage(vm);
+    const createSection = (target, headingText) => {
+      const heading = document.createElement("span");
+      heading.className = "sa-var-manager-heading";
+      heading.innerText = headingText;
+      const table = document.createElement("table");
+      const variables = Object.values(target.variables)
+        .filter(isVariableOrList)
+        .map((i) => new WrappedVariable(i, target, usage.get(i.id)));
+      return { heading, table, variables };
+    };
+
+    sections = [];
+    if (scopeFilter.value !== SCOPE_GLOBAL) {
+      for (const target of localTargets) {
+        const headingText =
+          spriteFilter.value === SPRITE_FILTER_CURRENT
+            ? msg("for-this-sprite")
+            : msg("for-sprite", { sprite: target.getName() });
+        sections.push(createSection(target, headingText));
+      }
+    }
+    if (scopeFilter.value !== SCOPE_LOCAL) {
+      sections.push(createSection(stage, msg("for-all-sprites")));
+    }
+    allVariables = sections.flatMap((section) => section.variables);
+
+    // Variables that no longer exist can't be edited in bulk
+    for (const key of selected) {
+      if (!getVariableByKey(key)) {
+        selected.delete(key);
+      }
+    }
 
     updateHeadingVisibility();
+    updateBulkBar();
+    renderWatchBar();
 
-    while (localList.firstChild) {
-      localList.removeChild(localList.firstChild);
+    while (sectionContainer.firstChild) {
+      sectionContainer.removeChild(sectionContainer.firstChild);
     }
-    while (globalList.firstChild) {
-      globalList.removeChild(globalList.firstChild);
+
+    for (const section of sections) {
+      sectionContainer.appendChild(section.heading);
+      sectionContainer.appendChild(section.table);
+      for (const variable of section.variables) {
+        section.table.appendChild(variable.row);
+        section.table.appendChild(variable.historyRow);
+        variable.resizeInputIfList();
+      }
     }
+  }
 
-    for (const variable of localVariables) {
-      localList.appendChild(variable.row);
-      variable.resizeInputIfList();
+  function updateSpriteFilter(sprites) {
+    const previousValue = spriteFilter.value || SPRITE_FILTER_CURRENT;
+    while (spriteFilter.firstChild) {
+      spriteFilter.removeChild(spriteFilter.firstChild);
     }
-    for (const variable of globalVariables) {
-      globalList.appendChild(variable.row);
-      variable.resizeInputIfList();
+    spriteFilter.appendChild(
+      Object.assign(document.createElement("option"), {
+        value: SPRITE_FILTER_CURRENT,
+        textContent: msg("current-sprite"),
+      })
+    );
+    spriteFilter.appendChild(
+      Object.assign(document.createElement("option"), {
+        value: SPRITE_FILTER_ALL,
+        textContent: msg("all-sprites"),
+      })
+    );
+    for (const sprite of sprites) {
+      spriteFilter.appendChild(
+        Object.assign(document.createElement("option"), {
+          value: sprite.id,
+          textContent: sprite.getName(),
+        })
+      );
     }
+    const stillExists =
+      previousValue === SPRITE_FILTER_CURRENT ||
+      previousValue === SPRITE_FILTER_ALL ||
+      sprites.some((sprite) => sprite.id === previousValue);
+    spriteFilter.value = stillExists ? previousValue : SPRITE_FILTER_CURRENT;
   }
 
   function quickReload() {
     if (addon.tab.redux.state?.scratchGui?.editorTab?.activeTabIndex !== 3 || preventUpdate) return;
 
-    for (const variable of localVariables) {
-      variable.updateValue();
-    }
-    for (const variable of globalVariables) {
+    for (const variable of allVariables) {
       variable.updateValue();
     }
+    updateWatchBar();
   }
 
   function cleanup() {
-    localVariables = [];
-    globalVariables = [];
+    allVariables = [];
+    sections = [];
   }
 
   varTab.addEventListener("click", (e) => {
@@ -372,6 +814,11 @@ export default async function ({ addon, console, msg }) {
   });
 
   vm.runtime.on("PROJECT_LOADED", () => {
+    // IDs are different in the new project
+    history.clear();
+    pinned.clear();
+    selected.clear();
+    expandedHistory.clear();
     try {
       fullReload();
     } catch (e) {
@@ -390,6 +837,11 @@ export default async function ({ addon, console, msg }) {
   vm.runtime._step = function (...args) {
     const ret = oldStep.call(this, ...args);
     try {
+      // Checking every variable is too slow to do each frame while nobody can see it. Changes made while
+      // the manager was closed show up as one change when it's opened again.
+      if (!addon.self.disabled && manager.isConnected) {
+        history.update(vm);
+      }
       quickReload();
     } catch (e) {
       console.error(e);
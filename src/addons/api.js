@@ -25,6 +25,7 @@ import l10nEntries from './generated/l10n-entries';
 import addonEntries from './generated/addon-entries';
 import {addContextMenu} from './contextmenu';
 import * as modal from './modal';
+import {createEditorPanel} from './editor-panel';
 import * as textColorHelpers from './libraries/common/cs/text-color.esm.js';
 import * as conditionalStyles from './conditional-style';
 import getPrecedence from './addon-precedence';
@@ -665,6 +666,15 @@ class Tab extends EventTargetShim {
         return modal.createEditorModal(this, title, {isOpen});
     }
 
+    createEditorPanel (title, {id, icon, defaultWidth} = {}) {
+        return createEditorPanel(this, title, {
+            id,
+            icon,
+            defaultWidth,
+            className: getDisplayNoneWhileDisabledClass(this._id)
+        });
+    }
+
     confirm (...args) {
         return modal.confirm(this, ...args);
     }
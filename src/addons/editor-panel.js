@@ -0,0 +1,91 @@
+import EventTargetShim from './event-target';
+import {
+    getEditorPanelWidth,
+    isEditorPanelOpen,
+    registerEditorPanel,
+    setOpenEditorPanel,
+    unregisterEditorPanel
+} from '../lib/tw-editor-panels';
+
+class EditorPanel extends EventTargetShim {
+    constructor (tab, title, {id, icon, defaultWidth, className}) {
+        super();
+        this.content = Object.assign(document.createElement('div'), {
+            className: 'sa-editor-panel-content',
+            dir: tab.direction
+        });
+        this._panel = registerEditorPanel({
+            id,
+            title,
+            iconURL: icon,
+            element: this.content,
+            className,
+            defaultWidth,
+            onOpen: () => this.dispatchEvent(new CustomEvent('open')),
+            onClose: () => this.dispatchEvent(new CustomEvent('close')),
+            onResize: width => this.dispatchEvent(new CustomEvent('resize', {
+                detail: {
+                    width
+                }
+            }))
+        });
+    }
+
+    get id () {
+        return this._panel.id;
+    }
+
+    /**
+     * True if the panel is open. Panels that the user left open in a previous session start out open.
+     */
+    get isOpen () {
+        return isEditorPanelOpen(this.id);
+    }
+
+    get width () {
+        return getEditorPanelWidth(this._panel);
+    }
+
+    open () {
+        setOpenEditorPanel(this.id);
+    }
+
+    close () {
+        if (this.isOpen) {
+            setOpenEditorPanel(null);
+        }
+    }
+
+    toggle () {
+        if (this.isOpen) {
+            this.close();
+        } else {
+            this.open();
+        }
+    }
+
+    remove () {
+        unregisterEditorPanel(this.id);
+    }
+}
+
+/**
+ * @param {Tab} tab addon.tab of the addon creating the panel
+ * @param {string} title Text to display on the panel's button
+ * @param {object} options Options
+ * @param {string} [options.id] Identifies the panel when an addon creates more than one
+ * @param {string} [options.icon] URL of an icon to display on the panel's button
+ * @param {number} [options.defaultWidth] Width in pixels used until the user resizes the panel
+ * @param {string} [options.className] Extra class name for the panel's button and dock
+ * @returns {EditorPanel} The panel
+ */
+export const createEditorPanel = (tab, title, {id = 'panel', icon, defaultWidth, className} = {}) => new EditorPanel(
+    tab,
+    title,
+    {
+        id: `${tab._id}/${id}`,
+        icon,
+        defaultWidth,
+        className
+    }
+);
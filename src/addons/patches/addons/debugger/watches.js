@@ -0,0 +1,589 @@
+import { onPauseChanged, onSingleStep, getRunningThread } from "./module.js";
+
+// TW: Watches tab. Shows the values of variables, lists, and reporter blocks while the project runs
+// and updates them after each step. Variables and lists can also pause the project when they change.
+
+// Fields that scratch-vm passes to blocks as {id, name} instead of just the value
+const REFERENCE_FIELDS = ["VARIABLE", "LIST", "BROADCAST_OPTION"];
+
+const MAX_LIST_ITEMS = 50;
+
+// Watches run their reporters after every step, so only reporters that can't change the project are allowed.
+// Everything else, including extension blocks, might have side effects such as starting the microphone.
+const SAFE_OPCODES = new Set([
+  "argument_reporter_boolean",
+  "argument_reporter_string_number",
+  "data_itemnumoflist",
+  "data_itemoflist",
+  "data_lengthoflist",
+  "data_listcontainsitem",
+  "data_listcontents",
+  "data_variable",
+  "looks_backdropnumbername",
+  "looks_costumenumbername",
+  "looks_size",
+  "motion_direction",
+  "motion_xposition",
+  "motion_yposition",
+  "operator_add",
+  "operator_and",
+  "operator_contains",
+  "operator_divide",
+  "operator_equals",
+  "operator_gt",
+  "operator_join",
+  "operator_length",
+  "operator_letter_of",
+  "operator_lt",
+  "operator_mathop",
+  "operator_mod",
+  "operator_multiply",
+  "operator_not",
+  "operator_or",
+  "operator_random",
+  "operator_round",
+  "operator_subtract",
+  "sensing_answer",
+  "sensing_coloristouchingcolor",
+  "sensing_current",
+  "sensing_dayssince2000",
+  "sensing_distanceto",
+  "sensing_keypressed",
+  "sensing_mousedown",
+  "sensing_mousex",
+  "sensing_mousey",
+  "sensing_of",
+  "sensing_timer",
+  "sensing_touchingcolor",
+  "sensing_touchingobject",
+  "sensing_username",
+  "sound_volume",
+]);
+
+const removeAllChildren = (element) => {
+  while (element.firstChild) {
+    element.removeChild(element.firstChild);
+  }
+};
+
+const trapProperty = (object, property, callback) => {
+  let value = object[property];
+  Object.defineProperty(object, property, {
+    configurable: true,
+    enumerable: true,
+    get: () => value,
+    set: (newValue) => {
+      const oldValue = value;
+      value = newValue;
+      callback(newValue, oldValue);
+    },
+  });
+};
+
+const untrapProperty = (object, property) => {
+  const value = object[property];
+  delete object[property];
+  object[property] = value;
+};
+
+export default async function createWatchesTab({ debug, addon, console, msg }) {
+  const vm = addon.tab.traps.vm;
+
+  const tab = debug.createHeaderTab({
+    text: msg("tab-watches"),
+    icon: addon.self.dir + "/icons/watches.svg",
+  });
+
+  /**
+   * @typedef Watch
+   * @property {'variable'|'block'} type
+   * @property {string} targetId ID of the original sprite or the stage
+   * @property {string} [variableId] Variable or list to show, for variable watches
+   * @property {string} [blockId] Reporter block to run, for block watches
+   * @property {boolean} breakOnChange If true, pauses the project when the variable or list is changed by a script
+   */
+
+  /** @type {Watch[]} */
+  let watches = [];
+
+  const content = Object.assign(document.createElement("div"), {
+    className: "sa-debugger-watches",
+  });
+  const toolbar = Object.assign(document.createElement("div"), {
+    className: "sa-debugger-watches-toolbar",
+  });
+  const variableSelector = Object.assign(document.createElement("select"), {
+    className: "sa-debugger-watches-select",
+  });
+  const hint = Object.assign(document.createElement("span"), {
+    className: "sa-debugger-watches-hint",
+    textContent: msg("watch-hint"),
+  });
+  toolbar.append(variableSelector, hint);
+  const listElement = Object.assign(document.createElement("div"), {
+    className: "sa-debugger-watches-list",
+  });
+  const placeholder = Object.assign(document.createElement("div"), {
+    className: "sa-debugger-log-empty",
+    textContent: msg("no-watches"),
+  });
+  content.append(toolbar, listElement, placeholder);
+
+  /**
+   * Variables are evaluated in the clone that is being stepped if it is a clone of the watched sprite.
+   * @param {Watch} watch
+   * @returns {unknown} Target or null if the sprite no longer exists
+   */
+  const getTargetForWatch = (watch) => {
+    const original = vm.runtime.getTargetById(watch.targetId);
+    if (!original) {
+      return null;
+    }
+    const runningThread = getRunningThread();
+    if (runningThread && runningThread.target.sprite === original.sprite) {
+      return runningThread.target;
+    }
+    return original;
+  };
+
+  const getTargetsWithVariable = (watch) => {
+    const original = vm.runtime.getTargetById(watch.targetId);
+    if (!original) {
+      return [];
+    }
+    if (original.isStage) {
+      return [original];
+    }
+    return original.sprite.clones;
+  };
+
+  const createUtil = (target, thread) => ({
+    target,
+    thread,
+    runtime: vm.runtime,
+    sequencer: vm.runtime.sequencer,
+    stackFrame: {},
+    getParam: (name) => (thread ? thread.getParam(name) : null),
+    ioQuery: (device, func, args) => {
+      const devObject = vm.runtime.ioDevices[device];
+      if (devObject && devObject[func]) {
+        return devObject[func].apply(devObject, args);
+      }
+    },
+  });
+
+  // A simplified version of execute() from scratch-vm that can run a reporter without a thread.
+  const evaluateBlock = (target, thread, blockId) => {
+    const block = debug.getBlock(target, blockId);
+    if (!block) {
+      throw new Error(msg("watch-block-deleted"));
+    }
+
+    const blockFunction = vm.runtime.getOpcodeFunction(block.opcode);
+    if (!blockFunction) {
+      // Shadow blocks such as number inputs and menus just store their value in their only field
+      const fields = Object.values(block.fields);
+      if (fields.length === 1) {
+        return fields[0].value;
+      }
+      throw new Error(msg("watch-cannot-run", { opcode: block.opcode }));
+    }
+    if (block.opcode === "procedures_call") {
+      throw new Error(msg("watch-custom-block"));
+    }
+    if (!SAFE_OPCODES.has(block.opcode)) {
+      throw new Error(msg("watch-side-effects"));
+    }
+
+    const args = {};
+    for (const [name, field] of Object.entries(block.fields)) {
+      if (REFERENCE_FIELDS.includes(name)) {
+        args[name] = {
+          id: field.id,
+          name: field.value,
+        };
+      } else {
+        args[name] = field.value;
+      }
+    }
+    for (const [name, input] of Object.entries(block.inputs)) {
+      if (input.block) {
+        args[name] = evaluateBlock(target, thread, input.block);
+      }
+    }
+    if (block.mutation) {
+      args.mutation = block.mutation;
+    }
+
+    const result = blockFunction(args, createUtil(target, thread));
+    if (result && typeof result.then === "function") {
+      throw new Error(msg("watch-waits"));
+    }
+    return result;
+  };
+
+  const formatValue = (value) => {
+    if (Array.isArray(value)) {
+      const items = value.slice(0, MAX_LIST_ITEMS).map((i) => `${i}`);
+      if (value.length > MAX_LIST_ITEMS) {
+        items.push("…");
+      }
+      return `[${items.join(", ")}] (${value.length})`;
+    }
+    return `${value}`;
+  };
+
+  /**
+   * @param {Watch} watch
+   * @returns {{value?: string, error?: string}}
+   */
+  const evaluateWatch = (watch) => {
+    const target = getTargetForWatch(watch);
+    if (!target) {
+      return { error: msg("unknown-sprite") };
+    }
+    if (watch.type === "variable") {
+      const variable = target.variables[watch.variableId];
+      if (!variable) {
+        return { error: msg("watch-variable-deleted") };
+      }
+      return { value: formatValue(variable.value) };
+    }
+    const runningThread = getRunningThread();
+    const thread = runningThread && runningThread.target === target ? runningThread : null;
+    try {
+      return { value: formatValue(evaluateBlock(target, thread, watch.blockId)) };
+    } catch (e) {
+      return { error: e && e.message ? e.message : `${e}` };
+    }
+  };
+
+  const getVariableName = (watch) => {
+    const target = vm.runtime.getTargetById(watch.targetId);
+    const variable = target && target.variables[watch.variableId];
+    return variable ? variable.name : "?";
+  };
+
+  const createVariablePreview = (watch, isList) => {
+    const element = document.createElement("span");
+    element.className = `sa-debugger-block-preview sa-block-color sa-block-color-${isList ? "list" : "data"}`;
+    element.dataset.shape = "round";
+    element.textContent = getVariableName(watch);
+    return element;
+  };
+
+  /*
+   * Data breakpoints work by replacing the value property of the variable with a setter. Lists are
+   * usually modified in place, so for those we also listen for _monitorUpToDate being set to false,
+   * which scratch-vm does after every change.
+   */
+  const trappedVariables = new WeakSet();
+  const reportedVariables = new Set();
+
+  const handleVariableChanged = (variable, description) => {
+    const thread = vm.runtime.sequencer.activeThread;
+    // Changes made outside of scripts, such as by dragging a slider, shouldn't pause the project.
+    // Each change is only reported once per block even if multiple properties were changed.
+    if (!thread || reportedVariables.has(variable)) {
+      return;
+    }
+    reportedVariables.add(variable);
+    queueMicrotask(() => {
+      reportedVariables.delete(variable);
+    });
+    debug.logMessage(description, thread, "internal-warn");
+    debug.pause(thread);
+  };
+
+  const trapVariable = (variable) => {
+    if (trappedVariables.has(variable)) {
+      return;
+    }
+    trappedVariables.add(variable);
+    if (variable.type === "list") {
+      const description = msg("watch-list-changed", { name: variable.name });
+      trapProperty(variable, "value", () => {
+        handleVariableChanged(variable, description);
+      });
+      trapProperty(variable, "_monitorUpToDate", (upToDate) => {
+        if (!upToDate) {
+          handleVariableChanged(variable, description);
+        }
+      });
+    } else {
+      trapProperty(variable, "value", (newValue, oldValue) => {
+        if (newValue !== oldValue) {
+          handleVariableChanged(
+            variable,
+            msg("watch-variable-changed", {
+              name: variable.name,
+              oldValue: `${oldValue}`,
+              newValue: `${newValue}`,
+            })
+          );
+        }
+      });
+    }
+  };
+
+  const untrapVariable = (variable) => {
+    if (!trappedVariables.has(variable)) {
+      return;
+    }
+    trappedVariables.delete(variable);
+    untrapProperty(variable, "value");
+    if (variable.type === "list") {
+      untrapProperty(variable, "_monitorUpToDate");
+    }
+  };
+
+  const updateDataBreakpoint = (watch) => {
+    for (const target of getTargetsWithVariable(watch)) {
+      const variable = target.variables[watch.variableId];
+      if (variable) {
+        if (watch.breakOnChange) {
+          trapVariable(variable);
+        } else {
+          untrapVariable(variable);
+        }
+      }
+    }
+  };
+
+  // Clones get their own copies of the variables, so those need to be trapped too.
+  const ogMakeClone = vm.runtime.targets[0].constructor.prototype.makeClone;
+  vm.runtime.targets[0].constructor.prototype.makeClone = function (...args) {
+    const clone = ogMakeClone.call(this, ...args);
+    if (clone) {
+      for (const watch of watches) {
+        if (watch.type === "variable" && watch.breakOnChange && watch.targetId === this.sprite.clones[0].id) {
+          const variable = clone.variables[watch.variableId];
+          if (variable) {
+            trapVariable(variable);
+          }
+        }
+      }
+    }
+    return clone;
+  };
+
+  let rowElements = [];
+  let isVisible = false;
+
+  const renderWatches = () => {
+    removeAllChildren(listElement);
+    rowElements = watches.map((watch) => {
+      const root = document.createElement("div");
+      root.className = "sa-debugger-log sa-debugger-watch";
+
+      if (watch.type === "variable") {
+        const target = vm.runtime.getTargetById(watch.targetId);
+        const variable = target && target.variables[watch.variableId];
+        root.appendChild(createVariablePreview(watch, variable && variable.type === "list"));
+      } else {
+        const preview = debug.createBlockPreview(watch.targetId, watch.blockId);
+        if (preview) {
+          root.appendChild(preview);
+        }
+      }
+
+      const value = document.createElement("div");
+      value.className = "sa-debugger-log-text";
+      root.appendChild(value);
+
+      if (watch.type === "variable") {
+        const breakLabel = Object.assign(document.createElement("label"), {
+          className: "sa-debugger-watch-break",
+          title: msg("watch-break-on-change-desc"),
+        });
+        const breakCheckbox = Object.assign(document.createElement("input"), {
+          type: "checkbox",
+          checked: watch.breakOnChange,
+        });
+        breakCheckbox.addEventListener("change", () => {
+          watch.breakOnChange = breakCheckbox.checked;
+          updateDataBreakpoint(watch);
+        });
+        breakLabel.append(breakCheckbox, msg("watch-break-on-change"));
+        root.appendChild(breakLabel);
+      } else {
+        root.appendChild(debug.createBlockLink(debug.getTargetInfoById(watch.targetId), watch.blockId));
+      }
+
+      const removeButton = Object.assign(document.createElement("button"), {
+        className: "sa-debugger-watch-remove",
+        textContent: "×",
+        title: msg("watch-remove"),
+      });
+      removeButton.addEventListener("click", () => {
+        removeWatch(watch);
+      });
+      root.appendChild(removeButton);
+
+      listElement.appendChild(root);
+      return { value };
+    });
+    placeholder.hidden = watches.length !== 0;
+    updateValues();
+  };
+
+  const updateValues = () => {
+    if (!isVisible) {
+      return;
+    }
+    for (let i = 0; i < watches.length; i++) {
+      const result = evaluateWatch(watches[i]);
+      const element = rowElements[i].value;
+      const text = result.error || result.value;
+      if (element.textContent !== text) {
+        element.textContent = text;
+        element.title = text;
+      }
+      element.classList.toggle("sa-debugger-watch-error", !!result.error);
+    }
+  };
+
+  const addWatch = (watch) => {
+    const exists = watches.some(
+      (i) =>
+        i.type === watch.type &&
+        i.targetId === watch.targetId &&
+        i.variableId === watch.variableId &&
+        i.blockId === watch.blockId
+    );
+    if (!exists) {
+      watches.push(watch);
+      renderWatches();
+    }
+  };
+
+  const removeWatch = (watch) => {
+    watch.breakOnChange = false;
+    if (watch.type === "variable") {
+      updateDataBreakpoint(watch);
+    }
+    watches = watches.filter((i) => i !== watch);
+    renderWatches();
+  };
+
+  const addVariableWatch = (targetId, variableId) => {
+    addWatch({
+      type: "variable",
+      targetId,
+      variableId,
+      breakOnChange: false,
+    });
+  };
+
+  const updateVariableSelector = () => {
+    removeAllChildren(variableSelector);
+    variableSelector.appendChild(
+      Object.assign(document.createElement("option"), {
+        textContent: msg("watch-select"),
+        value: "",
+      })
+    );
+    const stage = vm.runtime.getTargetForStage();
+    const editingTarget = vm.editingTarget;
+    const targets = [stage];
+    if (editingTarget && editingTarget !== stage) {
+      targets.push(editingTarget);
+    }
+    for (const target of targets) {
+      const group = Object.assign(document.createElement("optgroup"), {
+        label: target.getName(),
+      });
+      const variables = Object.values(target.variables)
+        .filter((variable) => variable.type === "" || variable.type === "list")
+        .sort((a, b) => a.name.localeCompare(b.name));
+      for (const variable of variables) {
+        group.appendChild(
+          Object.assign(document.createElement("option"), {
+            textContent: variable.type === "list" ? msg("watch-list-option", { name: variable.name }) : variable.name,
+            value: JSON.stringify([target.id, variable.id]),
+          })
+        );
+      }
+      if (group.childNodes.length) {
+        variableSelector.appendChild(group);
+      }
+    }
+    variableSelector.value = "";
+  };
+  variableSelector.addEventListener("mousedown", updateVariableSelector);
+  variableSelector.addEventListener("focus", updateVariableSelector);
+  variableSelector.addEventListener("change", () => {
+    if (variableSelector.value) {
+      const [targetId, variableId] = JSON.parse(variableSelector.value);
+      addVariableWatch(targetId, variableId);
+    }
+    variableSelector.value = "";
+  });
+  updateVariableSelector();
+
+  addon.tab.createBlockContextMenu(
+    (items, block) => {
+      if (!block.outputConnection || block.isShadow()) {
+        return items;
+      }
+      items.push({
+        enabled: true,
+        text: msg("watch"),
+        callback: () => {
+          const target = vm.editingTarget;
+          const vmBlock = target && debug.getBlock(target, block.id);
+          if (!vmBlock) {
+            return;
+          }
+          if (vmBlock.opcode === "data_variable" || vmBlock.opcode === "data_listcontents") {
+            const field = vmBlock.fields.VARIABLE || vmBlock.fields.LIST;
+            const owner = target.variables[field.id] ? target : vm.runtime.getTargetForStage();
+            if (owner.variables[field.id]) {
+              addVariableWatch(owner.id, field.id);
+            }
+          } else {
+            addWatch({
+              type: "block",
+              targetId: target.id,
+              blockId: vmBlock.id,
+              breakOnChange: false,
+            });
+          }
+        },
+        separator: true,
+      });
+      return items;
+    },
+    { blocks: true }
+  );
+
+  // Watches refer to sprites by ID, which don't carry over to other projects.
+  vm.runtime.on("PROJECT_LOADED", () => {
+    watches = [];
+    renderWatches();
+  });
+
+  debug.addAfterStepCallback(updateValues);
+  onSingleStep(updateValues);
+  onPauseChanged(updateValues);
+
+  const stepButtons = debug.createStepButtons();
+
+  const show = () => {
+    isVisible = true;
+    renderWatches();
+  };
+  const hide = () => {
+    isVisible = false;
+  };
+
+  renderWatches();
+
+  return {
+    tab,
+    content,
+    buttons: stepButtons,
+    show,
+    hide,
+  };
+}
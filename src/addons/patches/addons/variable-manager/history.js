@@ -0,0 +1,80 @@
+// Number of changes remembered for each variable
+const MAX_ENTRIES = 50;
+
+// Comparing every item of big lists each frame would be slow, so only their length is checked.
+const MAX_COMPARED_LIST_LENGTH = 200;
+
+const getSnapshot = (variable) => {
+  if (variable.type === "list") {
+    if (variable.value.length > MAX_COMPARED_LIST_LENGTH) {
+      return `[${variable.value.length}]`;
+    }
+    return variable.value.join("\n");
+  }
+  return variable.value;
+};
+
+/**
+ * Remembers the recent values of variables and lists while the project runs.
+ */
+export default class VariableHistory {
+  constructor() {
+    /** @type {Map<string, {lastSnapshot: unknown, entries: Array<{time: number, value: unknown}>}>} */
+    this.variables = new Map();
+  }
+
+  /**
+   * @param {unknown} target Sprite or stage that owns the variable
+   * @param {unknown} variable Variable or list
+   * @returns {string}
+   */
+  static getKey(target, variable) {
+    return `${target.id}/${variable.id}`;
+  }
+
+  /**
+   * Check every variable of the original sprites and the stage for changes.
+   * @param {VirtualMachine} vm
+   */
+  update(vm) {
+    const now = Date.now();
+    for (const target of vm.runtime.targets) {
+      if (!target.isOriginal) continue;
+      for (const variable of Object.values(target.variables)) {
+        if (variable.type !== "" && variable.type !== "list") continue;
+        const key = VariableHistory.getKey(target, variable);
+        const snapshot = getSnapshot(variable);
+        const history = this.variables.get(key);
+        if (!history) {
+          // The first value seen isn't a change
+          this.variables.set(key, {
+            lastSnapshot: snapshot,
+            entries: [],
+          });
+        } else if (history.lastSnapshot !== snapshot) {
+          history.lastSnapshot = snapshot;
+          history.entries.push({
+            time: now,
+            value: variable.type === "list" ? variable.value.slice(0, MAX_COMPARED_LIST_LENGTH) : variable.value,
+          });
+          if (history.entries.length > MAX_ENTRIES) {
+            history.entries.shift();
+          }
+        }
+      }
+    }
+  }
+
+  /**
+   * @param {string} key From getKey()
+   * @returns {Array<{time: number, value: unknown}>} Oldest change first
+   */
+  getEntries(key) {
+    const history = this.variables.get(key);
+    return history ? history.entries : [];
+  }
+
+  clear() {
+    this.variables.clear();
+  }
+}
@@ -46,6 +46,7 @@ const walk = dir => {
 const clone = obj => JSON.parse(JSON.stringify(obj));
 
 const repoPath = pathUtil.resolve(__dirname, 'ScratchAddons');
+const patchesPath = pathUtil.resolve(__dirname, 'patches');
 if (!process.argv.includes('-')) {
     rimraf.sync(repoPath);
     childProcess.execSync(`git clone --depth=1 --branch=tw https://github.com/TurboWarp/addons ${repoPath}`);
@@ -276,6 +277,34 @@ const generateRuntimeEntry = (id, manifest, assets) => {
     return result;
 };
 
+const copyPatchedFiles = (id, directory) => {
+    // New files that TurboWarp adds to an addon are copied into the upstream source first so they
+    // get processed the same way as the rest of the addon.
+    const patchedDirectory = pathUtil.join(patchesPath, 'addons', id);
+    if (!fs.existsSync(patchedDirectory)) {
+        return;
+    }
+    for (const file of walk(patchedDirectory)) {
+        const newPath = pathUtil.join(directory, file);
+        fs.mkdirSync(pathUtil.dirname(newPath), {recursive: true});
+        fs.copyFileSync(pathUtil.join(patchedDirectory, file), newPath);
+    }
+};
+
+const applyPatches = () => {
+    // Changes that TurboWarp makes to upstream files are applied to the processed files. If upstream
+    // changed too much for a patch to apply, git apply fails instead of silently dropping the change.
+    const patches = fs.readdirSync(patchesPath)
+        .filter(file => file.endsWith('.patch'))
+        .sort();
+    for (const patch of patches) {
+        childProcess.execSync(`git apply ${JSON.stringify(pathUtil.join(patchesPath, patch))}`, {
+            cwd: pathUtil.resolve(__dirname, '..', '..'),
+            stdio: 'inherit'
+        });
+    }
+};
+
 const addonIdToManifest = {};
 const processAddon = (id, oldDirectory, newDirectory) => {
     const files = walk(oldDirectory);
@@ -350,7 +379,20 @@ const SKIP_MESSAGES = [
     'custom-menu-bar/@settings-name-my-stuff'
 ];
 
-const parseMessageDirectory = localeRoot => {
+const readMessages = path => {
+    try {
+        const contents = fs.readFileSync(path, 'utf-8');
+        return JSON.parse(contents);
+    } catch (e) {
+        // Ignore errors caused by file not existing.
+        if (e.code !== 'ENOENT') {
+            throw e;
+        }
+        return {};
+    }
+};
+
+const parseMessageDirectory = (localeRoot, patchedLocaleRoot) => {
     const unstructure = string => {
         if (typeof string === 'object') {
             return string.string;
@@ -363,33 +405,31 @@ const parseMessageDirectory = localeRoot => {
     const upstreamMessageIds = new Set();
 
     for (const addon of ['_general', ...addons]) {
-        const path = pathUtil.join(localeRoot, `${addon}.json`);
-        try {
-            const contents = fs.readFileSync(path, 'utf-8');
-            const parsed = JSON.parse(contents);
-            for (const id of Object.keys(parsed).sort()) {
-                upstreamMessageIds.add(id);
-                if (SKIP_MESSAGES.includes(id)) {
-                    continue;
-                }
-
-                // Messages ending with /@update are temporary notices describing what's new.
-                // We don't show them.
-                if (id.endsWith('/@update')) {
-                    continue;
-                }
-
-                const value = unstructure(parsed[id]);
-                if (id.includes('/@')) {
-                    settings[id] = value;
-                } else {
-                    runtime[id] = value;
-                }
+        const upstreamMessages = readMessages(pathUtil.join(localeRoot, `${addon}.json`));
+        for (const id of Object.keys(upstreamMessages)) {
+            upstreamMessageIds.add(id);
+        }
+
+        // Messages used by TurboWarp's patches to the addon
+        const patchedMessages = readMessages(pathUtil.join(patchedLocaleRoot, `${addon}.json`));
+
+        const parsed = Object.assign({}, upstreamMessages, patchedMessages);
+        for (const id of Object.keys(parsed).sort()) {
+            if (SKIP_MESSAGES.includes(id)) {
+                continue;
+            }
+
+            // Messages ending with /@update are temporary notices describing what's new.
+            // We don't show them.
+            if (id.endsWith('/@update')) {
+                continue;
             }
-        } catch (e) {
-            // Ignore errors caused by file not existing.
-            if (e.code !== 'ENOENT') {
-                throw e;
+
+            const value = unstructure(parsed[id]);
+            if (id.includes('/@')) {
+                settings[id] = value;
+            } else {
+                runtime[id] = value;
             }
         }
     }
@@ -467,8 +507,10 @@ const generateManifestEntries = () => generateEntries(
 for (const addon of addons) {
     const oldDirectory = pathUtil.resolve(__dirname, 'ScratchAddons', 'addons', addon);
     const newDirectory = pathUtil.resolve(__dirname, 'addons', addon);
+    copyPatchedFiles(addon, oldDirectory);
     processAddon(addon, oldDirectory, newDirectory);
 }
+applyPatches();
 
 const l10nFiles = fs.readdirSync(pathUtil.resolve(__dirname, 'ScratchAddons', 'addons-l10n'));
 const languages = [];
@@ -484,7 +526,8 @@ for (const file of l10nFiles) {
     languages.push(fixedName);
     const runtimePath = pathUtil.resolve(__dirname, 'addons-l10n', `${fixedName}.json`);
     const settingsPath = pathUtil.resolve(__dirname, 'addons-l10n-settings', `${fixedName}.json`);
-    const {settings, runtime, upstreamMessageIds} = parseMessageDirectory(oldDirectory);
+    const patchedDirectory = pathUtil.resolve(patchesPath, 'addons-l10n', file);
+    const {settings, runtime, upstreamMessageIds} = parseMessageDirectory(oldDirectory, patchedDirectory);
     for (const id of upstreamMessageIds) {
         allUpstreamMessageIds.add(id);
     }
@@ -28,7 +28,9 @@ const AlertComponent = ({
     onDownload,
     onSaveNow,
     onReconnect,
-    showReconnect
+    onReload,
+    showReconnect,
+    showReload
 }) => (
     <Box
         className={classNames(styles.alert, styles[level])}
@@ -102,6 +104,18 @@ const AlertComponent = ({
                     />
                 </button>
             )}
+            {showReload && (
+                <button
+                    className={styles.alertConnectionButton}
+                    onClick={onReload}
+                >
+                    <FormattedMessage
+                        defaultMessage="Reload"
+                        description="Button to reload the page to use a new version of the website"
+                        id="tw.alerts.reload"
+                    />
+                </button>
+            )}
             {closeButton && (
                 <Box
                     className={styles.alertCloseButtonContainer}
@@ -128,9 +142,11 @@ AlertComponent.propTypes = {
     onCloseAlert: PropTypes.func.isRequired,
     onDownload: PropTypes.func,
     onReconnect: PropTypes.func,
+    onReload: PropTypes.func,
     onSaveNow: PropTypes.func,
     showDownload: PropTypes.bool,
     showReconnect: PropTypes.bool,
+    showReload: PropTypes.bool,
     showSaveNow: PropTypes.bool
 };
 
@@ -30,6 +30,7 @@ const AlertsComponent = ({
                     message={a.message}
                     showDownload={a.showDownload}
                     showReconnect={a.showReconnect}
+                    showReload={a.showReload}
                     showSaveNow={a.showSaveNow}
                     onCloseAlert={onCloseAlert}
                 />
@@ -0,0 +1,153 @@
+import React from 'react';
+import PropTypes from 'prop-types';
+import classNames from 'classnames';
+import {FormattedMessage, defineMessages, injectIntl, intlShape} from 'react-intl';
+import DragConstants from '../../lib/drag-constants';
+import SortableHOC from '../../lib/sortable-hoc.jsx';
+import SortableAsset from '../asset-panel/sortable-asset.jsx';
+import SpriteSelectorItem from '../../containers/sprite-selector-item.jsx';
+import styles from './backpack.css';
+
+const dragTypeMap = { // Keys correspond with the backpack-server item types
+    costume: DragConstants.BACKPACK_COSTUME,
+    sound: DragConstants.BACKPACK_SOUND,
+    script: DragConstants.BACKPACK_CODE,
+    sprite: DragConstants.BACKPACK_SPRITE
+};
+
+const backpackDragTypes = Object.values(dragTypeMap);
+
+const labelMap = defineMessages({
+    costume: {
+        id: 'gui.backpack.costumeLabel',
+        defaultMessage: 'costume',
+        description: 'Label for costume backpack item'
+    },
+    sound: {
+        id: 'gui.backpack.soundLabel',
+        defaultMessage: 'sound',
+        description: 'Label for sound backpack item'
+    },
+    script: {
+        id: 'gui.backpack.scriptLabel',
+        defaultMessage: 'script',
+        description: 'Label for script backpack item'
+    },
+    sprite: {
+        id: 'gui.backpack.spriteLabel',
+        defaultMessage: 'sprite',
+        description: 'Label for sprite backpack item'
+    }
+});
+
+const BackpackList = ({
+    canReorder,
+    containerRef,
+    draggingIndex,
+    draggingType,
+    intl,
+    items,
+    ordering,
+    selectedIds,
+    showMore,
+    onAddSortable,
+    onDelete,
+    onEditTags,
+    onExport,
+    onMore,
+    onMove,
+    onRemoveSortable,
+    onRename,
+    onSelect
+}) => {
+    // Only drags that started in the backpack can reorder it
+    const isReordering = canReorder && backpackDragTypes.includes(draggingType) && typeof draggingIndex === 'number';
+    return (
+        <div
+            className={styles.backpackListInner}
+            ref={containerRef}
+        >
+            {items.map((item, index) => (
+                <SortableAsset
+                    className={classNames(styles.backpackItemWrapper, {
+                        [styles.placeholder]: isReordering && index === draggingIndex
+                    })}
+                    index={isReordering ? ordering.indexOf(index) : index}
+                    key={item.id}
+                    onAddSortable={onAddSortable}
+                    onRemoveSortable={onRemoveSortable}
+                >
+                    <SpriteSelectorItem
+                        className={styles.backpackItem}
+                        costumeURL={item.thumbnailUrl}
+                        details={item.name}
+                        dragPayload={item}
+                        dragType={dragTypeMap[item.type]}
+                        id={item.id}
+                        index={index}
+                        name={intl.formatMessage(labelMap[item.type])}
+                        selected={selectedIds.includes(item.id)}
+                        onClick={onSelect}
+                        onDeleteButtonClick={onDelete}
+                        onEditTagsButtonClick={onEditTags}
+                        onExportButtonClick={onExport}
+                        onMoveButtonClick={onMove}
+                        // Currently, renaming sprites is not supported.
+                        onRenameButtonClick={item.type === 'sprite' ? null : onRename}
+                    />
+                </SortableAsset>
+            ))}
+            {showMore && (
+                <button
+                    className={styles.more}
+                    // Keep the button after every item while reordering
+                    style={{order: items.length}}
+                    onClick={onMore}
+                >
+                    <FormattedMessage
+                        defaultMessage="More"
+                        description="Load more from backpack"
+                        id="gui.backpack.more"
+                    />
+                </button>
+            )}
+        </div>
+    );
+};
+
+BackpackList.propTypes = {
+    canReorder: PropTypes.bool,
+    containerRef: PropTypes.func,
+    draggingIndex: PropTypes.number,
+    draggingType: PropTypes.string,
+    intl: intlShape,
+    items: PropTypes.arrayOf(PropTypes.shape({
+        id: PropTypes.string,
+        thumbnailUrl: PropTypes.string,
+        type: PropTypes.string,
+        name: PropTypes.string
+    })),
+    onAddSortable: PropTypes.func,
+    onDelete: PropTypes.func,
+    onEditTags: PropTypes.func,
+    onExport: PropTypes.func,
+    onMore: PropTypes.func,
+    onMove: PropTypes.func,
+    onRemoveSortable: PropTypes.func,
+    onRename: PropTypes.func,
+    onSelect: PropTypes.func,
+    ordering: PropTypes.arrayOf(PropTypes.number),
+    selectedIds: PropTypes.arrayOf(PropTypes.string),
+    showMore: PropTypes.bool
+};
+
+BackpackList.defaultProps = {
+    canReorder: false,
+    selectedIds: []
+};
+
+export {
+    backpackDragTypes
+};
+
+export default SortableHOC(injectIntl(BackpackList));
@@ -2,57 +2,79 @@ import React from 'react';
 import PropTypes from 'prop-types';
 import classNames from 'classnames';
 import {FormattedMessage, defineMessages, injectIntl, intlShape} from 'react-intl';
-import DragConstants from '../../lib/drag-constants';
 import {ComingSoonTooltip} from '../coming-soon/coming-soon.jsx';
-import SpriteSelectorItem from '../../containers/sprite-selector-item.jsx';
+import BackpackList from './backpack-list.jsx';
+import {SOURCE_LOCAL, SOURCE_SHARED} from '../../lib/tw-backpack-servers';
 import styles from './backpack.css';
 
-// TODO make sprite selector item not require onClick
-const noop = () => {};
+// Value of the option in the folder menu that creates a new folder
+const NEW_FOLDER = '\0new';
+// Value of the option in the source menu that opens the shared backpack settings
+const SHARED_BACKPACK_SETTINGS = '\0settings';
 
-const dragTypeMap = { // Keys correspond with the backpack-server item types
-    costume: DragConstants.BACKPACK_COSTUME,
-    sound: DragConstants.BACKPACK_SOUND,
-    script: DragConstants.BACKPACK_CODE,
-    sprite: DragConstants.BACKPACK_SPRITE
-};
-
-const labelMap = defineMessages({
-    costume: {
-        id: 'gui.backpack.costumeLabel',
-        defaultMessage: 'costume',
-        description: 'Label for costume backpack item'
+const messages = defineMessages({
+    search: {
+        defaultMessage: 'Search backpack',
+        description: 'Placeholder of the search box in the backpack',
+        id: 'tw.backpack.search'
+    },
+    rootFolder: {
+        defaultMessage: 'Not in a folder',
+        description: 'Option in the backpack folder menu to show items that are not in a folder',
+        id: 'tw.backpack.rootFolder'
     },
-    sound: {
-        id: 'gui.backpack.soundLabel',
-        defaultMessage: 'sound',
-        description: 'Label for sound backpack item'
+    newFolder: {
+        defaultMessage: 'New folder…',
+        description: 'Option in the backpack folder menu to create a folder',
+        id: 'tw.backpack.newFolder'
     },
-    script: {
-        id: 'gui.backpack.scriptLabel',
-        defaultMessage: 'script',
-        description: 'Label for script backpack item'
+    localSource: {
+        defaultMessage: 'This browser',
+        description: 'Option in the backpack source menu to use the backpack that is stored in this browser',
+        id: 'tw.backpack.localSource'
     },
-    sprite: {
-        id: 'gui.backpack.spriteLabel',
-        defaultMessage: 'sprite',
-        description: 'Label for sprite backpack item'
+    sharedSource: {
+        defaultMessage: 'Shared: {name}',
+        description: 'Option in the backpack source menu to use the backpack stored on a server. {name} is its name.',
+        id: 'tw.backpack.sharedSource'
+    },
+    sharedSettings: {
+        defaultMessage: 'Shared backpack settings…',
+        description: 'Option in the backpack source menu to connect to a backpack stored on a server',
+        id: 'tw.backpack.sharedSettings'
     }
 });
 
 const Backpack = ({
     blockDragOver,
+    canReorder,
     containerRef,
     contents,
     dragOver,
     error,
     expanded,
+    folder,
+    folders,
     intl,
     loading,
+    query,
+    selectedIds,
+    sharedBackpackName,
     showMore,
+    source,
     onToggle,
+    onChangeFolder,
+    onChangeQuery,
+    onChangeSource,
     onDelete,
+    onEditTags,
+    onExport,
+    onExportItem,
+    onImport,
+    onMove,
     onRename,
+    onReorder,
+    onSelect,
     onMouseEnter,
     onMouseLeave,
     onMore
@@ -81,6 +103,85 @@ const Backpack = ({
                 </ComingSoonTooltip>
             )}
         </div>
+        {expanded && (onChangeSource || onImport) ? (
+            <div className={styles.toolbar}>
+                {onChangeSource ? (
+                    <select
+                        className={styles.sourceSelect}
+                        value={source}
+                        onChange={onChangeSource}
+                    >
+                        <option value={SOURCE_LOCAL}>{intl.formatMessage(messages.localSource)}</option>
+                        {sharedBackpackName ? (
+                            <option value={SOURCE_SHARED}>
+                                {intl.formatMessage(messages.sharedSource, {name: sharedBackpackName})}
+                            </option>
+                        ) : null}
+                        <option value={SHARED_BACKPACK_SETTINGS}>
+                            {intl.formatMessage(messages.sharedSettings)}
+                        </option>
+                    </select>
+                ) : null}
+                {onImport ? (
+                    <React.Fragment>
+                        <select
+                            className={styles.folderSelect}
+                            value={folder}
+                            onChange={onChangeFolder}
+                        >
+                            <option value="">{intl.formatMessage(messages.rootFolder)}</option>
+                            {folders.map(name => (
+                                <option
+                                    key={name}
+                                    value={name}
+                                >
+                                    {name}
+                                </option>
+                            ))}
+                            <option value={NEW_FOLDER}>{intl.formatMessage(messages.newFolder)}</option>
+                        </select>
+                        <input
+                            className={styles.search}
+                            placeholder={intl.formatMessage(messages.search)}
+                            type="search"
+                            value={query}
+                            onChange={onChangeQuery}
+                        />
+                        <button
+                            className={styles.toolbarButton}
+                            onClick={onImport}
+                        >
+                            <FormattedMessage
+                                defaultMessage="Import"
+                                description="Button in the backpack to add items from a backpack file"
+                                id="tw.backpack.import"
+                            />
+                        </button>
+                        <button
+                            className={styles.toolbarButton}
+                            onClick={onExport}
+                        >
+                            {selectedIds.length > 0 ? (
+                                <FormattedMessage
+                                    defaultMessage="Export {count} selected"
+                                    description="Button in the backpack to save the selected items to a file"
+                                    id="tw.backpack.exportSelected"
+                                    values={{
+                                        count: selectedIds.length
+                                    }}
+                                />
+                            ) : (
+                                <FormattedMessage
+                                    defaultMessage="Export all"
+                                    description="Button in the backpack to save every item to a file"
+                                    id="tw.backpack.exportAll"
+                                />
+                            )}
+                        </button>
+                    </React.Fragment>
+                ) : null}
+            </div>
+        ) : null}
         {expanded ? (
             <div
                 className={classNames(styles.backpackList, {
@@ -111,37 +212,20 @@ const Backpack = ({
                         </div>
                     ) : (
                         contents.length > 0 ? (
-                            <div className={styles.backpackListInner}>
-                                {contents.map(item => (
-                                    <SpriteSelectorItem
-                                        className={styles.backpackItem}
-                                        costumeURL={item.thumbnailUrl}
-                                        details={item.name}
-                                        dragPayload={item}
-                                        dragType={dragTypeMap[item.type]}
-                                        id={item.id}
-                                        key={item.id}
-                                        name={intl.formatMessage(labelMap[item.type])}
-                                        selected={false}
-                                        onClick={noop}
-                                        onDeleteButtonClick={onDelete}
-                                        // Currently, renaming sprites is not supported.
-                                        onRenameButtonClick={item.type === 'sprite' ? null : onRename}
-                                    />
-                                ))}
-                                {showMore && (
-                                    <button
-                                        className={styles.more}
-                                        onClick={onMore}
-                                    >
-                                        <FormattedMessage
-                                            defaultMessage="More"
-                                            description="Load more from backpack"
-                                            id="gui.backpack.more"
-                                        />
-                                    </button>
-                                )}
-                            </div>
+                            <BackpackList
+                                canReorder={canReorder}
+                                items={contents}
+                                selectedIds={selectedIds}
+                                showMore={showMore}
+                                onDelete={onDelete}
+                                onDrop={onReorder}
+                                onEditTags={onEditTags}
+                                onExport={onExportItem}
+                                onMore={onMore}
+                                onMove={onMove}
+                                onRename={onRename}
+                                onSelect={onSelect}
+                            />
                         ) : (
                             <div className={styles.statusMessage}>
                                 <FormattedMessage
@@ -160,6 +244,7 @@ const Backpack = ({
 
 Backpack.propTypes = {
     blockDragOver: PropTypes.bool,
+    canReorder: PropTypes.bool,
     containerRef: PropTypes.func,
     contents: PropTypes.arrayOf(PropTypes.shape({
         id: PropTypes.string,
@@ -170,10 +255,26 @@ Backpack.propTypes = {
     dragOver: PropTypes.bool,
     error: PropTypes.oneOfType([PropTypes.bool, PropTypes.string]),
     expanded: PropTypes.bool,
+    folder: PropTypes.string,
+    folders: PropTypes.arrayOf(PropTypes.string),
     intl: intlShape,
     loading: PropTypes.bool,
+    query: PropTypes.string,
+    selectedIds: PropTypes.arrayOf(PropTypes.string),
+    sharedBackpackName: PropTypes.string,
+    source: PropTypes.string,
+    onChangeFolder: PropTypes.func,
+    onChangeQuery: PropTypes.func,
+    onChangeSource: PropTypes.func,
     onDelete: PropTypes.func,
+    onEditTags: PropTypes.func,
+    onExport: PropTypes.func,
+    onExportItem: PropTypes.func,
+    onImport: PropTypes.func,
+    onMove: PropTypes.func,
     onRename: PropTypes.func,
+    onReorder: PropTypes.func,
+    onSelect: PropTypes.func,
     onMore: PropTypes.func,
     onMouseEnter: PropTypes.func,
     onMouseLeave: PropTypes.func,
@@ -183,13 +284,25 @@ Backpack.propTypes = {
 
 Backpack.defaultProps = {
     blockDragOver: false,
+    canReorder: false,
     contents: [],
     dragOver: false,
     expanded: false,
+    folder: '',
+    folders: [],
     loading: false,
+    query: '',
+    selectedIds: [],
+    sharedBackpackName: null,
     showMore: false,
+    source: SOURCE_LOCAL,
     onMore: null,
     onToggle: null
 };
 
+export {
+    NEW_FOLDER,
+    SHARED_BACKPACK_SETTINGS
+};
+
 export default injectIntl(Backpack);
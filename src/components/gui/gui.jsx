@@ -37,12 +37,19 @@ import TWRestorePointManager from '../../containers/tw-restore-point-manager.jsx
 import TWFontsModal from '../../containers/tw-fonts-modal.jsx';
 import TWUnknownPlatformModal from '../../containers/tw-unknown-platform-modal.jsx';
 import TWInvalidProjectModal from '../../containers/tw-invalid-project-modal.jsx';
+import TWCloudInspectorModal from '../../containers/tw-cloud-inspector-modal.jsx';
+import TWExportHTMLModal from '../../containers/tw-export-html-modal.jsx';
+import TWThemeEditorModal from '../../containers/tw-theme-editor-modal.jsx';
+import TWEditorPanels from '../../containers/tw-editor-panels.jsx';
+import EditorPanelButton from '../tw-editor-panels/editor-panel-button.jsx';
+import EditorPanelDock from '../tw-editor-panels/editor-panel-dock.jsx';
 
 import {STAGE_SIZE_MODES, FIXED_WIDTH, UNCONSTRAINED_NON_STAGE_WIDTH} from '../../lib/layout-constants';
 import {resolveStageSize} from '../../lib/screen-utils';
 import {Theme} from '../../lib/themes';
 
 import {isRendererSupported, isBrowserSupported} from '../../lib/tw-environment-support-prober';
+import {DEFAULT_AUTH_HEADER, DEFAULT_PAGE_SIZE} from '../../lib/tw-backpack-servers';
 
 import styles from './gui.css';
 import addExtensionIcon from './icon--extensions.svg';
@@ -81,7 +88,9 @@ const GUIComponent = props => {
         authorUsername,
         basePath,
         backdropLibraryVisible,
+        backpackAuthHeader,
         backpackHost,
+        backpackPageSize,
         backpackVisible,
         blocksId,
         blocksTabVisible,
@@ -139,10 +148,13 @@ const GUIComponent = props => {
         onShare,
         onShowPrivacyPolicy,
         onStartSelectingFileUpload,
+        onStartSelectingFolderUpload,
         onTelemetryModalCancel,
         onTelemetryModalOptIn,
         onTelemetryModalOptOut,
         securityManager,
+        securityPolicy,
+        securityPolicyURL,
         showComingSoon,
         showOpenFilePicker,
         showSaveFilePicker,
@@ -158,6 +170,9 @@ const GUIComponent = props => {
         fontsModalVisible,
         unknownPlatformModalVisible,
         invalidProjectModalVisible,
+        cloudInspectorModalVisible,
+        exportHTMLModalVisible,
+        themeEditorModalVisible,
         vm,
         ...componentProps
     } = omit(props, 'dispatch');
@@ -184,7 +199,11 @@ const GUIComponent = props => {
 
         const alwaysEnabledModals = (
             <React.Fragment>
-                <TWSecurityManager securityManager={securityManager} />
+                <TWSecurityManager
+                    securityManager={securityManager}
+                    securityPolicy={securityPolicy}
+                    securityPolicyURL={securityPolicyURL}
+                />
                 <TWRestorePointManager />
                 {usernameModalVisible && <TWUsernameModal />}
                 {settingsModalVisible && <TWSettingsModal />}
@@ -192,6 +211,9 @@ const GUIComponent = props => {
                 {fontsModalVisible && <TWFontsModal />}
                 {unknownPlatformModalVisible && <TWUnknownPlatformModal />}
                 {invalidProjectModalVisible && <TWInvalidProjectModal />}
+                {cloudInspectorModalVisible && <TWCloudInspectorModal />}
+                {exportHTMLModalVisible && <TWExportHTMLModal />}
+                {themeEditorModalVisible && <TWThemeEditorModal />}
             </React.Fragment>
         );
 
@@ -323,6 +345,7 @@ const GUIComponent = props => {
                     onSeeCommunity={onSeeCommunity}
                     onShare={onShare}
                     onStartSelectingFileUpload={onStartSelectingFileUpload}
+                    onStartSelectingFolderUpload={onStartSelectingFolderUpload}
                     onToggleLoginOpen={onToggleLoginOpen}
                 />
                 <Box className={styles.bodyWrapper}>
@@ -384,6 +407,15 @@ const GUIComponent = props => {
                                             id="gui.gui.soundsTab"
                                         />
                                     </Tab>
+                                    <TWEditorPanels>{({panels, openPanel, onToggle}) => panels.map(panel => (
+                                        <EditorPanelButton
+                                            key={panel.id}
+                                            className={tabClassNames.tab}
+                                            panel={panel}
+                                            isOpen={panel === openPanel}
+                                            onToggle={onToggle}
+                                        />
+                                    ))}</TWEditorPanels>
                                 </TabList>
                                 <TabPanel className={tabClassNames.tabPanel}>
                                     <Box className={styles.blocksWrapper}>
@@ -428,10 +460,24 @@ const GUIComponent = props => {
                                 </TabPanel>
                             </Tabs>
                             {backpackVisible ? (
-                                <Backpack host={backpackHost} />
+                                <Backpack
+                                    authHeader={backpackAuthHeader}
+                                    host={backpackHost}
+                                    pageSize={backpackPageSize}
+                                />
                             ) : null}
                         </Box>
 
+                        <TWEditorPanels resizeWindow>{({openPanel, width, onToggle, onResize}) => openPanel && (
+                            <EditorPanelDock
+                                isRtl={isRtl}
+                                panel={openPanel}
+                                width={width}
+                                onResize={onResize}
+                                onToggle={onToggle}
+                            />
+                        )}</TWEditorPanels>
+
                         <Box className={classNames(styles.stageAndTargetWrapper, styles[stageSize])}>
                             <StageWrapper
                                 isFullScreen={isFullScreen}
@@ -462,7 +508,9 @@ GUIComponent.propTypes = {
     authorThumbnailUrl: PropTypes.string,
     authorUsername: PropTypes.oneOfType([PropTypes.string, PropTypes.bool]), // can be false
     backdropLibraryVisible: PropTypes.bool,
+    backpackAuthHeader: PropTypes.string,
     backpackHost: PropTypes.string,
+    backpackPageSize: PropTypes.number,
     backpackVisible: PropTypes.bool,
     basePath: PropTypes.string,
     blocksTabVisible: PropTypes.bool,
@@ -518,6 +566,7 @@ GUIComponent.propTypes = {
     onShare: PropTypes.func,
     onShowPrivacyPolicy: PropTypes.func,
     onStartSelectingFileUpload: PropTypes.func,
+    onStartSelectingFolderUpload: PropTypes.func,
     onTabSelect: PropTypes.func,
     onTelemetryModalCancel: PropTypes.func,
     onTelemetryModalOptIn: PropTypes.func,
@@ -525,6 +574,8 @@ GUIComponent.propTypes = {
     onToggleLoginOpen: PropTypes.func,
     renderLogin: PropTypes.func,
     securityManager: PropTypes.shape({}),
+    securityPolicy: PropTypes.shape({}),
+    securityPolicyURL: PropTypes.string,
     showComingSoon: PropTypes.bool,
     showOpenFilePicker: PropTypes.func,
     showSaveFilePicker: PropTypes.func,
@@ -540,10 +591,15 @@ GUIComponent.propTypes = {
     fontsModalVisible: PropTypes.bool,
     unknownPlatformModalVisible: PropTypes.bool,
     invalidProjectModalVisible: PropTypes.bool,
+    cloudInspectorModalVisible: PropTypes.bool,
+    exportHTMLModalVisible: PropTypes.bool,
+    themeEditorModalVisible: PropTypes.bool,
     vm: PropTypes.instanceOf(VM).isRequired
 };
 GUIComponent.defaultProps = {
+    backpackAuthHeader: DEFAULT_AUTH_HEADER,
     backpackHost: null,
+    backpackPageSize: DEFAULT_PAGE_SIZE,
     backpackVisible: false,
     basePath: './',
     blocksId: 'original',
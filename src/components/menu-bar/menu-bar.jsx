@@ -30,10 +30,17 @@ import SettingsMenu from './settings-menu.jsx';
 
 import FramerateChanger from '../../containers/tw-framerate-changer.jsx';
 import ChangeUsername from '../../containers/tw-change-username.jsx';
+import ExtensionMenuItems from '../../containers/tw-extension-menu-items.jsx';
 import CloudVariablesToggler from '../../containers/tw-cloud-toggler.jsx';
 import TWSaveStatus from './tw-save-status.jsx';
 
-import {openTipsLibrary, openSettingsModal, openRestorePointModal} from '../../reducers/modals';
+import {
+    openTipsLibrary,
+    openSettingsModal,
+    openRestorePointModal,
+    openCloudInspectorModal,
+    openExportHTMLModal
+} from '../../reducers/modals';
 import {setPlayer} from '../../reducers/mode';
 import {
     isTimeTravel220022BC,
@@ -81,6 +88,7 @@ import {
 import {setFileHandle} from '../../reducers/tw.js';
 
 import collectMetadata from '../../lib/collect-metadata';
+import {getFileAutoSaveEnabled, setFileAutoSaveEnabled} from '../../lib/tw-save-to-file';
 
 import styles from './menu-bar.css';
 
@@ -218,6 +226,8 @@ class MenuBar extends React.Component {
             'handleClickSave',
             'handleClickSaveAsCopy',
             'handleClickPackager',
+            'handleClickExportHTML',
+            'handleClickFileAutoSave',
             'handleClickDesktopSettings',
             'handleClickRestorePoints',
             'handleClickSeeCommunity',
@@ -270,6 +280,14 @@ class MenuBar extends React.Component {
         this.props.onClickPackager();
         this.props.onRequestCloseFile();
     }
+    handleClickExportHTML () {
+        this.props.onClickExportHTML();
+        this.props.onRequestCloseFile();
+    }
+    handleClickFileAutoSave () {
+        setFileAutoSaveEnabled(!getFileAutoSaveEnabled());
+        this.props.onRequestCloseFile();
+    }
     handleClickDesktopSettings () {
         this.props.onClickDesktopSettings();
         this.props.onRequestCloseSettings();
@@ -634,6 +652,16 @@ class MenuBar extends React.Component {
                                         >
                                             {this.props.intl.formatMessage(sharedMessages.loadFromComputerTitle)}
                                         </MenuItem>
+                                        {this.props.onStartSelectingFolderUpload && (
+                                            <MenuItem onClick={this.props.onStartSelectingFolderUpload}>
+                                                <FormattedMessage
+                                                    defaultMessage="Open folder..."
+                                                    // eslint-disable-next-line max-len
+                                                    description="Menu bar item to load a project that was saved as a folder of separate files"
+                                                    id="tw.menuBar.openFolder"
+                                                />
+                                            </MenuItem>
+                                        )}
                                         <SB3Downloader
                                             showSaveFilePicker={this.props.showSaveFilePicker}
                                         >
@@ -655,6 +683,25 @@ class MenuBar extends React.Component {
                                                                     />
                                                                 </MenuItem>
                                                             )}
+                                                            {extended.name !== null && (
+                                                                <MenuItem onClick={this.handleClickFileAutoSave}>
+                                                                    {getFileAutoSaveEnabled() ? (
+                                                                        <FormattedMessage
+                                                                            defaultMessage="Turn off auto-save"
+                                                                            // eslint-disable-next-line max-len
+                                                                            description="Menu bar item to stop automatically saving the project to the file it was last saved to"
+                                                                            id="tw.menuBar.disableFileAutoSave"
+                                                                        />
+                                                                    ) : (
+                                                                        <FormattedMessage
+                                                                            defaultMessage="Turn on auto-save"
+                                                                            // eslint-disable-next-line max-len
+                                                                            description="Menu bar item to automatically save the project to the file it was last saved to every minute and when leaving the window"
+                                                                            id="tw.menuBar.enableFileAutoSave"
+                                                                        />
+                                                                    )}
+                                                                </MenuItem>
+                                                            )}
                                                             {/* eslint-disable-next-line max-len */}
                                                             <MenuItem onClick={this.getSaveToComputerHandler(extended.saveAsNew)}>
                                                                 <FormattedMessage
@@ -664,6 +711,17 @@ class MenuBar extends React.Component {
                                                                     id="tw.saveAs"
                                                                 />
                                                             </MenuItem>
+                                                            {extended.saveAsFolder && (
+                                                                // eslint-disable-next-line max-len
+                                                                <MenuItem onClick={this.getSaveToComputerHandler(extended.saveAsFolder)}>
+                                                                    <FormattedMessage
+                                                                        defaultMessage="Save as folder..."
+                                                                        // eslint-disable-next-line max-len
+                                                                        description="Menu bar item to save the project as a folder of separate files that work well with version control"
+                                                                        id="tw.menuBar.saveAsFolder"
+                                                                    />
+                                                                </MenuItem>
+                                                            )}
                                                         </React.Fragment>
                                                     )}
                                                     {notScratchDesktop() && (
@@ -690,8 +748,16 @@ class MenuBar extends React.Component {
                                             )}
                                         </SB3Downloader>
                                     </MenuSection>
-                                    {this.props.onClickPackager && (
-                                        <MenuSection>
+                                    <MenuSection>
+                                        <MenuItem onClick={this.handleClickExportHTML}>
+                                            <FormattedMessage
+                                                defaultMessage="Export as HTML"
+                                                // eslint-disable-next-line max-len
+                                                description="Menu bar item to save the current project as a single HTML file that works offline"
+                                                id="tw.menuBar.exportHTML"
+                                            />
+                                        </MenuItem>
+                                        {this.props.onClickPackager && (
                                             <MenuItem
                                                 onClick={this.handleClickPackager}
                                             >
@@ -702,8 +768,8 @@ class MenuBar extends React.Component {
                                                     id="tw.menuBar.package"
                                                 />
                                             </MenuItem>
-                                        </MenuSection>
-                                    )}
+                                        )}
+                                    </MenuSection>
                                     <MenuSection>
                                         <MenuItem onClick={this.handleClickRestorePoints}>
                                             <FormattedMessage
@@ -828,7 +894,26 @@ class MenuBar extends React.Component {
                                             )}
                                         </MenuItem>
                                     )}</CloudVariablesToggler>
+                                    <MenuItem onClick={this.props.onClickCloudInspector}>
+                                        <FormattedMessage
+                                            defaultMessage="Cloud Inspector"
+                                            description="Menu bar item for viewing cloud variable traffic"
+                                            id="tw.menuBar.cloudInspector"
+                                        />
+                                    </MenuItem>
                                 </MenuSection>
+                                <ExtensionMenuItems>{items => items.length > 0 && (
+                                    <MenuSection>
+                                        {items.map(item => (
+                                            <MenuItem
+                                                key={item.id}
+                                                onClick={item.handleClick}
+                                            >
+                                                {item.text}
+                                            </MenuItem>
+                                        ))}
+                                    </MenuSection>
+                                )}</ExtensionMenuItems>
                                 <MenuSection>
                                     <MenuItem onClick={this.props.onClickSettingsModal}>
                                         <FormattedMessage
@@ -1104,8 +1189,10 @@ MenuBar.propTypes = {
     ]),
     onClickAccount: PropTypes.func,
     onClickAddonSettings: PropTypes.func,
+    onClickCloudInspector: PropTypes.func,
     onClickDesktopSettings: PropTypes.func,
     onClickPackager: PropTypes.func,
+    onClickExportHTML: PropTypes.func,
     onClickRestorePoints: PropTypes.func,
     onClickEdit: PropTypes.func,
     onClickFile: PropTypes.func,
@@ -1134,6 +1221,7 @@ MenuBar.propTypes = {
     onSetTimeTravelMode: PropTypes.func,
     onShare: PropTypes.func,
     onStartSelectingFileUpload: PropTypes.func,
+    onStartSelectingFolderUpload: PropTypes.func,
     onToggleLoginOpen: PropTypes.func,
     projectId: PropTypes.string,
     projectTitle: PropTypes.string,
@@ -1207,6 +1295,11 @@ const mapDispatchToProps = dispatch => ({
     onRequestOpenAbout: () => dispatch(openAboutMenu()),
     onRequestCloseAbout: () => dispatch(closeAboutMenu()),
     onClickRestorePoints: () => dispatch(openRestorePointModal()),
+    onClickExportHTML: () => dispatch(openExportHTMLModal()),
+    onClickCloudInspector: () => {
+        dispatch(closeEditMenu());
+        dispatch(openCloudInspectorModal());
+    },
     onClickSettings: () => dispatch(openSettingsMenu()),
     onClickSettingsModal: () => {
         dispatch(closeEditMenu());
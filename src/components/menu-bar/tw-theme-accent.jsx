@@ -8,7 +8,9 @@ import check from './check.svg';
 import dropdownCaret from './dropdown-caret.svg';
 import {MenuItem, Submenu} from '../menu/menu.jsx';
 import {ACCENT_BLUE, ACCENT_MAP, ACCENT_PURPLE, ACCENT_RED, ACCENT_RAINBOW, Theme} from '../../lib/themes/index.js';
+import {getThemeForUserTheme, getUserThemeKey} from '../../lib/themes/userThemes.js';
 import {openAccentMenu, accentMenuOpen, closeSettingsMenu} from '../../reducers/menus.js';
+import {openThemeEditorModal} from '../../reducers/modals.js';
 import {setTheme} from '../../reducers/theme.js';
 import {persistTheme} from '../../lib/themes/themePersistance.js';
 import rainbowIcon from './tw-accent-rainbow.svg';
@@ -77,7 +79,7 @@ const AccentMenuItem = props => (
                 draggable={false}
             />
             <ColorIcon id={props.id} />
-            <FormattedMessage {...options[props.id]} />
+            {props.name === null ? <FormattedMessage {...options[props.id]} /> : props.name}
         </div>
     </MenuItem>
 );
@@ -85,15 +87,23 @@ const AccentMenuItem = props => (
 AccentMenuItem.propTypes = {
     id: PropTypes.string,
     isSelected: PropTypes.bool,
+    // Name of a user theme, or null for a built-in accent
+    name: PropTypes.string,
     onClick: PropTypes.func
 };
 
+AccentMenuItem.defaultProps = {
+    name: null
+};
+
 const AccentThemeMenu = ({
     isOpen,
     isRtl,
     onChangeTheme,
     onOpen,
-    theme
+    onOpenThemeEditor,
+    theme,
+    userThemes
 }) => (
     <MenuItem expanded={isOpen}>
         <div
@@ -124,6 +134,32 @@ const AccentThemeMenu = ({
                     onClick={() => onChangeTheme(theme.set('accent', item))}
                 />
             ))}
+            {userThemes.map(userTheme => (
+                <AccentMenuItem
+                    key={userTheme.id}
+                    id={getUserThemeKey(userTheme)}
+                    isSelected={theme.accent === getUserThemeKey(userTheme)}
+                    name={userTheme.name}
+                    // eslint-disable-next-line react/jsx-no-bind
+                    onClick={() => onChangeTheme(getThemeForUserTheme(userTheme))}
+                />
+            ))}
+            <MenuItem onClick={onOpenThemeEditor}>
+                <div className={styles.option}>
+                    <img
+                        className={styles.check}
+                        width={15}
+                        height={12}
+                        src={check}
+                        draggable={false}
+                    />
+                    <FormattedMessage
+                        defaultMessage="Theme Editor..."
+                        description="Menu item to open the theme editor, used to make custom themes"
+                        id="tw.menuBar.themeEditor"
+                    />
+                </div>
+            </MenuItem>
         </Submenu>
     </MenuItem>
 );
@@ -133,13 +169,19 @@ AccentThemeMenu.propTypes = {
     isRtl: PropTypes.bool,
     onChangeTheme: PropTypes.func,
     onOpen: PropTypes.func,
-    theme: PropTypes.instanceOf(Theme)
+    onOpenThemeEditor: PropTypes.func,
+    theme: PropTypes.instanceOf(Theme),
+    userThemes: PropTypes.arrayOf(PropTypes.shape({
+        id: PropTypes.string,
+        name: PropTypes.string
+    }))
 };
 
 const mapStateToProps = state => ({
     isOpen: accentMenuOpen(state),
     isRtl: state.locales.isRtl,
-    theme: state.scratchGui.theme.theme
+    theme: state.scratchGui.theme.theme,
+    userThemes: state.scratchGui.theme.userThemes
 });
 
 const mapDispatchToProps = dispatch => ({
@@ -148,7 +190,11 @@ const mapDispatchToProps = dispatch => ({
         dispatch(closeSettingsMenu());
         persistTheme(theme);
     },
-    onOpen: () => dispatch(openAccentMenu())
+    onOpen: () => dispatch(openAccentMenu()),
+    onOpenThemeEditor: () => {
+        dispatch(openThemeEditorModal());
+        dispatch(closeSettingsMenu());
+    }
 });
 
 export default connect(
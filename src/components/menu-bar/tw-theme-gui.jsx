@@ -20,16 +20,16 @@ const GuiThemeMenu = ({
         <div
             className={styles.option}
             // eslint-disable-next-line react/jsx-no-bind
-            onClick={() => onChangeTheme(theme.set('gui', theme.gui === GUI_DARK ? GUI_LIGHT : GUI_DARK))}
+            onClick={() => onChangeTheme(theme.set('gui', theme.isDark() ? GUI_LIGHT : GUI_DARK))}
         >
             <img
-                src={theme.gui === GUI_DARK ? lightModeIcon : darkModeIcon}
+                src={theme.isDark() ? lightModeIcon : darkModeIcon}
                 draggable={false}
                 width={24}
                 height={24}
             />
             <span className={styles.submenuLabel}>
-                {theme.gui === GUI_DARK ? (
+                {theme.isDark() ? (
                     <FormattedMessage
                         defaultMessage="Switch To Light Mode"
                         description="Menu item to change color scheme to light (it is currently dark)"
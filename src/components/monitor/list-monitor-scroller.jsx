@@ -6,6 +6,7 @@ import {FormattedMessage} from 'react-intl';
 
 import styles from './monitor.css';
 import {List} from 'react-virtualized';
+import {getDisplayedItem} from '../../lib/tw-list-data';
 
 class ListMonitorScroller extends React.Component {
     constructor (props) {
@@ -30,7 +31,9 @@ class ListMonitorScroller extends React.Component {
             </div>
         );
     }
-    rowRenderer ({index, key, style}) {
+    rowRenderer ({index: rowIndex, key, style}) {
+        // While searching, rows only show the items that match
+        const index = this.props.indexes ? this.props.indexes[rowIndex] : rowIndex;
         return (
             <div
                 className={styles.listRow}
@@ -61,6 +64,7 @@ class ListMonitorScroller extends React.Component {
                                 onChange={this.props.onInput}
                                 onFocus={this.props.onFocus}
                                 onKeyDown={this.props.onKeyPress} // key down to get ahead of blur
+                                onPaste={this.props.onPaste}
                             />
                             <div
                                 className={styles.removeButton}
@@ -71,23 +75,28 @@ class ListMonitorScroller extends React.Component {
                         </div>
 
                     ) : (
-                        <div className={styles.valueInner}>{this.props.values[index]}</div>
+                        <div className={styles.valueInner}>{getDisplayedItem(this.props.values[index])}</div>
                     )}
                 </div>
             </div>
         );
     }
     render () {
-        const {height, values, width, activeIndex, activeValue} = this.props;
+        const {height, indexes, values, width, activeIndex, activeValue} = this.props;
         // Keep the active index in view if defined, else must be undefined for List component
-        const scrollToIndex = activeIndex === null ? undefined : activeIndex; /* eslint-disable-line no-undefined */
+        let scrollToIndex = activeIndex === null ? undefined : activeIndex; /* eslint-disable-line no-undefined */
+        if (indexes && activeIndex !== null) {
+            const row = indexes.indexOf(activeIndex);
+            scrollToIndex = row === -1 ? undefined : row; /* eslint-disable-line no-undefined */
+        }
         return (
             <List
                 activeIndex={activeIndex}
                 activeValue={activeValue}
                 height={(height) - 42 /* Header/footer size, approx */}
+                indexes={indexes}
                 noRowsRenderer={this.noRowsRenderer}
-                rowCount={values.length}
+                rowCount={indexes ? indexes.length : values.length}
                 rowHeight={24 /* Row size is same for all rows */}
                 rowRenderer={this.rowRenderer}
                 scrollToIndex={scrollToIndex} /* eslint-disable-line no-undefined */
@@ -107,11 +116,13 @@ ListMonitorScroller.propTypes = {
     }).isRequired,
     draggable: PropTypes.bool,
     height: PropTypes.number,
+    indexes: PropTypes.arrayOf(PropTypes.number),
     onActivate: PropTypes.func,
     onDeactivate: PropTypes.func,
     onFocus: PropTypes.func,
     onInput: PropTypes.func,
     onKeyPress: PropTypes.func,
+    onPaste: PropTypes.func,
     onRemove: PropTypes.func,
     values: PropTypes.arrayOf(PropTypes.oneOfType([
         PropTypes.string,
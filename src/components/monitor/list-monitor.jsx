@@ -1,11 +1,42 @@
 import React from 'react';
 import PropTypes from 'prop-types';
 import classNames from 'classnames';
-import {FormattedMessage} from 'react-intl';
+import {defineMessages, FormattedMessage, injectIntl, intlShape} from 'react-intl';
 import styles from './monitor.css';
 import ListMonitorScroller from './list-monitor-scroller.jsx';
 
-const ListMonitor = ({draggable, label, width, height, value, onResizeMouseDown, onAdd, ...rowProps}) => (
+// Height of the search box, in pixels
+const SEARCH_HEIGHT = 24;
+
+const messages = defineMessages({
+    search: {
+        defaultMessage: 'Search',
+        description: 'Placeholder of the search box in list monitors',
+        id: 'tw.monitor.listMonitor.search'
+    },
+    closeSearch: {
+        defaultMessage: 'Close search',
+        description: 'Title of the button that closes the search box in list monitors',
+        id: 'tw.monitor.listMonitor.closeSearch'
+    }
+});
+
+const ListMonitor = ({
+    draggable,
+    intl,
+    label,
+    width,
+    height,
+    value,
+    searching,
+    searchMatches,
+    searchQuery,
+    onCloseSearch,
+    onResizeMouseDown,
+    onAdd,
+    onSearch,
+    ...rowProps
+}) => (
     <div
         className={styles.listMonitor}
         style={{
@@ -16,10 +47,31 @@ const ListMonitor = ({draggable, label, width, height, value, onResizeMouseDown,
         <div className={styles.listHeader}>
             {label}
         </div>
+        {searching && (
+            <div className={classNames(styles.listSearch, 'no-drag')}>
+                <input
+                    autoFocus
+                    className={styles.listSearchInput}
+                    placeholder={intl.formatMessage(messages.search)}
+                    spellCheck={false}
+                    type="text"
+                    value={searchQuery}
+                    onChange={onSearch}
+                />
+                <div
+                    className={styles.removeButton}
+                    title={intl.formatMessage(messages.closeSearch)}
+                    onClick={onCloseSearch}
+                >
+                    {'✖︎'}
+                </div>
+            </div>
+        )}
         <div className={styles.listBody}>
             <ListMonitorScroller
                 draggable={draggable}
-                height={height}
+                height={searching ? height - SEARCH_HEIGHT : height}
+                indexes={searchMatches}
                 values={value}
                 width={width}
                 {...rowProps}
@@ -33,14 +85,26 @@ const ListMonitor = ({draggable, label, width, height, value, onResizeMouseDown,
                 {'+' /* TODO waiting on asset */}
             </div>
             <div className={styles.footerLength}>
-                <FormattedMessage
-                    defaultMessage="length {length}"
-                    description="Length label on list monitors. DO NOT translate {length} (with brackets)."
-                    id="gui.monitor.listMonitor.listLength"
-                    values={{
-                        length: value.length
-                    }}
-                />
+                {searchMatches ? (
+                    <FormattedMessage
+                        defaultMessage="{matches} of {length}"
+                        description="Length label on list monitors while searching, eg. '3 of 10'"
+                        id="tw.monitor.listMonitor.searchLength"
+                        values={{
+                            matches: searchMatches.length,
+                            length: value.length
+                        }}
+                    />
+                ) : (
+                    <FormattedMessage
+                        defaultMessage="length {length}"
+                        description="Length label on list monitors. DO NOT translate {length} (with brackets)."
+                        id="gui.monitor.listMonitor.listLength"
+                        values={{
+                            length: value.length
+                        }}
+                    />
+                )}
             </div>
             <div
                 className={classNames(draggable ? styles.resizeHandle : null, 'no-drag')}
@@ -60,10 +124,16 @@ ListMonitor.propTypes = {
     }).isRequired,
     draggable: PropTypes.bool.isRequired,
     height: PropTypes.number,
+    intl: intlShape,
     label: PropTypes.string.isRequired,
     onActivate: PropTypes.func,
     onAdd: PropTypes.func,
+    onCloseSearch: PropTypes.func,
     onResizeMouseDown: PropTypes.func,
+    onSearch: PropTypes.func,
+    searchMatches: PropTypes.arrayOf(PropTypes.number),
+    searchQuery: PropTypes.string,
+    searching: PropTypes.bool,
     value: PropTypes.oneOfType([
         PropTypes.string,
         PropTypes.number,
@@ -80,4 +150,4 @@ ListMonitor.defaultProps = {
     height: 200
 };
 
-export default ListMonitor;
+export default injectIntl(ListMonitor);
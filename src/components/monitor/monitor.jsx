@@ -11,6 +11,7 @@ import LargeMonitor from './large-monitor.jsx';
 import SliderMonitor from '../../containers/slider-monitor.jsx';
 import ListMonitor from '../../containers/list-monitor.jsx';
 import {Theme} from '../../lib/themes/index.js';
+import {FORMAT_CSV, FORMAT_JSON, FORMAT_TSV} from '../../lib/tw-list-data';
 
 import styles from './monitor.css';
 
@@ -124,6 +125,69 @@ const MonitorComponent = props => (
                             id="gui.monitor.contextMenu.export"
                         />
                     </MenuItem>}
+                {props.onExport &&
+                    <MenuItem
+                        data={{format: FORMAT_CSV}}
+                        onClick={props.onExport}
+                    >
+                        <FormattedMessage
+                            defaultMessage="export as CSV"
+                            description="Menu item to export from list monitors as a CSV file"
+                            id="tw.monitor.contextMenu.exportCSV"
+                        />
+                    </MenuItem>}
+                {props.onExport &&
+                    <MenuItem
+                        data={{format: FORMAT_TSV}}
+                        onClick={props.onExport}
+                    >
+                        <FormattedMessage
+                            defaultMessage="export as TSV"
+                            description="Menu item to export from list monitors as a tab-separated file"
+                            id="tw.monitor.contextMenu.exportTSV"
+                        />
+                    </MenuItem>}
+                {props.onExport &&
+                    <MenuItem
+                        data={{format: FORMAT_JSON}}
+                        onClick={props.onExport}
+                    >
+                        <FormattedMessage
+                            defaultMessage="export as JSON"
+                            description="Menu item to export from list monitors as a JSON file"
+                            id="tw.monitor.contextMenu.exportJSON"
+                        />
+                    </MenuItem>}
+                {props.draggable && props.onSort &&
+                    <BorderedMenuItem
+                        data={{descending: false}}
+                        onClick={props.onSort}
+                    >
+                        <FormattedMessage
+                            defaultMessage="sort ascending"
+                            description="Menu item to sort the items in a list monitor from smallest to largest"
+                            id="tw.monitor.contextMenu.sortAscending"
+                        />
+                    </BorderedMenuItem>}
+                {props.draggable && props.onSort &&
+                    <MenuItem
+                        data={{descending: true}}
+                        onClick={props.onSort}
+                    >
+                        <FormattedMessage
+                            defaultMessage="sort descending"
+                            description="Menu item to sort the items in a list monitor from largest to smallest"
+                            id="tw.monitor.contextMenu.sortDescending"
+                        />
+                    </MenuItem>}
+                {props.onOpenSearch &&
+                    <MenuItem onClick={props.onOpenSearch}>
+                        <FormattedMessage
+                            defaultMessage="search"
+                            description="Menu item to search the items in a list monitor"
+                            id="tw.monitor.contextMenu.search"
+                        />
+                    </MenuItem>}
                 {props.draggable && props.onHide &&
                     <BorderedMenuItem onClick={props.onHide}>
                         <FormattedMessage
@@ -153,10 +217,12 @@ MonitorComponent.propTypes = {
     onImport: PropTypes.func,
     onHide: PropTypes.func,
     onNextMode: PropTypes.func.isRequired,
+    onOpenSearch: PropTypes.func,
     onSetModeToDefault: PropTypes.func,
     onSetModeToLarge: PropTypes.func,
     onSetModeToSlider: PropTypes.func,
     onSliderPromptOpen: PropTypes.func,
+    onSort: PropTypes.func,
     theme: PropTypes.instanceOf(Theme).isRequired
 };
 
@@ -0,0 +1,94 @@
+import PropTypes from 'prop-types';
+import React from 'react';
+import bindAll from 'lodash.bindall';
+import {defineMessages, FormattedMessage} from 'react-intl';
+
+import Input from '../forms/input.jsx';
+import BufferedInputHOC from '../forms/buffered-input-hoc.jsx';
+
+import styles from './sound-editor.css';
+
+const BufferedInput = BufferedInputHOC(Input);
+
+const messages = defineMessages({
+    semitones: {
+        id: 'tw.soundEditor.parameter.semitones',
+        description: 'Label for how many semitones the pitch effect changes the pitch by',
+        defaultMessage: 'Semitones'
+    },
+    low: {
+        id: 'tw.soundEditor.parameter.low',
+        description: 'Label for how many decibels the equalizer effect boosts or cuts low frequencies',
+        defaultMessage: 'Bass (dB)'
+    },
+    mid: {
+        id: 'tw.soundEditor.parameter.mid',
+        description: 'Label for how many decibels the equalizer effect boosts or cuts middle frequencies',
+        defaultMessage: 'Mid (dB)'
+    },
+    high: {
+        id: 'tw.soundEditor.parameter.high',
+        description: 'Label for how many decibels the equalizer effect boosts or cuts high frequencies',
+        defaultMessage: 'Treble (dB)'
+    },
+    threshold: {
+        id: 'tw.soundEditor.parameter.threshold',
+        description: 'Label for the level in decibels at which the compressor or noise gate effect starts working',
+        defaultMessage: 'Threshold (dB)'
+    },
+    peak: {
+        id: 'tw.soundEditor.parameter.peak',
+        description: 'Label for the level in decibels that the normalize effect makes the loudest part of the sound',
+        defaultMessage: 'Peak (dB)'
+    },
+    stretch: {
+        id: 'tw.soundEditor.parameter.stretch',
+        // eslint-disable-next-line max-len
+        description: 'Label for the new duration of the sound as a percent of the original, for the time stretch effect',
+        defaultMessage: 'Length (%)'
+    }
+});
+
+class EffectParameter extends React.Component {
+    constructor (props) {
+        super(props);
+        bindAll(this, [
+            'handleSubmit'
+        ]);
+    }
+    handleSubmit (value) {
+        this.props.onChange(this.props.effectId, this.props.parameter.id, value);
+    }
+    render () {
+        const {parameter} = this.props;
+        return (
+            <label className={styles.effectParameter}>
+                <span>
+                    <FormattedMessage {...messages[parameter.id]} />
+                </span>
+                <BufferedInput
+                    className={styles.effectParameterInput}
+                    max={parameter.max}
+                    min={parameter.min}
+                    small
+                    type="number"
+                    value={this.props.value}
+                    onSubmit={this.handleSubmit}
+                />
+            </label>
+        );
+    }
+}
+
+EffectParameter.propTypes = {
+    effectId: PropTypes.number.isRequired,
+    parameter: PropTypes.shape({
+        id: PropTypes.string.isRequired,
+        min: PropTypes.number.isRequired,
+        max: PropTypes.number.isRequired
+    }).isRequired,
+    value: PropTypes.number.isRequired,
+    onChange: PropTypes.func.isRequired
+};
+
+export default EffectParameter;
@@ -0,0 +1,36 @@
+import PropTypes from 'prop-types';
+import React from 'react';
+import {injectIntl, intlShape} from 'react-intl';
+
+import StackedEffect from './stacked-effect.jsx';
+
+import styles from './sound-editor.css';
+
+const EffectStack = props => (
+    <div className={styles.effectStack}>
+        {props.effects.map((effect, index) => (
+            <StackedEffect
+                key={effect.id}
+                effect={effect}
+                intl={props.intl}
+                isFirst={index === 0}
+                isLast={index === props.effects.length - 1}
+                title={props.effectTitles[effect.name]}
+                onChangeParameter={props.onChangeParameter}
+                onMove={props.onMove}
+                onRemove={props.onRemove}
+            />
+        ))}
+    </div>
+);
+
+EffectStack.propTypes = {
+    effects: PropTypes.arrayOf(PropTypes.object).isRequired,
+    effectTitles: PropTypes.objectOf(PropTypes.object).isRequired,
+    intl: intlShape,
+    onChangeParameter: PropTypes.func.isRequired,
+    onMove: PropTypes.func.isRequired,
+    onRemove: PropTypes.func.isRequired
+};
+
+export default injectIntl(EffectStack);
@@ -0,0 +1,88 @@
+import PropTypes from 'prop-types';
+import React from 'react';
+import {defineMessages, FormattedMessage, injectIntl, intlShape} from 'react-intl';
+
+import Waveform from '../waveform/waveform.jsx';
+import Input from '../forms/input.jsx';
+import BufferedInputHOC from '../forms/buffered-input-hoc.jsx';
+
+import styles from './sound-editor.css';
+
+const BufferedInput = BufferedInputHOC(Input);
+
+const messages = defineMessages({
+    remove: {
+        id: 'tw.soundEditor.removeTrack',
+        description: 'Title of the button to remove the second track from the sound editor without mixing it in',
+        defaultMessage: 'Remove track'
+    }
+});
+
+const SecondTrack = props => (
+    <div className={styles.secondTrack}>
+        <div className={styles.secondTrackWaveform}>
+            <Waveform
+                data={props.chunkLevels}
+                height={40}
+                width={600}
+            />
+        </div>
+        <div className={styles.effectParameters}>
+            <label className={styles.effectParameter}>
+                <span>
+                    <FormattedMessage
+                        defaultMessage="Start (seconds)"
+                        description="Label for when the second track in the sound editor starts playing"
+                        id="tw.soundEditor.trackOffset"
+                    />
+                </span>
+                <BufferedInput
+                    className={styles.effectParameterInput}
+                    min={0}
+                    small
+                    step={0.01}
+                    type="number"
+                    value={props.offset}
+                    onSubmit={props.onChangeOffset}
+                />
+            </label>
+            <label className={styles.effectParameter}>
+                <span>
+                    <FormattedMessage
+                        defaultMessage="Volume (%)"
+                        description="Label for the volume of the second track in the sound editor"
+                        id="tw.soundEditor.trackVolume"
+                    />
+                </span>
+                <BufferedInput
+                    className={styles.effectParameterInput}
+                    max={200}
+                    min={0}
+                    small
+                    type="number"
+                    value={props.volume}
+                    onSubmit={props.onChangeVolume}
+                />
+            </label>
+        </div>
+        <button
+            className={styles.button}
+            title={props.intl.formatMessage(messages.remove)}
+            onClick={props.onRemove}
+        >
+            {'×'}
+        </button>
+    </div>
+);
+
+SecondTrack.propTypes = {
+    chunkLevels: PropTypes.arrayOf(PropTypes.number).isRequired,
+    intl: intlShape,
+    offset: PropTypes.number.isRequired,
+    volume: PropTypes.number.isRequired,
+    onChangeOffset: PropTypes.func.isRequired,
+    onChangeVolume: PropTypes.func.isRequired,
+    onRemove: PropTypes.func.isRequired
+};
+
+export default injectIntl(SecondTrack);
@@ -11,7 +11,10 @@ import TWRenderRecoloredImage from '../../lib/tw-recolor/render.jsx';
 import BufferedInputHOC from '../forms/buffered-input-hoc.jsx';
 import AudioSelector from '../../containers/audio-selector.jsx';
 import IconButton from '../icon-button/icon-button.jsx';
+import EffectStack from './effect-stack.jsx';
+import SecondTrack from './second-track.jsx';
 import {SOUND_BYTE_LIMIT} from '../../lib/audio/audio-util.js';
+import AudioEffects from '../../lib/audio/audio-effects.js';
 
 import styles from './sound-editor.css';
 
@@ -29,6 +32,13 @@ import reverseIcon from './icon--reverse.svg';
 import fadeOutIcon from './icon--fade-out.svg';
 import fadeInIcon from './icon--fade-in.svg';
 import muteIcon from './icon--mute.svg';
+import pitchIcon from './icon--pitch.svg';
+import equalizerIcon from './icon--equalizer.svg';
+import compressorIcon from './icon--compressor.svg';
+import normalizeIcon from './icon--normalize.svg';
+import noiseGateIcon from './icon--noise-gate.svg';
+import timeStretchIcon from './icon--time-stretch.svg';
+import trackIcon from './icon--track.svg';
 
 import deleteIcon from '!../../lib/tw-recolor/build!./icon--delete.svg';
 import copyIcon from '!../../lib/tw-recolor/build!./icon--copy.svg';
@@ -137,9 +147,64 @@ const messages = defineMessages({
         id: 'gui.soundEditor.mute',
         description: 'Title of the button to apply the mute effect',
         defaultMessage: 'Mute'
+    },
+    pitch: {
+        id: 'tw.soundEditor.pitch',
+        description: 'Title of the button to apply the effect that changes pitch without changing speed',
+        defaultMessage: 'Pitch'
+    },
+    equalizer: {
+        id: 'tw.soundEditor.equalizer',
+        description: 'Title of the button to apply the equalizer effect, which makes bass and treble louder or softer',
+        defaultMessage: 'Equalizer'
+    },
+    compressor: {
+        id: 'tw.soundEditor.compressor',
+        description: 'Title of the button to apply the compressor effect, which makes loud parts quieter',
+        defaultMessage: 'Compress'
+    },
+    normalize: {
+        id: 'tw.soundEditor.normalize',
+        description: 'Title of the button to apply the normalize effect, which makes the loudest part a set volume',
+        defaultMessage: 'Normalize'
+    },
+    noiseGate: {
+        id: 'tw.soundEditor.noiseGate',
+        description: 'Title of the button to apply the noise gate effect, which silences quiet background noise',
+        defaultMessage: 'Noise gate'
+    },
+    timeStretch: {
+        id: 'tw.soundEditor.timeStretch',
+        description: 'Title of the button to apply the effect that changes speed without changing pitch',
+        defaultMessage: 'Stretch'
+    },
+    pasteAsTrack: {
+        id: 'tw.soundEditor.pasteAsTrack',
+        description: 'Title of the button to paste the copied sound as a second track that plays on top of the sound',
+        defaultMessage: 'Paste as Track'
     }
 });
 
+const {effectTypes} = AudioEffects;
+const effectTitles = {
+    [effectTypes.ROBOT]: messages.robot,
+    [effectTypes.REVERSE]: messages.reverse,
+    [effectTypes.LOUDER]: messages.louder,
+    [effectTypes.SOFTER]: messages.softer,
+    [effectTypes.FASTER]: messages.faster,
+    [effectTypes.SLOWER]: messages.slower,
+    [effectTypes.ECHO]: messages.echo,
+    [effectTypes.FADEIN]: messages.fadeIn,
+    [effectTypes.FADEOUT]: messages.fadeOut,
+    [effectTypes.MUTE]: messages.mute,
+    [effectTypes.PITCH]: messages.pitch,
+    [effectTypes.EQUALIZER]: messages.equalizer,
+    [effectTypes.COMPRESSOR]: messages.compressor,
+    [effectTypes.NORMALIZE]: messages.normalize,
+    [effectTypes.NOISE_GATE]: messages.noiseGate,
+    [effectTypes.TIME_STRETCH]: messages.timeStretch
+};
+
 const formatTime = timeSeconds => {
     const minutes = (Math.floor(timeSeconds / 60))
         .toString()
@@ -240,6 +305,13 @@ const SoundEditor = props => (
                     title={props.intl.formatMessage(messages.copyToNew)}
                     onClick={props.onCopyToNew}
                 />
+                <IconButton
+                    className={styles.toolButton}
+                    disabled={props.canPaste === false}
+                    img={trackIcon}
+                    title={props.intl.formatMessage(messages.pasteAsTrack)}
+                    onClick={props.onPasteAsTrack}
+                />
             </div>
             <IconButton
                 className={styles.toolButton}
@@ -354,8 +426,104 @@ const SoundEditor = props => (
                     title={<FormattedMessage {...messages.echo} />}
                     onClick={props.onEcho}
                 />
+                <IconButton
+                    className={styles.effectButton}
+                    img={pitchIcon}
+                    title={<FormattedMessage {...messages.pitch} />}
+                    onClick={props.onPitch}
+                />
+                <IconButton
+                    className={styles.effectButton}
+                    img={timeStretchIcon}
+                    title={<FormattedMessage {...messages.timeStretch} />}
+                    onClick={props.onTimeStretch}
+                />
+                <IconButton
+                    className={styles.effectButton}
+                    img={equalizerIcon}
+                    title={<FormattedMessage {...messages.equalizer} />}
+                    onClick={props.onEqualizer}
+                />
+                <IconButton
+                    className={styles.effectButton}
+                    img={compressorIcon}
+                    title={<FormattedMessage {...messages.compressor} />}
+                    onClick={props.onCompressor}
+                />
+                <IconButton
+                    className={styles.effectButton}
+                    img={normalizeIcon}
+                    title={<FormattedMessage {...messages.normalize} />}
+                    onClick={props.onNormalize}
+                />
+                <IconButton
+                    className={styles.effectButton}
+                    img={noiseGateIcon}
+                    title={<FormattedMessage {...messages.noiseGate} />}
+                    onClick={props.onNoiseGate}
+                />
             </div>
         </div>
+        {(props.effectStack.length > 0 || props.track) && (
+            <div className={styles.pendingEdits}>
+                <div className={styles.pendingEditsHeader}>
+                    <div className={styles.pendingEditsTitle}>
+                        <FormattedMessage
+                            defaultMessage="Unapplied edits"
+                            // eslint-disable-next-line max-len
+                            description="Heading above the list of effects and the second track that are being previewed in the sound editor but haven't been saved yet"
+                            id="tw.soundEditor.pendingEdits"
+                        />
+                    </div>
+                    <button
+                        className={styles.pendingEditsButton}
+                        onClick={props.onDiscardEdits}
+                    >
+                        <FormattedMessage
+                            defaultMessage="Discard"
+                            description="Button to remove the unapplied effects and second track in the sound editor"
+                            id="tw.soundEditor.discardEdits"
+                        />
+                    </button>
+                    <button
+                        className={classNames(styles.pendingEditsButton, styles.applyButton)}
+                        onClick={props.onApplyEdits}
+                    >
+                        {props.track ? (
+                            <FormattedMessage
+                                defaultMessage="Mix down"
+                                // eslint-disable-next-line max-len
+                                description="Button to save the unapplied effects in the sound editor and combine the second track into the sound"
+                                id="tw.soundEditor.mixDown"
+                            />
+                        ) : (
+                            <FormattedMessage
+                                defaultMessage="Apply"
+                                description="Button to save the unapplied effects in the sound editor"
+                                id="tw.soundEditor.applyEdits"
+                            />
+                        )}
+                    </button>
+                </div>
+                <EffectStack
+                    effects={props.effectStack}
+                    effectTitles={effectTitles}
+                    onChangeParameter={props.onChangeEffectParameter}
+                    onMove={props.onMoveEffect}
+                    onRemove={props.onRemoveEffect}
+                />
+                {props.track && (
+                    <SecondTrack
+                        chunkLevels={props.track.chunkLevels}
+                        offset={props.track.offset}
+                        volume={props.track.volume}
+                        onChangeOffset={props.onChangeTrackOffset}
+                        onChangeVolume={props.onChangeTrackVolume}
+                        onRemove={props.onRemoveTrack}
+                    />
+                )}
+            </div>
+        )}
         <div className={styles.infoRow}>
             <div className={styles.duration}>
                 {formatDuration(props.playhead, props.trimStart, props.trimEnd, props.duration)}
@@ -407,32 +575,53 @@ SoundEditor.propTypes = {
     canRedo: PropTypes.bool.isRequired,
     canUndo: PropTypes.bool.isRequired,
     chunkLevels: PropTypes.arrayOf(PropTypes.number).isRequired,
+    effectStack: PropTypes.arrayOf(PropTypes.object).isRequired,
     intl: intlShape,
     name: PropTypes.string.isRequired,
+    onApplyEdits: PropTypes.func.isRequired,
+    onChangeEffectParameter: PropTypes.func.isRequired,
     onChangeName: PropTypes.func.isRequired,
+    onChangeTrackOffset: PropTypes.func.isRequired,
+    onChangeTrackVolume: PropTypes.func.isRequired,
+    onCompressor: PropTypes.func.isRequired,
     onContainerClick: PropTypes.func.isRequired,
     onCopy: PropTypes.func.isRequired,
     onCopyToNew: PropTypes.func.isRequired,
     onDelete: PropTypes.func,
+    onDiscardEdits: PropTypes.func.isRequired,
     onEcho: PropTypes.func.isRequired,
+    onEqualizer: PropTypes.func.isRequired,
     onFadeIn: PropTypes.func.isRequired,
     onFadeOut: PropTypes.func.isRequired,
     onFaster: PropTypes.func.isRequired,
     onLouder: PropTypes.func.isRequired,
+    onMoveEffect: PropTypes.func.isRequired,
     onMute: PropTypes.func.isRequired,
+    onNoiseGate: PropTypes.func.isRequired,
+    onNormalize: PropTypes.func.isRequired,
     onPaste: PropTypes.func.isRequired,
+    onPasteAsTrack: PropTypes.func.isRequired,
+    onPitch: PropTypes.func.isRequired,
     onPlay: PropTypes.func.isRequired,
     onRedo: PropTypes.func.isRequired,
+    onRemoveEffect: PropTypes.func.isRequired,
+    onRemoveTrack: PropTypes.func.isRequired,
     onReverse: PropTypes.func.isRequired,
     onRobot: PropTypes.func.isRequired,
     onSetTrim: PropTypes.func,
     onSlower: PropTypes.func.isRequired,
     onSofter: PropTypes.func.isRequired,
     onStop: PropTypes.func.isRequired,
+    onTimeStretch: PropTypes.func.isRequired,
     onUndo: PropTypes.func.isRequired,
     playhead: PropTypes.number,
     setRef: PropTypes.func,
     tooLoud: PropTypes.bool.isRequired,
+    track: PropTypes.shape({
+        chunkLevels: PropTypes.arrayOf(PropTypes.number).isRequired,
+        offset: PropTypes.number.isRequired,
+        volume: PropTypes.number.isRequired
+    }),
     trimEnd: PropTypes.number,
     trimStart: PropTypes.number
 };
@@ -0,0 +1,114 @@
+import PropTypes from 'prop-types';
+import React from 'react';
+import bindAll from 'lodash.bindall';
+import {defineMessages, FormattedMessage, intlShape} from 'react-intl';
+
+import EffectParameter from './effect-parameter.jsx';
+import AudioEffects from '../../lib/audio/audio-effects.js';
+
+import styles from './sound-editor.css';
+
+const messages = defineMessages({
+    moveUp: {
+        id: 'tw.soundEditor.moveEffectUp',
+        description: 'Title of the button to apply an effect in the effect stack earlier',
+        defaultMessage: 'Move up'
+    },
+    moveDown: {
+        id: 'tw.soundEditor.moveEffectDown',
+        description: 'Title of the button to apply an effect in the effect stack later',
+        defaultMessage: 'Move down'
+    },
+    remove: {
+        id: 'tw.soundEditor.removeEffect',
+        description: 'Title of the button to remove an effect from the effect stack',
+        defaultMessage: 'Remove'
+    }
+});
+
+class StackedEffect extends React.Component {
+    constructor (props) {
+        super(props);
+        bindAll(this, [
+            'handleClickMoveUp',
+            'handleClickMoveDown',
+            'handleClickRemove'
+        ]);
+    }
+    handleClickMoveUp () {
+        this.props.onMove(this.props.effect.id, -1);
+    }
+    handleClickMoveDown () {
+        this.props.onMove(this.props.effect.id, 1);
+    }
+    handleClickRemove () {
+        this.props.onRemove(this.props.effect.id);
+    }
+    render () {
+        const {effect, intl} = this.props;
+        const parameters = AudioEffects.effectParameters[effect.name] || [];
+        return (
+            <div className={styles.stackedEffect}>
+                <div className={styles.stackedEffectName}>
+                    <FormattedMessage {...this.props.title} />
+                </div>
+                <div className={styles.effectParameters}>
+                    {parameters.map(parameter => (
+                        <EffectParameter
+                            key={parameter.id}
+                            effectId={effect.id}
+                            parameter={parameter}
+                            value={effect.parameters[parameter.id]}
+                            onChange={this.props.onChangeParameter}
+                        />
+                    ))}
+                </div>
+                <div className={styles.buttonGroup}>
+                    <button
+                        className={styles.button}
+                        disabled={this.props.isFirst}
+                        title={intl.formatMessage(messages.moveUp)}
+                        onClick={this.handleClickMoveUp}
+                    >
+                        {'↑'}
+                    </button>
+                    <button
+                        className={styles.button}
+                        disabled={this.props.isLast}
+                        title={intl.formatMessage(messages.moveDown)}
+                        onClick={this.handleClickMoveDown}
+                    >
+                        {'↓'}
+                    </button>
+                    <button
+                        className={styles.button}
+                        title={intl.formatMessage(messages.remove)}
+                        onClick={this.handleClickRemove}
+                    >
+                        {'×'}
+                    </button>
+                </div>
+            </div>
+        );
+    }
+}
+
+StackedEffect.propTypes = {
+    effect: PropTypes.shape({
+        id: PropTypes.number.isRequired,
+        name: PropTypes.string.isRequired,
+        parameters: PropTypes.objectOf(PropTypes.number).isRequired
+    }).isRequired,
+    intl: intlShape,
+    isFirst: PropTypes.bool.isRequired,
+    isLast: PropTypes.bool.isRequired,
+    title: PropTypes.shape({
+        id: PropTypes.string.isRequired,
+        defaultMessage: PropTypes.string.isRequired
+    }).isRequired,
+    onChangeParameter: PropTypes.func.isRequired,
+    onMove: PropTypes.func.isRequired,
+    onRemove: PropTypes.func.isRequired
+};
+
+export default StackedEffect;
@@ -74,6 +74,15 @@ const SpriteSelectorItem = props => (
                         />
                     </MenuItem>
                 ) : null }
+                {props.onExportCostumesButtonClick ? (
+                    <MenuItem onClick={props.onExportCostumesButtonClick}>
+                        <FormattedMessage
+                            defaultMessage="export costumes"
+                            description="Menu item to export all costumes of a sprite as a sprite sheet or animation"
+                            id="tw.spriteSelectorItem.exportCostumes"
+                        />
+                    </MenuItem>
+                ) : null}
                 {props.onRenameButtonClick ? (
                     <MenuItem onClick={props.onRenameButtonClick}>
                         <FormattedMessage
@@ -83,6 +92,24 @@ const SpriteSelectorItem = props => (
                         />
                     </MenuItem>
                 ) : null}
+                {props.onMoveButtonClick ? (
+                    <MenuItem onClick={props.onMoveButtonClick}>
+                        <FormattedMessage
+                            defaultMessage="move to folder"
+                            description="Menu item to move a backpack item into a folder"
+                            id="tw.spriteSelectorItem.move"
+                        />
+                    </MenuItem>
+                ) : null}
+                {props.onEditTagsButtonClick ? (
+                    <MenuItem onClick={props.onEditTagsButtonClick}>
+                        <FormattedMessage
+                            defaultMessage="edit tags"
+                            description="Menu item to change the tags of a backpack item"
+                            id="tw.spriteSelectorItem.editTags"
+                        />
+                    </MenuItem>
+                ) : null}
                 {props.onDeleteButtonClick ? (
                     <DangerousMenuItem onClick={props.onDeleteButtonClick}>
                         <FormattedMessage
@@ -108,7 +135,10 @@ SpriteSelectorItem.propTypes = {
     onClick: PropTypes.func,
     onDeleteButtonClick: PropTypes.func,
     onDuplicateButtonClick: PropTypes.func,
+    onEditTagsButtonClick: PropTypes.func,
     onExportButtonClick: PropTypes.func,
+    onExportCostumesButtonClick: PropTypes.func,
+    onMoveButtonClick: PropTypes.func,
     onRenameButtonClick: PropTypes.func,
     onMouseDown: PropTypes.func,
     onMouseEnter: PropTypes.func,
@@ -23,6 +23,7 @@ const SpriteList = function (props) {
         hoveredTarget,
         onDeleteSprite,
         onDuplicateSprite,
+        onExportCostumes,
         onExportSprite,
         onSelectSprite,
         onAddSortable,
@@ -94,6 +95,7 @@ const SpriteList = function (props) {
                                 onDeleteButtonClick={onDeleteSprite}
                                 onDuplicateButtonClick={onDuplicateSprite}
                                 onExportButtonClick={onExportSprite}
+                                onExportCostumesButtonClick={onExportCostumes}
                             />
                         </SortableAsset>
                     );
@@ -127,6 +129,7 @@ SpriteList.propTypes = {
     onAddSortable: PropTypes.func,
     onDeleteSprite: PropTypes.func,
     onDuplicateSprite: PropTypes.func,
+    onExportCostumes: PropTypes.func,
     onExportSprite: PropTypes.func,
     onRemoveSortable: PropTypes.func,
     onSelectSprite: PropTypes.func,
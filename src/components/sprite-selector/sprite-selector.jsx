@@ -55,6 +55,7 @@ const SpriteSelectorComponent = function (props) {
         onDrop,
         onDeleteSprite,
         onDuplicateSprite,
+        onExportCostumes,
         onExportSprite,
         onFileUploadClick,
         onNewSpriteClick,
@@ -109,6 +110,7 @@ const SpriteSelectorComponent = function (props) {
                 onDeleteSprite={onDeleteSprite}
                 onDrop={onDrop}
                 onDuplicateSprite={onDuplicateSprite}
+                onExportCostumes={onExportCostumes}
                 onExportSprite={onExportSprite}
                 onSelectSprite={onSelectSprite}
             />
@@ -163,6 +165,7 @@ SpriteSelectorComponent.propTypes = {
     onDeleteSprite: PropTypes.func,
     onDrop: PropTypes.func,
     onDuplicateSprite: PropTypes.func,
+    onExportCostumes: PropTypes.func,
     onExportSprite: PropTypes.func,
     onFileUploadClick: PropTypes.func,
     onNewSpriteClick: PropTypes.func,
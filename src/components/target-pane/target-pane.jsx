@@ -32,6 +32,7 @@ const TargetPane = ({
     onDeleteSprite,
     onDrop,
     onDuplicateSprite,
+    onExportCostumes,
     onExportSprite,
     onFileUploadClick,
     onNewSpriteClick,
@@ -70,6 +71,7 @@ const TargetPane = ({
             onDeleteSprite={onDeleteSprite}
             onDrop={onDrop}
             onDuplicateSprite={onDuplicateSprite}
+            onExportCostumes={onExportCostumes}
             onExportSprite={onExportSprite}
             onFileUploadClick={onFileUploadClick}
             onNewSpriteClick={onNewSpriteClick}
@@ -144,6 +146,7 @@ TargetPane.propTypes = {
     onDeleteSprite: PropTypes.func,
     onDrop: PropTypes.func,
     onDuplicateSprite: PropTypes.func,
+    onExportCostumes: PropTypes.func,
     onExportSprite: PropTypes.func,
     onFileUploadClick: PropTypes.func,
     onNewSpriteClick: PropTypes.func,
@@ -0,0 +1,88 @@
+import React from 'react';
+import PropTypes from 'prop-types';
+import bindAll from 'lodash.bindall';
+import classNames from 'classnames';
+import {FormattedMessage} from 'react-intl';
+import {
+    TYPE_QUEUED,
+    TYPE_RATE_LIMITED,
+    TYPE_RECEIVED,
+    TYPE_SENT,
+    TYPE_STATUS
+} from '../../lib/tw-cloud-inspector';
+import styles from './cloud-inspector-modal.css';
+
+const typeClassNames = {
+    [TYPE_SENT]: styles.sent,
+    [TYPE_RECEIVED]: styles.received,
+    [TYPE_QUEUED]: styles.queued,
+    [TYPE_RATE_LIMITED]: styles.rateLimited,
+    [TYPE_STATUS]: styles.status
+};
+
+const pad = (number, length) => `${number}`.padStart(length, '0');
+
+const formatTime = time => {
+    const date = new Date(time);
+    return `${pad(date.getHours(), 2)}:${pad(date.getMinutes(), 2)}:${pad(date.getSeconds(), 2)}.` +
+        `${pad(date.getMilliseconds(), 3)}`;
+};
+
+class CloudInspectorEntry extends React.Component {
+    constructor (props) {
+        super(props);
+        bindAll(this, [
+            'handleClickReplay'
+        ]);
+    }
+    shouldComponentUpdate (nextProps) {
+        // Entries never change, so this avoids re-rendering the whole log every time a message arrives.
+        return nextProps.entry !== this.props.entry || nextProps.canReplay !== this.props.canReplay;
+    }
+    handleClickReplay () {
+        this.props.onReplay(this.props.entry);
+    }
+    render () {
+        const entry = this.props.entry;
+        return (
+            <tr className={classNames(styles.entry, typeClassNames[entry.type])}>
+                <td className={styles.time}>{formatTime(entry.time)}</td>
+                <td>{entry.type}</td>
+                <td>{entry.name}</td>
+                <td className={styles.size}>{entry.type === TYPE_STATUS ? '' : entry.size}</td>
+                <td className={styles.text}>{entry.text}</td>
+                <td>
+                    {entry.type !== TYPE_STATUS && (
+                        <button
+                            className={styles.button}
+                            onClick={this.handleClickReplay}
+                            disabled={!this.props.canReplay}
+                        >
+                            <FormattedMessage
+                                defaultMessage="Replay"
+                                description="Button in cloud inspector to handle a logged message again"
+                                id="tw.cloudInspector.replay"
+                            />
+                        </button>
+                    )}
+                </td>
+            </tr>
+        );
+    }
+}
+
+CloudInspectorEntry.propTypes = {
+    entry: PropTypes.shape({
+        id: PropTypes.number.isRequired,
+        time: PropTypes.number.isRequired,
+        type: PropTypes.string.isRequired,
+        text: PropTypes.string.isRequired,
+        size: PropTypes.number.isRequired,
+        method: PropTypes.string,
+        name: PropTypes.string
+    }).isRequired,
+    canReplay: PropTypes.bool.isRequired,
+    onReplay: PropTypes.func.isRequired
+};
+
+export default CloudInspectorEntry;
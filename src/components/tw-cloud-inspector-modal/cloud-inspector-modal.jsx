@@ -0,0 +1,174 @@
+import {defineMessages, FormattedMessage, intlShape, injectIntl} from 'react-intl';
+import PropTypes from 'prop-types';
+import React from 'react';
+import Modal from '../../containers/modal.jsx';
+import CloudInspectorEntry from './cloud-inspector-entry.jsx';
+import {TYPE_RECEIVED, TYPE_SENT} from '../../lib/tw-cloud-inspector';
+import {CLOUD_SEND_INTERVAL} from '../../lib/tw-cloud-limits';
+import styles from './cloud-inspector-modal.css';
+
+const messages = defineMessages({
+    title: {
+        defaultMessage: 'Cloud Inspector',
+        description: 'Title of the modal that shows cloud variable traffic',
+        id: 'tw.cloudInspector.title'
+    },
+    filter: {
+        defaultMessage: 'Filter by variable name',
+        description: 'Placeholder of the text field used to filter the cloud inspector log',
+        id: 'tw.cloudInspector.filter'
+    },
+    incoming: {
+        defaultMessage: 'Receive from server',
+        description: 'Option in cloud inspector to inject a message as if the server sent it',
+        id: 'tw.cloudInspector.incoming'
+    },
+    outgoing: {
+        defaultMessage: 'Send to server',
+        description: 'Option in cloud inspector to inject a message as if the project sent it',
+        id: 'tw.cloudInspector.outgoing'
+    }
+});
+
+const CloudInspectorModal = props => (
+    <Modal
+        className={styles.modalContent}
+        onRequestClose={props.onClose}
+        contentLabel={props.intl.formatMessage(messages.title)}
+        id="cloudInspectorModal"
+    >
+        <div className={styles.body}>
+            <div className={styles.toolbar}>
+                <input
+                    className={styles.filter}
+                    type="text"
+                    value={props.filter}
+                    onChange={props.onChangeFilter}
+                    placeholder={props.intl.formatMessage(messages.filter)}
+                />
+                <span className={styles.summary}>
+                    <FormattedMessage
+                        // eslint-disable-next-line max-len
+                        defaultMessage="{sent} sent, {received} received, {rateLimited} rate limited (1 message per {interval}ms)"
+                        // eslint-disable-next-line max-len
+                        description="Summary of cloud variable traffic in the cloud inspector. Placeholders are replaced with numbers."
+                        id="tw.cloudInspector.summary"
+                        values={{
+                            sent: props.sentCount,
+                            received: props.receivedCount,
+                            rateLimited: props.rateLimitedCount,
+                            interval: CLOUD_SEND_INTERVAL
+                        }}
+                    />
+                </span>
+                <button
+                    className={styles.button}
+                    onClick={props.onClear}
+                >
+                    <FormattedMessage
+                        defaultMessage="Clear"
+                        description="Button in cloud inspector to remove every logged message"
+                        id="tw.cloudInspector.clear"
+                    />
+                </button>
+            </div>
+
+            <div className={styles.logContainer}>
+                {props.entries.length === 0 ? (
+                    <p className={styles.empty}>
+                        <FormattedMessage
+                            defaultMessage="Cloud variable messages will appear here."
+                            description="Appears in the cloud inspector when nothing has been logged"
+                            id="tw.cloudInspector.empty"
+                        />
+                    </p>
+                ) : (
+                    <table className={styles.log}>
+                        <tbody>
+                            {props.entries.map(entry => (
+                                <CloudInspectorEntry
+                                    key={entry.id}
+                                    entry={entry}
+                                    canReplay={props.canInject}
+                                    onReplay={props.onReplay}
+                                />
+                            ))}
+                        </tbody>
+                    </table>
+                )}
+            </div>
+
+            <div className={styles.inject}>
+                <select
+                    value={props.injectType}
+                    onChange={props.onChangeInjectType}
+                >
+                    <option value={TYPE_RECEIVED}>
+                        {props.intl.formatMessage(messages.incoming)}
+                    </option>
+                    <option value={TYPE_SENT}>
+                        {props.intl.formatMessage(messages.outgoing)}
+                    </option>
+                </select>
+                <input
+                    className={styles.injectText}
+                    type="text"
+                    value={props.injectText}
+                    onChange={props.onChangeInjectText}
+                    spellCheck={false}
+                />
+                <button
+                    className={styles.button}
+                    onClick={props.onInject}
+                    disabled={!props.canInject}
+                >
+                    <FormattedMessage
+                        defaultMessage="Inject"
+                        description="Button in cloud inspector to handle a message typed by the user"
+                        id="tw.cloudInspector.inject"
+                    />
+                </button>
+            </div>
+
+            {!props.canInject && (
+                <p className={styles.notConnected}>
+                    <FormattedMessage
+                        defaultMessage="Cloud variables are not connected, so messages cannot be injected or replayed."
+                        description="Appears in the cloud inspector when there is no cloud variable connection"
+                        id="tw.cloudInspector.notConnected"
+                    />
+                </p>
+            )}
+
+            {props.injectError && (
+                <p className={styles.error}>
+                    {props.injectError}
+                </p>
+            )}
+        </div>
+    </Modal>
+);
+
+CloudInspectorModal.propTypes = {
+    intl: intlShape,
+    entries: PropTypes.arrayOf(PropTypes.shape({
+        id: PropTypes.number.isRequired
+    })).isRequired,
+    sentCount: PropTypes.number.isRequired,
+    receivedCount: PropTypes.number.isRequired,
+    rateLimitedCount: PropTypes.number.isRequired,
+    filter: PropTypes.string.isRequired,
+    canInject: PropTypes.bool.isRequired,
+    injectType: PropTypes.string.isRequired,
+    injectText: PropTypes.string.isRequired,
+    injectError: PropTypes.string,
+    onChangeFilter: PropTypes.func.isRequired,
+    onChangeInjectType: PropTypes.func.isRequired,
+    onChangeInjectText: PropTypes.func.isRequired,
+    onClear: PropTypes.func.isRequired,
+    onClose: PropTypes.func.isRequired,
+    onInject: PropTypes.func.isRequired,
+    onReplay: PropTypes.func.isRequired
+};
+
+export default injectIntl(CloudInspectorModal);
@@ -0,0 +1,38 @@
+import React from 'react';
+import PropTypes from 'prop-types';
+import styles from './cloud-variable-badge.css';
+import bindAll from 'lodash.bindall';
+import classNames from 'classnames';
+
+class CloudBackendButton extends React.Component {
+    constructor (props) {
+        super(props);
+        bindAll(this, [
+            'handleClick'
+        ]);
+    }
+
+    handleClick () {
+        this.props.onClick(this.props.backend);
+    }
+
+    render () {
+        return (
+            <button
+                className={classNames(styles.server, {[styles.selected]: this.props.selected})}
+                onClick={this.handleClick}
+            >
+                {this.props.name}
+            </button>
+        );
+    }
+}
+
+CloudBackendButton.propTypes = {
+    backend: PropTypes.string,
+    name: PropTypes.node,
+    selected: PropTypes.bool,
+    onClick: PropTypes.func
+};
+
+export default CloudBackendButton;
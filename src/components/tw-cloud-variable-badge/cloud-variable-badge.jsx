@@ -3,8 +3,14 @@ import PropTypes from 'prop-types';
 import {FormattedMessage} from 'react-intl';
 import cloudIcon from './clouddata.svg';
 import CloudServerButton from './cloud-server-button.jsx';
+import CloudBackendButton from './cloud-backend-button.jsx';
 import styles from './cloud-variable-badge.css';
 import {APP_NAME} from '../../lib/brand';
+import {
+    CLOUD_BACKEND_WEBSOCKET,
+    CLOUD_BACKEND_BROADCAST_CHANNEL,
+    CLOUD_BACKEND_INDEXED_DB
+} from '../../lib/tw-cloud-backends';
 
 const hosts = [
     {
@@ -21,8 +27,42 @@ const hosts = [
     }
 ];
 
+const backends = [
+    {
+        backend: CLOUD_BACKEND_WEBSOCKET,
+        name: (
+            <FormattedMessage
+                defaultMessage="Server"
+                description="Cloud variable backend option that syncs variables with everyone using a server"
+                id="tw.cloudBackend.websocket"
+            />
+        )
+    },
+    {
+        backend: CLOUD_BACKEND_BROADCAST_CHANNEL,
+        name: (
+            <FormattedMessage
+                defaultMessage="Other tabs"
+                description="Cloud variable backend option that syncs variables between tabs in the same browser"
+                id="tw.cloudBackend.tabs"
+            />
+        )
+    },
+    {
+        backend: CLOUD_BACKEND_INDEXED_DB,
+        name: (
+            <FormattedMessage
+                defaultMessage="Save in browser"
+                description="Cloud variable backend option that saves variables in the browser without sharing them"
+                id="tw.cloudBackend.local"
+            />
+        )
+    }
+];
+
 const CloudVariableBadge = props => {
     const selectedHost = hosts.find(i => i.cloudHost === props.cloudHost);
+    const usingServer = props.cloudBackend === CLOUD_BACKEND_WEBSOCKET;
     return (
         <div className={styles.badge}>
             <div className={styles.title}>
@@ -63,7 +103,33 @@ const CloudVariableBadge = props => {
                 }}
             />
     
-            {selectedHost ? (
+            <div className={styles.servers}>
+                <FormattedMessage
+                    defaultMessage="Sync variables with:"
+                    // eslint-disable-next-line max-len
+                    description="Appears before a list of ways to store cloud variables: a server, other tabs, or the browser"
+                    id="tw.cloudBackends"
+                />
+                {backends.map(i => (
+                    <CloudBackendButton
+                        key={i.backend}
+                        name={i.name}
+                        backend={i.backend}
+                        selected={props.cloudBackend === i.backend}
+                        onClick={props.onSetCloudBackend}
+                    />
+                ))}
+            </div>
+
+            {!usingServer && (
+                <FormattedMessage
+                    defaultMessage="Cloud variables are not being shared with other people."
+                    description="Appears when cloud variables are only synced between tabs or saved in the browser"
+                    id="tw.cloudBackendLocal"
+                />
+            )}
+
+            {usingServer && (selectedHost ? (
                 <div className={styles.servers}>
                     <FormattedMessage
                         defaultMessage="Pick a server near you:"
@@ -90,9 +156,9 @@ const CloudVariableBadge = props => {
                         server: props.cloudHost
                     }}
                 />
-            )}
+            ))}
 
-            {selectedHost && selectedHost.provider && (
+            {usingServer && selectedHost && selectedHost.provider && (
                 <FormattedMessage
                     defaultMessage="Server provided by {name}."
                     description="Link to person/company who provided this cloud variable server"
@@ -127,7 +193,9 @@ const CloudVariableBadge = props => {
 };
 
 CloudVariableBadge.propTypes = {
+    cloudBackend: PropTypes.string,
     cloudHost: PropTypes.string,
+    onSetCloudBackend: PropTypes.func,
     onSetCloudHost: PropTypes.func,
     onOpenChangeUsername: PropTypes.func
 };
@@ -0,0 +1,213 @@
+import {defineMessages, FormattedMessage, intlShape, injectIntl} from 'react-intl';
+import PropTypes from 'prop-types';
+import React from 'react';
+import classNames from 'classnames';
+
+import Box from '../box/box.jsx';
+import Modal from '../../containers/modal.jsx';
+import {FORMAT_SHEET, FORMAT_GIF, FORMAT_APNG} from '../../lib/tw-costume-export';
+
+import styles from './costume-export-modal.css';
+
+const messages = defineMessages({
+    title: {
+        defaultMessage: 'Export costumes of {name}',
+        description: 'Title of the modal used to export all costumes of a sprite as one image',
+        id: 'tw.costumeExport.title'
+    },
+    scale1: {
+        defaultMessage: 'Same as on the stage',
+        description: 'Option to export costumes at the size they appear on the stage',
+        id: 'tw.costumeExport.scale1'
+    },
+    scale2: {
+        defaultMessage: 'Double (full bitmap resolution)',
+        description: 'Option to export costumes at twice their size on the stage',
+        id: 'tw.costumeExport.scale2'
+    }
+});
+
+const CostumeExportModal = props => (
+    <Modal
+        className={styles.modalContent}
+        contentLabel={props.intl.formatMessage(messages.title, {name: props.spriteName})}
+        id="costumeExportModal"
+        onRequestClose={props.onCancel}
+    >
+        <Box className={styles.body}>
+            <label className={styles.option}>
+                <input
+                    checked={props.format === FORMAT_SHEET}
+                    name="costumeExportFormat"
+                    type="radio"
+                    value={FORMAT_SHEET}
+                    onChange={props.onChangeFormat}
+                />
+                <FormattedMessage
+                    defaultMessage="Sprite sheet (PNG and JSON)"
+                    description="Option in the costume export modal to put every costume in one image with an atlas"
+                    id="tw.costumeExport.sheet"
+                />
+            </label>
+            <label className={classNames(styles.option, styles.indented)}>
+                <FormattedMessage
+                    defaultMessage="Columns:"
+                    description="Label for the number of costumes in each row of an exported sprite sheet"
+                    id="tw.costumeExport.columns"
+                />
+                <input
+                    className={styles.number}
+                    disabled={props.format !== FORMAT_SHEET}
+                    min="1"
+                    type="number"
+                    value={props.columns}
+                    onChange={props.onChangeColumns}
+                />
+            </label>
+            <label className={styles.option}>
+                <input
+                    checked={props.format === FORMAT_GIF}
+                    name="costumeExportFormat"
+                    type="radio"
+                    value={FORMAT_GIF}
+                    onChange={props.onChangeFormat}
+                />
+                <FormattedMessage
+                    defaultMessage="Animated GIF"
+                    description="Option in the costume export modal to export the costumes as an animated GIF"
+                    id="tw.costumeExport.gif"
+                />
+            </label>
+            <label className={styles.option}>
+                <input
+                    checked={props.format === FORMAT_APNG}
+                    name="costumeExportFormat"
+                    type="radio"
+                    value={FORMAT_APNG}
+                    onChange={props.onChangeFormat}
+                />
+                <FormattedMessage
+                    defaultMessage="Animated PNG"
+                    description="Option in the costume export modal to export the costumes as an animated PNG"
+                    id="tw.costumeExport.apng"
+                />
+            </label>
+            <label className={styles.option}>
+                <FormattedMessage
+                    defaultMessage="Frame delay:"
+                    description="Label for how long each costume is shown in an exported animation"
+                    id="tw.costumeExport.delay"
+                />
+                <input
+                    className={styles.number}
+                    min="10"
+                    step="10"
+                    type="number"
+                    value={props.delay}
+                    onChange={props.onChangeDelay}
+                />
+                <FormattedMessage
+                    defaultMessage="milliseconds"
+                    description="Label after the frame delay in the costume export modal"
+                    id="tw.costumeExport.milliseconds"
+                />
+            </label>
+            <label className={styles.option}>
+                <FormattedMessage
+                    defaultMessage="Size:"
+                    description="Label for the resolution of exported costumes"
+                    id="tw.costumeExport.scale"
+                />
+                <select
+                    className={styles.select}
+                    value={props.scale}
+                    onChange={props.onChangeScale}
+                >
+                    <option value={1}>{props.intl.formatMessage(messages.scale1)}</option>
+                    <option value={2}>{props.intl.formatMessage(messages.scale2)}</option>
+                </select>
+            </label>
+
+            {props.error ? (
+                <p className={styles.error}>
+                    <FormattedMessage
+                        defaultMessage="Could not export costumes: {error}"
+                        description="Error in the costume export modal"
+                        id="tw.costumeExport.error"
+                        values={{
+                            error: props.error
+                        }}
+                    />
+                </p>
+            ) : (
+                <p className={styles.info}>
+                    {props.frameWidth ? (
+                        <FormattedMessage
+                            // eslint-disable-next-line max-len
+                            defaultMessage="{count, plural, one {1 frame} other {# frames}} of {width}×{height} pixels, lined up by rotation center"
+                            description="Describes what the costume export modal will export"
+                            id="tw.costumeExport.info"
+                            values={{
+                                count: props.costumeCount,
+                                width: props.frameWidth,
+                                height: props.frameHeight
+                            }}
+                        />
+                    ) : (
+                        <FormattedMessage
+                            defaultMessage="Loading…"
+                            description="Shown in the costume export modal while costumes are loading"
+                            id="tw.costumeExport.loading"
+                        />
+                    )}
+                </p>
+            )}
+
+            <Box className={styles.buttonRow}>
+                <button
+                    className={styles.button}
+                    onClick={props.onCancel}
+                >
+                    <FormattedMessage
+                        defaultMessage="Cancel"
+                        description="Button in prompt for cancelling the dialog"
+                        id="gui.sliderPrompt.cancel"
+                    />
+                </button>
+                <button
+                    className={classNames(styles.button, styles.exportButton)}
+                    disabled={props.busy || !props.frameWidth}
+                    onClick={props.onExport}
+                >
+                    <FormattedMessage
+                        defaultMessage="Export"
+                        description="Button in the costume export modal to download the file"
+                        id="tw.costumeExport.export"
+                    />
+                </button>
+            </Box>
+        </Box>
+    </Modal>
+);
+
+CostumeExportModal.propTypes = {
+    busy: PropTypes.bool.isRequired,
+    columns: PropTypes.oneOfType([PropTypes.number, PropTypes.string]).isRequired,
+    costumeCount: PropTypes.number.isRequired,
+    delay: PropTypes.oneOfType([PropTypes.number, PropTypes.string]).isRequired,
+    error: PropTypes.string,
+    format: PropTypes.oneOf([FORMAT_SHEET, FORMAT_GIF, FORMAT_APNG]).isRequired,
+    frameHeight: PropTypes.number,
+    frameWidth: PropTypes.number,
+    intl: intlShape,
+    scale: PropTypes.number.isRequired,
+    spriteName: PropTypes.string.isRequired,
+    onCancel: PropTypes.func.isRequired,
+    onChangeColumns: PropTypes.func.isRequired,
+    onChangeDelay: PropTypes.func.isRequired,
+    onChangeFormat: PropTypes.func.isRequired,
+    onChangeScale: PropTypes.func.isRequired,
+    onExport: PropTypes.func.isRequired
+};
+
+export default injectIntl(CostumeExportModal);
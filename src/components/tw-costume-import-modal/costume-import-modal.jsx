@@ -0,0 +1,250 @@
+import {defineMessages, FormattedMessage, intlShape, injectIntl} from 'react-intl';
+import PropTypes from 'prop-types';
+import React from 'react';
+import classNames from 'classnames';
+
+import Box from '../box/box.jsx';
+import Modal from '../../containers/modal.jsx';
+import FancyCheckbox from '../tw-fancy-checkbox/checkbox.jsx';
+
+import styles from './costume-import-modal.css';
+
+const MODE_ANIMATION = 'animation';
+const MODE_FIRST_FRAME = 'first-frame';
+const MODE_GRID = 'grid';
+const MODE_ATLAS = 'atlas';
+
+const messages = defineMessages({
+    title: {
+        defaultMessage: 'Import {name}',
+        description: 'Title of the modal used to split an animated image or sprite sheet into costumes',
+        id: 'tw.costumeImport.title'
+    }
+});
+
+const CostumeImportModal = props => (
+    <Modal
+        className={styles.modalContent}
+        contentLabel={props.intl.formatMessage(messages.title, {name: props.fileName})}
+        id="costumeImportModal"
+        onRequestClose={props.onCancel}
+    >
+        <Box className={styles.body}>
+            {props.animated ? (
+                <React.Fragment>
+                    <label className={styles.option}>
+                        <input
+                            checked={props.mode === MODE_ANIMATION}
+                            name="costumeImportMode"
+                            type="radio"
+                            value={MODE_ANIMATION}
+                            onChange={props.onChangeMode}
+                        />
+                        <FormattedMessage
+                            defaultMessage="Every frame of the animation"
+                            description="Option in the costume import modal to import each frame of an animated image"
+                            id="tw.costumeImport.animation"
+                        />
+                    </label>
+                    <label className={styles.option}>
+                        <input
+                            checked={props.mode === MODE_FIRST_FRAME}
+                            name="costumeImportMode"
+                            type="radio"
+                            value={MODE_FIRST_FRAME}
+                            onChange={props.onChangeMode}
+                        />
+                        <FormattedMessage
+                            defaultMessage="Only the first frame"
+                            description="Option in the costume import modal to import one frame of an animated image"
+                            id="tw.costumeImport.firstFrame"
+                        />
+                    </label>
+                </React.Fragment>
+            ) : (
+                <React.Fragment>
+                    <label className={styles.option}>
+                        <input
+                            checked={props.mode === MODE_GRID}
+                            name="costumeImportMode"
+                            type="radio"
+                            value={MODE_GRID}
+                            onChange={props.onChangeMode}
+                        />
+                        <FormattedMessage
+                            defaultMessage="Split into a grid:"
+                            description="Option in the costume import modal to cut a sprite sheet into equal parts"
+                            id="tw.costumeImport.grid"
+                        />
+                        <input
+                            className={styles.number}
+                            disabled={props.mode !== MODE_GRID}
+                            min="1"
+                            type="number"
+                            value={props.columns}
+                            onChange={props.onChangeColumns}
+                        />
+                        <FormattedMessage
+                            defaultMessage="columns"
+                            description="Label after the number of columns in the costume import modal"
+                            id="tw.costumeImport.columns"
+                        />
+                        <input
+                            className={styles.number}
+                            disabled={props.mode !== MODE_GRID}
+                            min="1"
+                            type="number"
+                            value={props.rows}
+                            onChange={props.onChangeRows}
+                        />
+                        <FormattedMessage
+                            defaultMessage="rows"
+                            description="Label after the number of rows in the costume import modal"
+                            id="tw.costumeImport.rows"
+                        />
+                    </label>
+                    {props.atlasName && (
+                        <label className={styles.option}>
+                            <input
+                                checked={props.mode === MODE_ATLAS}
+                                name="costumeImportMode"
+                                type="radio"
+                                value={MODE_ATLAS}
+                                onChange={props.onChangeMode}
+                            />
+                            <FormattedMessage
+                                defaultMessage="Use the frames listed in {file}"
+                                description="Option to cut a sprite sheet using an atlas file. {file} is its name"
+                                id="tw.costumeImport.atlas"
+                                values={{
+                                    file: props.atlasName
+                                }}
+                            />
+                        </label>
+                    )}
+                    <label className={styles.option}>
+                        <FancyCheckbox
+                            className={styles.checkbox}
+                            checked={props.skipEmpty}
+                            onChange={props.onChangeSkipEmpty}
+                        />
+                        <FormattedMessage
+                            defaultMessage="Skip empty frames"
+                            description="Option in the costume import modal to leave out fully transparent frames"
+                            id="tw.costumeImport.skipEmpty"
+                        />
+                    </label>
+                </React.Fragment>
+            )}
+
+            {props.error ? (
+                <p className={styles.error}>
+                    <FormattedMessage
+                        defaultMessage="Could not read this image: {error}"
+                        description="Error in the costume import modal"
+                        id="tw.costumeImport.error"
+                        values={{
+                            error: props.error
+                        }}
+                    />
+                </p>
+            ) : (
+                <div className={styles.preview}>
+                    {props.loading ? (
+                        <div className={styles.loading}>
+                            <FormattedMessage
+                                defaultMessage="Loading…"
+                                description="Shown in the costume import modal while the image is being split"
+                                id="tw.costumeImport.loading"
+                            />
+                        </div>
+                    ) : props.frames.map((frame, index) => (
+                        <div
+                            className={styles.frame}
+                            key={index}
+                        >
+                            <img
+                                className={styles.frameImage}
+                                draggable={false}
+                                src={frame.dataURL}
+                            />
+                            <span className={styles.frameName}>{frame.name}</span>
+                        </div>
+                    ))}
+                </div>
+            )}
+
+            <Box className={styles.buttonRow}>
+                <button
+                    className={styles.button}
+                    onClick={props.onCancel}
+                >
+                    <FormattedMessage
+                        defaultMessage="Cancel"
+                        description="Button in prompt for cancelling the dialog"
+                        id="gui.sliderPrompt.cancel"
+                    />
+                </button>
+                {props.onImportUnchanged && (
+                    <button
+                        className={styles.button}
+                        onClick={props.onImportUnchanged}
+                    >
+                        <FormattedMessage
+                            defaultMessage="Import as one costume"
+                            description="Button in the costume import modal to import the image without splitting it"
+                            id="tw.costumeImport.importUnchanged"
+                        />
+                    </button>
+                )}
+                <button
+                    className={classNames(styles.button, styles.importButton)}
+                    disabled={props.loading || props.frames.length === 0}
+                    onClick={props.onImport}
+                >
+                    <FormattedMessage
+                        defaultMessage="{count, plural, one {Import 1 costume} other {Import # costumes}}"
+                        description="Button in the costume import modal to add the frames shown in the preview"
+                        id="tw.costumeImport.import"
+                        values={{
+                            count: props.frames.length
+                        }}
+                    />
+                </button>
+            </Box>
+        </Box>
+    </Modal>
+);
+
+CostumeImportModal.propTypes = {
+    animated: PropTypes.bool.isRequired,
+    atlasName: PropTypes.string,
+    columns: PropTypes.oneOfType([PropTypes.number, PropTypes.string]).isRequired,
+    error: PropTypes.string,
+    fileName: PropTypes.string.isRequired,
+    frames: PropTypes.arrayOf(PropTypes.shape({
+        name: PropTypes.string,
+        dataURL: PropTypes.string
+    })).isRequired,
+    intl: intlShape,
+    loading: PropTypes.bool.isRequired,
+    mode: PropTypes.oneOf([MODE_ANIMATION, MODE_FIRST_FRAME, MODE_GRID, MODE_ATLAS]).isRequired,
+    rows: PropTypes.oneOfType([PropTypes.number, PropTypes.string]).isRequired,
+    skipEmpty: PropTypes.bool.isRequired,
+    onCancel: PropTypes.func.isRequired,
+    onChangeColumns: PropTypes.func.isRequired,
+    onChangeMode: PropTypes.func.isRequired,
+    onChangeRows: PropTypes.func.isRequired,
+    onChangeSkipEmpty: PropTypes.func.isRequired,
+    onImport: PropTypes.func.isRequired,
+    onImportUnchanged: PropTypes.func
+};
+
+export {
+    MODE_ANIMATION,
+    MODE_FIRST_FRAME,
+    MODE_GRID,
+    MODE_ATLAS
+};
+
+export default injectIntl(CostumeImportModal);
@@ -4,6 +4,7 @@ import React from 'react';
 import Box from '../box/box.jsx';
 import Modal from '../../containers/modal.jsx';
 import FileInput from './file-input.jsx';
+import InstalledExtension from './installed-extension.jsx';
 import styles from './custom-extension-modal.css';
 import FancyCheckbox from '../tw-fancy-checkbox/checkbox.jsx';
 import {APP_NAME} from '../../lib/brand';
@@ -69,131 +70,201 @@ const CustomExtensionModal = props => (
                         id="tw.customExtensionModal.text"
                     />
                 </div>
+                <div
+                    className={styles.typeSelectorButton}
+                    data-active={props.type === 'installed'}
+                    onClick={props.onSwitchToInstalled}
+                    tabIndex={0}
+                >
+                    <FormattedMessage
+                        defaultMessage="Installed"
+                        // eslint-disable-next-line max-len
+                        description="Button to choose to load an extension that was loaded before. Not much space, so keep this short."
+                        id="tw.customExtensionModal.installed"
+                    />
+                </div>
             </div>
 
-            {props.type === 'url' ? (
+            {props.type === 'installed' ? (
                 <React.Fragment key={props.type}>
-                    <p>
-                        <FormattedMessage
-                            defaultMessage="Enter the extension's URL:"
-                            description="Label that appears when loading a custom extension from a URL"
-                            id="tw.customExtensionModal.promptURL"
-                        />
-                    </p>
-                    <input
-                        type="text"
-                        className={styles.urlInput}
-                        value={props.url}
-                        onChange={props.onChangeURL}
-                        onKeyDown={props.onKeyDown}
-                        placeholder="https://extensions.turbowarp.org/..."
-                        autoFocus
-                    />
-                </React.Fragment>
-            ) : props.type === 'file' ? (
-                <React.Fragment key={props.type}>
-                    <p>
-                        <FormattedMessage
-                            defaultMessage="Select or drop extension JavaScript files:"
-                            description="Label that appears when loading a custom extension from one or more files"
-                            id="tw.customExtensionModal.promptFile"
-                        />
-                    </p>
-                    <FileInput
-                        accept=".js"
-                        onChange={props.onChangeFiles}
-                        files={props.files}
-                    />
+                    {props.installedExtensions.length === 0 ? (
+                        <p>
+                            <FormattedMessage
+                                // eslint-disable-next-line max-len
+                                defaultMessage="Extensions you load from a URL, file, or text will appear here so you can load them again later."
+                                description="Message that appears when no custom extensions have been installed"
+                                id="tw.customExtensionModal.noneInstalled"
+                            />
+                        </p>
+                    ) : (
+                        <React.Fragment>
+                            <div className={styles.installedExtensions}>
+                                {props.installedExtensions.map(extension => (
+                                    <InstalledExtension
+                                        key={extension.key}
+                                        extension={extension}
+                                        changed={props.changedExtensions.includes(extension.key)}
+                                        onLoad={props.onLoadInstalled}
+                                        onChangePinned={props.onChangePinned}
+                                        onUninstall={props.onUninstall}
+                                    />
+                                ))}
+                            </div>
+                            <div className={styles.buttonRow}>
+                                <button
+                                    className={styles.loadButton}
+                                    onClick={props.onCheckForUpdates}
+                                    disabled={props.checkingForUpdates}
+                                >
+                                    {props.checkingForUpdates ? (
+                                        <FormattedMessage
+                                            defaultMessage="Checking…"
+                                            // eslint-disable-next-line max-len
+                                            description="Button that checks if the code of installed custom extensions has changed, while it is checking"
+                                            id="tw.customExtensionModal.checkingForUpdates"
+                                        />
+                                    ) : (
+                                        <FormattedMessage
+                                            defaultMessage="Check for changes"
+                                            // eslint-disable-next-line max-len
+                                            description="Button that checks if the code of installed custom extensions has changed"
+                                            id="tw.customExtensionModal.checkForUpdates"
+                                        />
+                                    )}
+                                </button>
+                            </div>
+                        </React.Fragment>
+                    )}
                 </React.Fragment>
             ) : (
-                <React.Fragment key={props.type}>
-                    <p>
-                        <FormattedMessage
-                            defaultMessage="Paste the extension's JavaScript source code:"
-                            description="Label that appears when loading a custom extension from a text input"
-                            id="tw.customExtensionModal.promptText"
-                        />
-                    </p>
-                    <textarea
-                        className={styles.textCodeInput}
-                        placeholder={'class Extension {\n  // ...\n}\nScratch.extensions.register(new Extension());'}
-                        value={props.text}
-                        onChange={props.onChangeText}
-                        autoFocus
-                        spellCheck={false}
-                    />
-                </React.Fragment>
-            )}
-
-            {props.onChangeUnsandboxed ? (
                 <React.Fragment>
-                    <label className={styles.unsandboxedContainer}>
-                        <FancyCheckbox
-                            className={styles.unsandboxedCheckbox}
-                            checked={props.unsandboxed}
-                            onChange={props.onChangeUnsandboxed}
-                        />
-                        <FormattedMessage
-                            defaultMessage="Run without sandbox"
-                            description="Message that appears in custom extension prompt"
-                            id="tw.customExtensionModal.unsandboxed"
-                        />
-                    </label>
-                    {props.unsandboxed && (
-                        <p className={styles.unsandboxedWarning}>
-                            <FormattedMessage
-                                // eslint-disable-next-line max-len
-                                defaultMessage="Loading extensions without the sandbox is dangerous and should not be enabled if you don't know what you're doing."
-                                description="Warning that appears when disabling extension security sandbox"
-                                id="tw.customExtensionModal.unsandboxedWarning1"
+                    {props.type === 'url' ? (
+                        <React.Fragment key={props.type}>
+                            <p>
+                                <FormattedMessage
+                                    defaultMessage="Enter the extension's URL:"
+                                    description="Label that appears when loading a custom extension from a URL"
+                                    id="tw.customExtensionModal.promptURL"
+                                />
+                            </p>
+                            <input
+                                type="text"
+                                className={styles.urlInput}
+                                value={props.url}
+                                onChange={props.onChangeURL}
+                                onKeyDown={props.onKeyDown}
+                                placeholder="https://extensions.turbowarp.org/..."
+                                autoFocus
                             />
-                            <FormattedMessage
+                        </React.Fragment>
+                    ) : props.type === 'file' ? (
+                        <React.Fragment key={props.type}>
+                            <p>
+                                <FormattedMessage
+                                    defaultMessage="Select or drop extension JavaScript files:"
+                                    // eslint-disable-next-line max-len
+                                    description="Label that appears when loading a custom extension from one or more files"
+                                    id="tw.customExtensionModal.promptFile"
+                                />
+                            </p>
+                            <FileInput
+                                accept=".js"
+                                onChange={props.onChangeFiles}
+                                files={props.files}
+                            />
+                        </React.Fragment>
+                    ) : (
+                        <React.Fragment key={props.type}>
+                            <p>
+                                <FormattedMessage
+                                    defaultMessage="Paste the extension's JavaScript source code:"
+                                    description="Label that appears when loading a custom extension from a text input"
+                                    id="tw.customExtensionModal.promptText"
+                                />
+                            </p>
+                            <textarea
+                                className={styles.textCodeInput}
                                 // eslint-disable-next-line max-len
-                                defaultMessage="Unsandboxed extensions can corrupt your project, delete your settings, phish for passwords, and other bad things. The {APP_NAME} developers are not responsible for any resulting issues."
-                                description="Warning that appears when disabling extension security sandbox"
-                                id="tw.customExtensionModal.unsandboxedWarning2"
-                                values={{
-                                    APP_NAME
-                                }}
+                                placeholder={'class Extension {\n  // ...\n}\nScratch.extensions.register(new Extension());'}
+                                value={props.text}
+                                onChange={props.onChangeText}
+                                autoFocus
+                                spellCheck={false}
                             />
-                        </p>
+                        </React.Fragment>
+                    )}
+
+                    {props.onChangeUnsandboxed ? (
+                        <React.Fragment>
+                            <label className={styles.unsandboxedContainer}>
+                                <FancyCheckbox
+                                    className={styles.unsandboxedCheckbox}
+                                    checked={props.unsandboxed}
+                                    onChange={props.onChangeUnsandboxed}
+                                />
+                                <FormattedMessage
+                                    defaultMessage="Run without sandbox"
+                                    description="Message that appears in custom extension prompt"
+                                    id="tw.customExtensionModal.unsandboxed"
+                                />
+                            </label>
+                            {props.unsandboxed && (
+                                <p className={styles.unsandboxedWarning}>
+                                    <FormattedMessage
+                                        // eslint-disable-next-line max-len
+                                        defaultMessage="Loading extensions without the sandbox is dangerous and should not be enabled if you don't know what you're doing."
+                                        description="Warning that appears when disabling extension security sandbox"
+                                        id="tw.customExtensionModal.unsandboxedWarning1"
+                                    />
+                                    <FormattedMessage
+                                        // eslint-disable-next-line max-len
+                                        defaultMessage="Unsandboxed extensions can corrupt your project, delete your settings, phish for passwords, and other bad things. The {APP_NAME} developers are not responsible for any resulting issues."
+                                        description="Warning that appears when disabling extension security sandbox"
+                                        id="tw.customExtensionModal.unsandboxedWarning2"
+                                        values={{
+                                            APP_NAME
+                                        }}
+                                    />
+                                </p>
+                            )}
+                        </React.Fragment>
+                    ) : (
+                        props.unsandboxed ? (
+                            <p className={styles.trustedExtension}>
+                                <FormattedMessage
+                                    // eslint-disable-next-line max-len
+                                    defaultMessage="This extension will be loaded without the sandbox because it is from a trusted source."
+                                    description="Message that appears in custom extension prompt"
+                                    id="tw.customExtensionModal.trusted"
+                                />
+                            </p>
+                        ) : (
+                            <p>
+                                <FormattedMessage
+                                    // eslint-disable-next-line max-len
+                                    defaultMessage="Extensions from untrusted URLs will always be loaded with the sandbox for security."
+                                    description="Message that appears in custom extension prompt"
+                                    id="tw.customExtensionModal.untrusted"
+                                />
+                            </p>
+                        )
                     )}
+
+                    <div className={styles.buttonRow}>
+                        <button
+                            className={styles.loadButton}
+                            onClick={props.onLoadExtension}
+                            disabled={!props.canLoadExtension}
+                        >
+                            <FormattedMessage
+                                defaultMessage="Load"
+                                description="Button that loads the given custom extension"
+                                id="tw.customExtensionModal.load"
+                            />
+                        </button>
+                    </div>
                 </React.Fragment>
-            ) : (
-                props.unsandboxed ? (
-                    <p className={styles.trustedExtension}>
-                        <FormattedMessage
-                            // eslint-disable-next-line max-len
-                            defaultMessage="This extension will be loaded without the sandbox because it is from a trusted source."
-                            description="Message that appears in custom extension prompt"
-                            id="tw.customExtensionModal.trusted"
-                        />
-                    </p>
-                ) : (
-                    <p>
-                        <FormattedMessage
-                            // eslint-disable-next-line max-len
-                            defaultMessage="Extensions from untrusted URLs will always be loaded with the sandbox for security."
-                            description="Message that appears in custom extension prompt"
-                            id="tw.customExtensionModal.untrusted"
-                        />
-                    </p>
-                )
             )}
-
-            <div className={styles.buttonRow}>
-                <button
-                    className={styles.loadButton}
-                    onClick={props.onLoadExtension}
-                    disabled={!props.canLoadExtension}
-                >
-                    <FormattedMessage
-                        defaultMessage="Load"
-                        description="Button that loads the given custom extension"
-                        id="tw.customExtensionModal.load"
-                    />
-                </button>
-            </div>
         </Box>
     </Modal>
 );
@@ -201,10 +272,11 @@ const CustomExtensionModal = props => (
 CustomExtensionModal.propTypes = {
     intl: intlShape,
     canLoadExtension: PropTypes.bool.isRequired,
-    type: PropTypes.oneOf(['url', 'file', 'text']).isRequired,
+    type: PropTypes.oneOf(['url', 'file', 'text', 'installed']).isRequired,
     onSwitchToFile: PropTypes.func.isRequired,
     onSwitchToURL: PropTypes.func.isRequired,
     onSwitchToText: PropTypes.func.isRequired,
+    onSwitchToInstalled: PropTypes.func.isRequired,
     files: PropTypes.instanceOf(FileList),
     onChangeFiles: PropTypes.func.isRequired,
     onDragOver: PropTypes.func.isRequired,
@@ -218,6 +290,13 @@ CustomExtensionModal.propTypes = {
     unsandboxed: PropTypes.bool.isRequired,
     onChangeUnsandboxed: PropTypes.func,
     onLoadExtension: PropTypes.func.isRequired,
+    installedExtensions: PropTypes.arrayOf(PropTypes.object).isRequired,
+    changedExtensions: PropTypes.arrayOf(PropTypes.string).isRequired,
+    checkingForUpdates: PropTypes.bool.isRequired,
+    onLoadInstalled: PropTypes.func.isRequired,
+    onChangePinned: PropTypes.func.isRequired,
+    onUninstall: PropTypes.func.isRequired,
+    onCheckForUpdates: PropTypes.func.isRequired,
     onClose: PropTypes.func.isRequired
 };
 
@@ -0,0 +1,121 @@
+import React from 'react';
+import PropTypes from 'prop-types';
+import {FormattedMessage} from 'react-intl';
+import bindAll from 'lodash.bindall';
+import FancyCheckbox from '../tw-fancy-checkbox/checkbox.jsx';
+import styles from './custom-extension-modal.css';
+
+class InstalledExtension extends React.Component {
+    constructor (props) {
+        super(props);
+        bindAll(this, [
+            'handleClickLoad',
+            'handleChangePinned',
+            'handleClickUninstall'
+        ]);
+    }
+
+    handleClickLoad () {
+        this.props.onLoad(this.props.extension.key);
+    }
+
+    handleChangePinned (e) {
+        this.props.onChangePinned(this.props.extension.key, e.target.checked);
+    }
+
+    handleClickUninstall () {
+        this.props.onUninstall(this.props.extension.key);
+    }
+
+    render () {
+        const extension = this.props.extension;
+        return (
+            <div className={styles.installedExtension}>
+                <div className={styles.installedExtensionDetails}>
+                    <div className={styles.installedExtensionName}>
+                        {extension.name}
+                        {extension.version && (
+                            <span className={styles.installedExtensionVersion}>
+                                {extension.version}
+                            </span>
+                        )}
+                        {this.props.changed && (
+                            <span className={styles.installedExtensionChanged}>
+                                <FormattedMessage
+                                    defaultMessage="Changed"
+                                    // eslint-disable-next-line max-len
+                                    description="Label next to an installed custom extension whose code at its URL is different from when it was installed"
+                                    id="tw.customExtensionModal.changed"
+                                />
+                            </span>
+                        )}
+                    </div>
+                    <div
+                        className={styles.installedExtensionSource}
+                        title={extension.url || extension.key}
+                    >
+                        {extension.url || extension.name}
+                    </div>
+                    {extension.hash && (
+                        <div className={styles.installedExtensionHash}>
+                            {extension.hash.substring(0, 12)}
+                        </div>
+                    )}
+                </div>
+                {extension.url && (
+                    <label className={styles.installedExtensionPin}>
+                        <FancyCheckbox
+                            checked={extension.pinned}
+                            onChange={this.handleChangePinned}
+                            disabled={extension.code === null}
+                        />
+                        <FormattedMessage
+                            defaultMessage="Keep this version"
+                            // eslint-disable-next-line max-len
+                            description="Checkbox next to an installed custom extension. When checked, the saved code is used instead of downloading it again."
+                            id="tw.customExtensionModal.pin"
+                        />
+                    </label>
+                )}
+                <button
+                    className={styles.installedExtensionButton}
+                    onClick={this.handleClickLoad}
+                >
+                    <FormattedMessage
+                        defaultMessage="Load"
+                        description="Button that loads the given custom extension"
+                        id="tw.customExtensionModal.load"
+                    />
+                </button>
+                <button
+                    className={styles.installedExtensionButton}
+                    onClick={this.handleClickUninstall}
+                >
+                    <FormattedMessage
+                        defaultMessage="Remove"
+                        description="Button that removes a custom extension from the list of installed extensions"
+                        id="tw.customExtensionModal.uninstall"
+                    />
+                </button>
+            </div>
+        );
+    }
+}
+
+InstalledExtension.propTypes = {
+    extension: PropTypes.shape({
+        key: PropTypes.string.isRequired,
+        url: PropTypes.string,
+        name: PropTypes.string.isRequired,
+        version: PropTypes.string,
+        hash: PropTypes.string,
+        code: PropTypes.string,
+        pinned: PropTypes.bool.isRequired
+    }).isRequired,
+    changed: PropTypes.bool.isRequired,
+    onLoad: PropTypes.func.isRequired,
+    onChangePinned: PropTypes.func.isRequired,
+    onUninstall: PropTypes.func.isRequired
+};
+
+export default InstalledExtension;
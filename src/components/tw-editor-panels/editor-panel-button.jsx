@@ -0,0 +1,39 @@
+import classNames from 'classnames';
+import PropTypes from 'prop-types';
+import React from 'react';
+import styles from './editor-panels.css';
+
+const EditorPanelButton = ({className, panel, isOpen, onToggle}) => (
+    <li
+        className={classNames(className, styles.button, panel.className, {
+            [styles.open]: isOpen
+        })}
+        role="button"
+        tabIndex="0"
+        aria-pressed={isOpen}
+        // eslint-disable-next-line react/jsx-no-bind
+        onClick={() => onToggle(panel)}
+    >
+        {panel.iconURL && (
+            <img
+                draggable={false}
+                src={panel.iconURL}
+            />
+        )}
+        {panel.title}
+    </li>
+);
+
+EditorPanelButton.propTypes = {
+    className: PropTypes.string,
+    isOpen: PropTypes.bool.isRequired,
+    panel: PropTypes.shape({
+        id: PropTypes.string.isRequired,
+        title: PropTypes.string.isRequired,
+        iconURL: PropTypes.string,
+        className: PropTypes.string.isRequired
+    }).isRequired,
+    onToggle: PropTypes.func.isRequired
+};
+
+export default EditorPanelButton;
@@ -0,0 +1,126 @@
+import bindAll from 'lodash.bindall';
+import classNames from 'classnames';
+import PropTypes from 'prop-types';
+import React from 'react';
+import CloseButton from '../close-button/close-button.jsx';
+import DragRecognizer from '../../lib/drag-recognizer';
+import {MIN_WIDTH} from '../../lib/tw-editor-panels';
+import styles from './editor-panels.css';
+
+class EditorPanelDock extends React.Component {
+    constructor (props) {
+        super(props);
+        bindAll(this, [
+            'handleClose',
+            'handleResizeStart',
+            'handleResizeMove',
+            'handleResizeEnd',
+            'setContentRef'
+        ]);
+        this.state = {
+            // Only set while the user is dragging the resize handle
+            resizingWidth: null
+        };
+        this.dragRecognizer = new DragRecognizer({
+            onDrag: this.handleResizeMove,
+            onDragEnd: this.handleResizeEnd,
+            touchDragAngle: 90,
+            distanceThreshold: 0
+        });
+    }
+    componentDidMount () {
+        this.mountContent();
+    }
+    componentDidUpdate () {
+        this.mountContent();
+    }
+    componentWillUnmount () {
+        this.dragRecognizer.reset();
+    }
+    mountContent () {
+        // The content element belongs to the addon and must survive re-renders, so we move it
+        // in ourselves instead of letting React manage it.
+        const element = this.props.panel.element;
+        if (this.contentRef && element.parentNode !== this.contentRef) {
+            while (this.contentRef.firstChild) {
+                this.contentRef.removeChild(this.contentRef.firstChild);
+            }
+            this.contentRef.appendChild(element);
+        }
+    }
+    handleClose () {
+        this.props.onToggle(this.props.panel);
+    }
+    handleResizeStart (e) {
+        this.initialWidth = this.props.width;
+        this.dragRecognizer.start(e);
+        e.preventDefault();
+    }
+    handleResizeMove (currentOffset, initialOffset) {
+        // The dock is at the end of the editor, so its resize handle is on the side closest to the code area.
+        const dx = currentOffset.x - initialOffset.x;
+        const width = this.initialWidth + (this.props.isRtl ? dx : -dx);
+        const maxWidth = Math.max(MIN_WIDTH, window.innerWidth / 2);
+        this.setState({
+            resizingWidth: Math.max(MIN_WIDTH, Math.min(maxWidth, width))
+        });
+    }
+    handleResizeEnd () {
+        if (this.state.resizingWidth !== null) {
+            this.props.onResize(this.state.resizingWidth);
+            this.setState({
+                resizingWidth: null
+            });
+        }
+    }
+    setContentRef (contentRef) {
+        this.contentRef = contentRef;
+    }
+    render () {
+        const panel = this.props.panel;
+        const width = this.state.resizingWidth === null ? this.props.width : this.state.resizingWidth;
+        return (
+            <div
+                className={classNames(styles.dock, panel.className, {
+                    [styles.resizing]: this.state.resizingWidth !== null
+                })}
+                style={{
+                    width: `${width}px`
+                }}
+            >
+                <div
+                    className={styles.resizeHandle}
+                    onMouseDown={this.handleResizeStart}
+                    onTouchStart={this.handleResizeStart}
+                />
+                <div className={styles.header}>
+                    <div className={styles.title}>
+                        {panel.title}
+                    </div>
+                    <CloseButton
+                        size={CloseButton.SIZE_SMALL}
+                        onClick={this.handleClose}
+                    />
+                </div>
+                <div
+                    className={styles.content}
+                    ref={this.setContentRef}
+                />
+            </div>
+        );
+    }
+}
+
+EditorPanelDock.propTypes = {
+    isRtl: PropTypes.bool,
+    panel: PropTypes.shape({
+        title: PropTypes.string.isRequired,
+        className: PropTypes.string.isRequired,
+        element: PropTypes.instanceOf(HTMLElement).isRequired
+    }).isRequired,
+    width: PropTypes.number.isRequired,
+    onResize: PropTypes.func.isRequired,
+    onToggle: PropTypes.func.isRequired
+};
+
+export default EditorPanelDock;
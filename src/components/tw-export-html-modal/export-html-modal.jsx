@@ -0,0 +1,348 @@
+import {defineMessages, FormattedMessage, intlShape, injectIntl} from 'react-intl';
+import PropTypes from 'prop-types';
+import React from 'react';
+import Modal from '../../containers/modal.jsx';
+import FancyCheckbox from '../tw-fancy-checkbox/checkbox.jsx';
+import Input from '../forms/input.jsx';
+import BufferedInputHOC from '../forms/buffered-input-hoc.jsx';
+import {
+    CLOUD_BACKEND_BROADCAST_CHANNEL,
+    CLOUD_BACKEND_INDEXED_DB,
+    CLOUD_BACKEND_WEBSOCKET
+} from '../../lib/tw-cloud-backends';
+import {CLOUD_NONE} from '../../lib/tw-standalone-html';
+import styles from './export-html-modal.css';
+
+/* eslint-disable react/no-multi-comp */
+
+const BufferedInput = BufferedInputHOC(Input);
+
+const messages = defineMessages({
+    title: {
+        defaultMessage: 'Export as HTML',
+        description: 'Title of the modal used to save the project as a standalone HTML file',
+        id: 'tw.exportHTML.title'
+    },
+    cloudNone: {
+        defaultMessage: 'Disabled',
+        description: 'Option in Export as HTML for cloud variables to act like normal variables',
+        id: 'tw.exportHTML.cloudNone'
+    },
+    cloudLocal: {
+        defaultMessage: 'Saved in the browser',
+        description: 'Option in Export as HTML for cloud variables to be saved on the computer that runs the file',
+        id: 'tw.exportHTML.cloudLocal'
+    },
+    cloudTabs: {
+        defaultMessage: 'Synced between tabs',
+        description: 'Option in Export as HTML for cloud variables to sync between copies open in the same browser',
+        id: 'tw.exportHTML.cloudTabs'
+    },
+    cloudServer: {
+        defaultMessage: 'Cloud server',
+        description: 'Option in Export as HTML for cloud variables to connect to a cloud variable server',
+        id: 'tw.exportHTML.cloudServer'
+    }
+});
+
+const Header = props => (
+    <div className={styles.header}>
+        {props.children}
+        <div className={styles.divider} />
+    </div>
+);
+Header.propTypes = {
+    children: PropTypes.node
+};
+
+const Checkbox = props => (
+    <label className={styles.label}>
+        <FancyCheckbox
+            className={styles.checkbox}
+            checked={props.checked}
+            onChange={props.onChange}
+        />
+        {props.children}
+    </label>
+);
+Checkbox.propTypes = {
+    checked: PropTypes.bool.isRequired,
+    children: PropTypes.node,
+    onChange: PropTypes.func.isRequired
+};
+
+const ExportHTMLModal = props => (
+    <Modal
+        className={styles.modalContent}
+        onRequestClose={props.onClose}
+        contentLabel={props.intl.formatMessage(messages.title)}
+        id="exportHTMLModal"
+    >
+        <div className={styles.body}>
+            <p className={styles.description}>
+                <FormattedMessage
+                    // eslint-disable-next-line max-len
+                    defaultMessage="Creates a single HTML file that runs this project in any browser, even without an internet connection."
+                    description="Description at the top of the Export as HTML modal"
+                    id="tw.exportHTML.description"
+                />
+            </p>
+
+            <Header>
+                <FormattedMessage
+                    defaultMessage="Page"
+                    description="Header in Export as HTML for the title and size of the page"
+                    id="tw.exportHTML.page"
+                />
+            </Header>
+            <label className={styles.label}>
+                <FormattedMessage
+                    defaultMessage="Title:"
+                    description="Label of the page title input in Export as HTML"
+                    id="tw.exportHTML.pageTitle"
+                />
+                <input
+                    className={styles.textInput}
+                    type="text"
+                    value={props.options.title}
+                    onChange={props.onChangeTitle}
+                />
+            </label>
+            <div className={styles.label}>
+                <FormattedMessage
+                    defaultMessage="Stage size:"
+                    description="Label of the stage width and height inputs in Export as HTML"
+                    id="tw.exportHTML.stageSize"
+                />
+                <BufferedInput
+                    className={styles.sizeInput}
+                    value={props.options.width}
+                    onSubmit={props.onChangeWidth}
+                    type="number"
+                    min="1"
+                    step="1"
+                />
+                <span>{'×'}</span>
+                <BufferedInput
+                    className={styles.sizeInput}
+                    value={props.options.height}
+                    onSubmit={props.onChangeHeight}
+                    type="number"
+                    min="1"
+                    step="1"
+                />
+            </div>
+
+            <Header>
+                <FormattedMessage
+                    defaultMessage="Loading screen"
+                    description="Header in Export as HTML for options about what appears while the project loads"
+                    id="tw.exportHTML.loadingScreen"
+                />
+            </Header>
+            <Checkbox
+                checked={props.options.loadingScreen.progressBar}
+                onChange={props.onChangeProgressBar}
+            >
+                <FormattedMessage
+                    defaultMessage="Show progress bar"
+                    description="Option in Export as HTML"
+                    id="tw.exportHTML.progressBar"
+                />
+            </Checkbox>
+            <label className={styles.label}>
+                <FormattedMessage
+                    defaultMessage="Text:"
+                    description="Label of the input for text shown while the project loads in Export as HTML"
+                    id="tw.exportHTML.loadingText"
+                />
+                <input
+                    className={styles.textInput}
+                    type="text"
+                    value={props.options.loadingScreen.text}
+                    onChange={props.onChangeLoadingText}
+                />
+            </label>
+            <label className={styles.label}>
+                <FormattedMessage
+                    defaultMessage="Background color:"
+                    description="Label of the page background color input in Export as HTML"
+                    id="tw.exportHTML.background"
+                />
+                <input
+                    type="color"
+                    value={props.options.loadingScreen.background}
+                    onChange={props.onChangeBackground}
+                />
+            </label>
+
+            <Header>
+                <FormattedMessage
+                    defaultMessage="Controls"
+                    description="Header in Export as HTML for the buttons above the stage"
+                    id="tw.exportHTML.controls"
+                />
+            </Header>
+            <Checkbox
+                checked={props.options.controls.greenFlag}
+                onChange={props.onChangeGreenFlag}
+            >
+                <FormattedMessage
+                    defaultMessage="Green flag button"
+                    description="Option in Export as HTML"
+                    id="tw.exportHTML.greenFlag"
+                />
+            </Checkbox>
+            <Checkbox
+                checked={props.options.controls.stopAll}
+                onChange={props.onChangeStopAll}
+            >
+                <FormattedMessage
+                    defaultMessage="Stop button"
+                    description="Option in Export as HTML"
+                    id="tw.exportHTML.stopAll"
+                />
+            </Checkbox>
+            <Checkbox
+                checked={props.options.controls.fullscreen}
+                onChange={props.onChangeFullscreen}
+            >
+                <FormattedMessage
+                    defaultMessage="Fullscreen button"
+                    description="Option in Export as HTML"
+                    id="tw.exportHTML.fullscreen"
+                />
+            </Checkbox>
+            <Checkbox
+                checked={props.options.autoplay}
+                onChange={props.onChangeAutoplay}
+            >
+                <FormattedMessage
+                    defaultMessage="Click the green flag automatically when the project loads"
+                    description="Option in Export as HTML"
+                    id="tw.exportHTML.autoplay"
+                />
+            </Checkbox>
+
+            <Header>
+                <FormattedMessage
+                    defaultMessage="Cloud variables"
+                    description="Header in Export as HTML for cloud variable options"
+                    id="tw.exportHTML.cloud"
+                />
+            </Header>
+            <label className={styles.label}>
+                <select
+                    value={props.options.cloud.backend}
+                    onChange={props.onChangeCloudBackend}
+                >
+                    <option value={CLOUD_NONE}>
+                        {props.intl.formatMessage(messages.cloudNone)}
+                    </option>
+                    <option value={CLOUD_BACKEND_INDEXED_DB}>
+                        {props.intl.formatMessage(messages.cloudLocal)}
+                    </option>
+                    <option value={CLOUD_BACKEND_BROADCAST_CHANNEL}>
+                        {props.intl.formatMessage(messages.cloudTabs)}
+                    </option>
+                    <option value={CLOUD_BACKEND_WEBSOCKET}>
+                        {props.intl.formatMessage(messages.cloudServer)}
+                    </option>
+                </select>
+            </label>
+            {props.options.cloud.backend === CLOUD_BACKEND_WEBSOCKET && (
+                <label className={styles.label}>
+                    <FormattedMessage
+                        defaultMessage="Server:"
+                        description="Label of the cloud variable server URL input in Export as HTML"
+                        id="tw.exportHTML.cloudHost"
+                    />
+                    <input
+                        className={styles.textInput}
+                        type="text"
+                        value={props.options.cloud.host}
+                        onChange={props.onChangeCloudHost}
+                        spellCheck={false}
+                    />
+                </label>
+            )}
+
+            {props.error && (
+                <p className={styles.error}>
+                    <FormattedMessage
+                        defaultMessage="Could not export project: {error}"
+                        description="Error message in Export as HTML. {error} is replaced with details about the error."
+                        id="tw.exportHTML.error"
+                        values={{
+                            error: `${props.error}`
+                        }}
+                    />
+                </p>
+            )}
+
+            <div className={styles.buttons}>
+                <button
+                    className={styles.exportButton}
+                    onClick={props.onExport}
+                    disabled={props.exporting}
+                >
+                    {props.exporting ? (
+                        <FormattedMessage
+                            defaultMessage="Exporting…"
+                            description="Export as HTML button while the file is being created"
+                            id="tw.exportHTML.exporting"
+                        />
+                    ) : (
+                        <FormattedMessage
+                            defaultMessage="Export"
+                            description="Button in Export as HTML that creates and downloads the file"
+                            id="tw.exportHTML.export"
+                        />
+                    )}
+                </button>
+            </div>
+        </div>
+    </Modal>
+);
+
+ExportHTMLModal.propTypes = {
+    intl: intlShape,
+    options: PropTypes.shape({
+        title: PropTypes.string,
+        width: PropTypes.number,
+        height: PropTypes.number,
+        loadingScreen: PropTypes.shape({
+            progressBar: PropTypes.bool,
+            text: PropTypes.string,
+            background: PropTypes.string
+        }),
+        cloud: PropTypes.shape({
+            backend: PropTypes.string,
+            host: PropTypes.string
+        }),
+        controls: PropTypes.shape({
+            greenFlag: PropTypes.bool,
+            stopAll: PropTypes.bool,
+            fullscreen: PropTypes.bool
+        }),
+        autoplay: PropTypes.bool
+    }).isRequired,
+    exporting: PropTypes.bool,
+    error: PropTypes.oneOfType([PropTypes.object, PropTypes.string]),
+    onChangeTitle: PropTypes.func.isRequired,
+    onChangeWidth: PropTypes.func.isRequired,
+    onChangeHeight: PropTypes.func.isRequired,
+    onChangeLoadingText: PropTypes.func.isRequired,
+    onChangeProgressBar: PropTypes.func.isRequired,
+    onChangeBackground: PropTypes.func.isRequired,
+    onChangeCloudBackend: PropTypes.func.isRequired,
+    onChangeCloudHost: PropTypes.func.isRequired,
+    onChangeGreenFlag: PropTypes.func.isRequired,
+    onChangeStopAll: PropTypes.func.isRequired,
+    onChangeFullscreen: PropTypes.func.isRequired,
+    onChangeAutoplay: PropTypes.func.isRequired,
+    onExport: PropTypes.func.isRequired,
+    onClose: PropTypes.func.isRequired
+};
+
+export default injectIntl(ExportHTMLModal);
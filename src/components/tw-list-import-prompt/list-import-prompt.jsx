@@ -0,0 +1,145 @@
+import {defineMessages, FormattedMessage, intlShape, injectIntl} from 'react-intl';
+import PropTypes from 'prop-types';
+import React from 'react';
+
+import Box from '../box/box.jsx';
+import Modal from '../../containers/modal.jsx';
+import FancyCheckbox from '../tw-fancy-checkbox/checkbox.jsx';
+
+import styles from './list-import-prompt.css';
+
+const messages = defineMessages({
+    title: {
+        defaultMessage: 'Import list',
+        description: 'Title of the prompt shown when importing a file with several columns into a list',
+        id: 'tw.listImport.title'
+    },
+    column: {
+        defaultMessage: 'Column {number}',
+        description: 'Option in the list import prompt for a column without a header',
+        id: 'tw.listImport.column'
+    },
+    namedColumn: {
+        defaultMessage: 'Column {number}: {name}',
+        description: 'Option in the list import prompt for a column with a header, eg. "Column 1: Score"',
+        id: 'tw.listImport.namedColumn'
+    }
+});
+
+const ListImportPromptComponent = props => (
+    <Modal
+        className={styles.modalContent}
+        contentLabel={props.intl.formatMessage(messages.title)}
+        id="listImportPrompt"
+        onRequestClose={props.onCancel}
+    >
+        <Box className={styles.body}>
+            <label className={styles.option}>
+                <input
+                    checked={!props.allColumns}
+                    name="listImportMode"
+                    type="radio"
+                    onChange={props.onChooseOneColumn}
+                />
+                <FormattedMessage
+                    defaultMessage="Import one column:"
+                    description="Option in the list import prompt to import a single column into the list"
+                    id="tw.listImport.oneColumn"
+                />
+                <select
+                    className={styles.columnSelect}
+                    disabled={props.allColumns}
+                    value={props.column}
+                    onChange={props.onChangeColumn}
+                >
+                    {props.columnNames.map((name, index) => (
+                        <option
+                            key={index}
+                            value={index}
+                        >
+                            {name ?
+                                props.intl.formatMessage(messages.namedColumn, {number: index + 1, name}) :
+                                props.intl.formatMessage(messages.column, {number: index + 1})}
+                        </option>
+                    ))}
+                </select>
+            </label>
+            <label className={styles.option}>
+                <input
+                    checked={props.allColumns}
+                    name="listImportMode"
+                    type="radio"
+                    onChange={props.onChooseAllColumns}
+                />
+                <FormattedMessage
+                    defaultMessage="Import every column into its own list"
+                    description="Option in the list import prompt to import each column into a different list"
+                    id="tw.listImport.allColumns"
+                />
+            </label>
+            {props.allColumns && (
+                <div className={styles.optionDetails}>
+                    <FormattedMessage
+                        defaultMessage="Lists that don't exist will be created: {names}"
+                        description="Shows the names of the lists that every column will be imported into"
+                        id="tw.listImport.listNames"
+                        values={{
+                            names: props.listNames.join(', ')
+                        }}
+                    />
+                </div>
+            )}
+            <label className={styles.option}>
+                <FancyCheckbox
+                    className={styles.checkbox}
+                    checked={props.hasHeader}
+                    onChange={props.onChangeHasHeader}
+                />
+                <FormattedMessage
+                    defaultMessage="First row contains column names"
+                    description="Option in the list import prompt to skip the first row of the file"
+                    id="tw.listImport.hasHeader"
+                />
+            </label>
+            <Box className={styles.buttonRow}>
+                <button
+                    className={styles.cancelButton}
+                    onClick={props.onCancel}
+                >
+                    <FormattedMessage
+                        defaultMessage="Cancel"
+                        description="Button in prompt for cancelling the dialog"
+                        id="gui.sliderPrompt.cancel"
+                    />
+                </button>
+                <button
+                    className={styles.okButton}
+                    onClick={props.onOk}
+                >
+                    <FormattedMessage
+                        defaultMessage="OK"
+                        description="Button in prompt for confirming the dialog"
+                        id="gui.sliderPrompt.ok"
+                    />
+                </button>
+            </Box>
+        </Box>
+    </Modal>
+);
+
+ListImportPromptComponent.propTypes = {
+    allColumns: PropTypes.bool.isRequired,
+    column: PropTypes.number.isRequired,
+    columnNames: PropTypes.arrayOf(PropTypes.string).isRequired,
+    hasHeader: PropTypes.bool.isRequired,
+    intl: intlShape,
+    listNames: PropTypes.arrayOf(PropTypes.string).isRequired,
+    onCancel: PropTypes.func.isRequired,
+    onChangeColumn: PropTypes.func.isRequired,
+    onChangeHasHeader: PropTypes.func.isRequired,
+    onChooseAllColumns: PropTypes.func.isRequired,
+    onChooseOneColumn: PropTypes.func.isRequired,
+    onOk: PropTypes.func.isRequired
+};
+
+export default injectIntl(ListImportPromptComponent);
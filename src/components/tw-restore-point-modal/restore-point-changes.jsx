@@ -0,0 +1,216 @@
+import React from 'react';
+import PropTypes from 'prop-types';
+import {FormattedMessage} from 'react-intl';
+import styles from './restore-point-modal.css';
+
+const ItemChanges = props => {
+    const {changes} = props;
+    if (changes.added.length + changes.removed.length + changes.modified.length === 0) {
+        return null;
+    }
+    return (
+        <div className={styles.changesCategory}>
+            <div className={styles.changesCategoryName}>
+                {props.label}
+            </div>
+            <ul className={styles.changesList}>
+                {changes.added.map((name, index) => (
+                    <li
+                        key={`added-${index}`}
+                        className={styles.changeAdded}
+                    >
+                        {`+ ${name}`}
+                    </li>
+                ))}
+                {changes.removed.map((name, index) => (
+                    <li
+                        key={`removed-${index}`}
+                        className={styles.changeRemoved}
+                    >
+                        {`- ${name}`}
+                    </li>
+                ))}
+                {changes.modified.map((name, index) => (
+                    <li
+                        key={`modified-${index}`}
+                        className={styles.changeModified}
+                    >
+                        {`~ ${name}`}
+                    </li>
+                ))}
+            </ul>
+        </div>
+    );
+};
+
+const itemChangesShape = PropTypes.shape({
+    added: PropTypes.arrayOf(PropTypes.string).isRequired,
+    removed: PropTypes.arrayOf(PropTypes.string).isRequired,
+    modified: PropTypes.arrayOf(PropTypes.string).isRequired
+});
+
+ItemChanges.propTypes = {
+    label: PropTypes.node.isRequired,
+    changes: itemChangesShape.isRequired
+};
+
+const TargetChanges = props => (
+    <div className={styles.changesTarget}>
+        <div className={styles.changesTargetName}>
+            {props.status === 'added' ? (
+                <FormattedMessage
+                    defaultMessage="{name} (added)"
+                    description="Sprite name in restore point change list for a sprite that was added"
+                    id="tw.restorePoints.targetAdded"
+                    values={{
+                        name: props.name
+                    }}
+                />
+            ) : props.status === 'removed' ? (
+                <FormattedMessage
+                    defaultMessage="{name} (deleted)"
+                    description="Sprite name in restore point change list for a sprite that was deleted"
+                    id="tw.restorePoints.targetRemoved"
+                    values={{
+                        name: props.name
+                    }}
+                />
+            ) : props.name}
+        </div>
+        <ItemChanges
+            label={(
+                <FormattedMessage
+                    defaultMessage="Scripts"
+                    description="Heading in restore point change list for changed scripts"
+                    id="tw.restorePoints.scripts"
+                />
+            )}
+            changes={props.scripts}
+        />
+        <ItemChanges
+            label={(
+                <FormattedMessage
+                    defaultMessage="Costumes"
+                    description="Heading in restore point change list for changed costumes"
+                    id="tw.restorePoints.costumes"
+                />
+            )}
+            changes={props.costumes}
+        />
+        <ItemChanges
+            label={(
+                <FormattedMessage
+                    defaultMessage="Sounds"
+                    description="Heading in restore point change list for changed sounds"
+                    id="tw.restorePoints.sounds"
+                />
+            )}
+            changes={props.sounds}
+        />
+        <ItemChanges
+            label={(
+                <FormattedMessage
+                    defaultMessage="Variables"
+                    description="Heading in restore point change list for changed variables"
+                    id="tw.restorePoints.variables"
+                />
+            )}
+            changes={props.variables}
+        />
+        <ItemChanges
+            label={(
+                <FormattedMessage
+                    defaultMessage="Lists"
+                    description="Heading in restore point change list for changed lists"
+                    id="tw.restorePoints.lists"
+                />
+            )}
+            changes={props.lists}
+        />
+    </div>
+);
+
+TargetChanges.propTypes = {
+    name: PropTypes.string.isRequired,
+    status: PropTypes.oneOf(['added', 'removed', 'modified']).isRequired,
+    scripts: itemChangesShape.isRequired,
+    costumes: itemChangesShape.isRequired,
+    sounds: itemChangesShape.isRequired,
+    variables: itemChangesShape.isRequired,
+    lists: itemChangesShape.isRequired
+};
+
+const RestorePointChanges = props => {
+    if (props.error) {
+        return (
+            <div className={styles.changes}>
+                <span className={styles.errorMessage}>
+                    {props.error}
+                </span>
+            </div>
+        );
+    }
+
+    if (!props.changes) {
+        return (
+            <div className={styles.changes}>
+                <FormattedMessage
+                    defaultMessage="Loading..."
+                    description="Loading message in restore point manager"
+                    id="tw.restorePoints.loading"
+                />
+            </div>
+        );
+    }
+
+    const {targets, extensions} = props.changes;
+    if (targets.length === 0 && extensions.added.length === 0 && extensions.removed.length === 0) {
+        return (
+            <div className={styles.changes}>
+                <FormattedMessage
+                    defaultMessage="No changes since the previous restore point."
+                    description="Appears in restore point change list when nothing changed"
+                    id="tw.restorePoints.noChanges"
+                />
+            </div>
+        );
+    }
+
+    return (
+        <div className={styles.changes}>
+            {targets.map(target => (
+                <TargetChanges
+                    key={`${target.isStage}-${target.name}`}
+                    {...target}
+                />
+            ))}
+            <ItemChanges
+                label={(
+                    <FormattedMessage
+                        defaultMessage="Extensions"
+                        description="Heading in restore point change list for added or removed extensions"
+                        id="tw.restorePoints.extensions"
+                    />
+                )}
+                changes={{
+                    added: extensions.added,
+                    removed: extensions.removed,
+                    modified: []
+                }}
+            />
+        </div>
+    );
+};
+
+RestorePointChanges.propTypes = {
+    changes: PropTypes.shape({
+        targets: PropTypes.arrayOf(PropTypes.shape({})).isRequired,
+        extensions: PropTypes.shape({
+            added: PropTypes.arrayOf(PropTypes.string).isRequired,
+            removed: PropTypes.arrayOf(PropTypes.string).isRequired
+        }).isRequired
+    }),
+    error: PropTypes.string
+};
+
+export default RestorePointChanges;
@@ -3,6 +3,7 @@ import PropTypes from 'prop-types';
 import React from 'react';
 import Modal from '../../containers/modal.jsx';
 import RestorePoint from './restore-point.jsx';
+import RestorePointChanges from './restore-point-changes.jsx';
 import styles from './restore-point-modal.css';
 import classNames from 'classnames';
 import {APP_NAME} from '../../lib/brand';
@@ -78,6 +79,24 @@ IntervalSelector.propTypes = {
     onChange: PropTypes.func.isRequired
 };
 
+/**
+ * @param {Array<{title: string}>} restorePoints Restore points, newest first
+ * @returns {Array<{title: string, restorePoints: Array<{title: string}>}>} Restore points grouped by project title
+ */
+const groupByTitle = restorePoints => {
+    const groups = new Map();
+    for (const restorePoint of restorePoints) {
+        if (!groups.has(restorePoint.title)) {
+            groups.set(restorePoint.title, []);
+        }
+        groups.get(restorePoint.title).push(restorePoint);
+    }
+    return Array.from(groups.entries()).map(([title, points]) => ({
+        title,
+        restorePoints: points
+    }));
+};
+
 const RestorePointModal = props => (
     <Modal
         className={styles.modalContent}
@@ -161,18 +180,38 @@ const RestorePointModal = props => (
                 </div>
             ) : (
                 <React.Fragment>
-                    <div className={styles.restorePointContainer}>
-                        {props.restorePoints.map(restorePoint => (
-                            <RestorePoint
-                                key={restorePoint.id}
-                                onClickDelete={props.onClickDelete}
-                                onClickExport={props.onClickExport}
-                                onClickLoad={props.onClickLoad}
-                                isExporting={props.isExporting(restorePoint.id)}
-                                {...restorePoint}
-                            />
-                        ))}
-                    </div>
+                    {groupByTitle(props.restorePoints).map(group => (
+                        <div
+                            key={group.title}
+                            className={styles.timeline}
+                        >
+                            <div className={styles.timelineTitle}>
+                                {group.title}
+                            </div>
+                            <div className={styles.restorePointContainer}>
+                                {group.restorePoints.map((restorePoint, index) => (
+                                    <React.Fragment key={restorePoint.id}>
+                                        <RestorePoint
+                                            onClickChanges={props.onClickChanges}
+                                            onClickDelete={props.onClickDelete}
+                                            onClickExport={props.onClickExport}
+                                            onClickLoad={props.onClickLoad}
+                                            isExporting={props.isExporting(restorePoint.id)}
+                                            hasPrevious={index < group.restorePoints.length - 1}
+                                            isShowingChanges={props.changesId === restorePoint.id}
+                                            {...restorePoint}
+                                        />
+                                        {props.changesId === restorePoint.id && (
+                                            <RestorePointChanges
+                                                changes={props.changes}
+                                                error={props.changesError}
+                                            />
+                                        )}
+                                    </React.Fragment>
+                                ))}
+                            </div>
+                        </div>
+                    ))}
 
                     <div className={styles.extraContainer}>
                         <div className={styles.totalSize}>
@@ -221,6 +260,7 @@ RestorePointModal.propTypes = {
     onChangeInterval: PropTypes.func.isRequired,
     onClose: PropTypes.func.isRequired,
     onClickCreate: PropTypes.func.isRequired,
+    onClickChanges: PropTypes.func.isRequired,
     onClickDelete: PropTypes.func.isRequired,
     onClickDeleteAll: PropTypes.func.isRequired,
     onClickExport: PropTypes.func.isRequired,
@@ -229,6 +269,9 @@ RestorePointModal.propTypes = {
     isLoading: PropTypes.bool.isRequired,
     totalSize: PropTypes.number.isRequired,
     restorePoints: PropTypes.arrayOf(PropTypes.shape({})),
+    changesId: PropTypes.number,
+    changes: PropTypes.shape({}),
+    changesError: PropTypes.string,
     error: PropTypes.string
 };
 
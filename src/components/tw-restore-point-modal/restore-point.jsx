@@ -2,12 +2,14 @@ import React from 'react';
 import PropTypes from 'prop-types';
 import {FormattedMessage, FormattedDate, FormattedTime, FormattedRelative} from 'react-intl';
 import bindAll from 'lodash.bindall';
+import classNames from 'classnames';
 import styles from './restore-point-modal.css';
 import {formatBytes} from '../../lib/tw-bytes-utils';
 import RestorePointAPI from '../../lib/tw-restore-point-api';
 import log from '../../lib/log';
 import exportIcon from './export.svg';
 import deleteIcon from './delete.svg';
+import changesIcon from './changes.svg';
 
 // Browser support is not perfect yet
 const relativeTimeSupported = () => typeof Intl !== 'undefined' && typeof Intl.RelativeTimeFormat !== 'undefined';
@@ -16,6 +18,7 @@ class RestorePoint extends React.Component {
     constructor (props) {
         super(props);
         bindAll(this, [
+            'handleClickChanges',
             'handleClickDelete',
             'handleClickExport',
             'handleClickLoad'
@@ -66,6 +69,11 @@ class RestorePoint extends React.Component {
         return size;
     }
 
+    handleClickChanges (e) {
+        e.stopPropagation();
+        this.props.onClickChanges(this.props.id);
+    }
+
     handleClickDelete (e) {
         e.stopPropagation();
         this.props.onClickDelete(this.props.id);
@@ -137,6 +145,21 @@ class RestorePoint extends React.Component {
                 </div>
 
                 <div className={styles.restorePointButtons}>
+                    {this.props.hasPrevious && (
+                        <button
+                            className={classNames(styles.restorePointButton, {
+                                [styles.restorePointButtonActive]: this.props.isShowingChanges
+                            })}
+                            onClick={this.handleClickChanges}
+                        >
+                            <img
+                                src={changesIcon}
+                                alt="Changes"
+                                draggable={false}
+                            />
+                        </button>
+                    )}
+
                     <button
                         className={styles.restorePointButton}
                         onClick={this.handleClickExport}
@@ -174,6 +197,9 @@ RestorePoint.propTypes = {
     thumbnailSize: PropTypes.number.isRequired,
     assets: PropTypes.shape({}).isRequired, // Record<string, number>
     isExporting: PropTypes.bool.isRequired,
+    hasPrevious: PropTypes.bool.isRequired,
+    isShowingChanges: PropTypes.bool.isRequired,
+    onClickChanges: PropTypes.func.isRequired,
     onClickDelete: PropTypes.func.isRequired,
     onClickExport: PropTypes.func.isRequired,
     onClickLoad: PropTypes.func.isRequired
@@ -29,6 +29,22 @@ const LoadExtensionModal = props => (
             </React.Fragment>
         )}
 
+        {props.changed && (
+            <div className={styles.changed}>
+                <FormattedMessage
+                    // eslint-disable-next-line max-len
+                    defaultMessage="You installed {name} ({oldVersion}) before, but the code at this URL is now different ({newVersion}). Only continue if you expected the extension to change."
+                    description="Part of modal asking for permission to automatically load custom extension"
+                    id="tw.loadExtension.changed"
+                    values={{
+                        name: props.changed.name,
+                        oldVersion: props.changed.oldVersion || '?',
+                        newVersion: props.changed.newVersion || '?'
+                    }}
+                />
+            </div>
+        )}
+
         {props.onChangeUnsandboxed && (
             <React.Fragment>
                 <label className={styles.unsandboxedContainer}>
@@ -73,6 +89,11 @@ const LoadExtensionModal = props => (
 
 LoadExtensionModal.propTypes = {
     url: PropTypes.string.isRequired,
+    changed: PropTypes.shape({
+        name: PropTypes.string.isRequired,
+        oldVersion: PropTypes.string,
+        newVersion: PropTypes.string
+    }),
     unsandboxed: PropTypes.bool.isRequired,
     onChangeUnsandboxed: PropTypes.func
 };
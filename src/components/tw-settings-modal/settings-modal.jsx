@@ -5,6 +5,8 @@ import classNames from 'classnames';
 import bindAll from 'lodash.bindall';
 import Box from '../box/box.jsx';
 import Modal from '../../containers/modal.jsx';
+import SitePermissions from '../../containers/tw-site-permissions.jsx';
+import ExtensionSettings from '../../containers/tw-extension-settings.jsx';
 import FancyCheckbox from '../tw-fancy-checkbox/checkbox.jsx';
 import Input from '../forms/input.jsx';
 import BufferedInputHOC from '../forms/buffered-input-hoc.jsx';
@@ -422,6 +424,67 @@ StoreProjectOptions.propTypes = {
     onStoreProjectOptions: PropTypes.func
 };
 
+const ExportSecurityLog = ({onExportSecurityLog}) => (
+    <div className={styles.setting}>
+        <div>
+            <button
+                onClick={onExportSecurityLog}
+                className={styles.button}
+            >
+                <FormattedMessage
+                    defaultMessage="Export security log"
+                    description="Button in settings modal"
+                    id="tw.settingsModal.exportSecurityLog"
+                />
+            </button>
+            <p>
+                <FormattedMessage
+                    // eslint-disable-next-line max-len
+                    defaultMessage="Downloads a list of every permission that projects requested during this session and whether it was allowed."
+                    description="Help text for the export security log button"
+                    id="tw.settingsModal.exportSecurityLogHelp"
+                />
+            </p>
+        </div>
+    </div>
+);
+ExportSecurityLog.propTypes = {
+    onExportSecurityLog: PropTypes.func
+};
+
+const ExtensionSetting = ({label, description, type, value, handleChange}) => (
+    type === 'boolean' ? (
+        <BooleanSetting
+            value={value}
+            onChange={handleChange}
+            label={label}
+            help={description}
+        />
+    ) : (
+        <Setting
+            primary={(
+                <label className={classNames(styles.label, styles.extensionSetting)}>
+                    {label}
+                    <BufferedInput
+                        value={value}
+                        onSubmit={handleChange}
+                        className={styles.extensionSettingInput}
+                        type={type === 'number' ? 'number' : 'text'}
+                    />
+                </label>
+            )}
+            help={description}
+        />
+    )
+);
+ExtensionSetting.propTypes = {
+    label: PropTypes.string.isRequired,
+    description: PropTypes.string.isRequired,
+    type: PropTypes.oneOf(['boolean', 'number', 'string']).isRequired,
+    value: PropTypes.oneOfType([PropTypes.bool, PropTypes.number, PropTypes.string]).isRequired,
+    handleChange: PropTypes.func.isRequired
+};
+
 const Header = props => (
     <div className={styles.header}>
         {props.children}
@@ -504,6 +567,34 @@ const SettingsModalComponent = props => (
                     {...props}
                 />
             )}
+            <Header>
+                <FormattedMessage
+                    defaultMessage="Security"
+                    description="Settings modal section"
+                    id="tw.settingsModal.security"
+                />
+            </Header>
+            <SitePermissions />
+            <ExportSecurityLog
+                {...props}
+            />
+            <ExtensionSettings>{settings => settings.length > 0 && (
+                <React.Fragment>
+                    <Header>
+                        <FormattedMessage
+                            defaultMessage="Extensions"
+                            description="Settings modal section for settings added by custom extensions"
+                            id="tw.settingsModal.extensions"
+                        />
+                    </Header>
+                    {settings.map(setting => (
+                        <ExtensionSetting
+                            key={setting.id}
+                            {...setting}
+                        />
+                    ))}
+                </React.Fragment>
+            )}</ExtensionSettings>
         </Box>
     </Modal>
 );
@@ -528,7 +619,8 @@ SettingsModalComponent.propTypes = {
     warpTimer: PropTypes.bool,
     onWarpTimerChange: PropTypes.func,
     disableCompiler: PropTypes.bool,
-    onDisableCompilerChange: PropTypes.func
+    onDisableCompilerChange: PropTypes.func,
+    onExportSecurityLog: PropTypes.func
 };
 
 export default injectIntl(SettingsModalComponent);
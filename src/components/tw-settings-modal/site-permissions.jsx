@@ -0,0 +1,257 @@
+import React from 'react';
+import PropTypes from 'prop-types';
+import bindAll from 'lodash.bindall';
+import {FormattedMessage} from 'react-intl';
+import FancyCheckbox from '../tw-fancy-checkbox/checkbox.jsx';
+import styles from './settings-modal.css';
+
+/* eslint-disable react/no-multi-comp */
+
+const permissionLabels = {
+    fetch: (
+        <FormattedMessage
+            defaultMessage="Connect to websites"
+            description="Site permissions list heading for websites a project may fetch data from"
+            id="tw.sitePermissions.fetch"
+        />
+    ),
+    embed: (
+        <FormattedMessage
+            defaultMessage="Embed websites"
+            description="Site permissions list heading for websites a project may embed"
+            id="tw.sitePermissions.embed"
+        />
+    ),
+    audio: (
+        <FormattedMessage
+            defaultMessage="Microphone"
+            description="Site permissions checkbox for recording audio"
+            id="tw.sitePermissions.audio"
+        />
+    ),
+    video: (
+        <FormattedMessage
+            defaultMessage="Camera"
+            description="Site permissions checkbox for recording video"
+            id="tw.sitePermissions.video"
+        />
+    ),
+    readClipboard: (
+        <FormattedMessage
+            defaultMessage="Read clipboard"
+            description="Site permissions checkbox for reading the clipboard"
+            id="tw.sitePermissions.readClipboard"
+        />
+    ),
+    notify: (
+        <FormattedMessage
+            defaultMessage="Notifications"
+            description="Site permissions checkbox for showing notifications"
+            id="tw.sitePermissions.notify"
+        />
+    ),
+    geolocate: (
+        <FormattedMessage
+            defaultMessage="Location"
+            description="Site permissions checkbox for reading the user's location"
+            id="tw.sitePermissions.geolocate"
+        />
+    )
+};
+
+class OriginPermission extends React.Component {
+    constructor (props) {
+        super(props);
+        bindAll(this, [
+            'handleClickRevoke'
+        ]);
+    }
+    handleClickRevoke () {
+        this.props.onRevoke(this.props.projectKey, this.props.permission, this.props.origin);
+    }
+    render () {
+        return (
+            <li>
+                <span className={styles.sitePermissionsOrigin}>
+                    {this.props.origin}
+                </span>
+                <button
+                    className={styles.sitePermissionsRevoke}
+                    onClick={this.handleClickRevoke}
+                >
+                    <FormattedMessage
+                        defaultMessage="Revoke"
+                        description="Button in site permissions to remove permission for one website"
+                        id="tw.sitePermissions.revoke"
+                    />
+                </button>
+            </li>
+        );
+    }
+}
+
+OriginPermission.propTypes = {
+    projectKey: PropTypes.string.isRequired,
+    permission: PropTypes.string.isRequired,
+    origin: PropTypes.string.isRequired,
+    onRevoke: PropTypes.func.isRequired
+};
+
+class BooleanPermission extends React.Component {
+    constructor (props) {
+        super(props);
+        bindAll(this, [
+            'handleChange'
+        ]);
+    }
+    handleChange (e) {
+        this.props.onToggle(this.props.projectKey, this.props.permission, e.target.checked);
+    }
+    render () {
+        return (
+            <label className={styles.label}>
+                <FancyCheckbox
+                    className={styles.checkbox}
+                    checked={this.props.checked}
+                    onChange={this.handleChange}
+                />
+                {permissionLabels[this.props.permission]}
+            </label>
+        );
+    }
+}
+
+BooleanPermission.propTypes = {
+    projectKey: PropTypes.string.isRequired,
+    permission: PropTypes.string.isRequired,
+    checked: PropTypes.bool.isRequired,
+    onToggle: PropTypes.func.isRequired
+};
+
+class ProjectPermissions extends React.Component {
+    constructor (props) {
+        super(props);
+        bindAll(this, [
+            'handleClickRevokeAll'
+        ]);
+    }
+    handleClickRevokeAll () {
+        this.props.onRevokeAll(this.props.permissions.projectKey);
+    }
+    render () {
+        const {permissions} = this.props;
+        return (
+            <div className={styles.sitePermissionsProject}>
+                <div className={styles.sitePermissionsProjectHeader}>
+                    <span className={styles.sitePermissionsProjectTitle}>
+                        {permissions.title || permissions.projectKey}
+                    </span>
+                    <button
+                        className={styles.button}
+                        onClick={this.handleClickRevokeAll}
+                    >
+                        <FormattedMessage
+                            defaultMessage="Revoke all"
+                            description="Button in site permissions to remove every permission from a project"
+                            id="tw.sitePermissions.revokeAll"
+                        />
+                    </button>
+                </div>
+                {this.props.originPermissions.map(permission => permissions[permission].length > 0 && (
+                    <div key={permission}>
+                        <div>{permissionLabels[permission]}</div>
+                        <ul className={styles.sitePermissionsOrigins}>
+                            {permissions[permission].map(origin => (
+                                <OriginPermission
+                                    key={origin}
+                                    projectKey={permissions.projectKey}
+                                    permission={permission}
+                                    origin={origin}
+                                    onRevoke={this.props.onRevoke}
+                                />
+                            ))}
+                        </ul>
+                    </div>
+                ))}
+                <div className={styles.sitePermissionsBooleans}>
+                    {this.props.booleanPermissions.map(permission => (
+                        <BooleanPermission
+                            key={permission}
+                            projectKey={permissions.projectKey}
+                            permission={permission}
+                            checked={permissions[permission]}
+                            onToggle={this.props.onToggle}
+                        />
+                    ))}
+                </div>
+            </div>
+        );
+    }
+}
+
+ProjectPermissions.propTypes = {
+    permissions: PropTypes.shape({
+        projectKey: PropTypes.string.isRequired,
+        title: PropTypes.string.isRequired
+    }).isRequired,
+    originPermissions: PropTypes.arrayOf(PropTypes.string).isRequired,
+    booleanPermissions: PropTypes.arrayOf(PropTypes.string).isRequired,
+    onRevoke: PropTypes.func.isRequired,
+    onRevokeAll: PropTypes.func.isRequired,
+    onToggle: PropTypes.func.isRequired
+};
+
+const SitePermissions = props => (
+    <div className={styles.setting}>
+        <div className={styles.label}>
+            <FormattedMessage
+                defaultMessage="Site permissions"
+                description="Title of the list of permissions that the user has given to projects"
+                id="tw.sitePermissions.title"
+            />
+        </div>
+        {props.error ? (
+            <p className={styles.sitePermissionsError}>
+                {props.error}
+            </p>
+        ) : props.projects === null ? (
+            <p>
+                <FormattedMessage
+                    defaultMessage="Loading..."
+                    description="Appears while the list of site permissions is loading"
+                    id="tw.sitePermissions.loading"
+                />
+            </p>
+        ) : props.projects.length === 0 ? (
+            <p>
+                <FormattedMessage
+                    defaultMessage="Permissions you give to projects will be remembered and appear here."
+                    description="Appears in site permissions when no project has been given any permissions"
+                    id="tw.sitePermissions.empty"
+                />
+            </p>
+        ) : props.projects.map(permissions => (
+            <ProjectPermissions
+                key={permissions.projectKey}
+                permissions={permissions}
+                originPermissions={props.originPermissions}
+                booleanPermissions={props.booleanPermissions}
+                onRevoke={props.onRevoke}
+                onRevokeAll={props.onRevokeAll}
+                onToggle={props.onToggle}
+            />
+        ))}
+    </div>
+);
+
+SitePermissions.propTypes = {
+    error: PropTypes.string,
+    projects: PropTypes.arrayOf(PropTypes.shape({})),
+    originPermissions: PropTypes.arrayOf(PropTypes.string).isRequired,
+    booleanPermissions: PropTypes.arrayOf(PropTypes.string).isRequired,
+    onRevoke: PropTypes.func.isRequired,
+    onRevokeAll: PropTypes.func.isRequired,
+    onToggle: PropTypes.func.isRequired
+};
+
+export default SitePermissions;
@@ -0,0 +1,155 @@
+import {defineMessages, FormattedMessage, intlShape, injectIntl} from 'react-intl';
+import PropTypes from 'prop-types';
+import React from 'react';
+
+import Box from '../box/box.jsx';
+import Modal from '../../containers/modal.jsx';
+
+import styles from './shared-backpack-modal.css';
+
+const messages = defineMessages({
+    title: {
+        defaultMessage: 'Shared Backpack',
+        description: 'Title of the modal used to connect to a shared backpack server',
+        id: 'tw.sharedBackpack.title'
+    },
+    urlPlaceholder: {
+        defaultMessage: 'http://192.168.1.10:8602/team',
+        description: 'Example URL of a shared backpack. Do not translate.',
+        id: 'tw.sharedBackpack.urlPlaceholder'
+    }
+});
+
+const SharedBackpackModal = props => (
+    <Modal
+        className={styles.modalContent}
+        contentLabel={props.intl.formatMessage(messages.title)}
+        id="sharedBackpackModal"
+        onRequestClose={props.onCancel}
+    >
+        <Box className={styles.body}>
+            <p className={styles.description}>
+                <FormattedMessage
+                    // eslint-disable-next-line max-len
+                    defaultMessage="A shared backpack is stored on a server so that everyone who uses the same URL sees the same items. To run one on your network, use scripts/backpack-server.mjs."
+                    description="Description in the shared backpack modal"
+                    id="tw.sharedBackpack.description"
+                />
+            </p>
+            <label className={styles.field}>
+                <FormattedMessage
+                    defaultMessage="Backpack URL"
+                    description="Label of the URL field in the shared backpack modal"
+                    id="tw.sharedBackpack.url"
+                />
+                <input
+                    autoFocus
+                    className={styles.input}
+                    placeholder={props.intl.formatMessage(messages.urlPlaceholder)}
+                    type="url"
+                    value={props.url}
+                    onChange={props.onChangeURL}
+                />
+            </label>
+            <label className={styles.field}>
+                <FormattedMessage
+                    defaultMessage="Token (optional)"
+                    description="Label of the field for the password of a shared backpack server"
+                    id="tw.sharedBackpack.token"
+                />
+                <input
+                    className={styles.input}
+                    type="password"
+                    value={props.token}
+                    onChange={props.onChangeToken}
+                />
+            </label>
+            <label className={styles.field}>
+                <FormattedMessage
+                    defaultMessage="Token header"
+                    description="Label of the field for the name of the HTTP header that the backpack token is sent in"
+                    id="tw.sharedBackpack.authHeader"
+                />
+                <input
+                    className={styles.input}
+                    type="text"
+                    value={props.authHeader}
+                    onChange={props.onChangeAuthHeader}
+                />
+            </label>
+            <label className={styles.field}>
+                <FormattedMessage
+                    defaultMessage="Items loaded at once"
+                    description="Label of the field for how many backpack items are requested from the server at once"
+                    id="tw.sharedBackpack.pageSize"
+                />
+                <input
+                    className={styles.input}
+                    min="1"
+                    max="100"
+                    type="number"
+                    value={props.pageSize}
+                    onChange={props.onChangePageSize}
+                />
+            </label>
+            {props.invalidURL && (
+                <p className={styles.error}>
+                    <FormattedMessage
+                        defaultMessage="Enter a URL that starts with http:// or https:// and ends with the name of the backpack."
+                        description="Error in the shared backpack modal when the URL is invalid"
+                        id="tw.sharedBackpack.invalidURL"
+                    />
+                </p>
+            )}
+            <Box className={styles.buttonRow}>
+                {props.onRemove && (
+                    <button
+                        className={styles.removeButton}
+                        onClick={props.onRemove}
+                    >
+                        <FormattedMessage
+                            defaultMessage="Disconnect"
+                            description="Button in the shared backpack modal to forget the shared backpack"
+                            id="tw.sharedBackpack.remove"
+                        />
+                    </button>
+                )}
+                <button onClick={props.onCancel}>
+                    <FormattedMessage
+                        defaultMessage="Cancel"
+                        description="Button in prompt for cancelling the dialog"
+                        id="gui.sliderPrompt.cancel"
+                    />
+                </button>
+                <button
+                    className={styles.okButton}
+                    onClick={props.onSave}
+                >
+                    <FormattedMessage
+                        defaultMessage="OK"
+                        description="Button in prompt for confirming the dialog"
+                        id="gui.sliderPrompt.ok"
+                    />
+                </button>
+            </Box>
+        </Box>
+    </Modal>
+);
+
+SharedBackpackModal.propTypes = {
+    authHeader: PropTypes.string.isRequired,
+    intl: intlShape,
+    invalidURL: PropTypes.bool.isRequired,
+    pageSize: PropTypes.oneOfType([PropTypes.number, PropTypes.string]).isRequired,
+    token: PropTypes.string.isRequired,
+    url: PropTypes.string.isRequired,
+    onCancel: PropTypes.func.isRequired,
+    onChangeAuthHeader: PropTypes.func.isRequired,
+    onChangePageSize: PropTypes.func.isRequired,
+    onChangeToken: PropTypes.func.isRequired,
+    onChangeURL: PropTypes.func.isRequired,
+    onRemove: PropTypes.func,
+    onSave: PropTypes.func.isRequired
+};
+
+export default injectIntl(SharedBackpackModal);
@@ -0,0 +1,276 @@
+import {defineMessages, FormattedMessage, intlShape, injectIntl} from 'react-intl';
+import PropTypes from 'prop-types';
+import React from 'react';
+import classNames from 'classnames';
+import Modal from '../../containers/modal.jsx';
+import FancyCheckbox from '../tw-fancy-checkbox/checkbox.jsx';
+import {formatBytes} from '../../lib/tw-bytes-utils';
+import {
+    FORMAT_ORIGINAL,
+    FORMAT_WAV,
+    FORMAT_MP3,
+    FORMAT_OGG,
+    SAMPLE_RATES,
+    WAV_BIT_DEPTHS,
+    BITRATES
+} from '../../lib/tw-sound-formats';
+import styles from './sound-export-modal.css';
+
+const messages = defineMessages({
+    title: {
+        defaultMessage: 'Export Sound',
+        description: 'Title of the modal used to choose the format to export a sound in',
+        id: 'tw.soundExport.title'
+    },
+    original: {
+        defaultMessage: 'Original ({format})',
+        description: 'Option to export a sound without changing it. {format} is replaced with eg. WAV or MP3.',
+        id: 'tw.soundExport.original'
+    },
+    oggUnsupported: {
+        defaultMessage: 'OGG (not supported by this browser)',
+        description: 'Option to export a sound as OGG when the browser can not create OGG files',
+        id: 'tw.soundExport.oggUnsupported'
+    },
+    float: {
+        defaultMessage: '32-bit float',
+        description: 'Option for the bit depth of an exported WAV file',
+        id: 'tw.soundExport.float'
+    },
+    bitDepth: {
+        defaultMessage: '{bits}-bit',
+        description: 'Option for the bit depth of an exported WAV file. {bits} is replaced with eg. 16.',
+        id: 'tw.soundExport.bitDepth'
+    }
+});
+
+const SoundExportModal = props => {
+    const {format} = props.options;
+    const saving = props.originalSize - props.estimatedSize;
+    return (
+        <Modal
+            className={styles.modalContent}
+            onRequestClose={props.onClose}
+            contentLabel={props.intl.formatMessage(messages.title)}
+            id="soundExportModal"
+        >
+            <div className={styles.body}>
+                <label className={styles.label}>
+                    <FormattedMessage
+                        defaultMessage="Format:"
+                        description="Label of the format dropdown when exporting a sound"
+                        id="tw.soundExport.format"
+                    />
+                    <select
+                        className={styles.select}
+                        value={format}
+                        onChange={props.onChangeFormat}
+                    >
+                        <option value={FORMAT_ORIGINAL}>
+                            {props.intl.formatMessage(messages.original, {
+                                format: props.originalFormat.toUpperCase()
+                            })}
+                        </option>
+                        <option value={FORMAT_WAV}>{'WAV'}</option>
+                        <option value={FORMAT_MP3}>{'MP3'}</option>
+                        <option
+                            value={FORMAT_OGG}
+                            disabled={!props.canExportOgg}
+                        >
+                            {props.canExportOgg ? 'OGG' : props.intl.formatMessage(messages.oggUnsupported)}
+                        </option>
+                    </select>
+                </label>
+
+                {(format === FORMAT_WAV || format === FORMAT_MP3) && (
+                    <label className={styles.label}>
+                        <FormattedMessage
+                            defaultMessage="Sample rate:"
+                            description="Label of the sample rate dropdown when exporting a sound"
+                            id="tw.soundExport.sampleRate"
+                        />
+                        <select
+                            className={styles.select}
+                            value={props.options.sampleRate}
+                            onChange={props.onChangeSampleRate}
+                        >
+                            {SAMPLE_RATES.map(rate => (
+                                <option
+                                    key={rate}
+                                    value={rate}
+                                >
+                                    {`${rate} Hz`}
+                                </option>
+                            ))}
+                        </select>
+                    </label>
+                )}
+
+                {format === FORMAT_WAV && (
+                    <label className={styles.label}>
+                        <FormattedMessage
+                            defaultMessage="Bit depth:"
+                            description="Label of the bit depth dropdown when exporting a sound as WAV"
+                            id="tw.soundExport.bitDepthLabel"
+                        />
+                        <select
+                            className={styles.select}
+                            value={props.options.bitDepth}
+                            onChange={props.onChangeBitDepth}
+                        >
+                            {WAV_BIT_DEPTHS.map(bits => (
+                                <option
+                                    key={bits}
+                                    value={bits}
+                                >
+                                    {bits === 32 ?
+                                        props.intl.formatMessage(messages.float) :
+                                        props.intl.formatMessage(messages.bitDepth, {bits})}
+                                </option>
+                            ))}
+                        </select>
+                    </label>
+                )}
+
+                {(format === FORMAT_MP3 || format === FORMAT_OGG) && (
+                    <label className={styles.label}>
+                        <FormattedMessage
+                            defaultMessage="Bitrate:"
+                            description="Label of the bitrate dropdown when exporting a sound as MP3 or OGG"
+                            id="tw.soundExport.bitrate"
+                        />
+                        <select
+                            className={styles.select}
+                            value={props.options.bitrate}
+                            onChange={props.onChangeBitrate}
+                        >
+                            {BITRATES.map(bitrate => (
+                                <option
+                                    key={bitrate}
+                                    value={bitrate}
+                                >
+                                    {`${bitrate} kbps`}
+                                </option>
+                            ))}
+                        </select>
+                    </label>
+                )}
+
+                {format !== FORMAT_ORIGINAL && props.channels > 1 && (
+                    <label className={classNames(styles.label, styles.checkboxLabel)}>
+                        <FancyCheckbox
+                            className={styles.checkbox}
+                            checked={props.options.mono}
+                            onChange={props.onChangeMono}
+                        />
+                        <FormattedMessage
+                            defaultMessage="Convert to mono"
+                            description="Option to mix the channels of an exported sound into one"
+                            id="tw.soundExport.mono"
+                        />
+                    </label>
+                )}
+
+                <div className={styles.size}>
+                    <div>
+                        <FormattedMessage
+                            defaultMessage="Current size: {size}"
+                            description="Size of a sound before exporting it. {size} is replaced with eg. 1.23MB."
+                            id="tw.soundExport.originalSize"
+                            values={{
+                                size: formatBytes(props.originalSize)
+                            }}
+                        />
+                    </div>
+                    {format !== FORMAT_ORIGINAL && (
+                        <div>
+                            <FormattedMessage
+                                defaultMessage="Exported size: about {size}"
+                                description="Estimated size of an exported sound. {size} is replaced with eg. 1.23MB."
+                                id="tw.soundExport.estimatedSize"
+                                values={{
+                                    size: formatBytes(props.estimatedSize)
+                                }}
+                            />
+                            {saving > 0 && (
+                                <span className={styles.saving}>
+                                    {' '}
+                                    <FormattedMessage
+                                        defaultMessage="(saves {size})"
+                                        description="How much smaller an exported sound is. {size} is eg. 1.23MB."
+                                        id="tw.soundExport.saving"
+                                        values={{
+                                            size: formatBytes(saving)
+                                        }}
+                                    />
+                                </span>
+                            )}
+                        </div>
+                    )}
+                </div>
+
+                {props.error && (
+                    <p className={styles.error}>
+                        <FormattedMessage
+                            defaultMessage="Could not export sound: {error}"
+                            description="Error message when exporting a sound. {error} is replaced with details."
+                            id="tw.soundExport.error"
+                            values={{
+                                error: `${props.error}`
+                            }}
+                        />
+                    </p>
+                )}
+
+                <div className={styles.buttons}>
+                    <button
+                        className={styles.exportButton}
+                        onClick={props.onExport}
+                        disabled={props.exporting}
+                    >
+                        {props.exporting ? (
+                            <FormattedMessage
+                                defaultMessage="Exporting…"
+                                description="Export sound button while the file is being created"
+                                id="tw.soundExport.exporting"
+                            />
+                        ) : (
+                            <FormattedMessage
+                                defaultMessage="Export"
+                                description="Button that creates and downloads an exported sound"
+                                id="tw.soundExport.export"
+                            />
+                        )}
+                    </button>
+                </div>
+            </div>
+        </Modal>
+    );
+};
+
+SoundExportModal.propTypes = {
+    intl: intlShape,
+    canExportOgg: PropTypes.bool.isRequired,
+    channels: PropTypes.number.isRequired,
+    estimatedSize: PropTypes.number.isRequired,
+    originalFormat: PropTypes.string.isRequired,
+    originalSize: PropTypes.number.isRequired,
+    options: PropTypes.shape({
+        format: PropTypes.string,
+        sampleRate: PropTypes.number,
+        bitDepth: PropTypes.number,
+        bitrate: PropTypes.number,
+        mono: PropTypes.bool
+    }).isRequired,
+    exporting: PropTypes.bool,
+    error: PropTypes.oneOfType([PropTypes.object, PropTypes.string]),
+    onChangeFormat: PropTypes.func.isRequired,
+    onChangeSampleRate: PropTypes.func.isRequired,
+    onChangeBitDepth: PropTypes.func.isRequired,
+    onChangeBitrate: PropTypes.func.isRequired,
+    onChangeMono: PropTypes.func.isRequired,
+    onExport: PropTypes.func.isRequired,
+    onClose: PropTypes.func.isRequired
+};
+
+export default injectIntl(SoundExportModal);
@@ -0,0 +1,160 @@
+import {defineMessages, FormattedMessage, intlShape, injectIntl} from 'react-intl';
+import PropTypes from 'prop-types';
+import React from 'react';
+import classNames from 'classnames';
+import Modal from '../../containers/modal.jsx';
+import FancyCheckbox from '../tw-fancy-checkbox/checkbox.jsx';
+import {formatBytes} from '../../lib/tw-bytes-utils';
+import styles from './sound-import-modal.css';
+
+const messages = defineMessages({
+    title: {
+        defaultMessage: 'Import Sounds',
+        description: 'Title of the modal that offers to make uploaded sounds smaller',
+        id: 'tw.soundImport.title'
+    }
+});
+
+const formatChange = (before, after) => (
+    before === after ? formatBytes(before) : `${formatBytes(before)} → ${formatBytes(after)}`
+);
+
+const SoundImportModal = props => (
+    <Modal
+        className={styles.modalContent}
+        onRequestClose={props.onCancel}
+        contentLabel={props.intl.formatMessage(messages.title)}
+        id="soundImportModal"
+    >
+        <div className={styles.body}>
+            <p className={styles.description}>
+                <FormattedMessage
+                    // eslint-disable-next-line max-len
+                    defaultMessage="These sounds can be made smaller so that your project saves and loads faster. Most sounds still sound the same."
+                    description="Description at the top of the modal that offers to make uploaded sounds smaller"
+                    id="tw.soundImport.description"
+                />
+            </p>
+
+            <label className={styles.label}>
+                <FancyCheckbox
+                    className={styles.checkbox}
+                    checked={props.options.mono}
+                    disabled={props.monoSaving === 0}
+                    onChange={props.onChangeMono}
+                />
+                <FormattedMessage
+                    defaultMessage="Convert to mono"
+                    description="Option to mix the channels of uploaded sounds into one"
+                    id="tw.soundImport.mono"
+                />
+                {props.monoSaving > 0 && (
+                    <span className={styles.saving}>
+                        <FormattedMessage
+                            defaultMessage="(saves {size})"
+                            description="How much smaller an option makes uploaded sounds. {size} is eg. 1.23MB."
+                            id="tw.soundImport.saving"
+                            values={{
+                                size: formatBytes(props.monoSaving)
+                            }}
+                        />
+                    </span>
+                )}
+            </label>
+            <label className={styles.label}>
+                <FancyCheckbox
+                    className={styles.checkbox}
+                    checked={props.options.resample}
+                    disabled={props.resampleSaving === 0}
+                    onChange={props.onChangeResample}
+                />
+                <FormattedMessage
+                    defaultMessage="Resample to 22.05 kHz"
+                    description="Option to lower the sample rate of uploaded sounds"
+                    id="tw.soundImport.resample"
+                />
+                {props.resampleSaving > 0 && (
+                    <span className={styles.saving}>
+                        <FormattedMessage
+                            defaultMessage="(saves {size})"
+                            description="How much smaller an option makes uploaded sounds. {size} is eg. 1.23MB."
+                            id="tw.soundImport.saving"
+                            values={{
+                                size: formatBytes(props.resampleSaving)
+                            }}
+                        />
+                    </span>
+                )}
+            </label>
+
+            <div className={styles.files}>
+                {props.files.map((file, index) => (
+                    <div
+                        key={index}
+                        className={styles.file}
+                    >
+                        <span className={styles.fileName}>{file.name}</span>
+                        <span className={styles.fileSize}>{formatChange(file.size, file.newSize)}</span>
+                    </div>
+                ))}
+            </div>
+            <div className={styles.file}>
+                <span className={styles.total}>
+                    <FormattedMessage
+                        defaultMessage="Total"
+                        description="Label for the combined size of all uploaded sounds"
+                        id="tw.soundImport.total"
+                    />
+                </span>
+                <span className={styles.total}>{formatChange(props.totalSize, props.newTotalSize)}</span>
+            </div>
+
+            <div className={styles.buttons}>
+                <button
+                    className={styles.button}
+                    onClick={props.onImportUnchanged}
+                >
+                    <FormattedMessage
+                        defaultMessage="Import unchanged"
+                        description="Button to upload sounds without making them smaller"
+                        id="tw.soundImport.importUnchanged"
+                    />
+                </button>
+                <button
+                    className={classNames(styles.button, styles.importButton)}
+                    onClick={props.onImport}
+                >
+                    <FormattedMessage
+                        defaultMessage="Import"
+                        description="Button to upload sounds with the selected options"
+                        id="tw.soundImport.import"
+                    />
+                </button>
+            </div>
+        </div>
+    </Modal>
+);
+
+SoundImportModal.propTypes = {
+    intl: intlShape,
+    files: PropTypes.arrayOf(PropTypes.shape({
+        name: PropTypes.string,
+        size: PropTypes.number,
+        newSize: PropTypes.number
+    })).isRequired,
+    monoSaving: PropTypes.number.isRequired,
+    newTotalSize: PropTypes.number.isRequired,
+    options: PropTypes.shape({
+        mono: PropTypes.bool,
+        resample: PropTypes.bool
+    }).isRequired,
+    resampleSaving: PropTypes.number.isRequired,
+    totalSize: PropTypes.number.isRequired,
+    onCancel: PropTypes.func.isRequired,
+    onChangeMono: PropTypes.func.isRequired,
+    onChangeResample: PropTypes.func.isRequired,
+    onImport: PropTypes.func.isRequired,
+    onImportUnchanged: PropTypes.func.isRequired
+};
+
+export default injectIntl(SoundImportModal);
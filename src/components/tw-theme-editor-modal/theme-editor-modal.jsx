@@ -0,0 +1,411 @@
+import {defineMessages, FormattedMessage, intlShape, injectIntl} from 'react-intl';
+import PropTypes from 'prop-types';
+import React from 'react';
+import classNames from 'classnames';
+import Modal from '../../containers/modal.jsx';
+import {GUI_DARK, GUI_LIGHT} from '../../lib/themes';
+import {EDITABLE_BLOCK_COLORS, EDITABLE_GUI_COLORS} from '../../lib/themes/userThemes';
+import styles from './theme-editor-modal.css';
+
+/* eslint-disable react/no-multi-comp */
+
+const messages = defineMessages({
+    title: {
+        defaultMessage: 'Theme Editor',
+        description: 'Title of the modal used to make custom themes',
+        id: 'tw.themeEditor.title'
+    },
+    newTheme: {
+        defaultMessage: 'New theme',
+        description: 'Option in the theme editor to start making a new theme',
+        id: 'tw.themeEditor.newTheme'
+    }
+});
+
+const guiColorMessages = defineMessages({
+    'ui-primary': {
+        defaultMessage: 'Background',
+        description: 'Name of a color in the theme editor',
+        id: 'tw.themeEditor.gui.uiPrimary'
+    },
+    'ui-secondary': {
+        defaultMessage: 'Secondary background',
+        description: 'Name of a color in the theme editor',
+        id: 'tw.themeEditor.gui.uiSecondary'
+    },
+    'ui-tertiary': {
+        defaultMessage: 'Borders',
+        description: 'Name of a color in the theme editor',
+        id: 'tw.themeEditor.gui.uiTertiary'
+    },
+    'text-primary': {
+        defaultMessage: 'Text',
+        description: 'Name of a color in the theme editor',
+        id: 'tw.themeEditor.gui.textPrimary'
+    },
+    'menu-bar-background': {
+        defaultMessage: 'Menu bar',
+        description: 'Name of a color in the theme editor',
+        id: 'tw.themeEditor.gui.menuBarBackground'
+    },
+    'menu-bar-foreground': {
+        defaultMessage: 'Menu bar text',
+        description: 'Name of a color in the theme editor',
+        id: 'tw.themeEditor.gui.menuBarForeground'
+    },
+    'ui-modal-background': {
+        defaultMessage: 'Dialogs',
+        description: 'Name of a color in the theme editor',
+        id: 'tw.themeEditor.gui.uiModalBackground'
+    },
+    'input-background': {
+        defaultMessage: 'Text fields',
+        description: 'Name of a color in the theme editor',
+        id: 'tw.themeEditor.gui.inputBackground'
+    },
+    'link-color': {
+        defaultMessage: 'Links',
+        description: 'Name of a color in the theme editor',
+        id: 'tw.themeEditor.gui.linkColor'
+    }
+});
+
+const blockColorMessages = defineMessages({
+    motion: {
+        defaultMessage: 'Motion',
+        description: 'Name of a block category in the theme editor',
+        id: 'tw.themeEditor.blocks.motion'
+    },
+    looks: {
+        defaultMessage: 'Looks',
+        description: 'Name of a block category in the theme editor',
+        id: 'tw.themeEditor.blocks.looks'
+    },
+    sounds: {
+        defaultMessage: 'Sound',
+        description: 'Name of a block category in the theme editor',
+        id: 'tw.themeEditor.blocks.sounds'
+    },
+    event: {
+        defaultMessage: 'Events',
+        description: 'Name of a block category in the theme editor',
+        id: 'tw.themeEditor.blocks.event'
+    },
+    control: {
+        defaultMessage: 'Control',
+        description: 'Name of a block category in the theme editor',
+        id: 'tw.themeEditor.blocks.control'
+    },
+    sensing: {
+        defaultMessage: 'Sensing',
+        description: 'Name of a block category in the theme editor',
+        id: 'tw.themeEditor.blocks.sensing'
+    },
+    operators: {
+        defaultMessage: 'Operators',
+        description: 'Name of a block category in the theme editor',
+        id: 'tw.themeEditor.blocks.operators'
+    },
+    data: {
+        defaultMessage: 'Variables',
+        description: 'Name of a block category in the theme editor',
+        id: 'tw.themeEditor.blocks.data'
+    },
+    data_lists: { // eslint-disable-line camelcase
+        defaultMessage: 'Lists',
+        description: 'Name of a block category in the theme editor',
+        id: 'tw.themeEditor.blocks.dataLists'
+    },
+    more: {
+        defaultMessage: 'My Blocks',
+        description: 'Name of a block category in the theme editor',
+        id: 'tw.themeEditor.blocks.more'
+    },
+    pen: {
+        defaultMessage: 'Extensions',
+        description: 'Name of a block category in the theme editor',
+        id: 'tw.themeEditor.blocks.pen'
+    }
+});
+
+const Header = props => (
+    <div className={styles.header}>
+        {props.children}
+        <div className={styles.divider} />
+        {props.action}
+    </div>
+);
+Header.propTypes = {
+    action: PropTypes.node,
+    children: PropTypes.node
+};
+
+const ColorInput = props => (
+    <label className={styles.color}>
+        <input
+            data-name={props.name}
+            type="color"
+            value={props.value}
+            onChange={props.onChange}
+        />
+        <FormattedMessage {...props.message} />
+    </label>
+);
+ColorInput.propTypes = {
+    message: PropTypes.shape({
+        defaultMessage: PropTypes.string,
+        id: PropTypes.string
+    }).isRequired,
+    name: PropTypes.string.isRequired,
+    value: PropTypes.string.isRequired,
+    onChange: PropTypes.func.isRequired
+};
+
+const ThemeEditorModal = props => (
+    <Modal
+        className={styles.modalContent}
+        onRequestClose={props.onCancel}
+        contentLabel={props.intl.formatMessage(messages.title)}
+        id="themeEditorModal"
+    >
+        <div className={styles.body}>
+            <p className={styles.description}>
+                <FormattedMessage
+                    // eslint-disable-next-line max-len
+                    defaultMessage="Changes are shown as you make them. Saved themes can be chosen from the Accent menu."
+                    description="Description at the top of the theme editor"
+                    id="tw.themeEditor.description"
+                />
+            </p>
+
+            <label className={styles.label}>
+                <FormattedMessage
+                    defaultMessage="Theme:"
+                    description="Label of the menu in the theme editor used to choose which theme to edit"
+                    id="tw.themeEditor.theme"
+                />
+                <select
+                    className={styles.grow}
+                    value={props.isSaved ? props.selectedId : ''}
+                    onChange={props.onSelectTheme}
+                >
+                    {props.userThemes.map(userTheme => (
+                        <option
+                            key={userTheme.id}
+                            value={userTheme.id}
+                        >
+                            {userTheme.name}
+                        </option>
+                    ))}
+                    <option value="">{props.intl.formatMessage(messages.newTheme)}</option>
+                </select>
+            </label>
+            <label className={styles.label}>
+                <FormattedMessage
+                    defaultMessage="Name:"
+                    description="Label of the theme name input in the theme editor"
+                    id="tw.themeEditor.name"
+                />
+                <input
+                    className={styles.grow}
+                    type="text"
+                    value={props.name}
+                    onChange={props.onChangeName}
+                />
+            </label>
+
+            <Header
+                action={props.hasCustomGuiColors && (
+                    <button
+                        className={styles.linkButton}
+                        onClick={props.onResetGuiColors}
+                    >
+                        <FormattedMessage
+                            defaultMessage="Reset"
+                            description="Button in the theme editor to undo changes to interface colors"
+                            id="tw.themeEditor.resetGui"
+                        />
+                    </button>
+                )}
+            >
+                <FormattedMessage
+                    defaultMessage="Interface"
+                    description="Header in the theme editor for colors of the editor interface"
+                    id="tw.themeEditor.interface"
+                />
+            </Header>
+            <div className={styles.label}>
+                <label className={styles.label}>
+                    <input
+                        checked={props.gui === GUI_LIGHT}
+                        name="themeEditorGui"
+                        type="radio"
+                        value={GUI_LIGHT}
+                        onChange={props.onChangeGui}
+                    />
+                    <FormattedMessage
+                        defaultMessage="Based on light mode"
+                        description="Option in the theme editor for colors that aren't changed to come from light mode"
+                        id="tw.themeEditor.light"
+                    />
+                </label>
+                <label className={styles.label}>
+                    <input
+                        checked={props.gui === GUI_DARK}
+                        name="themeEditorGui"
+                        type="radio"
+                        value={GUI_DARK}
+                        onChange={props.onChangeGui}
+                    />
+                    <FormattedMessage
+                        defaultMessage="Based on dark mode"
+                        description="Option in the theme editor for colors that aren't changed to come from dark mode"
+                        id="tw.themeEditor.dark"
+                    />
+                </label>
+            </div>
+            <div className={styles.colors}>
+                <label className={styles.color}>
+                    <input
+                        type="color"
+                        value={props.accent}
+                        onChange={props.onChangeAccent}
+                    />
+                    <FormattedMessage
+                        defaultMessage="Accent"
+                        description="Name of the accent color in the theme editor"
+                        id="tw.themeEditor.accent"
+                    />
+                </label>
+                {EDITABLE_GUI_COLORS.map(name => (
+                    <ColorInput
+                        key={name}
+                        message={guiColorMessages[name]}
+                        name={name}
+                        value={props.guiColors[name]}
+                        onChange={props.onChangeGuiColor}
+                    />
+                ))}
+            </div>
+
+            <Header>
+                <FormattedMessage
+                    defaultMessage="Blocks"
+                    description="Header in the theme editor for colors of block categories"
+                    id="tw.themeEditor.blocks"
+                />
+            </Header>
+            <div className={styles.colors}>
+                {EDITABLE_BLOCK_COLORS.map(name => (
+                    <ColorInput
+                        key={name}
+                        message={blockColorMessages[name]}
+                        name={name}
+                        value={props.blockColors[name] || '#000000'}
+                        onChange={props.onChangeBlockColor}
+                    />
+                ))}
+            </div>
+
+            {props.error && (
+                <p className={styles.error}>
+                    <FormattedMessage
+                        defaultMessage="Could not import theme: {error}"
+                        description="Error in the theme editor"
+                        id="tw.themeEditor.error"
+                        values={{
+                            error: props.error
+                        }}
+                    />
+                </p>
+            )}
+
+            <div className={styles.buttons}>
+                <button
+                    className={styles.button}
+                    onClick={props.onImport}
+                >
+                    <FormattedMessage
+                        defaultMessage="Import"
+                        description="Button in the theme editor to load a theme from a file"
+                        id="tw.themeEditor.import"
+                    />
+                </button>
+                <button
+                    className={styles.button}
+                    onClick={props.onExport}
+                >
+                    <FormattedMessage
+                        defaultMessage="Export"
+                        description="Button in the theme editor to save the theme to a file"
+                        id="tw.themeEditor.export"
+                    />
+                </button>
+                {props.isSaved && (
+                    <button
+                        className={styles.button}
+                        onClick={props.onDelete}
+                    >
+                        <FormattedMessage
+                            defaultMessage="Delete"
+                            description="Button in the theme editor to delete the theme"
+                            id="tw.themeEditor.delete"
+                        />
+                    </button>
+                )}
+                <div className={styles.grow} />
+                <button
+                    className={styles.button}
+                    onClick={props.onCancel}
+                >
+                    <FormattedMessage
+                        defaultMessage="Cancel"
+                        description="Button in prompt for cancelling the dialog"
+                        id="gui.sliderPrompt.cancel"
+                    />
+                </button>
+                <button
+                    className={classNames(styles.button, styles.saveButton)}
+                    onClick={props.onSave}
+                >
+                    <FormattedMessage
+                        defaultMessage="Save"
+                        description="Button in the theme editor to save and use the theme"
+                        id="tw.themeEditor.save"
+                    />
+                </button>
+            </div>
+        </div>
+    </Modal>
+);
+
+ThemeEditorModal.propTypes = {
+    accent: PropTypes.string.isRequired,
+    blockColors: PropTypes.objectOf(PropTypes.string).isRequired,
+    error: PropTypes.string,
+    gui: PropTypes.oneOf([GUI_LIGHT, GUI_DARK]).isRequired,
+    guiColors: PropTypes.objectOf(PropTypes.string).isRequired,
+    hasCustomGuiColors: PropTypes.bool.isRequired,
+    intl: intlShape,
+    isSaved: PropTypes.bool.isRequired,
+    name: PropTypes.string.isRequired,
+    selectedId: PropTypes.string.isRequired,
+    userThemes: PropTypes.arrayOf(PropTypes.shape({
+        id: PropTypes.string,
+        name: PropTypes.string
+    })).isRequired,
+    onCancel: PropTypes.func.isRequired,
+    onChangeAccent: PropTypes.func.isRequired,
+    onChangeBlockColor: PropTypes.func.isRequired,
+    onChangeGui: PropTypes.func.isRequired,
+    onChangeGuiColor: PropTypes.func.isRequired,
+    onChangeName: PropTypes.func.isRequired,
+    onDelete: PropTypes.func.isRequired,
+    onExport: PropTypes.func.isRequired,
+    onImport: PropTypes.func.isRequired,
+    onResetGuiColors: PropTypes.func.isRequired,
+    onSave: PropTypes.func.isRequired,
+    onSelectTheme: PropTypes.func.isRequired
+};
+
+export default injectIntl(ThemeEditorModal);
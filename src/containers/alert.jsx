@@ -13,7 +13,8 @@ class Alert extends React.Component {
         super(props);
         bindAll(this, [
             'handleOnCloseAlert',
-            'handleOnReconnect'
+            'handleOnReconnect',
+            'handleOnReload'
         ]);
     }
     handleOnCloseAlert () {
@@ -23,6 +24,9 @@ class Alert extends React.Component {
         this.props.onOpenConnectionModal(this.props.extensionId);
         this.handleOnCloseAlert();
     }
+    handleOnReload () {
+        window.location.reload();
+    }
     render () {
         const {
             closeButton,
@@ -36,6 +40,7 @@ class Alert extends React.Component {
             onSaveNow,
             showDownload,
             showReconnect,
+            showReload,
             showSaveNow
         } = this.props;
         return (
@@ -50,10 +55,12 @@ class Alert extends React.Component {
                     message={message}
                     showDownload={showDownload}
                     showReconnect={showReconnect}
+                    showReload={showReload}
                     showSaveNow={showSaveNow}
                     onCloseAlert={this.handleOnCloseAlert}
                     onDownload={downloadProject}
                     onReconnect={this.handleOnReconnect}
+                    onReload={this.handleOnReload}
                     onSaveNow={onSaveNow}
                 />
             )}</SB3Downloader>
@@ -75,7 +82,7 @@ const mapDispatchToProps = dispatch => ({
 
 Alert.propTypes = {
     closeButton: PropTypes.bool,
-    content: PropTypes.element,
+    content: PropTypes.oneOfType([PropTypes.element, PropTypes.string]),
     extensionId: PropTypes.string,
     extensionName: PropTypes.string,
     iconSpinner: PropTypes.bool,
@@ -88,6 +95,7 @@ Alert.propTypes = {
     onSaveNow: PropTypes.func,
     showDownload: PropTypes.bool,
     showReconnect: PropTypes.bool,
+    showReload: PropTypes.bool,
     showSaveNow: PropTypes.bool
 };
 
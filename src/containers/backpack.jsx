@@ -2,12 +2,17 @@ import React from 'react';
 import PropTypes from 'prop-types';
 import bindAll from 'lodash.bindall';
 import {defineMessages, injectIntl, intlShape} from 'react-intl';
-import BackpackComponent from '../components/backpack/backpack.jsx';
+import BackpackComponent, {NEW_FOLDER, SHARED_BACKPACK_SETTINGS} from '../components/backpack/backpack.jsx';
+import {backpackDragTypes} from '../components/backpack/backpack-list.jsx';
+import SharedBackpackModal from './tw-shared-backpack-modal.jsx';
 import {
     getBackpackContents,
     saveBackpackObject,
     deleteBackpackObject,
     updateBackpackObject,
+    getBackpackFolders,
+    exportBackpack,
+    importBackpack,
     soundPayload,
     costumePayload,
     spritePayload,
@@ -16,6 +21,17 @@ import {
 } from '../lib/backpack-api';
 import DragConstants from '../lib/drag-constants';
 import DropAreaHOC from '../lib/drop-area-hoc.jsx';
+import downloadBlob from '../lib/download-blob';
+import {
+    SOURCE_LOCAL,
+    SOURCE_SHARED,
+    DEFAULT_AUTH_HEADER,
+    DEFAULT_PAGE_SIZE,
+    getBackpackSource,
+    getSharedBackpack,
+    setBackpackSource,
+    setSharedBackpack
+} from '../lib/tw-backpack-servers';
 
 import {connect} from 'react-redux';
 import storage from '../lib/storage';
@@ -29,9 +45,51 @@ const messages = defineMessages({
         defaultMessage: 'New name:',
         description: 'Renaming a backpack item',
         id: 'tw.backpack.rename'
+    },
+    newFolder: {
+        defaultMessage: 'Folder name:',
+        description: 'Prompt when creating a folder in the backpack',
+        id: 'tw.backpack.newFolderPrompt'
+    },
+    move: {
+        defaultMessage: 'Move to folder (leave empty to remove from folder):',
+        description: 'Prompt when moving a backpack item into a folder',
+        id: 'tw.backpack.movePrompt'
+    },
+    tags: {
+        defaultMessage: 'Tags, separated by commas:',
+        description: 'Prompt when changing the tags of a backpack item',
+        id: 'tw.backpack.tagsPrompt'
     }
 });
 
+// Name of exported backpack files, without extension
+const EXPORT_NAME = 'Backpack';
+const FILE_EXTENSION = '.twbackpack';
+
+/**
+ * @returns {Promise<ArrayBuffer|null>} Contents of the file the user chose, or null if they cancelled
+ */
+const chooseBackpackFile = () => new Promise((resolve, reject) => {
+    const fileInput = document.createElement('input');
+    fileInput.setAttribute('type', 'file');
+    fileInput.setAttribute('accept', `${FILE_EXTENSION}, .zip`);
+    fileInput.onchange = e => {
+        const file = e.target.files[0];
+        document.body.removeChild(fileInput);
+        if (!file) {
+            resolve(null);
+            return;
+        }
+        const fr = new FileReader();
+        fr.onload = () => resolve(fr.result);
+        fr.onerror = () => reject(new Error('Cannot read file'));
+        fr.readAsArrayBuffer(file);
+    };
+    document.body.appendChild(fileInput);
+    fileInput.click();
+});
+
 class Backpack extends React.Component {
     constructor (props) {
         super(props);
@@ -40,6 +98,19 @@ class Backpack extends React.Component {
             'handleToggle',
             'handleDelete',
             'handleRename',
+            'handleMove',
+            'handleEditTags',
+            'handleSelect',
+            'handleReorder',
+            'handleChangeFolder',
+            'handleChangeQuery',
+            'handleExport',
+            'handleExportItem',
+            'handleImport',
+            'handleChangeSource',
+            'handleCloseSharedBackpackModal',
+            'handleRemoveSharedBackpack',
+            'handleSaveSharedBackpack',
             'getBackpackAssetURL',
             'getContents',
             'handleMouseEnter',
@@ -55,16 +126,39 @@ class Backpack extends React.Component {
             blockDragOutsideWorkspace: false,
             blockDragOverBackpack: false,
             error: false,
-            itemsPerPage: 20,
             moreToLoad: false,
             loading: false,
             expanded: false,
-            contents: []
+            contents: [],
+            // Only the local backpack supports folders, tags, and searching
+            folder: '',
+            folders: [],
+            query: '',
+            selectedIds: [],
+            // When the local backpack is available, the user can switch to a backpack on a server instead
+            source: getBackpackSource(),
+            sharedBackpack: getSharedBackpack(),
+            sharedBackpackModalOpen: false
         };
 
+        // Used to ignore results from old searches that finish after newer ones
+        this.contentsRequestId = 0;
+
+        this.addAssetSource();
+    }
+    componentDidMount () {
+        this.props.vm.addListener('BLOCK_DRAG_END', this.handleBlockDragEnd);
+        this.props.vm.addListener('BLOCK_DRAG_UPDATE', this.handleBlockDragUpdate);
+    }
+    componentWillUnmount () {
+        this.props.vm.removeListener('BLOCK_DRAG_END', this.handleBlockDragEnd);
+        this.props.vm.removeListener('BLOCK_DRAG_UPDATE', this.handleBlockDragUpdate);
+    }
+    addAssetSource () {
         // If a host is given, add it as a web source to the storage module
         // TODO remove the hacky flag that prevents double adding
-        if (props.host && !storage._hasAddedBackpackSource && props.host !== LOCAL_API) {
+        const host = this.getServer().host;
+        if (host && !storage._hasAddedBackpackSource && host !== LOCAL_API) {
             storage.addWebSource(
                 [storage.AssetType.ImageVector, storage.AssetType.ImageBitmap, storage.AssetType.Sound],
                 this.getBackpackAssetURL
@@ -72,27 +166,50 @@ class Backpack extends React.Component {
             storage._hasAddedBackpackSource = true;
         }
     }
-    componentDidMount () {
-        this.props.vm.addListener('BLOCK_DRAG_END', this.handleBlockDragEnd);
-        this.props.vm.addListener('BLOCK_DRAG_UPDATE', this.handleBlockDragUpdate);
+    getBackpackAssetURL (asset) {
+        const host = this.getServer().host;
+        if (host === LOCAL_API) {
+            // Switched back from a shared backpack; false tells scratch-storage to skip this source
+            return false;
+        }
+        return `${host}/${asset.assetId}.${asset.dataFormat}`;
     }
-    componentWillUnmount () {
-        this.props.vm.removeListener('BLOCK_DRAG_END', this.handleBlockDragEnd);
-        this.props.vm.removeListener('BLOCK_DRAG_UPDATE', this.handleBlockDragUpdate);
+    isShared () {
+        return this.props.host === LOCAL_API && this.state.source === SOURCE_SHARED && !!this.state.sharedBackpack;
     }
-    getBackpackAssetURL (asset) {
-        return `${this.props.host}/${asset.assetId}.${asset.dataFormat}`;
+    /**
+     * @returns {{host: string, username: string, token: string, authHeader: string}} Where items are stored
+     */
+    getServer () {
+        // Called from the constructor before state exists
+        if (this.state && this.isShared()) {
+            const {host, username, token, authHeader} = this.state.sharedBackpack;
+            return {host, username, token, authHeader};
+        }
+        return {
+            host: this.props.host,
+            username: this.props.username,
+            token: this.props.token,
+            authHeader: this.props.authHeader
+        };
+    }
+    getPageSize () {
+        return this.isShared() ? this.state.sharedBackpack.pageSize : this.props.pageSize;
     }
     handleToggle () {
         const newState = !this.state.expanded;
-        this.setState({expanded: newState, contents: []}, () => {
+        this.setState({expanded: newState, contents: [], selectedIds: []}, () => {
             // Emit resize on window to get blocks to resize
             window.dispatchEvent(new Event('resize'));
         });
         if (newState) {
             this.getContents();
+            this.getFolders();
         }
     }
+    isLocal () {
+        return this.getServer().host === LOCAL_API;
+    }
     handleError (error) {
         this.setState({
             error: `${error}`,
@@ -139,9 +256,9 @@ class Backpack extends React.Component {
                     return payload;
                 })
                 .then(payload => saveBackpackObject({
-                    host: this.props.host,
-                    token: this.props.token,
-                    username: this.props.username,
+                    ...this.getServer(),
+                    // New items go into the folder that is open
+                    folder: this.state.folder,
                     ...payload
                 }))
                 .then(item => {
@@ -158,16 +275,16 @@ class Backpack extends React.Component {
     handleDelete (id) {
         this.setState({loading: true}, () => {
             deleteBackpackObject({
-                host: this.props.host,
-                token: this.props.token,
-                username: this.props.username,
+                ...this.getServer(),
                 id: id
             })
                 .then(() => {
                     this.setState({
                         loading: false,
-                        contents: this.state.contents.filter(o => o.id !== id)
+                        contents: this.state.contents.filter(o => o.id !== id),
+                        selectedIds: this.state.selectedIds.filter(i => i !== id)
                     });
+                    this.getFolders();
                 })
                 .catch(error => {
                     this.handleError(error);
@@ -187,8 +304,8 @@ class Backpack extends React.Component {
         }
         this.setState({loading: true}, () => {
             updateBackpackObject({
-                host: this.props.host,
                 ...item,
+                ...this.getServer(),
                 name: newName
             })
                 .then(newItem => {
@@ -202,20 +319,234 @@ class Backpack extends React.Component {
                 });
         });
     }
+    updateItem (item, changes) {
+        this.setState({loading: true}, () => {
+            updateBackpackObject({
+                ...item,
+                ...this.getServer(),
+                ...changes
+            })
+                .then(newItem => {
+                    // Items moved to another folder are no longer visible, except in search results
+                    const stillVisible = !!this.state.query || newItem.folder === this.state.folder;
+                    this.setState({
+                        loading: false,
+                        contents: stillVisible ?
+                            this.state.contents.map(i => (i.id === item.id ? newItem : i)) :
+                            this.state.contents.filter(i => i.id !== item.id)
+                    });
+                    this.getFolders();
+                })
+                .catch(error => {
+                    this.handleError(error);
+                });
+        });
+    }
+    async handleMove (id) {
+        const item = this.findItemById(id);
+        // eslint-disable-next-line no-alert
+        const folder = await prompt(this.props.intl.formatMessage(messages.move), item.folder);
+        if (folder === null) {
+            return;
+        }
+        this.updateItem(item, {folder: folder.trim()});
+    }
+    async handleEditTags (id) {
+        const item = this.findItemById(id);
+        // eslint-disable-next-line no-alert
+        const tags = await prompt(this.props.intl.formatMessage(messages.tags), item.tags.join(', '));
+        if (tags === null) {
+            return;
+        }
+        this.updateItem(item, {tags: tags.split(',')});
+    }
+    handleSelect (id) {
+        this.setState({
+            selectedIds: this.state.selectedIds.includes(id) ?
+                this.state.selectedIds.filter(i => i !== id) :
+                this.state.selectedIds.concat(id)
+        });
+    }
+    handleReorder (dropInfo) {
+        if (!this.isLocal() || !backpackDragTypes.includes(dropInfo.dragType)) {
+            return;
+        }
+        const {contents} = this.state;
+        const item = this.findItemById(dropInfo.payload.id);
+        if (!item) {
+            return;
+        }
+        const oldIndex = contents.indexOf(item);
+        const newIndex = Math.min(dropInfo.newIndex, contents.length - 1);
+        if (oldIndex === newIndex) {
+            return;
+        }
+        const newContents = contents.slice();
+        newContents.splice(oldIndex, 1);
+        newContents.splice(newIndex, 0, item);
+        // Items are displayed with the highest order first. Only the moved item needs to change, so put it
+        // between its new neighbours.
+        const before = newContents[newIndex - 1];
+        const after = newContents[newIndex + 1];
+        let order;
+        if (before && after) {
+            order = (before.order + after.order) / 2;
+        } else if (before) {
+            order = before.order - 1;
+        } else {
+            order = after.order + 1;
+        }
+        this.setState({contents: newContents});
+        this.updateItem(item, {order});
+    }
+    async handleChangeFolder (e) {
+        let folder = e.target.value;
+        if (folder === NEW_FOLDER) {
+            // eslint-disable-next-line no-alert
+            folder = await prompt(this.props.intl.formatMessage(messages.newFolder));
+            if (!folder || !folder.trim()) {
+                return;
+            }
+            folder = folder.trim();
+        }
+        this.setState({
+            folder,
+            folders: this.state.folders.includes(folder) || !folder ?
+                this.state.folders :
+                this.state.folders.concat(folder).sort((a, b) => a.localeCompare(b)),
+            query: ''
+        }, () => {
+            this.reloadContents();
+        });
+    }
+    handleChangeQuery (e) {
+        this.setState({query: e.target.value}, () => {
+            this.reloadContents();
+        });
+    }
+    handleExport () {
+        this.exportItems(this.state.selectedIds.length > 0 ? this.state.selectedIds : null, EXPORT_NAME);
+    }
+    handleExportItem (id) {
+        const item = this.findItemById(id);
+        this.exportItems([id], item.name || EXPORT_NAME);
+    }
+    exportItems (ids, name) {
+        exportBackpack({
+            ...this.getServer(),
+            ids
+        })
+            .then(blob => {
+                downloadBlob(`${name}${FILE_EXTENSION}`, blob);
+            })
+            .catch(error => {
+                this.handleError(error);
+            });
+    }
+    handleImport () {
+        chooseBackpackFile()
+            .then(data => {
+                if (!data) {
+                    return;
+                }
+                this.setState({loading: true, error: false});
+                return importBackpack({
+                    ...this.getServer(),
+                    data
+                }).then(() => {
+                    this.getFolders();
+                    this.reloadContents();
+                });
+            })
+            .catch(error => {
+                this.handleError(error);
+            });
+    }
+    getFolders () {
+        if (!this.isLocal()) {
+            return;
+        }
+        getBackpackFolders(this.getServer())
+            .then(folders => {
+                // Keep a new folder in the list even though nothing has been put in it yet
+                if (this.state.folder && !folders.includes(this.state.folder)) {
+                    folders = folders.concat(this.state.folder).sort((a, b) => a.localeCompare(b));
+                }
+                this.setState({folders});
+            })
+            .catch(error => {
+                this.handleError(error);
+            });
+    }
+    reloadContents () {
+        this.setState({contents: [], selectedIds: []}, () => {
+            this.getContents();
+        });
+    }
+    handleChangeSource (e) {
+        const source = e.target.value;
+        if (source === SHARED_BACKPACK_SETTINGS) {
+            this.setState({sharedBackpackModalOpen: true});
+            return;
+        }
+        setBackpackSource(source);
+        this.switchSource(source);
+    }
+    switchSource (source) {
+        this.setState({
+            source,
+            folder: '',
+            folders: [],
+            query: ''
+        }, () => {
+            this.addAssetSource();
+            this.getFolders();
+            this.reloadContents();
+        });
+    }
+    handleCloseSharedBackpackModal () {
+        this.setState({sharedBackpackModalOpen: false});
+    }
+    handleSaveSharedBackpack (sharedBackpack) {
+        setSharedBackpack(sharedBackpack);
+        setBackpackSource(SOURCE_SHARED);
+        this.setState({
+            sharedBackpack,
+            sharedBackpackModalOpen: false
+        }, () => {
+            this.switchSource(SOURCE_SHARED);
+        });
+    }
+    handleRemoveSharedBackpack () {
+        setSharedBackpack(null);
+        setBackpackSource(SOURCE_LOCAL);
+        this.setState({
+            sharedBackpack: null,
+            sharedBackpackModalOpen: false
+        }, () => {
+            this.switchSource(SOURCE_LOCAL);
+        });
+    }
     getContents () {
-        if ((this.props.token && this.props.username) || this.props.host === LOCAL_API) {
+        const server = this.getServer();
+        if ((server.token && server.username) || this.isShared() || server.host === LOCAL_API) {
+            const requestId = ++this.contentsRequestId;
+            const limit = this.getPageSize();
             this.setState({loading: true, error: false}, () => {
                 getBackpackContents({
-                    host: this.props.host,
-                    token: this.props.token,
-                    username: this.props.username,
+                    ...server,
                     offset: this.state.contents.length,
-                    limit: this.state.itemsPerPage
+                    limit,
+                    folder: this.state.folder,
+                    query: this.state.query
                 })
                     .then(contents => {
+                        if (requestId !== this.contentsRequestId) {
+                            return;
+                        }
                         this.setState({
                             contents: this.state.contents.concat(contents),
-                            moreToLoad: contents.length === this.state.itemsPerPage,
+                            moreToLoad: contents.length === limit,
                             loading: false
                         });
                     })
@@ -261,22 +592,51 @@ class Backpack extends React.Component {
         this.getContents();
     }
     render () {
+        const isLocal = this.isLocal();
+        const canShare = this.props.host === LOCAL_API;
         return (
-            <DroppableBackpack
-                blockDragOver={this.state.blockDragOverBackpack}
-                contents={this.state.contents}
-                error={this.state.error}
-                expanded={this.state.expanded}
-                loading={this.state.loading}
-                showMore={this.state.moreToLoad}
-                onDelete={this.handleDelete}
-                onRename={this.handleRename}
-                onDrop={this.handleDrop}
-                onMore={this.handleMore}
-                onMouseEnter={this.handleMouseEnter}
-                onMouseLeave={this.handleMouseLeave}
-                onToggle={this.props.host ? this.handleToggle : null}
-            />
+            <React.Fragment>
+                {this.state.sharedBackpackModalOpen && (
+                    <SharedBackpackModal
+                        sharedBackpack={this.state.sharedBackpack}
+                        onCancel={this.handleCloseSharedBackpackModal}
+                        onRemove={this.handleRemoveSharedBackpack}
+                        onSave={this.handleSaveSharedBackpack}
+                    />
+                )}
+                <DroppableBackpack
+                    blockDragOver={this.state.blockDragOverBackpack}
+                    canReorder={isLocal}
+                    contents={this.state.contents}
+                    error={this.state.error}
+                    expanded={this.state.expanded}
+                    folder={this.state.folder}
+                    folders={this.state.folders}
+                    loading={this.state.loading}
+                    query={this.state.query}
+                    selectedIds={this.state.selectedIds}
+                    showMore={this.state.moreToLoad}
+                    source={this.isShared() ? SOURCE_SHARED : SOURCE_LOCAL}
+                    sharedBackpackName={this.state.sharedBackpack ? this.state.sharedBackpack.username : null}
+                    onChangeFolder={this.handleChangeFolder}
+                    onChangeQuery={this.handleChangeQuery}
+                    onChangeSource={canShare ? this.handleChangeSource : null}
+                    onDelete={this.handleDelete}
+                    onEditTags={isLocal ? this.handleEditTags : null}
+                    onExport={this.handleExport}
+                    onExportItem={isLocal ? this.handleExportItem : null}
+                    onImport={isLocal ? this.handleImport : null}
+                    onMove={isLocal ? this.handleMove : null}
+                    onRename={this.handleRename}
+                    onReorder={this.handleReorder}
+                    onSelect={this.handleSelect}
+                    onDrop={this.handleDrop}
+                    onMore={this.handleMore}
+                    onMouseEnter={this.handleMouseEnter}
+                    onMouseLeave={this.handleMouseLeave}
+                    onToggle={this.props.host ? this.handleToggle : null}
+                />
+            </React.Fragment>
         );
     }
 }
@@ -285,10 +645,17 @@ Backpack.propTypes = {
     intl: intlShape,
     host: PropTypes.string,
     token: PropTypes.string,
+    authHeader: PropTypes.string,
+    pageSize: PropTypes.number,
     username: PropTypes.string,
     vm: PropTypes.instanceOf(VM)
 };
 
+Backpack.defaultProps = {
+    authHeader: DEFAULT_AUTH_HEADER,
+    pageSize: DEFAULT_PAGE_SIZE
+};
+
 const getTokenAndUsername = state => {
     // Look for the session state provided by scratch-www
     if (state.session && state.session.session && state.session.session.user) {
@@ -6,6 +6,7 @@ import VM from 'scratch-vm';
 
 import AssetPanel from '../components/asset-panel/asset-panel.jsx';
 import PaintEditorWrapper from './paint-editor-wrapper.jsx';
+import CostumeImportModal from './tw-costume-import-modal.jsx';
 import {connect} from 'react-redux';
 import {handleFileUpload, costumeUpload} from '../lib/file-uploader.js';
 import errorBoundaryHOC from '../lib/error-boundary-hoc.jsx';
@@ -13,6 +14,8 @@ import DragConstants from '../lib/drag-constants';
 import {emptyCostume} from '../lib/empty-assets';
 import sharedMessages from '../lib/shared-messages';
 import downloadBlob from '../lib/download-blob';
+import {isAnimatedImage} from '../lib/tw-animated-image';
+import log from '../lib/log';
 
 import {
     openCostumeLibrary,
@@ -29,6 +32,7 @@ import {showStandardAlert, closeAlertWithId} from '../reducers/alerts';
 
 import addLibraryBackdropIcon from '../components/asset-panel/icon--add-backdrop-lib.svg';
 import addLibraryCostumeIcon from '../components/asset-panel/icon--add-costume-lib.svg';
+import addSpriteSheetIcon from '../components/asset-panel/icon--add-sprite-sheet.svg';
 import fileUploadIcon from '../components/action-menu/icon--file-upload.svg';
 import paintIcon from '../components/action-menu/icon--paint.svg';
 import surpriseIcon from '../components/action-menu/icon--surprise.svg';
@@ -66,9 +70,27 @@ let messages = defineMessages({
         defaultMessage: 'Upload Costume',
         description: 'Button to add a costume by uploading a file in the editor tab',
         id: 'gui.costumeTab.addFileCostume'
+    },
+    addSpriteSheetMsg: {
+        defaultMessage: 'Upload Sprite Sheet',
+        description: 'Button to split an image into several costumes in the editor tab',
+        id: 'tw.costumeTab.addSpriteSheet'
     }
 });
 
+/**
+ * @param {ArrayBuffer} data File contents
+ * @returns {object|null} Parsed JSON, or null if it's invalid
+ */
+const parseJSONFile = data => {
+    try {
+        return JSON.parse(new TextDecoder().decode(data));
+    } catch (e) {
+        log.warn('Could not parse atlas', e);
+        return null;
+    }
+};
+
 messages = {...messages, ...sharedMessages};
 
 class CostumeTab extends React.Component {
@@ -85,8 +107,14 @@ class CostumeTab extends React.Component {
             'handleSurpriseBackdrop',
             'handleFileUploadClick',
             'handleCostumeUpload',
+            'handleSpriteSheetUploadClick',
+            'handleSpriteSheetUpload',
+            'handleImportFrames',
+            'handleImportUnchanged',
+            'handleCancelImport',
             'handleDrop',
-            'setFileInput'
+            'setFileInput',
+            'setSpriteSheetInput'
         ]);
         const {
             editingTarget,
@@ -94,11 +122,12 @@ class CostumeTab extends React.Component {
             stage
         } = props;
         const target = editingTarget && sprites[editingTarget] ? sprites[editingTarget] : stage;
-        if (target && target.currentCostume) {
-            this.state = {selectedCostumeIndex: target.currentCostume};
-        } else {
-            this.state = {selectedCostumeIndex: 0};
-        }
+        this.state = {
+            selectedCostumeIndex: target && target.currentCostume ? target.currentCostume : 0,
+            // Images waiting for the user to choose how to split them
+            pendingImports: []
+        };
+        this.lastPendingImportId = 0;
     }
     componentWillReceiveProps (nextProps) {
         const {
@@ -195,25 +224,109 @@ class CostumeTab extends React.Component {
         this.handleNewCostume(vmCostume);
     }
     handleCostumeUpload (e) {
-        const vm = this.props.vm;
+        this.readCostumeFiles(e.target, false);
+    }
+    handleSpriteSheetUpload (e) {
+        this.readCostumeFiles(e.target, true);
+    }
+    readCostumeFiles (fileInput, isSpriteSheet) {
         const targetId = this.props.vm.editingTarget.id;
+        const files = [];
         this.props.onShowImporting();
-        handleFileUpload(e.target, (buffer, fileType, fileName, fileIndex, fileCount) => {
-            costumeUpload(buffer, fileType, vm, vmCostumes => {
-                vmCostumes.forEach((costume, i) => {
-                    costume.name = `${fileName}${i ? i + 1 : ''}`;
+        handleFileUpload(fileInput, (data, type, name, fileIndex, fileCount) => {
+            files.push({data, type, name});
+            if (fileIndex === fileCount - 1) {
+                this.importCostumeFiles(files, targetId, isSpriteSheet);
+            }
+        }, this.props.onCloseImporting);
+    }
+    importCostumeFiles (files, targetId, isSpriteSheet) {
+        // JSON files are atlases for the image with the same name
+        const atlases = files.filter(file => file.type === 'application/json');
+        const images = files.filter(file => file.type !== 'application/json');
+        const immediate = [];
+        const pending = [];
+        for (const file of images) {
+            let atlasFile = atlases.find(atlas => atlas.name === file.name);
+            if (!atlasFile && images.length === 1 && atlases.length === 1) {
+                atlasFile = atlases[0];
+            }
+            if (isSpriteSheet || atlasFile || isAnimatedImage(file.data, file.type)) {
+                pending.push({
+                    id: ++this.lastPendingImportId,
+                    file,
+                    atlas: atlasFile ? {
+                        name: `${atlasFile.name}.json`,
+                        json: parseJSONFile(atlasFile.data)
+                    } : null,
+                    targetId
                 });
-                this.handleNewCostume(vmCostumes, false, targetId).then(() => {
-                    if (fileIndex === fileCount - 1) {
-                        this.props.onCloseImporting();
-                    }
+            } else {
+                immediate.push(file);
+            }
+        }
+        if (pending.length) {
+            this.setState(state => ({
+                pendingImports: state.pendingImports.concat(pending)
+            }));
+        }
+        Promise.all(immediate.map(file => this.uploadCostumeFile(file, targetId)))
+            .catch(err => {
+                log.error(err);
+            })
+            .then(() => {
+                this.props.onCloseImporting();
+            });
+    }
+    uploadCostumeFile (file, targetId) {
+        return new Promise((resolve, reject) => {
+            costumeUpload(file.data, file.type, this.props.vm, vmCostumes => {
+                vmCostumes.forEach((costume, i) => {
+                    costume.name = `${file.name}${i ? i + 1 : ''}`;
                 });
-            }, this.props.onCloseImporting);
-        }, this.props.onCloseImporting);
+                this.handleNewCostume(vmCostumes, false, targetId).then(resolve, reject);
+            }, reject);
+        });
+    }
+    uploadFrames (frames, targetId) {
+        return Promise.all(frames.map(frame => new Promise((resolve, reject) => {
+            costumeUpload(frame.dataURL, 'image/png', this.props.vm, vmCostumes => {
+                vmCostumes[0].name = frame.name;
+                resolve(vmCostumes[0]);
+            }, reject);
+        }))).then(vmCostumes => this.handleNewCostume(vmCostumes, false, targetId));
+    }
+    finishPendingImport (upload) {
+        const {file, targetId} = this.state.pendingImports[0];
+        this.setState(state => ({
+            pendingImports: state.pendingImports.slice(1)
+        }));
+        this.props.onShowImporting();
+        upload(file, targetId)
+            .catch(err => {
+                log.error(err);
+            })
+            .then(() => {
+                this.props.onCloseImporting();
+            });
+    }
+    handleImportFrames (frames) {
+        this.finishPendingImport((file, targetId) => this.uploadFrames(frames, targetId));
+    }
+    handleImportUnchanged () {
+        this.finishPendingImport((file, targetId) => this.uploadCostumeFile(file, targetId));
+    }
+    handleCancelImport () {
+        this.setState(state => ({
+            pendingImports: state.pendingImports.slice(1)
+        }));
     }
     handleFileUploadClick () {
         this.fileInput.click();
     }
+    handleSpriteSheetUploadClick () {
+        this.spriteSheetInput.click();
+    }
     handleDrop (dropInfo) {
         if (dropInfo.dragType === DragConstants.COSTUME) {
             const sprite = this.props.vm.editingTarget.sprite;
@@ -236,6 +349,9 @@ class CostumeTab extends React.Component {
     setFileInput (input) {
         this.fileInput = input;
     }
+    setSpriteSheetInput (input) {
+        this.spriteSheetInput = input;
+    }
     formatCostumeDetails (size, optResolution) {
         // If no resolution is given, assume that the costume is an SVG
         const resolution = optResolution ? optResolution : 1;
@@ -290,6 +406,15 @@ class CostumeTab extends React.Component {
                         fileInput: this.setFileInput,
                         fileMultiple: true
                     },
+                    {
+                        title: intl.formatMessage(messages.addSpriteSheetMsg),
+                        img: addSpriteSheetIcon,
+                        onClick: this.handleSpriteSheetUploadClick,
+                        fileAccept: '.png, .bmp, .jpg, .jpeg, .jfif, .webp, .gif, .json',
+                        fileChange: this.handleSpriteSheetUpload,
+                        fileInput: this.setSpriteSheetInput,
+                        fileMultiple: true
+                    },
                     {
                         title: intl.formatMessage(messages.addSurpriseCostumeMsg),
                         img: surpriseIcon,
@@ -323,6 +448,17 @@ class CostumeTab extends React.Component {
                     /> :
                     null
                 }
+                {this.state.pendingImports.length ? (
+                    <CostumeImportModal
+                        atlas={this.state.pendingImports[0].atlas}
+                        file={this.state.pendingImports[0].file}
+                        // Each file gets a fresh modal
+                        key={this.state.pendingImports[0].id}
+                        onCancel={this.handleCancelImport}
+                        onImport={this.handleImportFrames}
+                        onImportUnchanged={this.handleImportUnchanged}
+                    />
+                ) : null}
             </AssetPanel>
         );
     }
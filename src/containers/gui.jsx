@@ -177,6 +177,9 @@ const mapStateToProps = state => {
         fontsModalVisible: state.scratchGui.modals.fontsModal,
         unknownPlatformModalVisible: state.scratchGui.modals.unknownPlatformModal,
         invalidProjectModalVisible: state.scratchGui.modals.invalidProjectModal,
+        cloudInspectorModalVisible: state.scratchGui.modals.cloudInspectorModal,
+        exportHTMLModalVisible: state.scratchGui.modals.exportHTMLModal,
+        themeEditorModalVisible: state.scratchGui.modals.themeEditorModal,
         vm: state.scratchGui.vm
     };
 };
@@ -5,6 +5,7 @@ import VM from 'scratch-vm';
 import {connect} from 'react-redux';
 import {getEventXY} from '../lib/touch-utils';
 import {getVariableValue, setVariableValue} from '../lib/variable-utils';
+import {searchList, splitLines} from '../lib/tw-list-data';
 import ListMonitorComponent from '../components/monitor/list-monitor.jsx';
 import {Map} from 'immutable';
 
@@ -19,12 +20,16 @@ class ListMonitor extends React.Component {
             'handleKeyPress',
             'handleFocus',
             'handleAdd',
+            'handlePaste',
+            'handleSearch',
+            'handleCloseSearch',
             'handleResizeMouseDown'
         ]);
 
         this.state = {
             activeIndex: null,
             activeValue: null,
+            searchQuery: '',
             width: props.width || 100,
             height: props.height || 200
         };
@@ -72,7 +77,15 @@ class ListMonitor extends React.Component {
         else if (e.key === 'ArrowDown') navigateDirection = 1;
         if (navigateDirection) {
             this.handleDeactivate(); // Submit in-progress edits
-            const newIndex = this.wrapListIndex(previouslyActiveIndex + navigateDirection, this.props.value.length);
+            const matches = this.getSearchMatches();
+            let newIndex;
+            if (matches) {
+                // Only move between items that are visible
+                const position = matches.indexOf(previouslyActiveIndex);
+                newIndex = matches[this.wrapListIndex(position + navigateDirection, matches.length)];
+            } else {
+                newIndex = this.wrapListIndex(previouslyActiveIndex + navigateDirection, this.props.value.length);
+            }
             this.setState({
                 activeIndex: newIndex,
                 activeValue: this.props.value[newIndex]
@@ -80,6 +93,7 @@ class ListMonitor extends React.Component {
             e.preventDefault(); // Stop default tab behavior, handled by this state change
         } else if (e.key === 'Enter') {
             this.handleDeactivate(); // Submit in-progress edits
+            this.closeSearch(); // The new blank item would not be visible otherwise
             const newListItemValue = ''; // Enter adds a blank item
             const newValueOffset = e.shiftKey ? 0 : 1; // Shift-enter inserts above
             const listValue = getVariableValue(vm, targetId, variableId);
@@ -107,6 +121,11 @@ class ListMonitor extends React.Component {
         const newListValue = listValue.slice(0, this.state.activeIndex)
             .concat(listValue.slice(this.state.activeIndex + 1));
         setVariableValue(vm, targetId, variableId, newListValue);
+        if (this.getSearchMatches()) {
+            // The next item might not match the search
+            this.setState({activeIndex: null, activeValue: null});
+            return;
+        }
         const newActiveIndex = Math.min(newListValue.length - 1, this.state.activeIndex);
         this.setState({
             activeIndex: newActiveIndex,
@@ -114,8 +133,49 @@ class ListMonitor extends React.Component {
         });
     }
 
+    handlePaste (e) {
+        // Pasting several lines adds one item for each line
+        const lines = splitLines(e.clipboardData.getData('text'));
+        if (lines.length < 2) {
+            return;
+        }
+        e.preventDefault();
+        const input = e.target;
+        const before = input.value.substring(0, input.selectionStart);
+        const after = input.value.substring(input.selectionEnd);
+        const newItems = lines.slice();
+        newItems[0] = before + newItems[0];
+        newItems[newItems.length - 1] += after;
+
+        const {vm, targetId, id: variableId} = this.props;
+        const activeIndex = this.state.activeIndex;
+        const newListValue = getVariableValue(vm, targetId, variableId);
+        newListValue.splice(activeIndex, 1, ...newItems);
+        setVariableValue(vm, targetId, variableId, newListValue);
+        this.closeSearch();
+        const newActiveIndex = activeIndex + newItems.length - 1;
+        this.setState({
+            activeIndex: newActiveIndex,
+            activeValue: newItems[newItems.length - 1]
+        });
+    }
+
+    handleCloseSearch () {
+        this.setState({searchQuery: ''});
+        this.props.onCloseSearch();
+    }
+
+    handleSearch (e) {
+        this.setState({
+            searchQuery: e.target.value,
+            activeIndex: null,
+            activeValue: null
+        });
+    }
+
     handleAdd () {
         // Add button appends a blank value and switches to it
+        this.closeSearch();
         const {vm, targetId, id: variableId} = this.props;
         const newListValue = getVariableValue(vm, targetId, variableId).concat(['']);
         setVariableValue(vm, targetId, variableId, newListValue);
@@ -157,6 +217,32 @@ class ListMonitor extends React.Component {
         return (index + length) % length;
     }
 
+    closeSearch () {
+        if (this.props.searching) {
+            this.handleCloseSearch();
+        }
+    }
+
+    /**
+     * @returns {number[]|null} Indexes of the items that match the search, or null if not searching.
+     */
+    getSearchMatches () {
+        if (!this.props.searching || !this.state.searchQuery) {
+            return null;
+        }
+        // Searching a very long list is slow, so only do it again when something changed
+        const value = this.props.value;
+        const query = this.state.searchQuery;
+        if (!this.searchCache || this.searchCache.value !== value || this.searchCache.query !== query) {
+            this.searchCache = {
+                value,
+                query,
+                matches: searchList(value, query)
+            };
+        }
+        return this.searchCache.matches;
+    }
+
     render () {
         const {
             vm, // eslint-disable-line no-unused-vars
@@ -168,15 +254,20 @@ class ListMonitor extends React.Component {
                 activeIndex={this.state.activeIndex}
                 activeValue={this.state.activeValue}
                 height={this.state.height}
+                searchMatches={this.getSearchMatches()}
+                searchQuery={this.state.searchQuery}
                 width={this.state.width}
                 onActivate={this.handleActivate}
                 onAdd={this.handleAdd}
+                onCloseSearch={this.handleCloseSearch}
                 onDeactivate={this.handleDeactivate}
                 onFocus={this.handleFocus}
                 onInput={this.handleInput}
                 onKeyPress={this.handleKeyPress}
+                onPaste={this.handlePaste}
                 onRemove={this.handleRemove}
                 onResizeMouseDown={this.handleResizeMouseDown}
+                onSearch={this.handleSearch}
             />
         );
     }
@@ -185,14 +276,17 @@ class ListMonitor extends React.Component {
 ListMonitor.propTypes = {
     height: PropTypes.number,
     id: PropTypes.string,
+    onCloseSearch: PropTypes.func,
     customStageSize: PropTypes.shape({
         width: PropTypes.number,
         height: PropTypes.number
     }),
+    searching: PropTypes.bool,
     targetId: PropTypes.string,
     value: PropTypes.oneOfType([
         PropTypes.number,
-        PropTypes.string
+        PropTypes.string,
+        PropTypes.array
     ]),
     vm: PropTypes.instanceOf(VM),
     width: PropTypes.number,
@@ -1,7 +1,7 @@
 import bindAll from 'lodash.bindall';
 import React from 'react';
 import PropTypes from 'prop-types';
-import {injectIntl, intlShape, defineMessages} from 'react-intl';
+import {injectIntl, intlShape} from 'react-intl';
 
 import monitorAdapter from '../lib/monitor-adapter.js';
 import MonitorComponent, {monitorModes} from '../components/monitor/monitor.jsx';
@@ -9,12 +9,26 @@ import {addMonitorRect, getInitialPosition, resizeMonitorRect, removeMonitorRect
 import {getVariable, setVariableValue} from '../lib/variable-utils';
 import importCSV from '../lib/import-csv';
 import downloadBlob from '../lib/download-blob';
+import log from '../lib/log';
 import {Theme} from '../lib/themes';
+import {
+    FORMAT_TXT,
+    getColumn,
+    getColumnCount,
+    getColumnNames,
+    getContentType,
+    getListNamesForColumns,
+    guessHasHeader,
+    serializeList,
+    sortList
+} from '../lib/tw-list-data';
 import SliderPrompt from './slider-prompt.jsx';
+import ListImportPrompt from './tw-list-import-prompt.jsx';
 
 import {connect} from 'react-redux';
 import {Map} from 'immutable';
 import VM from 'scratch-vm';
+import uid from 'scratch-vm/src/util/uid';
 
 const availableModes = opcode => (
     monitorModes.filter(t => {
@@ -27,14 +41,6 @@ const availableModes = opcode => (
     })
 );
 
-const messages = defineMessages({
-    columnPrompt: {
-        defaultMessage: 'Which column should be used (1-{numberOfColumns})?',
-        description: 'Prompt for which column should be used',
-        id: 'gui.monitors.importListColumnPrompt'
-    }
-});
-
 class Monitor extends React.Component {
     constructor (props) {
         super(props);
@@ -49,11 +55,18 @@ class Monitor extends React.Component {
             'handleSliderPromptOk',
             'handleSliderPromptOpen',
             'handleImport',
+            'handleListImportClose',
+            'handleListImportOk',
             'handleExport',
+            'handleSort',
+            'handleOpenSearch',
+            'handleCloseSearch',
             'setElement'
         ]);
         this.state = {
-            sliderPrompt: false
+            sliderPrompt: false,
+            listImport: null,
+            searching: false
         };
     }
     componentDidMount () {
@@ -175,31 +188,75 @@ class Monitor extends React.Component {
         this.element = monitorElt;
     }
     handleImport () {
-        importCSV().then(async ({rows, text}) => {
-            const numberOfColumns = rows[0].length;
-            let columnNumber = 1;
-            if (numberOfColumns > 1) {
-                const msg = this.props.intl.formatMessage(messages.columnPrompt, {numberOfColumns});
-                // prompt() returns Promise in desktop app
-                columnNumber = parseInt(await prompt(msg), 10); // eslint-disable-line no-alert
-            }
-            let newListValue;
-            if (isNaN(columnNumber) || numberOfColumns === 1) {
-                newListValue = text.replace(/\r/g, '').split('\n');
+        importCSV().then(({rows}) => {
+            if (getColumnCount(rows) > 1) {
+                this.setState({listImport: {rows}});
             } else {
-                newListValue = rows.map(row => row[columnNumber - 1])
-                    .filter(item => typeof item === 'string'); // CSV importer can leave undefineds
+                this.setListValue(getColumn(rows, 0, false));
+            }
+        })
+            .catch(err => {
+                log.error('Could not import list', err);
+            });
+    }
+    handleListImportClose () {
+        this.setState({listImport: null});
+    }
+    handleListImportOk ({allColumns, column, hasHeader}) {
+        const rows = this.state.listImport.rows;
+        this.handleListImportClose();
+        if (!allColumns) {
+            this.setListValue(getColumn(rows, column, hasHeader));
+            return;
+        }
+
+        const {vm, targetId, id: variableId} = this.props;
+        const listName = getVariable(vm, targetId, variableId).name;
+        const listNames = getListNamesForColumns(getColumnNames(rows, hasHeader), listName);
+        this.setListValue(getColumn(rows, 0, hasHeader));
+
+        // New lists go in the same sprite as this one
+        const target = targetId ? vm.runtime.getTargetById(targetId) : vm.runtime.getTargetForStage();
+        let createdList = false;
+        for (let i = 1; i < listNames.length; i++) {
+            let list = target.lookupVariableByNameAndType(listNames[i], 'list');
+            if (!list) {
+                const id = uid();
+                target.createVariable(id, listNames[i], 'list');
+                list = target.variables[id];
+                createdList = true;
             }
-            const {vm, targetId, id: variableId} = this.props;
-            setVariableValue(vm, targetId, variableId, newListValue);
-        });
+            list.value = getColumn(rows, i, hasHeader);
+            list._monitorUpToDate = false;
+        }
+        if (createdList) {
+            // Make the new lists appear in the palette
+            vm.emitWorkspaceUpdate();
+        }
+        vm.runtime.emitProjectChanged();
     }
-    handleExport () {
+    setListValue (value) {
+        const {vm, targetId, id: variableId} = this.props;
+        setVariableValue(vm, targetId, variableId, value);
+    }
+    handleExport (e, data) {
+        const format = (data && data.format) || FORMAT_TXT;
         const {vm, targetId, id: variableId} = this.props;
         const variable = getVariable(vm, targetId, variableId);
-        const text = variable.value.join('\r\n');
-        const blob = new Blob([text], {type: 'text/plain;charset=utf-8'});
-        downloadBlob(`${variable.name}.txt`, blob);
+        const text = serializeList(variable.value, format);
+        const blob = new Blob([text], {type: getContentType(format)});
+        downloadBlob(`${variable.name}.${format}`, blob);
+    }
+    handleSort (e, data) {
+        const {vm, targetId, id: variableId} = this.props;
+        const variable = getVariable(vm, targetId, variableId);
+        this.setListValue(sortList(variable.value, data.descending));
+    }
+    handleOpenSearch () {
+        this.setState({searching: true});
+    }
+    handleCloseSearch () {
+        this.setState({searching: false});
     }
     render () {
         const monitorProps = monitorAdapter(this.props);
@@ -214,6 +271,13 @@ class Monitor extends React.Component {
                     onCancel={this.handleSliderPromptClose}
                     onOk={this.handleSliderPromptOk}
                 />}
+                {this.state.listImport && <ListImportPrompt
+                    defaultHasHeader={guessHasHeader(this.state.listImport.rows)}
+                    listName={getVariable(this.props.vm, this.props.targetId, this.props.id).name}
+                    rows={this.state.listImport.rows}
+                    onCancel={this.handleListImportClose}
+                    onOk={this.handleListImportOk}
+                />}
                 <MonitorComponent
                     componentRef={this.setElement}
                     {...monitorProps}
@@ -230,12 +294,16 @@ class Monitor extends React.Component {
                     onDragEnd={this.handleDragEnd}
                     onExport={isList ? this.handleExport : null}
                     onImport={isList ? this.handleImport : null}
+                    searching={isList && this.state.searching}
+                    onCloseSearch={isList ? this.handleCloseSearch : null}
                     onHide={this.handleHide}
                     onNextMode={this.handleNextMode}
+                    onOpenSearch={isList ? this.handleOpenSearch : null}
                     onSetModeToDefault={isList ? null : this.handleSetModeToDefault}
                     onSetModeToLarge={isList ? null : this.handleSetModeToLarge}
                     onSetModeToSlider={showSliderOption ? this.handleSetModeToSlider : null}
                     onSliderPromptOpen={this.handleSliderPromptOpen}
+                    onSort={isList ? this.handleSort : null}
                 />
             </React.Fragment>
         );
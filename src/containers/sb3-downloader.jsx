@@ -5,10 +5,12 @@ import {connect} from 'react-redux';
 import {projectTitleInitialState, setProjectTitle} from '../reducers/project-title';
 import downloadBlob from '../lib/download-blob';
 import {setProjectUnchanged} from '../reducers/project-changed';
-import {showStandardAlert, showAlertWithTimeout} from '../reducers/alerts';
+import {showStandardAlert, showAlertWithTimeout, closeAlertWithId} from '../reducers/alerts';
 import {setFileHandle} from '../reducers/tw';
 import {getIsShowingProject} from '../reducers/project-state';
 import log from '../lib/log';
+import {writeProjectStream} from '../lib/tw-save-to-file';
+import {saveProjectToFolder} from '../lib/tw-project-folder';
 
 // from sb-file-uploader-hoc.jsx
 const getProjectTitleFromFilename = fileInputFilename => {
@@ -20,33 +22,6 @@ const getProjectTitleFromFilename = fileInputFilename => {
     return matches[1].substring(0, 100); // truncate project title to max 100 chars
 };
 
-/**
- * @param {Uint8Array[]} arrays List of byte arrays
- * @returns {number} Total length of the arrays
- */
-const getLengthOfByteArrays = arrays => {
-    let length = 0;
-    for (let i = 0; i < arrays.length; i++) {
-        length += arrays[i].byteLength;
-    }
-    return length;
-};
-
-/**
- * @param {Uint8Array[]} arrays List of byte arrays
- * @returns {Uint8Array} One big array containing all of the little arrays in order.
- */
-const concatenateByteArrays = arrays => {
-    const totalLength = getLengthOfByteArrays(arrays);
-    const newArray = new Uint8Array(totalLength);
-    let p = 0;
-    for (let i = 0; i < arrays.length; i++) {
-        newArray.set(arrays[i], p);
-        p += arrays[i].byteLength;
-    }
-    return newArray;
-};
-
 /**
  * Project saver component passes a downloadProject function to its child.
  * It expects this child to be a function with the signature
@@ -67,6 +42,7 @@ class SB3Downloader extends React.Component {
         bindAll(this, [
             'downloadProject',
             'saveAsNew',
+            'saveAsFolder',
             'saveToLastFile',
             'saveToLastFileOrNew'
         ]);
@@ -74,9 +50,16 @@ class SB3Downloader extends React.Component {
     startedSaving () {
         this.props.onShowSavingAlert();
     }
-    finishedSaving () {
-        this.props.onProjectUnchanged();
-        this.props.onShowSaveSuccessAlert();
+    /**
+     * @param {boolean} [saved] False if saving failed. The error should be passed to handleSaveError().
+     */
+    finishedSaving (saved = true) {
+        if (saved) {
+            this.props.onProjectUnchanged();
+            this.props.onShowSaveSuccessAlert();
+        } else {
+            this.props.onCloseSavingAlert();
+        }
         if (this.props.onSaveFinished) {
             this.props.onSaveFinished();
         }
@@ -118,6 +101,22 @@ class SB3Downloader extends React.Component {
             this.handleSaveError(e);
         }
     }
+    async saveAsFolder () {
+        if (!this.props.canSaveProject) {
+            return;
+        }
+        try {
+            const handle = await this.props.showDirectoryPicker({
+                id: 'project-folder',
+                mode: 'readwrite'
+            });
+            await this.saveToHandle(handle);
+            this.props.onSetFileHandle(handle);
+            this.props.onSetProjectTitle(handle.name.substring(0, 100));
+        } catch (e) {
+            this.handleSaveError(e);
+        }
+    }
     async saveToLastFile () {
         try {
             await this.saveToHandle(this.props.fileHandle);
@@ -136,105 +135,19 @@ class SB3Downloader extends React.Component {
             return;
         }
 
-        const writable = await handle.createWritable();
+        const writable = handle.kind === 'directory' ? null : await handle.createWritable();
         this.startedSaving();
-
-        await new Promise((resolve, reject) => {
-            // Projects can be very large, so we'll utilize JSZip's stream API to avoid having the
-            // entire sb3 in memory at the same time.
-            const jszipStream = this.props.saveProjectSb3Stream();
-
-            const abortController = new AbortController();
-            jszipStream.on('error', error => {
-                abortController.abort(error);
-            });
-
-            // JSZip's stream pause() and resume() methods are not necessarily completely no-ops
-            // if they are already paused or resumed. These also make it easier to add debug
-            // logging of when we actually pause or resume.
-            // Note that JSZip will keep sending some data after you ask it to pause.
-            let jszipStreamRunning = false;
-            const pauseJSZipStream = () => {
-                if (jszipStreamRunning) {
-                    jszipStreamRunning = false;
-                    jszipStream.pause();
-                }
-            };
-            const resumeJSZipStream = () => {
-                if (!jszipStreamRunning) {
-                    jszipStreamRunning = true;
-                    jszipStream.resume();
-                }
-            };
-
-            // Allow the JSZip stream to run quite a bit ahead of file writing. This helps
-            // reduce zip stream pauses on systems with high latency storage.
-            const HIGH_WATER_MARK_BYTES = 1024 * 1024 * 5;
-
-            // Minimum size of buffer to pass into write(). Small buffers will be queued and
-            // written in batches as they reach or exceed this size.
-            const WRITE_BUFFER_TARGET_SIZE_BYTES = 1024 * 1024;
-
-            const zipStream = new ReadableStream({
-                start: controller => {
-                    jszipStream.on('data', data => {
-                        controller.enqueue(data);
-                        if (controller.desiredSize <= 0) {
-                            pauseJSZipStream();
-                        }
-                    });
-                    jszipStream.on('end', () => {
-                        controller.close();
-                    });
-                    resumeJSZipStream();
-                },
-                pull: () => {
-                    resumeJSZipStream();
-                },
-                cancel: () => {
-                    pauseJSZipStream();
-                }
-            }, new ByteLengthQueuingStrategy({
-                highWaterMark: HIGH_WATER_MARK_BYTES
-            }));
-
-            const queuedChunks = [];
-            const fileStream = new WritableStream({
-                write: chunk => {
-                    queuedChunks.push(chunk);
-                    const currentSize = getLengthOfByteArrays(queuedChunks);
-                    if (currentSize >= WRITE_BUFFER_TARGET_SIZE_BYTES) {
-                        const newBuffer = concatenateByteArrays(queuedChunks);
-                        queuedChunks.length = 0;
-                        return writable.write(newBuffer);
-                    }
-                    // Otherwise wait for more data
-                },
-                close: async () => {
-                    // Write the last batch of data.
-                    const lastBuffer = concatenateByteArrays(queuedChunks);
-                    if (lastBuffer.byteLength) {
-                        await writable.write(lastBuffer);
-                    }
-                    // File handle must be closed at the end to actually save the file.
-                    await writable.close();
-                },
-                abort: async () => {
-                    await writable.abort();
-                }
-            });
-
-            zipStream.pipeTo(fileStream, {
-                signal: abortController.signal
-            })
-                .then(() => {
-                    this.finishedSaving();
-                    resolve();
-                })
-                .catch(error => {
-                    reject(error);
-                });
-        });
+        let saved = false;
+        try {
+            if (writable) {
+                await writeProjectStream(writable, this.props.saveProjectSb3Stream());
+            } else {
+                await saveProjectToFolder(handle, await this.props.saveProjectSb3('arraybuffer'));
+            }
+            saved = true;
+        } finally {
+            this.finishedSaving(saved);
+        }
     }
     handleSaveError (e) {
         // AbortError can happen when someone cancels the file selector dialog
@@ -255,6 +168,7 @@ class SB3Downloader extends React.Component {
                 available: true,
                 name: this.props.fileHandle ? this.props.fileHandle.name : null,
                 saveAsNew: this.saveAsNew,
+                saveAsFolder: this.props.showDirectoryPicker ? this.saveAsFolder : null,
                 saveToLastFile: this.saveToLastFile,
                 saveToLastFileOrNew: this.saveToLastFileOrNew,
                 smartSave: this.saveToLastFileOrNew
@@ -288,13 +202,16 @@ SB3Downloader.propTypes = {
     onSetFileHandle: PropTypes.func,
     onSetProjectTitle: PropTypes.func,
     onShowSavingAlert: PropTypes.func,
+    onCloseSavingAlert: PropTypes.func,
     onShowSaveSuccessAlert: PropTypes.func,
     onShowSaveErrorAlert: PropTypes.func,
     onProjectUnchanged: PropTypes.func,
+    showDirectoryPicker: PropTypes.func,
     showSaveFilePicker: PropTypes.func
 };
 SB3Downloader.defaultProps = {
     className: '',
+    showDirectoryPicker: typeof showDirectoryPicker === 'function' ? window.showDirectoryPicker.bind(window) : null,
     showSaveFilePicker: typeof showSaveFilePicker === 'function' ? window.showSaveFilePicker.bind(window) : null
 };
 
@@ -310,6 +227,7 @@ const mapDispatchToProps = dispatch => ({
     onSetFileHandle: fileHandle => dispatch(setFileHandle(fileHandle)),
     onSetProjectTitle: title => dispatch(setProjectTitle(title)),
     onShowSavingAlert: () => showAlertWithTimeout(dispatch, 'saving'),
+    onCloseSavingAlert: () => dispatch(closeAlertWithId('saving')),
     onShowSaveSuccessAlert: () => showAlertWithTimeout(dispatch, 'twSaveToDiskSuccess'),
     onShowSaveErrorAlert: () => dispatch(showStandardAlert('savingError')),
     onProjectUnchanged: () => dispatch(setProjectUnchanged())
@@ -13,8 +13,17 @@ import {
     dropEveryOtherSample
 } from '../lib/audio/audio-util.js';
 import AudioEffects from '../lib/audio/audio-effects.js';
+import {
+    createStackedEffect,
+    moveStackedEffect,
+    removeStackedEffect,
+    renderEffectStack,
+    setStackedEffectParameter
+} from '../lib/audio/effect-stack.js';
+import {mixSamples, resample} from '../lib/audio/sample-effects.js';
 import SoundEditorComponent from '../components/sound-editor/sound-editor.jsx';
 import AudioBufferPlayer from '../lib/audio/audio-buffer-player.js';
+import SharedAudioContext from '../lib/audio/shared-audio-context.js';
 import log from '../lib/log.js';
 
 const UNDO_STACK_SIZE = 99;
@@ -36,6 +45,15 @@ class SoundEditor extends React.Component {
             'handleDelete',
             'handleUpdateTrim',
             'handleEffect',
+            'handleApplyEdits',
+            'handleDiscardEdits',
+            'handleMoveEffect',
+            'handleRemoveEffect',
+            'handleChangeEffectParameter',
+            'handlePasteAsTrack',
+            'handleChangeTrackOffset',
+            'handleChangeTrackVolume',
+            'handleRemoveTrack',
             'handleUndo',
             'handleRedo',
             'submitNewSamples',
@@ -52,12 +70,22 @@ class SoundEditor extends React.Component {
             chunkLevels: computeChunkedRMS(this.props.samples),
             playhead: null, // null is not playing, [0 -> 1] is playing percent
             trimStart: null,
-            trimEnd: null
+            trimEnd: null,
+            effectStack: [],
+            track: null
         };
 
         this.redoStack = [];
         this.undoStack = [];
 
+        // Effects in the effect stack and the second track are previewed without changing the sound in the
+        // VM until they are applied. This is the sound and selection from before then.
+        this.pendingEditsBase = null;
+        // Resolves with the samples of the most recent preview
+        this.previewPromise = null;
+        // Used to ignore previews that finish rendering after a newer one was started
+        this.previewId = 0;
+
         this.ref = null;
     }
     componentDidMount () {
@@ -67,16 +95,20 @@ class SoundEditor extends React.Component {
     }
     componentWillReceiveProps (newProps) {
         if (newProps.soundId !== this.props.soundId) { // A different sound has been selected
+            this.savePendingEdits();
             this.redoStack = [];
             this.undoStack = [];
             this.resetState(newProps.samples, newProps.sampleRate);
             this.setState({
                 trimStart: null,
-                trimEnd: null
+                trimEnd: null,
+                effectStack: [],
+                track: null
             });
         }
     }
     componentWillUnmount () {
+        this.savePendingEdits();
         this.audioBufferPlayer.stop();
 
         document.removeEventListener('keydown', this.handleKeyPress);
@@ -117,7 +149,7 @@ class SoundEditor extends React.Component {
                     this.handleRedo();
                 }
             } else if (event.key === 'z') {
-                if (this.undoStack.length > 0) {
+                if (this.canUndo()) {
                     event.preventDefault();
                     this.handleUndo();
                 }
@@ -155,6 +187,8 @@ class SoundEditor extends React.Component {
                         }
                         this.undoStack.push(this.getUndoItem());
                     }
+                    // Any edits that were being previewed are now part of the sound
+                    this.clearPendingEdits();
                     this.resetState(newSamples, newSampleRate);
                     this.props.vm.updateSoundBuffer(
                         this.props.soundIndex,
@@ -247,29 +281,212 @@ class SoundEditor extends React.Component {
         };
     }
     handleEffect (name) {
-        const trimStart = this.state.trimStart === null ? 0.0 : this.state.trimStart;
-        const trimEnd = this.state.trimEnd === null ? 1.0 : this.state.trimEnd;
-
         // Offline audio context needs at least 2 samples
         if (this.audioBufferPlayer.buffer.length < 2) {
             return;
         }
 
-        const effects = new AudioEffects(this.audioBufferPlayer.buffer, name, trimStart, trimEnd);
-        effects.process((renderedBuffer, adjustedTrimStart, adjustedTrimEnd) => {
-            const samples = renderedBuffer.getChannelData(0);
-            const sampleRate = renderedBuffer.sampleRate;
-            this.submitNewSamples(samples, sampleRate).then(success => {
-                if (success) {
-                    if (this.state.trimStart === null) {
-                        this.handlePlay();
+        this.startPendingEdits();
+        this.setState(state => ({
+            effectStack: [...state.effectStack, createStackedEffect(name)]
+        }), () => this.renderPreview(true));
+    }
+    startPendingEdits () {
+        if (this.pendingEditsBase) {
+            return;
+        }
+        // Effects in the stack always apply to the selection from when the first one was added
+        this.pendingEditsBase = {
+            buffer: this.audioBufferPlayer.buffer,
+            trimStart: this.state.trimStart,
+            trimEnd: this.state.trimEnd
+        };
+    }
+    clearPendingEdits () {
+        this.pendingEditsBase = null;
+        this.previewPromise = null;
+        this.previewId++;
+        this.setState({
+            effectStack: [],
+            track: null
+        });
+    }
+    renderPreview (playWhenDone) {
+        const base = this.pendingEditsBase;
+        const {effectStack, track} = this.state;
+        const previewId = ++this.previewId;
+        this.previewPromise = renderEffectStack(
+            base.buffer,
+            effectStack,
+            base.trimStart === null ? 0 : base.trimStart,
+            base.trimEnd === null ? 1 : base.trimEnd
+        )
+            .catch(e => {
+                log.error('Could not render effect stack', e);
+                return {
+                    buffer: base.buffer,
+                    trimStart: base.trimStart,
+                    trimEnd: base.trimEnd
+                };
+            })
+            .then(({buffer, trimStart, trimEnd}) => {
+                let samples = buffer.getChannelData(0);
+                const sampleRate = buffer.sampleRate;
+                if (track) {
+                    let trackSamples = track.samples;
+                    if (track.sampleRate !== sampleRate) {
+                        trackSamples = resample(trackSamples,
+                            Math.round(trackSamples.length * sampleRate / track.sampleRate));
+                    }
+                    samples = mixSamples(samples, trackSamples,
+                        Math.floor(track.offset * sampleRate), track.volume / 100);
+                }
+                if (previewId === this.previewId) {
+                    this.resetState(samples, sampleRate);
+                    if (base.trimStart === null) {
+                        if (playWhenDone) {
+                            this.handlePlay();
+                        }
                     } else {
-                        this.setState({trimStart: adjustedTrimStart, trimEnd: adjustedTrimEnd}, this.handlePlay);
+                        this.setState({trimStart, trimEnd}, playWhenDone ? this.handlePlay : null);
                     }
                 }
+                return {samples, sampleRate};
             });
+    }
+    handleApplyEdits () {
+        const base = this.pendingEditsBase;
+        if (!base) {
+            return;
+        }
+        this.previewPromise.then(({samples, sampleRate}) => {
+            if (this.pendingEditsBase !== base) {
+                // Discarded or already applied while still rendering
+                return;
+            }
+            // Saves the sound from before the edits to the undo stack and clears the pending edits
+            this.submitNewSamples(samples, sampleRate);
+        });
+    }
+    handleDiscardEdits () {
+        const base = this.pendingEditsBase;
+        if (!base) {
+            return;
+        }
+        this.clearPendingEdits();
+        this.resetState(base.buffer.getChannelData(0), base.buffer.sampleRate);
+        this.setState({
+            trimStart: base.trimStart,
+            trimEnd: base.trimEnd
         });
     }
+    updatePendingEdits (newState) {
+        this.setState(newState, () => {
+            if (this.state.effectStack.length === 0 && !this.state.track) {
+                // Nothing left to preview
+                this.handleDiscardEdits();
+            } else {
+                this.renderPreview(false);
+            }
+        });
+    }
+    handleMoveEffect (id, direction) {
+        this.updatePendingEdits(state => ({
+            effectStack: moveStackedEffect(state.effectStack, id, direction)
+        }));
+    }
+    handleRemoveEffect (id) {
+        this.updatePendingEdits(state => ({
+            effectStack: removeStackedEffect(state.effectStack, id)
+        }));
+    }
+    handleChangeEffectParameter (id, parameter, value) {
+        this.updatePendingEdits(state => ({
+            effectStack: setStackedEffectParameter(state.effectStack, id, parameter, value)
+        }));
+    }
+    handlePasteAsTrack () {
+        const copyBuffer = this.state.copyBuffer;
+        if (!copyBuffer) return;
+        const sampleRate = (this.pendingEditsBase || this.audioBufferPlayer).buffer.sampleRate;
+        const resampled = copyBuffer.sampleRate === sampleRate ?
+            Promise.resolve(copyBuffer) :
+            this.resampleBufferToRate(copyBuffer, sampleRate);
+        resampled.then(({samples}) => {
+            this.startPendingEdits();
+            const base = this.pendingEditsBase;
+            this.setState({
+                track: {
+                    samples,
+                    sampleRate,
+                    chunkLevels: computeChunkedRMS(samples),
+                    // Start playing at the selection
+                    offset: base.trimStart === null ? 0 : +(base.trimStart * base.buffer.duration).toFixed(2),
+                    volume: 100
+                }
+            }, () => this.renderPreview(true));
+        });
+    }
+    handleChangeTrackOffset (offset) {
+        if (!Number.isFinite(offset)) return;
+        this.updatePendingEdits(state => ({
+            track: {
+                ...state.track,
+                offset: Math.max(0, offset)
+            }
+        }));
+    }
+    handleChangeTrackVolume (volume) {
+        if (!Number.isFinite(volume)) return;
+        this.updatePendingEdits(state => ({
+            track: {
+                ...state.track,
+                volume: Math.min(200, Math.max(0, volume))
+            }
+        }));
+    }
+    handleRemoveTrack () {
+        this.updatePendingEdits({
+            track: null
+        });
+    }
+    /**
+     * Save edits that are still being previewed when the editor is about to stop showing this sound,
+     * so that switching sounds doesn't throw them away. Doesn't update the editor.
+     */
+    savePendingEdits () {
+        if (!this.pendingEditsBase) {
+            return;
+        }
+        const {vm, soundId, soundIndex} = this.props;
+        const previewPromise = this.previewPromise;
+        this.pendingEditsBase = null;
+        this.previewPromise = null;
+        this.previewId++;
+        if (!previewPromise) {
+            return;
+        }
+        previewPromise
+            .then(buffer => downsampleIfNeeded(buffer, this.resampleBufferToRate))
+            .then(({samples, sampleRate}) => WavEncoder.encode({
+                sampleRate,
+                channelData: [samples]
+            }).then(wavBuffer => {
+                // The sound may have been deleted, or the editor is switching to a different sprite,
+                // in which case the index now refers to something else.
+                const sound = vm.editingTarget.sprite.sounds[soundIndex];
+                if (!sound || sound.soundId !== soundId) {
+                    log.warn('Sound changed before unapplied edits could be saved');
+                    return;
+                }
+                const audioBuffer = new SharedAudioContext().createBuffer(1, samples.length, sampleRate);
+                audioBuffer.getChannelData(0).set(samples);
+                vm.updateSoundBuffer(soundIndex, audioBuffer, new Uint8Array(wavBuffer));
+            }))
+            .catch(e => {
+                log.error(`Encountered error while trying to save unapplied edits: ${e.message}`);
+            });
+    }
     tooLoud () {
         const numChunks = this.state.chunkLevels.length;
         const startIndex = this.state.trimStart === null ?
@@ -285,7 +502,20 @@ class SoundEditor extends React.Component {
         }
         return max > MAX_RMS;
     }
+    canUndo () {
+        return this.undoStack.length > 0 || this.pendingEditsBase !== null;
+    }
     getUndoItem () {
+        if (this.pendingEditsBase) {
+            // Undoing goes back to before the edits that were being previewed
+            const {buffer, trimStart, trimEnd} = this.pendingEditsBase;
+            return {
+                samples: buffer.getChannelData(0),
+                sampleRate: buffer.sampleRate,
+                trimStart,
+                trimEnd
+            };
+        }
         return {
             ...this.copyCurrentBuffer(),
             trimStart: this.state.trimStart,
@@ -293,6 +523,10 @@ class SoundEditor extends React.Component {
         };
     }
     handleUndo () {
+        if (this.pendingEditsBase) {
+            this.handleDiscardEdits();
+            return;
+        }
         this.redoStack.push(this.getUndoItem());
         const {samples, sampleRate, trimStart, trimEnd} = this.undoStack.pop();
         if (samples) {
@@ -443,34 +677,51 @@ class SoundEditor extends React.Component {
                 size={this.props.size}
                 canPaste={this.state.copyBuffer !== null}
                 canRedo={this.redoStack.length > 0}
-                canUndo={this.undoStack.length > 0}
+                canUndo={this.canUndo()}
                 chunkLevels={this.state.chunkLevels}
+                effectStack={this.state.effectStack}
                 name={this.props.name}
                 playhead={this.state.playhead}
                 setRef={this.setRef}
                 tooLoud={this.tooLoud()}
+                track={this.state.track}
                 trimEnd={this.state.trimEnd}
                 trimStart={this.state.trimStart}
+                onApplyEdits={this.handleApplyEdits}
+                onChangeEffectParameter={this.handleChangeEffectParameter}
                 onChangeName={this.handleChangeName}
+                onChangeTrackOffset={this.handleChangeTrackOffset}
+                onChangeTrackVolume={this.handleChangeTrackVolume}
+                onCompressor={this.effectFactory(effectTypes.COMPRESSOR)}
                 onContainerClick={this.handleContainerClick}
                 onCopy={this.handleCopy}
                 onCopyToNew={this.handleCopyToNew}
                 onDelete={this.handleDelete}
+                onDiscardEdits={this.handleDiscardEdits}
                 onEcho={this.effectFactory(effectTypes.ECHO)}
+                onEqualizer={this.effectFactory(effectTypes.EQUALIZER)}
                 onFadeIn={this.effectFactory(effectTypes.FADEIN)}
                 onFadeOut={this.effectFactory(effectTypes.FADEOUT)}
                 onFaster={this.effectFactory(effectTypes.FASTER)}
                 onLouder={this.effectFactory(effectTypes.LOUDER)}
+                onMoveEffect={this.handleMoveEffect}
                 onMute={this.effectFactory(effectTypes.MUTE)}
+                onNoiseGate={this.effectFactory(effectTypes.NOISE_GATE)}
+                onNormalize={this.effectFactory(effectTypes.NORMALIZE)}
                 onPaste={this.handlePaste}
+                onPasteAsTrack={this.handlePasteAsTrack}
+                onPitch={this.effectFactory(effectTypes.PITCH)}
                 onPlay={this.handlePlay}
                 onRedo={this.handleRedo}
+                onRemoveEffect={this.handleRemoveEffect}
+                onRemoveTrack={this.handleRemoveTrack}
                 onReverse={this.effectFactory(effectTypes.REVERSE)}
                 onRobot={this.effectFactory(effectTypes.ROBOT)}
                 onSetTrim={this.handleUpdateTrim}
                 onSlower={this.effectFactory(effectTypes.SLOWER)}
                 onSofter={this.effectFactory(effectTypes.SOFTER)}
                 onStop={this.handleStopPlaying}
+                onTimeStretch={this.effectFactory(effectTypes.TIME_STRETCH)}
                 onUndo={this.handleUndo}
             />
         );
@@ -17,6 +17,8 @@ import RecordModal from './record-modal.jsx';
 import SoundEditor from './sound-editor.jsx';
 import SoundLibrary from './sound-library.jsx';
 import SoundEditorNotSupported from '../components/tw-sound-editor-not-supported/sound-editor-not-supported.jsx';
+import SoundExportModal from './tw-sound-export-modal.jsx';
+import SoundImportModal from './tw-sound-import-modal.jsx';
 
 import {getSoundLibrary} from '../lib/libraries/tw-async-libraries';
 import {handleFileUpload, soundUpload} from '../lib/file-uploader.js';
@@ -24,6 +26,8 @@ import errorBoundaryHOC from '../lib/error-boundary-hoc.jsx';
 import DragConstants from '../lib/drag-constants';
 import downloadBlob from '../lib/download-blob';
 import SharedAudioContext from '../lib/audio/shared-audio-context.js';
+import {analyzeSound, convertForImport, shouldConvertForImport} from '../lib/tw-sound-formats';
+import log from '../lib/log';
 
 import {connect} from 'react-redux';
 
@@ -53,10 +57,17 @@ class SoundTab extends React.Component {
             'handleSurpriseSound',
             'handleFileUploadClick',
             'handleSoundUpload',
+            'handleImportSounds',
+            'handleCancelImport',
+            'handleCloseExport',
             'handleDrop',
             'setFileInput'
         ]);
-        this.state = {selectedSoundIndex: 0};
+        this.state = {
+            selectedSoundIndex: 0,
+            exportingSoundIndex: null,
+            pendingImport: null
+        };
     }
 
     componentWillReceiveProps (nextProps) {
@@ -73,7 +84,10 @@ class SoundTab extends React.Component {
 
         // If switching editing targets, reset the sound index
         if (this.props.editingTarget !== editingTarget) {
-            this.setState({selectedSoundIndex: 0});
+            this.setState({
+                selectedSoundIndex: 0,
+                exportingSoundIndex: null
+            });
         } else if (this.state.selectedSoundIndex > target.sounds.length - 1) {
             this.setState({selectedSoundIndex: Math.max(target.sounds.length - 1, 0)});
         }
@@ -92,11 +106,19 @@ class SoundTab extends React.Component {
     }
 
     handleExportSound (soundIndex) {
+        if (this.isSupported()) {
+            this.setState({exportingSoundIndex: soundIndex});
+            return;
+        }
         const item = this.props.vm.editingTarget.sprite.sounds[soundIndex];
         const blob = new Blob([item.asset.data], {type: item.asset.assetType.contentType});
         downloadBlob(`${item.name}.${item.asset.dataFormat}`, blob);
     }
 
+    handleCloseExport () {
+        this.setState({exportingSoundIndex: null});
+    }
+
     handleDuplicateSound (soundIndex) {
         this.props.vm.duplicateSound(soundIndex).then(() => {
             this.setState({selectedSoundIndex: soundIndex + 1});
@@ -132,20 +154,86 @@ class SoundTab extends React.Component {
     }
 
     handleSoundUpload (e) {
-        const storage = this.props.vm.runtime.storage;
         const targetId = this.props.vm.editingTarget.id;
+        const files = [];
         this.props.onShowImporting();
         handleFileUpload(e.target, (buffer, fileType, fileName, fileIndex, fileCount) => {
+            files.push({buffer, fileType, fileName});
+            if (fileIndex === fileCount - 1) {
+                this.offerToShrinkSounds(files, targetId);
+            }
+        }, this.props.onCloseImporting);
+    }
+
+    async offerToShrinkSounds (files, targetId) {
+        const sounds = await Promise.all(files.map(file => analyzeSound(file.buffer, file.fileType)
+            .catch(err => {
+                // soundUpload will report the error
+                log.warn(err);
+                return null;
+            })
+            .then(analysis => ({
+                ...file,
+                analysis
+            }))));
+        const canShrink = sounds.some(sound => sound.analysis && shouldConvertForImport(sound.analysis.info, {
+            mono: true,
+            resample: true
+        }));
+        if (canShrink) {
+            this.props.onCloseImporting();
+            this.setState({
+                pendingImport: {
+                    sounds,
+                    targetId
+                }
+            });
+        } else {
+            this.importSounds(sounds, targetId, null);
+        }
+    }
+
+    handleImportSounds (options) {
+        const {sounds, targetId} = this.state.pendingImport;
+        this.setState({pendingImport: null});
+        this.props.onShowImporting();
+        this.importSounds(sounds, targetId, options);
+    }
+
+    handleCancelImport () {
+        this.setState({pendingImport: null});
+    }
+
+    async importSounds (sounds, targetId, options) {
+        const storage = this.props.vm.runtime.storage;
+        for (let i = 0; i < sounds.length; i++) {
+            const sound = sounds[i];
+            let buffer = sound.buffer;
+            let fileType = sound.fileType;
+            if (options && sound.analysis && shouldConvertForImport(sound.analysis.info, options)) {
+                try {
+                    buffer = await convertForImport(sound.analysis.audioBuffer, options);
+                    fileType = 'audio/wav';
+                } catch (err) {
+                    // Fall back to importing the sound unchanged
+                    log.error(err);
+                }
+            }
             soundUpload(buffer, fileType, storage, newSound => {
-                newSound.name = fileName;
+                newSound.name = sound.fileName;
                 this.props.vm.addSound(newSound, targetId).then(() => {
                     this.handleNewSound();
-                    if (fileIndex === fileCount - 1) {
+                    if (i === sounds.length - 1) {
                         this.props.onCloseImporting();
                     }
                 });
             }, this.props.onCloseImporting);
-        }, this.props.onCloseImporting);
+        }
+    }
+
+    isSupported () {
+        const vm = this.props.vm;
+        return !!(vm.runtime.audioEngine && new SharedAudioContext());
     }
 
     handleDrop (dropInfo) {
@@ -188,7 +276,7 @@ class SoundTab extends React.Component {
             return null;
         }
 
-        const isSupported = !!(vm.runtime.audioEngine && new SharedAudioContext());
+        const isSupported = this.isSupported();
 
         const sprite = vm.editingTarget.sprite;
 
@@ -273,6 +361,20 @@ class SoundTab extends React.Component {
                         onNewSound={this.handleNewSound}
                     />
                 ) : null}
+                {this.state.exportingSoundIndex !== null && sprite.sounds[this.state.exportingSoundIndex] ? (
+                    <SoundExportModal
+                        soundIndex={this.state.exportingSoundIndex}
+                        vm={vm}
+                        onClose={this.handleCloseExport}
+                    />
+                ) : null}
+                {this.state.pendingImport ? (
+                    <SoundImportModal
+                        sounds={this.state.pendingImport.sounds}
+                        onCancel={this.handleCancelImport}
+                        onImport={this.handleImportSounds}
+                    />
+                ) : null}
                 {this.props.soundLibraryVisible ? (
                     <SoundLibrary
                         vm={this.props.vm}
@@ -21,7 +21,10 @@ class SpriteSelectorItem extends React.PureComponent {
             'handleClick',
             'handleDelete',
             'handleDuplicate',
+            'handleEditTags',
             'handleExport',
+            'handleExportCostumes',
+            'handleMove',
             'handleRename',
             'handleMouseEnter',
             'handleMouseLeave',
@@ -102,10 +105,22 @@ class SpriteSelectorItem extends React.PureComponent {
         e.stopPropagation();
         this.props.onExportButtonClick(this.props.id);
     }
+    handleExportCostumes (e) {
+        e.stopPropagation();
+        this.props.onExportCostumesButtonClick(this.props.id);
+    }
     handleRename (e) {
         e.stopPropagation();
         this.props.onRenameButtonClick(this.props.id);
     }
+    handleMove (e) {
+        e.stopPropagation();
+        this.props.onMoveButtonClick(this.props.id);
+    }
+    handleEditTags (e) {
+        e.stopPropagation();
+        this.props.onEditTagsButtonClick(this.props.id);
+    }
     handleMouseLeave () {
         this.props.dispatchSetHoveredSprite(null);
     }
@@ -125,7 +140,10 @@ class SpriteSelectorItem extends React.PureComponent {
             onClick,
             onDeleteButtonClick,
             onDuplicateButtonClick,
+            onEditTagsButtonClick,
             onExportButtonClick,
+            onExportCostumesButtonClick,
+            onMoveButtonClick,
             onRenameButtonClick,
             dragPayload,
             receivedBlocks,
@@ -142,7 +160,10 @@ class SpriteSelectorItem extends React.PureComponent {
                 onClick={this.handleClick}
                 onDeleteButtonClick={onDeleteButtonClick ? this.handleDelete : null}
                 onDuplicateButtonClick={onDuplicateButtonClick ? this.handleDuplicate : null}
+                onEditTagsButtonClick={onEditTagsButtonClick ? this.handleEditTags : null}
                 onExportButtonClick={onExportButtonClick ? this.handleExport : null}
+                onExportCostumesButtonClick={onExportCostumesButtonClick ? this.handleExportCostumes : null}
+                onMoveButtonClick={onMoveButtonClick ? this.handleMove : null}
                 onRenameButtonClick={onRenameButtonClick ? this.handleRename : null}
                 onMouseDown={this.handleMouseDown}
                 onMouseEnter={this.handleMouseEnter}
@@ -172,7 +193,10 @@ SpriteSelectorItem.propTypes = {
     onRenameButtonClick: PropTypes.func,
     onDrag: PropTypes.func.isRequired,
     onDuplicateButtonClick: PropTypes.func,
+    onEditTagsButtonClick: PropTypes.func,
     onExportButtonClick: PropTypes.func,
+    onExportCostumesButtonClick: PropTypes.func,
+    onMoveButtonClick: PropTypes.func,
     receivedBlocks: PropTypes.bool.isRequired,
     selected: PropTypes.bool,
     vm: PropTypes.instanceOf(VM).isRequired
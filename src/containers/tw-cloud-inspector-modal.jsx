@@ -0,0 +1,158 @@
+import React from 'react';
+import PropTypes from 'prop-types';
+import {connect} from 'react-redux';
+import bindAll from 'lodash.bindall';
+import throttle from 'lodash.throttle';
+import {closeCloudInspectorModal} from '../reducers/modals';
+import CloudInspectorModalComponent from '../components/tw-cloud-inspector-modal/cloud-inspector-modal.jsx';
+import {
+    TYPE_RATE_LIMITED,
+    TYPE_RECEIVED,
+    TYPE_SENT,
+    canInjectCloudMessage,
+    clearCloudLog,
+    getCloudLog,
+    injectCloudMessage,
+    replayCloudMessage,
+    subscribeToCloudLog
+} from '../lib/tw-cloud-inspector';
+
+// Rendering thousands of rows is slow, so only the most recent matching entries are shown.
+const MAX_VISIBLE_ENTRIES = 500;
+
+const countType = (entries, type) => entries.filter(i => i.type === type).length;
+
+class TWCloudInspectorModal extends React.Component {
+    constructor (props) {
+        super(props);
+        bindAll(this, [
+            'handleChangeFilter',
+            'handleChangeInjectType',
+            'handleChangeInjectText',
+            'handleClear',
+            'handleInject',
+            'handleReplay',
+            'handleLogChanged'
+        ]);
+        this.state = {
+            log: getCloudLog(),
+            canInject: canInjectCloudMessage(),
+            filter: '',
+            injectType: TYPE_RECEIVED,
+            injectText: JSON.stringify({
+                method: 'set',
+                name: '☁ my variable',
+                value: '0'
+            }),
+            injectError: null
+        };
+        // Busy projects can send many messages per second.
+        this.handleLogChanged = throttle(this.handleLogChanged, 100);
+    }
+
+    componentDidMount () {
+        this.unsubscribe = subscribeToCloudLog(this.handleLogChanged);
+    }
+
+    componentWillUnmount () {
+        this.unsubscribe();
+        this.handleLogChanged.cancel();
+    }
+
+    handleLogChanged () {
+        this.setState({
+            log: getCloudLog(),
+            canInject: canInjectCloudMessage()
+        });
+    }
+
+    handleChangeFilter (e) {
+        this.setState({
+            filter: e.target.value
+        });
+    }
+
+    handleChangeInjectType (e) {
+        this.setState({
+            injectType: e.target.value
+        });
+    }
+
+    handleChangeInjectText (e) {
+        this.setState({
+            injectText: e.target.value
+        });
+    }
+
+    handleClear () {
+        clearCloudLog();
+    }
+
+    handleInject () {
+        this.runInjection(() => injectCloudMessage(this.state.injectType, this.state.injectText));
+    }
+
+    handleReplay (entry) {
+        this.runInjection(() => replayCloudMessage(entry));
+    }
+
+    runInjection (callback) {
+        try {
+            callback();
+            this.setState({
+                injectError: null
+            });
+        } catch (e) {
+            this.setState({
+                injectError: `${e}`
+            });
+        }
+    }
+
+    getVisibleEntries () {
+        const filter = this.state.filter.toLowerCase();
+        const matching = filter ?
+            this.state.log.filter(i => i.name !== null && i.name.toLowerCase().includes(filter)) :
+            this.state.log;
+        return matching.slice(-MAX_VISIBLE_ENTRIES).reverse();
+    }
+
+    render () {
+        const log = this.state.log;
+        return (
+            <CloudInspectorModalComponent
+                entries={this.getVisibleEntries()}
+                sentCount={countType(log, TYPE_SENT)}
+                receivedCount={countType(log, TYPE_RECEIVED)}
+                rateLimitedCount={countType(log, TYPE_RATE_LIMITED)}
+                filter={this.state.filter}
+                canInject={this.state.canInject}
+                injectType={this.state.injectType}
+                injectText={this.state.injectText}
+                injectError={this.state.injectError}
+                onChangeFilter={this.handleChangeFilter}
+                onChangeInjectType={this.handleChangeInjectType}
+                onChangeInjectText={this.handleChangeInjectText}
+                onClear={this.handleClear}
+                onClose={this.props.onClose}
+                onInject={this.handleInject}
+                onReplay={this.handleReplay}
+            />
+        );
+    }
+}
+
+TWCloudInspectorModal.propTypes = {
+    onClose: PropTypes.func.isRequired
+};
+
+const mapStateToProps = () => ({});
+
+const mapDispatchToProps = dispatch => ({
+    onClose: () => dispatch(closeCloudInspectorModal())
+});
+
+export default connect(
+    mapStateToProps,
+    mapDispatchToProps
+)(TWCloudInspectorModal);
@@ -1,7 +1,7 @@
 import React from 'react';
 import {connect} from 'react-redux';
 import PropTypes from 'prop-types';
-import {setCloudHost} from '../reducers/tw';
+import {setCloudHost, setCloudBackend} from '../reducers/tw';
 import CloudVariableBadge from '../components/tw-cloud-variable-badge/cloud-variable-badge.jsx';
 import bindAll from 'lodash.bindall';
 import {openUsernameModal} from '../reducers/modals';
@@ -10,7 +10,8 @@ class TWCloudVariableBadge extends React.Component {
     constructor (props) {
         super(props);
         bindAll(this, [
-            'handleChangeCloudHost'
+            'handleChangeCloudHost',
+            'handleChangeCloudBackend'
         ]);
     }
 
@@ -18,10 +19,16 @@ class TWCloudVariableBadge extends React.Component {
         this.props.onSetCloudHost(cloudHost);
     }
 
+    handleChangeCloudBackend (cloudBackend) {
+        this.props.onSetCloudBackend(cloudBackend);
+    }
+
     render () {
         return (
             <CloudVariableBadge
+                cloudBackend={this.props.cloudBackend}
                 cloudHost={this.props.cloudHost}
+                onSetCloudBackend={this.handleChangeCloudBackend}
                 onSetCloudHost={this.handleChangeCloudHost}
                 onOpenChangeUsername={this.props.onOpenChangeUsername}
             />
@@ -30,17 +37,21 @@ class TWCloudVariableBadge extends React.Component {
 }
 
 TWCloudVariableBadge.propTypes = {
+    cloudBackend: PropTypes.string,
     cloudHost: PropTypes.string,
+    onSetCloudBackend: PropTypes.func,
     onSetCloudHost: PropTypes.func,
     onOpenChangeUsername: PropTypes.func
 };
 
 const mapStateToProps = state => ({
+    cloudBackend: state.scratchGui.tw.cloudBackend,
     cloudHost: state.scratchGui.tw.cloudHost
 });
 
 const mapDispatchToProps = dispatch => ({
     onSetCloudHost: cloudHost => dispatch(setCloudHost(cloudHost)),
+    onSetCloudBackend: cloudBackend => dispatch(setCloudBackend(cloudBackend)),
     onOpenChangeUsername: () => dispatch(openUsernameModal())
 });
 
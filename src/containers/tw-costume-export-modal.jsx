@@ -0,0 +1,123 @@
+import React from 'react';
+import PropTypes from 'prop-types';
+import bindAll from 'lodash.bindall';
+import VM from 'scratch-vm';
+import CostumeExportModalComponent from '../components/tw-costume-export-modal/costume-export-modal.jsx';
+import {
+    FORMAT_SHEET,
+    loadCostumes,
+    getFrameLayout,
+    exportCostumes
+} from '../lib/tw-costume-export';
+import downloadBlob from '../lib/download-blob';
+import log from '../lib/log';
+
+const DEFAULT_DELAY = 100;
+
+class TWCostumeExportModal extends React.Component {
+    constructor (props) {
+        super(props);
+        bindAll(this, [
+            'handleChangeColumns',
+            'handleChangeDelay',
+            'handleChangeFormat',
+            'handleChangeScale',
+            'handleExport'
+        ]);
+        const target = props.vm.runtime.getTargetById(props.targetId);
+        this.spriteName = target ? target.getName() : '';
+        this.costumes = target ? target.getCostumes() : [];
+        this.state = {
+            busy: false,
+            columns: Math.ceil(Math.sqrt(this.costumes.length)) || 1,
+            delay: DEFAULT_DELAY,
+            error: null,
+            format: FORMAT_SHEET,
+            loadedCostumes: null,
+            scale: 1
+        };
+    }
+    componentDidMount () {
+        loadCostumes(this.costumes)
+            .then(loadedCostumes => {
+                if (!this.unmounted) {
+                    this.setState({loadedCostumes});
+                }
+            })
+            .catch(err => this.handleError(err));
+    }
+    componentWillUnmount () {
+        this.unmounted = true;
+    }
+    handleError (err) {
+        log.error(err);
+        if (!this.unmounted) {
+            this.setState({
+                busy: false,
+                error: `${err.message || err}`
+            });
+        }
+    }
+    handleChangeColumns (e) {
+        this.setState({columns: e.target.value});
+    }
+    handleChangeDelay (e) {
+        this.setState({delay: e.target.value});
+    }
+    handleChangeFormat (e) {
+        this.setState({format: e.target.value});
+    }
+    handleChangeScale (e) {
+        this.setState({scale: +e.target.value});
+    }
+    handleExport () {
+        this.setState({
+            busy: true,
+            error: null
+        });
+        exportCostumes(this.state.loadedCostumes, this.spriteName, {
+            format: this.state.format,
+            scale: this.state.scale,
+            columns: +this.state.columns,
+            delay: Math.max(10, Math.round(+this.state.delay) || DEFAULT_DELAY)
+        })
+            .then(({filename, blob}) => {
+                downloadBlob(filename, blob);
+                this.props.onClose();
+            })
+            .catch(err => this.handleError(err));
+    }
+    render () {
+        const layout = this.state.loadedCostumes && this.state.loadedCostumes.length > 0 ?
+            getFrameLayout(this.state.loadedCostumes, this.state.scale) :
+            null;
+        return (
+            <CostumeExportModalComponent
+                busy={this.state.busy}
+                columns={this.state.columns}
+                costumeCount={this.costumes.length}
+                delay={this.state.delay}
+                error={this.state.error}
+                format={this.state.format}
+                frameHeight={layout ? layout.height : null}
+                frameWidth={layout ? layout.width : null}
+                scale={this.state.scale}
+                spriteName={this.spriteName}
+                onCancel={this.props.onClose}
+                onChangeColumns={this.handleChangeColumns}
+                onChangeDelay={this.handleChangeDelay}
+                onChangeFormat={this.handleChangeFormat}
+                onChangeScale={this.handleChangeScale}
+                onExport={this.handleExport}
+            />
+        );
+    }
+}
+
+TWCostumeExportModal.propTypes = {
+    targetId: PropTypes.string.isRequired,
+    vm: PropTypes.instanceOf(VM).isRequired,
+    onClose: PropTypes.func.isRequired
+};
+
+export default TWCostumeExportModal;
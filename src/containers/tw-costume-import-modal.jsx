@@ -0,0 +1,187 @@
+import React from 'react';
+import PropTypes from 'prop-types';
+import bindAll from 'lodash.bindall';
+import CostumeImportModalComponent, {
+    MODE_ANIMATION,
+    MODE_FIRST_FRAME,
+    MODE_GRID,
+    MODE_ATLAS
+} from '../components/tw-costume-import-modal/costume-import-modal.jsx';
+import {parseAnimatedImage, renderAnimation} from '../lib/tw-animated-image';
+import {getGridFrames, guessGrid, parseAtlas, sliceSpriteSheet} from '../lib/tw-sprite-sheet';
+import log from '../lib/log';
+
+/**
+ * @param {ArrayBuffer} data Image file
+ * @param {string} type MIME type
+ * @returns {Promise<HTMLImageElement>} Loaded image
+ */
+const loadImage = (data, type) => new Promise((resolve, reject) => {
+    const url = URL.createObjectURL(new Blob([data], {type}));
+    const image = new Image();
+    image.onload = () => {
+        URL.revokeObjectURL(url);
+        resolve(image);
+    };
+    image.onerror = () => {
+        URL.revokeObjectURL(url);
+        reject(new Error('Image could not be decoded'));
+    };
+    image.src = url;
+});
+
+class TWCostumeImportModal extends React.Component {
+    constructor (props) {
+        super(props);
+        bindAll(this, [
+            'handleChangeColumns',
+            'handleChangeMode',
+            'handleChangeRows',
+            'handleChangeSkipEmpty',
+            'handleImport'
+        ]);
+        this.animation = parseAnimatedImage(props.file.data, props.file.type);
+        this.animationFrames = [];
+        this.image = null;
+        this.atlasFrames = null;
+        this.atlasError = null;
+        if (props.atlas) {
+            try {
+                this.atlasFrames = parseAtlas(props.atlas.json);
+            } catch (e) {
+                this.atlasError = e.message;
+            }
+        }
+        let mode = MODE_GRID;
+        if (this.animation) {
+            mode = MODE_ANIMATION;
+        } else if (props.atlas) {
+            mode = MODE_ATLAS;
+        }
+        this.state = {
+            columns: 1,
+            error: null,
+            frames: [],
+            loading: true,
+            mode,
+            rows: 1,
+            skipEmpty: true
+        };
+    }
+    componentDidMount () {
+        this.load()
+            .then(() => {
+                if (!this.unmounted) {
+                    this.setState({loading: false}, () => this.updateFrames());
+                }
+            })
+            .catch(err => {
+                log.error(err);
+                if (!this.unmounted) {
+                    this.setState({
+                        loading: false,
+                        error: `${err.message || err}`
+                    });
+                }
+            });
+    }
+    componentWillUnmount () {
+        this.unmounted = true;
+    }
+    async load () {
+        if (this.animation) {
+            this.animationFrames = await renderAnimation(this.animation);
+        } else {
+            this.image = await loadImage(this.props.file.data, this.props.file.type);
+            if (!this.unmounted) {
+                this.setState(guessGrid(this.image.naturalWidth, this.image.naturalHeight));
+            }
+        }
+    }
+    getFrames () {
+        switch (this.state.mode) {
+        case MODE_ANIMATION:
+            return this.animationFrames.map(({dataURL}) => ({name: null, dataURL}));
+        case MODE_FIRST_FRAME:
+            return this.animationFrames.slice(0, 1).map(({dataURL}) => ({name: null, dataURL}));
+        case MODE_GRID:
+            return sliceSpriteSheet(
+                this.image,
+                getGridFrames(this.image.naturalWidth, this.image.naturalHeight, this.state),
+                this.state.skipEmpty
+            );
+        case MODE_ATLAS:
+            return this.atlasFrames ? sliceSpriteSheet(this.image, this.atlasFrames, this.state.skipEmpty) : [];
+        }
+        return [];
+    }
+    updateFrames () {
+        if (this.state.loading || this.state.error) {
+            return;
+        }
+        const fileName = this.props.file.name;
+        this.setState({
+            frames: this.getFrames().map((frame, index) => ({
+                name: frame.name || `${fileName}${index ? index + 1 : ''}`,
+                dataURL: frame.dataURL
+            }))
+        });
+    }
+    handleChangeMode (e) {
+        this.setState({mode: e.target.value}, () => this.updateFrames());
+    }
+    handleChangeColumns (e) {
+        this.setState({columns: e.target.value}, () => this.updateFrames());
+    }
+    handleChangeRows (e) {
+        this.setState({rows: e.target.value}, () => this.updateFrames());
+    }
+    handleChangeSkipEmpty (e) {
+        this.setState({skipEmpty: e.target.checked}, () => this.updateFrames());
+    }
+    handleImport () {
+        this.props.onImport(this.state.frames);
+    }
+    render () {
+        const atlasError = this.state.mode === MODE_ATLAS ? this.atlasError : null;
+        return (
+            <CostumeImportModalComponent
+                animated={!!this.animation}
+                atlasName={this.props.atlas ? this.props.atlas.name : null}
+                columns={this.state.columns}
+                error={this.state.error || atlasError}
+                fileName={this.props.file.name}
+                frames={atlasError ? [] : this.state.frames}
+                loading={this.state.loading}
+                mode={this.state.mode}
+                rows={this.state.rows}
+                skipEmpty={this.state.skipEmpty}
+                onCancel={this.props.onCancel}
+                onChangeColumns={this.handleChangeColumns}
+                onChangeMode={this.handleChangeMode}
+                onChangeRows={this.handleChangeRows}
+                onChangeSkipEmpty={this.handleChangeSkipEmpty}
+                onImport={this.handleImport}
+                // Importing an animated image unchanged would split it anyway
+                onImportUnchanged={this.animation ? null : this.props.onImportUnchanged}
+            />
+        );
+    }
+}
+
+TWCostumeImportModal.propTypes = {
+    atlas: PropTypes.shape({
+        name: PropTypes.string,
+        json: PropTypes.object
+    }),
+    file: PropTypes.shape({
+        name: PropTypes.string,
+        data: PropTypes.instanceOf(ArrayBuffer),
+        type: PropTypes.string
+    }).isRequired,
+    onCancel: PropTypes.func.isRequired,
+    onImport: PropTypes.func.isRequired,
+    onImportUnchanged: PropTypes.func.isRequired
+};
+
+export default TWCostumeImportModal;
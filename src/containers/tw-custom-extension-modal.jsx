@@ -2,23 +2,70 @@ import PropTypes from 'prop-types';
 import React from 'react';
 import bindAll from 'lodash.bindall';
 import {connect} from 'react-redux';
+import {defineMessages, intlShape, injectIntl} from 'react-intl';
 import log from '../lib/log';
 import CustomExtensionModalComponent from '../components/tw-custom-extension-modal/custom-extension-modal.jsx';
 import {closeCustomExtensionModal} from '../reducers/modals';
 import {manuallyTrustExtension, isTrustedExtension} from './tw-security-manager.jsx';
 import {getPersistedUnsandboxed, setPersistedUnsandboxed} from '../lib/tw-persisted-unsandboxed.js';
+import {
+    TYPE_FILE,
+    TYPE_TEXT,
+    TYPE_URL,
+    codeToDataURL,
+    fetchExtensionCode,
+    getExtensionLoadURL,
+    getInstalledExtension,
+    getInstalledExtensions,
+    hashExtensionCode,
+    installExtension,
+    parseExtensionManifest,
+    setExtensionPinned,
+    subscribeToInstalledExtensions,
+    uninstallExtension
+} from '../lib/tw-installed-extensions';
+
+/* eslint-disable no-alert */
+
+const messages = defineMessages({
+    confirmChanged: {
+        // eslint-disable-next-line max-len
+        defaultMessage: 'The code of "{name}" has changed since it was installed ({oldVersion} → {newVersion}). Load the new code?',
+        // eslint-disable-next-line max-len
+        description: 'Confirmation that appears when loading a custom extension whose code is different from when it was installed',
+        id: 'tw.customExtensionModal.confirmChanged'
+    },
+    unknownVersion: {
+        defaultMessage: 'unknown version',
+        description: 'Used in place of an extension version number when the extension does not say what version it is',
+        id: 'tw.customExtensionModal.unknownVersion'
+    },
+    confirmUninstall: {
+        defaultMessage: 'Remove "{name}" from the installed extensions? Projects that use it will not be affected.',
+        description: 'Confirmation that appears when removing a custom extension from the list of installed extensions',
+        id: 'tw.customExtensionModal.confirmUninstall'
+    }
+});
 
 /**
  * @param {Blob} blob Blob
- * @returns {Promise<string>} data: uri
+ * @returns {Promise<string>} Text content
  */
-const readAsDataURL = blob => new Promise((resolve, reject) => {
+const readAsText = blob => new Promise((resolve, reject) => {
     const reader = new FileReader();
     reader.onload = () => resolve(reader.result);
-    reader.onerror = () => reject(new Error(`Could not read extension as data URL: ${reader.error}`));
-    reader.readAsDataURL(blob);
+    reader.onerror = () => reject(new Error(`Could not read extension as text: ${reader.error}`));
+    reader.readAsText(blob);
 });
 
+/**
+ * @typedef ExtensionSource
+ * @property {'url'|'file'|'text'} type Where the extension came from
+ * @property {string|null} url For URL extensions
+ * @property {string|null} fileName For file extensions
+ * @property {string|null} code The code, or null if it could not be downloaded
+ */
+
 class CustomExtensionModal extends React.Component {
     constructor (props) {
         super(props);
@@ -36,7 +83,13 @@ class CustomExtensionModal extends React.Component {
             'handleDragOver',
             'handleDragLeave',
             'handleDrop',
-            'handleChangeUnsandboxed'
+            'handleChangeUnsandboxed',
+            'handleSwitchToInstalled',
+            'handleInstalledExtensionsChanged',
+            'handleLoadInstalled',
+            'handleChangePinned',
+            'handleUninstall',
+            'handleCheckForUpdates'
         ]);
 
         this.state = {
@@ -44,32 +97,133 @@ class CustomExtensionModal extends React.Component {
             url: '',
             files: null,
             text: '',
-            unsandboxed: getPersistedUnsandboxed()
+            unsandboxed: getPersistedUnsandboxed(),
+            installedExtensions: [],
+            changedExtensions: [],
+            checkingForUpdates: false
         };
     }
 
+    componentDidMount () {
+        this.unsubscribeFromInstalledExtensions = subscribeToInstalledExtensions(
+            this.handleInstalledExtensionsChanged
+        );
+        this.handleInstalledExtensionsChanged();
+    }
+
+    componentWillUnmount () {
+        this.unsubscribeFromInstalledExtensions();
+        this.unmounted = true;
+    }
+
+    handleInstalledExtensionsChanged () {
+        getInstalledExtensions()
+            .then(installedExtensions => {
+                if (!this.unmounted) {
+                    this.setState({
+                        installedExtensions
+                    });
+                }
+            })
+            .catch(err => {
+                log.error(err);
+            });
+    }
+
     /**
-     * @returns {Promise<string[]>} List of extension URLs to load.
+     * @returns {Promise<ExtensionSource[]>} List of extensions to load.
      */
-    getExtensionURLs () {
+    async getExtensionSources () {
         if (this.state.type === 'url') {
-            return Promise.resolve([
-                this.state.url
-            ]);
+            return [{
+                type: TYPE_URL,
+                url: this.state.url,
+                fileName: null,
+                code: await fetchExtensionCode(this.state.url)
+            }];
         }
 
         if (this.state.type === 'file') {
             const files = Array.from(this.state.files);
-            return Promise.all(files.map(readAsDataURL));
+            return Promise.all(files.map(async file => ({
+                type: TYPE_FILE,
+                url: null,
+                fileName: file.name,
+                code: await readAsText(file)
+            })));
         }
 
         if (this.state.type === 'text') {
-            return Promise.resolve([
-                `data:application/javascript,${encodeURIComponent(this.state.text)}`
-            ]);
+            return [{
+                type: TYPE_TEXT,
+                url: null,
+                fileName: null,
+                code: this.state.text
+            }];
+        }
+
+        throw new Error('Unknown type');
+    }
+
+    /**
+     * @param {InstalledExtension} installed The extension as it was installed
+     * @param {string} code The code at the extension's URL now
+     * @returns {boolean} True if the user wants to load the new code
+     */
+    confirmChangedCode (installed, code) {
+        const unknownVersion = this.props.intl.formatMessage(messages.unknownVersion);
+        return confirm(this.props.intl.formatMessage(messages.confirmChanged, {
+            name: installed.name,
+            oldVersion: installed.version || unknownVersion,
+            newVersion: parseExtensionManifest(code).version || unknownVersion
+        }));
+    }
+
+    /**
+     * Load an extension from a URL, unless the user was already running a different version of it and
+     * doesn't want to switch.
+     * @param {string} url Extension URL
+     * @param {string|null} code The code at the URL, if it could be downloaded
+     */
+    async loadURLExtension (url, code) {
+        const installed = await getInstalledExtension(url);
+        if (installed && installed.pinned) {
+            await this.loadInstalledExtension(installed);
+            return;
         }
+        if (
+            installed &&
+            installed.hash &&
+            code !== null &&
+            hashExtensionCode(code) !== installed.hash &&
+            !this.confirmChangedCode(installed, code)
+        ) {
+            return;
+        }
+        await this.props.vm.extensionManager.loadExtensionURL(url);
+        await installExtension({
+            type: TYPE_URL,
+            url,
+            fileName: null,
+            code,
+            unsandboxed: false
+        });
+    }
 
-        return Promise.reject(new Error('Unknown type'));
+    /**
+     * @param {InstalledExtension} installed Extension to load
+     */
+    async loadInstalledExtension (installed) {
+        if (installed.type === TYPE_URL && !installed.pinned) {
+            await this.loadURLExtension(installed.url, await fetchExtensionCode(installed.url));
+            return;
+        }
+        const url = getExtensionLoadURL(installed);
+        // The saved code gets the same trust that the extension had when it was installed
+        if (installed.type === TYPE_URL ? isTrustedExtension(installed.url) : installed.unsandboxed) {
+            manuallyTrustExtension(url);
+        }
+        await this.props.vm.extensionManager.loadExtensionURL(url);
     }
 
     hasValidInput () {
@@ -97,6 +251,10 @@ class CustomExtensionModal extends React.Component {
         return false;
     }
 
+    findInstalledExtension (key) {
+        return this.state.installedExtensions.find(i => i.key === key);
+    }
+
     handleChangeFiles (files) {
         this.setState({
             files
@@ -123,23 +281,29 @@ class CustomExtensionModal extends React.Component {
     async handleLoadExtension () {
         this.handleClose();
         try {
-            const urls = await this.getExtensionURLs();
+            const sources = await this.getExtensionSources();
 
             if (this.state.type !== 'url') {
                 setPersistedUnsandboxed(this.state.unsandboxed);
-                if (this.state.unsandboxed) {
-                    for (const url of urls) {
-                        manuallyTrustExtension(url);
-                    }
-                }
             }
 
-            for (const url of urls) {
+            for (const source of sources) {
+                if (source.type === TYPE_URL) {
+                    await this.loadURLExtension(source.url, source.code);
+                    continue;
+                }
+                const url = codeToDataURL(source.code);
+                if (this.state.unsandboxed) {
+                    manuallyTrustExtension(url);
+                }
                 await this.props.vm.extensionManager.loadExtensionURL(url);
+                await installExtension({
+                    ...source,
+                    unsandboxed: this.state.unsandboxed
+                });
             }
         } catch (err) {
             log.error(err);
-            // eslint-disable-next-line no-alert
             alert(err);
         }
     }
@@ -162,6 +326,70 @@ class CustomExtensionModal extends React.Component {
         });
     }
 
+    handleSwitchToInstalled () {
+        this.setState({
+            type: 'installed'
+        });
+    }
+
+    async handleLoadInstalled (key) {
+        const installed = this.findInstalledExtension(key);
+        if (!installed) {
+            return;
+        }
+        this.handleClose();
+        try {
+            await this.loadInstalledExtension(installed);
+        } catch (err) {
+            log.error(err);
+            alert(err);
+        }
+    }
+
+    handleChangePinned (key, pinned) {
+        setExtensionPinned(key, pinned)
+            .catch(err => {
+                log.error(err);
+                alert(err);
+            });
+    }
+
+    handleUninstall (key) {
+        const installed = this.findInstalledExtension(key);
+        if (!installed || !confirm(this.props.intl.formatMessage(messages.confirmUninstall, {
+            name: installed.name
+        }))) {
+            return;
+        }
+        uninstallExtension(key)
+            .catch(err => {
+                log.error(err);
+                alert(err);
+            });
+    }
+
+    async handleCheckForUpdates () {
+        this.setState({
+            checkingForUpdates: true
+        });
+        const changedExtensions = [];
+        for (const installed of this.state.installedExtensions) {
+            if (installed.type !== TYPE_URL || !installed.hash) {
+                continue;
+            }
+            const code = await fetchExtensionCode(installed.url);
+            if (code !== null && hashExtensionCode(code) !== installed.hash) {
+                changedExtensions.push(installed.key);
+            }
+        }
+        if (!this.unmounted) {
+            this.setState({
+                changedExtensions,
+                checkingForUpdates: false
+            });
+        }
+    }
+
     handleChangeText (e) {
         this.setState({
             text: e.target.value
@@ -215,6 +443,7 @@ class CustomExtensionModal extends React.Component {
                 onSwitchToFile={this.handleSwitchToFile}
                 onSwitchToURL={this.handleSwitchToURL}
                 onSwitchToText={this.handleSwitchToText}
+                onSwitchToInstalled={this.handleSwitchToInstalled}
                 files={this.state.files}
                 onChangeFiles={this.handleChangeFiles}
                 onDragOver={this.handleDragOver}
@@ -228,6 +457,13 @@ class CustomExtensionModal extends React.Component {
                 unsandboxed={this.isUnsandboxed()}
                 onChangeUnsandboxed={this.canChangeUnsandboxed() ? this.handleChangeUnsandboxed : null}
                 onLoadExtension={this.handleLoadExtension}
+                installedExtensions={this.state.installedExtensions}
+                changedExtensions={this.state.changedExtensions}
+                checkingForUpdates={this.state.checkingForUpdates}
+                onLoadInstalled={this.handleLoadInstalled}
+                onChangePinned={this.handleChangePinned}
+                onUninstall={this.handleUninstall}
+                onCheckForUpdates={this.handleCheckForUpdates}
                 onClose={this.handleClose}
             />
         );
@@ -235,6 +471,7 @@ class CustomExtensionModal extends React.Component {
 }
 
 CustomExtensionModal.propTypes = {
+    intl: intlShape,
     onClose: PropTypes.func,
     vm: PropTypes.shape({
         extensionManager: PropTypes.shape({
@@ -251,7 +488,7 @@ const mapDispatchToProps = dispatch => ({
     onClose: () => dispatch(closeCustomExtensionModal())
 });
 
-export default connect(
+export default injectIntl(connect(
     mapStateToProps,
     mapDispatchToProps
-)(CustomExtensionModal);
+)(CustomExtensionModal));
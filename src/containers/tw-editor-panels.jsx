@@ -0,0 +1,74 @@
+import bindAll from 'lodash.bindall';
+import PropTypes from 'prop-types';
+import React from 'react';
+import {
+    getEditorPanelWidth,
+    getEditorPanels,
+    getOpenEditorPanel,
+    setEditorPanelWidth,
+    setOpenEditorPanel,
+    subscribeToEditorPanels
+} from '../lib/tw-editor-panels';
+
+const getLayout = () => {
+    const openPanel = getOpenEditorPanel();
+    return {
+        panels: getEditorPanels(),
+        openPanel,
+        width: openPanel ? getEditorPanelWidth(openPanel) : 0
+    };
+};
+
+class EditorPanels extends React.Component {
+    constructor (props) {
+        super(props);
+        bindAll(this, [
+            'handleToggle',
+            'handleResize',
+            'handlePanelsChanged'
+        ]);
+        this.state = getLayout();
+    }
+    componentDidMount () {
+        this.unsubscribe = subscribeToEditorPanels(this.handlePanelsChanged);
+    }
+    componentDidUpdate (prevProps, prevState) {
+        if (
+            this.props.resizeWindow &&
+            (prevState.openPanel !== this.state.openPanel || prevState.width !== this.state.width)
+        ) {
+            // Blocks and the paint editor only measure themselves when the window resizes.
+            window.dispatchEvent(new Event('resize'));
+        }
+    }
+    componentWillUnmount () {
+        this.unsubscribe();
+    }
+    handlePanelsChanged () {
+        this.setState(getLayout());
+    }
+    handleToggle (panel) {
+        setOpenEditorPanel(this.state.openPanel === panel ? null : panel.id);
+    }
+    handleResize (width) {
+        if (this.state.openPanel) {
+            setEditorPanelWidth(this.state.openPanel.id, width);
+        }
+    }
+    render () {
+        return this.props.children({
+            panels: this.state.panels,
+            openPanel: this.state.openPanel,
+            width: this.state.width,
+            onToggle: this.handleToggle,
+            onResize: this.handleResize
+        });
+    }
+}
+
+EditorPanels.propTypes = {
+    children: PropTypes.func.isRequired,
+    resizeWindow: PropTypes.bool
+};
+
+export default EditorPanels;
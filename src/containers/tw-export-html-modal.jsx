@@ -0,0 +1,180 @@
+import React from 'react';
+import PropTypes from 'prop-types';
+import {connect} from 'react-redux';
+import bindAll from 'lodash.bindall';
+import {closeExportHTMLModal} from '../reducers/modals';
+import {defaultProjectId} from '../reducers/project-state';
+import ExportHTMLModalComponent from '../components/tw-export-html-modal/export-html-modal.jsx';
+import {getDefaultOptions} from '../lib/tw-standalone-html';
+import {exportAsHTML} from '../lib/tw-export-html';
+import downloadBlob from '../lib/download-blob';
+import log from '../lib/log';
+
+const MAX_STAGE_SIZE = 4096;
+
+const parseStageSize = (value, fallback) => {
+    const number = Math.round(value);
+    if (number > 0 && number <= MAX_STAGE_SIZE) {
+        return number;
+    }
+    return fallback;
+};
+
+class TWExportHTMLModal extends React.Component {
+    constructor (props) {
+        super(props);
+        bindAll(this, [
+            'handleChangeTitle',
+            'handleChangeWidth',
+            'handleChangeHeight',
+            'handleChangeLoadingText',
+            'handleChangeProgressBar',
+            'handleChangeBackground',
+            'handleChangeCloudBackend',
+            'handleChangeCloudHost',
+            'handleChangeGreenFlag',
+            'handleChangeStopAll',
+            'handleChangeFullscreen',
+            'handleChangeAutoplay',
+            'handleExport'
+        ]);
+        this.state = {
+            options: getDefaultOptions({
+                // Projects that weren't loaded from an ID still need their own cloud variables
+                projectId: props.projectId && props.projectId !== defaultProjectId ?
+                    props.projectId :
+                    `html-${props.projectTitle}`,
+                title: props.projectTitle,
+                width: props.customStageSize.width,
+                height: props.customStageSize.height
+            }),
+            exporting: false,
+            error: null
+        };
+    }
+    setOptions (newOptions) {
+        this.setState(oldState => ({
+            options: {
+                ...oldState.options,
+                ...newOptions
+            }
+        }));
+    }
+    setSectionOption (section, name, value) {
+        this.setState(oldState => ({
+            options: {
+                ...oldState.options,
+                [section]: {
+                    ...oldState.options[section],
+                    [name]: value
+                }
+            }
+        }));
+    }
+    handleChangeTitle (e) {
+        this.setOptions({title: e.target.value});
+    }
+    handleChangeWidth (value) {
+        this.setOptions({width: parseStageSize(value, this.state.options.width)});
+    }
+    handleChangeHeight (value) {
+        this.setOptions({height: parseStageSize(value, this.state.options.height)});
+    }
+    handleChangeLoadingText (e) {
+        this.setSectionOption('loadingScreen', 'text', e.target.value);
+    }
+    handleChangeProgressBar (e) {
+        this.setSectionOption('loadingScreen', 'progressBar', e.target.checked);
+    }
+    handleChangeBackground (e) {
+        this.setSectionOption('loadingScreen', 'background', e.target.value);
+    }
+    handleChangeCloudBackend (e) {
+        this.setSectionOption('cloud', 'backend', e.target.value);
+    }
+    handleChangeCloudHost (e) {
+        this.setSectionOption('cloud', 'host', e.target.value);
+    }
+    handleChangeGreenFlag (e) {
+        this.setSectionOption('controls', 'greenFlag', e.target.checked);
+    }
+    handleChangeStopAll (e) {
+        this.setSectionOption('controls', 'stopAll', e.target.checked);
+    }
+    handleChangeFullscreen (e) {
+        this.setSectionOption('controls', 'fullscreen', e.target.checked);
+    }
+    handleChangeAutoplay (e) {
+        this.setOptions({autoplay: e.target.checked});
+    }
+    async handleExport () {
+        this.setState({
+            exporting: true,
+            error: null
+        });
+        try {
+            const options = this.state.options;
+            const blob = await exportAsHTML(this.props.vm, options);
+            downloadBlob(`${options.title || this.props.projectTitle}.html`, blob);
+            this.props.onClose();
+        } catch (error) {
+            log.error(error);
+            this.setState({
+                exporting: false,
+                error
+            });
+        }
+    }
+    render () {
+        return (
+            <ExportHTMLModalComponent
+                options={this.state.options}
+                exporting={this.state.exporting}
+                error={this.state.error}
+                onChangeTitle={this.handleChangeTitle}
+                onChangeWidth={this.handleChangeWidth}
+                onChangeHeight={this.handleChangeHeight}
+                onChangeLoadingText={this.handleChangeLoadingText}
+                onChangeProgressBar={this.handleChangeProgressBar}
+                onChangeBackground={this.handleChangeBackground}
+                onChangeCloudBackend={this.handleChangeCloudBackend}
+                onChangeCloudHost={this.handleChangeCloudHost}
+                onChangeGreenFlag={this.handleChangeGreenFlag}
+                onChangeStopAll={this.handleChangeStopAll}
+                onChangeFullscreen={this.handleChangeFullscreen}
+                onChangeAutoplay={this.handleChangeAutoplay}
+                onExport={this.handleExport}
+                onClose={this.props.onClose}
+            />
+        );
+    }
+}
+
+TWExportHTMLModal.propTypes = {
+    customStageSize: PropTypes.shape({
+        width: PropTypes.number,
+        height: PropTypes.number
+    }).isRequired,
+    projectId: PropTypes.string,
+    projectTitle: PropTypes.string,
+    vm: PropTypes.shape({
+        saveProjectSb3: PropTypes.func
+    }).isRequired,
+    onClose: PropTypes.func.isRequired
+};
+
+const mapStateToProps = state => ({
+    customStageSize: state.scratchGui.customStageSize,
+    projectId: state.scratchGui.projectState.projectId,
+    projectTitle: state.scratchGui.projectTitle,
+    vm: state.scratchGui.vm
+});
+
+const mapDispatchToProps = dispatch => ({
+    onClose: () => dispatch(closeExportHTMLModal())
+});
+
+export default connect(
+    mapStateToProps,
+    mapDispatchToProps
+)(TWExportHTMLModal);
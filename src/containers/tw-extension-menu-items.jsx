@@ -0,0 +1,65 @@
+import bindAll from 'lodash.bindall';
+import PropTypes from 'prop-types';
+import React from 'react';
+import {connect} from 'react-redux';
+import {closeEditMenu} from '../reducers/menus';
+import {getExtensionMenuItems, subscribeToExtensionGui} from '../lib/tw-extension-gui-registry';
+
+class ExtensionMenuItems extends React.Component {
+    constructor (props) {
+        super(props);
+        bindAll(this, [
+            'handleClick',
+            'handleRegistryChanged'
+        ]);
+        this.state = {
+            items: this.getItems()
+        };
+    }
+    componentDidMount () {
+        this.unsubscribe = subscribeToExtensionGui(this.handleRegistryChanged);
+    }
+    componentWillUnmount () {
+        this.unsubscribe();
+    }
+    getItems () {
+        return getExtensionMenuItems().map(item => ({
+            id: item.id,
+            text: item.text,
+            handleClick: () => this.handleClick(item)
+        }));
+    }
+    handleRegistryChanged () {
+        this.setState({
+            items: this.getItems()
+        });
+    }
+    handleClick (item) {
+        this.props.onCloseMenu();
+        try {
+            item.onClick();
+        } catch (e) {
+            // eslint-disable-next-line no-console
+            console.error(e);
+        }
+    }
+    render () {
+        return this.props.children(this.state.items);
+    }
+}
+
+ExtensionMenuItems.propTypes = {
+    children: PropTypes.func,
+    onCloseMenu: PropTypes.func
+};
+
+const mapStateToProps = () => ({});
+
+const mapDispatchToProps = dispatch => ({
+    onCloseMenu: () => dispatch(closeEditMenu())
+});
+
+export default connect(
+    mapStateToProps,
+    mapDispatchToProps
+)(ExtensionMenuItems);
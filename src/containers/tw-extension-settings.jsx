@@ -0,0 +1,51 @@
+import bindAll from 'lodash.bindall';
+import PropTypes from 'prop-types';
+import React from 'react';
+import {
+    getExtensionSettingValue,
+    getExtensionSettings,
+    setExtensionSettingValue,
+    subscribeToExtensionGui
+} from '../lib/tw-extension-gui-registry';
+
+class ExtensionSettings extends React.Component {
+    constructor (props) {
+        super(props);
+        bindAll(this, [
+            'handleRegistryChanged'
+        ]);
+        this.state = {
+            settings: this.getSettings()
+        };
+    }
+    componentDidMount () {
+        this.unsubscribe = subscribeToExtensionGui(this.handleRegistryChanged);
+    }
+    componentWillUnmount () {
+        this.unsubscribe();
+    }
+    getSettings () {
+        return getExtensionSettings().map(setting => ({
+            id: setting.id,
+            label: setting.label,
+            description: setting.description,
+            type: setting.type,
+            value: getExtensionSettingValue(setting),
+            handleChange: value => setExtensionSettingValue(setting.id, value)
+        }));
+    }
+    handleRegistryChanged () {
+        this.setState({
+            settings: this.getSettings()
+        });
+    }
+    render () {
+        return this.props.children(this.state.settings);
+    }
+}
+
+ExtensionSettings.propTypes = {
+    children: PropTypes.func
+};
+
+export default ExtensionSettings;
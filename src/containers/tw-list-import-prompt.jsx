@@ -0,0 +1,74 @@
+import PropTypes from 'prop-types';
+import React from 'react';
+import bindAll from 'lodash.bindall';
+import ListImportPromptComponent from '../components/tw-list-import-prompt/list-import-prompt.jsx';
+import {getColumnNames, getListNamesForColumns} from '../lib/tw-list-data';
+
+class ListImportPrompt extends React.Component {
+    constructor (props) {
+        super(props);
+        bindAll(this, [
+            'handleOk',
+            'handleChangeColumn',
+            'handleChangeHasHeader',
+            'handleChooseAllColumns',
+            'handleChooseOneColumn'
+        ]);
+        this.state = {
+            allColumns: false,
+            column: 0,
+            hasHeader: props.defaultHasHeader
+        };
+    }
+    handleOk () {
+        this.props.onOk({
+            allColumns: this.state.allColumns,
+            column: this.state.column,
+            hasHeader: this.state.hasHeader
+        });
+    }
+    handleChangeColumn (e) {
+        this.setState({column: +e.target.value});
+    }
+    handleChangeHasHeader (e) {
+        this.setState({hasHeader: e.target.checked});
+    }
+    handleChooseAllColumns () {
+        this.setState({allColumns: true});
+    }
+    handleChooseOneColumn () {
+        this.setState({allColumns: false});
+    }
+    render () {
+        const columnNames = getColumnNames(this.props.rows, this.state.hasHeader);
+        return (
+            <ListImportPromptComponent
+                allColumns={this.state.allColumns}
+                column={this.state.column}
+                columnNames={columnNames}
+                hasHeader={this.state.hasHeader}
+                listNames={getListNamesForColumns(columnNames, this.props.listName)}
+                onCancel={this.props.onCancel}
+                onChangeColumn={this.handleChangeColumn}
+                onChangeHasHeader={this.handleChangeHasHeader}
+                onChooseAllColumns={this.handleChooseAllColumns}
+                onChooseOneColumn={this.handleChooseOneColumn}
+                onOk={this.handleOk}
+            />
+        );
+    }
+}
+
+ListImportPrompt.propTypes = {
+    defaultHasHeader: PropTypes.bool,
+    listName: PropTypes.string.isRequired,
+    rows: PropTypes.arrayOf(PropTypes.array).isRequired,
+    onCancel: PropTypes.func.isRequired,
+    onOk: PropTypes.func.isRequired
+};
+
+ListImportPrompt.defaultProps = {
+    defaultHasHeader: false
+};
+
+export default ListImportPrompt;
@@ -53,6 +53,7 @@ class TWRestorePointManager extends React.Component {
         bindAll(this, [
             'handleProjectChanged',
             'handleClickCreate',
+            'handleClickChanges',
             'handleClickDelete',
             'handleClickDeleteAll',
             'handleChangeInterval',
@@ -66,7 +67,10 @@ class TWRestorePointManager extends React.Component {
             restorePoints: [],
             error: null,
             interval: RestorePointAPI.readInterval(),
-            exportingRestorePoints: []
+            exportingRestorePoints: [],
+            changesId: null,
+            changes: null,
+            changesError: null
         };
         this.timeout = null;
     }
@@ -111,6 +115,46 @@ class TWRestorePointManager extends React.Component {
             });
     }
 
+    handleClickChanges (id) {
+        if (this.state.changesId === id) {
+            this.setState({
+                changesId: null,
+                changes: null,
+                changesError: null
+            });
+            return;
+        }
+
+        const restorePoint = this.state.restorePoints.find(i => i.id === id);
+        const sameProject = this.state.restorePoints.filter(i => i.title === restorePoint.title);
+        const previous = sameProject[sameProject.indexOf(restorePoint) + 1];
+        if (!previous) {
+            return;
+        }
+
+        this.setState({
+            changesId: id,
+            changes: null,
+            changesError: null
+        });
+        RestorePointAPI.getRestorePointChanges(previous.id, id)
+            .then(changes => {
+                if (this.state.changesId === id) {
+                    this.setState({
+                        changes
+                    });
+                }
+            })
+            .catch(error => {
+                log.error(error);
+                if (this.state.changesId === id) {
+                    this.setState({
+                        changesError: `${error}`
+                    });
+                }
+            });
+    }
+
     handleClickDelete (id) {
         const projectTitle = this.state.restorePoints.find(i => i.id === id).title;
         if (!confirm(this.props.intl.formatMessage(messages.confirmDelete, {projectTitle}))) {
@@ -282,7 +326,10 @@ class TWRestorePointManager extends React.Component {
         this.setState({
             loading: true,
             error: null,
-            restorePoints: []
+            restorePoints: [],
+            changesId: null,
+            changes: null,
+            changesError: null
         });
         RestorePointAPI.getAllRestorePoints()
             .then(data => {
@@ -311,6 +358,7 @@ class TWRestorePointManager extends React.Component {
                 <TWRestorePointModal
                     onClose={this.props.onCloseModal}
                     onClickCreate={this.handleClickCreate}
+                    onClickChanges={this.handleClickChanges}
                     onClickDelete={this.handleClickDelete}
                     onClickDeleteAll={this.handleClickDeleteAll}
                     onClickExport={this.handleClickExport}
@@ -321,6 +369,9 @@ class TWRestorePointManager extends React.Component {
                     isLoading={this.state.loading}
                     totalSize={this.state.totalSize}
                     restorePoints={this.state.restorePoints}
+                    changesId={this.state.changesId}
+                    changes={this.state.changes}
+                    changesError={this.state.changesError}
                     error={this.state.error}
                 />
             );
@@ -6,6 +6,30 @@ import bindAll from 'lodash.bindall';
 import SecurityManagerModal from '../components/tw-security-manager-modal/security-manager-modal.jsx';
 import SecurityModals from '../lib/tw-security-manager-constants';
 import {getPersistedUnsandboxed, setPersistedUnsandboxed} from '../lib/tw-persisted-unsandboxed.js';
+import {
+    MODE_DENY,
+    POLICY_ALLOW,
+    createDenyAllPolicy,
+    evaluateSecurityPolicy,
+    fetchSecurityPolicy,
+    isUnsandboxedByPolicy,
+    parseSecurityPolicy
+} from '../lib/tw-security-policy';
+import {logSecurityDecision} from '../lib/tw-security-audit-log';
+import {
+    checkInstalledExtension,
+    codeToDataURL,
+    getExtensionLoadURL,
+    getInstalledExtension,
+    installExtension,
+    parseExtensionManifest
+} from '../lib/tw-installed-extensions';
+import {
+    getProjectKey,
+    getProjectPermissions,
+    grantProjectPermission,
+    subscribeToProjectPermissions
+} from '../lib/tw-project-permissions';
 
 /* eslint-disable require-atomic-updates */
 
@@ -148,11 +172,27 @@ class TWSecurityManagerComponent extends React.Component {
         super(props);
         bindAll(this, [
             'handleAllowed',
-            'handleDenied'
+            'handleDenied',
+            'handleProjectLoaded',
+            'handleProjectPermissionsChanged'
         ]);
         bindAll(this, SECURITY_MANAGER_METHODS);
+        bindAll(this, [
+            'rewriteExtensionURL'
+        ]);
+        /**
+         * Maps extension URLs that were allowed to load to the URL that the VM should load them from, so
+         * that the VM runs the exact code that was checked instead of downloading it again.
+         * @type {Map<string, string>}
+         */
+        this.extensionLoadURLs = new Map();
         this.nextModalCallbacks = [];
         this.modalLocked = false;
+        this.policyPromise = this.loadPolicy();
+        /** @type {string|null} */
+        this.projectKey = null;
+        /** @type {Promise<import('../lib/tw-project-permissions').ProjectPermissions|null>} */
+        this.projectPermissionsPromise = Promise.resolve(null);
         this.state = {
             type: null,
             data: null,
@@ -165,8 +205,159 @@ class TWSecurityManagerComponent extends React.Component {
         const vmSecurityManager = this.props.vm.extensionManager.securityManager;
         const propsSecurityManager = this.props.securityManager;
         for (const method of SECURITY_MANAGER_METHODS) {
-            vmSecurityManager[method] = propsSecurityManager[method] || this[method];
+            vmSecurityManager[method] = this.applyPolicy(method, propsSecurityManager[method] || this[method]);
         }
+        // Not a decision, so the policy doesn't apply
+        vmSecurityManager.rewriteExtensionURL = this.rewriteExtensionURL;
+        this.props.vm.runtime.on('PROJECT_LOADED', this.handleProjectLoaded);
+        this.unsubscribeFromProjectPermissions = subscribeToProjectPermissions(this.handleProjectPermissionsChanged);
+    }
+
+    componentWillUnmount () {
+        this.props.vm.runtime.off('PROJECT_LOADED', this.handleProjectLoaded);
+        this.unsubscribeFromProjectPermissions();
+    }
+
+    handleProjectLoaded () {
+        this.projectKey = getProjectKey(this.props.projectId, this.props.vm.toJSON());
+        this.loadProjectPermissions();
+    }
+
+    handleProjectPermissionsChanged (projectKey) {
+        if (projectKey !== this.projectKey) {
+            return;
+        }
+        this.loadProjectPermissions().then(permissions => {
+            if (!permissions) {
+                return;
+            }
+            // Anything the user allowed for this project was also persisted, so if it's not persisted
+            // anymore, it was revoked and shouldn't be remembered for the rest of this session either.
+            for (const origin of Array.from(fetchOriginsTrustedByUser)) {
+                if (!permissions.fetch.includes(origin)) {
+                    fetchOriginsTrustedByUser.delete(origin);
+                }
+            }
+            for (const origin of Array.from(embedOriginsTrustedByUser)) {
+                if (!permissions.embed.includes(origin)) {
+                    embedOriginsTrustedByUser.delete(origin);
+                }
+            }
+            allowedAudio = allowedAudio && permissions.audio;
+            allowedVideo = allowedVideo && permissions.video;
+            allowedReadClipboard = allowedReadClipboard && permissions.readClipboard;
+            allowedNotify = allowedNotify && permissions.notify;
+            allowedGeolocation = allowedGeolocation && permissions.geolocate;
+        });
+    }
+
+    /**
+     * @returns {Promise<ProjectPermissions|null>} Resolves with the permissions of the current project.
+     */
+    loadProjectPermissions () {
+        const projectKey = this.projectKey;
+        this.projectPermissionsPromise = projectKey ? (
+            getProjectPermissions(projectKey)
+                .catch(error => {
+                    log.error('Could not load project permissions', error);
+                    return null;
+                })
+        ) : Promise.resolve(null);
+        return this.projectPermissionsPromise;
+    }
+
+    /**
+     * Only call this once applyPolicy() has left the decision to the user, so that permissions granted before
+     * the policy changed can't override it.
+     * @param {string} permission Permission name from tw-project-permissions
+     * @param {string} [origin] Origin, for permissions that are granted per origin
+     * @returns {Promise<boolean>} True if the user previously granted this permission to the current project
+     */
+    async isGrantedForProject (permission, origin) {
+        const permissions = await this.projectPermissionsPromise;
+        if (!permissions) {
+            return false;
+        }
+        if (typeof origin === 'string') {
+            return permissions[permission].includes(origin);
+        }
+        return permissions[permission] === true;
+    }
+
+    /**
+     * Only call this after the user allowed something in a prompt, which the policy never shows for requests
+     * that it denies.
+     * @param {string} permission Permission name from tw-project-permissions
+     * @param {string} [origin] Origin, for permissions that are granted per origin
+     */
+    rememberForProject (permission, origin) {
+        if (!this.projectKey) {
+            return;
+        }
+        grantProjectPermission(this.projectKey, this.props.projectTitle, permission, origin)
+            .catch(error => {
+                log.error('Could not save project permission', error);
+            });
+    }
+
+    /**
+     * @returns {Promise<SecurityPolicy|null>} Resolves with the administrator's security policy, if any.
+     */
+    async loadPolicy () {
+        try {
+            if (this.props.securityPolicy) {
+                return parseSecurityPolicy(this.props.securityPolicy);
+            }
+            if (this.props.securityPolicyURL) {
+                return await fetchSecurityPolicy(this.props.securityPolicyURL);
+            }
+        } catch (e) {
+            // An administrator asked for a policy, so if we can't load it, we must not fall back to
+            // letting the user decide everything.
+            log.error('Could not load security policy; denying all requests', e);
+            return createDenyAllPolicy();
+        }
+        return null;
+    }
+
+    /**
+     * This is the only place the policy is enforced. It runs before any of the shortcuts in the methods
+     * themselves, such as trusted extensions or permissions the user granted earlier, so those can never
+     * override the policy.
+     * @param {string} method Security manager method name
+     * @param {Function} implementation Method to use when the policy does not decide
+     * @returns {Function} Method that checks the policy first and logs all decisions
+     */
+    applyPolicy (method, implementation) {
+        return async (...args) => {
+            const policy = await this.policyPromise;
+            const isDenyMode = !!policy && policy.mode === MODE_DENY;
+            if (method === 'getSandboxMode') {
+                if (isUnsandboxedByPolicy(policy, args[0])) {
+                    logSecurityDecision(method, args, 'unsandboxed', 'policy');
+                    return 'unsandboxed';
+                }
+                if (isDenyMode) {
+                    logSecurityDecision(method, args, 'iframe', 'policy');
+                    return 'iframe';
+                }
+            } else {
+                const decision = evaluateSecurityPolicy(policy, method, args[0]);
+                if (decision) {
+                    const allowed = decision === POLICY_ALLOW;
+                    logSecurityDecision(method, args, allowed, 'policy');
+                    return allowed;
+                }
+                if (isDenyMode) {
+                    // The administrator doesn't want users to be asked anything.
+                    logSecurityDecision(method, args, false, 'policy');
+                    return false;
+                }
+            }
+            const result = await implementation(...args);
+            logSecurityDecision(method, args, result, 'default');
+            return result;
+        };
     }
 
     // eslint-disable-next-line valid-jsdoc
@@ -250,11 +441,79 @@ class TWSecurityManagerComponent extends React.Component {
         }));
     }
 
+    /**
+     * @param {string} url The extension's URL
+     * @returns {Promise<string>} The URL that the VM should actually load the extension from
+     */
+    async rewriteExtensionURL (url) {
+        if (this.extensionLoadURLs.has(url)) {
+            const loadURL = this.extensionLoadURLs.get(url);
+            this.extensionLoadURLs.delete(url);
+            return loadURL;
+        }
+        // The policy can allow extensions without asking canLoadExtensionFromProject(), but a pinned
+        // extension must still run the saved code.
+        const installed = await getInstalledExtension(url)
+            .catch(error => {
+                log.error('Could not check installed extension', error);
+                return null;
+            });
+        if (installed && installed.pinned) {
+            return getExtensionLoadURL(installed);
+        }
+        return url;
+    }
+
     /**
      * @param {string} url The extension's URL
      * @returns {Promise<boolean>} Whether the extension can be loaded
      */
     async canLoadExtensionFromProject (url) {
+        const check = await checkInstalledExtension(url)
+            .catch(error => {
+                log.error('Could not check installed extension', error);
+                return null;
+            });
+        if (check && check.changed) {
+            // Even trusted extensions ask first, because the user chose to run a specific version of them
+            const {showModal} = await this.acquireModalLock();
+            const allowed = await showModal(SecurityModals.LoadExtension, {
+                url,
+                unsandboxed: isTrustedExtension(url),
+                changed: {
+                    name: check.installed.name,
+                    oldVersion: check.installed.version,
+                    newVersion: parseExtensionManifest(check.code).version
+                }
+            });
+            if (allowed) {
+                this.extensionLoadURLs.set(url, codeToDataURL(check.code));
+                installExtension({
+                    type: check.installed.type,
+                    url,
+                    fileName: null,
+                    code: check.code,
+                    unsandboxed: check.installed.unsandboxed
+                }).catch(error => {
+                    log.error('Could not update installed extension', error);
+                });
+            }
+            return allowed;
+        }
+        const allowed = await this.canLoadUncheckedExtension(url);
+        if (allowed && check && check.code !== null) {
+            this.extensionLoadURLs.set(url, (
+                check.installed.pinned ? getExtensionLoadURL(check.installed) : codeToDataURL(check.code)
+            ));
+        }
+        return allowed;
+    }
+
+    /**
+     * @param {string} url The extension's URL
+     * @returns {Promise<boolean>} Whether the extension can be loaded, ignoring installed extensions
+     */
+    async canLoadUncheckedExtension (url) {
         if (isTrustedExtension(url)) {
             log.info(`Loading extension ${url} automatically`);
             return true;
@@ -298,11 +557,17 @@ class TWSecurityManagerComponent extends React.Component {
             releaseLock();
             return true;
         }
+        if (origin && await this.isGrantedForProject('fetch', origin)) {
+            fetchOriginsTrustedByUser.add(origin);
+            releaseLock();
+            return true;
+        }
         const allowed = await showModal(SecurityModals.Fetch, {
             url
         });
         if (origin && allowed) {
             fetchOriginsTrustedByUser.add(origin);
+            this.rememberForProject('fetch', origin);
         }
         return allowed;
     }
@@ -341,9 +606,15 @@ class TWSecurityManagerComponent extends React.Component {
      * @returns {Promise<boolean>} True if audio can be recorded
      */
     async canRecordAudio () {
+        if (!allowedAudio && await this.isGrantedForProject('audio')) {
+            allowedAudio = true;
+        }
         if (!allowedAudio) {
             const {showModal} = await this.acquireModalLock();
             allowedAudio = await showModal(SecurityModals.RecordAudio);
+            if (allowedAudio) {
+                this.rememberForProject('audio');
+            }
         }
         return allowedAudio;
     }
@@ -352,9 +623,15 @@ class TWSecurityManagerComponent extends React.Component {
      * @returns {Promise<boolean>} True if video can be recorded
      */
     async canRecordVideo () {
+        if (!allowedVideo && await this.isGrantedForProject('video')) {
+            allowedVideo = true;
+        }
         if (!allowedVideo) {
             const {showModal} = await this.acquireModalLock();
             allowedVideo = await showModal(SecurityModals.RecordVideo);
+            if (allowedVideo) {
+                this.rememberForProject('video');
+            }
         }
         return allowedVideo;
     }
@@ -363,9 +640,15 @@ class TWSecurityManagerComponent extends React.Component {
      * @returns {Promise<boolean>} True if the clipboard can be read
      */
     async canReadClipboard () {
+        if (!allowedReadClipboard && await this.isGrantedForProject('readClipboard')) {
+            allowedReadClipboard = true;
+        }
         if (!allowedReadClipboard) {
             const {showModal} = await this.acquireModalLock();
             allowedReadClipboard = await showModal(SecurityModals.ReadClipboard);
+            if (allowedReadClipboard) {
+                this.rememberForProject('readClipboard');
+            }
         }
         return allowedReadClipboard;
     }
@@ -374,9 +657,15 @@ class TWSecurityManagerComponent extends React.Component {
      * @returns {Promise<boolean>} True if the notifications are allowed
      */
     async canNotify () {
+        if (!allowedNotify && await this.isGrantedForProject('notify')) {
+            allowedNotify = true;
+        }
         if (!allowedNotify) {
             const {showModal} = await this.acquireModalLock();
             allowedNotify = await showModal(SecurityModals.Notify);
+            if (allowedNotify) {
+                this.rememberForProject('notify');
+            }
         }
         return allowedNotify;
     }
@@ -385,9 +674,15 @@ class TWSecurityManagerComponent extends React.Component {
      * @returns {Promise<boolean>} True if geolocation is allowed.
      */
     async canGeolocate () {
+        if (!allowedGeolocation && await this.isGrantedForProject('geolocate')) {
+            allowedGeolocation = true;
+        }
         if (!allowedGeolocation) {
             const {showModal} = await this.acquireModalLock();
             allowedGeolocation = await showModal(SecurityModals.Geolocate);
+            if (allowedGeolocation) {
+                this.rememberForProject('geolocate');
+            }
         }
         return allowedGeolocation;
     }
@@ -407,9 +702,15 @@ class TWSecurityManagerComponent extends React.Component {
             releaseLock();
             return true;
         }
+        if (origin && await this.isGrantedForProject('embed', origin)) {
+            embedOriginsTrustedByUser.add(origin);
+            releaseLock();
+            return true;
+        }
         const allowed = await showModal(SecurityModals.Embed, {url});
         if (origin && allowed) {
             embedOriginsTrustedByUser.add(origin);
+            this.rememberForProject('embed', origin);
         }
         return allowed;
     }
@@ -448,7 +749,14 @@ class TWSecurityManagerComponent extends React.Component {
 }
 
 TWSecurityManagerComponent.propTypes = {
+    projectId: PropTypes.string,
+    projectTitle: PropTypes.string,
     vm: PropTypes.shape({
+        runtime: PropTypes.shape({
+            on: PropTypes.func.isRequired,
+            off: PropTypes.func.isRequired
+        }).isRequired,
+        toJSON: PropTypes.func.isRequired,
         extensionManager: PropTypes.shape({
             securityManager: PropTypes.shape(
                 SECURITY_MANAGER_METHODS.reduce((obj, method) => {
@@ -458,7 +766,9 @@ TWSecurityManagerComponent.propTypes = {
             ).isRequired
         }).isRequired
     }).isRequired,
-    securityManager: PropTypes.shape(Object.fromEntries(SECURITY_MANAGER_METHODS.map(i => [i, PropTypes.func])))
+    securityManager: PropTypes.shape(Object.fromEntries(SECURITY_MANAGER_METHODS.map(i => [i, PropTypes.func]))),
+    securityPolicy: PropTypes.shape({}),
+    securityPolicyURL: PropTypes.string
 };
 
 TWSecurityManagerComponent.defaultProps = {
@@ -466,6 +776,8 @@ TWSecurityManagerComponent.defaultProps = {
 };
 
 const mapStateToProps = state => ({
+    projectId: state.scratchGui.projectState.projectId,
+    projectTitle: state.scratchGui.projectTitle,
     vm: state.scratchGui.vm
 });
 
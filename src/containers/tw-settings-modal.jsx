@@ -6,6 +6,8 @@ import {connect} from 'react-redux';
 import {closeSettingsModal} from '../reducers/modals';
 import SettingsModalComponent from '../components/tw-settings-modal/settings-modal.jsx';
 import {defaultStageSize} from '../reducers/custom-stage-size';
+import {exportSecurityAuditLog} from '../lib/tw-security-audit-log';
+import downloadBlob from '../lib/download-blob';
 
 const messages = defineMessages({
     newFramerate: {
@@ -30,7 +32,8 @@ class UsernameModal extends React.Component {
             'handleStageWidthChange',
             'handleStageHeightChange',
             'handleDisableCompilerChange',
-            'handleStoreProjectOptions'
+            'handleStoreProjectOptions',
+            'handleExportSecurityLog'
         ]);
     }
     handleFramerateChange (e) {
@@ -85,6 +88,9 @@ class UsernameModal extends React.Component {
     handleStoreProjectOptions () {
         this.props.vm.storeProjectOptions();
     }
+    handleExportSecurityLog () {
+        downloadBlob('security-log.json', exportSecurityAuditLog());
+    }
     render () {
         const {
             /* eslint-disable no-unused-vars */
@@ -114,6 +120,7 @@ class UsernameModal extends React.Component {
                     this.props.customStageSize.height !== defaultStageSize.height
                 }
                 onStoreProjectOptions={this.handleStoreProjectOptions}
+                onExportSecurityLog={this.handleExportSecurityLog}
                 {...props}
             />
         );
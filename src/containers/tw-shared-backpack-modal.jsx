@@ -0,0 +1,94 @@
+import PropTypes from 'prop-types';
+import React from 'react';
+import bindAll from 'lodash.bindall';
+import SharedBackpackModalComponent from '../components/tw-shared-backpack-modal/shared-backpack-modal.jsx';
+import {
+    DEFAULT_AUTH_HEADER,
+    DEFAULT_PAGE_SIZE,
+    formatSharedBackpackURL,
+    parsePageSize,
+    parseSharedBackpackURL
+} from '../lib/tw-backpack-servers';
+
+class SharedBackpackModal extends React.Component {
+    constructor (props) {
+        super(props);
+        bindAll(this, [
+            'handleChangeAuthHeader',
+            'handleChangePageSize',
+            'handleChangeToken',
+            'handleChangeURL',
+            'handleSave'
+        ]);
+        const sharedBackpack = props.sharedBackpack;
+        this.state = {
+            authHeader: sharedBackpack ? sharedBackpack.authHeader : DEFAULT_AUTH_HEADER,
+            invalidURL: false,
+            pageSize: sharedBackpack ? sharedBackpack.pageSize : DEFAULT_PAGE_SIZE,
+            token: sharedBackpack ? sharedBackpack.token : '',
+            url: sharedBackpack ? formatSharedBackpackURL(sharedBackpack) : ''
+        };
+    }
+    handleChangeAuthHeader (e) {
+        this.setState({authHeader: e.target.value});
+    }
+    handleChangePageSize (e) {
+        this.setState({pageSize: e.target.value});
+    }
+    handleChangeToken (e) {
+        this.setState({token: e.target.value});
+    }
+    handleChangeURL (e) {
+        this.setState({
+            url: e.target.value,
+            invalidURL: false
+        });
+    }
+    handleSave () {
+        const parsed = parseSharedBackpackURL(this.state.url);
+        if (!parsed) {
+            this.setState({invalidURL: true});
+            return;
+        }
+        this.props.onSave({
+            host: parsed.host,
+            username: parsed.username,
+            token: this.state.token,
+            authHeader: this.state.authHeader.trim() || DEFAULT_AUTH_HEADER,
+            pageSize: parsePageSize(this.state.pageSize)
+        });
+    }
+    render () {
+        return (
+            <SharedBackpackModalComponent
+                authHeader={this.state.authHeader}
+                invalidURL={this.state.invalidURL}
+                pageSize={this.state.pageSize}
+                token={this.state.token}
+                url={this.state.url}
+                onCancel={this.props.onCancel}
+                onChangeAuthHeader={this.handleChangeAuthHeader}
+                onChangePageSize={this.handleChangePageSize}
+                onChangeToken={this.handleChangeToken}
+                onChangeURL={this.handleChangeURL}
+                onRemove={this.props.sharedBackpack ? this.props.onRemove : null}
+                onSave={this.handleSave}
+            />
+        );
+    }
+}
+
+SharedBackpackModal.propTypes = {
+    sharedBackpack: PropTypes.shape({
+        host: PropTypes.string,
+        username: PropTypes.string,
+        token: PropTypes.string,
+        authHeader: PropTypes.string,
+        pageSize: PropTypes.number
+    }),
+    onCancel: PropTypes.func.isRequired,
+    onRemove: PropTypes.func.isRequired,
+    onSave: PropTypes.func.isRequired
+};
+
+export default SharedBackpackModal;
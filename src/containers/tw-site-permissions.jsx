@@ -0,0 +1,95 @@
+import React from 'react';
+import bindAll from 'lodash.bindall';
+import SitePermissionsComponent from '../components/tw-settings-modal/site-permissions.jsx';
+import {
+    BOOLEAN_PERMISSIONS,
+    ORIGIN_PERMISSIONS,
+    getAllProjectPermissions,
+    grantProjectPermission,
+    revokeAllProjectPermissions,
+    revokeProjectPermission,
+    subscribeToProjectPermissions
+} from '../lib/tw-project-permissions';
+import log from '../lib/log';
+
+class SitePermissions extends React.Component {
+    constructor (props) {
+        super(props);
+        bindAll(this, [
+            'handleRevoke',
+            'handleRevokeAll',
+            'handleToggle',
+            'refresh'
+        ]);
+        this.state = {
+            projects: null,
+            error: null
+        };
+    }
+    componentDidMount () {
+        this.unmounted = false;
+        this.unsubscribe = subscribeToProjectPermissions(this.refresh);
+        this.refresh();
+    }
+    componentWillUnmount () {
+        this.unmounted = true;
+        this.unsubscribe();
+    }
+    refresh () {
+        getAllProjectPermissions()
+            .then(projects => {
+                if (!this.unmounted) {
+                    this.setState({
+                        projects,
+                        error: null
+                    });
+                }
+            })
+            .catch(error => {
+                this.handleError(error);
+            });
+    }
+    handleError (error) {
+        log.error(error);
+        if (!this.unmounted) {
+            this.setState({
+                error: `${error}`
+            });
+        }
+    }
+    handleRevoke (projectKey, permission, origin) {
+        revokeProjectPermission(projectKey, permission, origin)
+            .catch(error => {
+                this.handleError(error);
+            });
+    }
+    handleRevokeAll (projectKey) {
+        revokeAllProjectPermissions(projectKey)
+            .catch(error => {
+                this.handleError(error);
+            });
+    }
+    handleToggle (projectKey, permission, granted) {
+        const promise = granted ?
+            grantProjectPermission(projectKey, undefined, permission) : // eslint-disable-line no-undefined
+            revokeProjectPermission(projectKey, permission);
+        promise.catch(error => {
+            this.handleError(error);
+        });
+    }
+    render () {
+        return (
+            <SitePermissionsComponent
+                error={this.state.error}
+                projects={this.state.projects}
+                originPermissions={ORIGIN_PERMISSIONS}
+                booleanPermissions={BOOLEAN_PERMISSIONS}
+                onRevoke={this.handleRevoke}
+                onRevokeAll={this.handleRevokeAll}
+                onToggle={this.handleToggle}
+            />
+        );
+    }
+}
+
+export default SitePermissions;
@@ -0,0 +1,134 @@
+import React from 'react';
+import PropTypes from 'prop-types';
+import bindAll from 'lodash.bindall';
+import SoundExportModalComponent from '../components/tw-sound-export-modal/sound-export-modal.jsx';
+import {
+    FORMAT_ORIGINAL,
+    canExportOgg,
+    estimateExportSize,
+    exportSound,
+    getDefaultExportOptions
+} from '../lib/tw-sound-formats';
+import downloadBlob from '../lib/download-blob';
+import log from '../lib/log';
+
+class TWSoundExportModal extends React.Component {
+    constructor (props) {
+        super(props);
+        bindAll(this, [
+            'handleChangeFormat',
+            'handleChangeSampleRate',
+            'handleChangeBitDepth',
+            'handleChangeBitrate',
+            'handleChangeMono',
+            'handleExport'
+        ]);
+        this.state = {
+            options: getDefaultExportOptions(this.getSound().rate),
+            exporting: false,
+            error: null
+        };
+    }
+    getSound () {
+        return this.props.vm.editingTarget.sprite.sounds[this.props.soundIndex];
+    }
+    getSoundInfo () {
+        const sound = this.getSound();
+        const audioBuffer = this.props.vm.getSoundBuffer(this.props.soundIndex);
+        return {
+            sampleRate: sound.rate,
+            sampleCount: sound.sampleCount,
+            channels: audioBuffer ? audioBuffer.numberOfChannels : 1,
+            size: sound.asset.data.byteLength
+        };
+    }
+    setOptions (newOptions) {
+        this.setState(oldState => ({
+            options: {
+                ...oldState.options,
+                ...newOptions
+            }
+        }));
+    }
+    handleChangeFormat (e) {
+        this.setOptions({format: e.target.value});
+    }
+    handleChangeSampleRate (e) {
+        this.setOptions({sampleRate: +e.target.value});
+    }
+    handleChangeBitDepth (e) {
+        this.setOptions({bitDepth: +e.target.value});
+    }
+    handleChangeBitrate (e) {
+        this.setOptions({bitrate: +e.target.value});
+    }
+    handleChangeMono (e) {
+        this.setOptions({mono: e.target.checked});
+    }
+    async handleExport () {
+        const sound = this.getSound();
+        const options = this.state.options;
+        if (options.format === FORMAT_ORIGINAL) {
+            const blob = new Blob([sound.asset.data], {type: sound.asset.assetType.contentType});
+            downloadBlob(`${sound.name}.${sound.asset.dataFormat}`, blob);
+            this.props.onClose();
+            return;
+        }
+
+        this.setState({
+            exporting: true,
+            error: null
+        });
+        try {
+            const audioBuffer = this.props.vm.getSoundBuffer(this.props.soundIndex);
+            const exported = await exportSound(audioBuffer, options);
+            const blob = new Blob([exported.data], {type: exported.contentType});
+            downloadBlob(`${sound.name}.${exported.extension}`, blob);
+            this.props.onClose();
+        } catch (error) {
+            log.error(error);
+            this.setState({
+                exporting: false,
+                error
+            });
+        }
+    }
+    render () {
+        const sound = this.getSound();
+        const info = this.getSoundInfo();
+        return (
+            <SoundExportModalComponent
+                canExportOgg={canExportOgg()}
+                channels={info.channels}
+                estimatedSize={estimateExportSize(info, this.state.options)}
+                originalFormat={sound.asset.dataFormat}
+                originalSize={info.size}
+                options={this.state.options}
+                exporting={this.state.exporting}
+                error={this.state.error}
+                onChangeFormat={this.handleChangeFormat}
+                onChangeSampleRate={this.handleChangeSampleRate}
+                onChangeBitDepth={this.handleChangeBitDepth}
+                onChangeBitrate={this.handleChangeBitrate}
+                onChangeMono={this.handleChangeMono}
+                onExport={this.handleExport}
+                onClose={this.props.onClose}
+            />
+        );
+    }
+}
+
+TWSoundExportModal.propTypes = {
+    soundIndex: PropTypes.number.isRequired,
+    vm: PropTypes.shape({
+        editingTarget: PropTypes.shape({
+            sprite: PropTypes.shape({
+                sounds: PropTypes.arrayOf(PropTypes.object)
+            })
+        }),
+        getSoundBuffer: PropTypes.func
+    }).isRequired,
+    onClose: PropTypes.func.isRequired
+};
+
+export default TWSoundExportModal;
@@ -0,0 +1,101 @@
+import React from 'react';
+import PropTypes from 'prop-types';
+import bindAll from 'lodash.bindall';
+import SoundImportModalComponent from '../components/tw-sound-import-modal/sound-import-modal.jsx';
+import {estimateImportSize} from '../lib/tw-sound-formats';
+
+const NO_CHANGES = {
+    mono: false,
+    resample: false
+};
+
+/**
+ * @param {object[]} sounds Sounds from SoundTab
+ * @param {object} options Import options
+ * @returns {number} Size of all of the sounds after importing them
+ */
+const getTotalSize = (sounds, options) => sounds.reduce((total, sound) => total + (
+    sound.analysis ? estimateImportSize(sound.analysis.info, options) : sound.buffer.byteLength
+), 0);
+
+class TWSoundImportModal extends React.Component {
+    constructor (props) {
+        super(props);
+        bindAll(this, [
+            'handleChangeMono',
+            'handleChangeResample',
+            'handleImport',
+            'handleImportUnchanged'
+        ]);
+        const totalSize = getTotalSize(props.sounds, NO_CHANGES);
+        const monoSaving = totalSize - getTotalSize(props.sounds, {mono: true, resample: false});
+        const resampleSaving = totalSize - getTotalSize(props.sounds, {mono: false, resample: true});
+        this.state = {
+            options: {
+                mono: monoSaving > 0,
+                resample: resampleSaving > 0
+            },
+            totalSize,
+            monoSaving,
+            resampleSaving
+        };
+    }
+    setOptions (newOptions) {
+        this.setState(oldState => ({
+            options: {
+                ...oldState.options,
+                ...newOptions
+            }
+        }));
+    }
+    handleChangeMono (e) {
+        this.setOptions({mono: e.target.checked});
+    }
+    handleChangeResample (e) {
+        this.setOptions({resample: e.target.checked});
+    }
+    handleImport () {
+        this.props.onImport(this.state.options);
+    }
+    handleImportUnchanged () {
+        this.props.onImport(NO_CHANGES);
+    }
+    render () {
+        const options = this.state.options;
+        return (
+            <SoundImportModalComponent
+                files={this.props.sounds.map(sound => ({
+                    name: sound.fileName,
+                    size: sound.analysis ? sound.analysis.info.size : sound.buffer.byteLength,
+                    newSize: sound.analysis ?
+                        estimateImportSize(sound.analysis.info, options) :
+                        sound.buffer.byteLength
+                }))}
+                monoSaving={this.state.monoSaving}
+                newTotalSize={getTotalSize(this.props.sounds, options)}
+                options={options}
+                resampleSaving={this.state.resampleSaving}
+                totalSize={this.state.totalSize}
+                onCancel={this.props.onCancel}
+                onChangeMono={this.handleChangeMono}
+                onChangeResample={this.handleChangeResample}
+                onImport={this.handleImport}
+                onImportUnchanged={this.handleImportUnchanged}
+            />
+        );
+    }
+}
+
+TWSoundImportModal.propTypes = {
+    sounds: PropTypes.arrayOf(PropTypes.shape({
+        buffer: PropTypes.instanceOf(ArrayBuffer),
+        fileName: PropTypes.string,
+        analysis: PropTypes.shape({
+            info: PropTypes.object
+        })
+    })).isRequired,
+    onCancel: PropTypes.func.isRequired,
+    onImport: PropTypes.func.isRequired
+};
+
+export default TWSoundImportModal;
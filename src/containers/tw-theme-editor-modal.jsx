@@ -0,0 +1,260 @@
+import React from 'react';
+import PropTypes from 'prop-types';
+import {connect} from 'react-redux';
+import bindAll from 'lodash.bindall';
+import {defineMessages, intlShape, injectIntl} from 'react-intl';
+import ThemeEditorModalComponent from '../components/tw-theme-editor-modal/theme-editor-modal.jsx';
+import {closeThemeEditorModal} from '../reducers/modals';
+import {setTheme, setUserThemes} from '../reducers/theme';
+import {Theme} from '../lib/themes';
+import {detectTheme, persistTheme, persistUserThemes} from '../lib/themes/themePersistance';
+import {
+    createUserTheme,
+    exportUserTheme,
+    getEffectiveGuiColors,
+    getUserThemeId,
+    importUserTheme,
+    registerUserTheme,
+    unregisterUserTheme
+} from '../lib/themes/userThemes';
+import downloadBlob from '../lib/download-blob';
+import log from '../lib/log';
+
+// Color inputs fire change events constantly while dragging, and re-theming the blocks is not fast.
+const PREVIEW_DELAY = 100;
+
+const messages = defineMessages({
+    newThemeName: {
+        defaultMessage: 'My Theme',
+        description: 'Default name of a theme made in the theme editor',
+        id: 'tw.themeEditor.newThemeName'
+    },
+    confirmDelete: {
+        defaultMessage: 'Delete the theme "{name}"?',
+        description: 'Confirmation before deleting a theme in the theme editor',
+        id: 'tw.themeEditor.confirmDelete'
+    }
+});
+
+class TWThemeEditorModal extends React.Component {
+    constructor (props) {
+        super(props);
+        bindAll(this, [
+            'handleCancel',
+            'handleChangeAccent',
+            'handleChangeBlockColor',
+            'handleChangeGui',
+            'handleChangeGuiColor',
+            'handleChangeName',
+            'handleDelete',
+            'handleExport',
+            'handleImport',
+            'handleResetGuiColors',
+            'handleSave',
+            'handleSelectTheme',
+            'updatePreview'
+        ]);
+        this.originalTheme = props.theme;
+        const activeId = getUserThemeId(props.theme);
+        const activeUserTheme = props.userThemes.find(i => i.id === activeId);
+        this.state = {
+            userTheme: activeUserTheme || this.createUserTheme(),
+            error: null
+        };
+    }
+    componentWillUnmount () {
+        clearTimeout(this.previewTimeout);
+    }
+    createUserTheme () {
+        return createUserTheme(this.originalTheme, this.props.intl.formatMessage(messages.newThemeName));
+    }
+    getSavedUserTheme (id) {
+        return this.props.userThemes.find(i => i.id === id) || null;
+    }
+    setUserTheme (userTheme) {
+        this.setState({
+            userTheme,
+            error: null
+        });
+        clearTimeout(this.previewTimeout);
+        this.previewTimeout = setTimeout(this.updatePreview, PREVIEW_DELAY);
+    }
+    updateUserTheme (changes) {
+        this.setUserTheme({
+            ...this.state.userTheme,
+            ...changes
+        });
+    }
+    updatePreview () {
+        this.props.onPreviewTheme(registerUserTheme(this.state.userTheme));
+    }
+    undoPreview () {
+        // Put back the saved version of the theme that was being edited, if it had been saved
+        clearTimeout(this.previewTimeout);
+        const saved = this.getSavedUserTheme(this.state.userTheme.id);
+        if (saved) {
+            registerUserTheme(saved);
+        } else {
+            unregisterUserTheme(this.state.userTheme);
+        }
+    }
+    handleCancel () {
+        this.undoPreview();
+        this.props.onPreviewTheme(this.originalTheme);
+        this.props.onClose();
+    }
+    handleSelectTheme (e) {
+        this.undoPreview();
+        this.setUserTheme(this.getSavedUserTheme(e.target.value) || this.createUserTheme());
+    }
+    handleChangeName (e) {
+        this.updateUserTheme({name: e.target.value});
+    }
+    handleChangeGui (e) {
+        this.updateUserTheme({gui: e.target.value});
+    }
+    handleChangeAccent (e) {
+        this.updateUserTheme({accent: e.target.value});
+    }
+    handleChangeGuiColor (e) {
+        this.updateUserTheme({
+            guiColors: {
+                ...this.state.userTheme.guiColors,
+                [e.target.dataset.name]: e.target.value
+            }
+        });
+    }
+    handleResetGuiColors () {
+        this.updateUserTheme({guiColors: {}});
+    }
+    handleChangeBlockColor (e) {
+        this.updateUserTheme({
+            blockColors: {
+                ...this.state.userTheme.blockColors,
+                [e.target.dataset.name]: e.target.value
+            }
+        });
+    }
+    handleSave () {
+        clearTimeout(this.previewTimeout);
+        const userTheme = this.state.userTheme;
+        const userThemes = this.getSavedUserTheme(userTheme.id) ?
+            this.props.userThemes.map(i => (i.id === userTheme.id ? userTheme : i)) :
+            [...this.props.userThemes, userTheme];
+        this.props.onSaveUserThemes(userThemes);
+        this.props.onSaveTheme(registerUserTheme(userTheme));
+        this.props.onClose();
+    }
+    handleDelete () {
+        const userTheme = this.state.userTheme;
+        // eslint-disable-next-line no-alert
+        if (!confirm(this.props.intl.formatMessage(messages.confirmDelete, {name: userTheme.name}))) {
+            return;
+        }
+        clearTimeout(this.previewTimeout);
+        this.props.onSaveUserThemes(this.props.userThemes.filter(i => i.id !== userTheme.id));
+        unregisterUserTheme(userTheme);
+        if (getUserThemeId(this.originalTheme) === userTheme.id) {
+            // The saved theme refers to the deleted theme, which now falls back to the defaults
+            this.props.onSaveTheme(detectTheme());
+        } else {
+            this.props.onPreviewTheme(this.originalTheme);
+        }
+        this.props.onClose();
+    }
+    handleExport () {
+        const userTheme = this.state.userTheme;
+        downloadBlob(`${userTheme.name || 'theme'}.json`, new Blob([exportUserTheme(userTheme)], {
+            type: 'application/json'
+        }));
+    }
+    handleImport () {
+        const fileSelector = document.createElement('input');
+        fileSelector.type = 'file';
+        fileSelector.accept = '.json';
+        document.body.appendChild(fileSelector);
+        fileSelector.click();
+        document.body.removeChild(fileSelector);
+        fileSelector.addEventListener('change', async () => {
+            const file = fileSelector.files[0];
+            if (!file) {
+                return;
+            }
+            try {
+                const text = await file.text();
+                this.undoPreview();
+                this.setUserTheme(importUserTheme(text));
+            } catch (err) {
+                log.error(err);
+                this.setState({
+                    error: `${err.message || err}`
+                });
+            }
+        });
+    }
+    render () {
+        const userTheme = this.state.userTheme;
+        return (
+            <ThemeEditorModalComponent
+                accent={userTheme.accent}
+                blockColors={userTheme.blockColors}
+                error={this.state.error}
+                gui={userTheme.gui}
+                guiColors={getEffectiveGuiColors(userTheme)}
+                hasCustomGuiColors={Object.keys(userTheme.guiColors).length > 0}
+                isSaved={!!this.getSavedUserTheme(userTheme.id)}
+                name={userTheme.name}
+                selectedId={userTheme.id}
+                userThemes={this.props.userThemes}
+                onCancel={this.handleCancel}
+                onChangeAccent={this.handleChangeAccent}
+                onChangeBlockColor={this.handleChangeBlockColor}
+                onChangeGui={this.handleChangeGui}
+                onChangeGuiColor={this.handleChangeGuiColor}
+                onChangeName={this.handleChangeName}
+                onDelete={this.handleDelete}
+                onExport={this.handleExport}
+                onImport={this.handleImport}
+                onResetGuiColors={this.handleResetGuiColors}
+                onSave={this.handleSave}
+                onSelectTheme={this.handleSelectTheme}
+            />
+        );
+    }
+}
+
+TWThemeEditorModal.propTypes = {
+    intl: intlShape,
+    theme: PropTypes.instanceOf(Theme).isRequired,
+    userThemes: PropTypes.arrayOf(PropTypes.shape({
+        id: PropTypes.string,
+        name: PropTypes.string
+    })).isRequired,
+    onClose: PropTypes.func.isRequired,
+    onPreviewTheme: PropTypes.func.isRequired,
+    onSaveTheme: PropTypes.func.isRequired,
+    onSaveUserThemes: PropTypes.func.isRequired
+};
+
+const mapStateToProps = state => ({
+    theme: state.scratchGui.theme.theme,
+    userThemes: state.scratchGui.theme.userThemes
+});
+
+const mapDispatchToProps = dispatch => ({
+    onClose: () => dispatch(closeThemeEditorModal()),
+    onPreviewTheme: theme => dispatch(setTheme(theme)),
+    onSaveTheme: theme => {
+        dispatch(setTheme(theme));
+        persistTheme(theme);
+    },
+    onSaveUserThemes: userThemes => {
+        persistUserThemes(userThemes);
+        dispatch(setUserThemes(userThemes));
+    }
+});
+
+export default injectIntl(connect(
+    mapStateToProps,
+    mapDispatchToProps
+)(TWThemeEditorModal));
@@ -160,7 +160,7 @@ const alerts = [
         alertId: 'twSaveToDiskSuccess',
         alertType: AlertTypes.INLINE,
         clearList: ['saveSuccess', 'saving', 'savingError', 'twCreatingRestorePoint',
-            'twRestorePointSuccess', 'twRestorePointError'],
+            'twRestorePointSuccess', 'twRestorePointError', 'twAutoSaveError'],
         content: (
             <FormattedMessage
                 defaultMessage="Saved to your computer."
@@ -172,11 +172,26 @@ const alerts = [
         level: AlertLevels.SUCCESS,
         maxDisplaySecs: 3
     },
+    {
+        alertId: 'twAutoSaveError',
+        alertType: AlertTypes.INLINE,
+        clearList: ['saving', 'twSaveToDiskSuccess'],
+        content: (
+            <FormattedMessage
+                defaultMessage="Could not auto-save"
+                description="Menu bar message indicating that the project could not be automatically saved to its file"
+                id="tw.alerts.autoSaveError"
+            />
+        ),
+        iconURL: successImage,
+        level: AlertLevels.WARN,
+        maxDisplaySecs: 5
+    },
     {
         alertId: 'saving',
         alertType: AlertTypes.INLINE,
         clearList: ['saveSuccess', 'saving', 'savingError', 'twSaveToDiskSuccess',
-            'twCreatingRestorePoint', 'twRestorePointSuccess', 'twRestorePointError'],
+            'twCreatingRestorePoint', 'twRestorePointSuccess', 'twRestorePointError', 'twAutoSaveError'],
         content: (
             <FormattedMessage
                 defaultMessage="Saving project…"
@@ -276,6 +291,21 @@ const alerts = [
         ),
         iconSpinner: true,
         level: AlertLevels.SUCCESS
+    },
+    {
+        alertId: 'twUpdateAvailable',
+        alertType: AlertTypes.STANDARD,
+        clearList: ['twUpdateAvailable'],
+        content: (
+            <FormattedMessage
+                defaultMessage="An update is available. Reload to use the new version."
+                description="Message indicating that a new version of the website was downloaded in the background"
+                id="tw.alerts.updateAvailable"
+            />
+        ),
+        closeButton: true,
+        showReload: true,
+        level: AlertLevels.INFO
     }
 ];
 
@@ -3,6 +3,15 @@ import RobotEffect from './effects/robot-effect.js';
 import VolumeEffect from './effects/volume-effect.js';
 import FadeEffect from './effects/fade-effect.js';
 import MuteEffect from './effects/mute-effect.js';
+import EqualizerEffect from './effects/equalizer-effect.js';
+import CompressorEffect from './effects/compressor-effect.js';
+import {
+    applyToRange,
+    noiseGate,
+    normalize,
+    pitchShift,
+    timeStretch
+} from './sample-effects.js';
 
 const effectTypes = {
     ROBOT: 'robot',
@@ -14,14 +23,106 @@ const effectTypes = {
     ECHO: 'echo',
     FADEIN: 'fade in',
     FADEOUT: 'fade out',
-    MUTE: 'mute'
+    MUTE: 'mute',
+    PITCH: 'pitch',
+    EQUALIZER: 'equalizer',
+    COMPRESSOR: 'compressor',
+    NORMALIZE: 'normalize',
+    NOISE_GATE: 'noise gate',
+    TIME_STRETCH: 'time stretch'
+};
+
+/**
+ * @typedef EffectParameter
+ * @property {string} id Key in the parameters object
+ * @property {number} min Smallest allowed value
+ * @property {number} max Largest allowed value
+ * @property {number} defaultValue Value used when the effect is added
+ */
+
+/**
+ * Effects that can be adjusted. Effects that aren't listed have no parameters.
+ * @type {Object.<string, EffectParameter[]>}
+ */
+const effectParameters = {
+    [effectTypes.PITCH]: [
+        {id: 'semitones', min: -12, max: 12, defaultValue: 4}
+    ],
+    [effectTypes.EQUALIZER]: [
+        {id: 'low', min: -24, max: 24, defaultValue: 6},
+        {id: 'mid', min: -24, max: 24, defaultValue: 0},
+        {id: 'high', min: -24, max: 24, defaultValue: 3}
+    ],
+    [effectTypes.COMPRESSOR]: [
+        {id: 'threshold', min: -60, max: 0, defaultValue: -24}
+    ],
+    [effectTypes.NORMALIZE]: [
+        {id: 'peak', min: -24, max: 0, defaultValue: -1}
+    ],
+    [effectTypes.NOISE_GATE]: [
+        {id: 'threshold', min: -80, max: 0, defaultValue: -40}
+    ],
+    [effectTypes.TIME_STRETCH]: [
+        // Percent of the original duration
+        {id: 'stretch', min: 25, max: 400, defaultValue: 150}
+    ]
+};
+
+/**
+ * @param {string} name Name of the effect
+ * @param {object} [parameters] Possibly incomplete or invalid parameters
+ * @returns {object} Parameters with defaults for missing values and everything clamped to the allowed range
+ */
+const getEffectParameters = (name, parameters) => {
+    const result = {};
+    for (const {id, min, max, defaultValue} of effectParameters[name] || []) {
+        const value = parameters ? +parameters[id] : NaN;
+        result[id] = Number.isFinite(value) ? Math.min(max, Math.max(min, value)) : defaultValue;
+    }
+    return result;
+};
+
+const sampleEffectTypes = [
+    effectTypes.PITCH,
+    effectTypes.NORMALIZE,
+    effectTypes.NOISE_GATE,
+    effectTypes.TIME_STRETCH
+];
+
+/**
+ * Process the selected samples of effects in sampleEffectTypes.
+ * @param {string} name Name of the effect
+ * @param {Float32Array} samples Selected samples
+ * @param {number} sampleRate Sample rate
+ * @param {object} parameters From getEffectParameters()
+ * @returns {Float32Array} New samples
+ */
+const processSamples = (name, samples, sampleRate, parameters) => {
+    switch (name) {
+    case effectTypes.PITCH:
+        return pitchShift(samples, sampleRate, parameters.semitones);
+    case effectTypes.NORMALIZE:
+        return normalize(samples, parameters.peak);
+    case effectTypes.NOISE_GATE:
+        return noiseGate(samples, sampleRate, parameters.threshold);
+    case effectTypes.TIME_STRETCH:
+        return timeStretch(samples, sampleRate, parameters.stretch / 100);
+    }
+    return samples;
 };
 
 class AudioEffects {
     static get effectTypes () {
         return effectTypes;
     }
-    constructor (buffer, name, trimStart, trimEnd) {
+    static get effectParameters () {
+        return effectParameters;
+    }
+    static getEffectParameters (name, parameters) {
+        return getEffectParameters(name, parameters);
+    }
+    constructor (buffer, name, trimStart, trimEnd, parameters) {
+        this.parameters = getEffectParameters(name, parameters);
         this.trimStartSeconds = (trimStart * buffer.length) / buffer.sampleRate;
         this.trimEndSeconds = (trimEnd * buffer.length) / buffer.sampleRate;
         this.adjustedTrimStartSeconds = this.trimStartSeconds;
@@ -55,6 +156,18 @@ class AudioEffects {
             break;
         }
 
+        // Some effects process the samples directly, possibly changing how many there are.
+        // This creates new samples so that the original buffer is not modified.
+        const startSamples = Math.floor(this.trimStartSeconds * buffer.sampleRate);
+        const endSamples = Math.floor(this.trimEndSeconds * buffer.sampleRate);
+        let processedSamples = null;
+        if (sampleEffectTypes.includes(name)) {
+            processedSamples = applyToRange(buffer.getChannelData(0), startSamples, endSamples,
+                samples => processSamples(name, samples, buffer.sampleRate, this.parameters));
+            adjustedAffectedSampleCount += processedSamples.length - buffer.length;
+            sampleCount = processedSamples.length;
+        }
+
         const durationSeconds = sampleCount / buffer.sampleRate;
         this.adjustedTrimEndSeconds = this.trimStartSeconds +
             (adjustedAffectedSampleCount / buffer.sampleRate);
@@ -79,8 +192,6 @@ class AudioEffects {
             const newBufferData = newBuffer.getChannelData(0);
             const bufferLength = buffer.length;
 
-            const startSamples = Math.floor(this.trimStartSeconds * buffer.sampleRate);
-            const endSamples = Math.floor(this.trimEndSeconds * buffer.sampleRate);
             let counter = 0;
             for (let i = 0; i < bufferLength; i++) {
                 if (i >= startSamples && i < endSamples) {
@@ -91,6 +202,10 @@ class AudioEffects {
                 }
             }
             this.buffer = newBuffer;
+        } else if (processedSamples) {
+            const newBuffer = this.audioContext.createBuffer(1, processedSamples.length, buffer.sampleRate);
+            newBuffer.getChannelData(0).set(processedSamples);
+            this.buffer = newBuffer;
         } else {
             // All other effects use the original buffer because it is not modified.
             this.buffer = buffer;
@@ -138,6 +253,15 @@ class AudioEffects {
             ({input, output} = new MuteEffect(this.audioContext,
                 this.adjustedTrimStartSeconds, this.adjustedTrimEndSeconds));
             break;
+        case effectTypes.EQUALIZER:
+            ({input, output} = new EqualizerEffect(this.audioContext,
+                this.parameters.low, this.parameters.mid, this.parameters.high,
+                this.adjustedTrimStartSeconds, this.adjustedTrimEndSeconds));
+            break;
+        case effectTypes.COMPRESSOR:
+            ({input, output} = new CompressorEffect(this.audioContext, this.parameters.threshold,
+                this.adjustedTrimStartSeconds, this.adjustedTrimEndSeconds));
+            break;
         }
 
         if (input && output) {
@@ -0,0 +1,109 @@
+import AudioEffects from './audio-effects.js';
+
+/**
+ * @typedef StackedEffect
+ * @property {number} id Unique identifier for this item in the stack
+ * @property {string} name One of AudioEffects.effectTypes
+ * @property {object} parameters From AudioEffects.getEffectParameters()
+ */
+
+/**
+ * @typedef RenderedEffectStack
+ * @property {AudioBuffer} buffer The sound after every effect was applied
+ * @property {number} trimStart Where the selection starts now, from 0 to 1
+ * @property {number} trimEnd Where the selection ends now, from 0 to 1
+ */
+
+let nextEffectId = 1;
+
+/**
+ * @param {string} name One of AudioEffects.effectTypes
+ * @returns {StackedEffect} New stack item with default parameters
+ */
+const createStackedEffect = name => ({
+    id: nextEffectId++,
+    name,
+    parameters: AudioEffects.getEffectParameters(name)
+});
+
+/**
+ * @param {StackedEffect[]} stack Effect stack
+ * @param {number} id ID of the effect to move
+ * @param {number} direction -1 to apply it earlier, 1 to apply it later
+ * @returns {StackedEffect[]} New effect stack
+ */
+const moveStackedEffect = (stack, id, direction) => {
+    const index = stack.findIndex(effect => effect.id === id);
+    const newIndex = index + direction;
+    if (index === -1 || newIndex < 0 || newIndex >= stack.length) {
+        return stack;
+    }
+    const newStack = stack.slice();
+    newStack.splice(index, 1);
+    newStack.splice(newIndex, 0, stack[index]);
+    return newStack;
+};
+
+/**
+ * @param {StackedEffect[]} stack Effect stack
+ * @param {number} id ID of the effect to remove
+ * @returns {StackedEffect[]} New effect stack
+ */
+const removeStackedEffect = (stack, id) => stack.filter(effect => effect.id !== id);
+
+/**
+ * @param {StackedEffect[]} stack Effect stack
+ * @param {number} id ID of the effect to change
+ * @param {string} parameter ID of the parameter
+ * @param {number} value New value. Will be clamped to the allowed range.
+ * @returns {StackedEffect[]} New effect stack
+ */
+const setStackedEffectParameter = (stack, id, parameter, value) => stack.map(effect => {
+    if (effect.id !== id) {
+        return effect;
+    }
+    return {
+        ...effect,
+        parameters: AudioEffects.getEffectParameters(effect.name, {
+            ...effect.parameters,
+            [parameter]: value
+        })
+    };
+});
+
+/**
+ * Apply every effect in the stack, in order, to the selected part of a sound. Effects that change the length
+ * of the selection move the selection for the effects after them.
+ * @param {AudioBuffer} buffer The sound. Not modified.
+ * @param {StackedEffect[]} stack Effect stack
+ * @param {number} trimStart Start of the selection, from 0 to 1
+ * @param {number} trimEnd End of the selection, from 0 to 1
+ * @returns {Promise<RenderedEffectStack>} Resolves with the new sound
+ */
+const renderEffectStack = (buffer, stack, trimStart, trimEnd) => stack.reduce(
+    (promise, effect) => promise.then(previous => new Promise(resolve => {
+        // Offline audio context needs at least 2 samples
+        if (previous.buffer.length < 2) {
+            resolve(previous);
+            return;
+        }
+        const effects = new AudioEffects(previous.buffer, effect.name,
+            previous.trimStart, previous.trimEnd, effect.parameters);
+        effects.process((renderedBuffer, adjustedTrimStart, adjustedTrimEnd) => {
+            resolve({
+                buffer: renderedBuffer,
+                trimStart: adjustedTrimStart,
+                trimEnd: adjustedTrimEnd
+            });
+        });
+    })),
+    Promise.resolve({buffer, trimStart, trimEnd})
+);
+
+export {
+    createStackedEffect,
+    moveStackedEffect,
+    removeStackedEffect,
+    setStackedEffectParameter,
+    renderEffectStack
+};
@@ -0,0 +1,44 @@
+class CompressorEffect {
+    static get RATIO () {
+        return 4;
+    }
+    constructor (audioContext, threshold, startSeconds, endSeconds) {
+        this.audioContext = audioContext;
+
+        this.input = this.audioContext.createGain();
+        this.output = this.audioContext.createGain();
+        this.passthrough = this.audioContext.createGain();
+        this.effectInput = this.audioContext.createGain();
+
+        this.passthrough.gain.value = 1;
+        this.effectInput.gain.value = 0;
+
+        this.passthrough.gain.setValueAtTime(0, startSeconds);
+        this.passthrough.gain.setValueAtTime(1, endSeconds);
+
+        this.effectInput.gain.setValueAtTime(1, startSeconds);
+        this.effectInput.gain.setValueAtTime(0, endSeconds);
+
+        this.compressor = this.audioContext.createDynamicsCompressor();
+        this.compressor.threshold.value = threshold;
+        this.compressor.knee.value = 6;
+        this.compressor.ratio.value = CompressorEffect.RATIO;
+        this.compressor.attack.value = 0.003;
+        this.compressor.release.value = 0.25;
+
+        // Make up for some of the volume that was lost so that the result isn't just quieter
+        this.makeupGain = this.audioContext.createGain();
+        const reductionDb = -threshold * (1 - (1 / CompressorEffect.RATIO));
+        this.makeupGain.gain.value = Math.pow(10, (reductionDb / 2) / 20);
+
+        this.input.connect(this.passthrough);
+        this.passthrough.connect(this.output);
+
+        this.input.connect(this.effectInput);
+        this.effectInput.connect(this.compressor);
+        this.compressor.connect(this.makeupGain);
+        this.makeupGain.connect(this.output);
+    }
+}
+
+export default CompressorEffect;
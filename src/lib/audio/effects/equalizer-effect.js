@@ -0,0 +1,45 @@
+class EqualizerEffect {
+    static get LOW_FREQUENCY () {
+        return 250;
+    }
+    static get MID_FREQUENCY () {
+        return 1000;
+    }
+    static get HIGH_FREQUENCY () {
+        return 4000;
+    }
+    constructor (audioContext, lowGain, midGain, highGain, startSeconds, endSeconds) {
+        this.audioContext = audioContext;
+
+        this.input = this.audioContext.createGain();
+        this.output = this.audioContext.createGain();
+
+        this.low = this.audioContext.createBiquadFilter();
+        this.low.type = 'lowshelf';
+        this.low.frequency.value = EqualizerEffect.LOW_FREQUENCY;
+
+        this.mid = this.audioContext.createBiquadFilter();
+        this.mid.type = 'peaking';
+        this.mid.frequency.value = EqualizerEffect.MID_FREQUENCY;
+        this.mid.Q.value = 0.7;
+
+        this.high = this.audioContext.createBiquadFilter();
+        this.high.type = 'highshelf';
+        this.high.frequency.value = EqualizerEffect.HIGH_FREQUENCY;
+
+        // The filters do nothing when their gain is 0 dB, so only boost or cut during the selection.
+        const filterGains = [[this.low, lowGain], [this.mid, midGain], [this.high, highGain]];
+        for (const [filter, gain] of filterGains) {
+            filter.gain.setValueAtTime(0, 0);
+            filter.gain.setValueAtTime(gain, startSeconds);
+            filter.gain.setValueAtTime(0, endSeconds);
+        }
+
+        this.input.connect(this.low);
+        this.low.connect(this.mid);
+        this.mid.connect(this.high);
+        this.high.connect(this.output);
+    }
+}
+
+export default EqualizerEffect;
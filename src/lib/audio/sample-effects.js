@@ -0,0 +1,237 @@
+/**
+ * @fileoverview
+ * Effects that are simpler to implement by processing samples directly than with Web Audio nodes.
+ * None of these modify their input so that the undo stack keeps working.
+ */
+
+/**
+ * @param {number} db Decibels
+ * @returns {number} Linear gain
+ */
+const dbToGain = db => Math.pow(10, db / 20);
+
+/**
+ * Run an effect on part of a sound.
+ * @param {Float32Array} samples Samples of the whole sound
+ * @param {number} start Index of the first sample to process
+ * @param {number} end Index after the last sample to process
+ * @param {function(Float32Array):Float32Array} effect Processes the selected samples. May change their length.
+ * @returns {Float32Array} New samples
+ */
+const applyToRange = (samples, start, end, effect) => {
+    const processed = effect(samples.subarray(start, end));
+    const result = new Float32Array(samples.length - (end - start) + processed.length);
+    result.set(samples.subarray(0, start), 0);
+    result.set(processed, start);
+    result.set(samples.subarray(end), start + processed.length);
+    return result;
+};
+
+/**
+ * Scale samples so that the loudest one is at the given level.
+ * @param {Float32Array} samples Samples
+ * @param {number} peakDb Level of the loudest sample afterwards, in decibels
+ * @returns {Float32Array} New samples
+ */
+const normalize = (samples, peakDb) => {
+    let max = 0;
+    for (let i = 0; i < samples.length; i++) {
+        const level = Math.abs(samples[i]);
+        if (level > max) {
+            max = level;
+        }
+    }
+    const result = new Float32Array(samples.length);
+    // Silence stays silent
+    if (max === 0) {
+        return result;
+    }
+    const gain = dbToGain(peakDb) / max;
+    for (let i = 0; i < samples.length; i++) {
+        result[i] = samples[i] * gain;
+    }
+    return result;
+};
+
+/**
+ * Silence everything that is quieter than a threshold, such as background noise between words.
+ * @param {Float32Array} samples Samples
+ * @param {number} sampleRate Sample rate
+ * @param {number} thresholdDb Sounds quieter than this are silenced, in decibels
+ * @returns {Float32Array} New samples
+ */
+const noiseGate = (samples, sampleRate, thresholdDb) => {
+    const threshold = dbToGain(thresholdDb);
+    // Time constants are in seconds. The gate opens quickly, stays open for a short time so that it doesn't
+    // chatter on sounds that hover around the threshold, then closes slowly to avoid clicks.
+    const coefficient = seconds => Math.exp(-1 / (seconds * sampleRate));
+    const envelopeRelease = coefficient(0.01);
+    const attack = coefficient(0.002);
+    const release = coefficient(0.05);
+    const holdSamples = Math.round(0.05 * sampleRate);
+
+    const result = new Float32Array(samples.length);
+    let envelope = 0;
+    let gain = 0;
+    let hold = 0;
+    for (let i = 0; i < samples.length; i++) {
+        const level = Math.abs(samples[i]);
+        envelope = level > envelope ? level : envelope * envelopeRelease;
+        if (envelope >= threshold) {
+            hold = holdSamples;
+        } else if (hold > 0) {
+            hold--;
+        }
+        const target = hold > 0 ? 1 : 0;
+        gain = target + ((gain - target) * (target > gain ? attack : release));
+        result[i] = samples[i] * gain;
+    }
+    return result;
+};
+
+/**
+ * Resample using linear interpolation.
+ * @param {Float32Array} samples Samples
+ * @param {number} newLength Number of samples afterwards
+ * @returns {Float32Array} New samples
+ */
+const resample = (samples, newLength) => {
+    const result = new Float32Array(newLength);
+    if (samples.length === 0) {
+        return result;
+    }
+    const ratio = newLength > 1 ? (samples.length - 1) / (newLength - 1) : 0;
+    for (let i = 0; i < newLength; i++) {
+        const position = i * ratio;
+        const index = Math.floor(position);
+        const next = Math.min(index + 1, samples.length - 1);
+        const fraction = position - index;
+        result[i] = (samples[index] * (1 - fraction)) + (samples[next] * fraction);
+    }
+    return result;
+};
+
+// Step sizes used when searching for the best place to take the next frame from.
+// The search is done coarsely first and then refined around the best match, which is much faster
+// than checking every position and sounds the same.
+const COARSE_SEARCH_STEP = 4;
+const CORRELATION_STEP = 2;
+
+/**
+ * Change the duration of samples without changing their pitch using WSOLA (waveform similarity overlap-add).
+ * @param {Float32Array} samples Samples
+ * @param {number} sampleRate Sample rate
+ * @param {number} stretch Duration afterwards as a multiple of the original duration. 2 is twice as long.
+ * @returns {Float32Array} New samples
+ */
+const timeStretch = (samples, sampleRate, stretch) => {
+    const outputLength = Math.round(samples.length * stretch);
+    // Frames of about 40ms overlapping by half. The Hann window sums to 1 at this overlap.
+    const hop = Math.max(2, Math.round(sampleRate * 0.02));
+    const frameSize = hop * 2;
+    if (samples.length < frameSize * 2) {
+        // Too short to find any waveform similarity, so just change the speed
+        return resample(samples, outputLength);
+    }
+    const tolerance = Math.floor(hop / 2);
+
+    const window = new Float32Array(frameSize);
+    for (let i = 0; i < frameSize; i++) {
+        window[i] = 0.5 - (0.5 * Math.cos(2 * Math.PI * i / frameSize));
+    }
+
+    // Pad the start by one hop so that the first frame isn't faded in, and the end so that frames never
+    // read past the end.
+    const input = new Float32Array(hop + samples.length + frameSize + tolerance);
+    input.set(samples, hop);
+    const lastFramePosition = hop + samples.length;
+    const output = new Float32Array(hop + outputLength + frameSize);
+
+    const correlate = (a, b) => {
+        let sum = 0;
+        for (let i = 0; i < hop; i += CORRELATION_STEP) {
+            sum += input[a + i] * input[b + i];
+        }
+        return sum;
+    };
+
+    let previous = -1;
+    for (let outputPosition = 0; outputPosition < hop + outputLength; outputPosition += hop) {
+        const nominal = Math.max(0, Math.min(lastFramePosition,
+            Math.round(hop + ((outputPosition - hop) / stretch))));
+        let best = nominal;
+        if (previous !== -1) {
+            // The frame that would have naturally followed the previous frame is what the next frame
+            // should look like to avoid phase cancellation.
+            const natural = previous + hop;
+            const min = Math.max(0, nominal - tolerance);
+            const max = Math.min(lastFramePosition, nominal + tolerance);
+            let bestScore = -Infinity;
+            for (let candidate = min; candidate <= max; candidate += COARSE_SEARCH_STEP) {
+                const score = correlate(natural, candidate);
+                if (score > bestScore) {
+                    bestScore = score;
+                    best = candidate;
+                }
+            }
+            const coarseBest = best;
+            const refineMin = Math.max(min, coarseBest - COARSE_SEARCH_STEP + 1);
+            const refineMax = Math.min(max, coarseBest + COARSE_SEARCH_STEP - 1);
+            for (let candidate = refineMin; candidate <= refineMax; candidate++) {
+                const score = correlate(natural, candidate);
+                if (score > bestScore) {
+                    bestScore = score;
+                    best = candidate;
+                }
+            }
+        }
+        for (let i = 0; i < frameSize; i++) {
+            output[outputPosition + i] += input[best + i] * window[i];
+        }
+        previous = best;
+    }
+
+    return output.slice(hop, hop + outputLength);
+};
+
+/**
+ * Change the pitch of samples without changing their duration.
+ * @param {Float32Array} samples Samples
+ * @param {number} sampleRate Sample rate
+ * @param {number} semitones How much to change the pitch. 12 is one octave up.
+ * @returns {Float32Array} New samples
+ */
+const pitchShift = (samples, sampleRate, semitones) => {
+    const ratio = Math.pow(2, semitones / 12);
+    // Make it longer or shorter, then speed it up or slow it down back to the original length.
+    const stretched = timeStretch(samples, sampleRate, ratio);
+    return resample(stretched, samples.length);
+};
+
+/**
+ * Play another sound on top of samples.
+ * @param {Float32Array} samples Samples
+ * @param {Float32Array} trackSamples Samples to add, at the same sample rate
+ * @param {number} offset Index in samples where trackSamples starts
+ * @param {number} volume Multiplier for trackSamples
+ * @returns {Float32Array} New samples. Longer than samples if the track continues after the end.
+ */
+const mixSamples = (samples, trackSamples, offset, volume) => {
+    const result = new Float32Array(Math.max(samples.length, offset + trackSamples.length));
+    result.set(samples, 0);
+    for (let i = 0; i < trackSamples.length; i++) {
+        result[offset + i] += trackSamples[i] * volume;
+    }
+    return result;
+};
+
+export {
+    applyToRange,
+    dbToGain,
+    mixSamples,
+    noiseGate,
+    normalize,
+    pitchShift,
+    resample,
+    timeStretch
+};
@@ -4,9 +4,51 @@ import soundPayload from './backpack/sound-payload';
 import spritePayload from './backpack/sprite-payload';
 import codePayload from './backpack/code-payload';
 import localBackpackAPI from './tw-local-backpack-api';
+import {DEFAULT_AUTH_HEADER} from './tw-backpack-servers';
+
+/*
+ * Backpack server protocol
+ *
+ * This is the protocol used by Scratch's backpack server. scripts/backpack-server.mjs is a small implementation
+ * of it that can be used to share a backpack on a local network. {host} is the base URL of the server and
+ * {username} is the name of the backpack.
+ *
+ * Every request to {host}/{username} includes the token in a header, x-token by default. Servers should respond
+ * with 401 if the token is wrong. Cross-origin requests must be allowed with CORS, including the token header.
+ *
+ * Items are JSON objects: {id, type, mime, name, body, thumbnail}. type is one of costume, sound, script, or
+ * sprite. body and thumbnail are file names relative to the host, like "{md5}.{extension}".
+ *
+ * GET {host}/{username}?limit={limit}&offset={offset}
+ *   Responds with an array of up to {limit} items, newest first, skipping the first {offset}. When fewer than
+ *   {limit} items are returned, there are no more.
+ * POST {host}/{username}
+ *   Request body is JSON: {type, mime, name, body, thumbnail}. body and thumbnail are base64. Responds with the
+ *   new item.
+ * PUT {host}/{username}/{id}
+ *   Request body is JSON: {name}. Responds with the updated item. Not supported by Scratch's server.
+ * DELETE {host}/{username}/{id}
+ *   Deletes the item.
+ * GET {host}/{file}
+ *   Responds with a body or thumbnail. These requests don't include the token.
+ */
 
 export const LOCAL_API = '_local_';
 
+/**
+ * @param {string} authHeader Name of the header, or a falsy value for the default
+ * @param {string} token Token. If it's empty, no header is sent.
+ * @returns {object} Headers to send with requests
+ */
+const getAuthHeaders = (authHeader, token) => {
+    if (!token) {
+        return {};
+    }
+    return {
+        [authHeader || DEFAULT_AUTH_HEADER]: token
+    };
+};
+
 // Add a new property for the full thumbnail url, which includes the host.
 // Also include a full body url for loading sprite zips
 // TODO retreiving the images through storage would allow us to remove this.
@@ -19,19 +61,24 @@ const getBackpackContents = ({
     host,
     username,
     token,
+    authHeader,
     limit,
-    offset
+    offset,
+    folder, // Only supported by the local backpack
+    query // Only supported by the local backpack
 }) => new Promise((resolve, reject) => {
     if (host === LOCAL_API) {
         return resolve(localBackpackAPI.getBackpackContents({
             limit,
-            offset
+            offset,
+            folder,
+            query
         }));
     }
     xhr({
         method: 'GET',
         uri: `${host}/${username}?limit=${limit}&offset=${offset}`,
-        headers: {'x-token': token},
+        headers: getAuthHeaders(authHeader, token),
         json: true
     }, (error, response) => {
         if (error || response.statusCode !== 200) {
@@ -45,11 +92,14 @@ const saveBackpackObject = ({
     host,
     username,
     token,
+    authHeader,
     type, // Type of object being saved to the backpack
     mime, // Mime-type of the object being saved
     name, // User-facing name of the object being saved
     body, // Base64-encoded body of the object being saved
-    thumbnail // Base64-encoded JPEG thumbnail of the object being saved
+    thumbnail, // Base64-encoded JPEG thumbnail of the object being saved
+    folder, // Folder to save the object in, only supported by the local backpack
+    tags // Array of tags, only supported by the local backpack
 }) => new Promise((resolve, reject) => {
     if (host === LOCAL_API) {
         return resolve(localBackpackAPI.saveBackpackObject({
@@ -57,13 +107,15 @@ const saveBackpackObject = ({
             mime,
             name,
             body,
-            thumbnail
+            thumbnail,
+            folder,
+            tags
         }));
     }
     xhr({
         method: 'POST',
         uri: `${host}/${username}`,
-        headers: {'x-token': token},
+        headers: getAuthHeaders(authHeader, token),
         json: {type, mime, name, body, thumbnail}
     }, (error, response) => {
         if (error || response.statusCode !== 200) {
@@ -77,6 +129,7 @@ const deleteBackpackObject = ({
     host,
     username,
     token,
+    authHeader,
     id
 }) => new Promise((resolve, reject) => {
     if (host === LOCAL_API) {
@@ -87,7 +140,7 @@ const deleteBackpackObject = ({
     xhr({
         method: 'DELETE',
         uri: `${host}/${username}/${id}`,
-        headers: {'x-token': token}
+        headers: getAuthHeaders(authHeader, token)
     }, (error, response) => {
         if (error || response.statusCode !== 200) {
             return reject(new Error(response.status));
@@ -98,16 +151,68 @@ const deleteBackpackObject = ({
 
 const updateBackpackObject = ({
     host,
+    username,
+    token,
+    authHeader,
     id,
-    name
+    name,
+    folder, // Only supported by the local backpack
+    tags, // Only supported by the local backpack
+    order // Only supported by the local backpack
 }) => new Promise((resolve, reject) => {
     if (host === LOCAL_API) {
         return resolve(localBackpackAPI.updateBackpackObject({
             id,
-            name
+            name,
+            folder,
+            tags,
+            order
+        }));
+    }
+    xhr({
+        method: 'PUT',
+        uri: `${host}/${username}/${id}`,
+        headers: getAuthHeaders(authHeader, token),
+        json: {name}
+    }, (error, response) => {
+        if (error || response.statusCode !== 200) {
+            return reject(new Error(response.status));
+        }
+        return resolve(includeFullUrls(response.body, host));
+    });
+});
+
+const getBackpackFolders = ({
+    host
+}) => new Promise((resolve, reject) => {
+    if (host === LOCAL_API) {
+        return resolve(localBackpackAPI.getBackpackFolders());
+    }
+    reject(new Error('getBackpackFolders not supported'));
+});
+
+const exportBackpack = ({
+    host,
+    ids // If not specified, everything is exported
+}) => new Promise((resolve, reject) => {
+    if (host === LOCAL_API) {
+        return resolve(localBackpackAPI.exportBackpack({
+            ids
+        }));
+    }
+    reject(new Error('exportBackpack not supported'));
+});
+
+const importBackpack = ({
+    host,
+    data // ArrayBuffer of a file from exportBackpack
+}) => new Promise((resolve, reject) => {
+    if (host === LOCAL_API) {
+        return resolve(localBackpackAPI.importBackpack({
+            data
         }));
     }
-    reject(new Error('updateBackpackObject not supported'));
+    reject(new Error('importBackpack not supported'));
 });
 
 // Two types of backpack items are not retreivable through storage
@@ -131,6 +236,9 @@ export {
     saveBackpackObject,
     deleteBackpackObject,
     updateBackpackObject,
+    getBackpackFolders,
+    exportBackpack,
+    importBackpack,
     costumePayload,
     soundPayload,
     spritePayload,
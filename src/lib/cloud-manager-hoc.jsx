@@ -4,9 +4,16 @@ import {connect} from 'react-redux';
 import bindAll from 'lodash.bindall';
 
 import VM from 'scratch-vm';
-import CloudProvider from '../lib/cloud-provider';
+import {
+    cloudBackendNeedsHost,
+    createCloudProvider,
+    getCloudProjectId,
+    hashLoadedProject
+} from './tw-cloud-backends';
+import {setInspectedCloudProvider} from './tw-cloud-inspector';
 
 import {
+    getIsShowingProject,
     getIsShowingWithId
 } from '../reducers/project-state';
 
@@ -31,13 +38,16 @@ const cloudManagerHOC = function (WrappedComponent) {
         constructor (props) {
             super(props);
             this.cloudProvider = null;
+            this.loadedProjectHash = null;
             bindAll(this, [
                 'handleCloudDataUpdate',
-                'handleExtensionAdded'
+                'handleExtensionAdded',
+                'handleProjectLoaded'
             ]);
 
             this.props.vm.on('HAS_CLOUD_DATA_UPDATE', this.handleCloudDataUpdate);
             this.props.vm.on('EXTENSION_ADDED', this.handleExtensionAdded);
+            this.props.vm.runtime.on('PROJECT_LOADED', this.handleProjectLoaded);
         }
         componentDidMount () {
             if (this.shouldConnect(this.props)) {
@@ -73,21 +83,27 @@ const cloudManagerHOC = function (WrappedComponent) {
         componentWillUnmount () {
             this.props.vm.off('HAS_CLOUD_DATA_UPDATE', this.handleCloudDataUpdate);
             this.props.vm.off('EXTENSION_ADDED', this.handleExtensionAdded);
+            this.props.vm.runtime.off('PROJECT_LOADED', this.handleProjectLoaded);
             this.disconnectFromCloud();
         }
         canUseCloud (props) {
+            // Backends that keep everything in this browser work for projects that aren't on a server too
+            const needsHost = cloudBackendNeedsHost(props.cloudBackend);
             return !!(
-                props.reduxCloudHost &&
+                (props.reduxCloudHost || !needsHost) &&
                 props.username &&
                 props.vm &&
-                props.projectId &&
+                (props.projectId || !needsHost) &&
                 props.hasCloudPermission &&
                 !props.cloudVariablesDisabledByUser
             );
         }
+        isShowing (props) {
+            return cloudBackendNeedsHost(props.cloudBackend) ? props.isShowingWithId : props.isShowingProject;
+        }
         shouldConnect (props) {
             return !this.isConnected() && this.canUseCloud(props) &&
-                props.isShowingWithId && props.vm.runtime.hasCloudData() &&
+                this.isShowing(props) && props.vm.runtime.hasCloudData() &&
                 props.canModifyCloudData;
         }
         shouldDisconnect (props, prevProps) {
@@ -96,6 +112,8 @@ const cloudManagerHOC = function (WrappedComponent) {
                     !this.canUseCloud(props) ||
                     !props.vm.runtime.hasCloudData() ||
                     (props.projectId !== prevProps.projectId) ||
+                    // Projects without an ID can be replaced without the ID changing, such as by loading a file
+                    (!cloudBackendNeedsHost(props.cloudBackend) && !props.isShowingProject) ||
                     // tw: username changes are handled in "reconnect"
                     // (props.username !== prevProps.username) ||
                     // Editing someone else's project
@@ -105,26 +123,36 @@ const cloudManagerHOC = function (WrappedComponent) {
         shouldReconnect (props, prevProps) {
             return this.isConnected() && (
                 props.username !== prevProps.username ||
-                props.reduxCloudHost !== prevProps.reduxCloudHost
+                props.reduxCloudHost !== prevProps.reduxCloudHost ||
+                props.cloudBackend !== prevProps.cloudBackend
             );
         }
         isConnected () {
             return this.cloudProvider && !!this.cloudProvider.connection;
         }
+        getCloudProjectId () {
+            if (!this.loadedProjectHash && !cloudBackendNeedsHost(this.props.cloudBackend)) {
+                this.loadedProjectHash = hashLoadedProject(this.props.vm);
+            }
+            return getCloudProjectId(this.props.cloudBackend, this.props.projectId, this.loadedProjectHash);
+        }
         connectToCloud () {
-            this.cloudProvider = new CloudProvider(
-                this.props.reduxCloudHost,
-                this.props.vm,
-                this.props.username,
-                this.props.projectId);
+            this.cloudProvider = createCloudProvider(this.props.cloudBackend, {
+                cloudHost: this.props.reduxCloudHost,
+                vm: this.props.vm,
+                username: this.props.username,
+                projectId: this.getCloudProjectId()
+            });
             this.cloudProvider.onInvalidUsername = this.props.onInvalidUsername;
             this.props.vm.setCloudProvider(this.cloudProvider);
+            setInspectedCloudProvider(this.cloudProvider);
         }
         disconnectFromCloud () {
             if (this.cloudProvider) {
                 this.cloudProvider.requestCloseConnection();
                 this.cloudProvider = null;
                 this.props.vm.setCloudProvider(null);
+                setInspectedCloudProvider(null);
             }
         }
         handleCloudDataUpdate (projectHasCloudData) {
@@ -135,6 +163,14 @@ const cloudManagerHOC = function (WrappedComponent) {
                 this.connectToCloud();
             }
         }
+        handleProjectLoaded () {
+            // Hash the project before it starts running so it's the same every time the project is loaded.
+            // Only needed for projects without an ID, which use the hash as their ID.
+            this.loadedProjectHash = null;
+            if (!cloudBackendNeedsHost(this.props.cloudBackend) && this.props.vm.runtime.hasCloudData()) {
+                this.loadedProjectHash = hashLoadedProject(this.props.vm);
+            }
+        }
         handleExtensionAdded (categoryInfo) {
             // Note that props.vm.extensionManager.isExtensionLoaded('videoSensing') is still false
             // at the point of this callback, so it is difficult to reuse the canModifyCloudData logic.
@@ -146,6 +182,7 @@ const cloudManagerHOC = function (WrappedComponent) {
             const {
                 /* eslint-disable no-unused-vars */
                 canModifyCloudData,
+                cloudBackend,
                 cloudHost,
                 reduxCloudHost,
                 cloudVariablesDisabledByUser,
@@ -153,6 +190,7 @@ const cloudManagerHOC = function (WrappedComponent) {
                 projectId,
                 username,
                 hasCloudPermission,
+                isShowingProject,
                 isShowingWithId,
                 onShowCloudInfo,
                 onInvalidUsername,
@@ -172,11 +210,13 @@ const cloudManagerHOC = function (WrappedComponent) {
 
     CloudManager.propTypes = {
         canModifyCloudData: PropTypes.bool.isRequired,
+        cloudBackend: PropTypes.string,
         cloudHost: PropTypes.string,
         reduxCloudHost: PropTypes.string,
         cloudVariablesDisabledByUser: PropTypes.bool.isRequired,
         onSetReduxCloudHost: PropTypes.func,
         hasCloudPermission: PropTypes.bool,
+        isShowingProject: PropTypes.bool.isRequired,
         isShowingWithId: PropTypes.bool.isRequired,
         onInvalidUsername: PropTypes.func,
         onShowCloudInfo: PropTypes.func,
@@ -195,7 +235,9 @@ const cloudManagerHOC = function (WrappedComponent) {
         const loadingState = state.scratchGui.projectState.loadingState;
         return {
             reduxCloudHost: state.scratchGui.tw.cloudHost,
+            cloudBackend: state.scratchGui.tw.cloudBackend,
             cloudVariablesDisabledByUser: !state.scratchGui.tw.cloud,
+            isShowingProject: getIsShowingProject(loadingState),
             isShowingWithId: getIsShowingWithId(loadingState),
             projectId: state.scratchGui.projectState.projectId,
             // if you're editing someone else's project, you can't modify cloud data
@@ -1,5 +1,14 @@
 import log from './log.js';
 import throttle from 'lodash.throttle';
+import {CLOUD_SEND_INTERVAL} from './tw-cloud-limits.js';
+import {
+    TYPE_QUEUED,
+    TYPE_RATE_LIMITED,
+    TYPE_RECEIVED,
+    TYPE_SENT,
+    logCloudMessage,
+    logCloudStatus
+} from './tw-cloud-inspector.js';
 
 const anonymizeUsername = username => {
     if (/^player\d{2,7}$/i.test(username)) {
@@ -31,12 +40,15 @@ class CloudProvider {
         // connection was ready
         this.queuedData = [];
 
+        // tw: The most recent message given to the throttled send function that hasn't been sent yet
+        this.pendingData = null;
+
         this.openConnection();
 
         // Send a message to the cloud server at a rate of no more
         // than 10 messages/sec.
         // tw: we let cloud variables change at a greater rate
-        this.sendCloudData = throttle(this._sendCloudData, 50);
+        this.sendCloudData = throttle(this._sendCloudData, CLOUD_SEND_INTERVAL);
     }
 
     /**
@@ -51,6 +63,7 @@ class CloudProvider {
             if (!this.cloudHost || (!this.cloudHost.includes('ws://') && !this.cloudHost.includes('wss://'))) {
                 this.cloudHost = (location.protocol === 'http:' ? 'ws://' : 'wss://') + this.cloudHost;
             }
+            logCloudStatus(`Connecting to ${this.cloudHost}`);
             this.connection = new WebSocket(this.cloudHost);
         } catch (e) {
             log.warn('Websocket support is not available in this browser', e);
@@ -66,6 +79,7 @@ class CloudProvider {
 
     onError (event) {
         log.error(`Websocket connection error: ${JSON.stringify(event)}`);
+        logCloudStatus('Connection error');
         // Error is always followed by close, which handles reconnect logic.
     }
 
@@ -74,29 +88,40 @@ class CloudProvider {
         // Multiple commands can be received, newline separated
         messageString.split('\n').forEach(message => {
             if (message) { // .split can also contain '' in the array it returns
-                const parsedData = this.parseMessage(JSON.parse(message));
-                this.vm.postIOData('cloud', parsedData);
+                this.receiveMessage(JSON.parse(message));
             }
         });
     }
 
+    /**
+     * tw: Handle a single message from the server. Also used by the cloud inspector to inject messages.
+     * @param {object} message Parsed message
+     */
+    receiveMessage (message) {
+        logCloudMessage(TYPE_RECEIVED, message);
+        const parsedData = this.parseMessage(message);
+        this.vm.postIOData('cloud', parsedData);
+    }
+
     onOpen () {
         // Reset connection attempts to 1 to make sure any subsequent reconnects
         // use connectionAttempts=1 to calculate timeout
         this.connectionAttempts = 1;
         this.writeToServer('handshake');
         log.info(`Successfully connected to clouddata server.`);
+        logCloudStatus('Connected');
 
         // Go through the queued data and send off messages that we weren't
         // ready to send before
         this.queuedData.forEach(data => {
-            this.sendCloudData(data);
+            this.sendData(data);
         });
         // Reset the queue
         this.queuedData = [];
     }
 
     onClose (e) {
+        logCloudStatus(e && e.code ? `Connection closed with code ${e.code}` : 'Connection closed');
         // Code 4002 is "Username Error" -- do not try to reconnect
         if (e && e.code === 4002) {
             log.info('Cloud username is invalid. Not reconnecting.');
@@ -131,6 +156,7 @@ class CloudProvider {
 
     setTimeout (fn, time) {
         log.info(`Reconnecting in ${(time / 1000).toFixed(1)}s, attempt ${this.connectionAttempts}`);
+        logCloudStatus(`Reconnecting in ${(time / 1000).toFixed(1)}s, attempt ${this.connectionAttempts}`);
         this._connectionTimeout = window.setTimeout(fn, time);
     }
 
@@ -170,23 +196,47 @@ class CloudProvider {
 
         const dataToWrite = JSON.stringify(msg);
         if (this.connection && this.connection.readyState === WebSocket.OPEN) {
-            this.sendCloudData(dataToWrite);
+            this.sendData(dataToWrite);
         } else if (msg.method === 'create' || msg.method === 'delete' || msg.method === 'rename') {
             // Save data for sending when connection is open, iff the data
             // is a create, rename, or  delete
             this.queuedData.push(dataToWrite);
+            logCloudMessage(TYPE_QUEUED, dataToWrite);
         }
 
     }
 
+    /**
+     * tw: Send a message through the throttled send function, keeping track of messages that get
+     * replaced by newer ones before they are sent.
+     * @param {string} data The formatted message to send.
+     */
+    sendData (data) {
+        if (this.pendingData !== null) {
+            logCloudMessage(TYPE_RATE_LIMITED, this.pendingData);
+        }
+        this.pendingData = data;
+        this.sendCloudData(data);
+    }
+
     /**
      * Send a formatted message to the cloud data server.
      * @param {string} data The formatted message to send.
      */
     _sendCloudData (data) {
+        this.pendingData = null;
+        logCloudMessage(TYPE_SENT, data);
         this.connection.send(`${data}\n`);
     }
 
+    /**
+     * tw: Send a message that was not created by the VM. Used by the cloud inspector.
+     * @param {object} message Message with a method and optionally a name, value, and new_name
+     */
+    sendMessage (message) {
+        this.writeToServer(message.method, message.name, message.value, message.new_name);
+    }
+
     /**
      * Provides an API for the VM's cloud IO device to create
      * a new cloud variable on the server.
@@ -235,6 +285,7 @@ class CloudProvider {
             this.connection.readyState !== WebSocket.CLOSING &&
             this.connection.readyState !== WebSocket.CLOSED) {
             log.info('Request close cloud connection without reconnecting');
+            logCloudStatus('Disconnected');
             // Remove listeners, after this point we do not want to react to connection updates
             this.connection.onclose = () => {};
             this.connection.onerror = () => {};
@@ -257,6 +308,7 @@ class CloudProvider {
             this._connectionTimeout = null;
         }
         this.connectionAttempts = 0;
+        this.pendingData = null;
     }
 
 }
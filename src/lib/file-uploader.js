@@ -2,6 +2,7 @@ import {BitmapAdapter, sanitizeSvg, fixForVanilla} from '@turbowarp/scratch-svg-
 import randomizeSpritePosition from './randomize-sprite-position.js';
 import bmpConverter from './bmp-converter';
 import gifDecoder from './gif-decoder';
+import {parseAnimatedImage, renderAnimation} from './tw-animated-image';
 import convertAudioToWav from './tw-convert-audio-wav.js';
 import log from './log.js';
 
@@ -88,6 +89,23 @@ const createVMAsset = function (storage, assetType, dataFormat, data) {
     };
 };
 
+/**
+ * Handles loading each frame of an animated PNG or WebP as a separate costume, like GIFs.
+ * @param {ParsedAnimation} animation The parsed animation
+ * @param {VM} vm The VM
+ * @param {Function} handleCostume Called with every costume at once
+ * @param {Function} handleError Called if any frame can't be loaded
+ */
+const animatedCostumeUpload = function (animation, vm, handleCostume, handleError) {
+    renderAnimation(animation)
+        .then(frames => Promise.all(frames.map(frame => new Promise((resolve, reject) => {
+            // eslint-disable-next-line no-use-before-define
+            costumeUpload(frame.dataURL, 'image/png', vm, resolve, reject);
+        }))))
+        .then(costumes => handleCostume([].concat(...costumes)))
+        .catch(handleError);
+};
+
 /**
  * Handles loading a costume or a backdrop using the provided, context-relevant information.
  * @param {ArrayBuffer | string} fileData The costume data to load (this can be a base64 string
@@ -133,11 +151,22 @@ const costumeUpload = function (fileData, fileType, vm, handleCostume, handleErr
         return; // Return early because we're triggering another proper costumeUpload
     }
     case 'image/png': {
+        // Data URLs are frames that were already split from an animation
+        const animation = typeof fileData === 'string' ? null : parseAnimatedImage(fileData, fileType);
+        if (animation) {
+            animatedCostumeUpload(animation, vm, handleCostume, handleError);
+            return;
+        }
         costumeFormat = storage.DataFormat.PNG;
         assetType = storage.AssetType.ImageBitmap;
         break;
     }
     case 'image/webp': {
+        const animation = parseAnimatedImage(fileData, fileType);
+        if (animation) {
+            animatedCostumeUpload(animation, vm, handleCostume, handleError);
+            return;
+        }
         // Scratch does not natively support webp, so convert to png
         // see image/bmp logic above
         bmpConverter(fileData, 'image/webp').then(dataUrl => {
@@ -1,27 +1,25 @@
-import Papa from 'papaparse';
+import {getFormatFromFileName, parseListFile} from './tw-list-data';
 
 export default () => new Promise((resolve, reject) => {
     const fileInput = document.createElement('input');
     fileInput.setAttribute('type', 'file');
-    fileInput.setAttribute('accept', '.csv, .tsv, .txt'); // parser auto-detects delimiter
+    fileInput.setAttribute('accept', '.csv, .tsv, .txt, .json'); // parser auto-detects delimiter
     fileInput.onchange = e => {
         const file = e.target.files[0];
         const fr = new FileReader();
         fr.onload = () => {
             document.body.removeChild(fileInput);
             const text = fr.result;
-            Papa.parse(text, {
-                header: false,
-                complete: results => {
-                    resolve({
-                        rows: results.data,
-                        text
-                    });
-                },
-                error: err => {
-                    reject(err);
-                }
-            });
+            const format = getFormatFromFileName(file.name);
+            try {
+                resolve({
+                    rows: parseListFile(text, format),
+                    text,
+                    format
+                });
+            } catch (err) {
+                reject(err);
+            }
         };
         fr.onerror = () => {
             document.body.removeChild(fileInput);
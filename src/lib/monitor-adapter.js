@@ -38,11 +38,17 @@ export default function ({id, spriteName, opcode, params, value, vm}) {
     }
 
     // Lists can contain booleans, which should also be turned to strings
+    // tw: only copy the list if it has booleans, as copying lists with hundreds of thousands of items
+    // every frame is slow
     if (Array.isArray(value)) {
-        value = value.slice();
+        let copied = false;
         for (let i = 0; i < value.length; i++) {
             const item = value[i];
             if (typeof item === 'boolean') {
+                if (!copied) {
+                    value = value.slice();
+                    copied = true;
+                }
                 value[i] = item.toString();
             }
         }
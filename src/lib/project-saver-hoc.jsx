@@ -9,6 +9,14 @@ import log from '../lib/log';
 import storage from '../lib/storage';
 import dataURItoBlob from '../lib/data-uri-to-blob';
 import saveProjectToServer from '../lib/save-project-to-server';
+import RestorePointAPI from '../lib/tw-restore-point-api';
+import {
+    canWriteWithoutPrompt,
+    getFileAutoSaveDelay,
+    getFileAutoSaveEnabled,
+    writeProjectStream
+} from '../lib/tw-save-to-file';
+import {saveProjectToFolder} from '../lib/tw-project-folder';
 
 import {
     showAlertWithTimeout,
@@ -28,6 +36,7 @@ import {
     getIsLoading,
     getIsManualUpdating,
     getIsRemixing,
+    getIsShowingProject,
     getIsShowingWithId,
     getIsShowingWithoutId,
     getIsUpdating,
@@ -49,9 +58,16 @@ const ProjectSaverHOC = function (WrappedComponent) {
             super(props);
             bindAll(this, [
                 'getProjectThumbnail',
+                'handleBlur',
+                'handleProjectChanged',
                 'leavePageConfirm',
                 'tryToAutoSave'
             ]);
+            this.isAutoSavingLocally = false;
+            this.changedWhileAutoSaving = false;
+            this.changedSinceRestorePoint = false;
+            // Number of auto-saves to the file that failed in a row
+            this.fileAutoSaveFailures = 0;
         }
         componentWillMount () {
             if (typeof window === 'object') {
@@ -66,6 +82,10 @@ const ProjectSaverHOC = function (WrappedComponent) {
             this.props.onSetProjectThumbnailer(this.getProjectThumbnail);
             this.props.onSetProjectSaver(this.tryToAutoSave);
         }
+        componentDidMount () {
+            window.addEventListener('blur', this.handleBlur);
+            this.props.vm.on('PROJECT_CHANGED', this.handleProjectChanged);
+        }
         componentDidUpdate (prevProps) {
             if (!this.props.isAnyCreatingNewState && prevProps.isAnyCreatingNewState) {
                 this.reportTelemetryEvent('projectWasCreated');
@@ -74,6 +94,9 @@ const ProjectSaverHOC = function (WrappedComponent) {
                 this.reportTelemetryEvent('projectDidLoad');
             }
 
+            if (this.props.fileHandle !== prevProps.fileHandle) {
+                this.fileAutoSaveFailures = 0;
+            }
             if (this.props.projectChanged && !prevProps.projectChanged) {
                 this.scheduleAutoSave();
             }
@@ -115,6 +138,8 @@ const ProjectSaverHOC = function (WrappedComponent) {
         }
         componentWillUnmount () {
             this.clearAutoSaveTimeout();
+            window.removeEventListener('blur', this.handleBlur);
+            this.props.vm.off('PROJECT_CHANGED', this.handleProjectChanged);
             // Cant unset the beforeunload because it might no longer belong to this component
             // i.e. if another of this component has been mounted before this one gets unmounted
             // which happens when going from project to editor view.
@@ -142,12 +167,132 @@ const ProjectSaverHOC = function (WrappedComponent) {
                 const timeoutId = setTimeout(this.tryToAutoSave,
                     this.props.autoSaveIntervalSecs * 1000);
                 this.props.setAutoSaveTimeoutId(timeoutId);
+            } else if (this.canAutoSaveToFile() && this.props.autoSaveTimeoutId === null) {
+                const timeoutId = setTimeout(this.tryToAutoSave,
+                    getFileAutoSaveDelay(this.props.fileAutoSaveIntervalSecs, this.fileAutoSaveFailures) * 1000);
+                this.props.setAutoSaveTimeoutId(timeoutId);
             }
         }
         tryToAutoSave () {
             if (this.props.projectChanged && this.props.isShowingSaveable) {
                 this.props.onAutoUpdateProject();
+            } else if (this.props.projectChanged) {
+                this.autoSaveLocally();
+            }
+        }
+        handleBlur () {
+            // Leaving the window is a good time to save because the user might not come back
+            if (this.props.projectChanged && !this.props.isShowingSaveable) {
+                this.autoSaveLocally();
+            }
+        }
+        handleProjectChanged () {
+            this.changedSinceRestorePoint = true;
+            if (this.isAutoSavingLocally) {
+                this.changedWhileAutoSaving = true;
+            }
+        }
+        canUseFileSystemAccess () {
+            return !!this.props.showSaveFilePicker;
+        }
+        canAutoSaveToFile () {
+            return !!this.props.fileHandle && this.props.isShowingProject && getFileAutoSaveEnabled();
+        }
+        autoSaveLocally () {
+            this.clearAutoSaveTimeout();
+            if (this.isAutoSavingLocally || !this.props.isShowingProject) {
+                return Promise.resolve();
+            }
+            if (this.canAutoSaveToFile()) {
+                return this.autoSaveToFile(this.props.fileHandle);
+            }
+            if (!this.canUseFileSystemAccess()) {
+                return this.autoSaveToRestorePoint();
+            }
+            return Promise.resolve();
+        }
+        autoSaveToFile (handle) {
+            this.isAutoSavingLocally = true;
+            this.changedWhileAutoSaving = false;
+            return canWriteWithoutPrompt(handle)
+                .then(canWrite => {
+                    if (!canWrite) {
+                        // Wait for the user to save manually, which will ask for permission
+                        return;
+                    }
+                    if (handle.kind === 'directory') {
+                        this.props.onShowSavingAlert();
+                        return this.props.vm.saveProjectSb3('arraybuffer')
+                            .then(sb3 => saveProjectToFolder(handle, sb3))
+                            .then(() => {
+                                this.props.onShowSaveToDiskSuccessAlert();
+                                return true;
+                            });
+                    }
+                    return handle.createWritable()
+                        .then(writable => {
+                            this.props.onShowSavingAlert();
+                            return writeProjectStream(writable, this.props.vm.saveProjectSb3Stream());
+                        })
+                        .then(() => {
+                            this.props.onShowSaveToDiskSuccessAlert();
+                            return true;
+                        });
+                })
+                .catch(err => {
+                    log.error(err);
+                    this.props.onShowAutoSaveErrorAlert();
+                    return false;
+                })
+                .then(saved => {
+                    this.isAutoSavingLocally = false;
+                    if (handle !== this.props.fileHandle) {
+                        return;
+                    }
+                    if (saved === false) {
+                        // Try again later, waiting longer each time in case the problem doesn't go away
+                        this.fileAutoSaveFailures++;
+                        this.scheduleAutoSave();
+                        return;
+                    }
+                    if (!saved) {
+                        return;
+                    }
+                    this.fileAutoSaveFailures = 0;
+                    if (this.changedWhileAutoSaving) {
+                        // Changes made while saving aren't in the file yet
+                        this.scheduleAutoSave();
+                    } else {
+                        this.props.onSetProjectUnchanged();
+                    }
+                });
+        }
+        autoSaveToRestorePoint () {
+            // Restore points are already created on their own interval, so this only adds one when the user
+            // leaves the window with changes that haven't been saved in one yet.
+            if (!this.changedSinceRestorePoint || RestorePointAPI.readInterval() < 0) {
+                return Promise.resolve();
             }
+            this.isAutoSavingLocally = true;
+            this.changedSinceRestorePoint = false;
+            this.props.onShowCreatingRestorePointAlert();
+            return RestorePointAPI.createRestorePoint(
+                this.props.vm,
+                this.props.reduxProjectTitle,
+                RestorePointAPI.TYPE_AUTOMATIC
+            )
+                .then(() => RestorePointAPI.removeExtraneousRestorePoints())
+                .then(() => {
+                    this.props.onShowRestorePointSuccessAlert();
+                })
+                .catch(err => {
+                    log.error(err);
+                    this.changedSinceRestorePoint = true;
+                    this.props.onShowRestorePointErrorAlert();
+                })
+                .then(() => {
+                    this.isAutoSavingLocally = false;
+                });
         }
         isShowingCreatable (props) {
             return props.canCreateNew && props.isShowingWithoutId;
@@ -309,6 +454,8 @@ const ProjectSaverHOC = function (WrappedComponent) {
                 /* eslint-disable no-unused-vars */
                 autoSaveTimeoutId,
                 autoSaveIntervalSecs,
+                fileAutoSaveIntervalSecs,
+                fileHandle,
                 isCreatingCopy,
                 isCreatingNew,
                 projectChanged,
@@ -316,6 +463,7 @@ const ProjectSaverHOC = function (WrappedComponent) {
                 isLoading,
                 isManualUpdating,
                 isRemixing,
+                isShowingProject,
                 isShowingSaveable,
                 isShowingWithId,
                 isShowingWithoutId,
@@ -330,11 +478,16 @@ const ProjectSaverHOC = function (WrappedComponent) {
                 onSetProjectThumbnailer,
                 onSetProjectSaver,
                 onShowAlert,
+                onShowAutoSaveErrorAlert,
                 onShowCopySuccessAlert,
                 onShowRemixSuccessAlert,
                 onShowCreatingCopyAlert,
                 onShowCreatingRemixAlert,
+                onShowCreatingRestorePointAlert,
+                onShowRestorePointErrorAlert,
+                onShowRestorePointSuccessAlert,
                 onShowSaveSuccessAlert,
+                onShowSaveToDiskSuccessAlert,
                 onShowSavingAlert,
                 onUpdatedProject,
                 onUpdateProjectData,
@@ -359,6 +512,10 @@ const ProjectSaverHOC = function (WrappedComponent) {
         autoSaveTimeoutId: PropTypes.number,
         canCreateNew: PropTypes.bool,
         canSave: PropTypes.bool,
+        fileAutoSaveIntervalSecs: PropTypes.number.isRequired,
+        fileHandle: PropTypes.shape({
+            name: PropTypes.string
+        }),
         isAnyCreatingNewState: PropTypes.bool,
         isCreatingCopy: PropTypes.bool,
         isCreatingNew: PropTypes.bool,
@@ -366,6 +523,7 @@ const ProjectSaverHOC = function (WrappedComponent) {
         isManualUpdating: PropTypes.bool,
         isRemixing: PropTypes.bool,
         isShared: PropTypes.bool,
+        isShowingProject: PropTypes.bool,
         isShowingSaveable: PropTypes.bool,
         isShowingWithId: PropTypes.bool,
         isShowingWithoutId: PropTypes.bool,
@@ -382,11 +540,16 @@ const ProjectSaverHOC = function (WrappedComponent) {
         onSetProjectThumbnailer: PropTypes.func.isRequired,
         onSetProjectUnchanged: PropTypes.func.isRequired,
         onShowAlert: PropTypes.func,
+        onShowAutoSaveErrorAlert: PropTypes.func,
         onShowCopySuccessAlert: PropTypes.func,
         onShowCreatingCopyAlert: PropTypes.func,
         onShowCreatingRemixAlert: PropTypes.func,
+        onShowCreatingRestorePointAlert: PropTypes.func,
         onShowRemixSuccessAlert: PropTypes.func,
+        onShowRestorePointErrorAlert: PropTypes.func,
+        onShowRestorePointSuccessAlert: PropTypes.func,
         onShowSaveSuccessAlert: PropTypes.func,
+        onShowSaveToDiskSuccessAlert: PropTypes.func,
         onShowSavingAlert: PropTypes.func,
         onUpdateProjectData: PropTypes.func.isRequired,
         onUpdateProjectThumbnail: PropTypes.func,
@@ -395,25 +558,30 @@ const ProjectSaverHOC = function (WrappedComponent) {
         reduxProjectId: PropTypes.oneOfType([PropTypes.string, PropTypes.number]),
         reduxProjectTitle: PropTypes.string,
         setAutoSaveTimeoutId: PropTypes.func.isRequired,
+        showSaveFilePicker: PropTypes.func,
         vm: PropTypes.instanceOf(VM).isRequired
     };
     ProjectSaverComponent.defaultProps = {
         autoSaveIntervalSecs: 600, // 10 minutes = 600 seconds
+        fileAutoSaveIntervalSecs: 60,
         onRemixing: () => {},
         onSetProjectThumbnailer: () => {},
         onSetProjectSaver: () => {},
-        onUpdateProjectData: saveProjectToServer
+        onUpdateProjectData: saveProjectToServer,
+        showSaveFilePicker: typeof showSaveFilePicker === 'function' ? window.showSaveFilePicker.bind(window) : null
     };
     const mapStateToProps = (state, ownProps) => {
         const loadingState = state.scratchGui.projectState.loadingState;
         const isShowingWithId = getIsShowingWithId(loadingState);
         return {
             autoSaveTimeoutId: state.scratchGui.timeout.autoSaveTimeoutId,
+            fileHandle: state.scratchGui.tw.fileHandle,
             isAnyCreatingNewState: getIsAnyCreatingNewState(loadingState),
             isLoading: getIsLoading(loadingState),
             isCreatingCopy: getIsCreatingCopy(loadingState),
             isCreatingNew: getIsCreatingNew(loadingState),
             isRemixing: getIsRemixing(loadingState),
+            isShowingProject: getIsShowingProject(loadingState),
             isShowingSaveable: ownProps.canSave && isShowingWithId,
             isShowingWithId: isShowingWithId,
             isShowingWithoutId: getIsShowingWithoutId(loadingState),
@@ -434,11 +602,16 @@ const ProjectSaverHOC = function (WrappedComponent) {
         onProjectError: error => dispatch(projectError(error)),
         onSetProjectUnchanged: () => dispatch(setProjectUnchanged()),
         onShowAlert: alertType => dispatch(showStandardAlert(alertType)),
+        onShowAutoSaveErrorAlert: () => showAlertWithTimeout(dispatch, 'twAutoSaveError'),
         onShowCopySuccessAlert: () => showAlertWithTimeout(dispatch, 'createCopySuccess'),
         onShowRemixSuccessAlert: () => showAlertWithTimeout(dispatch, 'createRemixSuccess'),
         onShowCreatingCopyAlert: () => showAlertWithTimeout(dispatch, 'creatingCopy'),
         onShowCreatingRemixAlert: () => showAlertWithTimeout(dispatch, 'creatingRemix'),
+        onShowCreatingRestorePointAlert: () => dispatch(showStandardAlert('twCreatingRestorePoint')),
+        onShowRestorePointErrorAlert: () => showAlertWithTimeout(dispatch, 'twRestorePointError'),
+        onShowRestorePointSuccessAlert: () => showAlertWithTimeout(dispatch, 'twRestorePointSuccess'),
         onShowSaveSuccessAlert: () => showAlertWithTimeout(dispatch, 'saveSuccess'),
+        onShowSaveToDiskSuccessAlert: () => showAlertWithTimeout(dispatch, 'twSaveToDiskSuccess'),
         onShowSavingAlert: () => showAlertWithTimeout(dispatch, 'saving'),
         onUpdatedProject: loadingState => dispatch(doneUpdatingProject(loadingState)),
         setAutoSaveTimeoutId: id => dispatch(setAutoSaveTimeoutId(id))
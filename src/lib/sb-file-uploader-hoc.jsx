@@ -6,6 +6,7 @@ import {connect} from 'react-redux';
 import log from '../lib/log';
 import sharedMessages from './shared-messages';
 import {setFileHandle, setProjectError} from '../reducers/tw';
+import {loadProjectFromFolder} from './tw-project-folder';
 
 import {
     LoadingStates,
@@ -43,6 +44,7 @@ const SBFileUploaderHOC = function (WrappedComponent) {
                 'getProjectTitleFromFilename',
                 'handleFinishedLoadingUpload',
                 'handleStartSelectingFileUpload',
+                'handleStartSelectingFolderUpload',
                 'handleChange',
                 'onload',
                 'removeFileObjects'
@@ -63,6 +65,37 @@ const SBFileUploaderHOC = function (WrappedComponent) {
             this.expectingFileUploadFinish = true;
             this.createFileObjects(); // go to step 2
         }
+        // tw: alternative to steps 1 and 2 for project folders, which are turned back into an sb3 before
+        // continuing from step 3. Folders are only opened for reading, so they never become the file
+        // handle that saving and auto-save write to. "Save as folder" asks for permission to write.
+        handleStartSelectingFolderUpload () {
+            this.expectingFileUploadFinish = true;
+            this.removeFileObjects();
+            this.fileReader = new FileReader();
+            this.fileReader.onload = this.onload;
+            (async () => {
+                try {
+                    const handle = await this.props.showDirectoryPicker({
+                        id: 'project-folder',
+                        mode: 'read'
+                    });
+                    const data = await loadProjectFromFolder(handle);
+                    this.handleChange({
+                        target: {
+                            // The name is used for the project title in step 6
+                            files: [new File([data], `${handle.name}.sb3`)],
+                            isFolder: true
+                        }
+                    });
+                } catch (err) {
+                    if (err && err.name === 'AbortError') {
+                        return;
+                    }
+                    log.error(err);
+                    this.props.onLoadingFailed(err);
+                }
+            })();
+        }
         // step 2: create a FileReader and an <input> element, and issue a
         // pseudo-click to it. That will open the file chooser dialog.
         createFileObjects () {
@@ -150,6 +183,9 @@ const SBFileUploaderHOC = function (WrappedComponent) {
                         } else {
                             this.props.onSetFileHandle(null);
                         }
+                    } else if (thisFileInput.isFolder) {
+                        // Saving must not go to the file that the previous project came from
+                        this.props.onSetFileHandle(null);
                     }
 
                     // cues step 4
@@ -250,6 +286,9 @@ const SBFileUploaderHOC = function (WrappedComponent) {
                 <React.Fragment>
                     <WrappedComponent
                         onStartSelectingFileUpload={this.handleStartSelectingFileUpload}
+                        onStartSelectingFolderUpload={
+                            this.props.showDirectoryPicker ? this.handleStartSelectingFolderUpload : null
+                        }
                         {...componentProps}
                     />
                 </React.Fragment>
@@ -272,6 +311,7 @@ const SBFileUploaderHOC = function (WrappedComponent) {
         onSetProjectTitle: PropTypes.func,
         projectChanged: PropTypes.bool,
         requestProjectUpload: PropTypes.func,
+        showDirectoryPicker: PropTypes.func,
         showOpenFilePicker: PropTypes.func,
         userOwnsProject: PropTypes.bool,
         vm: PropTypes.shape({
@@ -284,6 +324,7 @@ const SBFileUploaderHOC = function (WrappedComponent) {
         onSetFileHandle: PropTypes.func
     };
     SBFileUploaderComponent.defaultProps = {
+        showDirectoryPicker: typeof showDirectoryPicker === 'function' ? window.showDirectoryPicker.bind(window) : null,
         showOpenFilePicker: typeof showOpenFilePicker === 'function' ? window.showOpenFilePicker.bind(window) : null
     };
     const mapStateToProps = (state, ownProps) => {
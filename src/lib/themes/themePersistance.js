@@ -1,10 +1,55 @@
 import {BLOCKS_CUSTOM, Theme} from '.';
+import {parseUserTheme, registerUserTheme} from './userThemes';
 
 const matchMedia = query => (window.matchMedia ? window.matchMedia(query) : null);
 const PREFERS_HIGH_CONTRAST_QUERY = matchMedia('(prefers-contrast: more)');
 const PREFERS_DARK_QUERY = matchMedia('(prefers-color-scheme: dark)');
 
 const STORAGE_KEY = 'tw:theme';
+const USER_THEMES_STORAGE_KEY = 'tw:user-themes';
+
+// null until loaded from storage
+let userThemes = null;
+
+/**
+ * The first call registers every saved user theme so that saved themes can refer to them.
+ * @returns {UserTheme[]} themes made in the theme editor
+ */
+const getUserThemes = () => {
+    if (userThemes === null) {
+        userThemes = [];
+        try {
+            const parsed = JSON.parse(localStorage.getItem(USER_THEMES_STORAGE_KEY));
+            if (Array.isArray(parsed)) {
+                for (const data of parsed) {
+                    if (data && typeof data.id === 'string') {
+                        userThemes.push(parseUserTheme(data, data.id));
+                    }
+                }
+            }
+        } catch (e) {
+            // ignore
+        }
+        userThemes.forEach(registerUserTheme);
+    }
+    return userThemes;
+};
+
+/**
+ * @param {UserTheme[]} themes themes made in the theme editor; not registered by this
+ */
+const persistUserThemes = themes => {
+    userThemes = themes;
+    try {
+        if (themes.length === 0) {
+            localStorage.removeItem(USER_THEMES_STORAGE_KEY);
+        } else {
+            localStorage.setItem(USER_THEMES_STORAGE_KEY, JSON.stringify(themes));
+        }
+    } catch (e) {
+        // ignore
+    }
+};
 
 /**
  * @returns {Theme} detected theme
@@ -47,6 +92,7 @@ const onSystemPreferenceChange = onChange => {
  * @returns {Theme} the theme
  */
 const detectTheme = () => {
+    getUserThemes();
     const systemPreferences = systemPreferencesTheme();
 
     try {
@@ -110,5 +156,7 @@ const persistTheme = theme => {
 export {
     onSystemPreferenceChange,
     detectTheme,
-    persistTheme
+    persistTheme,
+    getUserThemes,
+    persistUserThemes
 };
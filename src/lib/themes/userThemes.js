@@ -0,0 +1,373 @@
+import defaultsDeep from 'lodash.defaultsdeep';
+
+import {ACCENT_MAP, BLOCKS_MAP, GUI_MAP, GUI_LIGHT, GUI_DARK, Theme, defaultBlockColors} from '.';
+
+/**
+ * @typedef UserTheme
+ * @property {string} id Unique ID
+ * @property {string} name Name shown in menus
+ * @property {string} gui GUI_LIGHT or GUI_DARK; any GUI colors not in guiColors come from this
+ * @property {string} accent Accent color
+ * @property {Record<string, string>} guiColors Maps names from EDITABLE_GUI_COLORS to colors
+ * @property {Record<string, string>} blockColors Maps names from EDITABLE_BLOCK_COLORS to primary colors
+ */
+
+const USER_THEME_PREFIX = 'user:';
+const FILE_VERSION = 1;
+const DEFAULT_ACCENT = '#ff4c4c';
+
+const EDITABLE_GUI_COLORS = [
+    'ui-primary',
+    'ui-secondary',
+    'ui-tertiary',
+    'text-primary',
+    'menu-bar-background',
+    'menu-bar-foreground',
+    'ui-modal-background',
+    'input-background',
+    'link-color'
+];
+
+const EDITABLE_BLOCK_COLORS = [
+    'motion',
+    'looks',
+    'sounds',
+    'event',
+    'control',
+    'sensing',
+    'operators',
+    'data',
+    'data_lists',
+    'more',
+    'pen'
+];
+
+/**
+ * @param {string} css #rgb, #rrggbb, #rrggbbaa, hsl(), or hsla() color
+ * @returns {{r: number, g: number, b: number}|null} Color with components from 0-255, or null if not understood
+ */
+const parseColor = css => {
+    if (typeof css !== 'string') {
+        return null;
+    }
+    const hex = css.trim().match(/^#([0-9a-f]{3}|[0-9a-f]{6}|[0-9a-f]{8})$/i);
+    if (hex) {
+        const digits = hex[1].length === 3 ? hex[1].replace(/./g, '$&$&') : hex[1];
+        return {
+            r: parseInt(digits.substring(0, 2), 16),
+            g: parseInt(digits.substring(2, 4), 16),
+            b: parseInt(digits.substring(4, 6), 16)
+        };
+    }
+    const hsl = css.trim().match(/^hsla?\(\s*([\d.]+)\s*,\s*([\d.]+)%\s*,\s*([\d.]+)%\s*(?:,\s*[\d.]+\s*)?\)$/i);
+    if (hsl) {
+        const h = (+hsl[1] % 360) / 360;
+        const s = +hsl[2] / 100;
+        const l = +hsl[3] / 100;
+        const q = l < 0.5 ? l * (1 + s) : l + s - (l * s);
+        const p = (2 * l) - q;
+        const channel = t => {
+            t = (t + 1) % 1;
+            if (t < 1 / 6) return p + ((q - p) * 6 * t);
+            if (t < 1 / 2) return q;
+            if (t < 2 / 3) return p + ((q - p) * ((2 / 3) - t) * 6);
+            return p;
+        };
+        return {
+            r: channel(h + (1 / 3)) * 255,
+            g: channel(h) * 255,
+            b: channel(h - (1 / 3)) * 255
+        };
+    }
+    return null;
+};
+
+/**
+ * @param {{r: number, g: number, b: number}} color Color with components from 0-255
+ * @returns {string} #rrggbb
+ */
+const formatColor = color => `#${[color.r, color.g, color.b]
+    .map(i => Math.round(Math.max(0, Math.min(255, i))).toString(16)
+        .padStart(2, '0'))
+    .join('')}`;
+
+/**
+ * @param {string} css Any color supported by parseColor()
+ * @returns {string|null} #rrggbb or null if not understood
+ */
+const normalizeColor = css => {
+    const color = parseColor(css);
+    return color ? formatColor(color) : null;
+};
+
+/**
+ * @param {string} hex #rrggbb
+ * @param {number} amount 0-1; 1 leaves the color unchanged
+ * @returns {string} #rrggbb
+ */
+const darken = (hex, amount) => {
+    const color = parseColor(hex);
+    return formatColor({
+        r: color.r * amount,
+        g: color.g * amount,
+        b: color.b * amount
+    });
+};
+
+/**
+ * @param {string} hex #rrggbb
+ * @param {number} amount 0-1; 0 leaves the color unchanged
+ * @returns {string} #rrggbb
+ */
+const lighten = (hex, amount) => {
+    const color = parseColor(hex);
+    return formatColor({
+        r: color.r + ((255 - color.r) * amount),
+        g: color.g + ((255 - color.g) * amount),
+        b: color.b + ((255 - color.b) * amount)
+    });
+};
+
+/**
+ * @param {Record<string, string>} guiColors GUI colors which may refer to each other using var(--name)
+ * @param {string} name Name of the color
+ * @returns {string|null} #rrggbb or null if not understood
+ */
+const resolveGuiColor = (guiColors, name) => {
+    const seen = new Set();
+    let value = guiColors[name];
+    while (typeof value === 'string' && !seen.has(value)) {
+        seen.add(value);
+        const variable = value.match(/^var\(--([\w-]+)\)$/);
+        if (!variable) {
+            break;
+        }
+        value = guiColors[variable[1]];
+    }
+    return normalizeColor(value);
+};
+
+/**
+ * @param {string} accent #rrggbb
+ * @returns {{guiColors: object, blockColors: object}} Object in the same format as the built-in accents
+ */
+const getAccentColors = accent => {
+    const dark = darken(accent, 0.8);
+    return {
+        guiColors: {
+            'motion-primary': accent,
+            'motion-primary-transparent': `${accent}e6`,
+            'motion-tertiary': dark,
+
+            'looks-secondary': accent,
+            'looks-transparent': `${accent}59`,
+            'looks-light-transparent': `${accent}26`,
+            'looks-secondary-dark': dark,
+
+            'drop-highlight': lighten(accent, 0.4)
+        },
+        blockColors: {
+            checkboxActiveBackground: accent,
+            checkboxActiveBorder: dark
+        }
+    };
+};
+
+/**
+ * @param {string} primary #rrggbb
+ * @returns {object} Colors for a block category in the same format as blocks/three.js
+ */
+const getCategoryColors = primary => ({
+    primary,
+    // Same as editor-theme3's default text mode
+    secondary: darken(primary, 0.9),
+    tertiary: darken(primary, 0.8),
+    quaternary: darken(primary, 0.8)
+});
+
+/**
+ * @param {UserTheme} userTheme The theme
+ * @returns {string} Key used for the theme in ACCENT_MAP, GUI_MAP, and BLOCKS_MAP
+ */
+const getUserThemeKey = userTheme => `${USER_THEME_PREFIX}${userTheme.id}`;
+
+/**
+ * @param {UserTheme} userTheme A registered theme
+ * @returns {Theme} A theme that uses every part of the user theme
+ */
+const getThemeForUserTheme = userTheme => {
+    const key = getUserThemeKey(userTheme);
+    return new Theme(key, key, key);
+};
+
+/**
+ * @param {Theme} theme Any theme
+ * @returns {string|null} ID of the user theme that the theme uses for its GUI colors, if any
+ */
+const getUserThemeId = theme => (
+    theme.gui.startsWith(USER_THEME_PREFIX) ? theme.gui.substring(USER_THEME_PREFIX.length) : null
+);
+
+/**
+ * @param {UserTheme} userTheme The theme
+ * @returns {Record<string, string>} Every editable GUI color as #rrggbb, including ones the theme doesn't change
+ */
+const getEffectiveGuiColors = userTheme => {
+    const guiColors = defaultsDeep(
+        {},
+        userTheme.guiColors,
+        getAccentColors(userTheme.accent).guiColors,
+        GUI_MAP[userTheme.gui].guiColors,
+        GUI_MAP[GUI_LIGHT].guiColors
+    );
+    const result = {};
+    for (const name of EDITABLE_GUI_COLORS) {
+        result[name] = resolveGuiColor(guiColors, name) || '#000000';
+    }
+    return result;
+};
+
+/**
+ * Add a user theme to the theme maps so that Theme objects can refer to it. Registering a theme that was already
+ * registered updates it.
+ * @param {UserTheme} userTheme The theme
+ * @returns {Theme} A theme that uses every part of the user theme
+ */
+const registerUserTheme = userTheme => {
+    const key = getUserThemeKey(userTheme);
+    const baseGui = GUI_MAP[userTheme.gui];
+
+    ACCENT_MAP[key] = getAccentColors(userTheme.accent);
+
+    GUI_MAP[key] = {
+        guiColors: defaultsDeep({}, userTheme.guiColors, baseGui.guiColors),
+        blockColors: baseGui.blockColors
+    };
+
+    const blockColors = {};
+    for (const name of Object.keys(userTheme.blockColors)) {
+        blockColors[name] = getCategoryColors(userTheme.blockColors[name]);
+    }
+    BLOCKS_MAP[key] = {
+        blocksMediaFolder: 'blocks-media/default',
+        colors: defaultsDeep(blockColors, defaultBlockColors),
+        extensions: {},
+        customExtensionColors: {},
+        useForStage: false
+    };
+
+    return getThemeForUserTheme(userTheme);
+};
+
+/**
+ * @param {UserTheme} userTheme The theme
+ */
+const unregisterUserTheme = userTheme => {
+    const key = getUserThemeKey(userTheme);
+    delete ACCENT_MAP[key];
+    delete GUI_MAP[key];
+    delete BLOCKS_MAP[key];
+};
+
+/**
+ * @returns {string} A new random theme ID
+ */
+const generateId = () => `${Date.now().toString(36)}${Math.random().toString(36)
+    .substring(2, 8)}`;
+
+/**
+ * @param {unknown} data Possibly invalid theme data from storage or a file
+ * @param {string} id ID to use for the theme
+ * @returns {UserTheme} Valid theme. Invalid colors are ignored.
+ */
+const parseUserTheme = (data, id) => {
+    if (!data || typeof data !== 'object') {
+        throw new Error('Not a theme');
+    }
+    const parseColors = (colors, names) => {
+        const result = {};
+        if (colors && typeof colors === 'object') {
+            for (const name of names) {
+                const color = normalizeColor(colors[name]);
+                if (color) {
+                    result[name] = color;
+                }
+            }
+        }
+        return result;
+    };
+    return {
+        id,
+        name: typeof data.name === 'string' ? data.name.substring(0, 100) : '',
+        gui: data.gui === GUI_DARK ? GUI_DARK : GUI_LIGHT,
+        accent: normalizeColor(data.accent) || DEFAULT_ACCENT,
+        guiColors: parseColors(data.guiColors, EDITABLE_GUI_COLORS),
+        blockColors: parseColors(data.blockColors, EDITABLE_BLOCK_COLORS)
+    };
+};
+
+/**
+ * @param {Theme} theme Theme to copy
+ * @param {string} name Name of the new theme
+ * @returns {UserTheme} A new user theme that looks like the given theme
+ */
+const createUserTheme = (theme, name) => {
+    const guiColors = theme.getGuiColors();
+    const blockColors = theme.getBlockColors();
+    const userTheme = {
+        id: generateId(),
+        name,
+        gui: theme.isDark() ? GUI_DARK : GUI_LIGHT,
+        accent: resolveGuiColor(guiColors, 'looks-secondary') || DEFAULT_ACCENT,
+        guiColors: {},
+        blockColors: {}
+    };
+    for (const category of EDITABLE_BLOCK_COLORS) {
+        userTheme.blockColors[category] = normalizeColor(blockColors[category].primary) || '#000000';
+    }
+    return userTheme;
+};
+
+/**
+ * @param {UserTheme} userTheme The theme
+ * @returns {string} JSON that can be shared with other people
+ */
+const exportUserTheme = userTheme => JSON.stringify({
+    version: FILE_VERSION,
+    name: userTheme.name,
+    gui: userTheme.gui,
+    accent: userTheme.accent,
+    guiColors: userTheme.guiColors,
+    blockColors: userTheme.blockColors
+}, null, 4);
+
+/**
+ * @param {string} text JSON from exportUserTheme()
+ * @returns {UserTheme} The theme, with a new ID
+ */
+const importUserTheme = text => {
+    const data = JSON.parse(text);
+    if (!data || data.version !== FILE_VERSION) {
+        throw new Error('Not a theme file');
+    }
+    return parseUserTheme(data, generateId());
+};
+
+export {
+    USER_THEME_PREFIX,
+    EDITABLE_GUI_COLORS,
+    EDITABLE_BLOCK_COLORS,
+    normalizeColor,
+    getAccentColors,
+    getCategoryColors,
+    getUserThemeKey,
+    getThemeForUserTheme,
+    getUserThemeId,
+    getEffectiveGuiColors,
+    registerUserTheme,
+    unregisterUserTheme,
+    parseUserTheme,
+    createUserTheme,
+    exportUserTheme,
+    importUserTheme
+};
@@ -0,0 +1,572 @@
+/**
+ * @fileoverview
+ * Splits animated PNG (APNG) and animated WebP images into frames. Browsers only let us draw the first frame of
+ * these to a canvas, so each frame is repackaged as a standalone image that the browser can decode, then the
+ * frames are composited the same way the browser would when playing the animation.
+ * See https://wiki.mozilla.org/APNG_Specification and
+ * https://developers.google.com/speed/webp/docs/riff_container
+ */
+
+const PNG_SIGNATURE = [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a];
+
+// Chunks that describe the animation rather than the image, so they must not be copied into each frame
+const APNG_CHUNKS = ['acTL', 'fcTL', 'fdAT'];
+
+const APNG_DISPOSE_NONE = 0;
+const APNG_DISPOSE_BACKGROUND = 1;
+const APNG_DISPOSE_PREVIOUS = 2;
+const APNG_BLEND_SOURCE = 0;
+
+const WEBP_FLAG_ANIMATION = 0x02;
+const WEBP_FLAG_ALPHA = 0x10;
+
+/**
+ * @typedef AnimationFrame
+ * @property {number} x Left edge of the frame in the image
+ * @property {number} y Top edge of the frame in the image
+ * @property {number} width Width of the frame
+ * @property {number} height Height of the frame
+ * @property {number} delay How long the frame is shown, in milliseconds
+ * @property {boolean} disposeToBackground Whether the frame's area is cleared after it is shown
+ * @property {boolean} disposeToPrevious Whether the image is restored to how it was before the frame was drawn
+ * @property {boolean} blend Whether the frame is drawn over what is already there instead of replacing it
+ * @property {Uint8Array} data The frame as a standalone, non-animated image
+ */
+
+/**
+ * @typedef ParsedAnimation
+ * @property {string} type MIME type of the frames' data
+ * @property {number} width Width of the whole image
+ * @property {number} height Height of the whole image
+ * @property {AnimationFrame[]} frames Frames in the order they are shown
+ */
+
+let crcTable = null;
+const getCRCTable = () => {
+    if (!crcTable) {
+        crcTable = new Uint32Array(256);
+        for (let i = 0; i < 256; i++) {
+            let c = i;
+            for (let j = 0; j < 8; j++) {
+                c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+            }
+            crcTable[i] = c >>> 0;
+        }
+    }
+    return crcTable;
+};
+
+/**
+ * The CRC-32 used by PNG chunks and zip.
+ * @param {Uint8Array} bytes Data to checksum
+ * @returns {number} Checksum
+ */
+const crc32 = bytes => {
+    const table = getCRCTable();
+    let crc = 0xffffffff;
+    for (let i = 0; i < bytes.length; i++) {
+        crc = table[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xffffffff) >>> 0;
+};
+
+/**
+ * @param {Uint8Array} bytes Data
+ * @param {number} offset Where to start reading
+ * @returns {string} The 4 character code at offset
+ */
+const readFourCC = (bytes, offset) => String.fromCharCode(
+    bytes[offset],
+    bytes[offset + 1],
+    bytes[offset + 2],
+    bytes[offset + 3]
+);
+
+/**
+ * @param {Uint8Array} bytes Data
+ * @param {number} offset Where to start reading
+ * @returns {number} 24-bit little endian number at offset
+ */
+const readUint24LE = (bytes, offset) => bytes[offset] | (bytes[offset + 1] << 8) | (bytes[offset + 2] << 16);
+
+/**
+ * @param {Uint8Array} bytes Data
+ * @param {number} offset Where to write
+ * @param {number} value 24-bit number
+ */
+const writeUint24LE = (bytes, offset, value) => {
+    bytes[offset] = value & 0xff;
+    bytes[offset + 1] = (value >> 8) & 0xff;
+    bytes[offset + 2] = (value >> 16) & 0xff;
+};
+
+/**
+ * @param {Uint8Array[]} arrays Arrays to join
+ * @returns {Uint8Array} All of the arrays one after another
+ */
+const concat = arrays => {
+    const result = new Uint8Array(arrays.reduce((total, array) => total + array.length, 0));
+    let offset = 0;
+    for (const array of arrays) {
+        result.set(array, offset);
+        offset += array.length;
+    }
+    return result;
+};
+
+/**
+ * @param {ArrayBuffer|Uint8Array} data PNG file
+ * @returns {{type: string, data: Uint8Array}[]|null} Chunks, or null if it isn't a valid PNG
+ */
+const readPNGChunks = data => {
+    const bytes = new Uint8Array(data);
+    if (bytes.length < PNG_SIGNATURE.length || PNG_SIGNATURE.some((byte, i) => bytes[i] !== byte)) {
+        return null;
+    }
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    const chunks = [];
+    let offset = PNG_SIGNATURE.length;
+    while (offset + 12 <= bytes.length) {
+        const length = view.getUint32(offset);
+        const type = readFourCC(bytes, offset + 4);
+        if (offset + 12 + length > bytes.length) {
+            return null;
+        }
+        chunks.push({
+            type,
+            data: bytes.subarray(offset + 8, offset + 8 + length)
+        });
+        offset += 12 + length;
+        if (type === 'IEND') {
+            break;
+        }
+    }
+    return chunks;
+};
+
+/**
+ * @param {string} type Chunk type
+ * @param {Uint8Array} data Chunk data
+ * @returns {Uint8Array} Chunk with its length and checksum
+ */
+const createPNGChunk = (type, data) => {
+    const chunk = new Uint8Array(12 + data.length);
+    const view = new DataView(chunk.buffer);
+    view.setUint32(0, data.length);
+    for (let i = 0; i < 4; i++) {
+        chunk[4 + i] = type.charCodeAt(i);
+    }
+    chunk.set(data, 8);
+    view.setUint32(8 + data.length, crc32(chunk.subarray(4, 8 + data.length)));
+    return chunk;
+};
+
+/**
+ * @param {ArrayBuffer|Uint8Array} data Possibly animated PNG
+ * @returns {boolean} True if the image is an APNG with more than one frame
+ */
+const isAnimatedPNG = data => {
+    const chunks = readPNGChunks(data);
+    if (!chunks) {
+        return false;
+    }
+    for (const chunk of chunks) {
+        if (chunk.type === 'IDAT') {
+            // acTL must come before the image data
+            return false;
+        }
+        if (chunk.type === 'acTL' && chunk.data.length >= 8) {
+            return new DataView(chunk.data.buffer, chunk.data.byteOffset).getUint32(0) > 1;
+        }
+    }
+    return false;
+};
+
+/**
+ * @param {ArrayBuffer|Uint8Array} data APNG file
+ * @returns {ParsedAnimation|null} Frames, or null if the image isn't animated
+ */
+const parseAPNG = data => {
+    if (!isAnimatedPNG(data)) {
+        return null;
+    }
+    const chunks = readPNGChunks(data);
+    const ihdr = chunks[0];
+    if (ihdr.type !== 'IHDR' || ihdr.data.length !== 13) {
+        return null;
+    }
+    const ihdrView = new DataView(ihdr.data.buffer, ihdr.data.byteOffset, ihdr.data.byteLength);
+
+    // Chunks such as the palette and color profile apply to every frame
+    const sharedChunks = [];
+    const frames = [];
+    let frame = null;
+    let seenImageData = false;
+    for (const chunk of chunks) {
+        const view = new DataView(chunk.data.buffer, chunk.data.byteOffset, chunk.data.byteLength);
+        if (chunk.type === 'fcTL') {
+            if (chunk.data.length < 26) {
+                return null;
+            }
+            const delayNumerator = view.getUint16(20);
+            // A denominator of 0 means 1/100 of a second
+            const delayDenominator = view.getUint16(22) || 100;
+            const dispose = chunk.data[24];
+            frame = {
+                x: view.getUint32(12),
+                y: view.getUint32(16),
+                width: view.getUint32(4),
+                height: view.getUint32(8),
+                delay: Math.round(delayNumerator / delayDenominator * 1000),
+                // Nothing is drawn before the first frame, so "previous" is the same as "background"
+                disposeToBackground: dispose === APNG_DISPOSE_BACKGROUND ||
+                    (dispose === APNG_DISPOSE_PREVIOUS && frames.length === 0),
+                disposeToPrevious: dispose === APNG_DISPOSE_PREVIOUS && frames.length !== 0,
+                blend: chunk.data[25] !== APNG_BLEND_SOURCE,
+                imageData: []
+            };
+            frames.push(frame);
+        } else if (chunk.type === 'IDAT') {
+            seenImageData = true;
+            // If there was no fcTL before the IDAT, the default image isn't part of the animation
+            if (frame) {
+                frame.imageData.push(chunk.data);
+            }
+        } else if (chunk.type === 'fdAT') {
+            if (frame && chunk.data.length > 4) {
+                // Remove the sequence number to turn it into an IDAT
+                frame.imageData.push(chunk.data.subarray(4));
+            }
+        } else if (!seenImageData && chunk.type !== 'IHDR' && !APNG_CHUNKS.includes(chunk.type)) {
+            sharedChunks.push(chunk);
+        }
+    }
+
+    const validFrames = frames.filter(i => i.imageData.length > 0 && i.width > 0 && i.height > 0);
+    if (validFrames.length === 0) {
+        return null;
+    }
+    return {
+        type: 'image/png',
+        width: ihdrView.getUint32(0),
+        height: ihdrView.getUint32(4),
+        frames: validFrames.map(({imageData, ...info}) => {
+            const frameIHDR = ihdr.data.slice();
+            const frameIHDRView = new DataView(frameIHDR.buffer);
+            frameIHDRView.setUint32(0, info.width);
+            frameIHDRView.setUint32(4, info.height);
+            return {
+                ...info,
+                data: concat([
+                    new Uint8Array(PNG_SIGNATURE),
+                    createPNGChunk('IHDR', frameIHDR),
+                    ...sharedChunks.map(chunk => createPNGChunk(chunk.type, chunk.data)),
+                    ...imageData.map(i => createPNGChunk('IDAT', i)),
+                    createPNGChunk('IEND', new Uint8Array(0))
+                ])
+            };
+        })
+    };
+};
+
+/**
+ * Joins still PNGs of the same size and format into an APNG that loops forever.
+ * @param {Array<ArrayBuffer|Uint8Array>} pngs Frames
+ * @param {number} delay How long each frame is shown, in milliseconds
+ * @returns {Uint8Array} APNG file
+ */
+const createAPNG = (pngs, delay) => {
+    const frames = pngs.map(readPNGChunks);
+    if (frames.length === 0 || frames.some(i => !i || i[0].type !== 'IHDR')) {
+        throw new Error('Frames are not valid PNGs');
+    }
+    const ihdr = frames[0][0].data;
+    if (frames.some(i => i[0].data.length !== ihdr.length || i[0].data.some((byte, j) => byte !== ihdr[j]))) {
+        throw new Error('Frames must all be the same size and format');
+    }
+    const ihdrView = new DataView(ihdr.buffer, ihdr.byteOffset, ihdr.byteLength);
+
+    const acTL = new Uint8Array(8);
+    const acTLView = new DataView(acTL.buffer);
+    acTLView.setUint32(0, frames.length);
+    // 0 plays forever
+    acTLView.setUint32(4, 0);
+
+    // The first frame is also the image shown by programs that don't support APNG
+    const output = [
+        new Uint8Array(PNG_SIGNATURE),
+        createPNGChunk('IHDR', ihdr),
+        createPNGChunk('acTL', acTL),
+        ...frames[0]
+            .slice(1, frames[0].findIndex(i => i.type === 'IDAT'))
+            .filter(i => !APNG_CHUNKS.includes(i.type))
+            .map(i => createPNGChunk(i.type, i.data))
+    ];
+    let sequence = 0;
+    frames.forEach((chunks, index) => {
+        const fcTL = new Uint8Array(26);
+        const fcTLView = new DataView(fcTL.buffer);
+        fcTLView.setUint32(0, sequence++);
+        fcTLView.setUint32(4, ihdrView.getUint32(0));
+        fcTLView.setUint32(8, ihdrView.getUint32(4));
+        fcTLView.setUint16(20, Math.min(0xffff, Math.max(0, Math.round(delay))));
+        fcTLView.setUint16(22, 1000);
+        fcTL[24] = APNG_DISPOSE_NONE;
+        fcTL[25] = APNG_BLEND_SOURCE;
+        output.push(createPNGChunk('fcTL', fcTL));
+        for (const chunk of chunks) {
+            if (chunk.type === 'IDAT') {
+                if (index === 0) {
+                    output.push(createPNGChunk('IDAT', chunk.data));
+                } else {
+                    const fdAT = new Uint8Array(4 + chunk.data.length);
+                    new DataView(fdAT.buffer).setUint32(0, sequence++);
+                    fdAT.set(chunk.data, 4);
+                    output.push(createPNGChunk('fdAT', fdAT));
+                }
+            }
+        }
+    });
+    output.push(createPNGChunk('IEND', new Uint8Array(0)));
+    return concat(output);
+};
+
+/**
+ * @param {ArrayBuffer|Uint8Array} data WebP file
+ * @param {number} [start] Where the chunks start
+ * @param {number} [end] Where the chunks end
+ * @returns {{type: string, data: Uint8Array}[]|null} Chunks, or null if it isn't a valid WebP
+ */
+const readWebPChunks = (data, start, end) => {
+    const bytes = new Uint8Array(data);
+    if (typeof start !== 'number') {
+        if (bytes.length < 12 || readFourCC(bytes, 0) !== 'RIFF' || readFourCC(bytes, 8) !== 'WEBP') {
+            return null;
+        }
+        start = 12;
+        end = bytes.length;
+    }
+    const chunks = [];
+    let offset = start;
+    while (offset + 8 <= end) {
+        const type = readFourCC(bytes, offset);
+        const length = new DataView(bytes.buffer, bytes.byteOffset + offset + 4, 4).getUint32(0, true);
+        if (offset + 8 + length > end) {
+            return null;
+        }
+        chunks.push({
+            type,
+            data: bytes.subarray(offset + 8, offset + 8 + length)
+        });
+        // Chunks are padded to an even length
+        offset += 8 + length + (length & 1);
+    }
+    return chunks;
+};
+
+/**
+ * @param {string} type Chunk type
+ * @param {Uint8Array} data Chunk data
+ * @returns {Uint8Array} Chunk with its header and padding
+ */
+const createWebPChunk = (type, data) => {
+    const chunk = new Uint8Array(8 + data.length + (data.length & 1));
+    for (let i = 0; i < 4; i++) {
+        chunk[i] = type.charCodeAt(i);
+    }
+    new DataView(chunk.buffer).setUint32(4, data.length, true);
+    chunk.set(data, 8);
+    return chunk;
+};
+
+/**
+ * @param {Uint8Array[]} chunks Chunks, already including their headers
+ * @returns {Uint8Array} WebP file
+ */
+const createWebP = chunks => {
+    const body = concat(chunks);
+    const header = new Uint8Array(12);
+    const view = new DataView(header.buffer);
+    view.setUint32(0, 0x52494646); // RIFF
+    view.setUint32(4, body.length + 4, true);
+    view.setUint32(8, 0x57454250); // WEBP
+    return concat([header, body]);
+};
+
+/**
+ * @param {ArrayBuffer|Uint8Array} data Possibly animated WebP
+ * @returns {boolean} True if the image is an animated WebP with more than one frame
+ */
+const isAnimatedWebP = data => {
+    const chunks = readWebPChunks(data);
+    if (!chunks || chunks.length === 0 || chunks[0].type !== 'VP8X') {
+        return false;
+    }
+    if (!(chunks[0].data[0] & WEBP_FLAG_ANIMATION)) {
+        return false;
+    }
+    return chunks.filter(i => i.type === 'ANMF').length > 1;
+};
+
+/**
+ * @param {ArrayBuffer|Uint8Array} data Animated WebP file
+ * @returns {ParsedAnimation|null} Frames, or null if the image isn't animated
+ */
+const parseAnimatedWebP = data => {
+    if (!isAnimatedWebP(data)) {
+        return null;
+    }
+    const chunks = readWebPChunks(data);
+    const vp8x = chunks[0].data;
+    const frames = [];
+    for (const chunk of chunks) {
+        if (chunk.type !== 'ANMF' || chunk.data.length < 16) {
+            continue;
+        }
+        const frameData = chunk.data;
+        const width = readUint24LE(frameData, 6) + 1;
+        const height = readUint24LE(frameData, 9) + 1;
+        const flags = frameData[15];
+        const frameChunks = readWebPChunks(frameData, 16, frameData.length);
+        if (!frameChunks) {
+            continue;
+        }
+        const alpha = frameChunks.find(i => i.type === 'ALPH');
+        const image = frameChunks.find(i => i.type === 'VP8 ' || i.type === 'VP8L');
+        if (!image) {
+            continue;
+        }
+        let frameFile;
+        if (alpha && image.type === 'VP8 ') {
+            // Lossy images store transparency in a separate chunk, which requires the extended format
+            const header = new Uint8Array(10);
+            header[0] = WEBP_FLAG_ALPHA;
+            writeUint24LE(header, 4, width - 1);
+            writeUint24LE(header, 7, height - 1);
+            frameFile = createWebP([
+                createWebPChunk('VP8X', header),
+                createWebPChunk('ALPH', alpha.data),
+                createWebPChunk('VP8 ', image.data)
+            ]);
+        } else {
+            frameFile = createWebP([
+                createWebPChunk(image.type, image.data)
+            ]);
+        }
+        frames.push({
+            // Offsets are stored divided by 2
+            x: readUint24LE(frameData, 0) * 2,
+            y: readUint24LE(frameData, 3) * 2,
+            width,
+            height,
+            delay: readUint24LE(frameData, 12),
+            disposeToBackground: !!(flags & 0x01),
+            disposeToPrevious: false,
+            blend: !(flags & 0x02),
+            data: frameFile
+        });
+    }
+    if (frames.length === 0) {
+        return null;
+    }
+    return {
+        type: 'image/webp',
+        width: readUint24LE(vp8x, 4) + 1,
+        height: readUint24LE(vp8x, 7) + 1,
+        frames
+    };
+};
+
+/**
+ * @param {ArrayBuffer|Uint8Array} data Image file
+ * @param {string} type MIME type of the file
+ * @returns {boolean} True if the image is an animated PNG or WebP
+ */
+const isAnimatedImage = (data, type) => {
+    if (type === 'image/png' || type === 'image/apng') {
+        return isAnimatedPNG(data);
+    }
+    if (type === 'image/webp') {
+        return isAnimatedWebP(data);
+    }
+    return false;
+};
+
+/**
+ * @param {ArrayBuffer|Uint8Array} data Image file
+ * @param {string} type MIME type of the file
+ * @returns {ParsedAnimation|null} Frames, or null if the image isn't an animated PNG or WebP
+ */
+const parseAnimatedImage = (data, type) => {
+    if (type === 'image/png' || type === 'image/apng') {
+        return parseAPNG(data);
+    }
+    if (type === 'image/webp') {
+        return parseAnimatedWebP(data);
+    }
+    return null;
+};
+
+/**
+ * @param {Uint8Array} data Image file
+ * @param {string} type MIME type
+ * @returns {Promise<HTMLImageElement>} Loaded image
+ */
+const loadImage = (data, type) => new Promise((resolve, reject) => {
+    const url = URL.createObjectURL(new Blob([data], {type}));
+    const image = new Image();
+    image.onload = () => {
+        URL.revokeObjectURL(url);
+        resolve(image);
+    };
+    image.onerror = () => {
+        URL.revokeObjectURL(url);
+        reject(new Error('Could not decode frame'));
+    };
+    image.src = url;
+});
+
+/**
+ * Draw each frame of an animation the way a browser would show it.
+ * @param {ParsedAnimation} animation Result of parseAnimatedImage()
+ * @returns {Promise<{dataURL: string, delay: number}[]>} Each complete frame as a PNG data: URL
+ */
+const renderAnimation = async animation => {
+    const canvas = document.createElement('canvas');
+    canvas.width = animation.width;
+    canvas.height = animation.height;
+    const ctx = canvas.getContext('2d');
+    const result = [];
+    for (const frame of animation.frames) {
+        const image = await loadImage(frame.data, animation.type);
+        const previous = frame.disposeToPrevious ?
+            ctx.getImageData(0, 0, canvas.width, canvas.height) :
+            null;
+        if (!frame.blend) {
+            ctx.clearRect(frame.x, frame.y, frame.width, frame.height);
+        }
+        ctx.drawImage(image, frame.x, frame.y);
+        result.push({
+            dataURL: canvas.toDataURL('image/png'),
+            delay: frame.delay
+        });
+        if (frame.disposeToBackground) {
+            ctx.clearRect(frame.x, frame.y, frame.width, frame.height);
+        } else if (previous) {
+            ctx.putImageData(previous, 0, 0);
+        }
+    }
+    return result;
+};
+
+export {
+    crc32,
+    createAPNG,
+    isAnimatedImage,
+    isAnimatedPNG,
+    isAnimatedWebP,
+    parseAPNG,
+    parseAnimatedWebP,
+    parseAnimatedImage,
+    renderAnimation
+};
@@ -0,0 +1,118 @@
+/**
+ * @fileoverview
+ * Backpack files contain several backpack items so that they can be shared without a backpack server.
+ * They are zips containing backpack.json, which lists every item, and the body and thumbnail of each item.
+ */
+
+import JSZip from '@turbowarp/jszip';
+
+const FILE_VERSION = 1;
+const MANIFEST_NAME = 'backpack.json';
+const ITEM_TYPES = ['costume', 'sound', 'script', 'sprite'];
+
+/**
+ * @typedef BackpackFileItem
+ * @property {'costume'|'sound'|'script'|'sprite'} type
+ * @property {string} mime
+ * @property {string} name
+ * @property {string} folder Empty string for items that aren't in a folder
+ * @property {string[]} tags
+ * @property {ArrayBuffer} bodyData
+ * @property {ArrayBuffer} thumbnailData
+ */
+
+/**
+ * @param {unknown} tags Possibly invalid list of tags
+ * @returns {string[]} List of tags without empty or duplicate tags
+ */
+const parseTags = tags => {
+    if (!Array.isArray(tags)) {
+        return [];
+    }
+    const result = [];
+    for (const tag of tags) {
+        if (typeof tag === 'string' && tag.trim() !== '' && !result.includes(tag.trim())) {
+            result.push(tag.trim());
+        }
+    }
+    return result;
+};
+
+/**
+ * @param {BackpackFileItem[]} items Items to include, in the order they should be imported
+ * @returns {Promise<ArrayBuffer>} Zip file
+ */
+const createBackpackFile = items => {
+    const zip = new JSZip();
+    const manifest = {
+        version: FILE_VERSION,
+        items: items.map((item, index) => {
+            const body = `${index}/body`;
+            const thumbnail = `${index}/thumbnail`;
+            zip.file(body, item.bodyData);
+            zip.file(thumbnail, item.thumbnailData);
+            return {
+                type: item.type,
+                mime: item.mime,
+                name: item.name,
+                folder: item.folder || '',
+                tags: parseTags(item.tags),
+                body,
+                thumbnail
+            };
+        })
+    };
+    zip.file(MANIFEST_NAME, JSON.stringify(manifest));
+    return zip.generateAsync({
+        type: 'arraybuffer',
+        compression: 'DEFLATE'
+    });
+};
+
+/**
+ * @param {ArrayBuffer} data Contents of a file made by createBackpackFile()
+ * @returns {Promise<BackpackFileItem[]>} Items in the file
+ */
+const readBackpackFile = async data => {
+    const zip = await JSZip.loadAsync(data);
+    const manifestFile = zip.file(MANIFEST_NAME);
+    if (!manifestFile) {
+        throw new Error('Not a backpack file: missing backpack.json');
+    }
+    const manifest = JSON.parse(await manifestFile.async('text'));
+    if (!manifest || typeof manifest.version !== 'number' || !Array.isArray(manifest.items)) {
+        throw new Error('Not a backpack file: invalid backpack.json');
+    }
+    if (manifest.version > FILE_VERSION) {
+        throw new Error(`Backpack file version ${manifest.version} is not supported`);
+    }
+
+    const items = [];
+    for (const item of manifest.items) {
+        if (!item || !ITEM_TYPES.includes(item.type)) {
+            throw new Error('Backpack file contains an unknown type of item');
+        }
+        const bodyFile = typeof item.body === 'string' && zip.file(item.body);
+        const thumbnailFile = typeof item.thumbnail === 'string' && zip.file(item.thumbnail);
+        if (!bodyFile || !thumbnailFile) {
+            throw new Error(`Backpack file is missing data for ${item.name}`);
+        }
+        items.push({
+            type: item.type,
+            mime: typeof item.mime === 'string' ? item.mime : '',
+            name: typeof item.name === 'string' ? item.name : '',
+            folder: typeof item.folder === 'string' ? item.folder : '',
+            tags: parseTags(item.tags),
+            bodyData: await bodyFile.async('arraybuffer'),
+            thumbnailData: await thumbnailFile.async('arraybuffer')
+        });
+    }
+    return items;
+};
+
+export {
+    FILE_VERSION,
+    createBackpackFile,
+    parseTags,
+    readBackpackFile
+};
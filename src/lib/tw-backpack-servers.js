@@ -0,0 +1,161 @@
+/**
+ * @fileoverview
+ * Settings for shared backpacks, which are stored on a backpack server such as scripts/backpack-server.mjs
+ * instead of in this browser. The protocol is documented in backpack-api.js.
+ */
+
+const SHARED_BACKPACK_KEY = 'tw:shared_backpack';
+const BACKPACK_SOURCE_KEY = 'tw:backpack_source';
+
+/** Items are stored in this browser. */
+const SOURCE_LOCAL = 'local';
+/** Items are stored on the shared backpack server. */
+const SOURCE_SHARED = 'shared';
+
+// Same as Scratch's backpack server
+const DEFAULT_AUTH_HEADER = 'x-token';
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+
+/**
+ * @typedef SharedBackpack
+ * @property {string} host Base URL of the server, without a trailing slash
+ * @property {string} username Name of the backpack on the server. Everyone on a team should use the same one.
+ * @property {string} token Sent in authHeader with every request. May be empty.
+ * @property {string} authHeader Name of the header that contains the token
+ * @property {number} pageSize Number of items requested at once
+ */
+
+/**
+ * @param {unknown} value Possibly invalid page size
+ * @returns {number} Page size that is safe to use
+ */
+const parsePageSize = value => {
+    const number = Math.round(+value);
+    if (!number || number < 1) {
+        return DEFAULT_PAGE_SIZE;
+    }
+    return Math.min(number, MAX_PAGE_SIZE);
+};
+
+/**
+ * @param {unknown} obj Possibly invalid settings
+ * @returns {SharedBackpack|null} Valid settings, or null if they can't be salvaged
+ */
+const parseSharedBackpack = obj => {
+    if (!obj || typeof obj !== 'object' || typeof obj.host !== 'string' || typeof obj.username !== 'string') {
+        return null;
+    }
+    if (!/^https?:\/\//.test(obj.host) || !obj.username) {
+        return null;
+    }
+    return {
+        host: obj.host.replace(/\/+$/, ''),
+        username: obj.username,
+        token: typeof obj.token === 'string' ? obj.token : '',
+        authHeader: typeof obj.authHeader === 'string' && obj.authHeader ? obj.authHeader : DEFAULT_AUTH_HEADER,
+        pageSize: parsePageSize(obj.pageSize)
+    };
+};
+
+/**
+ * People share a single link to their team's backpack, like http://192.168.1.10:8602/team-a. The last part of the
+ * path is the name of the backpack and the rest is the server.
+ * @param {string} url URL typed by the user
+ * @returns {{host: string, username: string}|null} Parts of the URL, or null if it isn't a valid backpack URL
+ */
+const parseSharedBackpackURL = url => {
+    let parsed;
+    try {
+        parsed = new URL(url.trim());
+    } catch (e) {
+        return null;
+    }
+    if (parsed.protocol !== 'http:' && parsed.protocol !== 'https:') {
+        return null;
+    }
+    const parts = parsed.pathname.split('/').filter(i => i);
+    const username = parts.pop();
+    if (!username) {
+        return null;
+    }
+    return {
+        host: `${parsed.origin}${parts.map(i => `/${i}`).join('')}`,
+        username: decodeURIComponent(username)
+    };
+};
+
+/**
+ * @param {SharedBackpack} sharedBackpack Settings
+ * @returns {string} URL in the format that parseSharedBackpackURL() accepts
+ */
+const formatSharedBackpackURL = sharedBackpack => (
+    `${sharedBackpack.host}/${encodeURIComponent(sharedBackpack.username)}`
+);
+
+/**
+ * @returns {SharedBackpack|null} Saved settings, if any
+ */
+const getSharedBackpack = () => {
+    try {
+        return parseSharedBackpack(JSON.parse(localStorage.getItem(SHARED_BACKPACK_KEY)));
+    } catch (e) {
+        // ignore
+    }
+    return null;
+};
+
+/**
+ * @param {SharedBackpack|null} sharedBackpack New settings, or null to forget the shared backpack
+ */
+const setSharedBackpack = sharedBackpack => {
+    try {
+        if (sharedBackpack) {
+            localStorage.setItem(SHARED_BACKPACK_KEY, JSON.stringify(sharedBackpack));
+        } else {
+            localStorage.removeItem(SHARED_BACKPACK_KEY);
+        }
+    } catch (e) {
+        // ignore
+    }
+};
+
+/**
+ * @returns {string} SOURCE_LOCAL or SOURCE_SHARED
+ */
+const getBackpackSource = () => {
+    try {
+        if (localStorage.getItem(BACKPACK_SOURCE_KEY) === SOURCE_SHARED) {
+            return SOURCE_SHARED;
+        }
+    } catch (e) {
+        // ignore
+    }
+    return SOURCE_LOCAL;
+};
+
+/**
+ * @param {string} source SOURCE_LOCAL or SOURCE_SHARED
+ */
+const setBackpackSource = source => {
+    try {
+        localStorage.setItem(BACKPACK_SOURCE_KEY, source);
+    } catch (e) {
+        // ignore
+    }
+};
+
+export {
+    SOURCE_LOCAL,
+    SOURCE_SHARED,
+    DEFAULT_AUTH_HEADER,
+    DEFAULT_PAGE_SIZE,
+    formatSharedBackpackURL,
+    getBackpackSource,
+    getSharedBackpack,
+    parsePageSize,
+    parseSharedBackpack,
+    parseSharedBackpackURL,
+    setBackpackSource,
+    setSharedBackpack
+};
@@ -0,0 +1,160 @@
+import log from './log.js';
+import {
+    TYPE_RECEIVED,
+    TYPE_SENT,
+    logCloudMessage,
+    logCloudStatus
+} from './tw-cloud-inspector.js';
+
+/**
+ * A cloud data provider that syncs cloud variables between tabs of the same browser using a BroadcastChannel.
+ * Useful for testing multiplayer projects without a server. Messages use the same format as the WebSocket
+ * cloud data protocol.
+ */
+class BroadcastChannelCloudProvider {
+    /**
+     * @param {VirtualMachine} vm The Scratch virtual machine to interface with
+     * @param {string} username The username to associate cloud data updates with
+     * @param {string} projectId The id associated with the project containing cloud data.
+     */
+    constructor (vm, username, projectId) {
+        this.vm = vm;
+        this.username = username;
+        this.projectId = projectId;
+
+        /**
+         * Latest known value of every cloud variable so that new tabs can be caught up.
+         * @type {Map<string, string|number>}
+         */
+        this.variables = new Map();
+
+        this.openConnection();
+    }
+
+    openConnection () {
+        if (typeof BroadcastChannel === 'undefined') {
+            log.warn('BroadcastChannel is not available in this browser');
+            this.connection = null;
+            return;
+        }
+
+        this.connection = new BroadcastChannel(`tw-cloud:${this.projectId}`);
+        this.connection.onmessage = this.onMessage.bind(this);
+        logCloudStatus('Connected to other tabs');
+
+        // Ask the other tabs for the variables they already know about.
+        this.writeToChannel('handshake');
+    }
+
+    onMessage (event) {
+        const message = event.data;
+        if (!message || typeof message !== 'object') {
+            return;
+        }
+        this.receiveMessage(message);
+    }
+
+    /**
+     * @param {object} message Message from another tab, or injected by the cloud inspector
+     */
+    receiveMessage (message) {
+        logCloudMessage(TYPE_RECEIVED, message);
+        switch (message.method) {
+        case 'handshake':
+            for (const [name, value] of this.variables) {
+                this.writeToChannel('set', name, value);
+            }
+            break;
+        case 'create':
+        case 'set':
+            this.variables.set(message.name, message.value);
+            this.vm.postIOData('cloud', {
+                varUpdate: {
+                    name: message.name,
+                    value: message.value
+                }
+            });
+            break;
+        case 'rename':
+            if (this.variables.has(message.name)) {
+                this.variables.set(message.new_name, this.variables.get(message.name));
+                this.variables.delete(message.name);
+            }
+            break;
+        case 'delete':
+            this.variables.delete(message.name);
+            break;
+        }
+    }
+
+    /**
+     * @param {string} methodName The message method, indicating the action to perform.
+     * @param {string} [dataName] The name of the cloud variable this message pertains to
+     * @param {string|number} [dataValue] The value to set the cloud variable to
+     * @param {string} [dataNewName] The new name for the cloud variable (if renaming)
+     */
+    writeToChannel (methodName, dataName, dataValue, dataNewName) {
+        if (!this.connection) {
+            return;
+        }
+        const msg = {
+            method: methodName,
+            user: this.username,
+            project_id: this.projectId
+        };
+        if (dataName) msg.name = dataName;
+        if (dataNewName) msg.new_name = dataNewName;
+        if (typeof dataValue !== 'undefined' && dataValue !== null) msg.value = dataValue;
+        logCloudMessage(TYPE_SENT, msg);
+        this.connection.postMessage(msg);
+    }
+
+    /**
+     * @param {object} message Message from the cloud inspector
+     */
+    sendMessage (message) {
+        this.writeToChannel(message.method, message.name, message.value, message.new_name);
+    }
+
+    createVariable (name, value) {
+        this.variables.set(name, value);
+        this.writeToChannel('create', name, value);
+    }
+
+    updateVariable (name, value) {
+        this.variables.set(name, value);
+        this.writeToChannel('set', name, value);
+    }
+
+    renameVariable (oldName, newName) {
+        if (this.variables.has(oldName)) {
+            this.variables.set(newName, this.variables.get(oldName));
+            this.variables.delete(oldName);
+        }
+        this.writeToChannel('rename', oldName, null, newName);
+    }
+
+    deleteVariable (name) {
+        this.variables.delete(name);
+        this.writeToChannel('delete', name);
+    }
+
+    requestCloseConnection () {
+        if (this.connection) {
+            logCloudStatus('Disconnected from other tabs');
+            this.connection.onmessage = null;
+            this.connection.close();
+        }
+        this.clear();
+    }
+
+    clear () {
+        this.connection = null;
+        this.vm = null;
+        this.username = null;
+        this.projectId = null;
+        this.variables.clear();
+    }
+}
+
+export default BroadcastChannelCloudProvider;
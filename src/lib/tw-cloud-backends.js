@@ -0,0 +1,82 @@
+import md5 from 'js-md5';
+import CloudProvider from './cloud-provider';
+import BroadcastChannelCloudProvider from './tw-broadcast-channel-cloud-provider';
+import IndexedDBCloudProvider from './tw-indexeddb-cloud-provider';
+import {defaultProjectId} from '../reducers/project-state';
+
+/**
+ * Every cloud provider implements the interface that scratch-vm's cloud IO device expects:
+ * createVariable(name, value), updateVariable(name, value), renameVariable(oldName, newName),
+ * deleteVariable(name), and requestCloseConnection(). Incoming changes are sent to the VM with
+ * vm.postIOData('cloud', {varUpdate: {name, value}}). `connection` is truthy while the provider is usable.
+ * For the cloud inspector, providers also implement receiveMessage(message) and sendMessage(message), which
+ * take messages in the same format as the WebSocket protocol.
+ */
+
+/** Talks to a cloud data server such as the one in scripts/cloud-server.mjs. */
+export const CLOUD_BACKEND_WEBSOCKET = 'websocket';
+/** Syncs variables between tabs of this browser. */
+export const CLOUD_BACKEND_BROADCAST_CHANNEL = 'tabs';
+/** Saves variables in this browser for single-player projects. */
+export const CLOUD_BACKEND_INDEXED_DB = 'local';
+
+export const CLOUD_BACKENDS = [
+    CLOUD_BACKEND_WEBSOCKET,
+    CLOUD_BACKEND_BROADCAST_CHANNEL,
+    CLOUD_BACKEND_INDEXED_DB
+];
+
+/**
+ * @param {unknown} backend Possible backend name from a URL parameter or local storage
+ * @returns {boolean} True if backend is a known backend
+ */
+export const isCloudBackend = backend => CLOUD_BACKENDS.includes(backend);
+
+/**
+ * @param {string} backend Backend name. Unknown backends are treated as WebSocket.
+ * @returns {boolean} True if the backend needs a cloud host to connect to
+ */
+export const cloudBackendNeedsHost = backend => (
+    backend !== CLOUD_BACKEND_BROADCAST_CHANNEL &&
+    backend !== CLOUD_BACKEND_INDEXED_DB
+);
+
+/**
+ * @param {VirtualMachine} vm The Scratch virtual machine, right after a project was loaded
+ * @returns {string} Hash that identifies the loaded project
+ */
+export const hashLoadedProject = vm => md5(vm.toJSON());
+
+/**
+ * Backends that don't need a host also work for projects that aren't on a server, such as projects loaded
+ * from a file. Those all share the default project ID, so they're told apart by their contents instead.
+ * @param {string} backend One of CLOUD_BACKENDS
+ * @param {string|number|null} projectId The project's ID, if it has one
+ * @param {string} loadedProjectHash The hash of the project from hashLoadedProject()
+ * @returns {string|number} The id that the cloud provider should associate the project's variables with
+ */
+export const getCloudProjectId = (backend, projectId, loadedProjectHash) => {
+    if (cloudBackendNeedsHost(backend) || (projectId && projectId !== defaultProjectId)) {
+        return projectId;
+    }
+    return `md5:${loadedProjectHash}`;
+};
+
+/**
+ * @param {string} backend One of CLOUD_BACKENDS
+ * @param {object} options Options
+ * @param {string} options.cloudHost The url for the cloud data server, used by the WebSocket backend
+ * @param {VirtualMachine} options.vm The Scratch virtual machine to interface with
+ * @param {string} options.username The username to associate cloud data updates with
+ * @param {string} options.projectId The id associated with the project containing cloud data
+ * @returns {object} A cloud provider
+ */
+export const createCloudProvider = (backend, {cloudHost, vm, username, projectId}) => {
+    if (backend === CLOUD_BACKEND_BROADCAST_CHANNEL) {
+        return new BroadcastChannelCloudProvider(vm, username, projectId);
+    }
+    if (backend === CLOUD_BACKEND_INDEXED_DB) {
+        return new IndexedDBCloudProvider(vm, projectId);
+    }
+    return new CloudProvider(cloudHost, vm, username, projectId);
+};
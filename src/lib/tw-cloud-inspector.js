@@ -0,0 +1,190 @@
+/**
+ * @fileoverview
+ * Records cloud variable traffic so that it can be inspected while debugging cloud projects.
+ */
+
+export const TYPE_SENT = 'sent';
+export const TYPE_RECEIVED = 'received';
+export const TYPE_QUEUED = 'queued';
+export const TYPE_RATE_LIMITED = 'rate-limited';
+export const TYPE_STATUS = 'status';
+
+/**
+ * @typedef CloudLogEntry
+ * @property {number} id Unique ID
+ * @property {number} time Unix milliseconds
+ * @property {string} type One of the TYPE_ constants
+ * @property {string} text The raw message, or a description for status entries
+ * @property {number} size Size of the raw message in bytes
+ * @property {string|null} method Message method, for example "set"
+ * @property {string|null} name Variable name, if the message has one
+ */
+
+// Old entries are discarded so that projects that constantly use cloud variables don't use up all the memory.
+const MAX_ENTRIES = 2000;
+
+/** @type {CloudLogEntry[]} */
+const entries = [];
+
+/** @type {Set<Function>} */
+const listeners = new Set();
+
+let nextId = 0;
+
+/**
+ * The provider that injected messages are given to.
+ * @type {object|null}
+ */
+let activeProvider = null;
+
+const notifyListeners = () => {
+    for (const listener of listeners) {
+        listener();
+    }
+};
+
+/**
+ * @param {string} text Text
+ * @returns {number} Size of the text in bytes when encoded as UTF-8
+ */
+const getSize = text => {
+    let size = 0;
+    for (let i = 0; i < text.length; i++) {
+        const code = text.charCodeAt(i);
+        if (code < 0x80) {
+            size += 1;
+        } else if (code < 0x800) {
+            size += 2;
+        } else if (code >= 0xd800 && code <= 0xdbff) {
+            // Surrogate pair
+            size += 4;
+            i++;
+        } else {
+            size += 3;
+        }
+    }
+    return size;
+};
+
+/**
+ * @param {string} type One of the TYPE_ constants
+ * @param {string} text Text of the entry
+ * @param {object|null} parsed Parsed message, if any
+ */
+const addEntry = (type, text, parsed) => {
+    entries.push({
+        id: nextId++,
+        time: Date.now(),
+        type,
+        text,
+        size: type === TYPE_STATUS ? 0 : getSize(text),
+        method: parsed && typeof parsed.method === 'string' ? parsed.method : null,
+        name: parsed && typeof parsed.name === 'string' ? parsed.name : null
+    });
+    if (entries.length > MAX_ENTRIES) {
+        entries.splice(0, entries.length - MAX_ENTRIES);
+    }
+    notifyListeners();
+};
+
+/**
+ * @param {string} type One of the TYPE_ constants
+ * @param {string|object} message The message as a string of JSON or an object
+ */
+const logCloudMessage = (type, message) => {
+    if (typeof message !== 'string') {
+        addEntry(type, JSON.stringify(message), message);
+        return;
+    }
+    let parsed = null;
+    try {
+        parsed = JSON.parse(message);
+    } catch (e) {
+        // Invalid messages are still worth logging
+    }
+    addEntry(type, message, parsed);
+};
+
+/**
+ * @param {string} description Human readable description of what happened to the connection
+ */
+const logCloudStatus = description => {
+    addEntry(TYPE_STATUS, description, null);
+};
+
+/**
+ * @returns {CloudLogEntry[]} Copy of all entries, oldest first.
+ */
+const getCloudLog = () => entries.slice();
+
+/**
+ * @param {Function} listener Called whenever the log or the active provider changes
+ * @returns {Function} Call to unsubscribe
+ */
+const subscribeToCloudLog = listener => {
+    listeners.add(listener);
+    return () => {
+        listeners.delete(listener);
+    };
+};
+
+const clearCloudLog = () => {
+    entries.length = 0;
+    notifyListeners();
+};
+
+/**
+ * @param {object|null} provider The cloud provider currently connected to the VM, if any
+ */
+const setInspectedCloudProvider = provider => {
+    activeProvider = provider;
+    notifyListeners();
+};
+
+/**
+ * @returns {boolean} True if messages can currently be injected.
+ */
+const canInjectCloudMessage = () => !!activeProvider;
+
+/**
+ * Handle a message as if it was sent by the server or sent by the project.
+ * @param {string} type TYPE_RECEIVED or TYPE_SENT
+ * @param {string} text JSON message
+ * @throws {Error} If the message is invalid or there is nothing connected
+ */
+const injectCloudMessage = (type, text) => {
+    if (!activeProvider) {
+        throw new Error('Not connected');
+    }
+    const message = JSON.parse(text);
+    if (!message || typeof message !== 'object' || typeof message.method !== 'string') {
+        throw new Error('Message must be an object with a method');
+    }
+    logCloudStatus(`Injected ${type === TYPE_RECEIVED ? 'incoming' : 'outgoing'} message`);
+    if (type === TYPE_RECEIVED) {
+        activeProvider.receiveMessage(message);
+    } else {
+        activeProvider.sendMessage(message);
+    }
+};
+
+/**
+ * @param {CloudLogEntry} entry An entry to handle again. Received messages are received again, everything
+ * else is sent again.
+ * @throws {Error} If the message is invalid or there is nothing connected
+ */
+const replayCloudMessage = entry => {
+    injectCloudMessage(entry.type === TYPE_RECEIVED ? TYPE_RECEIVED : TYPE_SENT, entry.text);
+};
+
+export {
+    logCloudMessage,
+    logCloudStatus,
+    getCloudLog,
+    subscribeToCloudLog,
+    clearCloudLog,
+    setInspectedCloudProvider,
+    canInjectCloudMessage,
+    injectCloudMessage,
+    replayCloudMessage
+};
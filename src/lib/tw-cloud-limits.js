@@ -3,3 +3,7 @@ export const MAXIMUM_CLOUD_VARIABLES = Infinity;
 
 // The maximum number of cloud variables that can be created in a vanilla Scratch.
 export const SCRATCH_MAX_CLOUD_VARIABLES = 10;
+
+// The minimum time in milliseconds between messages sent to a cloud variable server.
+// Messages sent faster than this are combined and only the most recent one is sent.
+export const CLOUD_SEND_INTERVAL = 50;
@@ -0,0 +1,268 @@
+/**
+ * @fileoverview
+ * Exports a sprite's costumes as a sprite sheet or an animated image. Every frame is the same size and each
+ * costume is positioned so that its rotation center lands on the same point of the frame, so the animation
+ * doesn't wobble and the sheet can be sliced by grid in tools such as Aseprite.
+ */
+
+import JSZip from '@turbowarp/jszip';
+import getCostumeUrl from './get-costume-url';
+import {createAPNG} from './tw-animated-image';
+import {encodeGIF} from './tw-gif-encoder';
+
+const FORMAT_SHEET = 'sheet';
+const FORMAT_GIF = 'gif';
+const FORMAT_APNG = 'apng';
+
+/**
+ * @typedef LoadedCostume
+ * @property {string} name Name of the costume
+ * @property {HTMLImageElement} image The costume's image
+ * @property {number} width Width of the costume in stage units
+ * @property {number} height Height of the costume in stage units
+ * @property {number} centerX Rotation center in stage units
+ * @property {number} centerY Rotation center in stage units
+ */
+
+/**
+ * @typedef FrameLayout
+ * @property {number} width Width of every frame
+ * @property {number} height Height of every frame
+ * @property {number} originX Where each costume's rotation center goes in its frame
+ * @property {number} originY Where each costume's rotation center goes in its frame
+ */
+
+/**
+ * @typedef ExportOptions
+ * @property {string} format One of the FORMAT_ constants
+ * @property {number} scale Pixels per stage unit
+ * @property {number} columns Frames in each row of a sprite sheet
+ * @property {number} delay How long each frame is shown, in milliseconds
+ */
+
+/**
+ * @param {string} url Image URL
+ * @returns {Promise<HTMLImageElement>} Loaded image
+ */
+const loadImage = url => new Promise((resolve, reject) => {
+    const image = new Image();
+    image.onload = () => resolve(image);
+    image.onerror = () => reject(new Error('Costume could not be loaded'));
+    image.src = url;
+});
+
+/**
+ * @param {object[]} costumes Costumes from the VM
+ * @returns {Promise<LoadedCostume[]>} Costumes with their images loaded
+ */
+const loadCostumes = costumes => Promise.all(costumes.map(async costume => {
+    const image = await loadImage(getCostumeUrl(costume.asset));
+    // Bitmaps are stored at a higher resolution than they are shown on the stage
+    const resolution = costume.bitmapResolution || 1;
+    return {
+        name: costume.name,
+        image,
+        width: image.naturalWidth / resolution,
+        height: image.naturalHeight / resolution,
+        centerX: costume.rotationCenterX / resolution,
+        centerY: costume.rotationCenterY / resolution
+    };
+}));
+
+/**
+ * @param {LoadedCostume[]} costumes Costumes
+ * @param {number} scale Pixels per stage unit
+ * @returns {FrameLayout} The smallest frame that fits every costume with their rotation centers lined up
+ */
+const getFrameLayout = (costumes, scale) => {
+    let left = 0;
+    let top = 0;
+    let right = 0;
+    let bottom = 0;
+    for (const costume of costumes) {
+        left = Math.max(left, costume.centerX * scale);
+        top = Math.max(top, costume.centerY * scale);
+        right = Math.max(right, (costume.width - costume.centerX) * scale);
+        bottom = Math.max(bottom, (costume.height - costume.centerY) * scale);
+    }
+    const originX = Math.ceil(left);
+    const originY = Math.ceil(top);
+    return {
+        width: Math.max(1, originX + Math.ceil(right)),
+        height: Math.max(1, originY + Math.ceil(bottom)),
+        originX,
+        originY
+    };
+};
+
+/**
+ * @param {unknown} columns Possibly invalid number of columns
+ * @param {number} frameCount Number of frames
+ * @returns {number} Number of columns to use
+ */
+const getColumns = (columns, frameCount) => {
+    const number = Math.floor(+columns);
+    if (number > 0) {
+        return Math.min(number, Math.max(1, frameCount));
+    }
+    return Math.max(1, Math.ceil(Math.sqrt(frameCount)));
+};
+
+/**
+ * Creates an atlas in the JSON "array" format used by TexturePacker and Aseprite. The array format is used instead
+ * of the "hash" format so that costumes with names like "1" stay in order. The pivot of each frame is the
+ * costume's rotation center.
+ * @param {string[]} names Name of each frame
+ * @param {FrameLayout} layout Size of each frame
+ * @param {ExportOptions} options Export options
+ * @param {string} imageName File name of the sheet
+ * @returns {object} Atlas
+ */
+const createAtlas = (names, layout, options, imageName) => {
+    const columns = getColumns(options.columns, names.length);
+    const rows = Math.max(1, Math.ceil(names.length / columns));
+    const frames = names.map((name, index) => ({
+        filename: name,
+        frame: {
+            x: (index % columns) * layout.width,
+            y: Math.floor(index / columns) * layout.height,
+            w: layout.width,
+            h: layout.height
+        },
+        rotated: false,
+        trimmed: false,
+        spriteSourceSize: {x: 0, y: 0, w: layout.width, h: layout.height},
+        sourceSize: {w: layout.width, h: layout.height},
+        pivot: {
+            x: layout.originX / layout.width,
+            y: layout.originY / layout.height
+        },
+        duration: options.delay
+    }));
+    return {
+        frames,
+        meta: {
+            app: 'https://turbowarp.org/',
+            version: '1.0',
+            image: imageName,
+            format: 'RGBA8888',
+            size: {
+                w: columns * layout.width,
+                h: rows * layout.height
+            },
+            scale: `${options.scale}`
+        }
+    };
+};
+
+/**
+ * @param {LoadedCostume} costume Costume
+ * @param {FrameLayout} layout Frame size
+ * @param {number} scale Pixels per stage unit
+ * @returns {HTMLCanvasElement} The costume drawn in a frame
+ */
+const drawFrame = (costume, layout, scale) => {
+    const canvas = document.createElement('canvas');
+    canvas.width = layout.width;
+    canvas.height = layout.height;
+    const ctx = canvas.getContext('2d');
+    // Keep pixel art sharp when the costume is drawn at its original size
+    ctx.imageSmoothingEnabled = costume.image.naturalWidth !== costume.width * scale;
+    ctx.drawImage(
+        costume.image,
+        layout.originX - (costume.centerX * scale),
+        layout.originY - (costume.centerY * scale),
+        costume.width * scale,
+        costume.height * scale
+    );
+    return canvas;
+};
+
+/**
+ * @param {HTMLCanvasElement} canvas Canvas
+ * @returns {Promise<Blob>} PNG
+ */
+const canvasToBlob = canvas => new Promise((resolve, reject) => {
+    canvas.toBlob(blob => {
+        if (blob) {
+            resolve(blob);
+        } else {
+            reject(new Error('Image is too large'));
+        }
+    }, 'image/png');
+});
+
+/**
+ * @param {Blob} blob Blob
+ * @returns {Promise<ArrayBuffer>} Contents of the blob
+ */
+const readBlob = blob => new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(reader.result);
+    reader.onerror = () => reject(reader.error);
+    reader.readAsArrayBuffer(blob);
+});
+
+/**
+ * @param {LoadedCostume[]} costumes Costumes, in order
+ * @param {string} name Base name of the exported files
+ * @param {ExportOptions} options Export options
+ * @returns {Promise<{filename: string, blob: Blob}>} The exported file
+ */
+const exportCostumes = async (costumes, name, options) => {
+    if (costumes.length === 0) {
+        throw new Error('No costumes');
+    }
+    const layout = getFrameLayout(costumes, options.scale);
+    const frames = costumes.map(costume => drawFrame(costume, layout, options.scale));
+
+    if (options.format === FORMAT_GIF) {
+        const imageData = frames.map(frame => frame.getContext('2d').getImageData(0, 0, layout.width, layout.height));
+        return {
+            filename: `${name}.gif`,
+            blob: new Blob([encodeGIF(imageData, options.delay)], {type: 'image/gif'})
+        };
+    }
+
+    if (options.format === FORMAT_APNG) {
+        const pngs = [];
+        for (const frame of frames) {
+            pngs.push(await readBlob(await canvasToBlob(frame)));
+        }
+        return {
+            filename: `${name}.png`,
+            blob: new Blob([createAPNG(pngs, options.delay)], {type: 'image/png'})
+        };
+    }
+
+    const imageName = `${name}.png`;
+    const atlas = createAtlas(costumes.map(i => i.name), layout, options, imageName);
+    const sheet = document.createElement('canvas');
+    sheet.width = atlas.meta.size.w;
+    sheet.height = atlas.meta.size.h;
+    const ctx = sheet.getContext('2d');
+    atlas.frames.forEach((atlasFrame, index) => {
+        ctx.drawImage(frames[index], atlasFrame.frame.x, atlasFrame.frame.y);
+    });
+    const zip = new JSZip();
+    zip.file(imageName, await canvasToBlob(sheet));
+    zip.file(`${name}.json`, JSON.stringify(atlas, null, 2));
+    return {
+        filename: `${name}.zip`,
+        blob: await zip.generateAsync({
+            type: 'blob',
+            compression: 'DEFLATE'
+        })
+    };
+};
+
+export {
+    FORMAT_SHEET,
+    FORMAT_GIF,
+    FORMAT_APNG,
+    loadCostumes,
+    getFrameLayout,
+    getColumns,
+    createAtlas,
+    exportCostumes
+};
@@ -0,0 +1,227 @@
+/**
+ * @fileoverview
+ * Panels that addons can dock next to the code area. Each panel gets a button next to the
+ * Code/Costumes/Sounds tabs. At most one panel is open at a time. The open panel and the
+ * width of each panel are remembered by the browser.
+ */
+
+const STORAGE_KEY = 'tw:editor-panels';
+
+const MIN_WIDTH = 200;
+const DEFAULT_WIDTH = 320;
+
+/**
+ * @typedef EditorPanel
+ * @property {string} id Unique ID
+ * @property {string} title Text to display on the panel's button
+ * @property {string|null} iconURL Icon to display on the panel's button
+ * @property {HTMLElement} element Content of the panel
+ * @property {string} className Extra class name for the panel's button and dock
+ * @property {number} defaultWidth Width in pixels used until the user resizes the panel
+ * @property {Function} onOpen Called when the panel is opened
+ * @property {Function} onClose Called when the panel is closed
+ * @property {Function} onResize Called with the new width after the panel is resized
+ */
+
+/**
+ * @typedef StoredLayout
+ * @property {string|null} open ID of the open panel
+ * @property {Record<string, number>} widths Width of each panel that has been resized
+ */
+
+/** @type {EditorPanel[]} */
+let panels = [];
+
+/** @type {Set<Function>} */
+const listeners = new Set();
+
+/**
+ * @returns {StoredLayout} Stored layout
+ */
+const readLayout = () => {
+    try {
+        const parsed = JSON.parse(localStorage.getItem(STORAGE_KEY));
+        if (parsed && typeof parsed === 'object') {
+            return {
+                open: typeof parsed.open === 'string' ? parsed.open : null,
+                widths: parsed.widths && typeof parsed.widths === 'object' ? parsed.widths : {}
+            };
+        }
+    } catch (e) {
+        // ignore
+    }
+    return {
+        open: null,
+        widths: {}
+    };
+};
+
+/**
+ * @param {StoredLayout} layout New layout
+ */
+const writeLayout = layout => {
+    try {
+        localStorage.setItem(STORAGE_KEY, JSON.stringify(layout));
+    } catch (e) {
+        // ignore
+    }
+};
+
+/** @type {StoredLayout} */
+let layout = readLayout();
+
+const notifyListeners = () => {
+    for (const listener of listeners) {
+        listener();
+    }
+};
+
+/**
+ * @param {Function} listener Called whenever panels are added, removed, opened, closed, or resized
+ * @returns {Function} Call to unsubscribe
+ */
+const subscribeToEditorPanels = listener => {
+    listeners.add(listener);
+    return () => {
+        listeners.delete(listener);
+    };
+};
+
+/**
+ * @returns {EditorPanel[]} All panels in the order they were registered
+ */
+const getEditorPanels = () => panels;
+
+/**
+ * @param {string} id Panel ID
+ * @returns {EditorPanel|null} The panel, if it exists
+ */
+const getEditorPanel = id => panels.find(i => i.id === id) || null;
+
+/**
+ * @returns {EditorPanel|null} The open panel, if any. Remembered from previous sessions.
+ */
+const getOpenEditorPanel = () => (layout.open ? getEditorPanel(layout.open) : null);
+
+/**
+ * @param {string|null} id ID of the panel to open, or null to close the open panel
+ */
+const setOpenEditorPanel = id => {
+    const previous = getOpenEditorPanel();
+    const next = id === null ? null : getEditorPanel(id);
+    if (previous === next) {
+        return;
+    }
+    layout.open = next ? next.id : null;
+    writeLayout(layout);
+    notifyListeners();
+    if (previous) {
+        previous.onClose();
+    }
+    if (next) {
+        next.onOpen();
+    }
+};
+
+/**
+ * @param {string} id Panel ID
+ * @returns {boolean} True if the panel is open
+ */
+const isEditorPanelOpen = id => layout.open === id && !!getEditorPanel(id);
+
+/**
+ * @param {EditorPanel} panel The panel
+ * @returns {number} Width in pixels
+ */
+const getEditorPanelWidth = panel => {
+    const stored = layout.widths[panel.id];
+    if (typeof stored === 'number' && stored >= MIN_WIDTH) {
+        return stored;
+    }
+    return panel.defaultWidth;
+};
+
+/**
+ * @param {string} id Panel ID
+ * @param {number} width Width in pixels. Values that are too small are clamped.
+ */
+const setEditorPanelWidth = (id, width) => {
+    const panel = getEditorPanel(id);
+    if (!panel) {
+        return;
+    }
+    width = Math.max(MIN_WIDTH, Math.round(width));
+    if (getEditorPanelWidth(panel) === width) {
+        return;
+    }
+    layout.widths[id] = width;
+    writeLayout(layout);
+    notifyListeners();
+    panel.onResize(width);
+};
+
+/**
+ * @param {object} options Panel options
+ * @param {string} options.id Unique ID
+ * @param {string} options.title Text to display on the panel's button
+ * @param {string} [options.iconURL] Icon to display on the panel's button
+ * @param {HTMLElement} options.element Content of the panel
+ * @param {string} [options.className] Extra class name for the panel's button and dock
+ * @param {number} [options.defaultWidth] Width in pixels used until the user resizes the panel
+ * @param {Function} [options.onOpen] Called when the panel is opened
+ * @param {Function} [options.onClose] Called when the panel is closed
+ * @param {Function} [options.onResize] Called with the new width after the panel is resized
+ * @returns {EditorPanel} The registered panel
+ */
+const registerEditorPanel = options => {
+    if (getEditorPanel(options.id)) {
+        throw new Error(`Panel already exists: ${options.id}`);
+    }
+    const noop = () => {};
+    const panel = {
+        id: options.id,
+        title: options.title,
+        iconURL: options.iconURL || null,
+        element: options.element,
+        className: options.className || '',
+        defaultWidth: Math.max(MIN_WIDTH, options.defaultWidth || DEFAULT_WIDTH),
+        onOpen: options.onOpen || noop,
+        onClose: options.onClose || noop,
+        onResize: options.onResize || noop
+    };
+    panels = panels.concat(panel);
+    notifyListeners();
+    return panel;
+};
+
+/**
+ * Remove a panel. If it was open, it will be opened again when a panel with the same ID is registered.
+ * @param {string} id Panel ID
+ */
+const unregisterEditorPanel = id => {
+    panels = panels.filter(i => i.id !== id);
+    notifyListeners();
+};
+
+/**
+ * Forget everything. Only intended for tests.
+ */
+const resetEditorPanels = () => {
+    panels = [];
+    layout = readLayout();
+    notifyListeners();
+};
+
+export {
+    MIN_WIDTH,
+    subscribeToEditorPanels,
+    getEditorPanels,
+    getOpenEditorPanel,
+    setOpenEditorPanel,
+    isEditorPanelOpen,
+    getEditorPanelWidth,
+    setEditorPanelWidth,
+    registerEditorPanel,
+    unregisterEditorPanel,
+    resetEditorPanels
+};
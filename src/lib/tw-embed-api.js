@@ -0,0 +1,350 @@
+/**
+ * @fileoverview
+ * postMessage API that lets the page around embed.html control the project inside of it.
+ *
+ * The API is disabled unless the embed's URL lists the origins that are allowed to use it:
+ *     embed.html?api_origins=https://example.com,https://example.org#123
+ * Use api_origins=* to allow any origin. Messages from other origins are ignored and events are
+ * only sent to the allowed origins.
+ *
+ * Commands are sent to the iframe's contentWindow:
+ *     {type: 'tw-embed-command', id: 1, command: 'setVariable', name: 'score', value: 10}
+ * id can be anything and is copied into the response, which is one of:
+ *     {type: 'tw-embed-response', id: 1, result: ...}
+ *     {type: 'tw-embed-response', id: 1, error: 'Unknown variable: score'}
+ *
+ * Commands (sprite is optional and defaults to the stage; sprite-local variables shadow global ones):
+ *  - greenFlag: start the project like clicking the green flag
+ *  - stopAll: stop the project like clicking the stop sign
+ *  - broadcast {name}: send a broadcast
+ *  - getVariable {name, sprite}, setVariable {name, sprite, value}: read or write a variable
+ *  - getList {name, sprite}, setList {name, sprite, value}: read or write a list as an array
+ *  - watchVariable {name, sprite}, watchList {name, sprite}: send variableChanged events when it changes
+ *  - unwatchVariable {name, sprite}, unwatchList {name, sprite}: stop sending variableChanged events
+ *  - getStageImage: result is a PNG data: URL of the stage
+ *  - loadProject {data}: replace the project with an sb3 or sb2 from an ArrayBuffer
+ *  - setTurboMode {enabled}: turn turbo mode on or off
+ *  - setFramerate {fps}: change the framerate
+ *
+ * Events are sent to the parent window:
+ *     {type: 'tw-embed-event', event: 'broadcast', name: 'message1'}
+ *  - ready: the API is listening for commands
+ *  - projectLoaded: a project finished loading, including ones loaded with loadProject
+ *  - broadcast {name}: a broadcast was sent, by the project or by the broadcast command
+ *  - variableChanged {name, sprite, list, value}: a watched variable or list changed
+ *  - error {message}: the project could not be loaded
+ */
+
+const COMMAND_MESSAGE_TYPE = 'tw-embed-command';
+const RESPONSE_MESSAGE_TYPE = 'tw-embed-response';
+const EVENT_MESSAGE_TYPE = 'tw-embed-event';
+
+const ANY_ORIGIN = '*';
+
+const VARIABLE_TYPE = '';
+const LIST_TYPE = 'list';
+
+/**
+ * @param {URLSearchParams} searchParams URL parameters
+ * @returns {string[]} Origins that may use the API. Empty if the API is disabled.
+ */
+const parseAllowedOrigins = searchParams => {
+    const param = searchParams.get('api_origins');
+    if (!param) {
+        return [];
+    }
+    return param
+        .split(',')
+        .map(origin => origin.trim())
+        .filter(origin => origin);
+};
+
+const isScratchValue = value => (
+    typeof value === 'string' ||
+    typeof value === 'boolean' ||
+    (typeof value === 'number' && !Number.isNaN(value))
+);
+
+const copyValue = value => (Array.isArray(value) ? value.slice() : value);
+
+const valuesEqual = (a, b) => {
+    if (Array.isArray(a) && Array.isArray(b)) {
+        return a.length === b.length && a.every((item, index) => item === b[index]);
+    }
+    return a === b;
+};
+
+class EmbedAPI {
+    /**
+     * @param {VirtualMachine} vm Scratch VM
+     * @param {object} options Options
+     * @param {string[]} options.allowedOrigins Origins from parseAllowedOrigins()
+     * @param {function(ArrayBuffer): Promise<void>} options.loadProject Replaces the current project
+     * @param {Window} [options.window] Window to listen on, for tests
+     */
+    constructor (vm, options) {
+        this.vm = vm;
+        this.allowedOrigins = options.allowedOrigins;
+        this.loadProject = options.loadProject;
+        this.window = options.window || window;
+        /** @type {Map<string, {name: string, sprite: string|null, type: string, value: unknown}>} */
+        this.watchers = new Map();
+
+        this.handleMessage = this.handleMessage.bind(this);
+    }
+
+    get enabled () {
+        return this.allowedOrigins.length > 0;
+    }
+
+    isAllowedOrigin (origin) {
+        return this.allowedOrigins.includes(ANY_ORIGIN) || this.allowedOrigins.includes(origin);
+    }
+
+    install () {
+        if (!this.enabled) {
+            return;
+        }
+        this.window.addEventListener('message', this.handleMessage);
+        this.installBroadcastListener();
+        this.installStepListener();
+        this.emit('ready');
+    }
+
+    installBroadcastListener () {
+        const api = this;
+        const runtime = this.vm.runtime;
+        const originalStartHats = runtime.startHats;
+        runtime.startHats = function (opcode, matchFields, target) {
+            if (opcode === 'event_whenbroadcastreceived' && matchFields) {
+                api.emit('broadcast', {
+                    name: `${matchFields.BROADCAST_OPTION}`
+                });
+            }
+            return originalStartHats.call(this, opcode, matchFields, target);
+        };
+    }
+
+    installStepListener () {
+        const api = this;
+        const runtime = this.vm.runtime;
+        const originalStep = runtime._step;
+        runtime._step = function (...args) {
+            const result = originalStep.apply(this, args);
+            api.checkWatchers();
+            return result;
+        };
+    }
+
+    /**
+     * @param {string} event Name of the event
+     * @param {object} [data] Extra properties of the event
+     */
+    emit (event, data) {
+        const parent = this.window.parent;
+        if (!this.enabled || !parent || parent === this.window) {
+            return;
+        }
+        const message = {
+            type: EVENT_MESSAGE_TYPE,
+            event,
+            ...data
+        };
+        // Messages sent with a targetOrigin that doesn't match the parent are dropped by the browser
+        const targetOrigins = this.allowedOrigins.includes(ANY_ORIGIN) ? [ANY_ORIGIN] : this.allowedOrigins;
+        for (const targetOrigin of targetOrigins) {
+            parent.postMessage(message, targetOrigin);
+        }
+    }
+
+    emitError (error) {
+        this.emit('error', {
+            message: `${error}`
+        });
+    }
+
+    handleMessage (e) {
+        const data = e.data;
+        if (!data || data.type !== COMMAND_MESSAGE_TYPE || !this.isAllowedOrigin(e.origin)) {
+            return;
+        }
+        const respond = response => {
+            if (e.source) {
+                e.source.postMessage({
+                    type: RESPONSE_MESSAGE_TYPE,
+                    id: data.id,
+                    ...response
+                }, e.origin === 'null' ? ANY_ORIGIN : e.origin);
+            }
+        };
+        Promise.resolve()
+            .then(() => this.runCommand(data))
+            .then(result => respond({result}))
+            .catch(error => respond({error: error && error.message ? error.message : `${error}`}));
+    }
+
+    /**
+     * @param {object} data Command message
+     * @returns {unknown} Result of the command. May be a Promise.
+     */
+    runCommand (data) {
+        switch (data.command) {
+        case 'greenFlag':
+            this.vm.start();
+            this.vm.greenFlag();
+            return null;
+        case 'stopAll':
+            this.vm.stopAll();
+            return null;
+        case 'broadcast':
+            return this.broadcast(data.name);
+        case 'getVariable':
+            return copyValue(this.getVariable(data.name, data.sprite, VARIABLE_TYPE).value);
+        case 'setVariable':
+            return this.setVariable(data.name, data.sprite, VARIABLE_TYPE, data.value);
+        case 'getList':
+            return copyValue(this.getVariable(data.name, data.sprite, LIST_TYPE).value);
+        case 'setList':
+            return this.setVariable(data.name, data.sprite, LIST_TYPE, data.value);
+        case 'watchVariable':
+            return this.watch(data.name, data.sprite, VARIABLE_TYPE);
+        case 'watchList':
+            return this.watch(data.name, data.sprite, LIST_TYPE);
+        case 'unwatchVariable':
+            return this.unwatch(data.name, data.sprite, VARIABLE_TYPE);
+        case 'unwatchList':
+            return this.unwatch(data.name, data.sprite, LIST_TYPE);
+        case 'getStageImage':
+            return this.getStageImage();
+        case 'loadProject':
+            if (!(data.data instanceof ArrayBuffer)) {
+                throw new Error('data must be an ArrayBuffer');
+            }
+            return this.loadProject(data.data).then(() => null);
+        case 'setTurboMode':
+            this.vm.setTurboMode(!!data.enabled);
+            return null;
+        case 'setFramerate': {
+            const fps = +data.fps;
+            if (!Number.isFinite(fps) || fps <= 0) {
+                throw new Error(`Invalid framerate: ${data.fps}`);
+            }
+            this.vm.setFramerate(fps);
+            return null;
+        }
+        default:
+            throw new Error(`Unknown command: ${data.command}`);
+        }
+    }
+
+    broadcast (name) {
+        if (typeof name !== 'string' || !name) {
+            throw new Error('name must be a non-empty string');
+        }
+        this.vm.start();
+        this.vm.runtime.startHats('event_whenbroadcastreceived', {
+            BROADCAST_OPTION: name
+        });
+        return null;
+    }
+
+    getTarget (sprite) {
+        if (sprite === null || typeof sprite === 'undefined') {
+            return this.vm.runtime.getTargetForStage();
+        }
+        const target = this.vm.runtime.getSpriteTargetByName(`${sprite}`);
+        if (!target) {
+            throw new Error(`Unknown sprite: ${sprite}`);
+        }
+        return target;
+    }
+
+    /**
+     * @param {string} name Name of the variable or list
+     * @param {string|null|undefined} sprite Name of the sprite, or nothing for the stage
+     * @param {string} type VARIABLE_TYPE or LIST_TYPE
+     * @returns {object} The variable
+     */
+    getVariable (name, sprite, type) {
+        const variable = this.getTarget(sprite).lookupVariableByNameAndType(`${name}`, type);
+        if (!variable) {
+            throw new Error(`Unknown ${type === LIST_TYPE ? 'list' : 'variable'}: ${name}`);
+        }
+        return variable;
+    }
+
+    setVariable (name, sprite, type, value) {
+        const variable = this.getVariable(name, sprite, type);
+        if (type === LIST_TYPE) {
+            if (!Array.isArray(value) || !value.every(isScratchValue)) {
+                throw new Error('value must be an array of strings, numbers, or booleans');
+            }
+            variable.value = value.slice();
+            variable._monitorUpToDate = false;
+        } else {
+            if (!isScratchValue(value)) {
+                throw new Error('value must be a string, number, or boolean');
+            }
+            variable.value = value;
+            if (variable.isCloud) {
+                this.vm.runtime.ioDevices.cloud.requestUpdateVariable(variable.name, value);
+            }
+        }
+        return null;
+    }
+
+    watch (name, sprite, type) {
+        const variable = this.getVariable(name, sprite, type);
+        this.watchers.set(JSON.stringify([name, sprite, type]), {
+            name: `${name}`,
+            sprite: sprite === null || typeof sprite === 'undefined' ? null : `${sprite}`,
+            type,
+            value: copyValue(variable.value)
+        });
+        return copyValue(variable.value);
+    }
+
+    unwatch (name, sprite, type) {
+        this.watchers.delete(JSON.stringify([name, sprite, type]));
+        return null;
+    }
+
+    checkWatchers () {
+        for (const watcher of this.watchers.values()) {
+            let variable;
+            try {
+                variable = this.getVariable(watcher.name, watcher.sprite, watcher.type);
+            } catch (e) {
+                // The sprite or variable was deleted or a different project was loaded
+                continue;
+            }
+            if (!valuesEqual(watcher.value, variable.value)) {
+                watcher.value = copyValue(variable.value);
+                this.emit('variableChanged', {
+                    name: watcher.name,
+                    sprite: watcher.sprite,
+                    list: watcher.type === LIST_TYPE,
+                    value: copyValue(variable.value)
+                });
+            }
+        }
+    }
+
+    getStageImage () {
+        const renderer = this.vm.renderer;
+        if (!renderer) {
+            throw new Error('Stage is not available');
+        }
+        return new Promise(resolve => {
+            renderer.requestSnapshot(resolve);
+        });
+    }
+}
+
+export {
+    COMMAND_MESSAGE_TYPE,
+    RESPONSE_MESSAGE_TYPE,
+    EVENT_MESSAGE_TYPE,
+    EmbedAPI,
+    parseAllowedOrigins
+};
@@ -0,0 +1,102 @@
+import JSZip from '@turbowarp/jszip';
+import {arrayBufferToBase64} from './tw-base64-utils';
+import {generateStandaloneHTML} from './tw-standalone-html';
+
+// Built by webpack.config.js. The service worker caches it so that exporting works offline.
+const PLAYER_URL = `${process.env.ROOT}js/standalone-player.js`;
+
+const fetchText = async url => {
+    // The player doesn't have a hash in its name, so make sure we don't get a stale copy
+    const res = await fetch(url, {
+        cache: 'no-cache'
+    });
+    if (!res.ok) {
+        throw new Error(`Could not fetch ${url}: HTTP status ${res.status}`);
+    }
+    return res.text();
+};
+
+const textToDataURL = text => {
+    const base64 = arrayBufferToBase64(new TextEncoder().encode(text));
+    return `data:text/javascript;base64,${base64}`;
+};
+
+/**
+ * Custom extensions are loaded from URLs when the project starts, which won't work offline,
+ * so download them now and store them in the project as data: URLs instead. The editor's security
+ * manager decides whether each extension may be embedded and whether it runs sandboxed, so the
+ * exported file can't do anything that the editor wouldn't.
+ * @param {ArrayBuffer} sb3 The project
+ * @param {object} securityManager The VM's security manager
+ * @returns {Promise<{sb3: ArrayBuffer, unsandboxed: string[]}>} The project with every extension stored
+ * inside of it and the IDs of the extensions that may run unsandboxed
+ */
+export const embedExtensions = async (sb3, securityManager) => {
+    const zip = await JSZip.loadAsync(sb3);
+    const projectJSON = JSON.parse(await zip.file('project.json').async('text'));
+    const extensionURLs = projectJSON.extensionURLs;
+    if (!extensionURLs) {
+        return {
+            sb3,
+            unsandboxed: []
+        };
+    }
+    const unsandboxed = [];
+    for (const extensionId of Object.keys(extensionURLs)) {
+        const url = extensionURLs[extensionId];
+        if (!await securityManager.canLoadExtensionFromProject(url)) {
+            throw new Error(`Extension ${url} was not allowed to load`);
+        }
+        if (await securityManager.getSandboxMode(url) === 'unsandboxed') {
+            unsandboxed.push(extensionId);
+        }
+        // Embed the same code that the editor would run, such as the saved code of pinned extensions
+        const loadURL = await securityManager.rewriteExtensionURL(url);
+        if (loadURL.startsWith('data:')) {
+            extensionURLs[extensionId] = loadURL;
+        } else {
+            if (!await securityManager.canFetch(loadURL)) {
+                throw new Error(`Extension ${url} was not allowed to be downloaded`);
+            }
+            let code;
+            try {
+                code = await fetchText(loadURL);
+            } catch (e) {
+                throw new Error(`Could not download extension ${url}. Check your internet connection. (${e})`);
+            }
+            extensionURLs[extensionId] = textToDataURL(code);
+        }
+    }
+    zip.file('project.json', JSON.stringify(projectJSON));
+    return {
+        sb3: await zip.generateAsync({
+            type: 'arraybuffer',
+            compression: 'DEFLATE'
+        }),
+        unsandboxed
+    };
+};
+
+/**
+ * @param {VirtualMachine} vm The VM with the project to export
+ * @param {object} options Options from getDefaultOptions() in tw-standalone-html.js
+ * @returns {Promise<Blob>} A single HTML file that runs the project without any other files
+ */
+export const exportAsHTML = async (vm, options) => {
+    const [playerScript, {sb3, unsandboxed}] = await Promise.all([
+        fetchText(PLAYER_URL),
+        vm.saveProjectSb3('arraybuffer')
+            .then(project => embedExtensions(project, vm.extensionManager.securityManager))
+    ]);
+    const html = generateStandaloneHTML({
+        options: {
+            ...options,
+            unsandboxedExtensions: unsandboxed
+        },
+        projectBase64: arrayBufferToBase64(sb3),
+        playerScript
+    });
+    return new Blob([html], {
+        type: 'text/html'
+    });
+};
@@ -0,0 +1,89 @@
+// Type definitions for the Scratch.gui API available to unsandboxed extensions.
+// See tw-extension-gui-api.js for the implementation.
+
+declare namespace ScratchGui {
+    type ModalName =
+        'settings' |
+        'restorePoints' |
+        'fonts' |
+        'customExtension' |
+        'username' |
+        'cloudInspector';
+
+    type AlertLevel = 'success' | 'info' | 'warn';
+
+    type EditorTab = 'code' | 'costumes' | 'sounds';
+
+    interface AlertOptions {
+        message: string;
+        /** Defaults to 'info' */
+        level?: AlertLevel;
+        /** Seconds until the alert closes itself. If not set, the user must close it. */
+        timeout?: number;
+    }
+
+    interface MenuItemOptions {
+        text: string;
+        onClick: () => void;
+    }
+
+    interface SettingValueTypes {
+        boolean: boolean;
+        number: number;
+        string: string;
+    }
+
+    interface SettingOptions<T extends keyof SettingValueTypes> {
+        /** Unique ID. Use something like your extension's ID as a prefix. */
+        id: string;
+        label: string;
+        /** Text displayed when the user asks for help. */
+        description?: string;
+        type: T;
+        default: SettingValueTypes[T];
+        onChange?: (value: SettingValueTypes[T]) => void;
+    }
+
+    interface Setting<T extends keyof SettingValueTypes> {
+        get(): SettingValueTypes[T];
+        set(value: SettingValueTypes[T]): void;
+        remove(): void;
+    }
+
+    interface EventValueTypes {
+        editorTabChange: EditorTab;
+        /** ID of the new editing target */
+        targetChange: string | null;
+        projectTitleChange: string;
+    }
+
+    interface API {
+        /** Increased whenever something is added to the API. */
+        readonly version: number;
+
+        getBlockly(): Promise<any>;
+        getBlocklyEagerly(): Promise<any>;
+
+        getProjectTitle(): string;
+        getEditorTab(): EditorTab;
+        getEditingTarget(): string | null;
+
+        openModal(name: ModalName): void;
+
+        /** @returns Function that closes the alert */
+        showAlert(options: AlertOptions): () => void;
+
+        /** Adds an item to the bottom of the Edit menu. */
+        addMenuItem(options: MenuItemOptions): () => void;
+
+        /** Adds a setting to the Extensions section of the settings modal. */
+        addSetting<T extends keyof SettingValueTypes>(options: SettingOptions<T>): Setting<T>;
+
+        on<K extends keyof EventValueTypes>(type: K, callback: (value: EventValueTypes[K]) => void): void;
+        off<K extends keyof EventValueTypes>(type: K, callback: (value: EventValueTypes[K]) => void): void;
+    }
+}
+
+declare namespace Scratch {
+    const gui: ScratchGui.API;
+}
@@ -1,12 +1,111 @@
 import LazyScratchBlocks from './tw-lazy-scratch-blocks';
+import log from './log';
 import AddonHooks from '../addons/hooks';
+import {AlertLevels} from './alerts/index.jsx';
+import {closeAlertsWithId, showCustomAlert} from '../reducers/alerts';
+import {
+    BLOCKS_TAB_INDEX,
+    COSTUMES_TAB_INDEX,
+    SOUNDS_TAB_INDEX
+} from '../reducers/editor-tab';
+import {
+    openCloudInspectorModal,
+    openCustomExtensionModal,
+    openFontsModal,
+    openRestorePointModal,
+    openSettingsModal,
+    openUsernameModal
+} from '../reducers/modals';
+import {
+    addExtensionMenuItem,
+    addExtensionSetting,
+    getExtensionSettingValue,
+    removeExtensionMenuItem,
+    removeExtensionSetting,
+    setExtensionSettingValue
+} from './tw-extension-gui-registry';
+
+/**
+ * Increased whenever something is added to the API. Existing APIs are never changed incompatibly.
+ */
+const API_VERSION = 1;
+
+const MODALS = {
+    settings: openSettingsModal,
+    restorePoints: openRestorePointModal,
+    fonts: openFontsModal,
+    customExtension: openCustomExtensionModal,
+    username: openUsernameModal,
+    cloudInspector: openCloudInspectorModal
+};
+
+const ALERT_LEVELS = {
+    success: AlertLevels.SUCCESS,
+    info: AlertLevels.INFO,
+    warn: AlertLevels.WARN
+};
+
+const EDITOR_TABS = {
+    [BLOCKS_TAB_INDEX]: 'code',
+    [COSTUMES_TAB_INDEX]: 'costumes',
+    [SOUNDS_TAB_INDEX]: 'sounds'
+};
+
+const SETTING_TYPES = ['boolean', 'number', 'string'];
+
+/**
+ * Each event is derived from a piece of redux state. Listeners receive the new value.
+ */
+const EVENTS = {
+    editorTabChange: state => EDITOR_TABS[state.scratchGui.editorTab.activeTabIndex],
+    targetChange: state => state.scratchGui.targets.editingTarget,
+    projectTitleChange: state => state.scratchGui.projectTitle
+};
+
+const getStore = () => {
+    const store = AddonHooks.appStateStore;
+    if (!store) {
+        throw new Error('GUI is not ready yet');
+    }
+    return store;
+};
+
+let nextId = 1;
+const generateId = prefix => `${prefix}-${nextId++}`;
 
 /**
  * Implements Scratch.gui API for unsandboxed extensions.
  * @param {any} Scratch window.Scratch, mutated in place.
  */
 const implementGuiAPI = Scratch => {
+    /** @type {Map<string, Set<Function>>} */
+    const listeners = new Map();
+    /** @type {Record<string, unknown>} */
+    let lastValues = {};
+    /** @type {Function|null} */
+    let unsubscribeFromStore = null;
+
+    const handleStoreChange = () => {
+        const state = getStore().getState();
+        for (const [type, callbacks] of listeners) {
+            const value = EVENTS[type](state);
+            if (value !== lastValues[type]) {
+                lastValues[type] = value;
+                for (const callback of Array.from(callbacks)) {
+                    try {
+                        callback(value);
+                    } catch (e) {
+                        // Don't let one broken extension stop the others from receiving events.
+                        log.error('Error in Scratch.gui event listener', e);
+                    }
+                }
+            }
+        }
+    };
+
     Scratch.gui = {
+        version: API_VERSION,
+
         /**
          * Lazily get the internal ScratchBlocks object when it becomes available. It may never be
          * available if, for example, the user never enters the editor.
@@ -34,7 +133,166 @@ const implementGuiAPI = Scratch => {
          *
          * @returns {Promise<any>} Promise that will resolve to ScratchBlocks.
          */
-        getBlocklyEagerly: () => LazyScratchBlocks.load()
+        getBlocklyEagerly: () => LazyScratchBlocks.load(),
+
+        /**
+         * @returns {string} The title of the project as shown in the menu bar.
+         */
+        getProjectTitle: () => getStore().getState().scratchGui.projectTitle,
+
+        /**
+         * @returns {'code'|'costumes'|'sounds'} The editor tab that is currently open.
+         */
+        getEditorTab: () => EVENTS.editorTabChange(getStore().getState()),
+
+        /**
+         * @returns {string|null} The ID of the target being edited.
+         */
+        getEditingTarget: () => EVENTS.targetChange(getStore().getState()),
+
+        /**
+         * Open one of the GUI's modals.
+         * @param {string} name One of the keys of MODALS
+         */
+        openModal: name => {
+            if (!Object.prototype.hasOwnProperty.call(MODALS, name)) {
+                throw new Error(`Unknown modal: ${name}`);
+            }
+            getStore().dispatch(MODALS[name]());
+        },
+
+        /**
+         * Show an alert at the top of the editor.
+         * @param {object} options Options
+         * @param {string} options.message Text to display
+         * @param {'success'|'info'|'warn'} [options.level] Color of the alert, defaults to info
+         * @param {number} [options.timeout] Seconds until the alert closes itself. If not set, the user must close it.
+         * @returns {Function} Closes the alert
+         */
+        showAlert: ({message, level = 'info', timeout}) => {
+            if (!Object.prototype.hasOwnProperty.call(ALERT_LEVELS, level)) {
+                throw new Error(`Unknown alert level: ${level}`);
+            }
+            const store = getStore();
+            const alertId = generateId('extension-alert');
+            const close = () => store.dispatch(closeAlertsWithId(alertId));
+            store.dispatch(showCustomAlert({
+                alertId,
+                content: `${message}`,
+                level: ALERT_LEVELS[level]
+            }));
+            if (typeof timeout === 'number') {
+                setTimeout(close, timeout * 1000);
+            }
+            return close;
+        },
+
+        /**
+         * Add an item to the bottom of the Edit menu.
+         * @param {object} options Options
+         * @param {string} options.text Text to display
+         * @param {Function} options.onClick Called when the item is clicked
+         * @returns {Function} Removes the item
+         */
+        addMenuItem: ({text, onClick}) => {
+            if (typeof onClick !== 'function') {
+                throw new Error('onClick must be a function');
+            }
+            const id = generateId('extension-menu-item');
+            addExtensionMenuItem({
+                id,
+                text: `${text}`,
+                onClick
+            });
+            return () => removeExtensionMenuItem(id);
+        },
+
+        /**
+         * Add a setting to the Extensions section of the settings modal. Values are remembered by the browser.
+         * @param {object} options Options
+         * @param {string} options.id Unique ID. Use something like your extension's ID as a prefix.
+         * @param {string} options.label Text to display
+         * @param {string} [options.description] Text displayed when the user asks for help
+         * @param {'boolean'|'number'|'string'} options.type Type of value
+         * @param {boolean|number|string} options.default Value used until the user changes the setting
+         * @param {Function} [options.onChange] Called with the new value when it changes
+         * @returns {object} Handle to the setting with get(), set(value), and remove()
+         */
+        addSetting: options => {
+            const {id, label, description, type, onChange} = options;
+            if (typeof id !== 'string' || !id) {
+                throw new Error('Setting ID must be a non-empty string');
+            }
+            if (!SETTING_TYPES.includes(type)) {
+                throw new Error(`Unknown setting type: ${type}`);
+            }
+            // eslint-disable-next-line valid-typeof
+            if (typeof options.default !== type) {
+                throw new Error(`Default value must be a ${type}`);
+            }
+            const setting = {
+                id,
+                label: `${label}`,
+                description: description ? `${description}` : '',
+                type,
+                default: options.default,
+                onChange: typeof onChange === 'function' ? onChange : null
+            };
+            addExtensionSetting(setting);
+            return {
+                get: () => getExtensionSettingValue(setting),
+                set: value => {
+                    // eslint-disable-next-line valid-typeof
+                    if (typeof value !== type) {
+                        throw new Error(`Value must be a ${type}`);
+                    }
+                    setExtensionSettingValue(id, value);
+                },
+                remove: () => removeExtensionSetting(id)
+            };
+        },
+
+        /**
+         * Listen for changes in the GUI. Listeners are called with the new value.
+         * @param {'editorTabChange'|'targetChange'|'projectTitleChange'} type Event type
+         * @param {Function} callback Listener
+         */
+        on: (type, callback) => {
+            if (!Object.prototype.hasOwnProperty.call(EVENTS, type)) {
+                throw new Error(`Unknown event: ${type}`);
+            }
+            const store = getStore();
+            if (!listeners.has(type)) {
+                listeners.set(type, new Set());
+                lastValues[type] = EVENTS[type](store.getState());
+            }
+            listeners.get(type).add(callback);
+            if (!unsubscribeFromStore) {
+                unsubscribeFromStore = store.subscribe(handleStoreChange);
+            }
+        },
+
+        /**
+         * Remove a listener added by on().
+         * @param {string} type Event type
+         * @param {Function} callback Listener
+         */
+        off: (type, callback) => {
+            const callbacks = listeners.get(type);
+            if (!callbacks) {
+                return;
+            }
+            callbacks.delete(callback);
+            if (callbacks.size === 0) {
+                listeners.delete(type);
+                delete lastValues[type];
+            }
+            if (listeners.size === 0 && unsubscribeFromStore) {
+                unsubscribeFromStore();
+                unsubscribeFromStore = null;
+                lastValues = {};
+            }
+        }
     };
 };
 
@@ -0,0 +1,155 @@
+/**
+ * @fileoverview
+ * Menu items and settings registered by unsandboxed extensions through Scratch.gui.
+ * Components that display them subscribe here so they update when extensions add or remove things.
+ */
+
+const SETTINGS_STORAGE_KEY = 'tw:extension-settings';
+
+/**
+ * @typedef ExtensionMenuItem
+ * @property {string} id Unique ID
+ * @property {string} text Text to display
+ * @property {Function} onClick Called when the item is clicked
+ */
+
+/**
+ * @typedef ExtensionSetting
+ * @property {string} id Unique ID, also used as the storage key
+ * @property {string} label Text to display
+ * @property {string} description Text displayed when the user asks for help, may be empty
+ * @property {'boolean'|'number'|'string'} type Type of value
+ * @property {boolean|number|string} default Value used when the user hasn't changed the setting
+ * @property {Function|null} onChange Called with the new value when the user changes the setting
+ */
+
+/** @type {ExtensionMenuItem[]} */
+let menuItems = [];
+
+/** @type {ExtensionSetting[]} */
+let settings = [];
+
+/** @type {Set<Function>} */
+const listeners = new Set();
+
+const notifyListeners = () => {
+    for (const listener of listeners) {
+        listener();
+    }
+};
+
+/**
+ * @param {Function} listener Called whenever menu items, settings, or setting values change
+ * @returns {Function} Call to unsubscribe
+ */
+const subscribeToExtensionGui = listener => {
+    listeners.add(listener);
+    return () => {
+        listeners.delete(listener);
+    };
+};
+
+/**
+ * @returns {Record<string, unknown>} Saved values of every setting
+ */
+const readStoredValues = () => {
+    try {
+        const parsed = JSON.parse(localStorage.getItem(SETTINGS_STORAGE_KEY));
+        if (parsed && typeof parsed === 'object') {
+            return parsed;
+        }
+    } catch (e) {
+        // ignore
+    }
+    return {};
+};
+
+/**
+ * @param {Record<string, unknown>} values Values to save
+ */
+const writeStoredValues = values => {
+    try {
+        localStorage.setItem(SETTINGS_STORAGE_KEY, JSON.stringify(values));
+    } catch (e) {
+        // ignore
+    }
+};
+
+/**
+ * @param {ExtensionMenuItem} item Menu item. Replaces any existing item with the same ID.
+ */
+const addExtensionMenuItem = item => {
+    menuItems = menuItems.filter(i => i.id !== item.id).concat(item);
+    notifyListeners();
+};
+
+/**
+ * @param {string} id Menu item ID
+ */
+const removeExtensionMenuItem = id => {
+    menuItems = menuItems.filter(i => i.id !== id);
+    notifyListeners();
+};
+
+/**
+ * @returns {ExtensionMenuItem[]} All menu items in the order they were added
+ */
+const getExtensionMenuItems = () => menuItems;
+
+/**
+ * @param {ExtensionSetting} setting Setting. Replaces any existing setting with the same ID.
+ */
+const addExtensionSetting = setting => {
+    settings = settings.filter(i => i.id !== setting.id).concat(setting);
+    notifyListeners();
+};
+
+/**
+ * @param {string} id Setting ID
+ */
+const removeExtensionSetting = id => {
+    settings = settings.filter(i => i.id !== id);
+    notifyListeners();
+};
+
+/**
+ * @returns {ExtensionSetting[]} All settings in the order they were added
+ */
+const getExtensionSettings = () => settings;
+
+/**
+ * @param {ExtensionSetting} setting Setting
+ * @returns {boolean|number|string} The saved value if it has the right type, otherwise the default value
+ */
+const getExtensionSettingValue = setting => {
+    const stored = readStoredValues()[setting.id];
+    // eslint-disable-next-line valid-typeof
+    return typeof stored === setting.type ? stored : setting.default;
+};
+
+/**
+ * @param {string} id Setting ID
+ * @param {boolean|number|string} value New value
+ */
+const setExtensionSettingValue = (id, value) => {
+    const setting = settings.find(i => i.id === id);
+    const values = readStoredValues();
+    values[id] = value;
+    writeStoredValues(values);
+    notifyListeners();
+    if (setting && setting.onChange) {
+        setting.onChange(value);
+    }
+};
+
+export {
+    subscribeToExtensionGui,
+    addExtensionMenuItem,
+    removeExtensionMenuItem,
+    getExtensionMenuItems,
+    addExtensionSetting,
+    removeExtensionSetting,
+    getExtensionSettings,
+    getExtensionSettingValue,
+    setExtensionSettingValue
+};
@@ -0,0 +1,249 @@
+/**
+ * @fileoverview
+ * Encodes animated GIFs. GIFs can only have 256 colors, so the colors used by every frame are reduced to one
+ * shared palette with median cut. Pixels that are mostly transparent become fully transparent because GIFs
+ * don't support partial transparency.
+ */
+
+import {GifWriter} from 'omggif';
+
+// One palette entry is reserved for transparency
+const MAX_COLORS = 255;
+const ALPHA_THRESHOLD = 128;
+
+/**
+ * Colors are grouped into buckets with 5 bits per channel before median cut so that it runs quickly.
+ * @param {number} r Red, 0-255
+ * @param {number} g Green, 0-255
+ * @param {number} b Blue, 0-255
+ * @returns {number} Bucket index
+ */
+const getBucket = (r, g, b) => ((r >> 3) << 10) | ((g >> 3) << 5) | (b >> 3);
+
+/**
+ * @typedef Box
+ * @property {number[]} buckets Indexes of the buckets in this box
+ * @property {number} count Number of pixels in this box
+ */
+
+/**
+ * @param {Uint32Array} counts Pixels in each bucket
+ * @param {Float64Array[]} sums Sum of each channel in each bucket
+ * @returns {number[]} Palette as 0xRRGGBB
+ */
+const medianCut = (counts, sums) => {
+    const initial = [];
+    let total = 0;
+    for (let i = 0; i < counts.length; i++) {
+        if (counts[i]) {
+            initial.push(i);
+            total += counts[i];
+        }
+    }
+    const channel = (bucket, c) => sums[c][bucket] / counts[bucket];
+    /** @type {Box[]} */
+    const boxes = [{buckets: initial, count: total}];
+    while (boxes.length < MAX_COLORS) {
+        // Split the box with the most pixels that can still be split
+        let boxIndex = -1;
+        for (let i = 0; i < boxes.length; i++) {
+            if (boxes[i].buckets.length > 1 && (boxIndex === -1 || boxes[i].count > boxes[boxIndex].count)) {
+                boxIndex = i;
+            }
+        }
+        if (boxIndex === -1) {
+            break;
+        }
+        const box = boxes[boxIndex];
+
+        // Split along the channel with the biggest range
+        let splitChannel = 0;
+        let biggestRange = -1;
+        for (let c = 0; c < 3; c++) {
+            let min = Infinity;
+            let max = -Infinity;
+            for (const bucket of box.buckets) {
+                const value = channel(bucket, c);
+                min = Math.min(min, value);
+                max = Math.max(max, value);
+            }
+            if (max - min > biggestRange) {
+                biggestRange = max - min;
+                splitChannel = c;
+            }
+        }
+        box.buckets.sort((a, b) => channel(a, splitChannel) - channel(b, splitChannel));
+
+        // Split at the median pixel so both halves are used about as much
+        let seen = 0;
+        let splitAt = 1;
+        for (let i = 0; i < box.buckets.length - 1; i++) {
+            seen += counts[box.buckets[i]];
+            if (seen >= box.count / 2) {
+                splitAt = i + 1;
+                break;
+            }
+            splitAt = i + 1;
+        }
+        const first = box.buckets.slice(0, splitAt);
+        const second = box.buckets.slice(splitAt);
+        const countOf = buckets => buckets.reduce((sum, bucket) => sum + counts[bucket], 0);
+        boxes.splice(boxIndex, 1, {
+            buckets: first,
+            count: countOf(first)
+        }, {
+            buckets: second,
+            count: countOf(second)
+        });
+    }
+
+    return boxes.map(box => {
+        const average = [0, 1, 2].map(c => {
+            let sum = 0;
+            for (const bucket of box.buckets) {
+                sum += sums[c][bucket];
+            }
+            return Math.round(sum / box.count);
+        });
+        return (average[0] << 16) | (average[1] << 8) | average[2];
+    });
+};
+
+/**
+ * @param {number[]} palette Colors as 0xRRGGBB
+ * @param {number} r Red
+ * @param {number} g Green
+ * @param {number} b Blue
+ * @returns {number} Index of the closest color in the palette
+ */
+const findClosest = (palette, r, g, b) => {
+    let best = 0;
+    let bestDistance = Infinity;
+    for (let i = 0; i < palette.length; i++) {
+        const dr = ((palette[i] >> 16) & 0xff) - r;
+        const dg = ((palette[i] >> 8) & 0xff) - g;
+        const db = (palette[i] & 0xff) - b;
+        const distance = (dr * dr) + (dg * dg) + (db * db);
+        if (distance < bestDistance) {
+            bestDistance = distance;
+            best = i;
+        }
+    }
+    return best;
+};
+
+/**
+ * @param {ImageData[]} frames Frames, all the same size
+ * @returns {{palette: number[], indexFrames: Uint8Array[], transparentIndex: number}} Indexed frames
+ */
+const quantize = frames => {
+    // If there are few enough colors, use them exactly
+    const exactColors = new Map();
+    let tooManyColors = false;
+    for (const frame of frames) {
+        const data = frame.data;
+        for (let i = 0; i < data.length && !tooManyColors; i += 4) {
+            if (data[i + 3] >= ALPHA_THRESHOLD) {
+                const color = (data[i] << 16) | (data[i + 1] << 8) | data[i + 2];
+                if (!exactColors.has(color)) {
+                    if (exactColors.size === MAX_COLORS) {
+                        tooManyColors = true;
+                    } else {
+                        exactColors.set(color, exactColors.size);
+                    }
+                }
+            }
+        }
+    }
+
+    let palette;
+    let getIndex;
+    if (tooManyColors) {
+        const counts = new Uint32Array(1 << 15);
+        const sums = [new Float64Array(1 << 15), new Float64Array(1 << 15), new Float64Array(1 << 15)];
+        for (const frame of frames) {
+            const data = frame.data;
+            for (let i = 0; i < data.length; i += 4) {
+                if (data[i + 3] >= ALPHA_THRESHOLD) {
+                    const bucket = getBucket(data[i], data[i + 1], data[i + 2]);
+                    counts[bucket]++;
+                    sums[0][bucket] += data[i];
+                    sums[1][bucket] += data[i + 1];
+                    sums[2][bucket] += data[i + 2];
+                }
+            }
+        }
+        palette = medianCut(counts, sums);
+        const cache = new Int16Array(1 << 15).fill(-1);
+        getIndex = (r, g, b) => {
+            const bucket = getBucket(r, g, b);
+            if (cache[bucket] === -1) {
+                cache[bucket] = findClosest(palette, r, g, b);
+            }
+            return cache[bucket];
+        };
+    } else {
+        palette = Array.from(exactColors.keys());
+        getIndex = (r, g, b) => exactColors.get((r << 16) | (g << 8) | b);
+    }
+
+    const transparentIndex = palette.length;
+    const indexFrames = frames.map(frame => {
+        const data = frame.data;
+        const indexes = new Uint8Array(data.length / 4);
+        for (let i = 0; i < indexes.length; i++) {
+            const j = i * 4;
+            indexes[i] = data[j + 3] >= ALPHA_THRESHOLD ?
+                getIndex(data[j], data[j + 1], data[j + 2]) :
+                transparentIndex;
+        }
+        return indexes;
+    });
+
+    // GIF palettes must have a power of 2 length
+    let paletteSize = 2;
+    while (paletteSize < palette.length + 1) {
+        paletteSize *= 2;
+    }
+    const paddedPalette = palette.concat(new Array(paletteSize - palette.length).fill(0));
+    return {
+        palette: paddedPalette,
+        indexFrames,
+        transparentIndex
+    };
+};
+
+/**
+ * @param {ImageData[]} frames Frames, all the same size
+ * @param {number} delay How long each frame is shown, in milliseconds
+ * @returns {Uint8Array} GIF file that loops forever
+ */
+const encodeGIF = (frames, delay) => {
+    if (frames.length === 0) {
+        throw new Error('No frames');
+    }
+    const width = frames[0].width;
+    const height = frames[0].height;
+    const {palette, indexFrames, transparentIndex} = quantize(frames);
+    // LZW never needs more than 12 bits per pixel; the rest is headers
+    const buffer = new Uint8Array(1024 + (palette.length * 3) + (frames.length * ((width * height * 2) + 1024)));
+    const writer = new GifWriter(buffer, width, height, {
+        palette,
+        loop: 0
+    });
+    for (const indexes of indexFrames) {
+        writer.addFrame(0, 0, width, height, indexes, {
+            // GIF delays are in hundredths of a second
+            delay: Math.max(1, Math.round(delay / 10)),
+            transparent: transparentIndex,
+            // Clear each frame so transparent areas don't show the previous frame
+            disposal: 2
+        });
+    }
+    return buffer.slice(0, writer.end());
+};
+
+export {
+    quantize,
+    encodeGIF
+};
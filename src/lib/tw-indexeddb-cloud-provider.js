@@ -0,0 +1,230 @@
+import log from './log.js';
+import throttle from 'lodash.throttle';
+import {
+    TYPE_RECEIVED,
+    TYPE_SENT,
+    logCloudMessage,
+    logCloudStatus
+} from './tw-cloud-inspector.js';
+
+// Special constants -- do not change without care.
+const DATABASE_NAME = 'TW_CloudVariables';
+const DATABASE_VERSION = 1;
+const STORE_NAME = 'projects';
+
+/** @type {IDBDatabase|null} */
+let _cachedDB = null;
+
+/**
+ * @returns {Promise<IDBDatabase|null>} IDB database, or null if IDB is not supported
+ */
+const openDB = () => {
+    if (_cachedDB) {
+        return Promise.resolve(_cachedDB);
+    }
+
+    if (typeof indexedDB === 'undefined') {
+        return Promise.resolve(null);
+    }
+
+    return new Promise((resolve, reject) => {
+        const request = indexedDB.open(DATABASE_NAME, DATABASE_VERSION);
+
+        request.onupgradeneeded = () => {
+            const db = request.result;
+            db.createObjectStore(STORE_NAME);
+        };
+
+        request.onsuccess = () => {
+            _cachedDB = request.result;
+            resolve(request.result);
+        };
+
+        request.onerror = () => {
+            reject(new Error(`Could not open database: ${request.error}`));
+        };
+    });
+};
+
+/**
+ * A cloud data provider that saves cloud variables in the browser so they persist between sessions
+ * of a single-player project. Nothing is shared with other users.
+ */
+class IndexedDBCloudProvider {
+    /**
+     * @param {VirtualMachine} vm The Scratch virtual machine to interface with
+     * @param {string} projectId The id associated with the project containing cloud data.
+     */
+    constructor (vm, projectId) {
+        this.vm = vm;
+        this.projectId = projectId;
+
+        /**
+         * Current value of every cloud variable.
+         * @type {Map<string, string|number>}
+         */
+        this.variables = new Map();
+
+        /**
+         * Names of variables changed by the project since it started. Saved values never overwrite these.
+         * @type {Set<string>}
+         */
+        this.changedVariables = new Set();
+
+        this.saveVariables = throttle(this._saveVariables, 1000);
+
+        // cloud-manager-hoc treats a truthy connection as being connected.
+        this.connection = this.loadVariables();
+    }
+
+    /**
+     * @returns {Promise<void>} Resolves when saved variables have been sent to the VM.
+     */
+    loadVariables () {
+        const projectId = this.projectId;
+        return openDB()
+            .then(db => new Promise((resolve, reject) => {
+                if (!db) {
+                    resolve(null);
+                    return;
+                }
+                const transaction = db.transaction([STORE_NAME], 'readonly');
+                transaction.onerror = event => {
+                    reject(new Error(`Loading cloud variables: ${event.target.error}`));
+                };
+                const request = transaction.objectStore(STORE_NAME).get(projectId);
+                request.onsuccess = () => {
+                    resolve(request.result);
+                };
+            }))
+            .then(saved => {
+                if (!this.vm || !saved || typeof saved !== 'object') {
+                    return;
+                }
+                for (const [name, value] of Object.entries(saved)) {
+                    if (this.changedVariables.has(name)) {
+                        continue;
+                    }
+                    if (typeof value !== 'string' && typeof value !== 'number') {
+                        continue;
+                    }
+                    this.receiveMessage({
+                        method: 'set',
+                        name,
+                        value
+                    });
+                }
+                logCloudStatus('Loaded saved variables');
+            })
+            .catch(err => {
+                log.error(err);
+            });
+    }
+
+    _saveVariables () {
+        const projectId = this.projectId;
+        const data = Object.fromEntries(this.variables);
+        logCloudMessage(TYPE_SENT, data);
+        openDB()
+            .then(db => new Promise((resolve, reject) => {
+                if (!db) {
+                    resolve();
+                    return;
+                }
+                const transaction = db.transaction([STORE_NAME], 'readwrite');
+                transaction.onerror = event => {
+                    reject(new Error(`Saving cloud variables: ${event.target.error}`));
+                };
+                transaction.oncomplete = () => {
+                    resolve();
+                };
+                const store = transaction.objectStore(STORE_NAME);
+                if (Object.keys(data).length === 0) {
+                    store.delete(projectId);
+                } else {
+                    store.put(data, projectId);
+                }
+            }))
+            .catch(err => {
+                log.error(err);
+            });
+    }
+
+    /**
+     * @param {object} message A saved value, or a message injected by the cloud inspector
+     */
+    receiveMessage (message) {
+        logCloudMessage(TYPE_RECEIVED, message);
+        if (message.method === 'set') {
+            this.variables.set(message.name, message.value);
+            this.vm.postIOData('cloud', {
+                varUpdate: {
+                    name: message.name,
+                    value: message.value
+                }
+            });
+        }
+    }
+
+    /**
+     * @param {object} message Message from the cloud inspector
+     */
+    sendMessage (message) {
+        switch (message.method) {
+        case 'create':
+        case 'set':
+            this.setVariable(message.name, message.value);
+            break;
+        case 'rename':
+            this.renameVariable(message.name, message.new_name);
+            break;
+        case 'delete':
+            this.deleteVariable(message.name);
+            break;
+        }
+    }
+
+    setVariable (name, value) {
+        this.changedVariables.add(name);
+        this.variables.set(name, value);
+        this.saveVariables();
+    }
+
+    createVariable (name, value) {
+        this.setVariable(name, value);
+    }
+
+    updateVariable (name, value) {
+        this.setVariable(name, value);
+    }
+
+    renameVariable (oldName, newName) {
+        if (this.variables.has(oldName)) {
+            this.setVariable(newName, this.variables.get(oldName));
+            this.deleteVariable(oldName);
+        }
+    }
+
+    deleteVariable (name) {
+        this.changedVariables.add(name);
+        this.variables.delete(name);
+        this.saveVariables();
+    }
+
+    requestCloseConnection () {
+        // Make sure the most recent values are saved before we forget about them.
+        this.saveVariables.flush();
+        this.clear();
+    }
+
+    clear () {
+        this.saveVariables.cancel();
+        this.connection = null;
+        this.vm = null;
+        this.projectId = null;
+        this.variables = new Map();
+        this.changedVariables = new Set();
+    }
+}
+
+export default IndexedDBCloudProvider;
@@ -0,0 +1,428 @@
+/**
+ * @fileoverview
+ * Remembers custom extensions that the user loaded so they can be loaded again later, and so that we can
+ * tell when the code at an extension's URL is different from what the user originally chose to run.
+ */
+
+import md5 from 'js-md5';
+
+// Special constants -- do not change without care.
+const DATABASE_NAME = 'TW_InstalledExtensions';
+const DATABASE_VERSION = 1;
+const STORE_NAME = 'extensions';
+
+const TYPE_URL = 'url';
+const TYPE_FILE = 'file';
+const TYPE_TEXT = 'text';
+const TYPES = [TYPE_URL, TYPE_FILE, TYPE_TEXT];
+
+/**
+ * @typedef InstalledExtension
+ * @property {string} key From getExtensionKey()
+ * @property {'url'|'file'|'text'} type Where the extension was loaded from
+ * @property {string|null} url URL of the extension, for URL extensions
+ * @property {string} name From the extension's manifest, or the URL or file name
+ * @property {string|null} version From the extension's manifest, if it has one
+ * @property {string|null} hash md5 of the code, or null if the code could not be downloaded
+ * @property {string|null} code The code, or null if it could not be downloaded
+ * @property {boolean} pinned If true, the saved code is loaded instead of whatever is at the URL now
+ * @property {boolean} unsandboxed For files and text, whether the user chose to run it without the sandbox
+ * @property {number} installed Unix seconds
+ * @property {number} updated Unix seconds
+ */
+
+/**
+ * @typedef ExtensionManifest
+ * @property {string|null} name
+ * @property {string|null} version
+ */
+
+/**
+ * Extensions describe themselves with comments at the start of the file, like the extension gallery does:
+ *     // Name: My Extension
+ *     // Version: 1.2.0
+ * @param {string} code Extension source code
+ * @returns {ExtensionManifest} Information from the header. Missing fields are null.
+ */
+const parseExtensionManifest = code => {
+    const manifest = {
+        name: null,
+        version: null
+    };
+    const lines = code.split('\n');
+    for (const line of lines) {
+        const trimmed = line.trim();
+        if (!trimmed) {
+            continue;
+        }
+        const match = trimmed.match(/^\/\/\s*([a-z]+)\s*:\s*(.+)$/i);
+        if (!match) {
+            // The manifest ends at the first line of code
+            if (!trimmed.startsWith('//')) {
+                break;
+            }
+            continue;
+        }
+        const field = match[1].toLowerCase();
+        if (field === 'name' || field === 'version') {
+            manifest[field] = match[2].trim();
+        }
+    }
+    return manifest;
+};
+
+/**
+ * @param {string} code Extension source code
+ * @returns {string} Hash of the code
+ */
+const hashExtensionCode = code => md5(code);
+
+/**
+ * @param {string} code Extension source code
+ * @returns {string} data: URL that runs the code
+ */
+const codeToDataURL = code => `data:application/javascript,${encodeURIComponent(code)}`;
+
+/**
+ * @param {'url'|'file'|'text'} type Where the extension was loaded from
+ * @param {string} source The URL, file name, or for text, the code
+ * @returns {string} A string that identifies the extension in the database
+ */
+const getExtensionKey = (type, source) => {
+    if (type === TYPE_URL) {
+        return source;
+    }
+    if (type === TYPE_TEXT) {
+        // Pasted code has no name of its own, so the same code is the same extension
+        return `text:${hashExtensionCode(source)}`;
+    }
+    return `${type}:${source}`;
+};
+
+/**
+ * @param {string} url Extension URL
+ * @returns {string} Something short to show when the extension doesn't have a name
+ */
+const getNameFromURL = url => {
+    try {
+        const parsed = new URL(url);
+        const file = parsed.pathname.split('/').pop();
+        return file ? decodeURIComponent(file) : parsed.host;
+    } catch (e) {
+        return url;
+    }
+};
+
+/**
+ * Converts a possibly unknown or corrupted object to a known-good installed extension object.
+ * @param {unknown} obj Unknown object
+ * @param {string} key Extension key
+ * @returns {InstalledExtension} Installed extension
+ */
+const parseInstalledExtension = (obj, key) => {
+    if (!obj || typeof obj !== 'object') {
+        obj = {};
+    }
+    const stringOrNull = value => (typeof value === 'string' ? value : null);
+    return {
+        key,
+        type: TYPES.includes(obj.type) ? obj.type : TYPE_URL,
+        url: stringOrNull(obj.url),
+        name: typeof obj.name === 'string' ? obj.name : key,
+        version: stringOrNull(obj.version),
+        hash: stringOrNull(obj.hash),
+        code: stringOrNull(obj.code),
+        pinned: obj.pinned === true && typeof obj.code === 'string',
+        unsandboxed: obj.unsandboxed === true,
+        installed: typeof obj.installed === 'number' ? obj.installed : 0,
+        updated: typeof obj.updated === 'number' ? obj.updated : 0
+    };
+};
+
+/**
+ * @param {object} options Where the extension came from
+ * @param {'url'|'file'|'text'} options.type Where the extension was loaded from
+ * @param {string|null} options.url URL, for URL extensions
+ * @param {string|null} options.fileName File name, for file extensions
+ * @param {string|null} options.code The code, or null if it could not be downloaded
+ * @param {boolean} options.unsandboxed Whether the user chose to run it without the sandbox
+ * @param {InstalledExtension|null} existing The extension's existing entry, if any
+ * @returns {InstalledExtension} New entry for the extension
+ */
+const createInstalledExtension = ({type, url, fileName, code, unsandboxed}, existing) => {
+    const source = type === TYPE_URL ? url : type === TYPE_FILE ? fileName : code;
+    const key = getExtensionKey(type, source);
+    const manifest = code === null ? {name: null, version: null} : parseExtensionManifest(code);
+    const now = Math.round(Date.now() / 1000);
+    return parseInstalledExtension({
+        type,
+        url: type === TYPE_URL ? url : null,
+        name: manifest.name || (type === TYPE_URL ? getNameFromURL(url) : fileName) || key,
+        version: manifest.version,
+        hash: code === null ? null : hashExtensionCode(code),
+        code,
+        pinned: !!(existing && existing.pinned),
+        unsandboxed,
+        installed: existing ? existing.installed : now,
+        updated: now
+    }, key);
+};
+
+/**
+ * @param {InstalledExtension} extension Installed extension
+ * @returns {string} URL to give to the VM to load the extension
+ */
+const getExtensionLoadURL = extension => {
+    if (extension.type === TYPE_URL && !extension.pinned) {
+        return extension.url;
+    }
+    return codeToDataURL(extension.code);
+};
+
+/**
+ * @param {string} url Extension URL
+ * @returns {Promise<string|null>} The code at the URL, or null if it can't be downloaded, such as because
+ * the server doesn't allow cross-origin requests. The VM can still load those.
+ */
+const fetchExtensionCode = async url => {
+    try {
+        const res = await fetch(url, {
+            cache: 'no-cache'
+        });
+        if (!res.ok) {
+            return null;
+        }
+        return await res.text();
+    } catch (e) {
+        return null;
+    }
+};
+
+/** @type {Set<Function>} */
+const listeners = new Set();
+
+const notifyListeners = () => {
+    for (const listener of listeners) {
+        listener();
+    }
+};
+
+/**
+ * @param {Function} listener Called whenever the list of installed extensions changes
+ * @returns {Function} Call to unsubscribe
+ */
+const subscribeToInstalledExtensions = listener => {
+    listeners.add(listener);
+    return () => {
+        listeners.delete(listener);
+    };
+};
+
+/** @type {IDBDatabase|null} */
+let _cachedDB = null;
+
+/**
+ * @returns {Promise<IDBDatabase|null>} IDB database, or null if IDB is not supported
+ */
+const openDB = () => {
+    if (_cachedDB) {
+        return Promise.resolve(_cachedDB);
+    }
+
+    if (typeof indexedDB === 'undefined') {
+        return Promise.resolve(null);
+    }
+
+    return new Promise((resolve, reject) => {
+        const request = indexedDB.open(DATABASE_NAME, DATABASE_VERSION);
+
+        request.onupgradeneeded = () => {
+            const db = request.result;
+            db.createObjectStore(STORE_NAME);
+        };
+
+        request.onsuccess = () => {
+            _cachedDB = request.result;
+            resolve(request.result);
+        };
+
+        request.onerror = () => {
+            reject(new Error(`Could not open database: ${request.error}`));
+        };
+    });
+};
+
+/**
+ * @param {string} key Extension key
+ * @returns {Promise<InstalledExtension|null>} Resolves with the extension, or null if it's not installed
+ */
+const getInstalledExtension = key => openDB().then(db => new Promise((resolve, reject) => {
+    if (!db) {
+        resolve(null);
+        return;
+    }
+
+    const transaction = db.transaction([STORE_NAME], 'readonly');
+    transaction.onerror = event => {
+        reject(new Error(`Getting installed extension: ${event.target.error}`));
+    };
+
+    const store = transaction.objectStore(STORE_NAME);
+    const request = store.get(key);
+    request.onsuccess = () => {
+        resolve(request.result ? parseInstalledExtension(request.result, key) : null);
+    };
+}));
+
+/**
+ * @returns {Promise<InstalledExtension[]>} Resolves with every installed extension, most recently updated first.
+ */
+const getInstalledExtensions = () => openDB().then(db => new Promise((resolve, reject) => {
+    if (!db) {
+        resolve([]);
+        return;
+    }
+
+    const transaction = db.transaction([STORE_NAME], 'readonly');
+    transaction.onerror = event => {
+        reject(new Error(`Getting installed extensions: ${event.target.error}`));
+    };
+
+    const result = [];
+    const store = transaction.objectStore(STORE_NAME);
+    const request = store.openCursor();
+    request.onsuccess = () => {
+        const cursor = request.result;
+        if (cursor) {
+            result.push(parseInstalledExtension(cursor.value, cursor.key));
+            cursor.continue();
+        } else {
+            result.sort((a, b) => b.updated - a.updated);
+            resolve(result);
+        }
+    };
+}));
+
+/**
+ * @param {string} key Extension key
+ * @param {Function} update Receives the existing entry, or null if the extension is not installed.
+ * Returns the new entry, or null to remove it.
+ * @returns {Promise<void>} Resolves when the change has been saved
+ */
+const updateInstalledExtension = (key, update) => openDB().then(db => new Promise((resolve, reject) => {
+    if (!db) {
+        resolve();
+        return;
+    }
+
+    const transaction = db.transaction([STORE_NAME], 'readwrite');
+    transaction.onerror = event => {
+        reject(new Error(`Updating installed extension: ${event.target.error}`));
+    };
+    transaction.oncomplete = () => {
+        notifyListeners();
+        resolve();
+    };
+
+    const store = transaction.objectStore(STORE_NAME);
+    const getRequest = store.get(key);
+    getRequest.onsuccess = () => {
+        const existing = getRequest.result ? parseInstalledExtension(getRequest.result, key) : null;
+        const updated = update(existing);
+        if (updated) {
+            store.put(updated, key);
+        } else {
+            store.delete(key);
+        }
+    };
+}));
+
+/**
+ * @typedef InstalledExtensionCheck
+ * @property {InstalledExtension} installed The installed entry
+ * @property {string|null} code The code to run. For pinned extensions, this is the saved code. Otherwise it's
+ * the code at the URL now, or null if it can't be downloaded.
+ * @property {boolean} changed True if code is different from the code that was installed
+ */
+
+/**
+ * @param {string} url Extension URL
+ * @returns {Promise<InstalledExtensionCheck|null>} Resolves with null if the URL is not an installed extension.
+ */
+const checkInstalledExtension = async url => {
+    const installed = await getInstalledExtension(url);
+    if (!installed || installed.type !== TYPE_URL) {
+        return null;
+    }
+    if (installed.pinned) {
+        // Pinned extensions only ever run the saved code, so there's no need to download it again
+        return {
+            installed,
+            code: installed.code,
+            changed: false
+        };
+    }
+    const code = await fetchExtensionCode(url);
+    return {
+        installed,
+        code,
+        changed: code !== null && installed.hash !== null && hashExtensionCode(code) !== installed.hash
+    };
+};
+
+/**
+ * Remember an extension that was just loaded. If it was already installed, it is updated to the new code
+ * unless it is pinned.
+ * @param {object} options See createInstalledExtension()
+ * @returns {Promise<void>} Resolves when the extension has been saved
+ */
+const installExtension = options => {
+    const key = createInstalledExtension(options, null).key;
+    return updateInstalledExtension(key, existing => {
+        if (existing && existing.pinned) {
+            return existing;
+        }
+        return createInstalledExtension(options, existing);
+    });
+};
+
+/**
+ * @param {string} key Extension key
+ * @param {boolean} pinned True to always load the saved code
+ * @returns {Promise<void>} Resolves when the change has been saved
+ */
+const setExtensionPinned = (key, pinned) => updateInstalledExtension(key, existing => {
+    if (!existing) {
+        return null;
+    }
+    return parseInstalledExtension({
+        ...existing,
+        pinned
+    }, key);
+});
+
+/**
+ * @param {string} key Extension key
+ * @returns {Promise<void>} Resolves when the extension has been removed
+ */
+const uninstallExtension = key => updateInstalledExtension(key, () => null);
+
+export {
+    TYPE_URL,
+    TYPE_FILE,
+    TYPE_TEXT,
+    checkInstalledExtension,
+    codeToDataURL,
+    createInstalledExtension,
+    fetchExtensionCode,
+    getExtensionKey,
+    getExtensionLoadURL,
+    getInstalledExtension,
+    getInstalledExtensions,
+    hashExtensionCode,
+    installExtension,
+    parseExtensionManifest,
+    setExtensionPinned,
+    subscribeToInstalledExtensions,
+    uninstallExtension
+};
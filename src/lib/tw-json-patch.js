@@ -0,0 +1,108 @@
+/**
+ * @fileoverview
+ * Minimal structural diff for JSON-compatible values. Used to store restore points as small deltas against
+ * the previous restore point instead of as full copies of project.json.
+ *
+ * A patch is one of:
+ *  - {s: value} - replace the value entirely
+ *  - {d: 1} - delete the key from the parent object
+ *  - {o: {[key]: patch}} - patch some keys of an object
+ *  - {a: {[index]: patch}, l: number} - patch some indices of an array, then set its length
+ */
+
+const isObject = value => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+/**
+ * @param {unknown} oldValue JSON-compatible value
+ * @param {unknown} newValue JSON-compatible value
+ * @returns {object|null} Patch that turns oldValue into newValue, or null if they are identical.
+ */
+const createPatch = (oldValue, newValue) => {
+    if (isObject(oldValue) && isObject(newValue)) {
+        const changes = {};
+        let changed = false;
+        for (const key of Object.keys(oldValue)) {
+            if (!Object.prototype.hasOwnProperty.call(newValue, key)) {
+                changes[key] = {d: 1};
+                changed = true;
+            }
+        }
+        for (const key of Object.keys(newValue)) {
+            const patch = Object.prototype.hasOwnProperty.call(oldValue, key) ?
+                createPatch(oldValue[key], newValue[key]) :
+                {s: newValue[key]};
+            if (patch) {
+                changes[key] = patch;
+                changed = true;
+            }
+        }
+        return changed ? {o: changes} : null;
+    }
+
+    if (Array.isArray(oldValue) && Array.isArray(newValue)) {
+        const changes = {};
+        let changed = oldValue.length !== newValue.length;
+        for (let i = 0; i < newValue.length; i++) {
+            const patch = i < oldValue.length ? createPatch(oldValue[i], newValue[i]) : {s: newValue[i]};
+            if (patch) {
+                changes[i] = patch;
+                changed = true;
+            }
+        }
+        return changed ? {a: changes, l: newValue.length} : null;
+    }
+
+    // Primitives or mismatched types
+    if (oldValue === newValue) {
+        return null;
+    }
+    return {s: newValue};
+};
+
+/**
+ * @param {unknown} value JSON-compatible value. Will not be modified.
+ * @param {object|null} patch Patch from createPatch()
+ * @returns {unknown} New value with the patch applied.
+ */
+const applyPatch = (value, patch) => {
+    if (!patch) {
+        return value;
+    }
+
+    if (Object.prototype.hasOwnProperty.call(patch, 's')) {
+        return patch.s;
+    }
+
+    if (patch.o) {
+        if (!isObject(value)) {
+            throw new Error('Object patch applied to non-object');
+        }
+        const result = Object.assign({}, value);
+        for (const [key, childPatch] of Object.entries(patch.o)) {
+            if (childPatch.d) {
+                delete result[key];
+            } else {
+                result[key] = applyPatch(result[key], childPatch);
+            }
+        }
+        return result;
+    }
+
+    if (patch.a) {
+        if (!Array.isArray(value)) {
+            throw new Error('Array patch applied to non-array');
+        }
+        const result = value.slice(0, patch.l);
+        for (const [index, childPatch] of Object.entries(patch.a)) {
+            result[+index] = applyPatch(result[+index], childPatch);
+        }
+        return result;
+    }
+
+    throw new Error('Unknown patch');
+};
+
+export {
+    createPatch,
+    applyPatch
+};
@@ -0,0 +1,276 @@
+/**
+ * @fileoverview
+ * Reading, writing, sorting, and searching the contents of lists for list monitors.
+ */
+
+import Papa from 'papaparse';
+import Cast from 'scratch-vm/src/util/cast';
+
+const FORMAT_TXT = 'txt';
+const FORMAT_CSV = 'csv';
+const FORMAT_TSV = 'tsv';
+const FORMAT_JSON = 'json';
+
+const CONTENT_TYPES = {
+    [FORMAT_TXT]: 'text/plain',
+    [FORMAT_CSV]: 'text/csv',
+    [FORMAT_TSV]: 'text/tab-separated-values',
+    [FORMAT_JSON]: 'application/json'
+};
+
+// Items longer than this are cut off in list monitors. Rendering very long items is slow and only the start
+// is visible anyway.
+const MAX_DISPLAYED_LENGTH = 1000;
+
+/**
+ * @param {string} fileName Name of the file, including extension
+ * @returns {string} One of the FORMAT_ constants. Unknown extensions are treated as CSV, which also
+ * detects other delimiters.
+ */
+const getFormatFromFileName = fileName => {
+    const extension = fileName.split('.').pop()
+        .toLowerCase();
+    if (extension === FORMAT_JSON || extension === FORMAT_TSV || extension === FORMAT_TXT) {
+        return extension;
+    }
+    return FORMAT_CSV;
+};
+
+/**
+ * @param {string} text Text
+ * @returns {string[]} Each line of the text. A newline at the very end does not create an empty item.
+ */
+const splitLines = text => {
+    const lines = text.replace(/\r\n?/g, '\n').split('\n');
+    if (lines.length > 1 && lines[lines.length - 1] === '') {
+        lines.pop();
+    }
+    return lines;
+};
+
+/**
+ * @param {unknown} value Value from a JSON file
+ * @returns {string|number} Value that can be stored in a list
+ */
+const toListItem = value => {
+    if (typeof value === 'number' || typeof value === 'string') {
+        return value;
+    }
+    if (typeof value === 'boolean') {
+        return value.toString();
+    }
+    if (value === null || typeof value === 'undefined') {
+        return '';
+    }
+    return JSON.stringify(value);
+};
+
+/**
+ * @param {unknown} data Parsed JSON
+ * @returns {Array<Array<string|number>>} Rows
+ */
+const jsonToRows = data => {
+    if (!Array.isArray(data)) {
+        throw new Error('JSON file must contain an array');
+    }
+    if (data.length > 0 && data.every(Array.isArray)) {
+        return data.map(row => row.map(toListItem));
+    }
+    if (data.length > 0 && data.every(item => item && typeof item === 'object' && !Array.isArray(item))) {
+        // Array of objects: each key becomes a column and the first row is the keys
+        const keys = [];
+        for (const item of data) {
+            for (const key of Object.keys(item)) {
+                if (!keys.includes(key)) {
+                    keys.push(key);
+                }
+            }
+        }
+        return [keys].concat(data.map(item => keys.map(key => toListItem(item[key]))));
+    }
+    return data.map(item => [toListItem(item)]);
+};
+
+/**
+ * @param {string} text Contents of the file
+ * @param {string} format One of the FORMAT_ constants
+ * @returns {Array<Array<string|number>>} Rows of the file. Each row may have a different length.
+ */
+const parseListFile = (text, format) => {
+    if (format === FORMAT_JSON) {
+        return jsonToRows(JSON.parse(text));
+    }
+    if (format === FORMAT_TXT) {
+        return splitLines(text).map(line => [line]);
+    }
+    const result = Papa.parse(text, {
+        header: false,
+        // Empty string means detect automatically
+        delimiter: format === FORMAT_TSV ? '\t' : '',
+        skipEmptyLines: false
+    });
+    const rows = result.data;
+    // A newline at the end of the file creates one empty row
+    if (rows.length > 1 && rows[rows.length - 1].length === 1 && rows[rows.length - 1][0] === '') {
+        rows.pop();
+    }
+    return rows;
+};
+
+/**
+ * @param {Array<Array<string|number>>} rows Rows from parseListFile()
+ * @returns {number} Number of columns in the widest row
+ */
+const getColumnCount = rows => rows.reduce((max, row) => Math.max(max, row.length), 0);
+
+/**
+ * @param {Array<Array<string|number>>} rows Rows from parseListFile()
+ * @param {number} column Index of the column, starting from 0
+ * @param {boolean} hasHeader True to skip the first row
+ * @returns {Array<string|number>} Every item in the column. Missing items in short rows become empty.
+ */
+const getColumn = (rows, column, hasHeader) => {
+    const result = [];
+    for (let i = hasHeader ? 1 : 0; i < rows.length; i++) {
+        const item = rows[i][column];
+        result.push(typeof item === 'undefined' ? '' : item);
+    }
+    return result;
+};
+
+/**
+ * @param {string|number} value Item from a file
+ * @returns {boolean} True if the item is a number
+ */
+const isNumeric = value => `${value}`.trim() !== '' && !isNaN(Number(value));
+
+/**
+ * @param {Array<Array<string|number>>} rows Rows from parseListFile()
+ * @returns {boolean} True if the first row looks like it contains the names of each column, which is when it
+ * only contains text and the next row contains a number.
+ */
+const guessHasHeader = rows => (
+    rows.length > 1 &&
+    rows[0].every(item => `${item}`.trim() !== '' && !isNumeric(item)) &&
+    rows[1].some(isNumeric)
+);
+
+/**
+ * @param {Array<Array<string|number>>} rows Rows from parseListFile()
+ * @param {boolean} hasHeader True if the first row contains the names of each column
+ * @returns {string[]} A name for each column
+ */
+const getColumnNames = (rows, hasHeader) => {
+    const names = [];
+    const count = getColumnCount(rows);
+    for (let i = 0; i < count; i++) {
+        const header = hasHeader && rows.length > 0 ? `${rows[0][i] || ''}`.trim() : '';
+        names.push(header);
+    }
+    return names;
+};
+
+/**
+ * When importing every column of a file, the first column goes into the list that was imported into and the
+ * other columns go into lists named after their header, or after the first list if they have no header.
+ * @param {string[]} columnNames From getColumnNames()
+ * @param {string} listName Name of the list that was imported into
+ * @returns {string[]} Name of the list for each column. Never contains duplicates.
+ */
+const getListNamesForColumns = (columnNames, listName) => {
+    const names = [listName];
+    for (let i = 1; i < columnNames.length; i++) {
+        let name = columnNames[i] || `${listName} ${i + 1}`;
+        if (names.includes(name)) {
+            name = `${name} ${i + 1}`;
+        }
+        names.push(name);
+    }
+    return names;
+};
+
+/**
+ * @param {string} format One of the FORMAT_ constants
+ * @returns {string} MIME type for files in that format
+ */
+const getContentType = format => `${CONTENT_TYPES[format]};charset=utf-8`;
+
+/**
+ * @param {Array<string|number|boolean>} values Contents of a list
+ * @param {string} format One of the FORMAT_ constants
+ * @returns {string} Contents of a file containing the list
+ */
+const serializeList = (values, format) => {
+    if (format === FORMAT_JSON) {
+        return JSON.stringify(values);
+    }
+    if (format === FORMAT_CSV || format === FORMAT_TSV) {
+        return Papa.unparse(values.map(value => [value]), {
+            delimiter: format === FORMAT_TSV ? '\t' : ',',
+            newline: '\r\n'
+        });
+    }
+    return values.join('\r\n');
+};
+
+/**
+ * Sort a list the same way that Scratch's comparison blocks compare values: numbers by value, and anything
+ * else alphabetically ignoring case.
+ * @param {Array<string|number|boolean>} values Contents of a list. Not modified.
+ * @param {boolean} descending True to put the largest item first
+ * @returns {Array<string|number|boolean>} Sorted copy of the list
+ */
+const sortList = (values, descending) => {
+    const sorted = values.slice();
+    // Array.prototype.sort is stable, so equal items keep their order
+    sorted.sort(descending ? (a, b) => Cast.compare(b, a) : Cast.compare);
+    return sorted;
+};
+
+/**
+ * @param {Array<string|number|boolean>} values Contents of a list
+ * @param {string} query Text to search for. Case insensitive.
+ * @returns {number[]} Indexes of every item that contains the query
+ */
+const searchList = (values, query) => {
+    const lowerQuery = query.toLowerCase();
+    const result = [];
+    for (let i = 0; i < values.length; i++) {
+        if (`${values[i]}`.toLowerCase().includes(lowerQuery)) {
+            result.push(i);
+        }
+    }
+    return result;
+};
+
+/**
+ * @param {string|number|boolean} value List item
+ * @returns {string} Text to show in a list monitor
+ */
+const getDisplayedItem = value => {
+    const string = `${value}`;
+    if (string.length > MAX_DISPLAYED_LENGTH) {
+        return `${string.substring(0, MAX_DISPLAYED_LENGTH)}…`;
+    }
+    return string;
+};
+
+export {
+    FORMAT_TXT,
+    FORMAT_CSV,
+    FORMAT_TSV,
+    FORMAT_JSON,
+    getColumn,
+    getColumnCount,
+    getColumnNames,
+    getContentType,
+    getDisplayedItem,
+    getFormatFromFileName,
+    getListNamesForColumns,
+    guessHasHeader,
+    parseListFile,
+    searchList,
+    serializeList,
+    sortList,
+    splitLines
+};
@@ -3,15 +3,20 @@ import md5 from 'js-md5';
 import {soundThumbnail} from './backpack/sound-payload';
 import {arrayBufferToBase64, base64ToArrayBuffer} from './tw-base64-utils';
 import {requestPersistentStorage} from './tw-persistent-storage';
+import {createBackpackFile, parseTags, readBackpackFile} from './tw-backpack-file';
 
 // Special constants -- do not change without care.
 const DATABASE_NAME = 'TW_Backpack';
-const DATABASE_VERSION = 1;
+const DATABASE_VERSION = 2;
 const STORE_NAME = 'backpack';
+// Items are displayed with the highest order first. Before version 2, items were sorted by ID.
+const ORDER_INDEX = 'order';
 
 const idbItemToBackpackItem = item => {
     // convert id to string
     item.id = `${item.id}`;
+    item.folder = item.folder || '';
+    item.tags = parseTags(item.tags);
 
     if (item.type === 'sound') {
         // For sounds, use the local thumbnail instead of what was stored in the backpack.
@@ -70,10 +75,32 @@ const openDB = () => new Promise((resolve, reject) => {
 
     request.onupgradeneeded = event => {
         const db = event.target.result;
-        db.createObjectStore(STORE_NAME, {
-            keyPath: 'id',
-            autoIncrement: true
-        });
+        let store;
+        if (event.oldVersion < 1) {
+            store = db.createObjectStore(STORE_NAME, {
+                keyPath: 'id',
+                autoIncrement: true
+            });
+        } else {
+            store = event.target.transaction.objectStore(STORE_NAME);
+        }
+        if (event.oldVersion < 2) {
+            store.createIndex(ORDER_INDEX, 'order');
+            // Items without an order aren't in the index, so give existing items one that keeps them in the
+            // same order as before.
+            store.openCursor().onsuccess = e => {
+                const cursor = e.target.result;
+                if (cursor) {
+                    cursor.update({
+                        ...cursor.value,
+                        order: cursor.value.id,
+                        folder: '',
+                        tags: []
+                    });
+                    cursor.continue();
+                }
+            };
+        }
     };
 
     request.onsuccess = event => {
@@ -86,9 +113,30 @@ const openDB = () => new Promise((resolve, reject) => {
     };
 });
 
+/**
+ * @param {object} item Item from the database
+ * @param {string} [folder] If set, only items in this folder match
+ * @param {string} [query] If set, only items whose name, folder, or tags contain this text match. Searches every
+ * folder.
+ * @returns {boolean} True if the item should be listed
+ */
+const itemMatches = (item, folder, query) => {
+    if (query) {
+        const lowerQuery = query.toLowerCase();
+        return [item.name, item.folder || '', ...parseTags(item.tags)]
+            .some(text => text.toLowerCase().includes(lowerQuery));
+    }
+    if (typeof folder === 'string') {
+        return (item.folder || '') === folder;
+    }
+    return true;
+};
+
 const getBackpackContents = async ({
     limit,
-    offset
+    offset,
+    folder,
+    query
 }) => {
     const db = await openDB();
     return new Promise((resolve, reject) => {
@@ -98,33 +146,94 @@ const getBackpackContents = async ({
         };
         const store = transaction.objectStore(STORE_NAME);
         const items = [];
-        const request = store.openCursor(null, 'prev');
-        let first = true;
+        const request = store.index(ORDER_INDEX).openCursor(null, 'prev');
+        let skipped = 0;
         request.onsuccess = e => {
             const cursor = e.target.result;
-            if (first) {
-                first = false;
-                if (cursor && offset !== 0) {
-                    cursor.advance(offset);
-                    return;
+            if (!cursor || items.length >= limit) {
+                resolve(items);
+                return;
+            }
+            if (itemMatches(cursor.value, folder, query)) {
+                if (skipped < offset) {
+                    skipped++;
+                } else {
+                    items.push(idbItemToBackpackItem(cursor.value));
                 }
             }
-            if (cursor && items.length < limit) {
-                items.push(idbItemToBackpackItem(cursor.value));
+            cursor.continue();
+        };
+    });
+};
+
+/**
+ * @returns {Promise<string[]>} Sorted names of every folder that contains at least one item
+ */
+const getBackpackFolders = async () => {
+    const db = await openDB();
+    return new Promise((resolve, reject) => {
+        const transaction = db.transaction(STORE_NAME, 'readonly');
+        transaction.onerror = event => {
+            reject(new Error(`Getting folders: ${event.target.error}`));
+        };
+        const store = transaction.objectStore(STORE_NAME);
+        const folders = new Set();
+        const request = store.openCursor();
+        request.onsuccess = e => {
+            const cursor = e.target.result;
+            if (cursor) {
+                if (cursor.value.folder) {
+                    folders.add(cursor.value.folder);
+                }
                 cursor.continue();
             } else {
-                resolve(items);
+                resolve(Array.from(folders).sort((a, b) => a.localeCompare(b)));
             }
         };
     });
 };
 
+/**
+ * Add items to the start of the backpack.
+ * @param {IDBObjectStore} store Store from a readwrite transaction
+ * @param {object[]} idbItems Items without IDs. The first item will be displayed first.
+ * @param {function} callback Called with the items, which now have IDs, after they have all been stored
+ */
+const putNewItems = (store, idbItems, callback) => {
+    const orderRequest = store.index(ORDER_INDEX).openCursor(null, 'prev');
+    orderRequest.onsuccess = () => {
+        const cursor = orderRequest.result;
+        let order = cursor ? cursor.value.order + idbItems.length : idbItems.length - 1;
+        let remaining = idbItems.length;
+        const handleStored = () => {
+            remaining--;
+            if (remaining === 0) {
+                callback(idbItems);
+            }
+        };
+        if (remaining === 0) {
+            callback(idbItems);
+            return;
+        }
+        for (const idbItem of idbItems) {
+            idbItem.order = order--;
+            const putRequest = store.put(idbItem);
+            putRequest.onsuccess = () => {
+                idbItem.id = putRequest.result;
+                handleStored();
+            };
+        }
+    };
+};
+
 const saveBackpackObject = async ({
     type,
     mime,
     name,
     body,
-    thumbnail
+    thumbnail,
+    folder,
+    tags
 }) => {
     // User interaction -- fine to show a permission dialog
     requestPersistentStorage();
@@ -144,13 +253,13 @@ const saveBackpackObject = async ({
             name,
             bodyData,
             bodyMD5,
-            thumbnailData: base64ToArrayBuffer(thumbnail)
+            thumbnailData: base64ToArrayBuffer(thumbnail),
+            folder: folder || '',
+            tags: parseTags(tags)
         };
-        const putRequest = store.put(idbItem);
-        putRequest.onsuccess = () => {
-            idbItem.id = putRequest.result;
+        putNewItems(store, [idbItem], () => {
             resolve(idbItemToBackpackItem(idbItem));
-        };
+        });
     });
 };
 
@@ -173,9 +282,22 @@ const deleteBackpackObject = async ({
     });
 };
 
+/**
+ * Change some properties of an item. Properties that aren't specified are not changed.
+ * @param {object} options Options
+ * @param {string} options.id ID of the item
+ * @param {string} [options.name] New name
+ * @param {string} [options.folder] New folder, or empty string to remove the item from its folder
+ * @param {string[]} [options.tags] New tags
+ * @param {number} [options.order] New position. Items with higher order are displayed first.
+ * @returns {Promise<object>} The updated item
+ */
 const updateBackpackObject = async ({
     id,
-    name
+    name,
+    folder,
+    tags,
+    order
 }) => {
     id = +id;
     const db = await openDB();
@@ -188,9 +310,20 @@ const updateBackpackObject = async ({
         const getRequest = store.get(id);
         getRequest.onsuccess = () => {
             const newItem = {
-                ...getRequest.result,
-                name: name
+                ...getRequest.result
             };
+            if (typeof name === 'string') {
+                newItem.name = name;
+            }
+            if (typeof folder === 'string') {
+                newItem.folder = folder;
+            }
+            if (Array.isArray(tags)) {
+                newItem.tags = parseTags(tags);
+            }
+            if (typeof order === 'number') {
+                newItem.order = order;
+            }
             const putRequest = store.put(newItem);
             putRequest.onsuccess = () => {
                 resolve(idbItemToBackpackItem(newItem));
@@ -199,9 +332,74 @@ const updateBackpackObject = async ({
     });
 };
 
+/**
+ * @param {object} options Options
+ * @param {string[]} [options.ids] IDs of the items to export. If not specified, exports everything.
+ * @returns {Promise<Blob>} Backpack file containing the items in the order they are displayed
+ */
+const exportBackpack = async ({
+    ids
+}) => {
+    const db = await openDB();
+    const idbItems = await new Promise((resolve, reject) => {
+        const transaction = db.transaction(STORE_NAME, 'readonly');
+        transaction.onerror = event => {
+            reject(new Error(`Exporting: ${event.target.error}`));
+        };
+        const store = transaction.objectStore(STORE_NAME);
+        const items = [];
+        const request = store.index(ORDER_INDEX).openCursor(null, 'prev');
+        request.onsuccess = e => {
+            const cursor = e.target.result;
+            if (cursor) {
+                if (!ids || ids.includes(`${cursor.value.id}`)) {
+                    items.push(cursor.value);
+                }
+                cursor.continue();
+            } else {
+                resolve(items);
+            }
+        };
+    });
+    const data = await createBackpackFile(idbItems);
+    return new Blob([data], {
+        type: 'application/zip'
+    });
+};
+
+/**
+ * @param {object} options Options
+ * @param {ArrayBuffer} options.data Backpack file
+ * @returns {Promise<object[]>} The new items
+ */
+const importBackpack = async ({
+    data
+}) => {
+    const fileItems = await readBackpackFile(data);
+    requestPersistentStorage();
+    const db = await openDB();
+    return new Promise((resolve, reject) => {
+        const transaction = db.transaction(STORE_NAME, 'readwrite');
+        transaction.onerror = event => {
+            reject(new Error(`Importing: ${event.target.error}`));
+        };
+        const store = transaction.objectStore(STORE_NAME);
+        const idbItems = fileItems.map(item => ({
+            ...item,
+            bodyMD5: md5(item.bodyData)
+        }));
+        putNewItems(store, idbItems, () => {
+            resolve(idbItems.map(idbItemToBackpackItem));
+        });
+    });
+};
+
 export default {
     getBackpackContents,
+    getBackpackFolders,
     saveBackpackObject,
     deleteBackpackObject,
-    updateBackpackObject
+    updateBackpackObject,
+    exportBackpack,
+    importBackpack
 };
@@ -0,0 +1,243 @@
+/**
+ * @fileoverview
+ * Puts Opus packets, such as those from WebCodecs' AudioEncoder, into an Ogg file.
+ * See RFC 3533 (Ogg) and RFC 7845 (Opus in Ogg).
+ */
+
+// Opus always decodes at 48kHz, so granule positions are in 48kHz samples regardless of the input.
+const OPUS_SAMPLE_RATE = 48000;
+
+// What libopus usually reports as its lookahead, used when the encoder doesn't tell us.
+const DEFAULT_PRE_SKIP = 312;
+
+const HEADER_TYPE_BOS = 0x02;
+const HEADER_TYPE_EOS = 0x04;
+
+const MAX_SEGMENTS_PER_PAGE = 255;
+// Pages can be up to about 64KiB, but smaller pages make seeking more precise
+const TARGET_PAGE_SIZE = 4096;
+
+const VENDOR = 'TurboWarp';
+
+/**
+ * @param {string} string ASCII string
+ * @returns {Uint8Array} Bytes of the string
+ */
+const asciiBytes = string => {
+    const bytes = new Uint8Array(string.length);
+    for (let i = 0; i < string.length; i++) {
+        bytes[i] = string.charCodeAt(i);
+    }
+    return bytes;
+};
+
+let crcTable = null;
+const getCrcTable = () => {
+    if (!crcTable) {
+        crcTable = new Uint32Array(256);
+        for (let i = 0; i < 256; i++) {
+            let r = i << 24;
+            for (let j = 0; j < 8; j++) {
+                r = (r & 0x80000000) ? ((r << 1) ^ 0x04c11db7) : (r << 1);
+            }
+            crcTable[i] = r >>> 0;
+        }
+    }
+    return crcTable;
+};
+
+/**
+ * The checksum used by Ogg pages. Not the same as the CRC-32 used by zip.
+ * @param {Uint8Array} bytes Data
+ * @returns {number} Unsigned 32-bit checksum
+ */
+const oggCrc32 = bytes => {
+    const table = getCrcTable();
+    let crc = 0;
+    for (let i = 0; i < bytes.length; i++) {
+        crc = ((crc << 8) ^ table[((crc >>> 24) ^ bytes[i]) & 0xff]) >>> 0;
+    }
+    return crc;
+};
+
+/**
+ * @param {number} channels Number of channels, 1 or 2
+ * @param {number} preSkip Number of samples at 48kHz to discard from the start
+ * @param {number} inputSampleRate Sample rate of the original sound. Informational only.
+ * @returns {Uint8Array} Identification header
+ */
+const createOpusHead = (channels, preSkip, inputSampleRate) => {
+    const data = new Uint8Array(19);
+    const view = new DataView(data.buffer);
+    data.set(asciiBytes('OpusHead'), 0);
+    view.setUint8(8, 1); // version
+    view.setUint8(9, channels);
+    view.setUint16(10, preSkip, true);
+    view.setUint32(12, inputSampleRate, true);
+    view.setInt16(16, 0, true); // output gain
+    view.setUint8(18, 0); // channel mapping family: mono or stereo
+    return data;
+};
+
+/**
+ * @returns {Uint8Array} Comment header with no comments
+ */
+const createOpusTags = () => {
+    const vendor = asciiBytes(VENDOR);
+    const data = new Uint8Array(8 + 4 + vendor.length + 4);
+    const view = new DataView(data.buffer);
+    data.set(asciiBytes('OpusTags'), 0);
+    view.setUint32(8, vendor.length, true);
+    data.set(vendor, 12);
+    view.setUint32(12 + vendor.length, 0, true);
+    return data;
+};
+
+/**
+ * @param {ArrayBuffer|ArrayBufferView|undefined} description decoderConfig.description from the encoder, if any
+ * @returns {number} The encoder's pre-skip
+ */
+const getPreSkip = description => {
+    if (description && description.byteLength >= 12) {
+        const bytes = ArrayBuffer.isView(description) ?
+            new Uint8Array(description.buffer, description.byteOffset, description.byteLength) :
+            new Uint8Array(description);
+        if (String.fromCharCode(...bytes.subarray(0, 8)) === 'OpusHead') {
+            return bytes[10] | (bytes[11] << 8);
+        }
+    }
+    return DEFAULT_PRE_SKIP;
+};
+
+/**
+ * @param {number} length Length of a packet
+ * @returns {number[]} Lacing values for the segment table
+ */
+const getLacingValues = length => {
+    const values = [];
+    let remaining = length;
+    while (remaining >= 255) {
+        values.push(255);
+        remaining -= 255;
+    }
+    // A packet that is a multiple of 255 long ends with a 0
+    values.push(remaining);
+    return values;
+};
+
+/**
+ * @param {object} options Page contents
+ * @param {number} options.headerType Flags
+ * @param {number} options.granulePosition Granule position
+ * @param {number} options.serial Stream serial number
+ * @param {number} options.sequence Page sequence number
+ * @param {Uint8Array[]} options.packets Complete packets on the page
+ * @returns {Uint8Array} The page
+ */
+const createPage = ({headerType, granulePosition, serial, sequence, packets}) => {
+    const segments = [];
+    let bodyLength = 0;
+    for (const packet of packets) {
+        segments.push(...getLacingValues(packet.length));
+        bodyLength += packet.length;
+    }
+    const headerLength = 27 + segments.length;
+    const page = new Uint8Array(headerLength + bodyLength);
+    const view = new DataView(page.buffer);
+    page.set(asciiBytes('OggS'), 0);
+    view.setUint8(4, 0); // version
+    view.setUint8(5, headerType);
+    // 64-bit granule position. Sounds are never long enough to need more than 53 bits.
+    view.setUint32(6, granulePosition % 0x100000000, true);
+    view.setUint32(10, Math.floor(granulePosition / 0x100000000), true);
+    view.setUint32(14, serial, true);
+    view.setUint32(18, sequence, true);
+    // Checksum at 22 is filled in last
+    view.setUint8(26, segments.length);
+    page.set(segments, 27);
+    let offset = headerLength;
+    for (const packet of packets) {
+        page.set(packet, offset);
+        offset += packet.length;
+    }
+    view.setUint32(22, oggCrc32(page), true);
+    return page;
+};
+
+/**
+ * @typedef OpusPacket
+ * @property {Uint8Array} data Encoded packet
+ * @property {number} duration Number of samples at 48kHz in the packet
+ */
+
+/**
+ * @param {OpusPacket[]} packets Encoded audio, in order
+ * @param {object} options Stream information
+ * @param {number} options.channels Number of channels, 1 or 2
+ * @param {number} options.preSkip From getPreSkip()
+ * @param {number} options.inputSampleRate Sample rate of the original sound
+ * @param {number} options.sampleCount Number of samples at 48kHz in the original sound, used to remove
+ * padding that the encoder added to the end
+ * @param {number} [options.serial] Stream serial number. Random if not given.
+ * @returns {Uint8Array} .ogg file
+ */
+const createOggOpusFile = (packets, options) => {
+    const serial = typeof options.serial === 'number' ?
+        options.serial :
+        Math.floor(Math.random() * 0x100000000);
+    const finalGranulePosition = options.preSkip + options.sampleCount;
+    const pages = [];
+    let sequence = 0;
+    const addPage = (headerType, granulePosition, pagePackets) => {
+        pages.push(createPage({
+            headerType,
+            granulePosition: Math.min(granulePosition, finalGranulePosition),
+            serial,
+            sequence: sequence++,
+            packets: pagePackets
+        }));
+    };
+
+    // The headers must each be on their own page
+    addPage(HEADER_TYPE_BOS, 0, [createOpusHead(options.channels, options.preSkip, options.inputSampleRate)]);
+    addPage(0, 0, [createOpusTags()]);
+
+    let granulePosition = 0;
+    let pagePackets = [];
+    let pageSegments = 0;
+    let pageSize = 0;
+    for (const packet of packets) {
+        const segments = getLacingValues(packet.data.length).length;
+        if (pagePackets.length > 0 && (
+            pageSegments + segments > MAX_SEGMENTS_PER_PAGE ||
+            pageSize + packet.data.length > TARGET_PAGE_SIZE
+        )) {
+            addPage(0, granulePosition, pagePackets);
+            pagePackets = [];
+            pageSegments = 0;
+            pageSize = 0;
+        }
+        pagePackets.push(packet.data);
+        pageSegments += segments;
+        pageSize += packet.data.length;
+        granulePosition += packet.duration;
+    }
+    addPage(HEADER_TYPE_EOS, granulePosition, pagePackets);
+
+    const result = new Uint8Array(pages.reduce((total, page) => total + page.length, 0));
+    let offset = 0;
+    for (const page of pages) {
+        result.set(page, offset);
+        offset += page.length;
+    }
+    return result;
+};
+
+export {
+    OPUS_SAMPLE_RATE,
+    HEADER_TYPE_BOS,
+    HEADER_TYPE_EOS,
+    createOggOpusFile,
+    getPreSkip,
+    oggCrc32
+};
@@ -0,0 +1,234 @@
+/**
+ * @fileoverview
+ * Summarizes what changed between two versions of a project.json, sprite by sprite and script by script.
+ */
+
+/**
+ * @typedef ItemChanges
+ * @property {string[]} added
+ * @property {string[]} removed
+ * @property {string[]} modified
+ */
+
+/**
+ * @typedef TargetChanges
+ * @property {string} name
+ * @property {boolean} isStage
+ * @property {'added'|'removed'|'modified'} status
+ * @property {ItemChanges} scripts
+ * @property {ItemChanges} costumes
+ * @property {ItemChanges} sounds
+ * @property {ItemChanges} variables
+ * @property {ItemChanges} lists
+ */
+
+/**
+ * @typedef ProjectChanges
+ * @property {TargetChanges[]} targets Only includes targets that changed.
+ * @property {{added: string[], removed: string[]}} extensions Extension IDs that were added or removed.
+ */
+
+const emptyChanges = () => ({
+    added: [],
+    removed: [],
+    modified: []
+});
+
+/**
+ * @param {Record<string, unknown>} oldItems Items keyed by a stable identifier
+ * @param {Record<string, unknown>} newItems Items keyed by a stable identifier
+ * @returns {ItemChanges} Keys that were added, removed, or have different values.
+ */
+const compareKeyed = (oldItems, newItems) => {
+    const result = emptyChanges();
+    for (const key of Object.keys(oldItems)) {
+        if (!Object.prototype.hasOwnProperty.call(newItems, key)) {
+            result.removed.push(key);
+        }
+    }
+    for (const key of Object.keys(newItems)) {
+        if (!Object.prototype.hasOwnProperty.call(oldItems, key)) {
+            result.added.push(key);
+        } else if (JSON.stringify(oldItems[key]) !== JSON.stringify(newItems[key])) {
+            result.modified.push(key);
+        }
+    }
+    return result;
+};
+
+const hasChanges = changes => changes.added.length + changes.removed.length + changes.modified.length > 0;
+
+/**
+ * @param {object} block Serialized block
+ * @param {Record<string, object>} blocks All blocks in the target
+ * @returns {string} Human readable name for a script, based on its top block.
+ */
+const getScriptLabel = (block, blocks) => {
+    if (Array.isArray(block)) {
+        // Top-level reporters like variables are stored in compressed array form.
+        return `${block[1]}`;
+    }
+    if (block.opcode === 'procedures_definition' && block.inputs && block.inputs.custom_block) {
+        const prototype = blocks[block.inputs.custom_block[1]];
+        if (prototype && prototype.mutation) {
+            return `define ${prototype.mutation.proccode}`;
+        }
+    }
+    return block.opcode;
+};
+
+/**
+ * Groups all blocks in a target into scripts identified by their top-level block ID.
+ * @param {Record<string, object>} blocks Serialized blocks from project.json
+ * @returns {Record<string, {label: string, blocks: Record<string, object>}>} Scripts keyed by top block ID
+ */
+const getScripts = blocks => {
+    const topOf = {};
+    const findTop = id => {
+        if (Object.prototype.hasOwnProperty.call(topOf, id)) {
+            return topOf[id];
+        }
+        // Mark as visited first so that corrupt cyclic projects can't make us recurse forever.
+        topOf[id] = id;
+        const block = blocks[id];
+        if (block && !Array.isArray(block) && block.parent && blocks[block.parent]) {
+            topOf[id] = findTop(block.parent);
+        }
+        return topOf[id];
+    };
+
+    const scripts = {};
+    for (const id of Object.keys(blocks)) {
+        const topId = findTop(id);
+        if (!scripts[topId]) {
+            scripts[topId] = {
+                label: blocks[topId] ? getScriptLabel(blocks[topId], blocks) : topId,
+                blocks: {}
+            };
+        }
+        const block = blocks[id];
+        // Moving a script around the workspace is not an interesting change.
+        if (id === topId && !Array.isArray(block)) {
+            const {x, y, ...rest} = block; // eslint-disable-line no-unused-vars
+            scripts[topId].blocks[id] = rest;
+        } else {
+            scripts[topId].blocks[id] = block;
+        }
+    }
+    return scripts;
+};
+
+/**
+ * @param {Array<{name: string}>} items Costumes or sounds
+ * @returns {Record<string, object>} Items keyed by name
+ */
+const byName = items => {
+    const result = {};
+    for (const item of items || []) {
+        result[item.name] = item;
+    }
+    return result;
+};
+
+/**
+ * @param {Record<string, Array>} variables Variables or lists keyed by ID
+ * @returns {Record<string, Array>} Variables keyed by name
+ */
+const variablesByName = variables => {
+    const result = {};
+    for (const variable of Object.values(variables || {})) {
+        result[variable[0]] = variable;
+    }
+    return result;
+};
+
+/**
+ * @param {object|null} oldTarget Serialized target or null if it didn't exist
+ * @param {object|null} newTarget Serialized target or null if it doesn't exist anymore
+ * @returns {TargetChanges|null} Changes, or null if nothing changed.
+ */
+const diffTarget = (oldTarget, newTarget) => {
+    const target = newTarget || oldTarget;
+    const empty = {blocks: {}, costumes: [], sounds: [], variables: {}, lists: {}};
+    const oldData = oldTarget || empty;
+    const newData = newTarget || empty;
+
+    const oldScripts = getScripts(oldData.blocks || {});
+    const newScripts = getScripts(newData.blocks || {});
+    const scriptChanges = compareKeyed(
+        Object.fromEntries(Object.entries(oldScripts).map(([id, script]) => [id, script.blocks])),
+        Object.fromEntries(Object.entries(newScripts).map(([id, script]) => [id, script.blocks]))
+    );
+    const labelOf = id => (newScripts[id] || oldScripts[id]).label;
+
+    let status = 'modified';
+    if (!oldTarget) {
+        status = 'added';
+    } else if (!newTarget) {
+        status = 'removed';
+    }
+
+    const changes = {
+        name: target.name,
+        isStage: !!target.isStage,
+        status,
+        scripts: {
+            added: scriptChanges.added.map(labelOf),
+            removed: scriptChanges.removed.map(labelOf),
+            modified: scriptChanges.modified.map(labelOf)
+        },
+        costumes: compareKeyed(byName(oldData.costumes), byName(newData.costumes)),
+        sounds: compareKeyed(byName(oldData.sounds), byName(newData.sounds)),
+        variables: compareKeyed(variablesByName(oldData.variables), variablesByName(newData.variables)),
+        lists: compareKeyed(variablesByName(oldData.lists), variablesByName(newData.lists))
+    };
+
+    if (changes.status !== 'modified') {
+        return changes;
+    }
+    if (
+        hasChanges(changes.scripts) ||
+        hasChanges(changes.costumes) ||
+        hasChanges(changes.sounds) ||
+        hasChanges(changes.variables) ||
+        hasChanges(changes.lists)
+    ) {
+        return changes;
+    }
+    return null;
+};
+
+/**
+ * @param {object} oldProject Parsed project.json
+ * @param {object} newProject Parsed project.json
+ * @returns {ProjectChanges} Summary of changes.
+ */
+const diffProjects = (oldProject, newProject) => {
+    // Targets don't have stable IDs in project.json, so names are the best we can do.
+    const oldTargets = byName(oldProject.targets);
+    const newTargets = byName(newProject.targets);
+    const names = new Set([...Object.keys(oldTargets), ...Object.keys(newTargets)]);
+
+    const targets = [];
+    for (const name of names) {
+        const changes = diffTarget(oldTargets[name] || null, newTargets[name] || null);
+        if (changes) {
+            targets.push(changes);
+        }
+    }
+
+    const oldExtensions = new Set(oldProject.extensions || []);
+    const newExtensions = new Set(newProject.extensions || []);
+
+    return {
+        targets,
+        extensions: {
+            added: [...newExtensions].filter(i => !oldExtensions.has(i)),
+            removed: [...oldExtensions].filter(i => !newExtensions.has(i))
+        }
+    };
+};
+
+export {
+    diffProjects
+};
@@ -0,0 +1,254 @@
+/**
+ * @fileoverview
+ * Project folders are unpacked sb3 files that work well with version control. They contain:
+ *  - project.json, pretty-printed with sorted keys, with each sprite replaced by the path to its file
+ *  - sprites/<name>.json for each sprite, in the same format
+ *  - assets/<md5ext> for each costume, sound, or other asset
+ * Loading a folder puts these back together into an sb3.
+ */
+
+import JSZip from '@turbowarp/jszip';
+
+const PROJECT_FILE = 'project.json';
+const SPRITES_DIRECTORY = 'sprites';
+const ASSETS_DIRECTORY = 'assets';
+
+// Windows refuses to create files with these names, even with an extension.
+const RESERVED_NAMES = /^(con|prn|aux|nul|com\d|lpt\d)$/i;
+
+/**
+ * @param {unknown} value Any JSON value
+ * @returns {unknown} Copy of the value with the keys of every object in sorted order
+ */
+const sortKeys = value => {
+    if (Array.isArray(value)) {
+        return value.map(sortKeys);
+    }
+    if (value && typeof value === 'object') {
+        const result = {};
+        for (const key of Object.keys(value).sort()) {
+            result[key] = sortKeys(value[key]);
+        }
+        return result;
+    }
+    return value;
+};
+
+/**
+ * @param {unknown} value Any JSON value
+ * @returns {string} Pretty-printed JSON that is the same every time for the same data
+ */
+const stringifyStable = value => `${JSON.stringify(sortKeys(value), null, 2)}\n`;
+
+/**
+ * @param {string} name Sprite name
+ * @returns {string} Name that can be used for a file on any operating system
+ */
+const getSafeFilename = name => {
+    const safe = `${name}`
+        // eslint-disable-next-line no-control-regex
+        .replace(/[\\/:*?"<>|\x00-\x1f]/g, '_')
+        .replace(/[. ]+$/, '')
+        .substring(0, 100);
+    if (!safe) {
+        return 'sprite';
+    }
+    if (RESERVED_NAMES.test(safe)) {
+        return `_${safe}`;
+    }
+    return safe;
+};
+
+/**
+ * @param {object} projectJSON Project JSON from the VM
+ * @returns {Record<string, string>} Maps paths such as "project.json" or "sprites/Sprite1.json" to their contents
+ */
+const splitProject = projectJSON => {
+    const files = {};
+    // Some file systems are case insensitive, so names must be unique ignoring case.
+    const usedNames = new Set();
+    const targets = projectJSON.targets.map(target => {
+        if (target.isStage) {
+            return target;
+        }
+        const base = getSafeFilename(target.name);
+        let name = base;
+        for (let i = 2; usedNames.has(name.toLowerCase()); i++) {
+            name = `${base} (${i})`;
+        }
+        usedNames.add(name.toLowerCase());
+        const path = `${SPRITES_DIRECTORY}/${name}.json`;
+        files[path] = stringifyStable(target);
+        return path;
+    });
+    files[PROJECT_FILE] = stringifyStable(Object.assign({}, projectJSON, {
+        targets
+    }));
+    return files;
+};
+
+/**
+ * @param {string} projectText Contents of project.json from a project folder
+ * @param {function(string): Promise<string>} readFile Reads a sprite file, given a path from project.json
+ * @returns {Promise<object>} Project JSON that the VM can load
+ */
+const joinProject = async (projectText, readFile) => {
+    const projectJSON = JSON.parse(projectText);
+    if (!projectJSON || !Array.isArray(projectJSON.targets)) {
+        throw new Error('project.json is not a project');
+    }
+    const targets = await Promise.all(projectJSON.targets.map(async target => {
+        if (typeof target !== 'string') {
+            return target;
+        }
+        const parts = target.split('/');
+        if (parts.length !== 2 || parts[0] !== SPRITES_DIRECTORY) {
+            throw new Error(`Invalid sprite path: ${target}`);
+        }
+        return JSON.parse(await readFile(target));
+    }));
+    return Object.assign({}, projectJSON, {
+        targets
+    });
+};
+
+/**
+ * @param {FileSystemDirectoryHandle} directory Directory handle
+ * @returns {Promise<string[]>} Names of the files in the directory
+ */
+const listFiles = async directory => {
+    const names = [];
+    const iterator = directory.entries();
+    let result = await iterator.next();
+    while (!result.done) {
+        const [name, handle] = result.value;
+        if (handle.kind === 'file') {
+            names.push(name);
+        }
+        result = await iterator.next();
+    }
+    return names;
+};
+
+/**
+ * @param {FileSystemDirectoryHandle} directory Directory handle
+ * @param {string} name File name
+ * @param {string|ArrayBuffer|Uint8Array} data New contents of the file
+ * @returns {Promise<void>} Resolves when the file has been written
+ */
+const writeFile = async (directory, name, data) => {
+    const handle = await directory.getFileHandle(name, {
+        create: true
+    });
+    const writable = await handle.createWritable();
+    await writable.write(data);
+    await writable.close();
+};
+
+/**
+ * Write a project to a folder, leaving unrelated files alone.
+ * @param {FileSystemDirectoryHandle} directory Directory handle from showDirectoryPicker()
+ * @param {ArrayBuffer} sb3 The project from the VM's saveProjectSb3()
+ * @returns {Promise<void>} Resolves when the folder has been updated
+ */
+const saveProjectToFolder = async (directory, sb3) => {
+    const zip = await JSZip.loadAsync(sb3);
+    const projectJSON = JSON.parse(await zip.file(PROJECT_FILE).async('string'));
+    const files = splitProject(projectJSON);
+
+    const spritesDirectory = await directory.getDirectoryHandle(SPRITES_DIRECTORY, {
+        create: true
+    });
+    const spriteNames = [];
+    for (const path of Object.keys(files)) {
+        if (path === PROJECT_FILE) {
+            continue;
+        }
+        const name = path.split('/')[1];
+        spriteNames.push(name);
+        await writeFile(spritesDirectory, name, files[path]);
+    }
+
+    // Asset names are based on their content, so existing assets never need to be written again.
+    const assetsDirectory = await directory.getDirectoryHandle(ASSETS_DIRECTORY, {
+        create: true
+    });
+    const existingAssets = await listFiles(assetsDirectory);
+    const assetNames = Object.keys(zip.files).filter(name => name !== PROJECT_FILE && !zip.files[name].dir);
+    for (const name of assetNames) {
+        if (!existingAssets.includes(name)) {
+            await writeFile(assetsDirectory, name, await zip.file(name).async('uint8array'));
+        }
+    }
+
+    // project.json is written after everything it refers to and before anything is removed so that the folder
+    // is never left referring to files that don't exist.
+    await writeFile(directory, PROJECT_FILE, files[PROJECT_FILE]);
+
+    for (const name of await listFiles(spritesDirectory)) {
+        if (name.endsWith('.json') && !spriteNames.includes(name)) {
+            await spritesDirectory.removeEntry(name);
+        }
+    }
+    for (const name of existingAssets) {
+        if (/^[0-9a-f]{32}\.\w+$/i.test(name) && !assetNames.includes(name)) {
+            await assetsDirectory.removeEntry(name);
+        }
+    }
+};
+
+/**
+ * @param {FileSystemDirectoryHandle} directory Directory handle from showDirectoryPicker()
+ * @returns {Promise<ArrayBuffer>} The project as an sb3 that the VM can load
+ */
+const loadProjectFromFolder = async directory => {
+    const readText = async (dir, name) => {
+        const handle = await dir.getFileHandle(name);
+        const file = await handle.getFile();
+        return file.text();
+    };
+
+    let projectText;
+    try {
+        projectText = await readText(directory, PROJECT_FILE);
+    } catch (e) {
+        throw new Error(`Folder does not contain ${PROJECT_FILE}`);
+    }
+
+    let spritesDirectory = null;
+    const projectJSON = await joinProject(projectText, path => {
+        if (!spritesDirectory) {
+            spritesDirectory = directory.getDirectoryHandle(SPRITES_DIRECTORY);
+        }
+        return spritesDirectory.then(dir => readText(dir, path.split('/')[1]));
+    });
+
+    const zip = new JSZip();
+    zip.file(PROJECT_FILE, JSON.stringify(projectJSON));
+    let assetsDirectory = null;
+    try {
+        assetsDirectory = await directory.getDirectoryHandle(ASSETS_DIRECTORY);
+    } catch (e) {
+        // Projects without any assets won't have this folder.
+    }
+    if (assetsDirectory) {
+        for (const name of await listFiles(assetsDirectory)) {
+            const handle = await assetsDirectory.getFileHandle(name);
+            const file = await handle.getFile();
+            zip.file(name, await file.arrayBuffer());
+        }
+    }
+    return zip.generateAsync({
+        type: 'arraybuffer'
+    });
+};
+
+export {
+    sortKeys,
+    stringifyStable,
+    getSafeFilename,
+    splitProject,
+    joinProject,
+    saveProjectToFolder,
+    loadProjectFromFolder
+};
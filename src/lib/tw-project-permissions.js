@@ -0,0 +1,299 @@
+/**
+ * @fileoverview
+ * Remembers what the user allowed each project to do so that they don't get asked the same questions every time
+ * they open the project.
+ */
+
+import md5 from 'js-md5';
+import {defaultProjectId} from '../reducers/project-state';
+
+// Special constants -- do not change without care.
+const DATABASE_NAME = 'TW_ProjectPermissions';
+const DATABASE_VERSION = 1;
+const STORE_NAME = 'permissions';
+
+/**
+ * Permissions that are granted for specific origins.
+ */
+const ORIGIN_PERMISSIONS = ['fetch', 'embed'];
+
+/**
+ * Permissions that are either granted or not.
+ */
+const BOOLEAN_PERMISSIONS = ['audio', 'video', 'readClipboard', 'notify', 'geolocate'];
+
+/**
+ * @typedef ProjectPermissions
+ * @property {string} projectKey From getProjectKey()
+ * @property {string} title Project title at the time permission was last granted, for display only
+ * @property {number} updated Unix seconds
+ * @property {string[]} fetch Origins
+ * @property {string[]} embed Origins
+ * @property {boolean} audio
+ * @property {boolean} video
+ * @property {boolean} readClipboard
+ * @property {boolean} notify
+ * @property {boolean} geolocate
+ */
+
+/** @type {Set<Function>} */
+const listeners = new Set();
+
+/**
+ * @param {string} projectKey Project whose permissions changed
+ */
+const notifyListeners = projectKey => {
+    for (const listener of listeners) {
+        listener(projectKey);
+    }
+};
+
+/**
+ * @param {Function} listener Called with the project key whenever a project's permissions change
+ * @returns {Function} Call to unsubscribe
+ */
+const subscribeToProjectPermissions = listener => {
+    listeners.add(listener);
+    return () => {
+        listeners.delete(listener);
+    };
+};
+
+/**
+ * Projects on a server are identified by their ID. Everything else is identified by a hash of the project
+ * as it was when it was loaded, so the same file will get the same permissions each time it's opened.
+ * @param {string|null} projectId Project ID from redux
+ * @param {string} projectJSON Serialized project
+ * @returns {string} A string that identifies the project
+ */
+const getProjectKey = (projectId, projectJSON) => {
+    if (projectId && projectId !== defaultProjectId) {
+        return `id:${projectId}`;
+    }
+    return `md5:${md5(projectJSON)}`;
+};
+
+/**
+ * Converts a possibly unknown or corrupted object to a known-good permissions object.
+ * @param {unknown} obj Unknown object
+ * @param {string} projectKey Project key
+ * @returns {ProjectPermissions} Permissions
+ */
+const parsePermissions = (obj, projectKey) => {
+    if (!obj || typeof obj !== 'object') {
+        obj = {};
+    }
+    const result = {
+        projectKey,
+        title: typeof obj.title === 'string' ? obj.title : '',
+        updated: typeof obj.updated === 'number' ? obj.updated : 0
+    };
+    for (const permission of ORIGIN_PERMISSIONS) {
+        result[permission] = Array.isArray(obj[permission]) ?
+            obj[permission].filter(i => typeof i === 'string') :
+            [];
+    }
+    for (const permission of BOOLEAN_PERMISSIONS) {
+        result[permission] = obj[permission] === true;
+    }
+    return result;
+};
+
+/**
+ * @param {ProjectPermissions} permissions Permissions
+ * @returns {boolean} True if nothing is granted
+ */
+const isEmpty = permissions => (
+    ORIGIN_PERMISSIONS.every(permission => permissions[permission].length === 0) &&
+    BOOLEAN_PERMISSIONS.every(permission => !permissions[permission])
+);
+
+/** @type {IDBDatabase|null} */
+let _cachedDB = null;
+
+/**
+ * @returns {Promise<IDBDatabase|null>} IDB database, or null if IDB is not supported
+ */
+const openDB = () => {
+    if (_cachedDB) {
+        return Promise.resolve(_cachedDB);
+    }
+
+    if (typeof indexedDB === 'undefined') {
+        return Promise.resolve(null);
+    }
+
+    return new Promise((resolve, reject) => {
+        const request = indexedDB.open(DATABASE_NAME, DATABASE_VERSION);
+
+        request.onupgradeneeded = () => {
+            const db = request.result;
+            db.createObjectStore(STORE_NAME);
+        };
+
+        request.onsuccess = () => {
+            _cachedDB = request.result;
+            resolve(request.result);
+        };
+
+        request.onerror = () => {
+            reject(new Error(`Could not open database: ${request.error}`));
+        };
+    });
+};
+
+/**
+ * @param {string} projectKey Project key
+ * @returns {Promise<ProjectPermissions>} Resolves with the project's permissions
+ */
+const getProjectPermissions = projectKey => openDB().then(db => new Promise((resolve, reject) => {
+    if (!db) {
+        resolve(parsePermissions(null, projectKey));
+        return;
+    }
+
+    const transaction = db.transaction([STORE_NAME], 'readonly');
+    transaction.onerror = event => {
+        reject(new Error(`Getting project permissions: ${event.target.error}`));
+    };
+
+    const store = transaction.objectStore(STORE_NAME);
+    const request = store.get(projectKey);
+    request.onsuccess = () => {
+        resolve(parsePermissions(request.result, projectKey));
+    };
+}));
+
+/**
+ * @returns {Promise<ProjectPermissions[]>} Resolves with every project that has been granted anything,
+ * most recently updated first.
+ */
+const getAllProjectPermissions = () => openDB().then(db => new Promise((resolve, reject) => {
+    if (!db) {
+        resolve([]);
+        return;
+    }
+
+    const transaction = db.transaction([STORE_NAME], 'readonly');
+    transaction.onerror = event => {
+        reject(new Error(`Getting all project permissions: ${event.target.error}`));
+    };
+
+    const result = [];
+    const store = transaction.objectStore(STORE_NAME);
+    const request = store.openCursor();
+    request.onsuccess = () => {
+        const cursor = request.result;
+        if (cursor) {
+            result.push(parsePermissions(cursor.value, cursor.key));
+            cursor.continue();
+        } else {
+            result.sort((a, b) => b.updated - a.updated);
+            resolve(result);
+        }
+    };
+}));
+
+/**
+ * @param {string} projectKey Project key
+ * @param {function(ProjectPermissions): void} update Modifies the permissions in place
+ * @param {string} [title] New project title, if known
+ * @returns {Promise<void>} Resolves when the change has been saved
+ */
+const updateProjectPermissions = (projectKey, update, title) => openDB().then(db => new Promise((resolve, reject) => {
+    if (!db) {
+        resolve();
+        return;
+    }
+
+    const transaction = db.transaction([STORE_NAME], 'readwrite');
+    transaction.onerror = event => {
+        reject(new Error(`Updating project permissions: ${event.target.error}`));
+    };
+    transaction.oncomplete = () => {
+        notifyListeners(projectKey);
+        resolve();
+    };
+
+    const store = transaction.objectStore(STORE_NAME);
+    const getRequest = store.get(projectKey);
+    getRequest.onsuccess = () => {
+        const permissions = parsePermissions(getRequest.result, projectKey);
+        update(permissions);
+        if (isEmpty(permissions)) {
+            store.delete(projectKey);
+        } else {
+            if (typeof title === 'string') {
+                permissions.title = title;
+            }
+            permissions.updated = Math.round(Date.now() / 1000);
+            store.put(permissions, projectKey);
+        }
+    };
+}));
+
+/**
+ * @param {string} projectKey Project key
+ * @param {string} title Project title
+ * @param {string} permission One of ORIGIN_PERMISSIONS or BOOLEAN_PERMISSIONS
+ * @param {string} [origin] Origin, for origin permissions
+ * @returns {Promise<void>} Resolves when the permission has been saved
+ */
+const grantProjectPermission = (projectKey, title, permission, origin) => updateProjectPermissions(
+    projectKey,
+    permissions => {
+        if (ORIGIN_PERMISSIONS.includes(permission)) {
+            if (!permissions[permission].includes(origin)) {
+                permissions[permission].push(origin);
+            }
+        } else if (BOOLEAN_PERMISSIONS.includes(permission)) {
+            permissions[permission] = true;
+        }
+    },
+    title
+);
+
+/**
+ * @param {string} projectKey Project key
+ * @param {string} permission One of ORIGIN_PERMISSIONS or BOOLEAN_PERMISSIONS
+ * @param {string} [origin] Origin, for origin permissions
+ * @returns {Promise<void>} Resolves when the permission has been removed
+ */
+const revokeProjectPermission = (projectKey, permission, origin) => updateProjectPermissions(
+    projectKey,
+    permissions => {
+        if (ORIGIN_PERMISSIONS.includes(permission)) {
+            permissions[permission] = permissions[permission].filter(i => i !== origin);
+        } else if (BOOLEAN_PERMISSIONS.includes(permission)) {
+            permissions[permission] = false;
+        }
+    }
+);
+
+/**
+ * @param {string} projectKey Project key
+ * @returns {Promise<void>} Resolves when all of the project's permissions have been removed
+ */
+const revokeAllProjectPermissions = projectKey => updateProjectPermissions(
+    projectKey,
+    permissions => {
+        for (const permission of ORIGIN_PERMISSIONS) {
+            permissions[permission] = [];
+        }
+        for (const permission of BOOLEAN_PERMISSIONS) {
+            permissions[permission] = false;
+        }
+    }
+);
+
+export {
+    ORIGIN_PERMISSIONS,
+    BOOLEAN_PERMISSIONS,
+    getProjectKey,
+    getProjectPermissions,
+    getAllProjectPermissions,
+    grantProjectPermission,
+    revokeProjectPermission,
+    revokeAllProjectPermissions,
+    subscribeToProjectPermissions
+};
@@ -1,5 +1,8 @@
 import JSZip from '@turbowarp/jszip';
 import {base64ToArrayBuffer} from './tw-base64-utils';
+import {TextEncoder, TextDecoder} from './tw-text-encoder';
+import {createPatch, applyPatch} from './tw-json-patch';
+import {diffProjects} from './tw-project-diff';
 
 const TYPE_AUTOMATIC = 0;
 const TYPE_MANUAL = 1;
@@ -18,6 +21,9 @@ const TYPE_MANUAL = 1;
  * @property {number} thumbnailWidth
  * @property {number} thumbnailHeight
  * @property {Record<string, number>} assets maps md5exts to size in bytes
+ * @property {number|null} base If set, the project store contains a patch against this restore point's project
+ * instead of a full project.json.
+ * @property {number} depth Number of patches that need to be applied to reconstruct the full project.json.
  */
 
 const DATABASE_NAME = 'TW_RestorePoints';
@@ -28,6 +34,10 @@ const ASSET_STORE = 'assets';
 const THUMBNAIL_STORE = 'thumbnails';
 const ALL_STORES = [METADATA_STORE, PROJECT_STORE, ASSET_STORE, THUMBNAIL_STORE];
 
+// Every restore point in a chain of patches has to be read and applied to load the newest one, so
+// periodically store a full copy to keep loading fast.
+const MAX_DEPTH = 20;
+
 /** @type {IDBDatabase|null} */
 let _cachedDB = null;
 
@@ -95,9 +105,159 @@ const parseMetadata = obj => {
         }
     }
 
+    obj.base = typeof obj.base === 'number' ? obj.base : null;
+    obj.depth = typeof obj.depth === 'number' ? obj.depth : 0;
+
     return obj;
 };
 
+/**
+ * @param {IDBRequest} request IDB request
+ * @returns {Promise<unknown>} Resolves with the result of the request. Errors will also bubble to the transaction.
+ */
+const requestToPromise = request => new Promise((resolve, reject) => {
+    request.onsuccess = () => {
+        resolve(request.result);
+    };
+    request.onerror = () => {
+        reject(request.error);
+    };
+});
+
+/**
+ * @param {Uint8Array} data UTF-8 JSON
+ * @returns {unknown} Parsed JSON
+ */
+const decodeJSON = data => JSON.parse(new TextDecoder().decode(data));
+
+/**
+ * @param {unknown} value JSON-compatible value
+ * @returns {Uint8Array} UTF-8 JSON
+ */
+const encodeJSON = value => new TextEncoder().encode(JSON.stringify(value));
+
+/**
+ * @param {IDBTransaction} transaction transaction with access to the metadata and project stores
+ * @param {number} id the restore point's ID
+ * @returns {Promise<object>} Resolves with the restore point's full parsed project.json
+ */
+const readProjectObject = async (transaction, id) => {
+    const metadataStore = transaction.objectStore(METADATA_STORE);
+    const projectStore = transaction.objectStore(PROJECT_STORE);
+
+    // Walk back to the nearest full copy of the project, then apply the patches going forwards.
+    /** @type {Uint8Array[]} */
+    const chain = [];
+    const visited = new Set();
+    let currentId = id;
+    while (currentId !== null) {
+        if (visited.has(currentId)) {
+            throw new Error(`Restore point ${id} has a cyclic history`);
+        }
+        visited.add(currentId);
+
+        const metadata = await requestToPromise(metadataStore.get(currentId));
+        if (!metadata) {
+            throw new Error(`Restore point metadata ${currentId} does not exist`);
+        }
+        const data = await requestToPromise(projectStore.get(currentId));
+        if (!data) {
+            throw new Error(`Restore point project ${currentId} does not exist`);
+        }
+        chain.push(data);
+        currentId = parseMetadata(metadata).base;
+    }
+
+    let project = decodeJSON(chain.pop());
+    while (chain.length > 0) {
+        project = applyPatch(project, decodeJSON(chain.pop()));
+    }
+    return project;
+};
+
+/**
+ * @param {IDBTransaction} transaction transaction with access to the metadata and project stores
+ * @param {number} id the restore point's ID
+ * @returns {Promise<Uint8Array>} Resolves with binary data for the restore point's full project.json
+ */
+const readProjectJSON = async (transaction, id) => {
+    const metadata = await requestToPromise(transaction.objectStore(METADATA_STORE).get(id));
+    if (!metadata) {
+        throw new Error(`Restore point metadata ${id} does not exist`);
+    }
+    if (parseMetadata(metadata).base === null) {
+        const data = await requestToPromise(transaction.objectStore(PROJECT_STORE).get(id));
+        if (!data) {
+            throw new Error(`Restore point project ${id} does not exist`);
+        }
+        return data;
+    }
+    return encodeJSON(await readProjectObject(transaction, id));
+};
+
+/**
+ * Restore points that are stored as patches against a restore point that is about to be deleted need to be
+ * converted to full copies first, otherwise they can't be loaded anymore.
+ * @param {IDBTransaction} transaction readwrite transaction with access to the metadata and project stores
+ * @param {Set<number>} idsToDelete restore points that are about to be deleted
+ * @returns {Promise<void>} Resolves when dependent restore points no longer depend on the deleted ones.
+ */
+const detachDependents = async (transaction, idsToDelete) => {
+    const metadataStore = transaction.objectStore(METADATA_STORE);
+    const projectStore = transaction.objectStore(PROJECT_STORE);
+
+    const keys = await requestToPromise(metadataStore.getAllKeys());
+    const values = await requestToPromise(metadataStore.getAll());
+
+    /** @type {Map<number, Uint8Array>} */
+    const fullProjects = new Map();
+    for (let i = 0; i < keys.length; i++) {
+        const metadata = parseMetadata(values[i]);
+        if (!idsToDelete.has(keys[i]) && idsToDelete.has(metadata.base)) {
+            // Reconstruct everything before writing anything, as later restore points may need the old data.
+            fullProjects.set(keys[i], encodeJSON(await readProjectObject(transaction, keys[i])));
+        }
+    }
+
+    for (let i = 0; i < keys.length; i++) {
+        if (fullProjects.has(keys[i])) {
+            const projectData = fullProjects.get(keys[i]);
+            const metadata = parseMetadata(values[i]);
+            metadata.base = null;
+            metadata.depth = 0;
+            metadata.projectSize = projectData.byteLength;
+            await requestToPromise(projectStore.put(projectData, keys[i]));
+            await requestToPromise(metadataStore.put(metadata, keys[i]));
+        }
+    }
+};
+
+/**
+ * @param {IDBTransaction} transaction transaction with access to the metadata store
+ * @param {string} title project title
+ * @returns {Promise<{id: number, metadata: Metadata}|null>} The most recent restore point with the same title.
+ */
+const findPreviousRestorePoint = (transaction, title) => new Promise(resolve => {
+    const metadataStore = transaction.objectStore(METADATA_STORE);
+    const request = metadataStore.openCursor(null, 'prev');
+    request.onsuccess = () => {
+        const cursor = request.result;
+        if (cursor) {
+            const metadata = parseMetadata(cursor.value);
+            if (metadata.title === title) {
+                resolve({
+                    id: cursor.key,
+                    metadata
+                });
+            } else {
+                cursor.continue();
+            }
+        } else {
+            resolve(null);
+        }
+    };
+});
+
 /**
  * @param {IDBObjectStore} objectStore IDB object store
  * @param {Set<IDBValidKey>} keysToKeep IDB keys that should continue to exist. Type sensitive.
@@ -194,7 +354,8 @@ const removeExtraneousRestorePoints = () => openDB().then(db => new Promise((res
     const timeToSubgroup = unixSeconds => Math.floor(unixSeconds / SUBGROUP_PERIOD_SECONDS);
 
     // Each successive subgroup's limit is 1 less than the previous, but always at least 1
-    const MAX_FOR_FIRST_SUBGROUP = 4;
+    // Restore points are mostly stored as small patches, so we can afford to keep quite a few of them.
+    const MAX_FOR_FIRST_SUBGROUP = 8;
     // n + (n - 1) + (n - 2) + ... + 1 = (n + 1) * n / 2
     // Add a bit more on top to help old restore points stay around
     const MAX_PER_GROUP = ((MAX_FOR_FIRST_SUBGROUP + 1) * MAX_FOR_FIRST_SUBGROUP / 2) + 2;
@@ -247,6 +408,18 @@ const removeExtraneousRestorePoints = () => openDB().then(db => new Promise((res
         return false;
     };
 
+    /** @type {Set<number>} */
+    const idsToDelete = new Set();
+
+    const deleteRestorePoints = async () => {
+        await detachDependents(transaction, idsToDelete);
+        const metadataStore = transaction.objectStore(METADATA_STORE);
+        for (const id of idsToDelete) {
+            await requestToPromise(metadataStore.delete(id));
+        }
+        await removeExtraneousData(transaction);
+    };
+
     const metadataStore = transaction.objectStore(METADATA_STORE);
     const getRequest = metadataStore.openCursor(null, 'prev');
     getRequest.onsuccess = () => {
@@ -254,13 +427,16 @@ const removeExtraneousRestorePoints = () => openDB().then(db => new Promise((res
         if (cursor) {
             const metadata = parseMetadata(cursor.value);
             if (shouldDelete(metadata)) {
-                cursor.delete();
+                idsToDelete.add(cursor.key);
             }
             cursor.continue();
         } else {
-            // errors will bubble to transaction onerror
-            removeExtraneousData(transaction)
-                .then(() => resolveTransaction());
+            deleteRestorePoints()
+                .then(() => resolveTransaction())
+                .catch(error => {
+                    transaction.abort();
+                    rejectTransaction(error);
+                });
         }
     };
 }));
@@ -319,6 +495,13 @@ const createRestorePoint = (
         /** @type {IDBValidKey} */
         let generatedId = null;
 
+        // Either the full project.json or a patch against the previous restore point of the same project.
+        /** @type {Uint8Array} */
+        let projectData = jsonData;
+        /** @type {number|null} */
+        let baseId = null;
+        let depth = 0;
+
         const writeThumbnail = () => {
             const thumbnailStore = transaction.objectStore(THUMBNAIL_STORE);
             const request = thumbnailStore.add(thumbnailData, generatedId);
@@ -355,7 +538,7 @@ const createRestorePoint = (
 
         const writeProjectJSON = () => {
             const projectStore = transaction.objectStore(PROJECT_STORE);
-            const request = projectStore.add(jsonData, generatedId);
+            const request = projectStore.add(projectData, generatedId);
             request.onsuccess = () => {
                 checkMissingAssets();
             };
@@ -373,11 +556,13 @@ const createRestorePoint = (
                 title,
                 created: Math.round(Date.now() / 1000),
                 type,
-                projectSize: jsonData.byteLength,
+                projectSize: projectData.byteLength,
                 thumbnailSize: thumbnailData.data.byteLength,
                 thumbnailWidth: vm.runtime.stageWidth,
                 thumbnailHeight: vm.runtime.stageHeight,
-                assets: assetSizeData
+                assets: assetSizeData,
+                base: baseId,
+                depth
             };
 
             const metadataStore = transaction.objectStore(METADATA_STORE);
@@ -388,7 +573,28 @@ const createRestorePoint = (
             };
         };
 
-        writeMetadata();
+        const createPatchAgainstPrevious = async () => {
+            const previous = await findPreviousRestorePoint(transaction, title);
+            if (!previous || previous.metadata.depth >= MAX_DEPTH) {
+                return;
+            }
+            const previousProject = await readProjectObject(transaction, previous.id);
+            const patch = createPatch(previousProject, decodeJSON(jsonData));
+            projectData = encodeJSON(patch);
+            baseId = previous.id;
+            depth = previous.metadata.depth + 1;
+        };
+
+        createPatchAgainstPrevious()
+            .catch(() => {
+                // If the previous restore point is broken somehow, we can still store a full copy.
+                projectData = jsonData;
+                baseId = null;
+                depth = 0;
+            })
+            .then(() => {
+                writeMetadata();
+            });
     });
 }));
 
@@ -402,12 +608,17 @@ const deleteRestorePoint = id => openDB().then(db => new Promise((resolve, rejec
         reject(new Error(`Deleting restore point: ${event.target.error}`));
     };
 
-    const metadataStore = transaction.objectStore(METADATA_STORE);
-    const request = metadataStore.delete(id);
-    request.onsuccess = () => {
-        removeExtraneousData(transaction)
-            .then(() => resolve());
-    };
+    detachDependents(transaction, new Set([id]))
+        .then(() => {
+            const metadataStore = transaction.objectStore(METADATA_STORE);
+            return requestToPromise(metadataStore.delete(id));
+        })
+        .then(() => removeExtraneousData(transaction))
+        .then(() => resolve())
+        .catch(error => {
+            transaction.abort();
+            reject(error);
+        });
 }));
 
 /**
@@ -467,20 +678,14 @@ const exportRestorePoint = async id => {
      * @returns {Promise<Uint8Array>} Resolves with binary data for project.json.
      */
     const getProjectJSON = () => new Promise((resolve, reject) => {
-        const transaction = db.transaction([PROJECT_STORE], 'readonly');
+        const transaction = db.transaction([METADATA_STORE, PROJECT_STORE], 'readonly');
         transaction.onerror = event => {
             reject(new Error(`Getting restore point project: ${event.target.error}`));
         };
 
-        const projectStore = transaction.objectStore(PROJECT_STORE);
-        const request = projectStore.get(id);
-        request.onsuccess = () => {
-            if (request.result) {
-                resolve(request.result);
-            } else {
-                reject(new Error(`Restore point project ${id} does not exist`));
-            }
-        };
+        readProjectJSON(transaction, id)
+            .then(resolve)
+            .catch(reject);
     });
 
     /**
@@ -582,29 +787,21 @@ const loadRestorePoint = (vm, id) => openDB().then(db => new Promise((resolvePro
     };
 
     const loadProjectJSON = () => {
-        const transaction = db.transaction([PROJECT_STORE], 'readonly');
+        const transaction = db.transaction([METADATA_STORE, PROJECT_STORE], 'readonly');
         transaction.onerror = event => {
             rejectProject(new Error(`Loading restore point JSON: ${event.target.error}`));
         };
 
-        const projectStore = transaction.objectStore(PROJECT_STORE);
-        const request = projectStore.get(id);
-        request.onsuccess = () => {
-            if (request.result) {
-                vm.loadProject(request.result)
-                    .then(() => {
-                        cleanup();
-                        resolveProject();
-                    })
-                    .catch(error => {
-                        cleanup();
-                        rejectProject(error);
-                    });
-            } else {
+        readProjectJSON(transaction, id)
+            .then(projectJSON => vm.loadProject(projectJSON))
+            .then(() => {
                 cleanup();
-                rejectProject(new Error(`Restore point project ${id} does not exist`));
-            }
-        };
+                resolveProject();
+            })
+            .catch(error => {
+                cleanup();
+                rejectProject(error);
+            });
     };
 
     vm.quit();
@@ -682,6 +879,27 @@ const getThumbnail = id => openDB().then(db => new Promise((resolve, reject) =>
     };
 }));
 
+/**
+ * @param {number} oldId the older restore point's ID
+ * @param {number} newId the newer restore point's ID
+ * @returns {Promise<ProjectChanges>} Resolves with what changed between the two.
+ */
+const getRestorePointChanges = (oldId, newId) => openDB().then(db => new Promise((resolve, reject) => {
+    const transaction = db.transaction([METADATA_STORE, PROJECT_STORE], 'readonly');
+    transaction.onerror = event => {
+        reject(new Error(`Comparing restore points: ${event.target.error}`));
+    };
+
+    Promise.all([
+        readProjectObject(transaction, oldId),
+        readProjectObject(transaction, newId)
+    ])
+        .then(([oldProject, newProject]) => {
+            resolve(diffProjects(oldProject, newProject));
+        })
+        .catch(reject);
+}));
+
 const deleteLegacyRestorePoint = () => {
     const LEGACY_DATABASE_NAME = 'TW_AutoSave';
     try {
@@ -741,6 +959,7 @@ export default {
     getThumbnail,
     exportRestorePoint,
     loadRestorePoint,
+    getRestorePointChanges,
     deleteLegacyRestorePoint,
     readInterval,
     setInterval
@@ -0,0 +1,196 @@
+/**
+ * @fileoverview
+ * Helpers for saving projects to a file on the user's computer through the File System Access API, used both
+ * when the user saves manually and for auto-saving to the file they last saved to.
+ */
+
+const AUTO_SAVE_KEY = 'tw:file-auto-save';
+
+// Longest time to wait between attempts when auto-save keeps failing
+const MAX_AUTO_SAVE_DELAY_SECS = 600;
+
+/**
+ * @param {Uint8Array[]} arrays List of byte arrays
+ * @returns {number} Total length of the arrays
+ */
+const getLengthOfByteArrays = arrays => {
+    let length = 0;
+    for (let i = 0; i < arrays.length; i++) {
+        length += arrays[i].byteLength;
+    }
+    return length;
+};
+
+/**
+ * @param {Uint8Array[]} arrays List of byte arrays
+ * @returns {Uint8Array} One big array containing all of the little arrays in order.
+ */
+const concatenateByteArrays = arrays => {
+    const totalLength = getLengthOfByteArrays(arrays);
+    const newArray = new Uint8Array(totalLength);
+    let p = 0;
+    for (let i = 0; i < arrays.length; i++) {
+        newArray.set(arrays[i], p);
+        p += arrays[i].byteLength;
+    }
+    return newArray;
+};
+
+/**
+ * @param {FileSystemWritableFileStream} writable Stream from the file handle's createWritable()
+ * @param {object} jszipStream Stream from the VM's saveProjectSb3Stream()
+ * @returns {Promise<void>} Resolves when the file has been saved
+ */
+const writeProjectStream = (writable, jszipStream) => new Promise((resolve, reject) => {
+    // Projects can be very large, so we'll utilize JSZip's stream API to avoid having the
+    // entire sb3 in memory at the same time.
+    const abortController = new AbortController();
+    jszipStream.on('error', error => {
+        abortController.abort(error);
+    });
+
+    // JSZip's stream pause() and resume() methods are not necessarily completely no-ops
+    // if they are already paused or resumed. These also make it easier to add debug
+    // logging of when we actually pause or resume.
+    // Note that JSZip will keep sending some data after you ask it to pause.
+    let jszipStreamRunning = false;
+    const pauseJSZipStream = () => {
+        if (jszipStreamRunning) {
+            jszipStreamRunning = false;
+            jszipStream.pause();
+        }
+    };
+    const resumeJSZipStream = () => {
+        if (!jszipStreamRunning) {
+            jszipStreamRunning = true;
+            jszipStream.resume();
+        }
+    };
+
+    // Allow the JSZip stream to run quite a bit ahead of file writing. This helps
+    // reduce zip stream pauses on systems with high latency storage.
+    const HIGH_WATER_MARK_BYTES = 1024 * 1024 * 5;
+
+    // Minimum size of buffer to pass into write(). Small buffers will be queued and
+    // written in batches as they reach or exceed this size.
+    const WRITE_BUFFER_TARGET_SIZE_BYTES = 1024 * 1024;
+
+    const zipStream = new ReadableStream({
+        start: controller => {
+            jszipStream.on('data', data => {
+                controller.enqueue(data);
+                if (controller.desiredSize <= 0) {
+                    pauseJSZipStream();
+                }
+            });
+            jszipStream.on('end', () => {
+                controller.close();
+            });
+            resumeJSZipStream();
+        },
+        pull: () => {
+            resumeJSZipStream();
+        },
+        cancel: () => {
+            pauseJSZipStream();
+        }
+    }, new ByteLengthQueuingStrategy({
+        highWaterMark: HIGH_WATER_MARK_BYTES
+    }));
+
+    const queuedChunks = [];
+    const fileStream = new WritableStream({
+        write: chunk => {
+            queuedChunks.push(chunk);
+            const currentSize = getLengthOfByteArrays(queuedChunks);
+            if (currentSize >= WRITE_BUFFER_TARGET_SIZE_BYTES) {
+                const newBuffer = concatenateByteArrays(queuedChunks);
+                queuedChunks.length = 0;
+                return writable.write(newBuffer);
+            }
+            // Otherwise wait for more data
+        },
+        close: async () => {
+            // Write the last batch of data.
+            const lastBuffer = concatenateByteArrays(queuedChunks);
+            if (lastBuffer.byteLength) {
+                await writable.write(lastBuffer);
+            }
+            // File handle must be closed at the end to actually save the file.
+            await writable.close();
+        },
+        abort: async () => {
+            await writable.abort();
+        }
+    });
+
+    zipStream.pipeTo(fileStream, {
+        signal: abortController.signal
+    })
+        .then(() => {
+            resolve();
+        })
+        .catch(error => {
+            reject(error);
+        });
+});
+
+/**
+ * Browsers only let us ask for permission to write to a file after the user clicks something, so auto-save
+ * has to skip files that it would need to ask about, such as files and folders that were opened rather than
+ * saved. Handles that don't support permissions can't prove that the user allowed writing, so they are
+ * skipped too.
+ * @param {FileSystemHandle} handle File or directory handle
+ * @returns {Promise<boolean>} True if the user already allowed writing to the handle
+ */
+const canWriteWithoutPrompt = async handle => {
+    if (typeof handle.queryPermission !== 'function') {
+        return false;
+    }
+    try {
+        return await handle.queryPermission({mode: 'readwrite'}) === 'granted';
+    } catch (e) {
+        return false;
+    }
+};
+
+/**
+ * @param {number} intervalSecs Normal time between auto-saves
+ * @param {number} failures Number of auto-saves that failed in a row
+ * @returns {number} Seconds to wait before the next auto-save
+ */
+const getFileAutoSaveDelay = (intervalSecs, failures) => Math.min(
+    intervalSecs * (2 ** failures),
+    Math.max(intervalSecs, MAX_AUTO_SAVE_DELAY_SECS)
+);
+
+/**
+ * Auto-save overwrites a file on the user's computer, so it only happens if the user turned it on.
+ * @returns {boolean} True if the project should be auto-saved to the file it was last saved to
+ */
+const getFileAutoSaveEnabled = () => {
+    try {
+        return localStorage.getItem(AUTO_SAVE_KEY) === 'true';
+    } catch (e) {
+        return false;
+    }
+};
+
+/**
+ * @param {boolean} enabled True if the project should be auto-saved to the file it was last saved to
+ */
+const setFileAutoSaveEnabled = enabled => {
+    try {
+        localStorage.setItem(AUTO_SAVE_KEY, enabled === true);
+    } catch (e) {
+        // ignore
+    }
+};
+
+export {
+    writeProjectStream,
+    canWriteWithoutPrompt,
+    getFileAutoSaveDelay,
+    getFileAutoSaveEnabled,
+    setFileAutoSaveEnabled
+};
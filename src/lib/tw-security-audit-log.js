@@ -0,0 +1,83 @@
+/**
+ * @fileoverview
+ * Records every decision the security manager makes so that administrators can review what projects tried to do.
+ */
+
+/**
+ * @typedef AuditLogEntry
+ * @property {string} time ISO 8601 timestamp
+ * @property {string} method Security manager method, for example "canFetch"
+ * @property {unknown[]} args Arguments the method was called with
+ * @property {unknown} result What the security manager decided
+ * @property {'policy'|'default'} source Whether the result came from the security policy or normal behavior
+ */
+
+// Old entries are discarded so that long running sessions don't grow forever.
+const MAX_ENTRIES = 5000;
+
+/** @type {AuditLogEntry[]} */
+const entries = [];
+
+/** @type {Set<() => void>} */
+const listeners = new Set();
+
+/**
+ * @param {string} method Security manager method
+ * @param {unknown[]} args Arguments
+ * @param {unknown} result Result
+ * @param {'policy'|'default'} source Where the decision came from
+ */
+const logSecurityDecision = (method, args, result, source) => {
+    entries.push({
+        time: new Date().toISOString(),
+        method,
+        // data: URLs can be huge
+        args: args.map(arg => (typeof arg === 'string' && arg.length > 1000 ? `${arg.substring(0, 1000)}...` : arg)),
+        result,
+        source
+    });
+    if (entries.length > MAX_ENTRIES) {
+        entries.splice(0, entries.length - MAX_ENTRIES);
+    }
+    for (const listener of listeners) {
+        listener();
+    }
+};
+
+/**
+ * @returns {AuditLogEntry[]} Copy of all entries, oldest first.
+ */
+const getSecurityAuditLog = () => entries.slice();
+
+/**
+ * @param {Function} listener Called whenever a new entry is logged
+ * @returns {Function} Call to unsubscribe
+ */
+const subscribeToSecurityAuditLog = listener => {
+    listeners.add(listener);
+    return () => {
+        listeners.delete(listener);
+    };
+};
+
+/**
+ * @returns {Blob} JSON file containing every entry
+ */
+const exportSecurityAuditLog = () => new Blob([JSON.stringify(entries, null, 4)], {
+    type: 'application/json'
+});
+
+const clearSecurityAuditLog = () => {
+    entries.length = 0;
+    for (const listener of listeners) {
+        listener();
+    }
+};
+
+export {
+    logSecurityDecision,
+    getSecurityAuditLog,
+    subscribeToSecurityAuditLog,
+    exportSecurityAuditLog,
+    clearSecurityAuditLog
+};
@@ -0,0 +1,247 @@
+/**
+ * @fileoverview
+ * Administrator-provided security policies. Lets managed deployments decide ahead of time what projects are
+ * allowed to do instead of relying on users answering the security prompts.
+ *
+ * Example policy:
+ * {
+ *   "mode": "prompt",
+ *   "origins": {
+ *     "allow": ["https://example.com", "https://*.school.example"],
+ *     "deny": ["*"]
+ *   },
+ *   "methods": {
+ *     "canRecordAudio": "deny",
+ *     "canGeolocate": "allow",
+ *     "canEmbed": {
+ *       "allow": ["https://www.youtube.com"]
+ *     }
+ *   },
+ *   "extensions": {
+ *     "allow": ["https://extensions.school.example/*"],
+ *     "deny": ["*"],
+ *     "unsandboxed": ["https://extensions.school.example/*"]
+ *   }
+ * }
+ *
+ * "mode" is either "prompt" (the default) to show the usual prompt when the policy has no rule for a request,
+ * or "deny" to never prompt and deny everything the policy doesn't allow. In "deny" mode, things that are normally
+ * allowed without asking, such as extensions from extensions.turbowarp.org or permissions the user granted to a
+ * project earlier, are denied too, and extensions are only unsandboxed if "extensions.unsandboxed" says so.
+ *
+ * Origin patterns are an origin ("https://example.com"), an origin with a wildcard subdomain
+ * ("https://*.example.com"), or "*" to match everything. Extension patterns are a full URL, or a URL prefix
+ * ending in "*". Rules that name something specific take precedence over "*", then deny rules take precedence
+ * over allow rules. Rules for a specific method take precedence over the global "origins" rules.
+ */
+
+export const POLICY_ALLOW = 'allow';
+export const POLICY_DENY = 'deny';
+export const MODE_PROMPT = 'prompt';
+export const MODE_DENY = 'deny';
+
+/**
+ * Methods whose first argument is a URL, so they can be controlled by origin rules.
+ */
+const URL_METHODS = [
+    'canFetch',
+    'canOpenWindow',
+    'canRedirect',
+    'canEmbed',
+    'canDownload'
+];
+
+/**
+ * @typedef PatternList
+ * @property {string[]} allow
+ * @property {string[]} deny
+ */
+
+/**
+ * @typedef SecurityPolicy
+ * @property {'prompt'|'deny'} mode
+ * @property {PatternList} origins
+ * @property {Record<string, 'allow'|'deny'|PatternList>} methods
+ * @property {PatternList & {unsandboxed: string[]}} extensions
+ */
+
+const parseStringList = list => (Array.isArray(list) ? list.filter(i => typeof i === 'string') : []);
+
+const parsePatternList = obj => ({
+    allow: parseStringList(obj && obj.allow),
+    deny: parseStringList(obj && obj.deny)
+});
+
+/**
+ * Converts an untrusted object into a valid policy. Unknown or invalid values are ignored.
+ * @param {unknown} obj Parsed JSON
+ * @returns {SecurityPolicy} Policy
+ */
+export const parseSecurityPolicy = obj => {
+    if (!obj || typeof obj !== 'object') {
+        throw new Error('Security policy must be an object');
+    }
+
+    const methods = {};
+    if (obj.methods && typeof obj.methods === 'object') {
+        for (const [method, rule] of Object.entries(obj.methods)) {
+            if (rule === POLICY_ALLOW || rule === POLICY_DENY) {
+                methods[method] = rule;
+            } else if (rule && typeof rule === 'object') {
+                methods[method] = parsePatternList(rule);
+            }
+        }
+    }
+
+    return {
+        mode: obj.mode === MODE_DENY ? MODE_DENY : MODE_PROMPT,
+        origins: parsePatternList(obj.origins),
+        methods,
+        extensions: {
+            ...parsePatternList(obj.extensions),
+            unsandboxed: parseStringList(obj.extensions && obj.extensions.unsandboxed)
+        }
+    };
+};
+
+/**
+ * A policy that denies everything that would normally require user approval.
+ * Used when a policy was requested but could not be loaded, so that we fail closed.
+ * @returns {SecurityPolicy} Policy
+ */
+export const createDenyAllPolicy = () => parseSecurityPolicy({
+    mode: MODE_DENY
+});
+
+/**
+ * @param {string} url URL of a JSON policy file
+ * @returns {Promise<SecurityPolicy>} Resolves with the parsed policy
+ */
+export const fetchSecurityPolicy = url => fetch(url, {
+    credentials: 'same-origin'
+})
+    .then(res => {
+        if (!res.ok) {
+            throw new Error(`Unexpected status code: ${res.status}`);
+        }
+        return res.json();
+    })
+    .then(parseSecurityPolicy);
+
+/**
+ * @param {string} url URL
+ * @returns {string|null} The URL's origin, or null if it doesn't have a meaningful one.
+ */
+const getOrigin = url => {
+    try {
+        const parsed = new URL(url);
+        if (parsed.protocol === 'http:' || parsed.protocol === 'https:' ||
+            parsed.protocol === 'ws:' || parsed.protocol === 'wss:') {
+            return parsed.origin;
+        }
+    } catch (e) {
+        // ignore
+    }
+    return null;
+};
+
+/**
+ * @param {string} pattern Origin pattern
+ * @param {string|null} origin Origin
+ * @returns {boolean} True if the origin matches the pattern
+ */
+const matchesOrigin = (pattern, origin) => {
+    if (pattern === '*') {
+        return true;
+    }
+    if (origin === null) {
+        return false;
+    }
+    const wildcard = pattern.indexOf('://*.');
+    if (wildcard !== -1) {
+        const protocol = pattern.substring(0, wildcard);
+        const domain = pattern.substring(wildcard + '://*.'.length);
+        return origin.startsWith(`${protocol}://`) && origin.endsWith(`.${domain}`);
+    }
+    return pattern === origin;
+};
+
+/**
+ * @param {string} pattern URL pattern
+ * @param {string} url URL
+ * @returns {boolean} True if the URL matches the pattern
+ */
+const matchesURL = (pattern, url) => {
+    if (pattern.endsWith('*')) {
+        return url.startsWith(pattern.substring(0, pattern.length - 1));
+    }
+    return pattern === url;
+};
+
+/**
+ * @param {PatternList} list Rules
+ * @param {function(string): boolean} matches Pattern matcher
+ * @returns {'allow'|'deny'|null} Decision, or null if no rules matched
+ */
+const evaluatePatternList = (list, matches) => {
+    // Rules that name something specific are checked before the "*" catch-all, so that a policy can
+    // deny everything except a few allowed origins.
+    const isSpecific = pattern => pattern !== '*';
+    if (list.deny.filter(isSpecific).some(matches)) {
+        return POLICY_DENY;
+    }
+    if (list.allow.filter(isSpecific).some(matches)) {
+        return POLICY_ALLOW;
+    }
+    if (list.deny.includes('*')) {
+        return POLICY_DENY;
+    }
+    if (list.allow.includes('*')) {
+        return POLICY_ALLOW;
+    }
+    return null;
+};
+
+/**
+ * @param {SecurityPolicy|null} policy Policy
+ * @param {string} method Security manager method name
+ * @param {string} [url] URL, for methods that take one
+ * @returns {'allow'|'deny'|null} Decision, or null if the policy has no opinion
+ */
+export const evaluateSecurityPolicy = (policy, method, url) => {
+    if (!policy) {
+        return null;
+    }
+
+    if (method === 'canLoadExtensionFromProject') {
+        return evaluatePatternList(policy.extensions, pattern => matchesURL(pattern, url));
+    }
+
+    const methodRule = policy.methods[method];
+    if (methodRule === POLICY_ALLOW || methodRule === POLICY_DENY) {
+        return methodRule;
+    }
+
+    if (!URL_METHODS.includes(method)) {
+        return null;
+    }
+
+    const origin = getOrigin(url);
+    const matches = pattern => matchesOrigin(pattern, origin);
+    if (methodRule) {
+        const decision = evaluatePatternList(methodRule, matches);
+        if (decision) {
+            return decision;
+        }
+    }
+    return evaluatePatternList(policy.origins, matches);
+};
+
+/**
+ * @param {SecurityPolicy|null} policy Policy
+ * @param {string} url Extension URL
+ * @returns {boolean} True if the policy says the extension should be loaded without a sandbox
+ */
+export const isUnsandboxedByPolicy = (policy, url) => !!policy &&
+    evaluateSecurityPolicy(policy, 'canLoadExtensionFromProject', url) !== POLICY_DENY &&
+    policy.extensions.unsandboxed.some(pattern => matchesURL(pattern, url));
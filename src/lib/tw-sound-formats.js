@@ -0,0 +1,451 @@
+/**
+ * @fileoverview
+ * Converts sounds between formats, sample rates, and numbers of channels when importing and exporting them.
+ */
+
+/* global AudioEncoder, AudioData */
+
+import WavEncoder from 'wav-encoder';
+import SharedAudioContext from './audio/shared-audio-context';
+import {OPUS_SAMPLE_RATE, createOggOpusFile, getPreSkip} from './tw-ogg-opus';
+
+const FORMAT_ORIGINAL = 'original';
+const FORMAT_WAV = 'wav';
+const FORMAT_MP3 = 'mp3';
+const FORMAT_OGG = 'ogg';
+
+const CONTENT_TYPES = {
+    [FORMAT_WAV]: 'audio/wav',
+    [FORMAT_MP3]: 'audio/mpeg',
+    [FORMAT_OGG]: 'audio/ogg'
+};
+
+// All of these are supported by the MP3 encoder
+const SAMPLE_RATES = [8000, 11025, 16000, 22050, 32000, 44100, 48000];
+const WAV_BIT_DEPTHS = [8, 16, 24, 32];
+const BITRATES = [64, 96, 128, 192, 256];
+
+// Sample rate used to make imported sounds smaller. Scratch's own library uses this for most sounds.
+const IMPORT_SAMPLE_RATE = 22050;
+// Same as what files in other formats are converted to
+const IMPORT_BIT_DEPTH = 16;
+
+const WAV_HEADER_SIZE = 44;
+
+/**
+ * @typedef ExportOptions
+ * @property {string} format One of the FORMAT_ constants
+ * @property {number} sampleRate For WAV and MP3
+ * @property {number} bitDepth For WAV. 32 means floating point.
+ * @property {number} bitrate For MP3 and Ogg, in kbps
+ * @property {boolean} mono Mix all channels into one
+ */
+
+/**
+ * @typedef SoundInfo
+ * @property {number} sampleRate Sample rate
+ * @property {number} sampleCount Number of samples in each channel
+ * @property {number} channels Number of channels
+ * @property {number} size Size of the sound as it is currently stored, in bytes
+ */
+
+/**
+ * @param {number} sampleRate Sample rate of the sound
+ * @returns {ExportOptions} Default export options for the sound
+ */
+const getDefaultExportOptions = sampleRate => ({
+    format: FORMAT_ORIGINAL,
+    sampleRate: SAMPLE_RATES.includes(sampleRate) ? sampleRate : 44100,
+    bitDepth: 16,
+    bitrate: 128,
+    mono: false
+});
+
+/**
+ * @param {number} sampleCount Number of samples in each channel
+ * @param {number} channels Number of channels
+ * @param {number} bitDepth Bits per sample
+ * @returns {number} Size of a WAV file in bytes
+ */
+const getWavSize = (sampleCount, channels, bitDepth) => (
+    WAV_HEADER_SIZE + (sampleCount * channels * (bitDepth / 8))
+);
+
+/**
+ * Lower sample rates use older versions of MP3 that don't support high bitrates. The encoder uses the
+ * highest bitrate it can instead.
+ * @param {number} sampleRate Sample rate
+ * @returns {number} Highest MP3 bitrate in kbps
+ */
+const getMaxMp3Bitrate = sampleRate => {
+    if (sampleRate < 16000) {
+        return 64;
+    }
+    if (sampleRate < 32000) {
+        return 160;
+    }
+    return 320;
+};
+
+/**
+ * @param {SoundInfo} info The sound
+ * @param {ExportOptions} options How it will be exported
+ * @returns {number} Approximate size of the exported file in bytes. Exact for WAV.
+ */
+const estimateExportSize = (info, options) => {
+    if (options.format === FORMAT_ORIGINAL) {
+        return info.size;
+    }
+    const duration = info.sampleCount / info.sampleRate;
+    if (options.format === FORMAT_WAV) {
+        const channels = options.mono ? 1 : info.channels;
+        return getWavSize(Math.ceil(duration * options.sampleRate), channels, options.bitDepth);
+    }
+    // MP3 and Opus use a constant or close to constant bitrate
+    const bitrate = options.format === FORMAT_MP3 ?
+        Math.min(options.bitrate, getMaxMp3Bitrate(options.sampleRate)) :
+        options.bitrate;
+    return Math.ceil(duration * bitrate * 1000 / 8);
+};
+
+/**
+ * @param {SoundInfo} info The sound
+ * @param {object} options What to change
+ * @param {boolean} options.mono Mix all channels into one
+ * @param {boolean} options.resample Lower the sample rate to IMPORT_SAMPLE_RATE
+ * @returns {number} Size of the sound after converting it, in bytes
+ */
+const getConvertedImportSize = (info, options) => {
+    const sampleRate = options.resample ? Math.min(info.sampleRate, IMPORT_SAMPLE_RATE) : info.sampleRate;
+    const channels = options.mono ? 1 : info.channels;
+    const sampleCount = Math.ceil(info.sampleCount * sampleRate / info.sampleRate);
+    return getWavSize(sampleCount, channels, IMPORT_BIT_DEPTH);
+};
+
+/**
+ * Converting a compressed file such as an MP3 to WAV can make it bigger even at a lower sample rate, so sounds
+ * are only converted when that makes them smaller.
+ * @param {SoundInfo} info The sound
+ * @param {object} options See getConvertedImportSize()
+ * @returns {boolean} True if the sound should be converted
+ */
+const shouldConvertForImport = (info, options) => (
+    ((options.mono && info.channels > 1) || (options.resample && info.sampleRate > IMPORT_SAMPLE_RATE)) &&
+    getConvertedImportSize(info, options) < info.size
+);
+
+/**
+ * @param {SoundInfo} info The sound
+ * @param {object} options See getConvertedImportSize()
+ * @returns {number} Size of the sound after importing it, in bytes
+ */
+const estimateImportSize = (info, options) => (
+    shouldConvertForImport(info, options) ? getConvertedImportSize(info, options) : info.size
+);
+
+/**
+ * @returns {boolean} True if this browser can export Ogg files
+ */
+const canExportOgg = () => typeof AudioEncoder !== 'undefined' && typeof AudioData !== 'undefined';
+
+/**
+ * @param {ArrayBuffer} arrayBuffer Encoded sound. Not modified.
+ * @returns {Promise<AudioBuffer>} Decoded sound
+ */
+const decodeSound = arrayBuffer => {
+    /** @type {AudioContext} */
+    const audioContext = new SharedAudioContext();
+    // decodeAudioData detaches the buffer it is given
+    return audioContext.decodeAudioData(arrayBuffer.slice(0));
+};
+
+// File types that are stored in projects without being converted. See soundUpload() in file-uploader.js.
+const UNCONVERTED_TYPES = [
+    'audio/mp3',
+    'audio/mpeg',
+    'audio/wav',
+    'audio/wave',
+    'audio/x-wav',
+    'audio/x-pn-wav'
+];
+
+/**
+ * @typedef AnalyzedSound
+ * @property {AudioBuffer} audioBuffer Decoded sound
+ * @property {SoundInfo} info Information about the sound. size is how big it would be if it was imported as-is.
+ */
+
+/**
+ * @param {ArrayBuffer} arrayBuffer Uploaded file. Not modified.
+ * @param {string} fileType MIME type of the file
+ * @returns {Promise<AnalyzedSound>} Information about the sound
+ */
+const analyzeSound = async (arrayBuffer, fileType) => {
+    const audioBuffer = await decodeSound(arrayBuffer);
+    const info = {
+        sampleRate: audioBuffer.sampleRate,
+        sampleCount: audioBuffer.length,
+        channels: audioBuffer.numberOfChannels,
+        size: 0
+    };
+    // Other formats are converted to 16-bit WAV at the decoded sample rate
+    info.size = UNCONVERTED_TYPES.includes(fileType) ?
+        arrayBuffer.byteLength :
+        getWavSize(info.sampleCount, info.channels, IMPORT_BIT_DEPTH);
+    return {
+        audioBuffer,
+        info
+    };
+};
+
+/**
+ * @param {AudioBuffer} audioBuffer Decoded sound
+ * @param {number} sampleRate New sample rate
+ * @param {number} channels New number of channels. Extra channels are mixed together.
+ * @returns {Promise<Float32Array[]>} Samples of each channel
+ */
+const renderSound = (audioBuffer, sampleRate, channels) => {
+    if (audioBuffer.sampleRate === sampleRate && audioBuffer.numberOfChannels === channels) {
+        const channelData = [];
+        for (let i = 0; i < channels; i++) {
+            channelData.push(audioBuffer.getChannelData(i));
+        }
+        return Promise.resolve(channelData);
+    }
+    return new Promise(resolve => {
+        const length = Math.max(1, Math.ceil(audioBuffer.duration * sampleRate));
+        const offlineContext = new (window.OfflineAudioContext || window.webkitOfflineAudioContext)(
+            channels, length, sampleRate);
+        const source = offlineContext.createBufferSource();
+        source.buffer = audioBuffer;
+        // The destination mixes the source's channels into however many it has
+        source.connect(offlineContext.destination);
+        source.start();
+        offlineContext.oncomplete = ({renderedBuffer}) => {
+            const channelData = [];
+            for (let i = 0; i < channels; i++) {
+                channelData.push(renderedBuffer.getChannelData(i));
+            }
+            resolve(channelData);
+        };
+        offlineContext.startRendering();
+    });
+};
+
+/**
+ * @param {Float32Array} samples Samples from -1 to 1
+ * @returns {Int16Array} 16-bit samples
+ */
+const toInt16 = samples => {
+    const result = new Int16Array(samples.length);
+    for (let i = 0; i < samples.length; i++) {
+        const sample = Math.max(-1, Math.min(1, samples[i]));
+        result[i] = sample < 0 ? sample * 0x8000 : sample * 0x7fff;
+    }
+    return result;
+};
+
+/**
+ * @param {Uint8Array[]} chunks Data
+ * @returns {Uint8Array} All of the chunks in one array
+ */
+const concatenate = chunks => {
+    const result = new Uint8Array(chunks.reduce((total, chunk) => total + chunk.length, 0));
+    let offset = 0;
+    for (const chunk of chunks) {
+        result.set(chunk, offset);
+        offset += chunk.length;
+    }
+    return result;
+};
+
+/**
+ * @param {Float32Array[]} channelData Samples of each channel
+ * @param {number} sampleRate Sample rate
+ * @param {number} bitDepth Bits per sample. 32 means floating point.
+ * @returns {Promise<ArrayBuffer>} .wav file
+ */
+const encodeWav = (channelData, sampleRate, bitDepth) => WavEncoder.encode({
+    sampleRate,
+    channelData
+}, {
+    bitDepth,
+    float: bitDepth === 32
+});
+
+// Number of samples to give the MP3 encoder at once. A multiple of the MP3 frame size.
+const MP3_BLOCK_SIZE = 1152 * 16;
+
+/**
+ * @param {Float32Array[]} channelData Samples of one or two channels
+ * @param {number} sampleRate Sample rate
+ * @param {number} bitrate Bitrate in kbps
+ * @returns {Promise<Uint8Array>} .mp3 file
+ */
+const encodeMp3 = async (channelData, sampleRate, bitrate) => {
+    // The encoder is large and rarely used, so it's only loaded when needed
+    const {Mp3Encoder} = await import(/* webpackChunkName: "lamejs" */ '@breezystack/lamejs');
+    const left = toInt16(channelData[0]);
+    const right = channelData.length > 1 ? toInt16(channelData[1]) : null;
+    const encoder = new Mp3Encoder(right ? 2 : 1, sampleRate, bitrate);
+    const chunks = [];
+    for (let i = 0; i < left.length; i += MP3_BLOCK_SIZE) {
+        const leftBlock = left.subarray(i, i + MP3_BLOCK_SIZE);
+        chunks.push(right ?
+            encoder.encodeBuffer(leftBlock, right.subarray(i, i + MP3_BLOCK_SIZE)) :
+            encoder.encodeBuffer(leftBlock));
+    }
+    chunks.push(encoder.flush());
+    return concatenate(chunks);
+};
+
+/**
+ * @param {Float32Array[]} channelData Samples of one or two channels at OPUS_SAMPLE_RATE
+ * @param {number} inputSampleRate Sample rate of the original sound, stored in the file for reference
+ * @param {number} bitrate Bitrate in kbps
+ * @returns {Promise<Uint8Array>} .ogg file containing Opus
+ */
+const encodeOgg = async (channelData, inputSampleRate, bitrate) => {
+    if (!canExportOgg()) {
+        throw new Error('Ogg export is not supported in this browser');
+    }
+    const config = {
+        codec: 'opus',
+        sampleRate: OPUS_SAMPLE_RATE,
+        numberOfChannels: channelData.length,
+        bitrate: bitrate * 1000
+    };
+    const support = await AudioEncoder.isConfigSupported(config);
+    if (!support.supported) {
+        throw new Error('Ogg export is not supported in this browser');
+    }
+
+    const packets = [];
+    let description = null;
+    let encoderError = null;
+    const encoder = new AudioEncoder({
+        output: (chunk, metadata) => {
+            const data = new Uint8Array(chunk.byteLength);
+            chunk.copyTo(data);
+            packets.push({
+                data,
+                // Opus packets are usually 20ms
+                duration: chunk.duration ? Math.round(chunk.duration * OPUS_SAMPLE_RATE / 1000000) : 960
+            });
+            if (metadata && metadata.decoderConfig && metadata.decoderConfig.description) {
+                description = metadata.decoderConfig.description;
+            }
+        },
+        error: error => {
+            encoderError = error;
+        }
+    });
+    encoder.configure(config);
+
+    const sampleCount = channelData[0].length;
+    for (let offset = 0; offset < sampleCount; offset += OPUS_SAMPLE_RATE) {
+        const frames = Math.min(OPUS_SAMPLE_RATE, sampleCount - offset);
+        const planar = new Float32Array(frames * channelData.length);
+        channelData.forEach((samples, channel) => {
+            planar.set(samples.subarray(offset, offset + frames), channel * frames);
+        });
+        const audioData = new AudioData({
+            format: 'f32-planar',
+            sampleRate: OPUS_SAMPLE_RATE,
+            numberOfFrames: frames,
+            numberOfChannels: channelData.length,
+            timestamp: Math.round(offset * 1000000 / OPUS_SAMPLE_RATE),
+            data: planar
+        });
+        encoder.encode(audioData);
+        audioData.close();
+    }
+    await encoder.flush();
+    encoder.close();
+    if (encoderError) {
+        throw encoderError;
+    }
+
+    return createOggOpusFile(packets, {
+        channels: channelData.length,
+        preSkip: getPreSkip(description),
+        inputSampleRate,
+        sampleCount
+    });
+};
+
+/**
+ * @typedef ExportedSound
+ * @property {ArrayBuffer|Uint8Array} data File data
+ * @property {string} contentType MIME type
+ * @property {string} extension File extension without a period
+ */
+
+/**
+ * @param {AudioBuffer} audioBuffer Decoded sound
+ * @param {ExportOptions} options How to export it. Must not be FORMAT_ORIGINAL.
+ * @returns {Promise<ExportedSound>} The exported file
+ */
+const exportSound = async (audioBuffer, options) => {
+    // MP3 and Opus only support up to 2 channels
+    const maxChannels = options.format === FORMAT_WAV ? audioBuffer.numberOfChannels : 2;
+    const channels = options.mono ? 1 : Math.min(maxChannels, audioBuffer.numberOfChannels);
+    const sampleRate = options.format === FORMAT_OGG ? OPUS_SAMPLE_RATE : options.sampleRate;
+    const channelData = await renderSound(audioBuffer, sampleRate, channels);
+
+    let data;
+    switch (options.format) {
+    case FORMAT_WAV:
+        data = await encodeWav(channelData, sampleRate, options.bitDepth);
+        break;
+    case FORMAT_MP3:
+        data = await encodeMp3(channelData, sampleRate, options.bitrate);
+        break;
+    case FORMAT_OGG:
+        data = await encodeOgg(channelData, audioBuffer.sampleRate, options.bitrate);
+        break;
+    default:
+        throw new Error(`Unknown format: ${options.format}`);
+    }
+
+    return {
+        data,
+        contentType: CONTENT_TYPES[options.format],
+        extension: options.format
+    };
+};
+
+/**
+ * @param {AudioBuffer} audioBuffer Decoded sound
+ * @param {object} options See getConvertedImportSize()
+ * @returns {Promise<ArrayBuffer>} .wav file with the changes
+ */
+const convertForImport = async (audioBuffer, options) => {
+    const sampleRate = options.resample ?
+        Math.min(audioBuffer.sampleRate, IMPORT_SAMPLE_RATE) :
+        audioBuffer.sampleRate;
+    const channels = options.mono ? 1 : audioBuffer.numberOfChannels;
+    const channelData = await renderSound(audioBuffer, sampleRate, channels);
+    return encodeWav(channelData, sampleRate, IMPORT_BIT_DEPTH);
+};
+
+export {
+    FORMAT_ORIGINAL,
+    FORMAT_WAV,
+    FORMAT_MP3,
+    FORMAT_OGG,
+    SAMPLE_RATES,
+    WAV_BIT_DEPTHS,
+    BITRATES,
+    IMPORT_SAMPLE_RATE,
+    analyzeSound,
+    canExportOgg,
+    convertForImport,
+    decodeSound,
+    estimateExportSize,
+    estimateImportSize,
+    exportSound,
+    getDefaultExportOptions,
+    getWavSize,
+    shouldConvertForImport
+};
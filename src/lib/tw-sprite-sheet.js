@@ -0,0 +1,252 @@
+/**
+ * @fileoverview
+ * Slices sprite sheets into separate costumes, either by a grid or by the JSON atlas that tools such as
+ * TexturePacker and Aseprite export next to the image. Both the "hash" and "array" flavors of the atlas
+ * format are supported.
+ */
+
+/**
+ * @typedef SheetFrame
+ * @property {string|null} name Name from the atlas, if any
+ * @property {number} x Left edge of the frame in the sheet
+ * @property {number} y Top edge of the frame in the sheet
+ * @property {number} width Width of the frame, before rotation
+ * @property {number} height Height of the frame, before rotation
+ * @property {boolean} rotated True if the frame is stored rotated 90 degrees clockwise in the sheet
+ * @property {number} offsetX Where the frame goes in the untrimmed costume
+ * @property {number} offsetY Where the frame goes in the untrimmed costume
+ * @property {number} sourceWidth Width of the costume before transparent edges were trimmed
+ * @property {number} sourceHeight Height of the costume before transparent edges were trimmed
+ */
+
+/**
+ * @typedef SlicedFrame
+ * @property {string|null} name Name from the atlas, if any
+ * @property {string} dataURL The frame as a PNG data: URL
+ */
+
+/**
+ * @typedef GridOptions
+ * @property {number} columns Number of frames in each row
+ * @property {number} rows Number of rows
+ */
+
+// Sheets with more frames than this are almost certainly a mistake in the grid size
+const MAX_FRAMES = 1000;
+
+/**
+ * @param {unknown} value Possibly invalid number
+ * @param {number} fallback Returned if value isn't a positive integer
+ * @returns {number} Positive integer
+ */
+const positiveInteger = (value, fallback) => {
+    const number = Math.floor(+value);
+    return number > 0 ? number : fallback;
+};
+
+/**
+ * @param {number} x Left edge
+ * @param {number} y Top edge
+ * @param {number} width Width
+ * @param {number} height Height
+ * @param {string|null} name Name
+ * @returns {SheetFrame} An untrimmed, unrotated frame
+ */
+const simpleFrame = (x, y, width, height, name) => ({
+    name,
+    x,
+    y,
+    width,
+    height,
+    rotated: false,
+    offsetX: 0,
+    offsetY: 0,
+    sourceWidth: width,
+    sourceHeight: height
+});
+
+/**
+ * Most sheets made for Scratch are a single row or column of square frames.
+ * @param {number} sheetWidth Width of the sheet
+ * @param {number} sheetHeight Height of the sheet
+ * @returns {GridOptions} Likely grid size
+ */
+const guessGrid = (sheetWidth, sheetHeight) => {
+    if (sheetWidth > sheetHeight && sheetHeight > 0 && sheetWidth % sheetHeight === 0) {
+        return {
+            columns: sheetWidth / sheetHeight,
+            rows: 1
+        };
+    }
+    if (sheetHeight > sheetWidth && sheetWidth > 0 && sheetHeight % sheetWidth === 0) {
+        return {
+            columns: 1,
+            rows: sheetHeight / sheetWidth
+        };
+    }
+    return {
+        columns: 1,
+        rows: 1
+    };
+};
+
+/**
+ * Split a sheet into equally sized cells, left to right then top to bottom.
+ * Pixels that don't fit in a whole cell are ignored.
+ * @param {number} sheetWidth Width of the sheet
+ * @param {number} sheetHeight Height of the sheet
+ * @param {GridOptions} options Grid size
+ * @returns {SheetFrame[]} Frames
+ */
+const getGridFrames = (sheetWidth, sheetHeight, options) => {
+    const columns = Math.min(positiveInteger(options.columns, 1), sheetWidth);
+    const rows = Math.min(positiveInteger(options.rows, 1), sheetHeight);
+    const width = Math.floor(sheetWidth / columns);
+    const height = Math.floor(sheetHeight / rows);
+    const frames = [];
+    for (let row = 0; row < rows; row++) {
+        for (let column = 0; column < columns; column++) {
+            if (frames.length === MAX_FRAMES) {
+                return frames;
+            }
+            frames.push(simpleFrame(column * width, row * height, width, height, null));
+        }
+    }
+    return frames;
+};
+
+/**
+ * @param {object} rect Possibly invalid rectangle from an atlas, like {x, y, w, h}
+ * @returns {boolean} True if the rectangle has sensible numbers
+ */
+const isValidRect = rect => (
+    !!rect &&
+    typeof rect === 'object' &&
+    ['x', 'y', 'w', 'h'].every(key => typeof rect[key] === 'number' && isFinite(rect[key])) &&
+    rect.w > 0 &&
+    rect.h > 0
+);
+
+/**
+ * @param {string} name Name from an atlas, usually a file name
+ * @returns {string} Name with the folders and extension removed
+ */
+const cleanFrameName = name => name
+    .split('/')
+    .pop()
+    .replace(/\.(png|jpe?g|gif|webp|bmp|aseprite|ase)$/i, '');
+
+/**
+ * @param {unknown} json Parsed atlas JSON
+ * @returns {SheetFrame[]} Frames in the order they appear in the atlas
+ * @throws {Error} If the JSON isn't an atlas
+ */
+const parseAtlas = json => {
+    if (!json || typeof json !== 'object' || !json.frames || typeof json.frames !== 'object') {
+        throw new Error('Atlas has no frames');
+    }
+    // Array format: [{filename, frame, ...}]; hash format: {filename: {frame, ...}}
+    const entries = Array.isArray(json.frames) ?
+        json.frames.map(i => [i && (i.filename || i.name), i]) :
+        Object.entries(json.frames);
+
+    const frames = [];
+    for (const [name, data] of entries) {
+        if (!data || !isValidRect(data.frame)) {
+            continue;
+        }
+        const rect = data.frame;
+        const rotated = data.rotated === true;
+        const trimmed = data.trimmed === true &&
+            isValidRect(data.spriteSourceSize) &&
+            data.sourceSize &&
+            data.sourceSize.w > 0 &&
+            data.sourceSize.h > 0;
+        frames.push({
+            name: typeof name === 'string' ? cleanFrameName(name) : null,
+            x: rect.x,
+            y: rect.y,
+            width: rect.w,
+            height: rect.h,
+            rotated,
+            offsetX: trimmed ? data.spriteSourceSize.x : 0,
+            offsetY: trimmed ? data.spriteSourceSize.y : 0,
+            sourceWidth: trimmed ? data.sourceSize.w : rect.w,
+            sourceHeight: trimmed ? data.sourceSize.h : rect.h
+        });
+        if (frames.length === MAX_FRAMES) {
+            break;
+        }
+    }
+    if (frames.length === 0) {
+        throw new Error('Atlas has no frames');
+    }
+    return frames;
+};
+
+/**
+ * @param {CanvasImageSource} image The sheet
+ * @param {SheetFrame} frame Part of the sheet
+ * @returns {HTMLCanvasElement} Canvas with just that frame, untrimmed and unrotated
+ */
+const drawFrame = (image, frame) => {
+    const canvas = document.createElement('canvas');
+    canvas.width = frame.sourceWidth;
+    canvas.height = frame.sourceHeight;
+    const ctx = canvas.getContext('2d');
+    if (frame.rotated) {
+        // The frame occupies height x width pixels in the sheet, turned clockwise
+        ctx.translate(frame.offsetX, frame.offsetY + frame.height);
+        ctx.rotate(-Math.PI / 2);
+        ctx.drawImage(image, frame.x, frame.y, frame.height, frame.width, 0, 0, frame.height, frame.width);
+    } else {
+        ctx.drawImage(
+            image,
+            frame.x, frame.y, frame.width, frame.height,
+            frame.offsetX, frame.offsetY, frame.width, frame.height
+        );
+    }
+    return canvas;
+};
+
+/**
+ * @param {HTMLCanvasElement} canvas Canvas
+ * @returns {boolean} True if every pixel is fully transparent
+ */
+const isCanvasEmpty = canvas => {
+    const data = canvas.getContext('2d').getImageData(0, 0, canvas.width, canvas.height).data;
+    for (let i = 3; i < data.length; i += 4) {
+        if (data[i] !== 0) {
+            return false;
+        }
+    }
+    return true;
+};
+
+/**
+ * @param {CanvasImageSource} image The sheet
+ * @param {SheetFrame[]} frames Parts of the sheet to cut out
+ * @param {boolean} skipEmpty If true, fully transparent frames are left out
+ * @returns {SlicedFrame[]} Each frame as a PNG
+ */
+const sliceSpriteSheet = (image, frames, skipEmpty) => {
+    const result = [];
+    for (const frame of frames) {
+        const canvas = drawFrame(image, frame);
+        if (skipEmpty && isCanvasEmpty(canvas)) {
+            continue;
+        }
+        result.push({
+            name: frame.name,
+            dataURL: canvas.toDataURL('image/png')
+        });
+    }
+    return result;
+};
+
+export {
+    getGridFrames,
+    guessGrid,
+    parseAtlas,
+    sliceSpriteSheet
+};
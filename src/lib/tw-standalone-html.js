@@ -0,0 +1,137 @@
+import JSZip from '@turbowarp/jszip';
+
+/**
+ * Format of the standalone HTML files created by "Export as HTML". The editor writes them
+ * (see tw-export-html.js) and the player in playground/standalone-player.jsx reads them.
+ * The project and options are stored in inert script elements so that the player script, which
+ * is inlined at the end of the file, can find them.
+ */
+
+export const OPTIONS_ELEMENT_ID = 'tw-standalone-options';
+export const PROJECT_ELEMENT_ID = 'tw-standalone-project';
+
+export const CLOUD_NONE = 'none';
+export const DEFAULT_CLOUD_HOST = 'wss://clouddata.turbowarp.org';
+
+/**
+ * @param {object} project Information about the current project
+ * @param {string} project.projectId Used to separate cloud variables from other projects
+ * @param {string} project.title Project title
+ * @param {number} project.width Stage width
+ * @param {number} project.height Stage height
+ * @returns {object} Options used when the user hasn't changed anything
+ */
+export const getDefaultOptions = ({projectId, title, width, height}) => ({
+    projectId,
+    title,
+    width,
+    height,
+    loadingScreen: {
+        progressBar: true,
+        text: '',
+        background: '#000000'
+    },
+    cloud: {
+        backend: CLOUD_NONE,
+        host: DEFAULT_CLOUD_HOST
+    },
+    controls: {
+        greenFlag: true,
+        stopAll: true,
+        fullscreen: true
+    },
+    autoplay: false,
+    // IDs of extensions that the editor allowed to run unsandboxed. Set by exportAsHTML().
+    unsandboxedExtensions: []
+});
+
+const escapeHTML = string => string
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+
+const toCSSColor = color => (/^#[0-9a-f]{6}$/i.test(color) ? color : '#000000');
+
+/**
+ * Make text safe to put inside of a <script> element.
+ * @param {string} string Script content
+ * @returns {string} Content that can't end the script element early
+ */
+export const escapeScriptContent = string => string
+    .replace(/<\/(script)/gi, '<\\/$1')
+    .replace(/<!--/g, '<\\!--');
+
+// "<" is escaped as a unicode escape instead so that the JSON stays valid
+const escapeJSON = object => JSON.stringify(object).replace(/</g, '\\u003c');
+
+/**
+ * @param {object} data Parts of the file
+ * @param {object} data.options Options from getDefaultOptions()
+ * @param {string} data.projectBase64 The sb3 as base64
+ * @param {string} data.playerScript Source code of the standalone player
+ * @returns {string} HTML source
+ */
+export const generateStandaloneHTML = ({options, projectBase64, playerScript}) => `<!DOCTYPE html>
+<html>
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>${escapeHTML(options.title)}</title>
+<style>
+html, body {
+    margin: 0;
+    padding: 0;
+    width: 100%;
+    height: 100%;
+    overflow: hidden;
+    background-color: ${toCSSColor(options.loadingScreen.background)};
+}
+</style>
+</head>
+<body>
+<div id="app"></div>
+<script type="application/json" id="${OPTIONS_ELEMENT_ID}">${escapeJSON(options)}</script>
+<script type="application/octet-stream" id="${PROJECT_ELEMENT_ID}">${projectBase64}</script>
+<script>${escapeScriptContent(playerScript)}</script>
+</body>
+</html>
+`;
+
+/**
+ * @param {Document} doc The document of the standalone file
+ * @returns {{options: object, projectBase64: string}} Data written by generateStandaloneHTML()
+ */
+export const readStandaloneData = doc => ({
+    options: JSON.parse(doc.getElementById(OPTIONS_ELEMENT_ID).textContent),
+    projectBase64: doc.getElementById(PROJECT_ELEMENT_ID).textContent.trim()
+});
+
+/**
+ * Every extension in an exported project was allowed by the editor and embedded as a data: URL.
+ * The player must only load those, and only run the ones listed in options.unsandboxedExtensions
+ * without a sandbox.
+ * @param {ArrayBuffer} sb3 The project
+ * @param {string[]} unsandboxedExtensions Extension IDs from options.unsandboxedExtensions
+ * @returns {Promise<{embedded: Set<string>, unsandboxed: Set<string>}>} URLs of embedded extensions
+ */
+export const getEmbeddedExtensions = async (sb3, unsandboxedExtensions) => {
+    const zip = await JSZip.loadAsync(sb3);
+    const projectJSON = JSON.parse(await zip.file('project.json').async('text'));
+    const extensionURLs = projectJSON.extensionURLs || {};
+    const embedded = new Set();
+    const unsandboxed = new Set();
+    for (const extensionId of Object.keys(extensionURLs)) {
+        const url = extensionURLs[extensionId];
+        if (url.startsWith('data:')) {
+            embedded.add(url);
+            if (unsandboxedExtensions.includes(extensionId)) {
+                unsandboxed.add(url);
+            }
+        }
+    }
+    return {
+        embedded,
+        unsandboxed
+    };
+};
@@ -7,7 +7,8 @@ import log from './log';
 import {defineMessages, intlShape, injectIntl} from 'react-intl';
 
 import {
-    setUsername
+    setUsername,
+    setCloudBackend
 } from '../reducers/tw';
 import {
     defaultProjectId,
@@ -18,6 +19,7 @@ import {
     setFullScreen
 } from '../reducers/mode';
 import {generateRandomUsername} from './tw-username';
+import {isCloudBackend} from './tw-cloud-backends';
 import {setSearchParams} from './tw-navigation-utils';
 import {defaultStageSize} from '../reducers/custom-stage-size';
 
@@ -37,6 +39,7 @@ const messages = defineMessages({
 });
 
 const USERNAME_KEY = 'tw:username';
+const CLOUD_BACKEND_KEY = 'tw:cloud_backend';
 
 /**
  * The State Manager is responsible for managing persistent state and the URL.
@@ -318,6 +321,17 @@ const TWStateManager = function (WrappedComponent) {
                 }
             }
 
+            if (isCloudBackend(urlParams.get('cloud_backend'))) {
+                // Like usernames, backends from the URL are not saved
+                this.doNotPersistCloudBackend = true;
+                this.props.onSetCloudBackend(urlParams.get('cloud_backend'));
+            } else if (!this.props.isEmbedded) {
+                const persistentCloudBackend = getLocalStorage(CLOUD_BACKEND_KEY);
+                if (isCloudBackend(persistentCloudBackend)) {
+                    this.props.onSetCloudBackend(persistentCloudBackend);
+                }
+            }
+
             if (urlParams.has('hqpen')) {
                 this.props.vm.renderer.setUseHighQualityRender(true);
             }
@@ -381,6 +395,10 @@ const TWStateManager = function (WrappedComponent) {
                 setLocalStorage(USERNAME_KEY, this.props.username);
             }
 
+            if (this.props.cloudBackend !== prevProps.cloudBackend && !this.doNotPersistCloudBackend) {
+                setLocalStorage(CLOUD_BACKEND_KEY, this.props.cloudBackend);
+            }
+
             if (
                 this.props.reduxProjectId !== prevProps.reduxProjectId ||
                 this.props.isPlayerOnly !== prevProps.isPlayerOnly ||
@@ -512,6 +530,7 @@ const TWStateManager = function (WrappedComponent) {
             const {
                 /* eslint-disable no-unused-vars */
                 intl,
+                cloudBackend,
                 customStageSize,
                 isFullScreen,
                 isPlayerOnly,
@@ -524,6 +543,7 @@ const TWStateManager = function (WrappedComponent) {
                 interpolation,
                 turbo,
                 onSetIsFullScreen,
+                onSetCloudBackend,
                 onSetIsPlayerOnly,
                 onSetProjectId,
                 onSetUsername,
@@ -543,6 +563,7 @@ const TWStateManager = function (WrappedComponent) {
     }
     StateManagerComponent.propTypes = {
         intl: intlShape,
+        cloudBackend: PropTypes.string,
         customStageSize: PropTypes.shape({
             width: PropTypes.number,
             height: PropTypes.number
@@ -565,6 +586,7 @@ const TWStateManager = function (WrappedComponent) {
         framerate: PropTypes.number,
         interpolation: PropTypes.bool,
         turbo: PropTypes.bool,
+        onSetCloudBackend: PropTypes.func,
         onSetIsFullScreen: PropTypes.func,
         onSetIsPlayerOnly: PropTypes.func,
         onSetProjectId: PropTypes.func,
@@ -578,6 +600,7 @@ const TWStateManager = function (WrappedComponent) {
         routingStyle: process.env.ROUTING_STYLE
     };
     const mapStateToProps = state => ({
+        cloudBackend: state.scratchGui.tw.cloudBackend,
         customStageSize: state.scratchGui.customStageSize,
         isFullScreen: state.scratchGui.mode.isFullScreen,
         isPlayerOnly: state.scratchGui.mode.isPlayerOnly,
@@ -594,6 +617,7 @@ const TWStateManager = function (WrappedComponent) {
         vm: state.scratchGui.vm
     });
     const mapDispatchToProps = dispatch => ({
+        onSetCloudBackend: cloudBackend => dispatch(setCloudBackend(cloudBackend)),
         onSetIsFullScreen: isFullScreen => dispatch(setFullScreen(isFullScreen)),
         onSetIsPlayerOnly: isPlayerOnly => dispatch(setPlayer(isPlayerOnly)),
         onSetProjectId: projectId => dispatch(setProjectId(projectId)),
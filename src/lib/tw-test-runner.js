@@ -0,0 +1,276 @@
+/**
+ * @fileoverview
+ * Runs a project unattended and collects what it did so that automated checks can decide
+ * whether it worked. Used by the test runner page, which is meant to be driven by a headless browser.
+ */
+
+const RESULT_MESSAGE_TYPE = 'tw-test-result';
+
+// Same procedure codes as the debugger addon so projects can use its log blocks.
+const LOG_BLOCKS = {
+    log: '\u200B\u200Blog\u200B\u200B %s',
+    warn: '\u200B\u200Bwarn\u200B\u200B %s',
+    error: '\u200B\u200Berror\u200B\u200B %s'
+};
+
+const REASON_DONE = 'done';
+const REASON_STOPPED = 'stopped';
+const REASON_TIMEOUT = 'timeout';
+const REASON_ERROR = 'error';
+
+const STATUS_PASS = 'pass';
+const STATUS_FAIL = 'fail';
+
+/**
+ * @typedef TestRunnerOptions
+ * @property {number} timeout Seconds to wait before giving up
+ * @property {string} doneBroadcast Name of the broadcast that means the project finished testing
+ * @property {boolean} requireDone If true, timing out before doneBroadcast is a failure
+ */
+
+/**
+ * @typedef OutputEntry
+ * @property {number} time Milliseconds since the test started
+ * @property {string} target Name of the sprite
+ * @property {string} type say or think for speech bubbles; log, warn, or error for debugger logs
+ * @property {string} text Content
+ */
+
+/**
+ * @typedef TestResult
+ * @property {string} type Always RESULT_MESSAGE_TYPE so listeners can recognize the message
+ * @property {'pass'|'fail'} status Overall result
+ * @property {'done'|'stopped'|'timeout'|'error'} reason Why the test ended
+ * @property {string[]} failures Human readable reasons that the test failed
+ * @property {number} duration Milliseconds the test ran for
+ * @property {OutputEntry[]} say Speech bubbles in the order they appeared
+ * @property {OutputEntry[]} logs Debugger log blocks in the order they ran
+ * @property {Record<string, Record<string, unknown>>} variables Final variable and list values by sprite name
+ */
+
+/**
+ * @param {URLSearchParams} searchParams URL parameters
+ * @returns {TestRunnerOptions} Options
+ */
+const parseTestRunnerOptions = searchParams => {
+    const timeout = +searchParams.get('timeout');
+    return {
+        timeout: Number.isFinite(timeout) && timeout > 0 ? timeout : 10,
+        doneBroadcast: searchParams.get('done') || 'test done',
+        requireDone: searchParams.has('require_done')
+    };
+};
+
+/**
+ * @param {VirtualMachine} vm Scratch VM
+ * @returns {Record<string, Record<string, unknown>>} Variable and list values of every original sprite and the stage
+ */
+const getVariableValues = vm => {
+    const result = {};
+    for (const target of vm.runtime.targets) {
+        if (!target.isOriginal) {
+            continue;
+        }
+        const values = {};
+        for (const variable of Object.values(target.variables)) {
+            if (variable.type === '' || variable.type === 'list') {
+                values[variable.name] = Array.isArray(variable.value) ? variable.value.slice() : variable.value;
+            }
+        }
+        result[target.getName()] = values;
+    }
+    return result;
+};
+
+class TestRunner {
+    /**
+     * @param {VirtualMachine} vm Scratch VM with a project loaded
+     * @param {TestRunnerOptions} options Options
+     */
+    constructor (vm, options) {
+        this.vm = vm;
+        this.options = options;
+        this.startTime = 0;
+        /** @type {OutputEntry[]} */
+        this.say = [];
+        /** @type {OutputEntry[]} */
+        this.logs = [];
+        this.finished = false;
+        this.resolve = null;
+        this.timeout = null;
+
+        this.handleSay = this.handleSay.bind(this);
+        this.handleStop = this.handleStop.bind(this);
+    }
+
+    now () {
+        return Math.round(performance.now() - this.startTime);
+    }
+
+    handleSay (target, type, text) {
+        // Bubbles are cleared by saying an empty string
+        if (text === '') {
+            return;
+        }
+        this.say.push({
+            time: this.now(),
+            target: target.getName(),
+            type,
+            text: `${text}`
+        });
+    }
+
+    handleStop () {
+        this.finish(REASON_STOPPED);
+    }
+
+    installLogBlocks () {
+        for (const [type, procedureCode] of Object.entries(LOG_BLOCKS)) {
+            // Don't replace the debugger addon's blocks if it is running
+            if (this.vm.runtime.getAddonBlock(procedureCode)) {
+                continue;
+            }
+            this.vm.addAddonBlock({
+                procedureCode,
+                arguments: ['content'],
+                callback: ({content}, util) => {
+                    this.logs.push({
+                        time: this.now(),
+                        target: util.target.getName(),
+                        type,
+                        text: `${content}`
+                    });
+                }
+            });
+        }
+    }
+
+    installBroadcastListener () {
+        const runner = this;
+        const runtime = this.vm.runtime;
+        const doneBroadcast = this.options.doneBroadcast.toLowerCase();
+        const originalStartHats = runtime.startHats;
+        runtime.startHats = function (opcode, matchFields, target) {
+            if (
+                opcode === 'event_whenbroadcastreceived' &&
+                matchFields &&
+                `${matchFields.BROADCAST_OPTION}`.toLowerCase() === doneBroadcast
+            ) {
+                // Wait for the current step to end so we don't stop the project while it's running blocks
+                Promise.resolve().then(() => runner.finish(REASON_DONE));
+            }
+            return originalStartHats.call(this, opcode, matchFields, target);
+        };
+        this.uninstallBroadcastListener = () => {
+            runtime.startHats = originalStartHats;
+        };
+    }
+
+    /**
+     * Press the green flag and wait for the test to end.
+     * @returns {Promise<TestResult>} Resolves when the project is done, stops on its own, or times out
+     */
+    run () {
+        return new Promise(resolve => {
+            this.resolve = resolve;
+            this.startTime = performance.now();
+            this.installLogBlocks();
+            this.installBroadcastListener();
+            this.vm.runtime.on('SAY', this.handleSay);
+            this.vm.runtime.on('PROJECT_RUN_STOP', this.handleStop);
+            this.timeout = setTimeout(() => this.finish(REASON_TIMEOUT), this.options.timeout * 1000);
+            this.vm.start();
+            this.vm.greenFlag();
+        });
+    }
+
+    /**
+     * @param {'done'|'stopped'|'timeout'} reason Why the test ended
+     */
+    finish (reason) {
+        if (this.finished) {
+            return;
+        }
+        this.finished = true;
+        clearTimeout(this.timeout);
+        this.uninstallBroadcastListener();
+        this.vm.runtime.off('SAY', this.handleSay);
+        this.vm.runtime.off('PROJECT_RUN_STOP', this.handleStop);
+        // Stop scripts that are still running so that the variables don't change after we report them
+        this.vm.stopAll();
+
+        const failures = [];
+        for (const log of this.logs) {
+            if (log.type === 'error') {
+                failures.push(`${log.target}: ${log.text}`);
+            }
+        }
+        if (reason !== REASON_DONE && this.options.requireDone) {
+            failures.push(`Did not broadcast "${this.options.doneBroadcast}"`);
+        }
+
+        this.resolve({
+            type: RESULT_MESSAGE_TYPE,
+            status: failures.length === 0 ? STATUS_PASS : STATUS_FAIL,
+            reason,
+            failures,
+            duration: this.now(),
+            say: this.say,
+            logs: this.logs,
+            variables: getVariableValues(this.vm)
+        });
+    }
+}
+
+/**
+ * @param {unknown} error Error that prevented the project from being tested, such as a load error
+ * @returns {TestResult} Failed result
+ */
+const createErrorResult = error => ({
+    type: RESULT_MESSAGE_TYPE,
+    status: STATUS_FAIL,
+    reason: REASON_ERROR,
+    failures: [`${error}`],
+    duration: 0,
+    say: [],
+    logs: [],
+    variables: {}
+});
+
+/**
+ * Send a test result to everything that might be listening: a parent frame, the page itself,
+ * and the console, which is the easiest place for most headless browsers to read it from.
+ * @param {TestResult} result Result of the test
+ */
+const reportTestResult = result => {
+    const targets = [window];
+    if (window.parent !== window) {
+        targets.push(window.parent);
+    }
+    if (window.opener) {
+        targets.push(window.opener);
+    }
+    for (const target of targets) {
+        try {
+            target.postMessage(result, '*');
+        } catch (e) {
+            // ignore
+        }
+    }
+    // eslint-disable-next-line no-console
+    console.log(JSON.stringify(result));
+};
+
+export {
+    RESULT_MESSAGE_TYPE,
+    REASON_DONE,
+    REASON_STOPPED,
+    REASON_TIMEOUT,
+    REASON_ERROR,
+    STATUS_PASS,
+    STATUS_FAIL,
+    TestRunner,
+    createErrorResult,
+    parseTestRunnerOptions,
+    reportTestResult
+};
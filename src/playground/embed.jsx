@@ -6,6 +6,9 @@ import AppStateHOC from '../lib/app-state-hoc.jsx';
 import TWEmbedFullScreenHOC from '../lib/tw-embed-fullscreen-hoc.jsx';
 import TWStateManagerHOC from '../lib/tw-state-manager-hoc.jsx';
 import runAddons from '../addons/entry';
+import AddonHooks from '../addons/hooks';
+import {LoadingState, onLoadedProject, requestProjectUpload} from '../reducers/project-state';
+import {EmbedAPI, parseAllowedOrigins} from '../lib/tw-embed-api';
 import {Theme} from '../lib/themes/index.js';
 
 import GUI from './render-gui.jsx';
@@ -31,12 +34,37 @@ const projectId = getProjectId();
 const urlParams = new URLSearchParams(location.search);
 
 let vm;
+let embedAPI;
+
+// Same steps as loading a file from the computer, so the GUI knows a new project is loading
+const loadProject = data => {
+    const store = AddonHooks.appStateStore;
+    const action = requestProjectUpload(store.getState().scratchGui.projectState.loadingState);
+    if (!action) {
+        return Promise.reject(new Error('Another project is still loading'));
+    }
+    store.dispatch(action);
+    return vm.loadProject(data)
+        .then(() => {
+            store.dispatch(onLoadedProject(LoadingState.LOADING_VM_FILE_UPLOAD, false, true));
+        })
+        .catch(error => {
+            store.dispatch(onLoadedProject(LoadingState.LOADING_VM_FILE_UPLOAD, false, false));
+            throw error;
+        });
+};
 
 const onVmInit = _vm => {
     vm = _vm;
+    embedAPI = new EmbedAPI(vm, {
+        allowedOrigins: parseAllowedOrigins(urlParams),
+        loadProject
+    });
+    embedAPI.install();
 };
 
 const onProjectLoaded = () => {
+    embedAPI.emit('projectLoaded');
     if (urlParams.has('autoplay')) {
         vm.start();
         vm.greenFlag();
@@ -61,3 +89,13 @@ render(<WrappedGUI
 if (urlParams.has('addons')) {
     runAddons();
 }
+
+const store = AddonHooks.appStateStore;
+let lastError = null;
+store.subscribe(() => {
+    const error = store.getState().scratchGui.projectState.error;
+    if (error && error !== lastError) {
+        embedAPI.emitError(error);
+    }
+    lastError = error;
+});
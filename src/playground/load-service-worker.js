@@ -1,20 +1,36 @@
 import log from '../lib/log';
-import serviceWorker from '!!file-loader?name=sw.js!./service-worker.js';
+
+// sw.js is generated by ServiceWorkerPlugin in webpack.config.js from ./service-worker.js
+const SERVICE_WORKER_URL = `${process.env.ROOT}sw.js`;
 
 let loaded = false;
-const actuallyLoadServiceWorker = () => {
-    navigator.serviceWorker.register(serviceWorker)
+const actuallyLoadServiceWorker = onUpdate => {
+    // If the page is already controlled by a service worker, a new controller means that a new
+    // version was installed in the background. Otherwise this is just the first install.
+    let hadController = !!navigator.serviceWorker.controller;
+    navigator.serviceWorker.addEventListener('controllerchange', () => {
+        if (hadController && onUpdate) {
+            onUpdate();
+        }
+        hadController = true;
+    });
+    navigator.serviceWorker.register(SERVICE_WORKER_URL)
         .catch(err => {
             log.error('sw error', err);
         });
 };
-const loadServiceWorker = () => {
+
+/**
+ * Register the service worker once the page has loaded.
+ * @param {Function} [onUpdate] Called when a new version has been installed and the page should be reloaded.
+ */
+const loadServiceWorker = onUpdate => {
     if (process.env.ENABLE_SERVICE_WORKER && 'serviceWorker' in navigator && !loaded) {
         loaded = true;
         if (document.readyState === 'complete') {
-            actuallyLoadServiceWorker();
+            actuallyLoadServiceWorker(onUpdate);
         } else {
-            window.addEventListener('load', actuallyLoadServiceWorker);
+            window.addEventListener('load', () => actuallyLoadServiceWorker(onUpdate));
         }
     }
 };
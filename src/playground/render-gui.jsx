@@ -13,6 +13,7 @@ const RenderGUI = props => (
         basePath={process.env.ROOT}
         canEditTitle
         enableCommunity
+        securityPolicyURL={process.env.SECURITY_POLICY_URL || null}
         {...props}
     />
 );
@@ -21,6 +21,7 @@ import {connect} from 'react-redux';
 import {compose} from 'redux';
 import {FormattedMessage, defineMessages, injectIntl, intlShape} from 'react-intl';
 import {getIsLoading} from '../reducers/project-state.js';
+import {showStandardAlert} from '../reducers/alerts.js';
 import AppStateHOC from '../lib/app-state-hoc.jsx';
 import ErrorBoundaryHOC from '../lib/error-boundary-hoc.jsx';
 import TWProjectMetaFetcherHOC from '../lib/tw-project-meta-fetcher-hoc.jsx';
@@ -199,7 +200,7 @@ class Interface extends React.Component {
     }
     componentDidUpdate (prevProps) {
         if (prevProps.isLoading && !this.props.isLoading) {
-            loadServiceWorker();
+            loadServiceWorker(this.props.onShowUpdateAlert);
         }
     }
     handleUpdateProjectTitle (title, isDefault) {
@@ -223,6 +224,7 @@ class Interface extends React.Component {
             isLoading,
             isPlayerOnly,
             isRtl,
+            onShowUpdateAlert,
             projectId,
             /* eslint-enable no-unused-vars */
             ...props
@@ -372,6 +374,7 @@ Interface.propTypes = {
     isLoading: PropTypes.bool,
     isPlayerOnly: PropTypes.bool,
     isRtl: PropTypes.bool,
+    onShowUpdateAlert: PropTypes.func,
     projectId: PropTypes.string
 };
 
@@ -386,7 +389,9 @@ const mapStateToProps = state => ({
     projectId: state.scratchGui.projectState.projectId
 });
 
-const mapDispatchToProps = () => ({});
+const mapDispatchToProps = dispatch => ({
+    onShowUpdateAlert: () => dispatch(showStandardAlert('twUpdateAvailable'))
+});
 
 const ConnectedInterface = injectIntl(connect(
     mapStateToProps,
@@ -0,0 +1,52 @@
+// Used by ServiceWorkerPlugin in webpack.config.js, so it can't use ES modules.
+/* eslint-disable import/no-commonjs */
+
+/**
+ * @param {string} file Path of a file emitted by webpack
+ * @returns {boolean} True if the file should be available offline
+ */
+const shouldCacheFile = file => (
+    !file.endsWith('.map') &&
+    file !== 'sw.js' &&
+    !file.startsWith('test-runner') &&
+    !file.startsWith('embedtest') &&
+    !file.startsWith('static/extensions/')
+);
+
+/**
+ * The app shell is the HTML and JavaScript needed to open the editor. Without all of it, a cached
+ * version is useless, so it's cached atomically. Everything else, like images and blocks media,
+ * is cached one file at a time.
+ * @param {string} file Path of a file that will be cached
+ * @returns {boolean} True if the file is part of the app shell
+ */
+const isAppShellFile = file => file.endsWith('.html') || file.startsWith('js/');
+
+/**
+ * @param {string[]} files Paths of every file emitted by the build
+ * @returns {{shell: string[], assets: string[]}} Sorted files to cache, split into app shell and other assets
+ */
+const getFilesToCache = files => {
+    const toCache = files
+        .filter(shouldCacheFile)
+        .sort();
+    return {
+        shell: toCache.filter(isAppShellFile),
+        assets: toCache.filter(file => !isAppShellFile(file))
+    };
+};
+
+/**
+ * @param {string} template Source code of src/playground/service-worker.js
+ * @param {object} manifest The manifest to insert
+ * @returns {string} Source code of sw.js
+ */
+const generateServiceWorker = (template, manifest) => template.replace(
+    '__TW_SERVICE_WORKER_MANIFEST__;',
+    () => `${JSON.stringify(manifest)};`
+);
+
+module.exports = {
+    getFilesToCache,
+    generateServiceWorker
+};
@@ -1,9 +1,181 @@
-self.addEventListener('install', () => {
-    // Remove old service worker as soon as possible
-    self.skipWaiting();
+/* global __TW_SERVICE_WORKER_MANIFEST__ */
+
+// This file is not processed by babel or webpack. ServiceWorkerPlugin in webpack.config.js copies it
+// to sw.js and replaces __TW_SERVICE_WORKER_MANIFEST__ with {version, shell, assets, thumbnails}, where
+// shell and assets are paths relative to the service worker (see service-worker-manifest.js) and
+// thumbnails are md5exts of library thumbnails.
+// Because the manifest includes the build's hash, every build changes this file, which is how the
+// browser knows that an update is available.
+const manifest = __TW_SERVICE_WORKER_MANIFEST__;
+
+const APP_CACHE_PREFIX = 'tw-app-';
+const APP_CACHE = `${APP_CACHE_PREFIX}${manifest.version}`;
+
+// Library assets are named by their md5, so they can be shared by all versions.
+const LIBRARY_CACHE = 'tw-library';
+
+// Pages that were opened by an older version might still need to lazy load files from that version.
+const OLD_APP_CACHES_TO_KEEP = 1;
+
+const LIBRARY_ASSET_PREFIXES = [
+    'https://cdn.assets.scratch.mit.edu/internalapi/asset/',
+    'https://assets.scratch.mit.edu/internalapi/asset/'
+];
+
+const THUMBNAIL_CONCURRENCY = 6;
+
+const toURL = path => new URL(path, self.registration.scope).href;
+
+const getThumbnailURL = md5ext => `${LIBRARY_ASSET_PREFIXES[0]}${md5ext}/get/`;
+
+const isLibraryAsset = url => LIBRARY_ASSET_PREFIXES.some(prefix => url.startsWith(prefix));
+
+const fetchLibraryAsset = url => fetch(url, {
+    mode: 'cors',
+    credentials: 'omit'
+});
+
+// HTML files don't have hashes in their name, so make sure we don't get an old one from the HTTP cache
+const toAppRequest = file => new Request(toURL(file), {cache: 'no-cache'});
+
+// If any part of the app shell fails to download, the update is abandoned and the old version keeps
+// working. Other assets are cached one at a time so that one of them failing doesn't do that.
+const precacheApp = () => caches.open(APP_CACHE).then(cache => cache.addAll(manifest.shell.map(toAppRequest))
+    .then(() => Promise.allSettled(manifest.assets.map(file => cache.add(toAppRequest(file))))));
+
+// Thumbnails are nice to have, so failing to download some of them shouldn't stop the update.
+const precacheThumbnails = () => caches.open(LIBRARY_CACHE).then(cache => {
+    const urls = manifest.thumbnails.map(getThumbnailURL);
+    let index = 0;
+    const next = () => {
+        if (index >= urls.length) {
+            return Promise.resolve();
+        }
+        const url = urls[index++];
+        return cache.match(url)
+            .then(cached => {
+                if (cached) return;
+                return fetchLibraryAsset(url).then(response => {
+                    if (response.ok) {
+                        return cache.put(url, response);
+                    }
+                });
+            })
+            .catch(() => {
+                // ignore
+            })
+            .then(next);
+    };
+    const workers = [];
+    for (let i = 0; i < THUMBNAIL_CONCURRENCY; i++) {
+        workers.push(next());
+    }
+    return Promise.all(workers);
+});
+
+const removeOldCaches = () => caches.keys().then(keys => {
+    // keys() returns caches in the order they were created
+    const oldAppCaches = keys.filter(key => key.startsWith(APP_CACHE_PREFIX) && key !== APP_CACHE);
+    const cachesToKeep = [APP_CACHE, LIBRARY_CACHE].concat(oldAppCaches.slice(-OLD_APP_CACHES_TO_KEEP));
+    return Promise.all(keys
+        .filter(key => !cachesToKeep.includes(key))
+        .map(key => caches.delete(key)));
+});
+
+/**
+ * Find the HTML file that would be served for a page. Mirrors the rewrites used by the dev server
+ * so that URLs like /1234/editor work when ROUTING_STYLE=wildcard.
+ * @param {URL} url URL of the page
+ * @returns {string} URL of the HTML file
+ */
+const getPageURL = url => {
+    const scopePath = new URL(self.registration.scope).pathname;
+    let path = url.pathname.substring(scopePath.length)
+        .replace(/\/$/, '')
+        .replace(/^\d+\/?/, '');
+    if (path === '') {
+        path = 'index';
+    }
+    if (!path.endsWith('.html')) {
+        path += '.html';
+    }
+    return toURL(path);
+};
+
+// Prefer the current version, but fall back to older versions for pages that are still open.
+const matchApp = (request, options) => caches.open(APP_CACHE)
+    .then(cache => cache.match(request, options))
+    .then(response => response || caches.match(request, options));
+
+const handleNavigation = event => {
+    const pageURL = getPageURL(new URL(event.request.url));
+    event.respondWith(
+        caches.open(APP_CACHE)
+            .then(cache => cache.match(pageURL))
+            .then(response => response || fetch(event.request))
+    );
+};
+
+const handleAppFile = event => {
+    event.respondWith(
+        matchApp(event.request, {ignoreSearch: true})
+            .then(response => response || fetch(event.request))
+    );
+};
+
+const handleLibraryAsset = event => {
+    const url = event.request.url;
+    event.respondWith(caches.open(LIBRARY_CACHE).then(cache => cache.match(url).then(cached => {
+        const fromNetwork = fetchLibraryAsset(url)
+            .then(response => {
+                if (response.ok) {
+                    cache.put(url, response.clone());
+                }
+                return response;
+            })
+            // If the server stops sending CORS headers, images still work with an opaque response
+            .catch(() => fetch(event.request));
+        if (cached) {
+            // Stale-while-revalidate: answer from the cache now and update it for next time
+            event.waitUntil(fromNetwork.catch(() => {
+                // ignore
+            }));
+            return cached;
+        }
+        return fromNetwork;
+    })));
+};
+
+self.addEventListener('install', event => {
+    event.waitUntil(
+        Promise.all([
+            precacheApp(),
+            precacheThumbnails()
+        ])
+            // Pages from the old version keep working because their files stay cached, so there's no
+            // need to wait for them to be closed. The pages show a prompt to reload.
+            .then(() => self.skipWaiting())
+    );
 });
 
 self.addEventListener('activate', event => {
-    // We don't use caches any more, so remove all of them
-    event.waitUntil(caches.keys().then(keys => Promise.all(keys.map(i => caches.delete(i)))));
+    event.waitUntil(
+        removeOldCaches()
+            .then(() => self.clients.claim())
+    );
+});
+
+self.addEventListener('fetch', event => {
+    const request = event.request;
+    if (request.method !== 'GET') {
+        return;
+    }
+    const url = request.url;
+    if (request.mode === 'navigate' && url.startsWith(self.registration.scope)) {
+        handleNavigation(event);
+    } else if (url.startsWith(self.registration.scope)) {
+        handleAppFile(event);
+    } else if (isLibraryAsset(url)) {
+        handleLibraryAsset(event);
+    }
 });
@@ -0,0 +1,266 @@
+import './import-first';
+
+import PropTypes from 'prop-types';
+import React from 'react';
+import {Provider, connect} from 'react-redux';
+import {createStore, combineReducers, compose} from 'redux';
+import bindAll from 'lodash.bindall';
+import VM from 'scratch-vm';
+import locales from '@turbowarp/scratch-l10n';
+
+import localesReducer, {initLocale, localesInitialState} from '../reducers/locales';
+import guiReducer, {guiInitialState, guiMiddleware, initEmbedded, initPlayer} from '../reducers/gui';
+import {
+    LoadingState,
+    getIsLoadingWithId,
+    getIsShowingWithId,
+    onFetchedProjectData,
+    projectError,
+    setProjectId
+} from '../reducers/project-state';
+import {setCloudBackend, setCloudHost} from '../reducers/tw';
+import {detectLocale} from '../lib/detect-locale';
+import ConnectedIntlProvider from '../lib/connected-intl-provider.jsx';
+import ErrorBoundaryHOC from '../lib/error-boundary-hoc.jsx';
+import TWThemeManagerHOC from '../containers/tw-theme-manager-hoc.jsx';
+import TWFullScreenResizerHOC from '../lib/tw-fullscreen-resizer-hoc.jsx';
+import TWEmbedFullScreenHOC from '../lib/tw-embed-fullscreen-hoc.jsx';
+import FontLoaderHOC from '../lib/font-loader-hoc.jsx';
+import vmListenerHOC from '../lib/vm-listener-hoc.jsx';
+import vmManagerHOC from '../lib/vm-manager-hoc.jsx';
+import cloudManagerHOC from '../lib/cloud-manager-hoc.jsx';
+import {CLOUD_NONE, getEmbeddedExtensions, readStandaloneData} from '../lib/tw-standalone-html';
+import {base64ToArrayBuffer} from '../lib/tw-base64-utils';
+import {generateRandomUsername} from '../lib/tw-username';
+import {isRendererSupported} from '../lib/tw-environment-support-prober';
+import {STAGE_SIZE_MODES} from '../lib/layout-constants';
+import {Theme} from '../lib/themes/index.js';
+import StageWrapper from '../components/stage-wrapper/stage-wrapper.jsx';
+
+import render from './app-target';
+import styles from './standalone-player.css';
+import greenFlagStyles from '../components/green-flag/green-flag.css';
+import stopAllStyles from '../components/stop-all/stop-all.css';
+import stageHeaderStyles from '../components/stage-header/stage-header.css';
+import stageWrapperStyles from '../components/stage-wrapper/stage-wrapper.css';
+
+// This is the player inlined into files made by "Export as HTML". It must work from a file:// URL
+// without internet access, so webpack builds it as a single file with every asset inlined.
+
+const {options, projectBase64} = readStandaloneData(document);
+
+const hideControls = () => {
+    const {greenFlag, stopAll, fullscreen} = options.controls;
+    const rules = [];
+    if (!greenFlag) {
+        rules.push(`.${greenFlagStyles.greenFlag} { display: none; }`);
+    }
+    if (!stopAll) {
+        rules.push(`.${stopAllStyles.stopAll} { display: none; }`);
+    }
+    if (!fullscreen) {
+        rules.push(`.${stageHeaderStyles.fullscreenButtonsRow} { display: none; }`);
+    }
+    if (!greenFlag && !stopAll && !fullscreen) {
+        rules.push(`.${stageHeaderStyles.stageHeaderWrapperOverlay} { display: none; }`);
+        rules.push(`.${stageWrapperStyles.stageWrapper}.${stageWrapperStyles.fullScreen} { top: 0; }`);
+    }
+    if (rules.length) {
+        const style = document.createElement('style');
+        style.textContent = rules.join('\n');
+        document.head.appendChild(style);
+    }
+};
+
+const createPlayerStore = () => {
+    let initializedLocales = localesInitialState;
+    const locale = detectLocale(Object.keys(locales));
+    if (locale !== 'en') {
+        initializedLocales = initLocale(initializedLocales, locale);
+    }
+    return createStore(
+        combineReducers({
+            locales: localesReducer,
+            scratchGui: guiReducer
+        }),
+        {
+            locales: initializedLocales,
+            scratchGui: initEmbedded(initPlayer(guiInitialState))
+        },
+        guiMiddleware
+    );
+};
+
+const LoadingScreen = ({error, progress}) => (
+    <div
+        className={styles.loadingScreen}
+        style={{backgroundColor: options.loadingScreen.background}}
+    >
+        {error ? (
+            <div className={styles.error}>
+                {`${error}`}
+            </div>
+        ) : (
+            <React.Fragment>
+                {options.loadingScreen.text && (
+                    <div className={styles.loadingText}>
+                        {options.loadingScreen.text}
+                    </div>
+                )}
+                {options.loadingScreen.progressBar && (
+                    <div className={styles.progress}>
+                        <div
+                            className={styles.progressBar}
+                            style={{width: `${progress * 100}%`}}
+                        />
+                    </div>
+                )}
+            </React.Fragment>
+        )}
+    </div>
+);
+
+LoadingScreen.propTypes = {
+    error: PropTypes.oneOfType([PropTypes.object, PropTypes.string]),
+    progress: PropTypes.number
+};
+
+class StandalonePlayer extends React.Component {
+    constructor (props) {
+        super(props);
+        bindAll(this, [
+            'handleAssetProgress'
+        ]);
+        this.state = {
+            progress: 0
+        };
+    }
+    componentDidMount () {
+        const vm = this.props.vm;
+        vm.on('ASSET_PROGRESS', this.handleAssetProgress);
+
+        // The editor's security manager already decided which extensions could be embedded and which
+        // of them could run unsandboxed. Nothing else may be loaded because there is nobody to ask.
+        const projectData = base64ToArrayBuffer(projectBase64);
+        getEmbeddedExtensions(projectData, options.unsandboxedExtensions || [])
+            .then(({embedded, unsandboxed}) => {
+                vm.securityManager.getSandboxMode = url => Promise.resolve(
+                    unsandboxed.has(url) ? 'unsandboxed' : 'iframe'
+                );
+                vm.securityManager.canLoadExtensionFromProject = url => Promise.resolve(embedded.has(url));
+                this.props.onLoadProject(projectData);
+            })
+            .catch(error => {
+                this.props.onLoadError(error);
+            });
+    }
+    componentDidUpdate (prevProps) {
+        if (this.props.isShowingWithId && !prevProps.isShowingWithId) {
+            // Loading the project applies the stage size saved in it, which may not be what was chosen
+            this.props.vm.setStageSize(options.width, options.height);
+            if (options.autoplay) {
+                this.props.vm.start();
+                this.props.vm.greenFlag();
+            }
+        }
+    }
+    componentWillUnmount () {
+        this.props.vm.off('ASSET_PROGRESS', this.handleAssetProgress);
+    }
+    handleAssetProgress (finished, total) {
+        this.setState({
+            progress: total > 0 ? finished / total : 0
+        });
+    }
+    render () {
+        return (
+            <React.Fragment>
+                <StageWrapper
+                    isEmbedded
+                    isFullScreen={this.props.isFullScreen}
+                    isRendererSupported={isRendererSupported()}
+                    isRtl={this.props.isRtl}
+                    loading={false}
+                    stageSize={STAGE_SIZE_MODES.full}
+                    vm={this.props.vm}
+                />
+                {(this.props.isLoading || this.props.error) && (
+                    <LoadingScreen
+                        error={this.props.error}
+                        progress={this.state.progress}
+                    />
+                )}
+            </React.Fragment>
+        );
+    }
+}
+
+StandalonePlayer.propTypes = {
+    error: PropTypes.oneOfType([PropTypes.object, PropTypes.string]),
+    isFullScreen: PropTypes.bool,
+    isLoading: PropTypes.bool,
+    isRtl: PropTypes.bool,
+    isShowingWithId: PropTypes.bool,
+    onLoadError: PropTypes.func,
+    onLoadProject: PropTypes.func,
+    vm: PropTypes.instanceOf(VM).isRequired
+};
+
+const mapStateToProps = state => ({
+    error: state.scratchGui.projectState.error,
+    isFullScreen: state.scratchGui.mode.isFullScreen || state.scratchGui.mode.isEmbedded,
+    isLoading: getIsLoadingWithId(state.scratchGui.projectState.loadingState),
+    isRtl: state.locales.isRtl,
+    isShowingWithId: getIsShowingWithId(state.scratchGui.projectState.loadingState)
+});
+
+const mapDispatchToProps = dispatch => ({
+    onLoadError: error => {
+        dispatch(setProjectId(options.projectId));
+        dispatch(projectError(error));
+    },
+    onLoadProject: projectData => {
+        dispatch(setProjectId(options.projectId));
+        dispatch(onFetchedProjectData(projectData, LoadingState.FETCHING_WITH_ID));
+    }
+});
+
+const WrappedPlayer = compose(
+    ErrorBoundaryHOC('Standalone Player'),
+    TWThemeManagerHOC,
+    TWFullScreenResizerHOC,
+    TWEmbedFullScreenHOC,
+    FontLoaderHOC,
+    vmListenerHOC,
+    vmManagerHOC,
+    cloudManagerHOC
+)(connect(
+    mapStateToProps,
+    mapDispatchToProps
+)(StandalonePlayer));
+
+const store = createPlayerStore();
+const cloudEnabled = options.cloud.backend !== CLOUD_NONE;
+if (cloudEnabled) {
+    store.dispatch(setCloudBackend(options.cloud.backend));
+    store.dispatch(setCloudHost(options.cloud.host));
+}
+
+hideControls();
+document.title = options.title;
+
+render(
+    <Provider store={store}>
+        <ConnectedIntlProvider>
+            <WrappedPlayer
+                canSave={false}
+                cloudHost={cloudEnabled ? options.cloud.host : null}
+                cloudVariablesDisabledByUser={!cloudEnabled}
+                hasCloudPermission={cloudEnabled}
+                theme={Theme.light}
+                username={generateRandomUsername()}
+                vm={store.getState().scratchGui.vm}
+            />
+        </ConnectedIntlProvider>
+    </Provider>
+);
@@ -0,0 +1,82 @@
+import './import-first';
+
+import React from 'react';
+import {compose} from 'redux';
+import AppStateHOC from '../lib/app-state-hoc.jsx';
+import TWStateManagerHOC from '../lib/tw-state-manager-hoc.jsx';
+import AddonHooks from '../addons/hooks';
+import {Theme} from '../lib/themes/index.js';
+import {
+    TestRunner,
+    createErrorResult,
+    parseTestRunnerOptions,
+    reportTestResult
+} from '../lib/tw-test-runner';
+
+import GUI from './render-gui.jsx';
+import render from './app-target';
+
+// test-runner.html loads a project, presses the green flag, and reports a JSON result.
+// Projects are loaded the same way as the embed: #123 for a project ID or ?project_url=...
+// Other URL parameters:
+//  - timeout: seconds to run before giving up (default 10)
+//  - done: broadcast that ends the test early (default "test done")
+//  - require_done: fail if the done broadcast isn't sent before the timeout
+// Error blocks from the debugger addon also fail the test.
+const getProjectId = () => {
+    const hashMatch = location.hash.match(/#(\d+)/);
+    if (hashMatch !== null) {
+        return hashMatch[1];
+    }
+    return '0';
+};
+
+const urlParams = new URLSearchParams(location.search);
+const options = parseTestRunnerOptions(urlParams);
+
+let vm;
+let reported = false;
+
+const report = result => {
+    if (reported) {
+        return;
+    }
+    reported = true;
+    // Lets headless browsers wait for a selector instead of listening for messages
+    document.body.dataset.testStatus = result.status;
+    reportTestResult(result);
+};
+
+const onVmInit = _vm => {
+    vm = _vm;
+};
+
+const onProjectLoaded = () => {
+    new TestRunner(vm, options)
+        .run()
+        .then(report);
+};
+
+const WrappedGUI = compose(
+    AppStateHOC,
+    TWStateManagerHOC
+)(GUI);
+
+render(<WrappedGUI
+    isEmbedded
+    projectId={getProjectId()}
+    onVmInit={onVmInit}
+    onProjectLoaded={onProjectLoaded}
+    routingStyle="none"
+    theme={Theme.light}
+/>);
+
+// The GUI shows a crash message when a project can't be loaded, so also report that as a failure.
+const store = AddonHooks.appStateStore;
+const unsubscribe = store.subscribe(() => {
+    const error = store.getState().scratchGui.projectState.error;
+    if (error) {
+        unsubscribe();
+        report(createErrorResult(error));
+    }
+});
@@ -3,6 +3,7 @@ import extensionData from '../lib/libraries/extensions/index.jsx';
 
 const SHOW_ALERT = 'scratch-gui/alerts/SHOW_ALERT';
 const SHOW_EXTENSION_ALERT = 'scratch-gui/alerts/SHOW_EXTENSION_ALERT';
+const SHOW_CUSTOM_ALERT = 'scratch-gui/alerts/SHOW_CUSTOM_ALERT';
 const CLOSE_ALERT = 'scratch-gui/alerts/CLOSE_ALERT';
 const CLOSE_ALERTS_WITH_ID = 'scratch-gui/alerts/CLOSE_ALERTS_WITH_ID';
 const CLOSE_ALERT_WITH_ID = 'scratch-gui/alerts/CLOSE_ALERT_WITH_ID';
@@ -65,6 +66,7 @@ const reducer = function (state, action) {
                 newAlert.iconSpinner = alertData.iconSpinner;
                 newAlert.level = alertData.level;
                 newAlert.showDownload = alertData.showDownload;
+                newAlert.showReload = alertData.showReload;
                 newAlert.showSaveNow = alertData.showSaveNow;
 
                 newList.push(newAlert);
@@ -99,6 +101,19 @@ const reducer = function (state, action) {
         }
         return state; // if alert not found, show nothing
     }
+    case SHOW_CUSTOM_ALERT: { // alerts that aren't in alertsData, such as those shown by extensions
+        const newList = state.alertsList.filter(curAlert => curAlert.alertId !== action.data.alertId);
+        newList.push({
+            alertId: action.data.alertId,
+            alertType: AlertTypes.STANDARD,
+            closeButton: true,
+            content: action.data.content,
+            level: action.data.level || AlertLevels.INFO
+        });
+        return Object.assign({}, state, {
+            alertsList: newList
+        });
+    }
     case CLOSE_ALERT_WITH_ID:
     case CLOSE_ALERT: {
         if (action.alertId) {
@@ -190,6 +205,23 @@ const showExtensionAlert = function (data) {
     };
 };
 
+/**
+ * Action creator to show an alert that isn't one of the predefined alerts.
+ * An existing alert with the same ID is replaced.
+ *
+ * @param {object} data - data for the alert
+ * @param {string} data.alertId - id string of the alert
+ * @param {string|object} data.content - text or react element to display
+ * @param {string} [data.level] - one of AlertLevels, defaults to INFO
+ * @return {object} - an object to be passed to the reducer.
+ */
+const showCustomAlert = function (data) {
+    return {
+        type: SHOW_CUSTOM_ALERT,
+        data
+    };
+};
+
 /**
  * Function to dispatch showing an alert, with optional
  * timeout to make it close/go away.
@@ -213,10 +245,12 @@ export {
     reducer as default,
     initialState as alertsInitialState,
     closeAlert,
+    closeAlertsWithId,
     closeAlertWithId,
     filterInlineAlerts,
     filterPopupAlerts,
     showAlertWithTimeout,
+    showCustomAlert,
     showExtensionAlert,
     showStandardAlert
 };
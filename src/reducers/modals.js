@@ -18,6 +18,9 @@ const MODAL_RESTORE_POINTS = 'restorePointModal';
 const MODAL_FONTS = 'fontsModal';
 const MODAL_UNKNOWN_PLATFORM = 'unknownPlatformModal';
 const MODAL_INVALID_PROJECT = 'invalidProjectModal';
+const MODAL_CLOUD_INSPECTOR = 'cloudInspectorModal';
+const MODAL_EXPORT_HTML = 'exportHTMLModal';
+const MODAL_THEME_EDITOR = 'themeEditorModal';
 
 const initialState = {
     [MODAL_BACKDROP_LIBRARY]: false,
@@ -36,7 +39,10 @@ const initialState = {
     [MODAL_RESTORE_POINTS]: false,
     [MODAL_FONTS]: false,
     [MODAL_UNKNOWN_PLATFORM]: false,
-    [MODAL_INVALID_PROJECT]: false
+    [MODAL_INVALID_PROJECT]: false,
+    [MODAL_CLOUD_INSPECTOR]: false,
+    [MODAL_EXPORT_HTML]: false,
+    [MODAL_THEME_EDITOR]: false
 };
 
 const reducer = function (state, action) {
@@ -117,6 +123,15 @@ const openUnknownPlatformModal = function () {
 const openInvalidProjectModal = function () {
     return openModal(MODAL_INVALID_PROJECT);
 };
+const openCloudInspectorModal = function () {
+    return openModal(MODAL_CLOUD_INSPECTOR);
+};
+const openExportHTMLModal = function () {
+    return openModal(MODAL_EXPORT_HTML);
+};
+const openThemeEditorModal = function () {
+    return openModal(MODAL_THEME_EDITOR);
+};
 const closeBackdropLibrary = function () {
     return closeModal(MODAL_BACKDROP_LIBRARY);
 };
@@ -168,6 +183,15 @@ const closeUnknownPlatformModal = function () {
 const closeInvalidProjectModal = function () {
     return closeModal(MODAL_INVALID_PROJECT);
 };
+const closeCloudInspectorModal = function () {
+    return closeModal(MODAL_CLOUD_INSPECTOR);
+};
+const closeExportHTMLModal = function () {
+    return closeModal(MODAL_EXPORT_HTML);
+};
+const closeThemeEditorModal = function () {
+    return closeModal(MODAL_THEME_EDITOR);
+};
 export {
     reducer as default,
     initialState as modalsInitialState,
@@ -188,6 +212,9 @@ export {
     openFontsModal,
     openUnknownPlatformModal,
     openInvalidProjectModal,
+    openCloudInspectorModal,
+    openExportHTMLModal,
+    openThemeEditorModal,
     closeBackdropLibrary,
     closeCostumeLibrary,
     closeExtensionLibrary,
@@ -204,5 +231,8 @@ export {
     closeRestorePointModal,
     closeFontsModal,
     closeUnknownPlatformModal,
-    closeInvalidProjectModal
+    closeInvalidProjectModal,
+    closeCloudInspectorModal,
+    closeExportHTMLModal,
+    closeThemeEditorModal
 };
@@ -1,15 +1,19 @@
-import {detectTheme} from '../lib/themes/themePersistance';
+import {detectTheme, getUserThemes} from '../lib/themes/themePersistance';
 
 const SET_THEME = 'scratch-gui/theme/SET_THEME';
+const SET_USER_THEMES = 'scratch-gui/theme/SET_USER_THEMES';
 
 const initialState = {
-    theme: detectTheme()
+    theme: detectTheme(),
+    userThemes: getUserThemes()
 };
 
 const reducer = (state = initialState, action) => {
     switch (action.type) {
     case SET_THEME:
         return {...state, theme: action.theme};
+    case SET_USER_THEMES:
+        return {...state, userThemes: action.userThemes};
     default:
         return state;
     }
@@ -20,8 +24,14 @@ const setTheme = theme => ({
     theme
 });
 
+const setUserThemes = userThemes => ({
+    type: SET_USER_THEMES,
+    userThemes
+});
+
 export {
     reducer as default,
     initialState as themeInitialState,
-    setTheme
+    setTheme,
+    setUserThemes
 };
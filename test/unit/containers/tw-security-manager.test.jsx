@@ -0,0 +1,256 @@
+import 'fake-indexeddb/auto';
+import React from 'react';
+import renderer from 'react-test-renderer';
+import {Provider} from 'react-redux';
+import configureStore from 'redux-mock-store';
+import TWSecurityManager from '../../../src/containers/tw-security-manager.jsx';
+import SecurityManagerModal from '../../../src/components/tw-security-manager-modal/security-manager-modal.jsx';
+import {
+    TYPE_URL,
+    codeToDataURL,
+    getInstalledExtension,
+    hashExtensionCode,
+    installExtension,
+    setExtensionPinned
+} from '../../../src/lib/tw-installed-extensions';
+
+jest.mock('../../../src/lib/tw-security-audit-log', () => ({
+    logSecurityDecision: jest.fn()
+}));
+
+// The real modal needs a DOM
+jest.mock('../../../src/components/tw-security-manager-modal/security-manager-modal.jsx', () => {
+    const MockModal = () => 'modal';
+    return MockModal;
+});
+
+// Arguments that would normally be allowed without asking, or would prompt
+const REQUESTS = {
+    getSandboxMode: ['https://extensions.turbowarp.org/fetch.js'],
+    canLoadExtensionFromProject: ['https://extensions.turbowarp.org/fetch.js'],
+    canFetch: ['https://turbowarp.org/'],
+    canOpenWindow: ['https://example.com/'],
+    canRedirect: ['https://example.com/'],
+    canRecordAudio: [],
+    canRecordVideo: [],
+    canReadClipboard: [],
+    canNotify: [],
+    canGeolocate: [],
+    canEmbed: ['https://www.youtube.com/'],
+    canDownload: ['https://example.com/file.txt', 'file.txt']
+};
+
+const mountSecurityManager = props => {
+    const securityManager = {};
+    const vm = {
+        runtime: {
+            on: jest.fn(),
+            off: jest.fn()
+        },
+        toJSON: () => '{}',
+        extensionManager: {
+            securityManager
+        }
+    };
+    const store = configureStore()({
+        scratchGui: {
+            projectState: {
+                projectId: '0'
+            },
+            projectTitle: 'Project',
+            vm
+        }
+    });
+    const wrapper = renderer.create(
+        <Provider store={store}>
+            <TWSecurityManager {...props} />
+        </Provider>
+    );
+    return {
+        securityManager,
+        wrapper
+    };
+};
+
+const waitForModal = async wrapper => {
+    for (let i = 0; i < 100; i++) {
+        if (wrapper.root.findAllByType(SecurityManagerModal).length) {
+            return;
+        }
+        await new Promise(resolve => setTimeout(resolve));
+    }
+    throw new Error('Modal was not shown');
+};
+
+describe('TWSecurityManager', () => {
+    test('deny mode blocks every method before any shortcut', async () => {
+        const {securityManager, wrapper} = mountSecurityManager({
+            securityPolicy: {
+                mode: 'deny'
+            }
+        });
+        for (const [method, args] of Object.entries(REQUESTS)) {
+            const expected = method === 'getSandboxMode' ? 'iframe' : false;
+            expect([method, await securityManager[method](...args)]).toEqual([method, expected]);
+        }
+        expect(wrapper.toJSON()).toBe(null);
+        wrapper.unmount();
+    });
+
+    test('policy that cannot be loaded blocks every method', async () => {
+        global.fetch = jest.fn(() => Promise.reject(new Error('offline')));
+        const {securityManager, wrapper} = mountSecurityManager({
+            securityPolicyURL: 'https://example.com/policy.json'
+        });
+        for (const [method, args] of Object.entries(REQUESTS)) {
+            const expected = method === 'getSandboxMode' ? 'iframe' : false;
+            expect([method, await securityManager[method](...args)]).toEqual([method, expected]);
+        }
+        wrapper.unmount();
+        delete global.fetch;
+    });
+
+    test('deny mode still allows what the policy allows', async () => {
+        const {securityManager, wrapper} = mountSecurityManager({
+            securityPolicy: {
+                mode: 'deny',
+                methods: {
+                    canRecordAudio: 'allow'
+                },
+                extensions: {
+                    allow: ['https://extensions.turbowarp.org/*'],
+                    unsandboxed: ['https://extensions.turbowarp.org/*']
+                }
+            }
+        });
+        expect(await securityManager.canRecordAudio()).toBe(true);
+        expect(await securityManager.canLoadExtensionFromProject('https://extensions.turbowarp.org/a.js')).toBe(true);
+        expect(await securityManager.getSandboxMode('https://extensions.turbowarp.org/a.js')).toBe('unsandboxed');
+        expect(await securityManager.canRecordVideo()).toBe(false);
+        wrapper.unmount();
+    });
+
+    test('without a policy, the usual shortcuts apply', async () => {
+        const {securityManager, wrapper} = mountSecurityManager({});
+        expect(await securityManager.getSandboxMode('https://extensions.turbowarp.org/a.js')).toBe('unsandboxed');
+        expect(await securityManager.canFetch('https://turbowarp.org/')).toBe(true);
+        wrapper.unmount();
+    });
+});
+
+describe('installed extensions', () => {
+    const OLD_CODE = '// Version: 1\n';
+    const NEW_CODE = '// Version: 2\n';
+
+    const serveCode = code => {
+        global.fetch = jest.fn(() => Promise.resolve({
+            ok: true,
+            text: () => Promise.resolve(code)
+        }));
+    };
+
+    const install = async (url, options) => {
+        await installExtension({
+            type: TYPE_URL,
+            url,
+            fileName: null,
+            code: OLD_CODE,
+            unsandboxed: false,
+            ...options
+        });
+    };
+
+    const waitForInstalledHash = async (url, hash) => {
+        for (let i = 0; i < 100; i++) {
+            const installed = await getInstalledExtension(url);
+            if (installed.hash === hash) {
+                return installed;
+            }
+            await new Promise(resolve => setTimeout(resolve));
+        }
+        throw new Error('Extension was not updated');
+    };
+
+    afterEach(() => {
+        delete global.fetch;
+    });
+
+    test('pinned extensions load the saved code without downloading it', async () => {
+        const url = 'https://extensions.turbowarp.org/pinned.js';
+        await install(url);
+        await setExtensionPinned(url, true);
+        serveCode(NEW_CODE);
+        const {securityManager, wrapper} = mountSecurityManager({});
+        expect(await securityManager.canLoadExtensionFromProject(url)).toBe(true);
+        expect(await securityManager.rewriteExtensionURL(url)).toBe(codeToDataURL(OLD_CODE));
+        expect(global.fetch).not.toHaveBeenCalled();
+        expect(wrapper.toJSON()).toBe(null);
+        wrapper.unmount();
+    });
+
+    test('pinned extensions load the saved code when the policy allows them', async () => {
+        const url = 'https://example.com/pinned.js';
+        await install(url);
+        await setExtensionPinned(url, true);
+        const {securityManager, wrapper} = mountSecurityManager({
+            securityPolicy: {
+                extensions: {
+                    allow: ['https://example.com/*']
+                }
+            }
+        });
+        expect(await securityManager.canLoadExtensionFromProject(url)).toBe(true);
+        expect(await securityManager.rewriteExtensionURL(url)).toBe(codeToDataURL(OLD_CODE));
+        wrapper.unmount();
+    });
+
+    test('the VM loads the same code that was checked', async () => {
+        const url = 'https://extensions.turbowarp.org/unchanged.js';
+        await install(url);
+        serveCode(OLD_CODE);
+        const {securityManager, wrapper} = mountSecurityManager({});
+        expect(await securityManager.canLoadExtensionFromProject(url)).toBe(true);
+        expect(global.fetch).toHaveBeenCalledTimes(1);
+        expect(await securityManager.rewriteExtensionURL(url)).toBe(codeToDataURL(OLD_CODE));
+        // Only used once, so loading it again later checks it again
+        expect(await securityManager.rewriteExtensionURL(url)).toBe(url);
+        wrapper.unmount();
+    });
+
+    test('changed extensions ask first and keep their settings', async () => {
+        const url = 'https://extensions.turbowarp.org/changed.js';
+        await install(url, {
+            unsandboxed: true
+        });
+        serveCode(NEW_CODE);
+        const {securityManager, wrapper} = mountSecurityManager({});
+        const allowed = securityManager.canLoadExtensionFromProject(url);
+        await waitForModal(wrapper);
+        const modal = wrapper.root.findByType(SecurityManagerModal);
+        expect(modal.props.data.changed).toEqual({
+            name: 'changed.js',
+            oldVersion: '1',
+            newVersion: '2'
+        });
+        modal.props.onAllowed();
+        expect(await allowed).toBe(true);
+        expect(await securityManager.rewriteExtensionURL(url)).toBe(codeToDataURL(NEW_CODE));
+        const installed = await waitForInstalledHash(url, hashExtensionCode(NEW_CODE));
+        expect(installed.unsandboxed).toBe(true);
+        wrapper.unmount();
+    });
+
+    test('declined changed extensions are not loaded', async () => {
+        const url = 'https://extensions.turbowarp.org/declined.js';
+        await install(url);
+        serveCode(NEW_CODE);
+        const {securityManager, wrapper} = mountSecurityManager({});
+        const allowed = securityManager.canLoadExtensionFromProject(url);
+        await waitForModal(wrapper);
+        wrapper.root.findByType(SecurityManagerModal).props.onDenied();
+        expect(await allowed).toBe(false);
+        expect(await securityManager.rewriteExtensionURL(url)).toBe(url);
+        expect((await getInstalledExtension(url)).hash).toBe(hashExtensionCode(OLD_CODE));
+        wrapper.unmount();
+    });
+});
@@ -49,7 +49,9 @@ describe.skip('CloudManagerHOC', () => {
         vm = new VM();
         vm.setCloudProvider = jest.fn();
         vm.runtime = {
-            hasCloudData: jest.fn(() => true)
+            hasCloudData: jest.fn(() => true),
+            on: jest.fn(),
+            off: jest.fn()
         };
         vm.extensionManager = {
             isExtensionLoaded: jest.fn(() => false)
@@ -1,4 +1,5 @@
 import CloudProvider from '../../../src/lib/cloud-provider';
+import {clearCloudLog, getCloudLog} from '../../../src/lib/tw-cloud-inspector';
 
 let websocketConstructorCount = 0;
 
@@ -201,6 +202,22 @@ describe('CloudProvider', () => {
         cloudProvider.onClose({code: 1000});
         expect(cloudProvider.onInvalidUsername).not.toHaveBeenCalled();
     });
+
+    test('traffic is logged for the cloud inspector', () => {
+        clearCloudLog();
+        cloudProvider.updateVariable('a', 1);
+        cloudProvider.updateVariable('a', 2);
+        cloudProvider.updateVariable('a', 3);
+        cloudProvider.connection._receive({data: JSON.stringify({method: 'set', name: 'b', value: 4})});
+        const types = getCloudLog().map(i => `${i.type} ${i.name}`);
+        // The first update is sent immediately, the second is replaced by the third before it can be sent
+        expect(types).toEqual([
+            'sent a',
+            'rate-limited a',
+            'received b'
+        ]);
+        expect(getCloudLog()[2].size).toBe(getCloudLog()[2].text.length);
+    });
 });
 
 test('username anonymization', () => {
@@ -0,0 +1,49 @@
+import AudioEffects from '../../../src/lib/audio/audio-effects';
+import {
+    createStackedEffect,
+    moveStackedEffect,
+    removeStackedEffect,
+    setStackedEffectParameter
+} from '../../../src/lib/audio/effect-stack';
+
+const {effectTypes} = AudioEffects;
+
+test('createStackedEffect uses default parameters', () => {
+    const echo = createStackedEffect(effectTypes.ECHO);
+    expect(echo.name).toBe(effectTypes.ECHO);
+    expect(echo.parameters).toEqual({});
+
+    const pitch = createStackedEffect(effectTypes.PITCH);
+    expect(pitch.parameters).toEqual({semitones: 4});
+    expect(pitch.id).not.toBe(echo.id);
+});
+
+test('moveStackedEffect', () => {
+    const a = createStackedEffect(effectTypes.ECHO);
+    const b = createStackedEffect(effectTypes.ROBOT);
+    const c = createStackedEffect(effectTypes.REVERSE);
+    const stack = [a, b, c];
+    expect(moveStackedEffect(stack, b.id, -1)).toEqual([b, a, c]);
+    expect(moveStackedEffect(stack, b.id, 1)).toEqual([a, c, b]);
+    expect(moveStackedEffect(stack, a.id, -1)).toBe(stack);
+    expect(moveStackedEffect(stack, c.id, 1)).toBe(stack);
+    expect(stack).toEqual([a, b, c]);
+});
+
+test('removeStackedEffect', () => {
+    const a = createStackedEffect(effectTypes.ECHO);
+    const b = createStackedEffect(effectTypes.ROBOT);
+    expect(removeStackedEffect([a, b], a.id)).toEqual([b]);
+});
+
+test('setStackedEffectParameter clamps values', () => {
+    const eq = createStackedEffect(effectTypes.EQUALIZER);
+    const echo = createStackedEffect(effectTypes.ECHO);
+    let stack = setStackedEffectParameter([eq, echo], eq.id, 'low', -10);
+    expect(stack[0].parameters).toEqual({low: -10, mid: 0, high: 3});
+    expect(stack[1]).toBe(echo);
+    stack = setStackedEffectParameter(stack, eq.id, 'high', 1000);
+    expect(stack[0].parameters.high).toBe(24);
+    stack = setStackedEffectParameter(stack, eq.id, 'mid', 'abc');
+    expect(stack[0].parameters.mid).toBe(0);
+});
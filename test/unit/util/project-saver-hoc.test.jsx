@@ -7,6 +7,24 @@ import {LoadingState} from '../../../src/reducers/project-state';
 import VM from 'scratch-vm';
 
 import projectSaverHOC from '../../../src/lib/project-saver-hoc.jsx';
+import RestorePointAPI from '../../../src/lib/tw-restore-point-api';
+import {setFileAutoSaveEnabled} from '../../../src/lib/tw-save-to-file';
+
+jest.mock('../../../src/lib/tw-restore-point-api', () => ({
+    __esModule: true,
+    default: {
+        TYPE_AUTOMATIC: 'auto',
+        createRestorePoint: jest.fn(() => Promise.resolve()),
+        readInterval: jest.fn(() => 60 * 5),
+        removeExtraneousRestorePoints: jest.fn(() => Promise.resolve())
+    }
+}));
+
+const flushPromises = async () => {
+    for (let i = 0; i < 10; i++) {
+        await Promise.resolve();
+    }
+};
 
 describe('projectSaverHOC', () => {
     const mockStore = configureStore();
@@ -21,6 +39,9 @@ describe('projectSaverHOC', () => {
                 projectTitle: 'Scratch Project',
                 timeout: {
                     autoSaveTimeoutId: null
+                },
+                tw: {
+                    fileHandle: null
                 }
             },
             locales: {
@@ -31,6 +52,11 @@ describe('projectSaverHOC', () => {
         jest.useFakeTimers();
     });
 
+    afterEach(() => {
+        setFileAutoSaveEnabled(false);
+        RestorePointAPI.createRestorePoint.mockClear();
+    });
+
     test('if canSave becomes true when showing a project with an id, project will be saved', () => {
         const mockedUpdateProject = jest.fn();
         const Component = () => <div />;
@@ -488,4 +514,182 @@ describe('projectSaverHOC', () => {
         expect(setSaver).toHaveBeenCalledTimes(2);
         expect(setSaver.mock.calls[1][0]).toBe(null);
     });
+
+    test('if project changes after being saved to a file, auto-save to that file is scheduled', () => {
+        setFileAutoSaveEnabled(true);
+        const mockedSetAutoSaveTimeoutId = jest.fn();
+        const Component = () => <div />;
+        const WrappedComponent = projectSaverHOC(Component);
+        const mounted = mount(
+            <WrappedComponent
+                isShowingProject
+                fileHandle={{name: 'Project.sb3'}}
+                isShowingSaveable={false}
+                projectChanged={false}
+                setAutoSaveTimeoutId={mockedSetAutoSaveTimeoutId}
+                store={store}
+                vm={vm}
+            />
+        );
+        mounted.setProps({
+            projectChanged: true
+        });
+        expect(mockedSetAutoSaveTimeoutId).toHaveBeenCalledTimes(1);
+    });
+
+    test('if project changes without a file, no local auto-save is scheduled', () => {
+        const mockedSetAutoSaveTimeoutId = jest.fn();
+        const Component = () => <div />;
+        const WrappedComponent = projectSaverHOC(Component);
+        const mounted = mount(
+            <WrappedComponent
+                isShowingProject
+                isShowingSaveable={false}
+                projectChanged={false}
+                setAutoSaveTimeoutId={mockedSetAutoSaveTimeoutId}
+                store={store}
+                vm={vm}
+            />
+        );
+        mounted.setProps({
+            projectChanged: true
+        });
+        expect(mockedSetAutoSaveTimeoutId).not.toHaveBeenCalled();
+    });
+
+    test('auto-save to a file is off unless the user turns it on', () => {
+        const mockedSetAutoSaveTimeoutId = jest.fn();
+        const Component = () => <div />;
+        const WrappedComponent = projectSaverHOC(Component);
+        const mounted = mount(
+            <WrappedComponent
+                isShowingProject
+                fileHandle={{name: 'Project.sb3'}}
+                isShowingSaveable={false}
+                projectChanged={false}
+                setAutoSaveTimeoutId={mockedSetAutoSaveTimeoutId}
+                store={store}
+                vm={vm}
+            />
+        );
+        mounted.setProps({
+            projectChanged: true
+        });
+        expect(mockedSetAutoSaveTimeoutId).not.toHaveBeenCalled();
+    });
+
+    test('files that the user did not allow writing to are not auto-saved', async () => {
+        setFileAutoSaveEnabled(true);
+        const createWritable = jest.fn();
+        const setSaver = jest.fn();
+        const Component = () => <div />;
+        const WrappedComponent = projectSaverHOC(Component);
+        mount(
+            <WrappedComponent
+                isShowingProject
+                projectChanged
+                autoSaveTimeoutId={null}
+                fileHandle={{
+                    name: 'Project.sb3',
+                    queryPermission: () => Promise.resolve('prompt'),
+                    createWritable
+                }}
+                isShowingSaveable={false}
+                setAutoSaveTimeoutId={jest.fn()}
+                store={store}
+                vm={vm}
+                onSetProjectSaver={setSaver}
+            />
+        );
+        setSaver.mock.calls[0][0]();
+        await flushPromises();
+        expect(createWritable).not.toHaveBeenCalled();
+    });
+
+    test('failed auto-save to a file is retried, waiting longer each time', async () => {
+        setFileAutoSaveEnabled(true);
+        const mockedSetAutoSaveTimeoutId = jest.fn();
+        const mockedShowAutoSaveErrorAlert = jest.fn();
+        const setSaver = jest.fn();
+        const setTimeoutSpy = jest.spyOn(global, 'setTimeout');
+        const Component = () => <div />;
+        const WrappedComponent = projectSaverHOC(Component);
+        mount(
+            <WrappedComponent
+                isShowingProject
+                projectChanged
+                autoSaveTimeoutId={null}
+                fileAutoSaveIntervalSecs={60}
+                fileHandle={{
+                    name: 'Project.sb3',
+                    queryPermission: () => Promise.resolve('granted'),
+                    createWritable: () => Promise.reject(new Error('Disk is full'))
+                }}
+                isShowingSaveable={false}
+                setAutoSaveTimeoutId={mockedSetAutoSaveTimeoutId}
+                store={store}
+                vm={vm}
+                onSetProjectSaver={setSaver}
+                onShowAutoSaveErrorAlert={mockedShowAutoSaveErrorAlert}
+            />
+        );
+        const tryToAutoSave = setSaver.mock.calls[0][0];
+
+        tryToAutoSave();
+        await flushPromises();
+        expect(mockedShowAutoSaveErrorAlert).toHaveBeenCalledTimes(1);
+        expect(setTimeoutSpy).toHaveBeenLastCalledWith(tryToAutoSave, 120 * 1000);
+
+        tryToAutoSave();
+        await flushPromises();
+        expect(setTimeoutSpy).toHaveBeenLastCalledWith(tryToAutoSave, 240 * 1000);
+        setTimeoutSpy.mockRestore();
+    });
+
+    test('leaving the window creates a restore point if files cannot be saved directly', async () => {
+        const Component = () => <div />;
+        const WrappedComponent = projectSaverHOC(Component);
+        const mounted = mount(
+            <WrappedComponent
+                isShowingProject
+                projectChanged
+                isShowingSaveable={false}
+                setAutoSaveTimeoutId={jest.fn()}
+                showSaveFilePicker={null}
+                store={store}
+                vm={vm}
+            />
+        );
+        // Nothing changed since the last restore point yet
+        window.dispatchEvent(new Event('blur'));
+        await flushPromises();
+        expect(RestorePointAPI.createRestorePoint).not.toHaveBeenCalled();
+
+        vm.emit('PROJECT_CHANGED');
+        window.dispatchEvent(new Event('blur'));
+        await flushPromises();
+        expect(RestorePointAPI.createRestorePoint).toHaveBeenCalledTimes(1);
+        mounted.unmount();
+    });
+
+    test('leaving the window does not create a restore point if files can be saved directly', async () => {
+        const Component = () => <div />;
+        const WrappedComponent = projectSaverHOC(Component);
+        const mounted = mount(
+            <WrappedComponent
+                isShowingProject
+                projectChanged
+                isShowingSaveable={false}
+                setAutoSaveTimeoutId={jest.fn()}
+                showSaveFilePicker={jest.fn()}
+                store={store}
+                vm={vm}
+            />
+        );
+        vm.emit('PROJECT_CHANGED');
+        window.dispatchEvent(new Event('blur'));
+        await flushPromises();
+        expect(RestorePointAPI.createRestorePoint).not.toHaveBeenCalled();
+        mounted.unmount();
+    });
 });
@@ -0,0 +1,126 @@
+import {
+    applyToRange,
+    mixSamples,
+    noiseGate,
+    normalize,
+    pitchShift,
+    resample,
+    timeStretch
+} from '../../../src/lib/audio/sample-effects';
+
+const SAMPLE_RATE = 8000;
+
+const sine = (frequency, seconds, amplitude = 0.5) => {
+    const samples = new Float32Array(Math.round(seconds * SAMPLE_RATE));
+    for (let i = 0; i < samples.length; i++) {
+        samples[i] = amplitude * Math.sin(2 * Math.PI * frequency * i / SAMPLE_RATE);
+    }
+    return samples;
+};
+
+const peak = samples => samples.reduce((max, sample) => Math.max(max, Math.abs(sample)), 0);
+
+// Estimate frequency by counting how often the signal crosses zero in the middle of the sound
+const estimateFrequency = samples => {
+    const start = Math.floor(samples.length / 4);
+    const end = Math.floor(samples.length * 3 / 4);
+    let crossings = 0;
+    for (let i = start + 1; i < end; i++) {
+        if ((samples[i - 1] < 0) !== (samples[i] < 0)) {
+            crossings++;
+        }
+    }
+    return crossings / 2 / ((end - start) / SAMPLE_RATE);
+};
+
+describe('applyToRange', () => {
+    test('replaces only the range and does not modify the input', () => {
+        const samples = new Float32Array([1, 2, 3, 4, 5]);
+        const result = applyToRange(samples, 1, 3, range => range.map(i => i * 10));
+        expect(Array.from(result)).toEqual([1, 20, 30, 4, 5]);
+        expect(Array.from(samples)).toEqual([1, 2, 3, 4, 5]);
+    });
+
+    test('handles effects that change the length', () => {
+        const samples = new Float32Array([1, 2, 3, 4, 5]);
+        const result = applyToRange(samples, 1, 4, () => new Float32Array([9]));
+        expect(Array.from(result)).toEqual([1, 9, 5]);
+    });
+});
+
+describe('normalize', () => {
+    test('makes the loudest sample the given level', () => {
+        const result = normalize(new Float32Array([0.1, -0.25, 0.2]), 0);
+        expect(peak(result)).toBeCloseTo(1);
+        expect(result[0]).toBeCloseTo(0.4);
+        expect(normalize(new Float32Array([0.5]), -6)[0]).toBeCloseTo(0.501, 2);
+    });
+
+    test('leaves silence alone', () => {
+        expect(Array.from(normalize(new Float32Array(3), 0))).toEqual([0, 0, 0]);
+    });
+});
+
+describe('noiseGate', () => {
+    test('silences quiet parts and keeps loud parts', () => {
+        const quiet = sine(440, 0.5, 0.001);
+        const loud = sine(440, 0.5, 0.5);
+        const samples = new Float32Array(quiet.length + loud.length);
+        samples.set(loud, 0);
+        samples.set(quiet, loud.length);
+        const result = noiseGate(samples, SAMPLE_RATE, -40);
+        expect(peak(result.subarray(SAMPLE_RATE * 0.1, SAMPLE_RATE * 0.4))).toBeCloseTo(0.5, 2);
+        expect(peak(result.subarray(SAMPLE_RATE * 0.9))).toBeLessThan(0.0001);
+    });
+});
+
+describe('resample', () => {
+    test('interpolates linearly', () => {
+        expect(Array.from(resample(new Float32Array([0, 1]), 3))).toEqual([0, 0.5, 1]);
+        expect(Array.from(resample(new Float32Array([0, 1, 2, 3, 4]), 3))).toEqual([0, 2, 4]);
+        expect(resample(new Float32Array(0), 3).length).toBe(3);
+    });
+});
+
+describe('timeStretch', () => {
+    test('changes the duration without changing the pitch', () => {
+        const samples = sine(200, 1);
+        const longer = timeStretch(samples, SAMPLE_RATE, 1.5);
+        expect(longer.length).toBe(SAMPLE_RATE * 1.5);
+        expect(estimateFrequency(longer)).toBeCloseTo(200, -1);
+        expect(peak(longer)).toBeLessThan(0.6);
+
+        const shorter = timeStretch(samples, SAMPLE_RATE, 0.5);
+        expect(shorter.length).toBe(SAMPLE_RATE * 0.5);
+        expect(estimateFrequency(shorter)).toBeCloseTo(200, -1);
+    });
+
+    test('changes the speed of very short sounds', () => {
+        expect(timeStretch(new Float32Array([0, 1]), SAMPLE_RATE, 2).length).toBe(4);
+    });
+});
+
+describe('pitchShift', () => {
+    test('changes the pitch without changing the duration', () => {
+        const samples = sine(200, 1);
+        const octaveUp = pitchShift(samples, SAMPLE_RATE, 12);
+        expect(octaveUp.length).toBe(samples.length);
+        expect(estimateFrequency(octaveUp)).toBeCloseTo(400, -1);
+
+        const octaveDown = pitchShift(samples, SAMPLE_RATE, -12);
+        expect(octaveDown.length).toBe(samples.length);
+        expect(estimateFrequency(octaveDown)).toBeCloseTo(100, -1);
+    });
+});
+
+describe('mixSamples', () => {
+    test('adds the track at the offset', () => {
+        const result = mixSamples(new Float32Array([1, 1, 1]), new Float32Array([1, 2]), 1, 0.5);
+        expect(Array.from(result)).toEqual([1, 1.5, 2]);
+    });
+
+    test('makes the sound longer if the track continues after the end', () => {
+        const result = mixSamples(new Float32Array([1]), new Float32Array([1, 1]), 2, 1);
+        expect(Array.from(result)).toEqual([1, 0, 1, 1]);
+    });
+});
@@ -0,0 +1,219 @@
+import {
+    crc32,
+    createAPNG,
+    isAnimatedImage,
+    parseAPNG,
+    parseAnimatedWebP
+} from '../../../src/lib/tw-animated-image';
+
+const ascii = string => Array.from(string).map(i => i.charCodeAt(0));
+const uint32BE = n => [(n >>> 24) & 0xff, (n >>> 16) & 0xff, (n >>> 8) & 0xff, n & 0xff];
+const uint16BE = n => [(n >>> 8) & 0xff, n & 0xff];
+const uint32LE = n => uint32BE(n).reverse();
+const uint24LE = n => [n & 0xff, (n >>> 8) & 0xff, (n >>> 16) & 0xff];
+
+const pngChunk = (type, data) => {
+    const typeAndData = [...ascii(type), ...data];
+    return [...uint32BE(data.length), ...typeAndData, ...uint32BE(crc32(new Uint8Array(typeAndData)))];
+};
+
+const fcTL = (sequence, width, height, x, y, dispose, blend) => pngChunk('fcTL', [
+    ...uint32BE(sequence),
+    ...uint32BE(width),
+    ...uint32BE(height),
+    ...uint32BE(x),
+    ...uint32BE(y),
+    ...uint16BE(1),
+    ...uint16BE(10),
+    dispose,
+    blend
+]);
+
+const PNG_SIGNATURE = [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a];
+const IHDR = pngChunk('IHDR', [...uint32BE(4), ...uint32BE(3), 8, 6, 0, 0, 0]);
+const IEND = pngChunk('IEND', []);
+
+const webpChunk = (type, data) => [
+    ...ascii(type),
+    ...uint32LE(data.length),
+    ...data,
+    ...(data.length % 2 ? [0] : [])
+];
+
+const riff = chunks => {
+    const body = [...ascii('WEBP'), ...chunks.flat()];
+    return new Uint8Array([...ascii('RIFF'), ...uint32LE(body.length), ...body]).buffer;
+};
+
+const anmf = (x, y, width, height, duration, flags, image) => webpChunk('ANMF', [
+    ...uint24LE(x / 2),
+    ...uint24LE(y / 2),
+    ...uint24LE(width - 1),
+    ...uint24LE(height - 1),
+    ...uint24LE(duration),
+    flags,
+    ...image
+]);
+
+describe('tw-animated-image', () => {
+    test('crc32', () => {
+        expect(crc32(new Uint8Array(ascii('IEND')))).toBe(0xae426082);
+    });
+
+    test('parseAPNG', () => {
+        const apng = new Uint8Array([
+            ...PNG_SIGNATURE,
+            ...IHDR,
+            ...pngChunk('acTL', [...uint32BE(2), ...uint32BE(0)]),
+            ...pngChunk('tEXt', ascii('a')),
+            ...fcTL(0, 4, 3, 0, 0, 2, 0),
+            ...pngChunk('IDAT', [1, 2, 3]),
+            ...fcTL(1, 2, 1, 1, 2, 0, 1),
+            ...pngChunk('fdAT', [...uint32BE(2), 4, 5]),
+            ...IEND
+        ]).buffer;
+        expect(isAnimatedImage(apng, 'image/png')).toBe(true);
+
+        const result = parseAPNG(apng);
+        expect(result.type).toBe('image/png');
+        expect(result.width).toBe(4);
+        expect(result.height).toBe(3);
+        expect(result.frames.length).toBe(2);
+
+        const [first, second] = result.frames;
+        expect(first).toMatchObject({
+            x: 0,
+            y: 0,
+            width: 4,
+            height: 3,
+            delay: 100,
+            // "Previous" on the first frame means "background"
+            disposeToBackground: true,
+            disposeToPrevious: false,
+            blend: false
+        });
+        expect(second).toMatchObject({
+            x: 1,
+            y: 2,
+            width: 2,
+            height: 1,
+            disposeToBackground: false,
+            disposeToPrevious: false,
+            blend: true
+        });
+
+        // Each frame is a normal PNG with its own size, the shared chunks, and its image data
+        expect(Array.from(second.data)).toEqual([
+            ...PNG_SIGNATURE,
+            ...pngChunk('IHDR', [...uint32BE(2), ...uint32BE(1), 8, 6, 0, 0, 0]),
+            ...pngChunk('tEXt', ascii('a')),
+            ...pngChunk('IDAT', [4, 5]),
+            ...IEND
+        ]);
+        expect(isAnimatedImage(second.data, 'image/png')).toBe(false);
+    });
+
+    test('still PNG', () => {
+        const png = new Uint8Array([
+            ...PNG_SIGNATURE,
+            ...IHDR,
+            ...pngChunk('IDAT', [1, 2, 3]),
+            ...IEND
+        ]).buffer;
+        expect(isAnimatedImage(png, 'image/png')).toBe(false);
+        expect(parseAPNG(png)).toBe(null);
+        expect(parseAPNG(new Uint8Array([1, 2, 3]).buffer)).toBe(null);
+    });
+
+    test('parseAnimatedWebP', () => {
+        const lossless = webpChunk('VP8L', [1, 2, 3]);
+        const lossy = webpChunk('VP8 ', [4, 5]);
+        const alpha = webpChunk('ALPH', [6]);
+        const webp = riff([
+            webpChunk('VP8X', [0x12, 0, 0, 0, ...uint24LE(9), ...uint24LE(5)]),
+            webpChunk('ANIM', [0, 0, 0, 0, 0, 0]),
+            anmf(0, 0, 10, 6, 50, 0x00, lossless),
+            anmf(2, 4, 3, 2, 70, 0x03, [...alpha, ...lossy])
+        ]);
+        expect(isAnimatedImage(webp, 'image/webp')).toBe(true);
+
+        const result = parseAnimatedWebP(webp);
+        expect(result.type).toBe('image/webp');
+        expect(result.width).toBe(10);
+        expect(result.height).toBe(6);
+        expect(result.frames.length).toBe(2);
+
+        const [first, second] = result.frames;
+        expect(first).toMatchObject({
+            x: 0,
+            y: 0,
+            width: 10,
+            height: 6,
+            delay: 50,
+            disposeToBackground: false,
+            blend: true
+        });
+        expect(new Uint8Array(first.data)).toEqual(new Uint8Array(riff([lossless])));
+
+        expect(second).toMatchObject({
+            x: 2,
+            y: 4,
+            width: 3,
+            height: 2,
+            delay: 70,
+            disposeToBackground: true,
+            blend: false
+        });
+        // Lossy frames with transparency need the extended format
+        expect(new Uint8Array(second.data)).toEqual(new Uint8Array(riff([
+            webpChunk('VP8X', [0x10, 0, 0, 0, ...uint24LE(2), ...uint24LE(1)]),
+            alpha,
+            lossy
+        ])));
+    });
+
+    test('still WebP', () => {
+        const webp = riff([webpChunk('VP8L', [1, 2, 3])]);
+        expect(isAnimatedImage(webp, 'image/webp')).toBe(false);
+        expect(parseAnimatedWebP(webp)).toBe(null);
+    });
+
+    test('createAPNG', () => {
+        const frame = data => new Uint8Array([
+            ...PNG_SIGNATURE,
+            ...IHDR,
+            ...pngChunk('sRGB', [0]),
+            ...pngChunk('IDAT', data),
+            ...IEND
+        ]);
+        const apng = createAPNG([frame([1, 2]), frame([3]), frame([4, 5, 6])], 80);
+        expect(isAnimatedImage(apng, 'image/png')).toBe(true);
+
+        const result = parseAPNG(apng);
+        expect(result.width).toBe(4);
+        expect(result.height).toBe(3);
+        expect(result.frames.length).toBe(3);
+        for (const parsedFrame of result.frames) {
+            expect(parsedFrame).toMatchObject({
+                x: 0,
+                y: 0,
+                width: 4,
+                height: 3,
+                delay: 80,
+                disposeToBackground: false,
+                disposeToPrevious: false,
+                blend: false
+            });
+        }
+        expect(Array.from(result.frames[2].data)).toEqual(Array.from(frame([4, 5, 6])));
+
+        const otherSize = new Uint8Array([
+            ...PNG_SIGNATURE,
+            ...pngChunk('IHDR', [...uint32BE(5), ...uint32BE(3), 8, 6, 0, 0, 0]),
+            ...pngChunk('IDAT', [1]),
+            ...IEND
+        ]);
+        expect(() => createAPNG([frame([1]), otherSize], 100)).toThrow('same size');
+        expect(() => createAPNG([new Uint8Array([1, 2, 3])], 100)).toThrow('not valid');
+    });
+});
@@ -0,0 +1,78 @@
+import JSZip from '@turbowarp/jszip';
+import {
+    FILE_VERSION,
+    createBackpackFile,
+    parseTags,
+    readBackpackFile
+} from '../../../src/lib/tw-backpack-file';
+
+const bytes = array => new Uint8Array(array).buffer;
+
+describe('tw-backpack-file', () => {
+    test('parseTags', () => {
+        expect(parseTags([' a ', 'b', '', 'a', 5, 'c'])).toEqual(['a', 'b', 'c']);
+        expect(parseTags(null)).toEqual([]);
+        expect(parseTags('a,b')).toEqual([]);
+    });
+
+    test('round trip', async () => {
+        const items = [
+            {
+                type: 'script',
+                mime: 'application/json',
+                name: 'Jump',
+                folder: 'Movement',
+                tags: ['platformer'],
+                bodyData: bytes([1, 2, 3]),
+                thumbnailData: bytes([4, 5])
+            },
+            {
+                type: 'sound',
+                mime: 'audio/wav',
+                name: 'Pop',
+                folder: '',
+                tags: [],
+                bodyData: bytes([6]),
+                thumbnailData: bytes([])
+            }
+        ];
+        const file = await createBackpackFile(items);
+        const result = await readBackpackFile(file);
+        expect(result.length).toBe(2);
+        expect(result[0].type).toBe('script');
+        expect(result[0].name).toBe('Jump');
+        expect(result[0].folder).toBe('Movement');
+        expect(result[0].tags).toEqual(['platformer']);
+        expect(Array.from(new Uint8Array(result[0].bodyData))).toEqual([1, 2, 3]);
+        expect(Array.from(new Uint8Array(result[0].thumbnailData))).toEqual([4, 5]);
+        expect(result[1].type).toBe('sound');
+        expect(Array.from(new Uint8Array(result[1].bodyData))).toEqual([6]);
+    });
+
+    test('rejects invalid files', async () => {
+        const empty = new JSZip();
+        await expect(readBackpackFile(await empty.generateAsync({type: 'arraybuffer'})))
+            .rejects.toThrow('missing backpack.json');
+
+        const future = new JSZip();
+        future.file('backpack.json', JSON.stringify({version: FILE_VERSION + 1, items: []}));
+        await expect(readBackpackFile(await future.generateAsync({type: 'arraybuffer'})))
+            .rejects.toThrow('not supported');
+
+        const missingData = new JSZip();
+        missingData.file('backpack.json', JSON.stringify({
+            version: FILE_VERSION,
+            items: [{type: 'costume', name: 'a', body: '0/body', thumbnail: '0/thumbnail'}]
+        }));
+        await expect(readBackpackFile(await missingData.generateAsync({type: 'arraybuffer'})))
+            .rejects.toThrow('missing data');
+
+        const unknownType = new JSZip();
+        unknownType.file('backpack.json', JSON.stringify({
+            version: FILE_VERSION,
+            items: [{type: 'project'}]
+        }));
+        await expect(readBackpackFile(await unknownType.generateAsync({type: 'arraybuffer'})))
+            .rejects.toThrow('unknown type');
+    });
+});
@@ -0,0 +1,67 @@
+import {
+    DEFAULT_AUTH_HEADER,
+    DEFAULT_PAGE_SIZE,
+    formatSharedBackpackURL,
+    parsePageSize,
+    parseSharedBackpack,
+    parseSharedBackpackURL
+} from '../../../src/lib/tw-backpack-servers';
+
+describe('tw-backpack-servers', () => {
+    test('parseSharedBackpackURL', () => {
+        expect(parseSharedBackpackURL('http://192.168.1.10:8602/team')).toEqual({
+            host: 'http://192.168.1.10:8602',
+            username: 'team'
+        });
+        expect(parseSharedBackpackURL(' https://example.com/backpacks/class-a/ ')).toEqual({
+            host: 'https://example.com/backpacks',
+            username: 'class-a'
+        });
+        expect(parseSharedBackpackURL('http://example.com/')).toBe(null);
+        expect(parseSharedBackpackURL('ftp://example.com/team')).toBe(null);
+        expect(parseSharedBackpackURL('not a url')).toBe(null);
+    });
+
+    test('formatSharedBackpackURL round trip', () => {
+        const url = 'http://localhost:8602/team';
+        expect(formatSharedBackpackURL(parseSharedBackpackURL(url))).toBe(url);
+    });
+
+    test('parsePageSize', () => {
+        expect(parsePageSize(5)).toBe(5);
+        expect(parsePageSize('30')).toBe(30);
+        expect(parsePageSize(1000)).toBe(100);
+        expect(parsePageSize(0)).toBe(DEFAULT_PAGE_SIZE);
+        expect(parsePageSize(-3)).toBe(DEFAULT_PAGE_SIZE);
+        expect(parsePageSize('abc')).toBe(DEFAULT_PAGE_SIZE);
+    });
+
+    test('parseSharedBackpack', () => {
+        expect(parseSharedBackpack({
+            host: 'http://localhost:8602/',
+            username: 'team'
+        })).toEqual({
+            host: 'http://localhost:8602',
+            username: 'team',
+            token: '',
+            authHeader: DEFAULT_AUTH_HEADER,
+            pageSize: DEFAULT_PAGE_SIZE
+        });
+        expect(parseSharedBackpack({
+            host: 'http://localhost:8602',
+            username: 'team',
+            token: 'secret',
+            authHeader: 'authorization',
+            pageSize: 50
+        })).toEqual({
+            host: 'http://localhost:8602',
+            username: 'team',
+            token: 'secret',
+            authHeader: 'authorization',
+            pageSize: 50
+        });
+        expect(parseSharedBackpack(null)).toBe(null);
+        expect(parseSharedBackpack({host: 'javascript:alert(1)', username: 'team'})).toBe(null);
+        expect(parseSharedBackpack({host: 'http://localhost', username: ''})).toBe(null);
+    });
+});
@@ -0,0 +1,73 @@
+import BroadcastChannelCloudProvider from '../../../src/lib/tw-broadcast-channel-cloud-provider';
+
+// Stub BroadcastChannel so that every channel with the same name receives each other's messages
+const channels = [];
+global.BroadcastChannel = function (name) {
+    this.name = name;
+    this.onmessage = null;
+    this.postMessage = data => {
+        for (const channel of channels) {
+            if (channel !== this && channel.name === this.name && channel.onmessage) {
+                channel.onmessage({data});
+            }
+        }
+    };
+    this.close = () => {
+        channels.splice(channels.indexOf(this), 1);
+    };
+    channels.push(this);
+};
+
+const createTab = projectId => {
+    const vmIOData = [];
+    const vm = {
+        postIOData: (_namespace, data) => {
+            vmIOData.push(data.varUpdate);
+        }
+    };
+    return {
+        provider: new BroadcastChannelCloudProvider(vm, 'user', projectId),
+        vmIOData
+    };
+};
+
+afterEach(() => {
+    for (const channel of channels.slice()) {
+        channel.close();
+    }
+});
+
+test('created variables are sent to other tabs', () => {
+    const a = createTab('1');
+    const b = createTab('1');
+    a.provider.createVariable('☁ score', 5);
+    expect(b.vmIOData).toEqual([{name: '☁ score', value: 5}]);
+    expect(b.provider.variables.get('☁ score')).toBe(5);
+    expect(a.vmIOData).toEqual([]);
+});
+
+test('updates, renames, and deletes are sent to other tabs', () => {
+    const a = createTab('1');
+    const b = createTab('1');
+    a.provider.updateVariable('☁ a', 1);
+    expect(b.vmIOData).toEqual([{name: '☁ a', value: 1}]);
+    a.provider.renameVariable('☁ a', '☁ b');
+    expect(Array.from(b.provider.variables.entries())).toEqual([['☁ b', 1]]);
+    a.provider.deleteVariable('☁ b');
+    expect(b.provider.variables.size).toBe(0);
+});
+
+test('new tabs are caught up', () => {
+    const a = createTab('1');
+    a.provider.createVariable('☁ a', 1);
+    a.provider.updateVariable('☁ a', 2);
+    const b = createTab('1');
+    expect(b.vmIOData).toEqual([{name: '☁ a', value: 2}]);
+});
+
+test('projects do not share variables', () => {
+    const a = createTab('1');
+    const b = createTab('2');
+    a.provider.createVariable('☁ a', 1);
+    expect(b.vmIOData).toEqual([]);
+});
@@ -0,0 +1,60 @@
+import 'fake-indexeddb/auto';
+import {
+    CLOUD_BACKEND_BROADCAST_CHANNEL,
+    CLOUD_BACKEND_INDEXED_DB,
+    CLOUD_BACKEND_WEBSOCKET,
+    createCloudProvider,
+    getCloudProjectId,
+    hashLoadedProject
+} from '../../../src/lib/tw-cloud-backends';
+
+const createVM = projectJSON => {
+    const vmIOData = [];
+    return {
+        toJSON: () => projectJSON,
+        postIOData: (_namespace, data) => {
+            vmIOData.push(data.varUpdate);
+        },
+        vmIOData
+    };
+};
+
+const connect = vm => {
+    const provider = createCloudProvider(CLOUD_BACKEND_INDEXED_DB, {
+        vm,
+        username: 'user',
+        projectId: getCloudProjectId(CLOUD_BACKEND_INDEXED_DB, '0', hashLoadedProject(vm))
+    });
+    return provider.connection.then(() => provider);
+};
+
+// Saving happens in the background
+const waitForSave = () => new Promise(resolve => setTimeout(resolve, 100));
+
+test('getCloudProjectId', () => {
+    expect(getCloudProjectId(CLOUD_BACKEND_WEBSOCKET, '1234', 'abc')).toBe('1234');
+    expect(getCloudProjectId(CLOUD_BACKEND_INDEXED_DB, '1234', 'abc')).toBe('1234');
+    expect(getCloudProjectId(CLOUD_BACKEND_BROADCAST_CHANNEL, 1234, 'abc')).toBe(1234);
+    expect(getCloudProjectId(CLOUD_BACKEND_INDEXED_DB, '0', 'abc')).toBe('md5:abc');
+    expect(getCloudProjectId(CLOUD_BACKEND_BROADCAST_CHANNEL, null, 'abc')).toBe('md5:abc');
+    expect(getCloudProjectId(CLOUD_BACKEND_INDEXED_DB, null, 'abc'))
+        .not.toBe(getCloudProjectId(CLOUD_BACKEND_INDEXED_DB, null, 'def'));
+});
+
+test('projects without an ID do not share saved variables', async () => {
+    const projectA = '{"targets":[{"name":"A"}]}';
+    const projectB = '{"targets":[{"name":"B"}]}';
+
+    const a = await connect(createVM(projectA));
+    a.updateVariable('☁ score', 10);
+    a.requestCloseConnection();
+    await waitForSave();
+
+    const otherVM = createVM(projectB);
+    await connect(otherVM);
+    expect(otherVM.vmIOData).toEqual([]);
+
+    const sameVM = createVM(projectA);
+    await connect(sameVM);
+    expect(sameVM.vmIOData).toEqual([{name: '☁ score', value: 10}]);
+});
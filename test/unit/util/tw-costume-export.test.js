@@ -0,0 +1,66 @@
+import {createAtlas, getColumns, getFrameLayout} from '../../../src/lib/tw-costume-export';
+
+describe('tw-costume-export', () => {
+    test('getFrameLayout lines up rotation centers', () => {
+        const costumes = [
+            {width: 10, height: 20, centerX: 5, centerY: 10},
+            {width: 30, height: 4, centerX: 0, centerY: 4},
+            {width: 6, height: 6, centerX: 8, centerY: -2}
+        ];
+        expect(getFrameLayout(costumes, 1)).toEqual({
+            originX: 8,
+            originY: 10,
+            width: 38,
+            height: 20
+        });
+        expect(getFrameLayout(costumes, 2)).toEqual({
+            originX: 16,
+            originY: 20,
+            width: 76,
+            height: 40
+        });
+        // Fractional centers round outwards so nothing is cut off
+        expect(getFrameLayout([{width: 3, height: 3, centerX: 1.5, centerY: 0.5}], 1)).toEqual({
+            originX: 2,
+            originY: 1,
+            width: 4,
+            height: 4
+        });
+    });
+
+    test('getColumns', () => {
+        expect(getColumns('', 10)).toBe(4);
+        expect(getColumns(0, 1)).toBe(1);
+        expect(getColumns(3, 10)).toBe(3);
+        expect(getColumns(50, 10)).toBe(10);
+        expect(getColumns('2', 0)).toBe(1);
+    });
+
+    test('createAtlas', () => {
+        const layout = {width: 20, height: 10, originX: 5, originY: 10};
+        const atlas = createAtlas(['walk1', '2', 'walk1'], layout, {
+            columns: 2,
+            delay: 80,
+            scale: 1
+        }, 'Sprite1.png');
+        expect(atlas.meta).toMatchObject({
+            image: 'Sprite1.png',
+            size: {w: 40, h: 20},
+            scale: '1'
+        });
+        expect(atlas.frames.map(i => i.filename)).toEqual(['walk1', '2', 'walk1']);
+        expect(atlas.frames.map(i => i.frame)).toEqual([
+            {x: 0, y: 0, w: 20, h: 10},
+            {x: 20, y: 0, w: 20, h: 10},
+            {x: 0, y: 10, w: 20, h: 10}
+        ]);
+        expect(atlas.frames[0]).toMatchObject({
+            rotated: false,
+            trimmed: false,
+            spriteSourceSize: {x: 0, y: 0, w: 20, h: 10},
+            sourceSize: {w: 20, h: 10},
+            pivot: {x: 0.25, y: 1},
+            duration: 80
+        });
+    });
+});
@@ -0,0 +1,117 @@
+import {
+    MIN_WIDTH,
+    getEditorPanelWidth,
+    getEditorPanels,
+    getOpenEditorPanel,
+    isEditorPanelOpen,
+    registerEditorPanel,
+    resetEditorPanels,
+    setEditorPanelWidth,
+    setOpenEditorPanel,
+    subscribeToEditorPanels,
+    unregisterEditorPanel
+} from '../../../src/lib/tw-editor-panels';
+
+class LocalStorageShim {
+    constructor () {
+        this.storage = Object.create(null);
+    }
+    getItem (key) {
+        return key in this.storage ? this.storage[key] : null;
+    }
+    setItem (key, value) {
+        this.storage[key] = value.toString();
+    }
+}
+
+const createPanel = (id, options) => registerEditorPanel(Object.assign({
+    id,
+    title: id,
+    // Panels only pass the element along to the GUI
+    element: {},
+    onOpen: jest.fn(),
+    onClose: jest.fn(),
+    onResize: jest.fn()
+}, options));
+
+beforeEach(() => {
+    global.localStorage = new LocalStorageShim();
+    resetEditorPanels();
+});
+
+test('register and unregister', () => {
+    const listener = jest.fn();
+    const unsubscribe = subscribeToEditorPanels(listener);
+    const a = createPanel('a');
+    const b = createPanel('b');
+    expect(getEditorPanels()).toEqual([a, b]);
+    expect(listener).toHaveBeenCalledTimes(2);
+    expect(() => createPanel('a')).toThrow();
+
+    unregisterEditorPanel('a');
+    expect(getEditorPanels()).toEqual([b]);
+    expect(listener).toHaveBeenCalledTimes(3);
+    unsubscribe();
+});
+
+test('only one panel is open at a time', () => {
+    const a = createPanel('a');
+    const b = createPanel('b');
+    expect(getOpenEditorPanel()).toBe(null);
+
+    setOpenEditorPanel('a');
+    expect(getOpenEditorPanel()).toBe(a);
+    expect(isEditorPanelOpen('a')).toBe(true);
+    expect(a.onOpen).toHaveBeenCalledTimes(1);
+
+    setOpenEditorPanel('b');
+    expect(getOpenEditorPanel()).toBe(b);
+    expect(isEditorPanelOpen('a')).toBe(false);
+    expect(a.onClose).toHaveBeenCalledTimes(1);
+    expect(b.onOpen).toHaveBeenCalledTimes(1);
+
+    // Opening the open panel again does nothing
+    setOpenEditorPanel('b');
+    expect(b.onOpen).toHaveBeenCalledTimes(1);
+
+    setOpenEditorPanel(null);
+    expect(getOpenEditorPanel()).toBe(null);
+    expect(b.onClose).toHaveBeenCalledTimes(1);
+});
+
+test('open panel is remembered', () => {
+    createPanel('a');
+    setOpenEditorPanel('a');
+
+    // Simulate reloading the page. The panel isn't open until the addon registers it again.
+    resetEditorPanels();
+    expect(getOpenEditorPanel()).toBe(null);
+    const a = createPanel('a');
+    expect(getOpenEditorPanel()).toBe(a);
+    expect(isEditorPanelOpen('a')).toBe(true);
+});
+
+test('width', () => {
+    const a = createPanel('a', {
+        defaultWidth: 400
+    });
+    const b = createPanel('b', {
+        defaultWidth: 1
+    });
+    expect(getEditorPanelWidth(a)).toBe(400);
+    expect(getEditorPanelWidth(b)).toBe(MIN_WIDTH);
+
+    setEditorPanelWidth('a', 500.4);
+    expect(getEditorPanelWidth(a)).toBe(500);
+    expect(a.onResize).toHaveBeenCalledWith(500);
+
+    setEditorPanelWidth('a', 0);
+    expect(getEditorPanelWidth(a)).toBe(MIN_WIDTH);
+
+    setEditorPanelWidth('a', 450);
+    resetEditorPanels();
+    const recreated = createPanel('a', {
+        defaultWidth: 400
+    });
+    expect(getEditorPanelWidth(recreated)).toBe(450);
+});
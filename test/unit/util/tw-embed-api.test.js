@@ -0,0 +1,222 @@
+import {
+    COMMAND_MESSAGE_TYPE,
+    EVENT_MESSAGE_TYPE,
+    RESPONSE_MESSAGE_TYPE,
+    EmbedAPI,
+    parseAllowedOrigins
+} from '../../../src/lib/tw-embed-api';
+
+const createTarget = variables => ({
+    variables,
+    lookupVariableByNameAndType (name, type) {
+        return Object.values(this.variables).find(i => i.name === name && i.type === type) || null;
+    }
+});
+
+const createFakeVM = () => {
+    const stage = createTarget({
+        a: {name: 'score', type: '', value: 10},
+        b: {name: 'items', type: 'list', value: ['x', 'y']}
+    });
+    const sprite = createTarget({
+        c: {name: 'speed', type: '', value: 5}
+    });
+    const runtime = {
+        startHats: jest.fn(() => []),
+        _step: jest.fn(),
+        getTargetForStage: () => stage,
+        getSpriteTargetByName: name => (name === 'Sprite1' ? sprite : undefined)
+    };
+    return {
+        runtime,
+        originalStartHats: runtime.startHats,
+        stage,
+        sprite,
+        start: jest.fn(),
+        greenFlag: jest.fn(),
+        stopAll: jest.fn(),
+        setTurboMode: jest.fn(),
+        setFramerate: jest.fn()
+    };
+};
+
+const createFakeWindow = () => {
+    const listeners = [];
+    const parent = {
+        postMessage: jest.fn()
+    };
+    return {
+        parent,
+        addEventListener: (type, listener) => listeners.push(listener),
+        dispatch: event => listeners.forEach(listener => listener(event))
+    };
+};
+
+const setup = allowedOrigins => {
+    const vm = createFakeVM();
+    const fakeWindow = createFakeWindow();
+    const loadProject = jest.fn(() => Promise.resolve());
+    const api = new EmbedAPI(vm, {
+        allowedOrigins,
+        loadProject,
+        window: fakeWindow
+    });
+    api.install();
+    const source = {
+        postMessage: jest.fn()
+    };
+    const send = (data, origin = 'https://example.com') => {
+        fakeWindow.dispatch({
+            data: {
+                type: COMMAND_MESSAGE_TYPE,
+                id: 1,
+                ...data
+            },
+            origin,
+            source
+        });
+        // Commands are handled asynchronously
+        return new Promise(resolve => setTimeout(resolve));
+    };
+    return {api, vm, fakeWindow, loadProject, source, send};
+};
+
+const lastResponse = source => source.postMessage.mock.calls[source.postMessage.mock.calls.length - 1][0];
+
+test('parseAllowedOrigins', () => {
+    expect(parseAllowedOrigins(new URLSearchParams(''))).toEqual([]);
+    expect(parseAllowedOrigins(new URLSearchParams('?api_origins=*'))).toEqual(['*']);
+    expect(parseAllowedOrigins(new URLSearchParams('?api_origins=https://a.com,%20https://b.com,')))
+        .toEqual(['https://a.com', 'https://b.com']);
+});
+
+test('disabled without allowed origins', async () => {
+    const {vm, fakeWindow, source, send} = setup([]);
+    await send({command: 'greenFlag'});
+    expect(vm.greenFlag).not.toHaveBeenCalled();
+    expect(source.postMessage).not.toHaveBeenCalled();
+    expect(fakeWindow.parent.postMessage).not.toHaveBeenCalled();
+});
+
+test('sends ready event to allowed origins', () => {
+    const {fakeWindow} = setup(['https://a.com', 'https://b.com']);
+    expect(fakeWindow.parent.postMessage).toHaveBeenCalledWith({
+        type: EVENT_MESSAGE_TYPE,
+        event: 'ready'
+    }, 'https://a.com');
+    expect(fakeWindow.parent.postMessage).toHaveBeenCalledWith({
+        type: EVENT_MESSAGE_TYPE,
+        event: 'ready'
+    }, 'https://b.com');
+});
+
+test('ignores other origins', async () => {
+    const {vm, source, send} = setup(['https://example.com']);
+    await send({command: 'greenFlag'}, 'https://evil.com');
+    expect(vm.greenFlag).not.toHaveBeenCalled();
+    expect(source.postMessage).not.toHaveBeenCalled();
+    await send({command: 'greenFlag'});
+    expect(vm.start).toHaveBeenCalled();
+    expect(vm.greenFlag).toHaveBeenCalled();
+    expect(source.postMessage).toHaveBeenCalledWith({
+        type: RESPONSE_MESSAGE_TYPE,
+        id: 1,
+        result: null
+    }, 'https://example.com');
+});
+
+test('variables and lists', async () => {
+    const {vm, source, send} = setup(['*']);
+
+    await send({command: 'getVariable', name: 'score'});
+    expect(lastResponse(source).result).toBe(10);
+
+    await send({command: 'setVariable', name: 'score', value: 'abc'});
+    expect(vm.stage.variables.a.value).toBe('abc');
+
+    await send({command: 'getList', name: 'items'});
+    expect(lastResponse(source).result).toEqual(['x', 'y']);
+
+    await send({command: 'setList', name: 'items', value: [1, 2, 3]});
+    expect(vm.stage.variables.b.value).toEqual([1, 2, 3]);
+    expect(vm.stage.variables.b._monitorUpToDate).toBe(false);
+
+    await send({command: 'getVariable', name: 'speed', sprite: 'Sprite1'});
+    expect(lastResponse(source).result).toBe(5);
+
+    await send({command: 'getVariable', name: 'missing'});
+    expect(lastResponse(source).error).toBe('Unknown variable: missing');
+
+    await send({command: 'getVariable', name: 'score', sprite: 'Sprite2'});
+    expect(lastResponse(source).error).toBe('Unknown sprite: Sprite2');
+
+    await send({command: 'setVariable', name: 'score', value: {}});
+    expect(lastResponse(source).error).toMatch(/value must be/);
+
+    await send({command: 'setList', name: 'items', value: 'abc'});
+    expect(lastResponse(source).error).toMatch(/value must be/);
+});
+
+test('watching variables', async () => {
+    const {vm, fakeWindow, send} = setup(['*']);
+    await send({command: 'watchList', name: 'items'});
+    fakeWindow.parent.postMessage.mockClear();
+
+    vm.runtime._step();
+    expect(fakeWindow.parent.postMessage).not.toHaveBeenCalled();
+
+    vm.stage.variables.b.value.push('z');
+    vm.runtime._step();
+    expect(fakeWindow.parent.postMessage).toHaveBeenCalledTimes(1);
+    expect(fakeWindow.parent.postMessage).toHaveBeenCalledWith({
+        type: EVENT_MESSAGE_TYPE,
+        event: 'variableChanged',
+        name: 'items',
+        sprite: null,
+        list: true,
+        value: ['x', 'y', 'z']
+    }, '*');
+
+    await send({command: 'unwatchList', name: 'items'});
+    fakeWindow.parent.postMessage.mockClear();
+    vm.stage.variables.b.value.push('w');
+    vm.runtime._step();
+    expect(fakeWindow.parent.postMessage).not.toHaveBeenCalled();
+});
+
+test('broadcasts', async () => {
+    const {vm, fakeWindow, send} = setup(['*']);
+    await send({command: 'broadcast', name: 'message1'});
+    expect(vm.start).toHaveBeenCalled();
+    expect(vm.originalStartHats).toHaveBeenCalledWith('event_whenbroadcastreceived', {
+        BROADCAST_OPTION: 'message1'
+    }, undefined);
+    expect(fakeWindow.parent.postMessage).toHaveBeenCalledWith({
+        type: EVENT_MESSAGE_TYPE,
+        event: 'broadcast',
+        name: 'message1'
+    }, '*');
+});
+
+test('loadProject, turbo mode, and framerate', async () => {
+    const {vm, loadProject, source, send} = setup(['*']);
+
+    const data = new ArrayBuffer(4);
+    await send({command: 'loadProject', data});
+    expect(loadProject).toHaveBeenCalledWith(data);
+
+    await send({command: 'loadProject', data: 'abc'});
+    expect(lastResponse(source).error).toBe('data must be an ArrayBuffer');
+
+    await send({command: 'setTurboMode', enabled: true});
+    expect(vm.setTurboMode).toHaveBeenCalledWith(true);
+
+    await send({command: 'setFramerate', fps: 60});
+    expect(vm.setFramerate).toHaveBeenCalledWith(60);
+
+    await send({command: 'setFramerate', fps: -1});
+    expect(lastResponse(source).error).toBe('Invalid framerate: -1');
+
+    await send({command: 'doesNotExist'});
+    expect(lastResponse(source).error).toBe('Unknown command: doesNotExist');
+});
@@ -0,0 +1,112 @@
+import JSZip from '@turbowarp/jszip';
+import {embedExtensions} from '../../../src/lib/tw-export-html';
+import {getEmbeddedExtensions} from '../../../src/lib/tw-standalone-html';
+
+const TRUSTED_URL = 'https://extensions.turbowarp.org/fetch.js';
+const CUSTOM_URL = 'https://example.com/extension.js';
+const DATA_URL = 'data:text/javascript;base64,KGZ1bmN0aW9uKCkge30pKCk7';
+
+const createProject = async extensionURLs => {
+    const zip = new JSZip();
+    zip.file('project.json', JSON.stringify({
+        targets: [],
+        extensionURLs
+    }));
+    return zip.generateAsync({
+        type: 'arraybuffer'
+    });
+};
+
+const readExtensionURLs = async sb3 => {
+    const zip = await JSZip.loadAsync(sb3);
+    return JSON.parse(await zip.file('project.json').async('text')).extensionURLs;
+};
+
+const createSecurityManager = overrides => Object.assign({
+    canLoadExtensionFromProject: jest.fn(() => Promise.resolve(true)),
+    canFetch: jest.fn(() => Promise.resolve(true)),
+    rewriteExtensionURL: jest.fn(url => Promise.resolve(url)),
+    getSandboxMode: jest.fn(url => Promise.resolve(url === TRUSTED_URL ? 'unsandboxed' : 'iframe'))
+}, overrides);
+
+afterEach(() => {
+    delete global.fetch;
+});
+
+test('extensions are embedded with the sandbox mode chosen by the security manager', async () => {
+    global.fetch = jest.fn(url => Promise.resolve({
+        ok: true,
+        text: () => Promise.resolve(`// ${url}`)
+    }));
+    const securityManager = createSecurityManager();
+    const {sb3, unsandboxed} = await embedExtensions(await createProject({
+        trusted: TRUSTED_URL,
+        custom: CUSTOM_URL,
+        data: DATA_URL
+    }), securityManager);
+
+    expect(unsandboxed).toEqual(['trusted']);
+    const extensionURLs = await readExtensionURLs(sb3);
+    expect(extensionURLs.data).toBe(DATA_URL);
+    expect(extensionURLs.trusted.startsWith('data:')).toBe(true);
+    expect(extensionURLs.custom.startsWith('data:')).toBe(true);
+    expect(securityManager.canFetch).toHaveBeenCalledWith(TRUSTED_URL);
+    expect(securityManager.canFetch).toHaveBeenCalledWith(CUSTOM_URL);
+    expect(securityManager.canFetch).not.toHaveBeenCalledWith(DATA_URL);
+
+    // The player only loads what was embedded, and keeps sandboxed extensions sandboxed
+    const embedded = await getEmbeddedExtensions(sb3, unsandboxed);
+    expect(Array.from(embedded.embedded).sort()).toEqual(Object.values(extensionURLs).sort());
+    expect(Array.from(embedded.unsandboxed)).toEqual([extensionURLs.trusted]);
+});
+
+test('extensions are embedded with the code the editor would load', async () => {
+    global.fetch = jest.fn();
+    const {sb3} = await embedExtensions(await createProject({
+        custom: CUSTOM_URL
+    }), createSecurityManager({
+        rewriteExtensionURL: () => Promise.resolve(DATA_URL)
+    }));
+    expect(await readExtensionURLs(sb3)).toEqual({
+        custom: DATA_URL
+    });
+    expect(global.fetch).not.toHaveBeenCalled();
+});
+
+test('extensions the security manager denies are not embedded', async () => {
+    global.fetch = jest.fn();
+    await expect(embedExtensions(await createProject({
+        custom: CUSTOM_URL
+    }), createSecurityManager({
+        canLoadExtensionFromProject: () => Promise.resolve(false)
+    }))).rejects.toThrow(CUSTOM_URL);
+    await expect(embedExtensions(await createProject({
+        custom: CUSTOM_URL
+    }), createSecurityManager({
+        canFetch: () => Promise.resolve(false)
+    }))).rejects.toThrow(CUSTOM_URL);
+    expect(global.fetch).not.toHaveBeenCalled();
+});
+
+test('extensions that cannot be downloaded are reported', async () => {
+    global.fetch = jest.fn(() => Promise.reject(new TypeError('Failed to fetch')));
+    await expect(embedExtensions(await createProject({
+        custom: CUSTOM_URL
+    }), createSecurityManager())).rejects.toThrow(`Could not download extension ${CUSTOM_URL}`);
+
+    global.fetch = jest.fn(() => Promise.resolve({
+        ok: false,
+        status: 404
+    }));
+    await expect(embedExtensions(await createProject({
+        custom: CUSTOM_URL
+    }), createSecurityManager())).rejects.toThrow('HTTP status 404');
+});
+
+test('projects without extensions are unchanged', async () => {
+    const sb3 = await createProject();
+    expect(await embedExtensions(sb3, createSecurityManager())).toEqual({
+        sb3,
+        unsandboxed: []
+    });
+});
@@ -0,0 +1,258 @@
+import implementGuiAPI from '../../../src/lib/tw-extension-gui-api';
+import log from '../../../src/lib/log';
+import AddonHooks from '../../../src/addons/hooks';
+import alertsReducer from '../../../src/reducers/alerts';
+import {
+    getExtensionMenuItems,
+    getExtensionSettings,
+    setExtensionSettingValue
+} from '../../../src/lib/tw-extension-gui-registry';
+
+class LocalStorageShim {
+    constructor () {
+        this.storage = Object.create(null);
+    }
+    getItem (key) {
+        return key in this.storage ? this.storage[key] : null;
+    }
+    setItem (key, value) {
+        this.storage[key] = value.toString();
+    }
+    removeItem (key) {
+        delete this.storage[key];
+    }
+}
+
+const createFakeStore = () => {
+    const listeners = [];
+    const store = {
+        state: {
+            scratchGui: {
+                alerts: alertsReducer(undefined, {}), // eslint-disable-line no-undefined
+                editorTab: {
+                    activeTabIndex: 0
+                },
+                projectTitle: 'Project',
+                targets: {
+                    editingTarget: 'sprite1'
+                }
+            }
+        },
+        actions: [],
+        getState: () => store.state,
+        dispatch: action => {
+            store.actions.push(action);
+            store.state.scratchGui = Object.assign({}, store.state.scratchGui, {
+                alerts: alertsReducer(store.state.scratchGui.alerts, action)
+            });
+        },
+        subscribe: listener => {
+            listeners.push(listener);
+            return () => {
+                listeners.splice(listeners.indexOf(listener), 1);
+            };
+        },
+        update: changes => {
+            store.state.scratchGui = Object.assign({}, store.state.scratchGui, changes);
+            for (const listener of listeners.slice()) {
+                listener();
+            }
+        },
+        listenerCount: () => listeners.length
+    };
+    return store;
+};
+
+let Scratch;
+let store;
+beforeEach(() => {
+    global.localStorage = new LocalStorageShim();
+    store = createFakeStore();
+    AddonHooks.appStateStore = store;
+    Scratch = {};
+    implementGuiAPI(Scratch);
+});
+
+test('version', () => {
+    expect(Scratch.gui.version).toBe(1);
+});
+
+test('getters', () => {
+    expect(Scratch.gui.getProjectTitle()).toBe('Project');
+    expect(Scratch.gui.getEditorTab()).toBe('code');
+    expect(Scratch.gui.getEditingTarget()).toBe('sprite1');
+});
+
+test('openModal', () => {
+    Scratch.gui.openModal('settings');
+    expect(store.actions).toEqual([{
+        type: 'scratch-gui/modals/OPEN_MODAL',
+        modal: 'settingsModal'
+    }]);
+    expect(() => Scratch.gui.openModal('toString')).toThrow();
+    expect(() => Scratch.gui.openModal('nonexistent')).toThrow();
+});
+
+test('showAlert', () => {
+    jest.useFakeTimers();
+    const close = Scratch.gui.showAlert({
+        message: 'Hello',
+        level: 'success'
+    });
+    expect(store.state.scratchGui.alerts.alertsList).toEqual([
+        expect.objectContaining({
+            content: 'Hello',
+            level: 'success',
+            closeButton: true
+        })
+    ]);
+    close();
+    expect(store.state.scratchGui.alerts.alertsList).toEqual([]);
+
+    Scratch.gui.showAlert({
+        message: 'Goodbye',
+        timeout: 2
+    });
+    expect(store.state.scratchGui.alerts.alertsList.length).toBe(1);
+    expect(store.state.scratchGui.alerts.alertsList[0].level).toBe('info');
+    jest.advanceTimersByTime(2000);
+    expect(store.state.scratchGui.alerts.alertsList).toEqual([]);
+    jest.useRealTimers();
+
+    expect(() => Scratch.gui.showAlert({
+        message: 'Test',
+        level: 'invalid'
+    })).toThrow();
+});
+
+test('addMenuItem', () => {
+    const onClick = jest.fn();
+    const remove = Scratch.gui.addMenuItem({
+        text: 'Item',
+        onClick
+    });
+    expect(getExtensionMenuItems()).toEqual([
+        expect.objectContaining({
+            text: 'Item',
+            onClick
+        })
+    ]);
+    remove();
+    expect(getExtensionMenuItems()).toEqual([]);
+    expect(() => Scratch.gui.addMenuItem({
+        text: 'Item'
+    })).toThrow();
+});
+
+test('addSetting', () => {
+    const onChange = jest.fn();
+    const setting = Scratch.gui.addSetting({
+        id: 'test.number',
+        label: 'Number',
+        type: 'number',
+        default: 5,
+        onChange
+    });
+    expect(getExtensionSettings().length).toBe(1);
+    expect(setting.get()).toBe(5);
+
+    setting.set(10);
+    expect(setting.get()).toBe(10);
+    expect(onChange).toHaveBeenLastCalledWith(10);
+
+    // The settings modal changes values through the registry
+    setExtensionSettingValue('test.number', 15);
+    expect(setting.get()).toBe(15);
+    expect(onChange).toHaveBeenLastCalledWith(15);
+
+    // Values are remembered
+    const recreated = Scratch.gui.addSetting({
+        id: 'test.number',
+        label: 'Number',
+        type: 'number',
+        default: 5
+    });
+    expect(getExtensionSettings().length).toBe(1);
+    expect(recreated.get()).toBe(15);
+
+    expect(() => setting.set('20')).toThrow();
+    recreated.remove();
+    expect(getExtensionSettings()).toEqual([]);
+
+    expect(() => Scratch.gui.addSetting({
+        id: 'test.invalid',
+        label: 'Invalid',
+        type: 'object',
+        default: {}
+    })).toThrow();
+    expect(() => Scratch.gui.addSetting({
+        id: 'test.invalid',
+        label: 'Invalid',
+        type: 'boolean',
+        default: 'true'
+    })).toThrow();
+});
+
+test('events', () => {
+    const onTab = jest.fn();
+    const onTarget = jest.fn();
+    const onTitle = jest.fn();
+    Scratch.gui.on('editorTabChange', onTab);
+    Scratch.gui.on('targetChange', onTarget);
+    Scratch.gui.on('projectTitleChange', onTitle);
+    expect(store.listenerCount()).toBe(1);
+
+    store.update({
+        editorTab: {
+            activeTabIndex: 2
+        }
+    });
+    expect(onTab).toHaveBeenCalledTimes(1);
+    expect(onTab).toHaveBeenLastCalledWith('sounds');
+    expect(onTarget).toHaveBeenCalledTimes(0);
+    expect(onTitle).toHaveBeenCalledTimes(0);
+
+    store.update({
+        targets: {
+            editingTarget: 'sprite2'
+        },
+        projectTitle: 'New title'
+    });
+    expect(onTab).toHaveBeenCalledTimes(1);
+    expect(onTarget).toHaveBeenLastCalledWith('sprite2');
+    expect(onTitle).toHaveBeenLastCalledWith('New title');
+
+    Scratch.gui.off('editorTabChange', onTab);
+    Scratch.gui.off('targetChange', onTarget);
+    store.update({
+        editorTab: {
+            activeTabIndex: 1
+        }
+    });
+    expect(onTab).toHaveBeenCalledTimes(1);
+
+    Scratch.gui.off('projectTitleChange', onTitle);
+    expect(store.listenerCount()).toBe(0);
+
+    expect(() => Scratch.gui.on('nonexistent', () => {})).toThrow();
+});
+
+test('broken event listeners do not stop other listeners', () => {
+    const error = new Error('broken');
+    const broken = jest.fn(() => {
+        throw error;
+    });
+    const working = jest.fn();
+    const logError = jest.spyOn(log, 'error').mockImplementation(() => {});
+    Scratch.gui.on('projectTitleChange', broken);
+    Scratch.gui.on('projectTitleChange', working);
+    store.update({
+        projectTitle: 'New title'
+    });
+    expect(broken).toHaveBeenCalledTimes(1);
+    expect(working).toHaveBeenLastCalledWith('New title');
+    expect(logError).toHaveBeenCalledWith('Error in Scratch.gui event listener', error);
+    logError.mockRestore();
+    Scratch.gui.off('projectTitleChange', broken);
+    Scratch.gui.off('projectTitleChange', working);
+});
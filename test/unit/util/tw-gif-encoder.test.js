@@ -0,0 +1,30 @@
+import {quantize} from '../../../src/lib/tw-gif-encoder';
+
+const imageData = (width, height, pixels) => ({
+    width,
+    height,
+    data: new Uint8ClampedArray(pixels.flat())
+});
+
+describe('tw-gif-encoder', () => {
+    test('quantize uses exact colors when there are few', () => {
+        const result = quantize([
+            imageData(2, 1, [[255, 0, 0, 255], [0, 0, 255, 200]]),
+            imageData(2, 1, [[0, 0, 255, 255], [10, 10, 10, 100]])
+        ]);
+        expect(result.palette).toEqual([0xff0000, 0x0000ff, 0, 0]);
+        expect(result.transparentIndex).toBe(2);
+        expect(result.indexFrames.map(i => Array.from(i))).toEqual([[0, 1], [1, 2]]);
+    });
+
+    test('quantize reduces many colors', () => {
+        const pixels = [];
+        for (let i = 0; i < 4096; i++) {
+            pixels.push([i & 0xff, (i >> 4) & 0xff, (i * 7) & 0xff, 255]);
+        }
+        const result = quantize([imageData(64, 64, pixels)]);
+        expect(result.palette.length).toBe(256);
+        expect(result.transparentIndex).toBe(255);
+        expect(result.indexFrames[0].every(i => i < 255)).toBe(true);
+    });
+});
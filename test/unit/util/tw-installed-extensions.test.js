@@ -0,0 +1,116 @@
+import {
+    TYPE_FILE,
+    TYPE_TEXT,
+    TYPE_URL,
+    codeToDataURL,
+    createInstalledExtension,
+    getExtensionKey,
+    getExtensionLoadURL,
+    hashExtensionCode,
+    parseExtensionManifest
+} from '../../../src/lib/tw-installed-extensions';
+
+const CODE = `// Name: Test Extension
+// ID: test
+// Description: Does things.
+// Version: 1.2.3
+
+(function (Scratch) {
+    // Version: not part of the manifest
+})(Scratch);
+`;
+
+test('parseExtensionManifest', () => {
+    expect(parseExtensionManifest(CODE)).toEqual({
+        name: 'Test Extension',
+        version: '1.2.3'
+    });
+    expect(parseExtensionManifest('class Extension {}')).toEqual({
+        name: null,
+        version: null
+    });
+    expect(parseExtensionManifest('// A comment that isn\'t a field\n//Version:2\nfoo();')).toEqual({
+        name: null,
+        version: '2'
+    });
+});
+
+test('getExtensionKey', () => {
+    expect(getExtensionKey(TYPE_URL, 'https://example.com/a.js')).toBe('https://example.com/a.js');
+    expect(getExtensionKey(TYPE_FILE, 'a.js')).toBe('file:a.js');
+    expect(getExtensionKey(TYPE_TEXT, 'abc')).toBe(`text:${hashExtensionCode('abc')}`);
+});
+
+test('createInstalledExtension from URL', () => {
+    const extension = createInstalledExtension({
+        type: TYPE_URL,
+        url: 'https://example.com/extensions/a.js',
+        fileName: null,
+        code: CODE,
+        unsandboxed: false
+    }, null);
+    expect(extension.key).toBe('https://example.com/extensions/a.js');
+    expect(extension.name).toBe('Test Extension');
+    expect(extension.version).toBe('1.2.3');
+    expect(extension.hash).toBe(hashExtensionCode(CODE));
+    expect(extension.pinned).toBe(false);
+    expect(extension.installed).toBe(extension.updated);
+    expect(getExtensionLoadURL(extension)).toBe('https://example.com/extensions/a.js');
+});
+
+test('createInstalledExtension when the code could not be downloaded', () => {
+    const extension = createInstalledExtension({
+        type: TYPE_URL,
+        url: 'https://example.com/extensions/my%20extension.js',
+        fileName: null,
+        code: null,
+        unsandboxed: false
+    }, null);
+    expect(extension.name).toBe('my extension.js');
+    expect(extension.version).toBe(null);
+    expect(extension.hash).toBe(null);
+});
+
+test('pinned extensions load the saved code', () => {
+    const options = {
+        type: TYPE_URL,
+        url: 'https://example.com/a.js',
+        fileName: null,
+        code: CODE,
+        unsandboxed: false
+    };
+    const original = createInstalledExtension(options, null);
+    const pinned = createInstalledExtension(options, {
+        ...original,
+        pinned: true,
+        installed: 5
+    });
+    expect(pinned.pinned).toBe(true);
+    expect(pinned.installed).toBe(5);
+    expect(getExtensionLoadURL(pinned)).toBe(codeToDataURL(CODE));
+});
+
+test('files and text always load the saved code', () => {
+    const file = createInstalledExtension({
+        type: TYPE_FILE,
+        url: null,
+        fileName: 'file.js',
+        code: 'foo();',
+        unsandboxed: true
+    }, null);
+    expect(file.key).toBe('file:file.js');
+    expect(file.name).toBe('file.js');
+    expect(file.url).toBe(null);
+    expect(file.unsandboxed).toBe(true);
+    expect(getExtensionLoadURL(file)).toBe(codeToDataURL('foo();'));
+
+    const text = createInstalledExtension({
+        type: TYPE_TEXT,
+        url: null,
+        fileName: null,
+        code: CODE,
+        unsandboxed: false
+    }, null);
+    expect(text.name).toBe('Test Extension');
+    expect(getExtensionLoadURL(text)).toBe(codeToDataURL(CODE));
+});
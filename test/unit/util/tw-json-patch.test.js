@@ -0,0 +1,56 @@
+import {createPatch, applyPatch} from '../../../src/lib/tw-json-patch';
+
+const roundTrip = (a, b) => {
+    // Make sure patches survive being stored as JSON
+    const patch = JSON.parse(JSON.stringify(createPatch(a, b)));
+    return applyPatch(a, patch);
+};
+
+describe('tw-json-patch', () => {
+    test('identical values produce no patch', () => {
+        expect(createPatch(1, 1)).toEqual(null);
+        expect(createPatch('a', 'a')).toEqual(null);
+        expect(createPatch({a: [1, {b: 2}]}, {a: [1, {b: 2}]})).toEqual(null);
+    });
+
+    test('primitives', () => {
+        expect(roundTrip(1, 2)).toEqual(2);
+        expect(roundTrip('a', null)).toEqual(null);
+        expect(roundTrip(true, {x: 1})).toEqual({x: 1});
+    });
+
+    test('objects', () => {
+        const a = {keep: 1, change: 2, remove: 3, nested: {a: 1, b: 2}};
+        const b = {keep: 1, change: 4, add: 5, nested: {a: 1, b: 3}};
+        expect(roundTrip(a, b)).toEqual(b);
+        expect(createPatch(a, b).o.keep).toBeUndefined();
+    });
+
+    test('arrays', () => {
+        expect(roundTrip([1, 2, 3], [1, 5, 3])).toEqual([1, 5, 3]);
+        expect(roundTrip([1, 2, 3], [1, 2])).toEqual([1, 2]);
+        expect(roundTrip([1], [1, 2, [3]])).toEqual([1, 2, [3]]);
+        expect(roundTrip([], [])).toEqual([]);
+    });
+
+    test('does not modify the original value', () => {
+        const a = {list: [1, 2], object: {x: 1}};
+        const b = {list: [2], object: {y: 1}};
+        applyPatch(a, createPatch(a, b));
+        expect(a).toEqual({list: [1, 2], object: {x: 1}});
+    });
+
+    test('patches can be chained', () => {
+        const versions = [
+            {targets: [{name: 'Stage', blocks: {}}]},
+            {targets: [{name: 'Stage', blocks: {a: {opcode: 'x'}}}]},
+            {targets: [{name: 'Stage', blocks: {a: {opcode: 'y'}}}, {name: 'Sprite1'}]},
+            {targets: [{name: 'Sprite1'}]}
+        ];
+        let value = versions[0];
+        for (let i = 1; i < versions.length; i++) {
+            value = applyPatch(value, createPatch(versions[i - 1], versions[i]));
+            expect(value).toEqual(versions[i]);
+        }
+    });
+});
@@ -0,0 +1,123 @@
+import {
+    FORMAT_CSV,
+    FORMAT_JSON,
+    FORMAT_TSV,
+    FORMAT_TXT,
+    getColumn,
+    getColumnCount,
+    getColumnNames,
+    getDisplayedItem,
+    getFormatFromFileName,
+    getListNamesForColumns,
+    guessHasHeader,
+    parseListFile,
+    searchList,
+    serializeList,
+    sortList,
+    splitLines
+} from '../../../src/lib/tw-list-data';
+
+describe('tw-list-data', () => {
+    test('getFormatFromFileName', () => {
+        expect(getFormatFromFileName('list.json')).toBe(FORMAT_JSON);
+        expect(getFormatFromFileName('LIST.TSV')).toBe(FORMAT_TSV);
+        expect(getFormatFromFileName('a.b.txt')).toBe(FORMAT_TXT);
+        expect(getFormatFromFileName('list.csv')).toBe(FORMAT_CSV);
+        expect(getFormatFromFileName('list')).toBe(FORMAT_CSV);
+    });
+
+    test('splitLines', () => {
+        expect(splitLines('a\r\nb\nc\rd')).toEqual(['a', 'b', 'c', 'd']);
+        expect(splitLines('a\nb\n')).toEqual(['a', 'b']);
+        expect(splitLines('a\n\n')).toEqual(['a', '']);
+        expect(splitLines('')).toEqual(['']);
+    });
+
+    test('parseListFile txt', () => {
+        expect(parseListFile('a,b\nc\n', FORMAT_TXT)).toEqual([['a,b'], ['c']]);
+    });
+
+    test('parseListFile csv and tsv', () => {
+        expect(parseListFile('a,b\n1,"2,3"\n', FORMAT_CSV)).toEqual([['a', 'b'], ['1', '2,3']]);
+        expect(parseListFile('a\tb\n1\t2', FORMAT_TSV)).toEqual([['a', 'b'], ['1', '2']]);
+        // Delimiter is detected for unknown files
+        expect(parseListFile('a;b\n1;2', FORMAT_CSV)).toEqual([['a', 'b'], ['1', '2']]);
+    });
+
+    test('parseListFile json', () => {
+        expect(parseListFile('[1, "a", true, null, {"b": 2}]', FORMAT_JSON)).toEqual([
+            [1], ['a'], ['true'], [''], ['{"b":2}']
+        ]);
+        expect(parseListFile('[[1, 2], [3]]', FORMAT_JSON)).toEqual([[1, 2], [3]]);
+        expect(parseListFile('[{"name": "a", "score": 1}, {"name": "b", "extra": 3}]', FORMAT_JSON)).toEqual([
+            ['name', 'score', 'extra'],
+            ['a', 1, ''],
+            ['b', '', 3]
+        ]);
+        expect(() => parseListFile('{}', FORMAT_JSON)).toThrow();
+        expect(() => parseListFile('not json', FORMAT_JSON)).toThrow();
+    });
+
+    test('columns', () => {
+        const rows = [['name', 'score'], ['a', '1'], ['b']];
+        expect(getColumnCount(rows)).toBe(2);
+        expect(getColumn(rows, 0, false)).toEqual(['name', 'a', 'b']);
+        expect(getColumn(rows, 1, true)).toEqual(['1', '']);
+        expect(getColumnNames(rows, true)).toEqual(['name', 'score']);
+        expect(getColumnNames(rows, false)).toEqual(['', '']);
+    });
+
+    test('guessHasHeader', () => {
+        expect(guessHasHeader([['name', 'score'], ['a', '1']])).toBe(true);
+        expect(guessHasHeader([['a', 'b'], ['c', 'd']])).toBe(false);
+        expect(guessHasHeader([['1', '2'], ['3', '4']])).toBe(false);
+        expect(guessHasHeader([['name', ''], ['a', '1']])).toBe(false);
+        expect(guessHasHeader([['name']])).toBe(false);
+    });
+
+    test('getListNamesForColumns', () => {
+        expect(getListNamesForColumns(['', '', ''], 'list')).toEqual(['list', 'list 2', 'list 3']);
+        expect(getListNamesForColumns(['name', 'score', ''], 'list')).toEqual(['list', 'score', 'list 3']);
+        expect(getListNamesForColumns(['a', 'list', 'b', 'b'], 'list')).toEqual(['list', 'list 2', 'b', 'b 4']);
+    });
+
+    test('serializeList', () => {
+        const values = ['a', 'b,c', 'd"e', 5, true];
+        expect(serializeList(values, FORMAT_TXT)).toBe('a\r\nb,c\r\nd"e\r\n5\r\ntrue');
+        expect(serializeList(values, FORMAT_CSV)).toBe('a\r\n"b,c"\r\n"d""e"\r\n5\r\ntrue');
+        expect(serializeList(values, FORMAT_TSV)).toBe('a\r\nb,c\r\n"d""e"\r\n5\r\ntrue');
+        expect(serializeList(values, FORMAT_JSON)).toBe('["a","b,c","d\\"e",5,true]');
+    });
+
+    test('round trip', () => {
+        const values = ['a', '', 'b,c', 'line\nbreak', '"quoted"'];
+        for (const format of [FORMAT_CSV, FORMAT_TSV, FORMAT_JSON]) {
+            const rows = parseListFile(serializeList(values, format), format);
+            expect(getColumn(rows, 0, false)).toEqual(values);
+        }
+    });
+
+    test('sortList', () => {
+        const values = ['b', '10', 'A', 9, '-1', 'a'];
+        expect(sortList(values, false)).toEqual(['-1', 9, '10', 'A', 'a', 'b']);
+        expect(sortList(values, true)).toEqual(['b', 'A', 'a', '10', 9, '-1']);
+        // Not modified
+        expect(values).toEqual(['b', '10', 'A', 9, '-1', 'a']);
+    });
+
+    test('searchList', () => {
+        expect(searchList(['Apple', 'banana', 'cherry', 12, true], 'an')).toEqual([1]);
+        expect(searchList(['Apple', 'banana', 'cherry', 12, true], 'A')).toEqual([0, 1]);
+        expect(searchList(['Apple', 'banana', 'cherry', 12, true], '1')).toEqual([3]);
+        expect(searchList(['Apple', 'banana', 'cherry', 12, true], 'TRUE')).toEqual([4]);
+        expect(searchList([], 'a')).toEqual([]);
+    });
+
+    test('getDisplayedItem', () => {
+        expect(getDisplayedItem('abc')).toBe('abc');
+        expect(getDisplayedItem(5)).toBe('5');
+        const long = getDisplayedItem('a'.repeat(5000));
+        expect(long.length).toBe(1001);
+        expect(long.endsWith('…')).toBe(true);
+    });
+});
@@ -0,0 +1,145 @@
+import {
+    HEADER_TYPE_BOS,
+    HEADER_TYPE_EOS,
+    createOggOpusFile,
+    getPreSkip,
+    oggCrc32
+} from '../../../src/lib/tw-ogg-opus';
+
+const readPages = bytes => {
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    const pages = [];
+    let offset = 0;
+    while (offset < bytes.length) {
+        const magic = String.fromCharCode(...bytes.subarray(offset, offset + 4));
+        const segmentCount = bytes[offset + 26];
+        const segments = Array.from(bytes.subarray(offset + 27, offset + 27 + segmentCount));
+        const bodyLength = segments.reduce((a, b) => a + b, 0);
+        const length = 27 + segmentCount + bodyLength;
+        const page = bytes.slice(offset, offset + length);
+        const checksum = view.getUint32(offset + 22, true);
+        page.set([0, 0, 0, 0], 22);
+        pages.push({
+            magic,
+            headerType: bytes[offset + 5],
+            granulePosition: view.getUint32(offset + 6, true),
+            serial: view.getUint32(offset + 14, true),
+            sequence: view.getUint32(offset + 18, true),
+            segments,
+            body: bytes.subarray(offset + 27 + segmentCount, offset + length),
+            checksumValid: checksum === oggCrc32(page)
+        });
+        offset += length;
+    }
+    return pages;
+};
+
+const packet = (length, duration = 960) => ({
+    data: new Uint8Array(length).fill(length % 256),
+    duration
+});
+
+describe('tw-ogg-opus', () => {
+    test('oggCrc32', () => {
+        // CRC-32/MPEG-2 without the final XOR or initial value
+        expect(oggCrc32(new Uint8Array(0))).toBe(0);
+        expect(oggCrc32(Uint8Array.from('123456789', c => c.charCodeAt(0)))).toBe(0x89a1897f);
+    });
+
+    test('getPreSkip', () => {
+        expect(getPreSkip(null)).toBe(312);
+        expect(getPreSkip(new Uint8Array(4))).toBe(312);
+        const head = new Uint8Array(19);
+        head.set(Uint8Array.from('OpusHead', c => c.charCodeAt(0)));
+        head[10] = 0x38;
+        head[11] = 0x01;
+        expect(getPreSkip(head)).toBe(312);
+        head[10] = 0x00;
+        head[11] = 0x02;
+        expect(getPreSkip(head.buffer)).toBe(512);
+    });
+
+    test('headers', () => {
+        const file = createOggOpusFile([packet(100)], {
+            channels: 2,
+            preSkip: 312,
+            inputSampleRate: 22050,
+            sampleCount: 960,
+            serial: 1234
+        });
+        const pages = readPages(file);
+        expect(pages.length).toBe(3);
+        for (let i = 0; i < pages.length; i++) {
+            expect(pages[i].magic).toBe('OggS');
+            expect(pages[i].serial).toBe(1234);
+            expect(pages[i].sequence).toBe(i);
+            expect(pages[i].checksumValid).toBe(true);
+        }
+
+        expect(pages[0].headerType).toBe(HEADER_TYPE_BOS);
+        const head = pages[0].body;
+        expect(String.fromCharCode(...head.subarray(0, 8))).toBe('OpusHead');
+        expect(head[8]).toBe(1);
+        expect(head[9]).toBe(2);
+        expect(getPreSkip(head)).toBe(312);
+        expect(new DataView(head.buffer, head.byteOffset).getUint32(12, true)).toBe(22050);
+
+        expect(pages[1].headerType).toBe(0);
+        expect(String.fromCharCode(...pages[1].body.subarray(0, 8))).toBe('OpusTags');
+
+        expect(pages[2].headerType).toBe(HEADER_TYPE_EOS);
+        expect(pages[2].body.length).toBe(100);
+    });
+
+    test('granule position removes padding at the end', () => {
+        const file = createOggOpusFile([packet(10), packet(10), packet(10)], {
+            channels: 1,
+            preSkip: 312,
+            inputSampleRate: 48000,
+            sampleCount: 2000
+        });
+        const pages = readPages(file);
+        expect(pages[2].granulePosition).toBe(312 + 2000);
+    });
+
+    test('lacing values', () => {
+        const file = createOggOpusFile([packet(255), packet(600)], {
+            channels: 1,
+            preSkip: 0,
+            inputSampleRate: 48000,
+            sampleCount: 1920
+        });
+        const pages = readPages(file);
+        expect(pages[2].segments).toEqual([255, 0, 255, 255, 90]);
+        expect(pages[2].body.length).toBe(855);
+    });
+
+    test('splits audio into multiple pages', () => {
+        const packets = [];
+        // The encoder adds pre-skip and padding, so there is more than sampleCount
+        for (let i = 0; i < 101; i++) {
+            packets.push(packet(200));
+        }
+        const file = createOggOpusFile(packets, {
+            channels: 1,
+            preSkip: 312,
+            inputSampleRate: 48000,
+            sampleCount: 96000
+        });
+        const pages = readPages(file);
+        expect(pages.length).toBeGreaterThan(3);
+        const audioPages = pages.slice(2);
+        let totalLength = 0;
+        let lastGranulePosition = 0;
+        for (const page of audioPages) {
+            expect(page.checksumValid).toBe(true);
+            expect(page.body.length).toBeLessThanOrEqual(4096);
+            expect(page.granulePosition).toBeGreaterThan(lastGranulePosition);
+            lastGranulePosition = page.granulePosition;
+            totalLength += page.body.length;
+        }
+        expect(totalLength).toBe(101 * 200);
+        expect(audioPages[audioPages.length - 1].headerType).toBe(HEADER_TYPE_EOS);
+        expect(lastGranulePosition).toBe(312 + 96000);
+    });
+});
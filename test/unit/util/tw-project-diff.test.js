@@ -0,0 +1,110 @@
+import {diffProjects} from '../../../src/lib/tw-project-diff';
+
+const makeProject = sprite => ({
+    targets: [
+        {
+            isStage: true,
+            name: 'Stage',
+            blocks: {},
+            variables: {v1: ['my variable', 0]},
+            lists: {},
+            costumes: [{name: 'backdrop1', assetId: 'a'}],
+            sounds: []
+        },
+        sprite
+    ],
+    extensions: []
+});
+
+const sprite = () => ({
+    isStage: false,
+    name: 'Sprite1',
+    blocks: {
+        hat: {opcode: 'event_whenflagclicked', next: 'move', parent: null, topLevel: true, x: 0, y: 0},
+        move: {opcode: 'motion_movesteps', next: null, parent: 'hat', inputs: {STEPS: [1, [4, '10']]}}
+    },
+    variables: {},
+    lists: {},
+    costumes: [{name: 'costume1', assetId: 'b'}],
+    sounds: [{name: 'Meow', assetId: 'c'}]
+});
+
+describe('tw-project-diff', () => {
+    test('no changes', () => {
+        expect(diffProjects(makeProject(sprite()), makeProject(sprite()))).toEqual({
+            targets: [],
+            extensions: {added: [], removed: []}
+        });
+    });
+
+    test('moving a script is not a change', () => {
+        const moved = sprite();
+        moved.blocks.hat.x = 100;
+        expect(diffProjects(makeProject(sprite()), makeProject(moved)).targets).toEqual([]);
+    });
+
+    test('modified script', () => {
+        const modified = sprite();
+        modified.blocks.move.inputs.STEPS = [1, [4, '20']];
+        const result = diffProjects(makeProject(sprite()), makeProject(modified));
+        expect(result.targets.length).toBe(1);
+        expect(result.targets[0].name).toBe('Sprite1');
+        expect(result.targets[0].status).toBe('modified');
+        expect(result.targets[0].scripts).toEqual({
+            added: [],
+            removed: [],
+            modified: ['event_whenflagclicked']
+        });
+    });
+
+    test('custom block definitions are labelled with their proccode', () => {
+        const modified = sprite();
+        modified.blocks.def = {
+            opcode: 'procedures_definition',
+            parent: null,
+            next: null,
+            topLevel: true,
+            inputs: {custom_block: [1, 'proto']}
+        };
+        modified.blocks.proto = {
+            opcode: 'procedures_prototype',
+            parent: 'def',
+            next: null,
+            mutation: {proccode: 'jump %s'}
+        };
+        const result = diffProjects(makeProject(sprite()), makeProject(modified));
+        expect(result.targets[0].scripts.added).toEqual(['define jump %s']);
+    });
+
+    test('costumes, sounds, and variables', () => {
+        const modified = sprite();
+        modified.costumes.push({name: 'costume2', assetId: 'd'});
+        modified.sounds = [];
+        modified.variables = {v2: ['local', 5]};
+        const result = diffProjects(makeProject(sprite()), makeProject(modified));
+        expect(result.targets[0].costumes.added).toEqual(['costume2']);
+        expect(result.targets[0].sounds.removed).toEqual(['Meow']);
+        expect(result.targets[0].variables.added).toEqual(['local']);
+    });
+
+    test('added and removed sprites', () => {
+        const renamed = sprite();
+        renamed.name = 'Sprite2';
+        const result = diffProjects(makeProject(sprite()), makeProject(renamed));
+        expect(result.targets.map(i => [i.name, i.status])).toEqual([
+            ['Sprite1', 'removed'],
+            ['Sprite2', 'added']
+        ]);
+    });
+
+    test('extensions', () => {
+        const oldProject = makeProject(sprite());
+        oldProject.extensions = ['pen'];
+        const newProject = makeProject(sprite());
+        newProject.extensions = ['music'];
+        expect(diffProjects(oldProject, newProject).extensions).toEqual({
+            added: ['music'],
+            removed: ['pen']
+        });
+    });
+});
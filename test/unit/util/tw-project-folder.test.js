@@ -0,0 +1,96 @@
+import {
+    sortKeys,
+    stringifyStable,
+    getSafeFilename,
+    splitProject,
+    joinProject
+} from '../../../src/lib/tw-project-folder';
+
+const project = {
+    targets: [
+        {
+            isStage: true,
+            name: 'Stage',
+            variables: {},
+            blocks: {}
+        },
+        {
+            isStage: false,
+            name: 'Sprite1',
+            blocks: {
+                b: {opcode: 'motion_movesteps'},
+                a: {opcode: 'event_whenflagclicked'}
+            },
+            costumes: [{md5ext: 'abc.svg', name: 'costume1'}]
+        },
+        {
+            isStage: false,
+            name: 'sprite1',
+            blocks: {}
+        },
+        {
+            isStage: false,
+            name: 'a/b?',
+            blocks: {}
+        }
+    ],
+    monitors: [],
+    meta: {semver: '3.0.0'}
+};
+
+describe('tw-project-folder', () => {
+    test('sortKeys', () => {
+        expect(JSON.stringify(sortKeys({b: 1, a: [{d: 1, c: 2}], 10: true, 2: null}))).toBe(
+            '{"2":null,"10":true,"a":[{"c":2,"d":1}],"b":1}'
+        );
+        expect(sortKeys('string')).toBe('string');
+    });
+
+    test('stringifyStable', () => {
+        expect(stringifyStable({b: 1, a: 2})).toBe('{\n  "a": 2,\n  "b": 1\n}\n');
+    });
+
+    test('getSafeFilename', () => {
+        expect(getSafeFilename('Sprite1')).toBe('Sprite1');
+        expect(getSafeFilename('a/b:c*')).toBe('a_b_c_');
+        expect(getSafeFilename('trailing. ')).toBe('trailing');
+        expect(getSafeFilename('')).toBe('sprite');
+        expect(getSafeFilename('CON')).toBe('_CON');
+        expect(getSafeFilename('x'.repeat(200))).toHaveLength(100);
+    });
+
+    test('splitProject', () => {
+        const files = splitProject(project);
+        expect(Object.keys(files).sort()).toEqual([
+            'project.json',
+            'sprites/Sprite1.json',
+            'sprites/a_b_.json',
+            'sprites/sprite1 (2).json'
+        ]);
+        const projectJSON = JSON.parse(files['project.json']);
+        expect(projectJSON.targets).toEqual([
+            project.targets[0],
+            'sprites/Sprite1.json',
+            'sprites/sprite1 (2).json',
+            'sprites/a_b_.json'
+        ]);
+        expect(Object.keys(projectJSON)).toEqual(['meta', 'monitors', 'targets']);
+        expect(files['sprites/Sprite1.json'].indexOf('event_whenflagclicked'))
+            .toBeLessThan(files['sprites/Sprite1.json'].indexOf('motion_movesteps'));
+    });
+
+    test('round trip', async () => {
+        const files = splitProject(project);
+        const readFile = jest.fn(path => Promise.resolve(files[path]));
+        const result = await joinProject(files['project.json'], readFile);
+        expect(result).toEqual(project);
+        expect(readFile).toHaveBeenCalledTimes(3);
+    });
+
+    test('joinProject rejects invalid files', async () => {
+        const readFile = () => Promise.resolve('{}');
+        await expect(joinProject('{}', readFile)).rejects.toThrow('not a project');
+        await expect(joinProject('{"targets": ["../secret.json"]}', readFile)).rejects.toThrow('Invalid sprite path');
+        await expect(joinProject('{"targets": ["sprites/a/b.json"]}', readFile)).rejects.toThrow('Invalid sprite path');
+    });
+});
@@ -0,0 +1,163 @@
+import 'fake-indexeddb/auto';
+import React from 'react';
+import renderer from 'react-test-renderer';
+import {Provider} from 'react-redux';
+import configureStore from 'redux-mock-store';
+import TWSecurityManager from '../../../src/containers/tw-security-manager.jsx';
+import {
+    getAllProjectPermissions,
+    getProjectKey,
+    getProjectPermissions,
+    grantProjectPermission,
+    revokeAllProjectPermissions,
+    revokeProjectPermission,
+    subscribeToProjectPermissions
+} from '../../../src/lib/tw-project-permissions';
+
+jest.mock('../../../src/lib/tw-security-audit-log', () => ({
+    logSecurityDecision: jest.fn()
+}));
+
+test('getProjectKey', () => {
+    expect(getProjectKey('123', '{}')).toBe('id:123');
+    expect(getProjectKey('0', '{}')).toBe('md5:99914b932bd37a50b983c5e7c90ae93b');
+    expect(getProjectKey(null, '{}')).toBe('md5:99914b932bd37a50b983c5e7c90ae93b');
+});
+
+test('nothing is granted by default', async () => {
+    const permissions = await getProjectPermissions('id:1');
+    expect(permissions).toEqual({
+        projectKey: 'id:1',
+        title: '',
+        updated: 0,
+        fetch: [],
+        embed: [],
+        audio: false,
+        video: false,
+        readClipboard: false,
+        notify: false,
+        geolocate: false
+    });
+    expect(await getAllProjectPermissions()).toEqual([]);
+});
+
+test('grant, list, and revoke', async () => {
+    const listener = jest.fn();
+    const unsubscribe = subscribeToProjectPermissions(listener);
+
+    await grantProjectPermission('id:2', 'Project 2', 'fetch', 'https://example.com');
+    await grantProjectPermission('id:2', 'Project 2', 'fetch', 'https://example.com');
+    await grantProjectPermission('id:2', 'Renamed', 'audio');
+    expect(listener).toHaveBeenCalledWith('id:2');
+
+    const permissions = await getProjectPermissions('id:2');
+    expect(permissions.title).toBe('Renamed');
+    expect(permissions.fetch).toEqual(['https://example.com']);
+    expect(permissions.audio).toBe(true);
+    expect(permissions.video).toBe(false);
+
+    await grantProjectPermission('id:3', 'Project 3', 'embed', 'https://www.youtube.com');
+    const all = await getAllProjectPermissions();
+    expect(all.map(i => i.projectKey).sort()).toEqual(['id:2', 'id:3']);
+
+    await revokeProjectPermission('id:2', 'fetch', 'https://example.com');
+    expect((await getProjectPermissions('id:2')).fetch).toEqual([]);
+    expect((await getProjectPermissions('id:2')).audio).toBe(true);
+
+    // Projects with nothing granted aren't listed
+    await revokeProjectPermission('id:2', 'audio');
+    await revokeAllProjectPermissions('id:3');
+    expect(await getAllProjectPermissions()).toEqual([]);
+
+    unsubscribe();
+    listener.mockClear();
+    await grantProjectPermission('id:2', 'Project 2', 'video');
+    expect(listener).not.toHaveBeenCalled();
+    await revokeAllProjectPermissions('id:2');
+});
+
+describe('security manager', () => {
+    const PROJECT_KEY = 'id:4';
+
+    const mountSecurityManager = securityPolicy => {
+        const securityManager = {};
+        const runtimeListeners = {};
+        const vm = {
+            runtime: {
+                on: (event, listener) => {
+                    runtimeListeners[event] = listener;
+                },
+                off: () => {}
+            },
+            toJSON: () => '{}',
+            extensionManager: {
+                securityManager
+            }
+        };
+        const store = configureStore()({
+            scratchGui: {
+                projectState: {
+                    projectId: '4'
+                },
+                projectTitle: 'Project 4',
+                vm
+            }
+        });
+        const wrapper = renderer.create(
+            <Provider store={store}>
+                <TWSecurityManager securityPolicy={securityPolicy} />
+            </Provider>
+        );
+        runtimeListeners.PROJECT_LOADED();
+        return {
+            securityManager,
+            wrapper
+        };
+    };
+
+    test('policy deny beats stored grant', async () => {
+        await grantProjectPermission(PROJECT_KEY, 'Project 4', 'audio');
+        await grantProjectPermission(PROJECT_KEY, 'Project 4', 'fetch', 'https://example.com');
+        await grantProjectPermission(PROJECT_KEY, 'Project 4', 'embed', 'https://example.com');
+
+        const {securityManager, wrapper} = mountSecurityManager({
+            methods: {
+                canRecordAudio: 'deny',
+                canEmbed: 'deny'
+            },
+            origins: {
+                deny: ['https://example.com']
+            }
+        });
+        expect(await securityManager.canRecordAudio()).toBe(false);
+        expect(await securityManager.canFetch('https://example.com/data.json')).toBe(false);
+        expect(await securityManager.canEmbed('https://example.com/')).toBe(false);
+        // No prompt was shown, and the stored grants are unchanged
+        expect(wrapper.toJSON()).toBe(null);
+        const permissions = await getProjectPermissions(PROJECT_KEY);
+        expect(permissions.audio).toBe(true);
+        expect(permissions.fetch).toEqual(['https://example.com']);
+        wrapper.unmount();
+    });
+
+    test('deny mode beats stored grant', async () => {
+        const {securityManager, wrapper} = mountSecurityManager({
+            mode: 'deny'
+        });
+        expect(await securityManager.canRecordAudio()).toBe(false);
+        expect(await securityManager.canFetch('https://example.com/data.json')).toBe(false);
+        expect(wrapper.toJSON()).toBe(null);
+        wrapper.unmount();
+    });
+
+    test('stored grant is used when the policy would prompt', async () => {
+        const {securityManager, wrapper} = mountSecurityManager({
+            mode: 'prompt'
+        });
+        expect(await securityManager.canRecordAudio()).toBe(true);
+        expect(await securityManager.canFetch('https://example.com/data.json')).toBe(true);
+        expect(wrapper.toJSON()).toBe(null);
+        wrapper.unmount();
+        await revokeAllProjectPermissions(PROJECT_KEY);
+    });
+});
@@ -0,0 +1,77 @@
+import {
+    canWriteWithoutPrompt,
+    getFileAutoSaveDelay,
+    getFileAutoSaveEnabled,
+    setFileAutoSaveEnabled
+} from '../../../src/lib/tw-save-to-file';
+
+class LocalStorageShim {
+    constructor () {
+        this.storage = Object.create(null);
+    }
+    getItem (key) {
+        return key in this.storage ? this.storage[key] : null;
+    }
+    setItem (key, value) {
+        this.storage[key] = value.toString();
+    }
+    removeItem (key) {
+        delete this.storage[key];
+    }
+}
+
+beforeEach(() => {
+    global.localStorage = new LocalStorageShim();
+});
+
+afterEach(() => {
+    delete global.localStorage;
+});
+
+test('auto-save is off until the user turns it on', () => {
+    expect(getFileAutoSaveEnabled()).toBe(false);
+    setFileAutoSaveEnabled(true);
+    expect(getFileAutoSaveEnabled()).toBe(true);
+    setFileAutoSaveEnabled(false);
+    expect(getFileAutoSaveEnabled()).toBe(false);
+});
+
+test('auto-save is off if localStorage is broken', () => {
+    global.localStorage = {
+        getItem: () => {
+            throw new Error('Access denied');
+        }
+    };
+    expect(getFileAutoSaveEnabled()).toBe(false);
+});
+
+test('canWriteWithoutPrompt requires permission granted by the user', async () => {
+    const createHandle = permission => ({
+        queryPermission: jest.fn(() => Promise.resolve(permission))
+    });
+    const granted = createHandle('granted');
+    expect(await canWriteWithoutPrompt(granted)).toBe(true);
+    expect(granted.queryPermission).toHaveBeenCalledWith({mode: 'readwrite'});
+    expect(await canWriteWithoutPrompt(createHandle('prompt'))).toBe(false);
+    expect(await canWriteWithoutPrompt(createHandle('denied'))).toBe(false);
+    expect(await canWriteWithoutPrompt({
+        queryPermission: () => Promise.reject(new Error('Not allowed'))
+    })).toBe(false);
+    // Handles that can't tell us about permissions aren't trusted either
+    expect(await canWriteWithoutPrompt({
+        kind: 'file',
+        createWritable: () => {}
+    })).toBe(false);
+});
+
+test('getFileAutoSaveDelay', () => {
+    expect(getFileAutoSaveDelay(60, 0)).toBe(60);
+    expect(getFileAutoSaveDelay(60, 1)).toBe(120);
+    expect(getFileAutoSaveDelay(60, 2)).toBe(240);
+    expect(getFileAutoSaveDelay(60, 3)).toBe(480);
+    expect(getFileAutoSaveDelay(60, 4)).toBe(600);
+    expect(getFileAutoSaveDelay(60, 100)).toBe(600);
+    // Intervals longer than the limit don't get shorter
+    expect(getFileAutoSaveDelay(900, 0)).toBe(900);
+    expect(getFileAutoSaveDelay(900, 3)).toBe(900);
+});
@@ -0,0 +1,100 @@
+import {
+    createDenyAllPolicy,
+    evaluateSecurityPolicy,
+    isUnsandboxedByPolicy,
+    parseSecurityPolicy
+} from '../../../src/lib/tw-security-policy';
+
+describe('tw-security-policy', () => {
+    test('rejects non-objects', () => {
+        expect(() => parseSecurityPolicy(null)).toThrow();
+        expect(() => parseSecurityPolicy('deny')).toThrow();
+    });
+
+    test('no policy has no opinion', () => {
+        expect(evaluateSecurityPolicy(null, 'canFetch', 'https://example.com/')).toBe(null);
+    });
+
+    test('ignores invalid values', () => {
+        const policy = parseSecurityPolicy({
+            mode: 'something',
+            origins: {allow: [1, 'https://example.com']},
+            methods: {canNotify: 'maybe'}
+        });
+        expect(policy.mode).toBe('prompt');
+        expect(policy.origins.allow).toEqual(['https://example.com']);
+        expect(policy.methods).toEqual({});
+    });
+
+    test('deny all policy', () => {
+        const policy = createDenyAllPolicy();
+        expect(policy.mode).toBe('deny');
+        expect(evaluateSecurityPolicy(policy, 'canFetch', 'https://example.com/')).toBe(null);
+    });
+
+    test('origins', () => {
+        const policy = parseSecurityPolicy({
+            origins: {
+                allow: ['https://example.com', 'https://*.school.example'],
+                deny: ['*']
+            }
+        });
+        expect(evaluateSecurityPolicy(policy, 'canFetch', 'https://example.com/a.json')).toBe('allow');
+        expect(evaluateSecurityPolicy(policy, 'canEmbed', 'https://a.b.school.example/')).toBe('allow');
+        expect(evaluateSecurityPolicy(policy, 'canFetch', 'https://school.example/')).toBe('deny');
+        expect(evaluateSecurityPolicy(policy, 'canFetch', 'http://example.com/')).toBe('deny');
+        expect(evaluateSecurityPolicy(policy, 'canFetch', 'data:text/plain,abc')).toBe('deny');
+        // Not a URL method
+        expect(evaluateSecurityPolicy(policy, 'canRecordAudio')).toBe(null);
+    });
+
+    test('deny takes precedence over allow', () => {
+        const policy = parseSecurityPolicy({
+            origins: {
+                allow: ['https://example.com'],
+                deny: ['https://example.com']
+            }
+        });
+        expect(evaluateSecurityPolicy(policy, 'canFetch', 'https://example.com/')).toBe('deny');
+    });
+
+    test('methods', () => {
+        const policy = parseSecurityPolicy({
+            origins: {
+                allow: ['https://example.com']
+            },
+            methods: {
+                canRecordAudio: 'deny',
+                canGeolocate: 'allow',
+                canEmbed: {
+                    deny: ['https://example.com']
+                }
+            }
+        });
+        expect(evaluateSecurityPolicy(policy, 'canRecordAudio')).toBe('deny');
+        expect(evaluateSecurityPolicy(policy, 'canGeolocate')).toBe('allow');
+        expect(evaluateSecurityPolicy(policy, 'canNotify')).toBe(null);
+        expect(evaluateSecurityPolicy(policy, 'canEmbed', 'https://example.com/')).toBe('deny');
+        expect(evaluateSecurityPolicy(policy, 'canFetch', 'https://example.com/')).toBe('allow');
+        expect(evaluateSecurityPolicy(policy, 'canFetch', 'https://example.org/')).toBe(null);
+    });
+
+    test('extensions', () => {
+        const policy = parseSecurityPolicy({
+            extensions: {
+                allow: ['https://extensions.school.example/*', 'https://example.com/one.js'],
+                deny: ['*', 'https://extensions.school.example/bad.js'],
+                unsandboxed: ['https://extensions.school.example/*']
+            }
+        });
+        const check = url => evaluateSecurityPolicy(policy, 'canLoadExtensionFromProject', url);
+        expect(check('https://extensions.school.example/good.js')).toBe('allow');
+        expect(check('https://extensions.school.example/bad.js')).toBe('deny');
+        expect(check('https://example.com/one.js')).toBe('allow');
+        expect(check('https://example.com/two.js')).toBe('deny');
+        expect(isUnsandboxedByPolicy(policy, 'https://extensions.school.example/good.js')).toBe(true);
+        expect(isUnsandboxedByPolicy(policy, 'https://extensions.school.example/bad.js')).toBe(false);
+        expect(isUnsandboxedByPolicy(policy, 'https://example.com/one.js')).toBe(false);
+        expect(isUnsandboxedByPolicy(null, 'https://example.com/one.js')).toBe(false);
+    });
+});
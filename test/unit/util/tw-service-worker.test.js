@@ -0,0 +1,243 @@
+import fs from 'fs';
+import path from 'path';
+import vm from 'vm';
+import {getFilesToCache, generateServiceWorker} from '../../../src/playground/service-worker-manifest';
+
+const SCOPE = 'https://example.com/';
+const TEMPLATE = fs.readFileSync(path.resolve(__dirname, '../../../src/playground/service-worker.js'), 'utf-8');
+
+class FakeRequest {
+    constructor (url) {
+        this.url = url;
+    }
+}
+
+class FakeCache {
+    constructor (env) {
+        this.env = env;
+        this.entries = new Map();
+    }
+    add (request) {
+        return this.addAll([request]);
+    }
+    addAll (requests) {
+        // Like the real addAll, nothing is stored unless every request succeeds
+        return Promise.all(requests.map(request => this.env.fetch(request.url)))
+            .then(responses => {
+                if (!responses.every(response => response.ok)) {
+                    throw new Error('Request failed');
+                }
+                requests.forEach((request, i) => this.entries.set(request.url, responses[i]));
+            });
+    }
+    put (url, response) {
+        this.entries.set(url, response);
+        return Promise.resolve();
+    }
+    match (request) {
+        const url = typeof request === 'string' ? request : request.url;
+        return Promise.resolve(this.entries.get(url));
+    }
+}
+
+class FakeCacheStorage {
+    constructor (env) {
+        this.env = env;
+        // Maps remember insertion order, like the real keys()
+        this.caches = new Map();
+    }
+    open (name) {
+        if (!this.caches.has(name)) {
+            this.caches.set(name, new FakeCache(this.env));
+        }
+        return Promise.resolve(this.caches.get(name));
+    }
+    keys () {
+        return Promise.resolve(Array.from(this.caches.keys()));
+    }
+    delete (name) {
+        return Promise.resolve(this.caches.delete(name));
+    }
+}
+
+const createEnvironment = () => {
+    const env = {
+        failingURLs: new Set(),
+        skipWaiting: jest.fn(),
+        claim: jest.fn()
+    };
+    env.fetch = url => Promise.resolve({
+        ok: !env.failingURLs.has(url),
+        url
+    });
+    env.caches = new FakeCacheStorage(env);
+    return env;
+};
+
+const runServiceWorker = (env, manifest) => {
+    const listeners = {};
+    vm.runInNewContext(generateServiceWorker(TEMPLATE, manifest), {
+        self: {
+            registration: {
+                scope: SCOPE
+            },
+            addEventListener: (event, listener) => {
+                listeners[event] = listener;
+            },
+            skipWaiting: env.skipWaiting,
+            clients: {
+                claim: env.claim
+            }
+        },
+        caches: env.caches,
+        fetch: env.fetch,
+        Request: FakeRequest,
+        URL,
+        Promise
+    });
+    const dispatch = event => {
+        let promise = Promise.resolve();
+        listeners[event]({
+            waitUntil: p => {
+                promise = p;
+            }
+        });
+        return promise;
+    };
+    return {
+        install: () => dispatch('install'),
+        activate: () => dispatch('activate')
+    };
+};
+
+const createManifest = (version, overrides) => Object.assign({
+    version,
+    shell: ['editor.html', 'js/editor.js'],
+    assets: ['static/assets/a.svg', 'static/assets/b.svg'],
+    thumbnails: []
+}, overrides);
+
+const getCachedURLs = async (env, name) => Array.from((await env.caches.open(name)).entries.keys()).sort();
+
+test('getFilesToCache', () => {
+    expect(getFilesToCache([
+        'js/gui.js',
+        'js/gui.js.map',
+        'editor.html',
+        'sw.js',
+        'test-runner.html',
+        'embedtest.html',
+        'static/extensions/example.js',
+        'static/blocks-media/default/green-flag.svg',
+        'static/assets/cat.svg',
+        'favicon.ico',
+        'js/editor.js'
+    ])).toEqual({
+        shell: [
+            'editor.html',
+            'js/editor.js',
+            'js/gui.js'
+        ],
+        assets: [
+            'favicon.ico',
+            'static/assets/cat.svg',
+            'static/blocks-media/default/green-flag.svg'
+        ]
+    });
+});
+
+test('install caches the app shell and assets', async () => {
+    const env = createEnvironment();
+    await runServiceWorker(env, createManifest('1')).install();
+    expect(await getCachedURLs(env, 'tw-app-1')).toEqual([
+        `${SCOPE}editor.html`,
+        `${SCOPE}js/editor.js`,
+        `${SCOPE}static/assets/a.svg`,
+        `${SCOPE}static/assets/b.svg`
+    ]);
+    expect(env.skipWaiting).toHaveBeenCalledTimes(1);
+});
+
+test('assets that fail to download do not stop the update', async () => {
+    const env = createEnvironment();
+    env.failingURLs.add(`${SCOPE}static/assets/a.svg`);
+    await runServiceWorker(env, createManifest('1')).install();
+    expect(await getCachedURLs(env, 'tw-app-1')).toEqual([
+        `${SCOPE}editor.html`,
+        `${SCOPE}js/editor.js`,
+        `${SCOPE}static/assets/b.svg`
+    ]);
+    expect(env.skipWaiting).toHaveBeenCalledTimes(1);
+});
+
+test('app shell that fails to download stops the update', async () => {
+    const env = createEnvironment();
+    env.failingURLs.add(`${SCOPE}js/editor.js`);
+    await expect(runServiceWorker(env, createManifest('1')).install()).rejects.toThrow();
+    expect(await getCachedURLs(env, 'tw-app-1')).toEqual([]);
+    expect(env.skipWaiting).not.toHaveBeenCalled();
+});
+
+test('updates keep the previous version and the library', async () => {
+    const env = createEnvironment();
+    for (const version of ['1', '2', '3']) {
+        const sw = runServiceWorker(env, createManifest(version));
+        await sw.install();
+        await sw.activate();
+    }
+    expect(await env.caches.keys()).toEqual(['tw-library', 'tw-app-2', 'tw-app-3']);
+    expect(env.claim).toHaveBeenCalledTimes(3);
+
+    // An update that fails to install leaves the current version alone
+    env.failingURLs.add(`${SCOPE}editor.html`);
+    await expect(runServiceWorker(env, createManifest('4')).install()).rejects.toThrow();
+    expect(await getCachedURLs(env, 'tw-app-3')).toEqual([
+        `${SCOPE}editor.html`,
+        `${SCOPE}js/editor.js`,
+        `${SCOPE}static/assets/a.svg`,
+        `${SCOPE}static/assets/b.svg`
+    ]);
+});
+
+describe('loadServiceWorker', () => {
+    let controllerChangeListener;
+    beforeEach(() => {
+        process.env.ENABLE_SERVICE_WORKER = '1';
+        global.document = {
+            readyState: 'complete'
+        };
+        global.navigator = {
+            serviceWorker: {
+                controller: null,
+                addEventListener: (event, listener) => {
+                    controllerChangeListener = listener;
+                },
+                register: jest.fn(() => Promise.resolve())
+            }
+        };
+        jest.resetModules();
+    });
+    afterEach(() => {
+        delete process.env.ENABLE_SERVICE_WORKER;
+        delete global.document;
+        delete global.navigator;
+    });
+
+    test('first install does not ask to reload', () => {
+        const onUpdate = jest.fn();
+        require('../../../src/playground/load-service-worker').loadServiceWorker(onUpdate);
+        expect(global.navigator.serviceWorker.register).toHaveBeenCalledTimes(1);
+        controllerChangeListener();
+        expect(onUpdate).not.toHaveBeenCalled();
+        controllerChangeListener();
+        expect(onUpdate).toHaveBeenCalledTimes(1);
+    });
+
+    test('update asks to reload', () => {
+        global.navigator.serviceWorker.controller = {};
+        const onUpdate = jest.fn();
+        require('../../../src/playground/load-service-worker').loadServiceWorker(onUpdate);
+        controllerChangeListener();
+        expect(onUpdate).toHaveBeenCalledTimes(1);
+    });
+});
@@ -0,0 +1,229 @@
+import {
+    FORMAT_MP3,
+    FORMAT_OGG,
+    FORMAT_ORIGINAL,
+    FORMAT_WAV,
+    canExportOgg,
+    decodeSound,
+    estimateExportSize,
+    estimateImportSize,
+    exportSound,
+    getDefaultExportOptions,
+    getWavSize,
+    shouldConvertForImport
+} from '../../../src/lib/tw-sound-formats';
+import SharedAudioContext from '../../../src/lib/audio/shared-audio-context';
+
+// The real shared audio context needs a document and a user gesture
+jest.mock('../../../src/lib/audio/shared-audio-context', () => jest.fn());
+
+// The encoder's CommonJS build only defines a global variable, so load it the way a <script> would
+jest.mock('@breezystack/lamejs', () => {
+    const source = require('fs').readFileSync(require.resolve('@breezystack/lamejs'), 'utf-8');
+    // eslint-disable-next-line no-new-func
+    return new Function(`${source}; return lamejs;`)();
+});
+
+/**
+ * @param {number} sampleRate Sample rate
+ * @param {number} channels Number of channels
+ * @param {number} length Samples in each channel
+ * @returns {object} Enough of an AudioBuffer for sounds that don't need to be resampled or mixed
+ */
+const createAudioBuffer = (sampleRate, channels, length) => {
+    const channelData = [];
+    for (let channel = 0; channel < channels; channel++) {
+        const samples = new Float32Array(length);
+        for (let i = 0; i < length; i++) {
+            samples[i] = Math.sin(i / 10) / (channel + 1);
+        }
+        channelData.push(samples);
+    }
+    return {
+        sampleRate,
+        numberOfChannels: channels,
+        length,
+        duration: length / sampleRate,
+        getChannelData: channel => channelData[channel]
+    };
+};
+
+const readString = (data, offset, length) => String.fromCharCode(...new Uint8Array(data, offset, length));
+
+// 2 seconds of 16-bit stereo at 44.1kHz
+const stereoWav = {
+    sampleRate: 44100,
+    sampleCount: 88200,
+    channels: 2,
+    size: 44 + (88200 * 2 * 2)
+};
+
+describe('tw-sound-formats', () => {
+    test('getWavSize', () => {
+        expect(getWavSize(0, 1, 16)).toBe(44);
+        expect(getWavSize(100, 2, 16)).toBe(444);
+        expect(getWavSize(100, 1, 8)).toBe(144);
+        expect(getWavSize(100, 1, 24)).toBe(344);
+        expect(getWavSize(100, 1, 32)).toBe(444);
+    });
+
+    test('getDefaultExportOptions', () => {
+        expect(getDefaultExportOptions(22050).sampleRate).toBe(22050);
+        expect(getDefaultExportOptions(12345).sampleRate).toBe(44100);
+        expect(getDefaultExportOptions(48000).format).toBe(FORMAT_ORIGINAL);
+    });
+
+    test('estimateExportSize', () => {
+        const options = getDefaultExportOptions(44100);
+        expect(estimateExportSize(stereoWav, options)).toBe(stereoWav.size);
+        expect(estimateExportSize(stereoWav, {...options, format: FORMAT_WAV})).toBe(stereoWav.size);
+        expect(estimateExportSize(stereoWav, {...options, format: FORMAT_WAV, mono: true}))
+            .toBe(getWavSize(88200, 1, 16));
+        expect(estimateExportSize(stereoWav, {...options, format: FORMAT_WAV, sampleRate: 22050, bitDepth: 8}))
+            .toBe(getWavSize(44100, 2, 8));
+        expect(estimateExportSize(stereoWav, {...options, format: FORMAT_MP3, bitrate: 128})).toBe(32000);
+        expect(estimateExportSize(stereoWav, {...options, format: FORMAT_OGG, bitrate: 64})).toBe(16000);
+        // Low sample rates can't use high MP3 bitrates
+        expect(estimateExportSize(stereoWav, {...options, format: FORMAT_MP3, sampleRate: 8000, bitrate: 256}))
+            .toBe(16000);
+    });
+
+    test('estimateImportSize', () => {
+        const none = {mono: false, resample: false};
+        const mono = {mono: true, resample: false};
+        const resample = {mono: false, resample: true};
+        const both = {mono: true, resample: true};
+        expect(estimateImportSize(stereoWav, none)).toBe(stereoWav.size);
+        expect(estimateImportSize(stereoWav, mono)).toBe(getWavSize(88200, 1, 16));
+        expect(estimateImportSize(stereoWav, resample)).toBe(getWavSize(44100, 2, 16));
+        expect(estimateImportSize(stereoWav, both)).toBe(getWavSize(44100, 1, 16));
+        expect(shouldConvertForImport(stereoWav, none)).toBe(false);
+        expect(shouldConvertForImport(stereoWav, both)).toBe(true);
+    });
+
+    test('estimateImportSize does not convert sounds that are already small enough', () => {
+        const monoLowRate = {
+            sampleRate: 22050,
+            sampleCount: 22050,
+            channels: 1,
+            size: getWavSize(22050, 1, 16)
+        };
+        expect(shouldConvertForImport(monoLowRate, {mono: true, resample: true})).toBe(false);
+        expect(estimateImportSize(monoLowRate, {mono: true, resample: true})).toBe(monoLowRate.size);
+
+        // Compressed files can be smaller than a converted WAV
+        const mp3 = {
+            ...stereoWav,
+            size: 32000
+        };
+        expect(shouldConvertForImport(mp3, {mono: true, resample: true})).toBe(false);
+        expect(estimateImportSize(mp3, {mono: true, resample: true})).toBe(32000);
+    });
+
+    test('decodeSound uses the shared audio context without detaching the buffer', async () => {
+        const decoded = createAudioBuffer(44100, 1, 10);
+        const decodeAudioData = jest.fn(() => Promise.resolve(decoded));
+        SharedAudioContext.mockImplementation(() => ({decodeAudioData}));
+        const arrayBuffer = new ArrayBuffer(8);
+        expect(await decodeSound(arrayBuffer)).toBe(decoded);
+        expect(decodeAudioData.mock.calls[0][0]).not.toBe(arrayBuffer);
+        expect(decodeAudioData.mock.calls[0][0].byteLength).toBe(8);
+    });
+
+    test('exportSound as WAV', async () => {
+        const audioBuffer = createAudioBuffer(22050, 2, 1000);
+        const exported = await exportSound(audioBuffer, {
+            ...getDefaultExportOptions(22050),
+            format: FORMAT_WAV,
+            bitDepth: 8
+        });
+        expect(exported.contentType).toBe('audio/wav');
+        expect(exported.extension).toBe('wav');
+        expect(exported.data.byteLength).toBe(getWavSize(1000, 2, 8));
+        expect(readString(exported.data, 0, 4)).toBe('RIFF');
+        expect(readString(exported.data, 8, 4)).toBe('WAVE');
+        const view = new DataView(exported.data);
+        expect(view.getUint16(22, true)).toBe(2);
+        expect(view.getUint32(24, true)).toBe(22050);
+        expect(view.getUint16(34, true)).toBe(8);
+    });
+
+    test('exportSound as MP3', async () => {
+        const audioBuffer = createAudioBuffer(44100, 2, 44100);
+        const exported = await exportSound(audioBuffer, {
+            ...getDefaultExportOptions(44100),
+            format: FORMAT_MP3,
+            bitrate: 128
+        });
+        expect(exported.contentType).toBe('audio/mpeg');
+        expect(exported.extension).toBe('mp3');
+        // Starts with an MP3 frame header
+        expect(exported.data[0]).toBe(0xff);
+        expect(exported.data[1] & 0xe0).toBe(0xe0);
+        // 1 second at 128 kbps, give or take a frame
+        expect(Math.abs(exported.data.length - 16000)).toBeLessThan(1000);
+    });
+
+    describe('exportSound as Ogg', () => {
+        const encodedFrames = [];
+        beforeEach(() => {
+            encodedFrames.length = 0;
+            global.AudioData = class {
+                constructor (init) {
+                    Object.assign(this, init);
+                }
+                close () {}
+            };
+            global.AudioEncoder = class {
+                static isConfigSupported (config) {
+                    return Promise.resolve({supported: config.codec === 'opus'});
+                }
+                constructor ({output}) {
+                    this.output = output;
+                }
+                configure (config) {
+                    this.config = config;
+                }
+                encode (audioData) {
+                    encodedFrames.push(audioData.numberOfFrames);
+                    this.output({
+                        byteLength: 3,
+                        duration: 20000,
+                        copyTo: data => data.set([1, 2, 3])
+                    });
+                }
+                flush () {
+                    return Promise.resolve();
+                }
+                close () {}
+            };
+        });
+        afterEach(() => {
+            delete global.AudioData;
+            delete global.AudioEncoder;
+        });
+
+        test('encodes Opus in an Ogg file', async () => {
+            expect(canExportOgg()).toBe(true);
+            const audioBuffer = createAudioBuffer(48000, 1, 60000);
+            const exported = await exportSound(audioBuffer, {
+                ...getDefaultExportOptions(48000),
+                format: FORMAT_OGG
+            });
+            expect(exported.contentType).toBe('audio/ogg');
+            expect(exported.extension).toBe('ogg');
+            expect(readString(exported.data.buffer, exported.data.byteOffset, 4)).toBe('OggS');
+            // Samples are given to the encoder a second at a time
+            expect(encodedFrames).toEqual([48000, 12000]);
+        });
+
+        test('fails in browsers without AudioEncoder', async () => {
+            delete global.AudioEncoder;
+            expect(canExportOgg()).toBe(false);
+            await expect(exportSound(createAudioBuffer(48000, 1, 100), {
+                ...getDefaultExportOptions(48000),
+                format: FORMAT_OGG
+            })).rejects.toThrow('not supported');
+        });
+    });
+});
@@ -0,0 +1,104 @@
+import {getGridFrames, guessGrid, parseAtlas} from '../../../src/lib/tw-sprite-sheet';
+
+describe('tw-sprite-sheet', () => {
+    test('guessGrid', () => {
+        expect(guessGrid(256, 64)).toEqual({columns: 4, rows: 1});
+        expect(guessGrid(32, 96)).toEqual({columns: 1, rows: 3});
+        expect(guessGrid(100, 30)).toEqual({columns: 1, rows: 1});
+        expect(guessGrid(64, 64)).toEqual({columns: 1, rows: 1});
+    });
+
+    test('getGridFrames', () => {
+        const frames = getGridFrames(10, 7, {columns: 3, rows: '2'});
+        expect(frames.length).toBe(6);
+        expect(frames.map(i => [i.x, i.y, i.width, i.height])).toEqual([
+            [0, 0, 3, 3],
+            [3, 0, 3, 3],
+            [6, 0, 3, 3],
+            [0, 3, 3, 3],
+            [3, 3, 3, 3],
+            [6, 3, 3, 3]
+        ]);
+        expect(frames[0]).toMatchObject({
+            rotated: false,
+            offsetX: 0,
+            offsetY: 0,
+            sourceWidth: 3,
+            sourceHeight: 3
+        });
+
+        expect(getGridFrames(10, 10, {columns: 0, rows: 'abc'}).length).toBe(1);
+        // Can't have more columns than pixels
+        expect(getGridFrames(2, 1, {columns: 50, rows: 50}).length).toBe(2);
+        expect(getGridFrames(5000, 5000, {columns: 5000, rows: 5000}).length).toBe(1000);
+    });
+
+    test('parseAtlas hash format', () => {
+        const frames = parseAtlas({
+            frames: {
+                'walk/walk 0.png': {
+                    frame: {x: 1, y: 2, w: 30, h: 40},
+                    rotated: false,
+                    trimmed: true,
+                    spriteSourceSize: {x: 5, y: 6, w: 30, h: 40},
+                    sourceSize: {w: 48, h: 48}
+                },
+                'walk 1.aseprite': {
+                    frame: {x: 40, y: 0, w: 20, h: 10},
+                    rotated: true,
+                    trimmed: false,
+                    spriteSourceSize: {x: 0, y: 0, w: 20, h: 10},
+                    sourceSize: {w: 20, h: 10}
+                },
+                'broken': {
+                    frame: {x: 0, y: 0, w: 0, h: 10}
+                }
+            },
+            meta: {}
+        });
+        expect(frames).toEqual([
+            {
+                name: 'walk 0',
+                x: 1,
+                y: 2,
+                width: 30,
+                height: 40,
+                rotated: false,
+                offsetX: 5,
+                offsetY: 6,
+                sourceWidth: 48,
+                sourceHeight: 48
+            },
+            {
+                name: 'walk 1',
+                x: 40,
+                y: 0,
+                width: 20,
+                height: 10,
+                rotated: true,
+                offsetX: 0,
+                offsetY: 0,
+                sourceWidth: 20,
+                sourceHeight: 10
+            }
+        ]);
+    });
+
+    test('parseAtlas array format', () => {
+        const frames = parseAtlas({
+            frames: [
+                {filename: 'b.png', frame: {x: 0, y: 0, w: 8, h: 8}, duration: 100},
+                {filename: 'a.png', frame: {x: 8, y: 0, w: 8, h: 8}, duration: 100}
+            ]
+        });
+        expect(frames.map(i => i.name)).toEqual(['b', 'a']);
+        expect(frames[1].x).toBe(8);
+    });
+
+    test('parseAtlas rejects invalid atlases', () => {
+        expect(() => parseAtlas(null)).toThrow('no frames');
+        expect(() => parseAtlas({})).toThrow('no frames');
+        expect(() => parseAtlas({frames: {}})).toThrow('no frames');
+        expect(() => parseAtlas({frames: [{frame: {x: 'a'}}]})).toThrow('no frames');
+    });
+});
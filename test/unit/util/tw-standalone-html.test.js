@@ -0,0 +1,92 @@
+import {
+    CLOUD_NONE,
+    escapeScriptContent,
+    generateStandaloneHTML,
+    getDefaultOptions,
+    readStandaloneData
+} from '../../../src/lib/tw-standalone-html';
+
+const createOptions = () => getDefaultOptions({
+    projectId: '123',
+    title: 'Project',
+    width: 480,
+    height: 360
+});
+
+const unescapeHTML = string => string
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&amp;/g, '&');
+
+// Tests run without a DOM. Script and style contents end at the first closing tag, like they do in a browser.
+const getElementContent = (html, tagName) => {
+    const match = new RegExp(`<${tagName}>([\\s\\S]*?)</${tagName}>`).exec(html);
+    return match ? match[1] : null;
+};
+
+const parse = html => ({
+    title: unescapeHTML(getElementContent(html, 'title')),
+    getElementById: id => {
+        const match = new RegExp(`<script [^>]*id="${id}">([\\s\\S]*?)</script>`, 'i').exec(html);
+        return match ? {textContent: match[1]} : null;
+    }
+});
+
+describe('tw-standalone-html', () => {
+    test('getDefaultOptions', () => {
+        const options = createOptions();
+        expect(options.projectId).toBe('123');
+        expect(options.title).toBe('Project');
+        expect(options.width).toBe(480);
+        expect(options.height).toBe(360);
+        expect(options.cloud.backend).toBe(CLOUD_NONE);
+        expect(options.controls).toEqual({
+            greenFlag: true,
+            stopAll: true,
+            fullscreen: true
+        });
+        expect(options.autoplay).toBe(false);
+    });
+
+    test('escapeScriptContent', () => {
+        expect(escapeScriptContent('a</script>b')).toBe('a<\\/script>b');
+        expect(escapeScriptContent('a</SCRIPT>b')).toBe('a<\\/SCRIPT>b');
+        expect(escapeScriptContent('<!-- x')).toBe('<\\!-- x');
+        expect(escapeScriptContent('1 < 2')).toBe('1 < 2');
+    });
+
+    test('round trip', () => {
+        const options = createOptions();
+        options.title = '</title><script>alert(1)</script>';
+        options.loadingScreen.text = '</script><b>loading</b>';
+        const html = generateStandaloneHTML({
+            options,
+            projectBase64: 'UEsDBA==',
+            playerScript: 'window.x = "</script>";'
+        });
+        const doc = parse(html);
+        expect(doc.title).toBe(options.title);
+        // The player is the only script that runs
+        expect(html.match(/<script/gi)).toHaveLength(3);
+        expect(html.match(/<\/script/gi)).toHaveLength(3);
+        expect(html).not.toContain('<b>');
+        expect(readStandaloneData(doc)).toEqual({
+            options,
+            projectBase64: 'UEsDBA=='
+        });
+    });
+
+    test('invalid background color', () => {
+        const options = createOptions();
+        options.loadingScreen.background = 'red; } body { display: none';
+        const html = generateStandaloneHTML({
+            options,
+            projectBase64: '',
+            playerScript: ''
+        });
+        const style = getElementContent(html, 'style');
+        expect(style).toContain('background-color: #000000;');
+        expect(style).not.toContain('display: none');
+    });
+});
@@ -0,0 +1,151 @@
+import EventEmitter from 'events';
+import {
+    RESULT_MESSAGE_TYPE,
+    TestRunner,
+    createErrorResult,
+    parseTestRunnerOptions
+} from '../../../src/lib/tw-test-runner';
+
+const createTarget = (name, variables, isOriginal = true) => ({
+    isOriginal,
+    variables,
+    getName: () => name
+});
+
+const createFakeVM = () => {
+    const runtime = new EventEmitter();
+    const addonBlocks = {};
+    runtime.targets = [
+        createTarget('Stage', {
+            a: {name: 'score', type: '', value: 10},
+            b: {name: 'items', type: 'list', value: ['x', 'y']},
+            c: {name: 'message', type: 'broadcast_msg', value: 'test done'}
+        }),
+        createTarget('Sprite1', {
+            d: {name: 'my variable', type: '', value: 'hello'}
+        }),
+        createTarget('Sprite1', {}, false)
+    ];
+    runtime.getAddonBlock = procedureCode => addonBlocks[procedureCode];
+    runtime.startHats = jest.fn(() => []);
+    return {
+        runtime,
+        addonBlocks,
+        start: jest.fn(),
+        greenFlag: jest.fn(),
+        stopAll: jest.fn(),
+        addAddonBlock: block => {
+            addonBlocks[block.procedureCode] = block;
+        },
+        callAddonBlock: (type, content, target) => {
+            addonBlocks[`\u200B\u200B${type}\u200B\u200B %s`].callback({content}, {target});
+        }
+    };
+};
+
+test('parseTestRunnerOptions', () => {
+    expect(parseTestRunnerOptions(new URLSearchParams(''))).toEqual({
+        timeout: 10,
+        doneBroadcast: 'test done',
+        requireDone: false
+    });
+    expect(parseTestRunnerOptions(new URLSearchParams('?timeout=2.5&done=finished&require_done'))).toEqual({
+        timeout: 2.5,
+        doneBroadcast: 'finished',
+        requireDone: true
+    });
+    expect(parseTestRunnerOptions(new URLSearchParams('?timeout=-1')).timeout).toBe(10);
+    expect(parseTestRunnerOptions(new URLSearchParams('?timeout=abc')).timeout).toBe(10);
+});
+
+test('collects output until done broadcast', async () => {
+    const vm = createFakeVM();
+    const runner = new TestRunner(vm, parseTestRunnerOptions(new URLSearchParams('')));
+    const promise = runner.run();
+    expect(vm.start).toHaveBeenCalled();
+    expect(vm.greenFlag).toHaveBeenCalled();
+
+    const sprite = vm.runtime.targets[1];
+    vm.runtime.emit('SAY', sprite, 'say', 'Hello!');
+    vm.runtime.emit('SAY', sprite, 'say', '');
+    vm.runtime.emit('SAY', sprite, 'think', 123);
+    vm.callAddonBlock('log', 'a log', sprite);
+    vm.callAddonBlock('warn', 'a warning', sprite);
+
+    // Other broadcasts don't end the test
+    vm.runtime.startHats('event_whenbroadcastreceived', {BROADCAST_OPTION: 'something else'});
+    vm.runtime.startHats('event_whenbroadcastreceived', {BROADCAST_OPTION: 'Test Done'});
+
+    const result = await promise;
+    expect(vm.stopAll).toHaveBeenCalled();
+    expect(result).toEqual({
+        type: RESULT_MESSAGE_TYPE,
+        status: 'pass',
+        reason: 'done',
+        failures: [],
+        duration: expect.any(Number),
+        say: [
+            expect.objectContaining({target: 'Sprite1', type: 'say', text: 'Hello!'}),
+            expect.objectContaining({target: 'Sprite1', type: 'think', text: '123'})
+        ],
+        logs: [
+            expect.objectContaining({target: 'Sprite1', type: 'log', text: 'a log'}),
+            expect.objectContaining({target: 'Sprite1', type: 'warn', text: 'a warning'})
+        ],
+        variables: {
+            'Stage': {
+                score: 10,
+                items: ['x', 'y']
+            },
+            'Sprite1': {
+                'my variable': 'hello'
+            }
+        }
+    });
+});
+
+test('error logs fail the test', async () => {
+    const vm = createFakeVM();
+    const runner = new TestRunner(vm, parseTestRunnerOptions(new URLSearchParams('')));
+    const promise = runner.run();
+    vm.callAddonBlock('error', 'expected 1 but got 2', vm.runtime.targets[0]);
+    vm.runtime.emit('PROJECT_RUN_STOP');
+    const result = await promise;
+    expect(result.status).toBe('fail');
+    expect(result.reason).toBe('stopped');
+    expect(result.failures).toEqual(['Stage: expected 1 but got 2']);
+});
+
+test('timeout', async () => {
+    jest.useFakeTimers();
+    const vm = createFakeVM();
+    const runner = new TestRunner(vm, parseTestRunnerOptions(new URLSearchParams('?timeout=5&require_done')));
+    const promise = runner.run();
+    jest.advanceTimersByTime(5000);
+    const result = await promise;
+    jest.useRealTimers();
+    expect(result.status).toBe('fail');
+    expect(result.reason).toBe('timeout');
+    expect(result.failures).toEqual(['Did not broadcast "test done"']);
+});
+
+test('does not replace existing log blocks', () => {
+    const vm = createFakeVM();
+    const existing = {
+        procedureCode: '\u200B\u200Blog\u200B\u200B %s',
+        callback: jest.fn()
+    };
+    vm.addAddonBlock(existing);
+    const runner = new TestRunner(vm, parseTestRunnerOptions(new URLSearchParams('')));
+    runner.run();
+    expect(vm.addonBlocks['\u200B\u200Blog\u200B\u200B %s']).toBe(existing);
+    runner.finish('stopped');
+});
+
+test('createErrorResult', () => {
+    expect(createErrorResult(new Error('Could not load project'))).toEqual(expect.objectContaining({
+        status: 'fail',
+        reason: 'error',
+        failures: ['Error: Could not load project']
+    }));
+});
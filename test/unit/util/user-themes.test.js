@@ -0,0 +1,123 @@
+import {ACCENT_MAP, BLOCKS_MAP, GUI_DARK, GUI_LIGHT, GUI_MAP, Theme} from '../../../src/lib/themes';
+import {
+    createUserTheme,
+    exportUserTheme,
+    getEffectiveGuiColors,
+    getThemeForUserTheme,
+    getUserThemeId,
+    importUserTheme,
+    normalizeColor,
+    parseUserTheme,
+    registerUserTheme,
+    unregisterUserTheme
+} from '../../../src/lib/themes/userThemes';
+
+const userTheme = {
+    id: 'abc',
+    name: 'Test',
+    gui: GUI_DARK,
+    accent: '#00ff00',
+    guiColors: {
+        'menu-bar-background': '#123456'
+    },
+    blockColors: {
+        motion: '#ff0000'
+    }
+};
+
+describe('user themes', () => {
+    afterEach(() => {
+        unregisterUserTheme(userTheme);
+    });
+
+    test('normalizeColor', () => {
+        expect(normalizeColor('#ABC')).toBe('#aabbcc');
+        expect(normalizeColor('#11223344')).toBe('#112233');
+        expect(normalizeColor('hsla(0, 100%, 50%, 1)')).toBe('#ff0000');
+        expect(normalizeColor('hsl(120, 100%, 25%)')).toBe('#008000');
+        expect(normalizeColor('var(--ui-primary)')).toBe(null);
+        expect(normalizeColor(5)).toBe(null);
+    });
+
+    test('register and unregister', () => {
+        const theme = registerUserTheme(userTheme);
+        expect(theme).toBeInstanceOf(Theme);
+        expect(getUserThemeId(theme)).toBe('abc');
+        expect(getUserThemeId(Theme.light)).toBe(null);
+        expect(theme.isDark()).toBe(true);
+
+        const guiColors = theme.getGuiColors();
+        expect(guiColors['menu-bar-background']).toBe('#123456');
+        expect(guiColors['looks-secondary']).toBe('#00ff00');
+        expect(guiColors['ui-primary']).toBe(GUI_MAP[GUI_DARK].guiColors['ui-primary']);
+
+        const blockColors = theme.getBlockColors();
+        expect(blockColors.motion).toEqual({
+            primary: '#ff0000',
+            secondary: '#e60000',
+            tertiary: '#cc0000',
+            quaternary: '#cc0000'
+        });
+        expect(blockColors.looks).toEqual(Theme.light.getBlockColors().looks);
+        expect(blockColors.workspace).toBe(GUI_MAP[GUI_DARK].blockColors.workspace);
+
+        unregisterUserTheme(userTheme);
+        expect(ACCENT_MAP['user:abc']).toBeUndefined();
+        expect(GUI_MAP['user:abc']).toBeUndefined();
+        expect(BLOCKS_MAP['user:abc']).toBeUndefined();
+        expect(getThemeForUserTheme(userTheme).gui).toBe(Theme.light.gui);
+    });
+
+    test('getEffectiveGuiColors', () => {
+        const colors = getEffectiveGuiColors({
+            ...userTheme,
+            gui: GUI_LIGHT,
+            guiColors: {}
+        });
+        // var(--looks-secondary) comes from the accent
+        expect(colors['menu-bar-background']).toBe('#00ff00');
+        expect(colors['ui-modal-background']).toBe('#ffffff');
+        expect(getEffectiveGuiColors(userTheme)['menu-bar-background']).toBe('#123456');
+    });
+
+    test('parseUserTheme', () => {
+        expect(parseUserTheme({
+            name: 5,
+            gui: 'something',
+            accent: 'invalid',
+            guiColors: {
+                'ui-primary': '#fff',
+                'not-editable': '#000000',
+                'text-primary': 'red'
+            },
+            blockColors: null
+        }, 'id')).toEqual({
+            id: 'id',
+            name: '',
+            gui: GUI_LIGHT,
+            accent: '#ff4c4c',
+            guiColors: {
+                'ui-primary': '#ffffff'
+            },
+            blockColors: {}
+        });
+        expect(() => parseUserTheme(null, 'id')).toThrow();
+    });
+
+    test('createUserTheme', () => {
+        const created = createUserTheme(Theme.dark, 'Copy');
+        expect(created.name).toBe('Copy');
+        expect(created.gui).toBe(GUI_DARK);
+        expect(created.accent).toBe('#ff4c4c');
+        expect(created.blockColors.motion).toBe('#4c97ff');
+        expect(created.id).not.toBe(createUserTheme(Theme.dark, 'Copy').id);
+    });
+
+    test('export and import', () => {
+        const imported = importUserTheme(exportUserTheme(userTheme));
+        expect(imported.id).not.toBe(userTheme.id);
+        expect({...imported, id: userTheme.id}).toEqual(userTheme);
+        expect(() => importUserTheme('{"name": "no version"}')).toThrow('Not a theme file');
+        expect(() => importUserTheme('not json')).toThrow();
+    });
+});
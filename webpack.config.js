@@ -1,4 +1,5 @@
 const defaultsDeep = require('lodash.defaultsdeep');
+const fs = require('fs');
 const path = require('path');
 const webpack = require('webpack');
 
@@ -13,6 +14,7 @@ const postcssImport = require('postcss-import');
 
 const STATIC_PATH = process.env.STATIC_PATH || '/static';
 const {APP_NAME} = require('./src/lib/brand');
+const {getFilesToCache, generateServiceWorker} = require('./src/playground/service-worker-manifest');
 
 const root = process.env.ROOT || '';
 if (root.length > 0 && !root.endsWith('/')) {
@@ -28,6 +30,50 @@ const htmlWebpackPluginCommon = {
 // When this changes, the path for all JS files will change, bypassing any HTTP caches
 const CACHE_EPOCH = 'pentapod';
 
+const readLibrary = name => JSON.parse(fs.readFileSync(
+    path.resolve(__dirname, `src/lib/libraries/${name}.json`),
+    'utf-8'
+));
+
+// Generates sw.js from src/playground/service-worker.js with the list of files that need to be cached
+// for the editor to work offline.
+class ServiceWorkerPlugin {
+    /**
+     * @param {object} [options] Options
+     * @param {string[]} [options.extraFiles] Files emitted by other webpack configs that also need to be cached
+     */
+    constructor (options = {}) {
+        this.extraFiles = options.extraFiles || [];
+    }
+    apply (compiler) {
+        compiler.hooks.emit.tap('ServiceWorkerPlugin', compilation => {
+            const {shell, assets} = getFilesToCache(Object.keys(compilation.assets).concat(this.extraFiles));
+            const thumbnails = new Set();
+            for (const sprite of readLibrary('sprites')) {
+                thumbnails.add(sprite.costumes[0].md5ext);
+            }
+            for (const costume of readLibrary('costumes')) {
+                thumbnails.add(costume.md5ext);
+            }
+            for (const backdrop of readLibrary('backdrops')) {
+                thumbnails.add(backdrop.md5ext);
+            }
+            const manifest = {
+                version: compilation.hash,
+                shell,
+                assets,
+                thumbnails: Array.from(thumbnails).sort()
+            };
+            const template = fs.readFileSync(path.resolve(__dirname, 'src/playground/service-worker.js'), 'utf-8');
+            const source = generateServiceWorker(template, manifest);
+            compilation.assets['sw.js'] = {
+                source: () => source,
+                size: () => source.length
+            };
+        });
+    }
+}
+
 const base = {
     mode: process.env.NODE_ENV === 'production' ? 'production' : 'development',
     devtool: process.env.SOURCEMAP || (process.env.NODE_ENV === 'production' ? false : 'cheap-module-source-map'),
@@ -134,6 +180,19 @@ const base = {
     ]
 };
 
+const defineEnvironment = () => new webpack.DefinePlugin({
+    'process.env.NODE_ENV': `"${process.env.NODE_ENV}"`,
+    'process.env.DEBUG': Boolean(process.env.DEBUG),
+    'process.env.ENABLE_SERVICE_WORKER': JSON.stringify(process.env.ENABLE_SERVICE_WORKER || ''),
+    'process.env.ROOT': JSON.stringify(root),
+    'process.env.ROUTING_STYLE': JSON.stringify(process.env.ROUTING_STYLE || 'filehash'),
+    'process.env.SECURITY_POLICY_URL': JSON.stringify(process.env.SECURITY_POLICY_URL || '')
+});
+
+// Built separately from the editor so that "Export as HTML" can inline it into one file. Every asset
+// is inlined and there are no other chunks because the exported file can't load anything else.
+const STANDALONE_PLAYER_FILE = 'js/standalone-player.js';
+
 if (!process.env.CI) {
     base.plugins.push(new webpack.ProgressPlugin());
 }
@@ -146,6 +205,7 @@ module.exports = [
             'player': './src/playground/player.jsx',
             'fullscreen': './src/playground/fullscreen.jsx',
             'embed': './src/playground/embed.jsx',
+            'test-runner': './src/playground/test-runner.jsx',
             'addon-settings': './src/playground/addon-settings.jsx',
             'credits': './src/playground/credits/credits.jsx'
         },
@@ -174,13 +234,7 @@ module.exports = [
             }
         },
         plugins: base.plugins.concat([
-            new webpack.DefinePlugin({
-                'process.env.NODE_ENV': `"${process.env.NODE_ENV}"`,
-                'process.env.DEBUG': Boolean(process.env.DEBUG),
-                'process.env.ENABLE_SERVICE_WORKER': JSON.stringify(process.env.ENABLE_SERVICE_WORKER || ''),
-                'process.env.ROOT': JSON.stringify(root),
-                'process.env.ROUTING_STYLE': JSON.stringify(process.env.ROUTING_STYLE || 'filehash')
-            }),
+            defineEnvironment(),
             new HtmlWebpackPlugin({
                 chunks: ['editor'],
                 template: 'src/playground/index.ejs',
@@ -210,6 +264,13 @@ module.exports = [
                 title: `Embedded Project - ${APP_NAME}`,
                 ...htmlWebpackPluginCommon
             }),
+            new HtmlWebpackPlugin({
+                chunks: ['test-runner'],
+                template: 'src/playground/embed.ejs',
+                filename: 'test-runner.html',
+                title: `Test Runner - ${APP_NAME}`,
+                ...htmlWebpackPluginCommon
+            }),
             new HtmlWebpackPlugin({
                 chunks: ['addon-settings'],
                 template: 'src/playground/simple.ejs',
@@ -240,9 +301,44 @@ module.exports = [
                         context: 'src/examples'
                     }
                 ]
+            }),
+            // Must be last so that it can see files emitted by the other plugins
+            new ServiceWorkerPlugin({
+                extraFiles: [STANDALONE_PLAYER_FILE]
             })
         ])
-    })
+    }),
+    // player inlined into projects made by "Export as HTML"
+    {
+        mode: base.mode,
+        devtool: false,
+        entry: {
+            'standalone-player': './src/playground/standalone-player.jsx'
+        },
+        output: {
+            path: path.resolve(__dirname, 'build'),
+            filename: STANDALONE_PLAYER_FILE,
+            publicPath: root
+        },
+        resolve: base.resolve,
+        module: {
+            rules: base.module.rules.concat([
+                {
+                    test: /\.(svg|png|wav|mp3|gif|jpg|woff2|hex)$/,
+                    loader: 'url-loader',
+                    options: {
+                        esModule: false
+                    }
+                }
+            ])
+        },
+        plugins: [
+            defineEnvironment(),
+            new webpack.optimize.LimitChunkCountPlugin({
+                maxChunks: 1
+            })
+        ]
+    }
 ].concat(
     process.env.NODE_ENV === 'production' || process.env.BUILD_MODE === 'dist' ? (
         // export as library